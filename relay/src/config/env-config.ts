@@ -96,6 +96,11 @@ export const config = {
   auth: {
     adminPassword: process.env.ADMIN_PASSWORD,
     strictSessionIp: process.env.STRICT_SESSION_IP !== "false",
+    // Operator accounts, admin sessions and failed logins (SQLite)
+    operatorsDbPath:
+      process.env.OPERATORS_DB_PATH ||
+      path.join(process.env.DATA_DIR || path.join(process.cwd(), "data"), "operators.db"),
+    sessionTtlHours: parseFloat(process.env.SESSION_TTL_HOURS || "24") || 24,
     // CORS configuration
     corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(",") : ["*"],
     corsCredentials: process.env.CORS_CREDENTIALS === "true",
@@ -111,6 +116,9 @@ export const config = {
     disableRadisk: process.env.DISABLE_RADISK === "true",
     maxStorageGB: parseFloat(process.env.RELAY_MAX_STORAGE_GB || "0") || 0,
     storageWarningThreshold: parseFloat(process.env.RELAY_STORAGE_WARNING_THRESHOLD || "80") || 80,
+    // Default upload quotas (0 = unlimited); per-user/per-key overrides live in quota.json
+    userQuotaMB: parseFloat(process.env.STORAGE_QUOTA_USER_MB || "0") || 0,
+    apiKeyQuotaMB: parseFloat(process.env.STORAGE_QUOTA_API_KEY_MB || "0") || 0,
 
     // S3/MinIO configuration for Gun storage (only used when storageType is "s3")
     s3: {
@@ -147,6 +155,29 @@ export const config = {
 
   replication: {
     autoReplication: process.env.AUTO_REPLICATION !== "false",
+    // Default number of relays that should pin each CID
+    factor: parseInt(process.env.REPLICATION_FACTOR || "2") || 2,
+    intervalMs: parseInt(process.env.REPLICATION_INTERVAL_MS || "600000") || 600000,
+    // A partner whose pin advertisement is older than this counts as offline
+    offlineAfterMs: parseInt(process.env.REPLICATION_OFFLINE_AFTER_MS || "1800000") || 1800000,
+    // Upper bound on new replica pins per run, so a lost partner does not stampede IPFS
+    maxPinsPerRun: parseInt(process.env.REPLICATION_MAX_PINS_PER_RUN || "20") || 20,
+    // Relay pubs trusted as replication partners; nobody else's pins are copied
+    partners: (process.env.REPLICATION_PARTNERS || "")
+      .split(",")
+      .map((pub) => pub.trim())
+      .filter((pub) => pub.length > 0),
+  },
+
+  // Signed heartbeats behind /network/relays
+  registry: {
+    // Base URL published in the heartbeat (default: derived from RELAY_HOST/RELAY_PORT)
+    publicUrl: process.env.RELAY_PUBLIC_URL || "",
+    heartbeatIntervalMs: parseInt(process.env.RELAY_HEARTBEAT_INTERVAL_MS || "60000") || 60000,
+    // Heartbeats older than this are dropped
+    maxAgeMs: parseInt(process.env.RELAY_HEARTBEAT_MAX_AGE_MS || "300000") || 300000,
+    probeTimeoutMs: parseInt(process.env.RELAY_PROBE_TIMEOUT_MS || "3000") || 3000,
+    probeCacheMs: parseInt(process.env.RELAY_PROBE_CACHE_MS || "60000") || 60000,
   },
 
   // ============================================================================
@@ -173,6 +204,148 @@ export const config = {
     dataDir: process.env.ZEN_DATA_DIR || path.join(process.env.DATA_DIR || "data", "zendata"),
     enabled: process.env.ZEN_ENABLED !== "false",
   },
+
+  // ============================================================================
+  // CHAT CONFIGURATION
+  // ============================================================================
+
+  chat: {
+    // How long to collect messages from the graph during a sync/lobby read
+    syncTimeoutMs: parseInt(process.env.CHAT_SYNC_TIMEOUT_MS || "3000") || 3000,
+    maxMessageLength: parseInt(process.env.CHAT_MAX_MESSAGE_LENGTH || "4000") || 4000,
+  },
+
+  // ============================================================================
+  // RESUMABLE UPLOAD CONFIGURATION
+  // ============================================================================
+
+  uploadSessions: {
+    // Chunks are spooled here until the session is finalized
+    dir:
+      process.env.UPLOAD_SESSIONS_DIR ||
+      path.join(process.env.DATA_DIR || path.join(process.cwd(), "data"), "upload-sessions"),
+    // Sessions without activity for this long are garbage-collected
+    ttlMs: (parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS || "24") || 24) * 60 * 60 * 1000,
+    maxChunkBytes: (parseInt(process.env.UPLOAD_MAX_CHUNK_MB || "16") || 16) * 1024 * 1024,
+    maxFileBytes: (parseInt(process.env.UPLOAD_MAX_FILE_MB || "10240") || 10240) * 1024 * 1024,
+    cleanupIntervalMs: parseInt(process.env.UPLOAD_SESSION_CLEANUP_INTERVAL_MS || "3600000") || 3600000,
+  },
+
+  // ============================================================================
+  // GUN BACKUP CONFIGURATION
+  // ============================================================================
+
+  backup: {
+    dir:
+      process.env.BACKUP_DIR ||
+      path.join(process.env.DATA_DIR || path.join(process.cwd(), "data"), "backups"),
+    // Scheduled snapshots (0 = disabled)
+    intervalHours: parseFloat(process.env.BACKUP_INTERVAL_HOURS || "0") || 0,
+    // Number of snapshots to keep
+    retention: parseInt(process.env.BACKUP_RETENTION || "7") || 7,
+  },
+
+  // ============================================================================
+  // METRICS CONFIGURATION
+  // ============================================================================
+
+  metrics: {
+    // Prometheus endpoint at /metrics
+    enabled: process.env.ENABLE_METRICS !== "false",
+    // Set to false to require the admin token (Bearer) for scraping
+    public: process.env.METRICS_PUBLIC !== "false",
+    // Downsampled history (minute/hour/day) for the dashboard charts
+    historyEnabled: process.env.METRICS_HISTORY_ENABLED !== "false",
+    historyDbPath:
+      process.env.METRICS_HISTORY_DB ||
+      path.join(process.env.DATA_DIR || path.join(process.cwd(), "data"), "metrics.db"),
+  },
+
+  // ============================================================================
+  // WEBHOOK CONFIGURATION
+  // ============================================================================
+
+  webhooks: {
+    enabled: process.env.WEBHOOKS_ENABLED !== "false",
+    // Attempts per delivery before it is marked failed
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "8") || 8,
+    // First retry delay; doubles on every attempt (capped at one hour)
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || "30000") || 30000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000") || 10000,
+    // Finished deliveries kept in the delivery log
+    logSize: parseInt(process.env.WEBHOOK_LOG_SIZE || "500") || 500,
+    // Pending deliveries kept per webhook; the oldest are dropped beyond this
+    maxPending: parseInt(process.env.WEBHOOK_MAX_PENDING || "1000") || 1000,
+  },
+
+  // ============================================================================
+  // TPRE CONFIGURATION
+  // ============================================================================
+
+  tpre: {
+    // Serve kfrags written to linda_rooms/<group>/relay_kfrags (unverified) for
+    // members that have no kfrag registered with this relay
+    legacyKfrags: process.env.TPRE_LEGACY_KFRAGS === "true",
+    // Capsules per member per minute
+    rateLimit: parseInt(process.env.TPRE_RATE_LIMIT || "120") || 120,
+    maxBatch: parseInt(process.env.TPRE_MAX_BATCH || "100") || 100,
+  },
+
+  // ============================================================================
+  // MODERATION CONFIGURATION
+  // ============================================================================
+
+  moderation: {
+    // Unpin content as soon as a denylist rule matches it
+    autoUnpin: process.env.DENYLIST_AUTO_UNPIN !== "false",
+    // Periodic check of all pins against the denylist (0 = only on changes)
+    sweepIntervalMs: parseInt(process.env.DENYLIST_SWEEP_INTERVAL_MS || "3600000") || 0,
+    // Size cap for lists imported from a URL
+    importMaxMB: parseInt(process.env.DENYLIST_IMPORT_MAX_MB || "64") || 64,
+  },
+
+  // ============================================================================
+  // RETENTION CONFIGURATION
+  // ============================================================================
+
+  retention: {
+    // Run retention policies on a schedule (previews and manual runs always work)
+    enabled: process.env.RETENTION_ENABLED !== "false",
+    // How often each policy runs (the wormhole policy keeps WORMHOLE_CLEANUP_INTERVAL_MS)
+    intervalMs: parseInt(process.env.RETENTION_INTERVAL_MS || "3600000") || 60 * 60 * 1000,
+    // Run repo/gc after a run that unpinned something, unless the policy says otherwise
+    gcAfterRun: process.env.RETENTION_GC === "true",
+  },
+
+  // ============================================================================
+  // PEER LIMITS CONFIGURATION
+  // ============================================================================
+
+  peerLimits: {
+    // Throttle Gun/ZEN wire peers that go over these limits (0 = no limit)
+    enabled: process.env.PEER_LIMITS_ENABLED !== "false",
+    msgsPerSec: parseInt(process.env.PEER_MAX_MSGS_PER_SEC || "200") || 0,
+    bytesPerSec: parseInt(process.env.PEER_MAX_BYTES_PER_SEC || "1048576") || 0,
+    // Shared by all connections from one IP address
+    ipMsgsPerSec: parseInt(process.env.PEER_IP_MAX_MSGS_PER_SEC || "500") || 0,
+    ipBytesPerSec: parseInt(process.env.PEER_IP_MAX_BYTES_PER_SEC || "4194304") || 0,
+    maxPutBytes: parseInt(process.env.PEER_MAX_PUT_BYTES || "1048576") || 0,
+    // Throttled seconds within a minute before the address is banned (0 = never ban)
+    banStrikes: parseInt(process.env.PEER_BAN_STRIKES || "10") || 0,
+    banSecs: parseInt(process.env.PEER_BAN_SECS || "900") || 900,
+  },
+
+  // ============================================================================
+  // SEARCH CONFIGURATION
+  // ============================================================================
+
+  search: {
+    // SQLite full-text index of the systemhash upload records
+    enabled: process.env.SEARCH_INDEX_ENABLED !== "false",
+    dbPath:
+      process.env.SEARCH_INDEX_DB ||
+      path.join(process.env.DATA_DIR || path.join(process.cwd(), "data"), "search.db"),
+  },
 };
 
 // ============================================================================
@@ -187,9 +360,20 @@ export const storageConfig = config.storage;
 export const relayKeysConfig = config.relayKeys;
 export const wormholeConfig = config.wormhole;
 export const replicationConfig = config.replication;
+export const registryConfig = config.registry;
 export const loggingConfig = config.logging;
 export const packageConfig = config.package;
 export const zenConfig = config.zen;
+export const chatConfig = config.chat;
+export const uploadSessionsConfig = config.uploadSessions;
+export const backupConfig = config.backup;
+export const metricsConfig = config.metrics;
+export const webhookConfig = config.webhooks;
+export const tpreConfig = config.tpre;
+export const moderationConfig = config.moderation;
+export const retentionConfig = config.retention;
+export const searchConfig = config.search;
+export const peerLimitsConfig = config.peerLimits;
 
 // ============================================================================
 // EXPORT DEFAULT
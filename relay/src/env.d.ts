@@ -25,15 +25,86 @@ declare namespace NodeJS {
     GUN_PEERS?: string;
     RELAY_PEERS?: string;
     RELAY_PROTECTED?: string;
+    WRITE_POLICY_FILE?: string;
     DISABLE_RADISK?: string;
     CLEANUP_CORRUPTED_DATA?: string;
 
     // Storage Limits
     RELAY_MAX_STORAGE_GB?: string;
     RELAY_STORAGE_WARNING_THRESHOLD?: string;
+    STORAGE_QUOTA_USER_MB?: string;
+    STORAGE_QUOTA_API_KEY_MB?: string;
 
     // Network Federation
     AUTO_REPLICATION?: string;
+    REPLICATION_FACTOR?: string;
+    REPLICATION_INTERVAL_MS?: string;
+    REPLICATION_OFFLINE_AFTER_MS?: string;
+    REPLICATION_MAX_PINS_PER_RUN?: string;
+    REPLICATION_PARTNERS?: string;
+    RELAY_PUBLIC_URL?: string;
+    RELAY_HEARTBEAT_INTERVAL_MS?: string;
+    RELAY_HEARTBEAT_MAX_AGE_MS?: string;
+    RELAY_PROBE_TIMEOUT_MS?: string;
+    RELAY_PROBE_CACHE_MS?: string;
+
+    // Chat
+    CHAT_SYNC_TIMEOUT_MS?: string;
+    CHAT_MAX_MESSAGE_LENGTH?: string;
+
+    // Resumable uploads
+    UPLOAD_SESSIONS_DIR?: string;
+    UPLOAD_SESSION_TTL_HOURS?: string;
+    UPLOAD_MAX_CHUNK_MB?: string;
+    UPLOAD_MAX_FILE_MB?: string;
+    UPLOAD_SESSION_CLEANUP_INTERVAL_MS?: string;
+
+    // Gun backups
+    BACKUP_DIR?: string;
+    BACKUP_INTERVAL_HOURS?: string;
+    BACKUP_RETENTION?: string;
+
+    // Metrics
+    METRICS_PUBLIC?: string;
+    METRICS_HISTORY_ENABLED?: string;
+    METRICS_HISTORY_DB?: string;
+
+    // Webhooks
+    WEBHOOKS_ENABLED?: string;
+    WEBHOOK_MAX_ATTEMPTS?: string;
+    WEBHOOK_RETRY_BASE_MS?: string;
+    WEBHOOK_TIMEOUT_MS?: string;
+    WEBHOOK_LOG_SIZE?: string;
+    WEBHOOK_MAX_PENDING?: string;
+
+    // TPRE
+    TPRE_LEGACY_KFRAGS?: string;
+    TPRE_RATE_LIMIT?: string;
+    TPRE_MAX_BATCH?: string;
+
+    // Moderation
+    DENYLIST_AUTO_UNPIN?: string;
+    DENYLIST_SWEEP_INTERVAL_MS?: string;
+    DENYLIST_IMPORT_MAX_MB?: string;
+
+    // Retention
+    RETENTION_ENABLED?: string;
+    RETENTION_INTERVAL_MS?: string;
+    RETENTION_GC?: string;
+
+    // Peer limits
+    PEER_LIMITS_ENABLED?: string;
+    PEER_MAX_MSGS_PER_SEC?: string;
+    PEER_MAX_BYTES_PER_SEC?: string;
+    PEER_IP_MAX_MSGS_PER_SEC?: string;
+    PEER_IP_MAX_BYTES_PER_SEC?: string;
+    PEER_MAX_PUT_BYTES?: string;
+    PEER_BAN_STRIKES?: string;
+    PEER_BAN_SECS?: string;
+
+    // Upload search
+    SEARCH_INDEX_ENABLED?: string;
+    SEARCH_INDEX_DB?: string;
 
     // Advanced Options
     DATA_DIR?: string;
@@ -45,6 +116,8 @@ declare namespace NodeJS {
     PORT?: string;
     NODE_ENV?: "development" | "production" | "test";
     STRICT_SESSION_IP?: string;
+    OPERATORS_DB_PATH?: string;
+    SESSION_TTL_HOURS?: string;
     ENABLE_METRICS?: string;
     ENABLE_HEALTH?: string;
   }
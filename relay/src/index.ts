@@ -1,6 +1,7 @@
 import express from "express";
 import path from "path";
 import fs from "fs";
+import os from "os";
 import cors from "cors";
 import dotenv from "dotenv";
 import setSelfAdjustingInterval from "self-adjusting-interval";
@@ -18,6 +19,7 @@ import "zen/lib/multicast.js";
 import multer from "multer";
 import SQLiteStore from "./utils/sqlite-store";
 import S3Store from "./utils/s3-store";
+import FileStore from "./utils/file-store";
 import { loggers } from "./utils/logger";
 import { StatsTracker } from "./utils/stats-tracker";
 import {
@@ -33,22 +35,50 @@ import {
   loggingConfig,
   packageConfig,
   zenConfig,
+  metricsConfig,
+  webhookConfig,
+  registryConfig,
 } from "./config/env-config";
 
-import { startWormholeCleanup } from "./utils/wormhole-cleanup";
+import { startRetention, stopRetention } from "./utils/retention";
 import { tokenAuthMiddleware } from "./middleware/token-auth";
-import { secureCompare, hashToken, createProductionErrorHandler, isOriginAllowed } from "./utils/security";
+import {
+  secureCompare,
+  hashToken,
+  createProductionErrorHandler,
+  isOriginAllowed,
+} from "./utils/security";
 
 import { GUN_PATHS, getGunNode } from "./utils/gun-paths";
 
 import { gunAliasGuard } from "./middleware/gun-alias-guard";
 import { performAliasMaintenance } from "./utils/alias-maintenance";
+import { flushApiKeyStore } from "./utils/api-keys-store";
+import { isWriteAllowed } from "./utils/write-policy";
+import { startUploadSessionCleanup, stopUploadSessionCleanup } from "./utils/upload-sessions";
+import { startBackupSchedule, stopBackupSchedule } from "./utils/gun-backup";
+import { startMetricsHistory, stopMetricsHistory } from "./utils/metrics-history";
+import { startWebhookWorker, stopWebhookWorker } from "./utils/webhooks";
+import { isBlocked, startDenylistSweep, stopDenylistSweep } from "./utils/denylist";
+import { assertQuota, recordUpload, releaseUpload } from "./utils/storage-quota";
+import { closeOperatorDb } from "./utils/operators";
+import { closeSearchIndex, startSearchIndex, stopSearchIndex } from "./utils/search-index";
+import { emitRelayEvent } from "./utils/event-bus";
+import { PinReplicator, createGunPinBoard, createIpfsPinClient } from "./utils/pin-replication";
+import {
+  getRegistryGun,
+  rankRelays,
+  readHeartbeats,
+  resolvePublicUrl,
+  startHeartbeat,
+  stopHeartbeat,
+} from "./utils/relay-registry";
 import {
   discoverNetworkIdentity,
   getHardwarePeerId,
   setupPeerExchange,
   latchDomain,
-  kprs
+  kprs,
 } from "./utils/zen-network";
 
 // Route Imports
@@ -160,25 +190,6 @@ async function initializeServer() {
     });
   }
 
-  // Funzione di validazione del token
-  function hasValidToken(msg: any) {
-    if (isProtectedRelay === false) {
-      return true;
-    }
-
-    // Se ha headers, verifica il token
-    if (msg && msg.headers && msg.headers.token) {
-      const hasValidAuth = msg.headers.token === authConfig.adminPassword;
-      if (hasValidAuth) {
-        loggers.server.info(`🔍 PUT allowed - valid token: ${msg.headers}`);
-        return true;
-      }
-    }
-
-    loggers.server.warn(`❌ Operation denied - no valid auth: ${JSON.stringify(msg.headers)}`);
-    return false;
-  }
-
   // Crea l'app Express
   const app = express();
   const publicPath = path.resolve(__dirname, path_public);
@@ -207,19 +218,22 @@ async function initializeServer() {
 
   // ===== SECURITY: CORS Configuration =====
   const corsOptions = {
-    origin: (origin: string | undefined, callback: (err: Error | null, allow?: boolean) => void) => {
-        // Allow requests with no origin (like mobile apps or curl requests)
-        if (!origin) return callback(null, true);
-
-        if (isOriginAllowed(origin, authConfig.corsOrigins)) {
-          callback(null, true);
-        } else {
-          loggers.server.warn({ origin }, "CORS blocked request from origin");
-          callback(new Error("Not allowed by CORS"));
-        }
-      },
+    origin: (
+      origin: string | undefined,
+      callback: (err: Error | null, allow?: boolean) => void
+    ) => {
+      // Allow requests with no origin (like mobile apps or curl requests)
+      if (!origin) return callback(null, true);
+
+      if (isOriginAllowed(origin, authConfig.corsOrigins)) {
+        callback(null, true);
+      } else {
+        loggers.server.warn({ origin }, "CORS blocked request from origin");
+        callback(new Error("Not allowed by CORS"));
+      }
+    },
     credentials: authConfig.corsCredentials,
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: [
       "Content-Type",
       "Authorization",
@@ -227,8 +241,9 @@ async function initializeServer() {
       "X-Requested-With",
       "X-Session-Token",
       "X-User-Address",
+      "Upload-Offset",
     ],
-    exposedHeaders: ["X-Session-Token"],
+    exposedHeaders: ["X-Session-Token", "Upload-Offset"],
     maxAge: 86400, // 24 hours
   };
   app.use(cors(corsOptions));
@@ -262,6 +277,17 @@ async function initializeServer() {
   // Stats Tracker Initialize
   const statsTracker = new StatsTracker();
   app.set("statsTracker", statsTracker);
+  if (metricsConfig.historyEnabled) {
+    try {
+      startMetricsHistory(statsTracker);
+    } catch (err: any) {
+      loggers.server.error({ err }, "❌ Failed to start metric history");
+    }
+  }
+  // Outbound webhooks subscribe to the relay event bus
+  if (webhookConfig.enabled) {
+    startWebhookWorker();
+  }
 
   // ===== ROOT HEALTH CHECK ENDPOINTS (for load balancers, k8s probes) =====
   // Note: /health endpoint with full details is registered later after initialization
@@ -480,7 +506,7 @@ async function initializeServer() {
   const gunConfig: any = {
     super: true,
     web: server,
-    isValid: hasValidToken,
+    isValid: isWriteAllowed,
     uuid: relayConfig.name,
     localStorage: false,
     wire: true,
@@ -521,8 +547,6 @@ async function initializeServer() {
     }
   }
 
-
-
   const gun = (Gun as any)(gunConfig);
 
   // Initialize Gun Alias Guard to prevent duplicate usernames
@@ -531,6 +555,11 @@ async function initializeServer() {
   app.set("gunInstance", gun);
   // Store the gun storage adapter for stats access
   app.set("gunStore", store);
+  // Adapter used by backups; default radisk files are read directly
+  const backupStore = store || (gunConfig.radisk ? new FileStore({ dir: dataDir }) : null);
+  const backupSource = store ? storageType : "radisk";
+  app.set("gunBackupStore", backupStore);
+  app.set("gunStoreType", backupSource);
 
   // Initialize ZEN alongside Gun
   if (zenConfig.enabled) {
@@ -555,7 +584,7 @@ async function initializeServer() {
       web: server,
       ws: { path: zenConfig.path }, // Nest path for zen wire
       radisk: true,
-      isValid: hasValidToken,
+      isValid: isWriteAllowed,
       localStorage: false,
       axe: true,
       peers: peers, // Share the same peers
@@ -567,7 +596,10 @@ async function initializeServer() {
       zenOptions.file = zenDataDir;
     }
 
-    loggers.server.info({ path: zenConfig.path, dataDir: zenDataDir }, "🚀 Initializing ZEN Instance...");
+    loggers.server.info(
+      { path: zenConfig.path, dataDir: zenDataDir },
+      "🚀 Initializing ZEN Instance..."
+    );
 
     // Discover network identity and Hardware ID
     const networkIdentity = await discoverNetworkIdentity(port as number);
@@ -599,7 +631,8 @@ async function initializeServer() {
     zen.on("hi", (peer: any) => {
       if (!peer || !peer.wire) return;
       const addr = peer.url || peer.id || "unknown";
-      statsTracker.patchSocket(peer.wire, addr, "zen");
+      // Peers with a url are ones this relay dialed
+      statsTracker.patchSocket(peer.wire, addr, "zen", { outbound: !!peer.url });
     });
 
     const activeDomain = networkIdentity.domain || networkIdentity.ip;
@@ -617,7 +650,8 @@ async function initializeServer() {
   gun.on("hi", (peer: any) => {
     if (!peer || !peer.wire) return;
     const addr = peer.url || peer.id || "unknown";
-    statsTracker.patchSocket(peer.wire, addr);
+    // Peers with a url are ones this relay dialed (RELAY_PEERS)
+    statsTracker.patchSocket(peer.wire, addr, undefined, { outbound: !!peer.url });
 
     // Synchronize local counters
     totalConnections += 1;
@@ -626,6 +660,7 @@ async function initializeServer() {
     app.set("activeWires", activeWires);
 
     loggers.server.debug({ activeWires, addr }, `Connection opened`);
+    emitRelayEvent("peer.connected", { peer: addr, activeWires });
   });
 
   gun.on("bye", (peer: any) => {
@@ -634,23 +669,41 @@ async function initializeServer() {
       activeWires = statsTracker.getStats().connectedPeers;
       app.set("activeWires", activeWires);
       loggers.server.debug({ activeWires }, `Connection closed`);
+      emitRelayEvent("peer.disconnected", { peer: peer?.url || peer?.id, activeWires });
     }, 100);
   });
 
-  // Start wormhole cleanup scheduler for orphaned transfer cleanup
-  if (wormholeConfig.enabled) {
-    startWormholeCleanup(gun);
-    loggers.server.info(`✅ Wormhole cleanup started`);
-  } else {
+  // Retention policies, including the built-in wormhole transfer cleanup
+  startRetention({ gun, data: app.get("zenInstance") || gun });
+  if (!wormholeConfig.enabled) {
     loggers.server.info(`⏭️ Wormhole cleanup disabled (WORMHOLE_ENABLED=false)`);
   }
 
+  // Garbage-collect abandoned resumable upload sessions
+  if (ipfsConfig.enabled) {
+    startUploadSessionCleanup();
+  }
+
+  // Keep the upload search index in step with the systemhash node the routes write to
+  if (ipfsConfig.enabled) {
+    startSearchIndex(app.get("zenInstance") || gun);
+  }
+
+  // Unpin anything that matches the CID denylist (DENYLIST_SWEEP_INTERVAL_MS)
+  if (ipfsConfig.enabled) {
+    startDenylistSweep();
+  }
+
+  // Scheduled Gun storage snapshots (BACKUP_INTERVAL_HOURS)
+  if (backupStore) {
+    startBackupSchedule(backupStore, backupSource);
+  }
+
   // Note: "Data hash not same as hash!" warnings from GunDB are benign
   // They occur when using content-addressed storage with # namespace
   // The data is still saved correctly - this is just GunDB's internal verification
   // These warnings don't affect functionality and can be safely ignored
 
-
   // Get relay host identifier
   // Extract hostname from endpoint if it's a URL
   let host = serverConfig.host || relayConfig.endpoint || "localhost";
@@ -694,6 +747,73 @@ async function initializeServer() {
   app.set("relayUserPub", relayKeyPair.pub);
   app.set("relayKeyPair", relayKeyPair); // Make relay keypair available to routes
 
+  // Cross-relay pin replication (AUTO_REPLICATION is checked on every run)
+  let pinReplicator: PinReplicator | null = null;
+  if (ipfsConfig.enabled) {
+    pinReplicator = new PinReplicator({
+      host,
+      pub: relayKeyPair.pub,
+      endpoint: relayConfig.endpoint,
+      board: createGunPinBoard(gun, relayKeyPair),
+      ipfs: createIpfsPinClient({
+        apiUrl: ipfsConfig.apiUrl,
+        apiToken: ipfsConfig.apiToken,
+        timeoutMs: ipfsConfig.pinTimeoutMs,
+      }),
+      // Only relays with a verified heartbeat are replication partners
+      getRelays: async () => {
+        const entries = await readHeartbeats(getRegistryGun(app));
+        const { relays } = await rankRelays(entries, registryConfig);
+        return relays.filter((relay) => relay.probe?.reachable);
+      },
+      allowedPartners: replicationConfig.partners,
+      statePath: path.join(storageConfig.dataDir, "replication.json"),
+      factor: replicationConfig.factor,
+      offlineAfterMs: replicationConfig.offlineAfterMs,
+      maxPinsPerRun: replicationConfig.maxPinsPerRun,
+      isBlocked: (cid) => isBlocked(cid),
+      // Replicas are charged to the relay only (RELAY_MAX_STORAGE_GB)
+      quota: {
+        assert: (cid, bytes) => assertQuota({ isAdmin: true }, bytes, cid),
+        record: (cid, bytes) => recordUpload({ isAdmin: true }, cid, bytes),
+        release: (cid) => releaseUpload(cid),
+      },
+    });
+    app.set("pinReplicator", pinReplicator);
+    pinReplicator.start(replicationConfig.intervalMs);
+  }
+
+  // Signed heartbeat for /network/relays
+  const publicUrl = resolvePublicUrl(relayConfig.endpoint, port, registryConfig.publicUrl);
+  startHeartbeat({
+    gun: getRegistryGun(app),
+    pair: relayKeyPair,
+    intervalMs: registryConfig.heartbeatIntervalMs,
+    build: () => {
+      const memory = process.memoryUsage();
+      return {
+        host,
+        endpoint: publicUrl,
+        name: relayConfig.name,
+        version: packageConfig.version,
+        capabilities: {
+          ipfs: ipfsConfig.enabled,
+          tpre: true,
+          // Drive is mounted together with the IPFS routes
+          drive: ipfsConfig.enabled,
+        },
+        load: {
+          activeConnections: activeWires,
+          totalConnections,
+          heapUsedMB: Math.round(memory.heapUsed / 1024 / 1024),
+          rssMB: Math.round(memory.rss / 1024 / 1024),
+          loadAvg: Math.round(os.loadavg()[0] * 100) / 100,
+        },
+        uptime: Math.floor(process.uptime()),
+      };
+    },
+  });
+
   // Esponi le funzioni helper per le route
   app.set("addSystemLog", addSystemLog);
   app.set("addTimeSeriesPoint", addTimeSeriesPoint);
@@ -902,7 +1022,6 @@ async function initializeServer() {
 
     addTimeSeriesPoint("connections.active", activeWires);
     addTimeSeriesPoint("memory.heapUsed", process.memoryUsage().heapUsed);
-
   }, 300000); // 5 minutes
 
   // --- AUTOMATIC ALIAS MAINTENANCE ---
@@ -937,6 +1056,20 @@ async function initializeServer() {
     loggers.server.info("⏳ Waiting for in-flight operations to complete...");
     await new Promise((resolve) => setTimeout(resolve, 2000));
 
+    // Persist pending API key usage counters
+    flushApiKeyStore();
+    stopUploadSessionCleanup();
+    stopBackupSchedule();
+    stopMetricsHistory();
+    stopWebhookWorker();
+    stopDenylistSweep();
+    stopRetention();
+    stopSearchIndex();
+    pinReplicator?.stop();
+    stopHeartbeat();
+    closeOperatorDb();
+    closeSearchIndex();
+
     // Close storage store if it exists (SQLite or S3)
     // The store will gracefully handle any remaining GunDB operations
     if (store) {
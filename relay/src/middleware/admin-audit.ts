@@ -0,0 +1,34 @@
+/**
+ * Admin Audit Middleware
+ *
+ * Records an admin action once the response is sent, with the caller from
+ * the auth middleware in front of it and the resulting status.
+ */
+
+import { Request, Response, NextFunction } from "express";
+import { getActor } from "./admin-auth";
+import { recordAdminAction } from "../utils/admin-audit";
+
+/**
+ * @param action Audit action name ("config.update", "pin.remove"...)
+ * @param target Returns what the request applies to, if anything
+ */
+export function auditAdminAction(action: string, target?: (req: Request) => unknown) {
+  return (req: Request, res: Response, next: NextFunction): void => {
+    res.on("finish", () => {
+      const value = target?.(req);
+      recordAdminAction({
+        action,
+        actor: getActor(req),
+        role: (req as any).operator?.role,
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        target: value === undefined || value === null ? undefined : String(value).slice(0, 500),
+        status: res.statusCode,
+        ip: req.ip,
+        ok: res.statusCode < 400,
+      });
+    });
+    next();
+  };
+}
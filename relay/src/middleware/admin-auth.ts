@@ -1,13 +1,21 @@
 /**
  * Admin Authentication Middleware
  *
- * Provides secure admin authentication using timing-safe comparison
+ * Accepts the shared admin password (timing-safe comparison) or an operator
+ * session token, and checks the caller's role against the one the route needs.
  */
 
-import { Request, Response, NextFunction } from "express";
+import { Request, Response, NextFunction, RequestHandler } from "express";
 import { secureCompare, hashToken } from "../utils/security";
 import { authConfig } from "../config";
 import { loggers } from "../utils/logger";
+import {
+  OperatorRole,
+  Principal,
+  SESSION_TOKEN_PREFIX,
+  getSession,
+  hasRole,
+} from "../utils/operators";
 
 const log = loggers.server || console;
 
@@ -22,70 +30,106 @@ function getAdminPasswordHash(): string | null {
 }
 
 /**
- * Admin authentication middleware
- * Requires valid admin token in Authorization header or token header
- * Uses timing-safe comparison to prevent timing attacks
+ * Bearer token or custom `token` header (for Gun/Wormhole compatibility)
  */
-export function adminAuthMiddleware(req: Request, res: Response, next: NextFunction): void {
-  // Check Authorization header (Bearer token)
+export function getRequestToken(req: Request): string | undefined {
   const authHeader = req.headers["authorization"];
   const bearerToken = authHeader && authHeader.split(" ")[1];
+  return bearerToken || (req.headers["token"] as string | undefined);
+}
 
-  // Check custom token header (for Gun/Wormhole compatibility)
-  const customToken = req.headers["token"] as string | undefined;
-
-  // Accept either format
-  const token = bearerToken || customToken;
+/**
+ * Resolve the caller: an operator session (X-Session-Token, sessionToken
+ * cookie or a `shogun-session-` bearer token) or the admin password
+ */
+export function getRequestPrincipal(req: Request): Principal | null {
+  const ip = req.ip || req.socket?.remoteAddress || "unknown";
+  const token = getRequestToken(req);
+  const sessionToken =
+    (req.headers["x-session-token"] as string | undefined) ||
+    req.cookies?.sessionToken ||
+    (token?.startsWith(SESSION_TOKEN_PREFIX) ? token : undefined);
 
-  if (!token) {
-    log.warn(
-      {
-        ip: req.ip || req.connection.remoteAddress,
-        path: req.path,
-      },
-      "Admin auth failed - no token"
-    );
-    res.status(401).json({
-      success: false,
-      error: "Unauthorized - Admin token required",
-    });
-    return;
+  if (sessionToken) {
+    const session = getSession(sessionToken, ip);
+    if (session) return session;
   }
 
-  // Secure comparison using hash and timing-safe comparison
-  const tokenHash = hashToken(token);
   const adminHash = getAdminPasswordHash();
-
-  if (!adminHash) {
-    log.error("Admin password not configured");
-    res.status(503).json({
-      success: false,
-      error: "Server configuration error",
-    });
-    return;
+  if (token && adminHash && secureCompare(hashToken(token), adminHash)) {
+    return { username: null, role: "admin" };
   }
+  return null;
+}
+
+/**
+ * Name recorded in audit logs for the caller
+ */
+export function getActor(req: Request): string {
+  const operator = (req as any).operator as Principal | undefined;
+  if (operator) return operator.username ?? "admin-password";
+  const apiKey = (req as any).apiKey;
+  return apiKey ? `api-key:${apiKey.keyId}` : "anonymous";
+}
+
+/**
+ * Build an admin middleware requiring at least `role`. The admin password
+ * always passes.
+ */
+export function adminAuth(role: OperatorRole = "admin"): RequestHandler {
+  return (req: Request, res: Response, next: NextFunction): void => {
+    const ip = req.ip || req.connection.remoteAddress;
+    const token = getRequestToken(req);
+    const principal = getRequestPrincipal(req);
+
+    if (!principal) {
+      if (!token && !req.headers["x-session-token"] && !req.cookies?.sessionToken) {
+        log.warn({ ip, path: req.path }, "Admin auth failed - no token");
+        res.status(401).json({
+          success: false,
+          error: "Unauthorized - Admin token required",
+        });
+        return;
+      }
+      if (token && !token.startsWith(SESSION_TOKEN_PREFIX) && !getAdminPasswordHash()) {
+        log.error("Admin password not configured");
+        res.status(503).json({
+          success: false,
+          error: "Server configuration error",
+        });
+        return;
+      }
+      log.warn({ ip, path: req.path, hasToken: !!token }, "Admin auth failed - invalid token");
+      res.status(401).json({
+        success: false,
+        error: "Unauthorized - Invalid admin token",
+      });
+      return;
+    }
+
+    if (!hasRole(principal.role, role)) {
+      log.warn(
+        { ip, path: req.path, operator: principal.username, role: principal.role, required: role },
+        "Admin auth failed - role too low"
+      );
+      res.status(403).json({
+        success: false,
+        error: `Forbidden - requires role: ${role}`,
+      });
+      return;
+    }
 
-  if (secureCompare(tokenHash, adminHash)) {
     log.debug(
-      {
-        ip: req.ip || req.connection.remoteAddress,
-        path: req.path,
-      },
+      { ip, path: req.path, operator: principal.username },
       "Admin authentication successful"
     );
+    (req as any).operator = principal;
     next();
-  } else {
-    log.warn(
-      {
-        ip: req.ip || req.connection.remoteAddress,
-        path: req.path,
-        hasToken: !!token,
-      },
-      "Admin auth failed - invalid token"
-    );
-    res.status(401).json({
-      success: false,
-      error: "Unauthorized - Invalid admin token",
-    });
-  }
+  };
 }
+
+/**
+ * Admin authentication middleware (admin role)
+ * Requires the admin password or an admin operator session
+ */
+export const adminAuthMiddleware: RequestHandler = adminAuth("admin");
@@ -0,0 +1,193 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import express from "express";
+import request from "supertest";
+import fs from "fs";
+
+vi.mock("../config", () => ({
+  authConfig: { adminPassword: "admin-secret" },
+}));
+
+vi.mock("../utils/logger", () => ({
+  loggers: {
+    server: {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn(),
+    },
+  },
+}));
+
+// Keep the key store off the real data directory
+vi.mock("fs", () => ({
+  default: {
+    existsSync: vi.fn().mockReturnValue(false),
+    mkdirSync: vi.fn(),
+    readFileSync: vi.fn(),
+    writeFileSync: vi.fn(),
+  },
+}));
+
+import { adminOrApiKeyAuth } from "./admin-or-api-key-auth";
+import {
+  checkApiKey,
+  generateApiKey,
+  isIpAllowed,
+  listApiKeys,
+  resetApiKeyStoreCache,
+} from "../utils/api-keys-store";
+
+describe("adminOrApiKeyAuth", () => {
+  let app: express.Application;
+
+  beforeEach(() => {
+    resetApiKeyStoreCache();
+    vi.mocked(fs.writeFileSync).mockClear();
+
+    app = express();
+    app.post("/upload", adminOrApiKeyAuth("ipfs:upload"), (req, res) => {
+      res.json({ success: true, authType: (req as any).authType });
+    });
+    app.post("/gc", adminOrApiKeyAuth("ipfs:gc"), (req, res) => {
+      res.json({ success: true });
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("accepts the admin token for any scope", async () => {
+    const response = await request(app).post("/gc").set("Authorization", "Bearer admin-secret");
+    expect(response.status).toBe(200);
+  });
+
+  it("enforces scopes on API keys", async () => {
+    const { token } = generateApiKey("ci", { scopes: ["ipfs:upload"] });
+
+    const allowed = await request(app).post("/upload").set("Authorization", `Bearer ${token}`);
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.authType).toBe("apiKey");
+
+    const denied = await request(app).post("/gc").set("Authorization", `Bearer ${token}`);
+    expect(denied.status).toBe(403);
+  });
+
+  it("stores only the hash of the token", () => {
+    const { token } = generateApiKey("ci", { scopes: ["ipfs:pin"] });
+    const written = String(vi.mocked(fs.writeFileSync).mock.calls.at(-1)?.[1]);
+    expect(written).not.toContain(token);
+    expect(written).toContain("ipfs:pin");
+  });
+
+  it("does not rewrite the store on every validation", () => {
+    const { token } = generateApiKey("ci", { scopes: ["ipfs:upload"] });
+    const writes = vi.mocked(fs.writeFileSync).mock.calls.length;
+
+    for (let i = 0; i < 5; i++) {
+      expect(checkApiKey(token).ok).toBe(true);
+    }
+    expect(vi.mocked(fs.writeFileSync).mock.calls.length).toBe(writes);
+  });
+
+  it("rejects expired keys", async () => {
+    const { token } = generateApiKey("ci", { scopes: ["ipfs:upload"], expiresInDays: 1 });
+
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(Date.now() + 2 * 24 * 60 * 60 * 1000);
+    const response = await request(app).post("/upload").set("Authorization", `Bearer ${token}`);
+    expect(response.status).toBe(401);
+    expect(response.body.error).toMatch(/expired/);
+  });
+
+  it("enforces the daily request and byte quotas", async () => {
+    const { token } = generateApiKey("ci", {
+      scopes: ["ipfs:upload"],
+      quota: { maxRequestsPerDay: 2, maxBytesPerDay: 10 },
+    });
+
+    const tooLarge = await request(app)
+      .post("/upload")
+      .set("Authorization", `Bearer ${token}`)
+      .set("Content-Type", "text/plain")
+      .send("x".repeat(11));
+    expect(tooLarge.status).toBe(413);
+
+    await request(app).post("/upload").set("Authorization", `Bearer ${token}`).expect(200);
+    await request(app).post("/upload").set("Authorization", `Bearer ${token}`).expect(200);
+    const limited = await request(app).post("/upload").set("Authorization", `Bearer ${token}`);
+    expect(limited.status).toBe(429);
+
+    expect(listApiKeys()[0].usage.requests).toBe(2);
+  });
+
+  it("requires a Content-Length from keys with a byte quota", async () => {
+    const limited = generateApiKey("limited", {
+      scopes: ["ipfs:upload"],
+      quota: { maxBytesPerDay: 10 },
+    });
+    const unlimited = generateApiKey("unlimited", { scopes: ["ipfs:upload"] });
+    app.post("/stream", adminOrApiKeyAuth("ipfs:upload"), express.text(), (req, res) => {
+      res.json({ received: req.body.length });
+    });
+
+    // No Content-Length: the body is sent chunked
+    const sendChunked = (token: string) =>
+      new Promise<request.Response>((resolve, reject) => {
+        const req = request(app)
+          .post("/stream")
+          .set("Authorization", `Bearer ${token}`)
+          .set("Content-Type", "text/plain");
+        req.write("x".repeat(6));
+        req.write("x".repeat(6));
+        req.end((error, response) => (error ? reject(error) : resolve(response)));
+      });
+
+    const refused = await sendChunked(limited.token);
+    expect(refused.status).toBe(411);
+    expect(listApiKeys().find((key) => key.name === "limited")!.usage).toMatchObject({
+      requests: 0,
+      bytes: 0,
+    });
+
+    const accepted = await sendChunked(unlimited.token);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.received).toBe(12);
+
+    await request(app)
+      .post("/stream")
+      .set("Authorization", `Bearer ${limited.token}`)
+      .set("Content-Type", "text/plain")
+      .send("x".repeat(8))
+      .expect(200);
+    await request(app)
+      .post("/stream")
+      .set("Authorization", `Bearer ${limited.token}`)
+      .set("Content-Type", "text/plain")
+      .send("x".repeat(3))
+      .expect(413);
+  });
+
+  it("restricts keys to their allowed CIDRs", () => {
+    const { token } = generateApiKey("ci", {
+      scopes: ["ipfs:upload"],
+      allowedCidrs: ["10.0.0.0/8"],
+    });
+
+    expect(checkApiKey(token, { ip: "10.1.2.3" }).ok).toBe(true);
+    expect(checkApiKey(token, { ip: "::ffff:10.1.2.3" }).ok).toBe(true);
+    expect(checkApiKey(token, { ip: "192.168.1.1" })).toMatchObject({
+      ok: false,
+      reason: "ip_not_allowed",
+    });
+  });
+
+  it("validates key options", () => {
+    expect(() => generateApiKey("ci", { scopes: [] })).toThrow(/scope/);
+    expect(() => generateApiKey("ci", { scopes: ["root"] })).toThrow(/Unknown scope/);
+    expect(() => generateApiKey("ci", { scopes: ["ipfs:pin"], allowedCidrs: ["nope"] })).toThrow(
+      /CIDR/
+    );
+    expect(isIpAllowed("2001:db8::1", ["2001:db8::/32"])).toBe(true);
+  });
+});
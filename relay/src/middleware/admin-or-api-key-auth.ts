@@ -1,104 +1,147 @@
 /**
  * Admin or API Key Authentication Middleware
  *
- * Accepts either admin token OR valid API key
+ * Accepts either admin token, an operator session OR valid API key
  * Can be used by any service (IPFS, etc.)
+ *
+ * API keys must carry the scopes a route requires, must not be expired,
+ * must come from an allowed address and must be within their daily quotas.
+ * Operators need the role that covers those scopes.
  */
 
-import { Request, Response, NextFunction } from "express";
-import { secureCompare, hashToken } from "../utils/security";
-import { authConfig } from "../config";
-import { validateApiKey } from "../utils/api-keys-store";
+import { Request, Response, NextFunction, RequestHandler } from "express";
+import { ApiKeyRejection, ApiKeyScope, checkApiKey, hasScopes } from "../utils/api-keys-store";
+import { OperatorRole, hasRole } from "../utils/operators";
 import { loggers } from "../utils/logger";
+import { getRequestPrincipal, getRequestToken } from "./admin-auth";
 
 const log = loggers.server || console;
 
-// Cache admin password hash (computed once)
-let adminPasswordHash: string | null = null;
+// Operator role needed for what each API key scope allows
+const SCOPE_ROLES: Record<ApiKeyScope, OperatorRole> = {
+  "ipfs:read": "viewer",
+  "ipfs:upload": "pin-operator",
+  "ipfs:pin": "pin-operator",
+  "ipfs:gc": "pin-operator",
+  "uploads:write": "admin",
+  "drive:manage": "admin",
+  "gun:write": "admin",
+};
 
-function getAdminPasswordHash(): string | null {
-  if (!adminPasswordHash && authConfig.adminPassword) {
-    adminPasswordHash = hashToken(authConfig.adminPassword);
-  }
-  return adminPasswordHash;
-}
+const REJECTIONS: Record<ApiKeyRejection, { status: number; error: string }> = {
+  invalid: { status: 401, error: "Unauthorized - Invalid token or API key" },
+  expired: { status: 401, error: "Unauthorized - API key has expired" },
+  ip_not_allowed: { status: 403, error: "Forbidden - API key not allowed from this address" },
+  request_quota_exceeded: { status: 429, error: "API key daily request quota exceeded" },
+  byte_quota_exceeded: { status: 413, error: "API key daily byte quota exceeded" },
+  length_required: {
+    status: 411,
+    error: "Content-Length is required for API keys with a byte quota",
+  },
+};
 
 /**
- * Admin or API Key authentication middleware
- * Accepts either admin token OR valid API key
+ * Build an admin-or-API-key middleware that requires `scopes` from API keys.
+ * The admin token always passes; operators need the role covering `scopes`.
  */
-export async function adminOrApiKeyAuthMiddleware(
-  req: Request,
-  res: Response,
-  next: NextFunction
-): Promise<void> {
-  // Check Authorization header (Bearer token)
-  const authHeader = req.headers["authorization"];
-  const bearerToken = authHeader && authHeader.split(" ")[1];
-
-  // Check custom token header (for compatibility)
-  const customToken = req.headers["token"] as string | undefined;
+export function adminOrApiKeyAuth(scopes: ApiKeyScope | ApiKeyScope[] = []): RequestHandler {
+  const required = Array.isArray(scopes) ? scopes : [scopes];
 
-  // Accept either format
-  const token = bearerToken || customToken;
+  return (req: Request, res: Response, next: NextFunction): void => {
+    // Bearer token or custom token header (for compatibility)
+    const token = getRequestToken(req);
+    const ip = req.ip || req.connection.remoteAddress;
 
-  if (!token) {
-    log.warn(
-      {
-        ip: req.ip || req.connection.remoteAddress,
-        path: req.path,
-      },
-      "Auth failed - no token"
-    );
-    res.status(401).json({
-      success: false,
-      error: "Unauthorized - Token or API key required",
-    });
-    return;
-  }
-
-  // First, try admin token authentication
-  const tokenHash = hashToken(token);
-  const adminHash = getAdminPasswordHash();
-
-  if (adminHash && secureCompare(tokenHash, adminHash)) {
-    log.debug({ ip: req.ip, path: req.path }, "Auth: Admin token accepted");
-    return next();
-  }
-
-  // If admin token fails, try API key authentication
-  if (token.startsWith("shogun-api-")) {
-    try {
-      const keyData = validateApiKey(token);
-      if (keyData) {
-        log.debug(
+    // First, try the admin token and operator sessions
+    const principal = getRequestPrincipal(req);
+    if (principal) {
+      const role = required.reduce<OperatorRole>(
+        (highest, scope) => (hasRole(highest, SCOPE_ROLES[scope]) ? highest : SCOPE_ROLES[scope]),
+        "viewer"
+      );
+      if (!hasRole(principal.role, role)) {
+        log.warn(
           {
-            ip: req.ip || req.connection.remoteAddress,
+            ip,
             path: req.path,
-            keyId: keyData.keyId,
+            operator: principal.username,
+            role: principal.role,
+            required: role,
           },
-          "Auth: API key accepted"
+          "Auth failed - operator role too low"
         );
+        res.status(403).json({ success: false, error: `Forbidden - requires role: ${role}` });
+        return;
+      }
+      log.debug({ ip, path: req.path, operator: principal.username }, "Auth: Admin token accepted");
+      (req as any).authType = "admin";
+      (req as any).operator = principal;
+      return next();
+    }
+
+    if (!token) {
+      log.warn({ ip, path: req.path }, "Auth failed - no token");
+      res.status(401).json({
+        success: false,
+        error: "Unauthorized - Token or API key required",
+      });
+      return;
+    }
+
+    // Otherwise, try API key authentication
+    if (token.startsWith("shogun-api-")) {
+      try {
+        // Node never reads more body than Content-Length, so the declared size
+        // is what gets charged; chunked bodies declare none
+        const bytes = parseInt(String(req.headers["content-length"] || "0")) || 0;
+        const unknownLength =
+          req.headers["content-length"] === undefined &&
+          req.headers["transfer-encoding"] !== undefined;
+        const result = checkApiKey(token, { ip, bytes, unknownLength });
+
+        if (!result.ok) {
+          const rejection = REJECTIONS[result.reason];
+          log.warn(
+            { ip, path: req.path, keyId: result.key?.keyId, reason: result.reason },
+            "Auth failed - API key rejected"
+          );
+          res.status(rejection.status).json({ success: false, error: rejection.error });
+          return;
+        }
+
+        if (!hasScopes(result.key, required)) {
+          log.warn(
+            { ip, path: req.path, keyId: result.key.keyId, required, scopes: result.key.scopes },
+            "Auth failed - API key missing scope"
+          );
+          res.status(403).json({
+            success: false,
+            error: `Forbidden - API key requires scope: ${required.join(", ")}`,
+          });
+          return;
+        }
+
+        log.debug({ ip, path: req.path, keyId: result.key.keyId }, "Auth: API key accepted");
         // Attach key info to request for logging/auditing
-        (req as any).apiKey = keyData;
+        (req as any).apiKey = result.key;
+        (req as any).authType = "apiKey";
         return next();
+      } catch (error: any) {
+        log.error({ err: error }, "Error validating API key");
       }
-    } catch (error: any) {
-      log.error({ err: error }, "Error validating API key");
     }
-  }
 
-  // Both authentication methods failed
-  log.warn(
-    {
-      ip: req.ip || req.connection.remoteAddress,
-      path: req.path,
-      hasToken: !!token,
-    },
-    "Auth failed - invalid token or API key"
-  );
-  res.status(401).json({
-    success: false,
-    error: "Unauthorized - Invalid token or API key",
-  });
+    // Both authentication methods failed
+    log.warn({ ip, path: req.path, hasToken: !!token }, "Auth failed - invalid token or API key");
+    res.status(401).json({
+      success: false,
+      error: "Unauthorized - Invalid token or API key",
+    });
+  };
 }
+
+/**
+ * Admin or API Key authentication middleware
+ * Accepts either admin token OR valid API key (no specific scope required)
+ */
+export const adminOrApiKeyAuthMiddleware: RequestHandler = adminOrApiKeyAuth();
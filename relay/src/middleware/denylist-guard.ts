@@ -0,0 +1,47 @@
+/**
+ * Denylist Guard Middleware
+ *
+ * Stops requests for content on the CID denylist before they reach IPFS.
+ * Reads get 410 Gone, like a gateway serving a denylist; pin requests are
+ * refused with 403 and recorded in the moderation audit log.
+ */
+
+import { Request, Response, NextFunction } from "express";
+import { findBlock, parseContentPath, recordModeration } from "../utils/denylist";
+import type { ModerationAction } from "../utils/denylist";
+import { loggers } from "../utils/logger";
+
+export const BLOCKED_MESSAGE = "Content blocked by this relay's denylist";
+
+/**
+ * @param locate Returns the requested content ("cid" or "cid/path"), if any
+ * @param options.audit Record refusals under this moderation action
+ */
+export function denylistGuard(
+  locate: (req: Request) => unknown,
+  options: { status?: number; audit?: ModerationAction } = {}
+) {
+  return (req: Request, res: Response, next: NextFunction): void => {
+    const target = locate(req);
+    if (typeof target !== "string" || !target) return next();
+
+    const { cid, path } = parseContentPath(target);
+    const match = findBlock(cid, path);
+    if (!match) return next();
+
+    loggers.server.warn({ cid, path, rule: match.id, route: req.path }, "🚫 Denylisted content");
+    if (options.audit) {
+      recordModeration({
+        action: options.audit,
+        cid,
+        path: path || undefined,
+        entryId: match.kind === "entry" ? match.id : undefined,
+        listId: match.kind === "list" ? match.id : undefined,
+        ip: req.ip,
+        ok: false,
+        error: "blocked",
+      });
+    }
+    res.status(options.status ?? 410).json({ success: false, error: BLOCKED_MESSAGE });
+  };
+}
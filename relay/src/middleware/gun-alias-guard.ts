@@ -1,4 +1,5 @@
 import { loggers } from "../utils/logger";
+import { emitRelayEvent } from "../utils/event-bus";
 
 const log = loggers.server;
 
@@ -49,6 +50,7 @@ export function gunAliasGuard(gun: any) {
                     { alias, existingPubs, unauthorizedPubs },
                     "Blocked unauthorized alias registration attempt"
                   );
+                  emitRelayEvent("alias.blocked", { alias, existingPubs, unauthorizedPubs });
                   
                   // Block the message
                   if (msg['#']) {
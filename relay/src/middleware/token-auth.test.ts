@@ -1,10 +1,14 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
-import { isValidSession, createSession } from "./token-auth";
+import express from "express";
+import request from "supertest";
+import { isValidSession, createSession, tokenAuthMiddleware } from "./token-auth";
 
 // Mock dependencies
 vi.mock("../config/env-config", () => ({
   authConfig: {
+    adminPassword: "admin-secret",
     strictSessionIp: true,
+    operatorsDbPath: ":memory:",
   },
   serverConfig: {
     nodeEnv: "development",
@@ -15,6 +19,7 @@ vi.mock("../utils/logger", () => ({
   loggers: {
     server: {
       warn: vi.fn(),
+      debug: vi.fn(),
     },
   },
 }));
@@ -85,4 +90,34 @@ describe("token-auth", () => {
       authConfig.strictSessionIp = true;
     });
   });
+
+  describe("tokenAuthMiddleware", () => {
+    const app = express();
+    app.get("/admin", tokenAuthMiddleware, (req, res) => res.json({ success: true }));
+
+    it("issues a session for the admin password only when none is presented", async () => {
+      const login = await request(app)
+        .get("/admin")
+        .set("Authorization", "Bearer admin-secret")
+        .expect(200);
+      const sessionId = login.headers["x-session-token"];
+      expect(sessionId).toBeTruthy();
+
+      const again = await request(app)
+        .get("/admin")
+        .set("Authorization", "Bearer admin-secret")
+        .set("X-Session-Token", sessionId)
+        .expect(200);
+      expect(again.headers["x-session-token"]).toBeUndefined();
+
+      // An unknown session is replaced
+      const stale = await request(app)
+        .get("/admin")
+        .set("Authorization", "Bearer admin-secret")
+        .set("X-Session-Token", "shogun-session-unknown")
+        .expect(200);
+      expect(stale.headers["x-session-token"]).toBeTruthy();
+      expect(stale.headers["x-session-token"]).not.toBe(sessionId);
+    });
+  });
 });
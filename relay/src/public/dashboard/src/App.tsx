@@ -6,6 +6,7 @@ import Files from "./views/Files";
 // Torrents import removed
 import Settings from "./views/Settings";
 import ApiKeys from "./views/ApiKeys";
+import Moderation from "./views/Moderation";
 import Charts from "./views/Charts";
 import ApiDocs from "./views/ApiDocs";
 import VisualGraph from "./views/VisualGraph";
@@ -20,6 +21,7 @@ function App() {
         <Route path="files" element={<Files />} />
         {/* Torrents route removed */}
         <Route path="api-keys" element={<ApiKeys />} />
+        <Route path="moderation" element={<Moderation />} />
         <Route path="charts" element={<Charts />} />
         <Route path="visual-graph" element={<VisualGraph />} />
         <Route path="graph-explorer" element={<GraphExplorer />} />
@@ -78,6 +78,22 @@ const Icons = {
       <circle cx="7.5" cy="15.5" r="5.5" />
     </svg>
   ),
+  moderation: (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      width="18"
+      height="18"
+      viewBox="0 0 24 24"
+      fill="none"
+      stroke="currentColor"
+      strokeWidth="2"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+    >
+      <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10" />
+      <path d="m4.9 4.9 14.2 14.2" />
+    </svg>
+  ),
   charts: (
     <svg
       xmlns="http://www.w3.org/2000/svg"
@@ -176,6 +192,7 @@ const navItems: NavItem[] = [
   { path: "/stats", icon: Icons.stats, label: "Live Stats", group: "main" },
   { path: "/files", icon: Icons.files, label: "Files", group: "storage" },
   { path: "/api-keys", icon: Icons.apiKeys, label: "API Keys", group: "tools" },
+  { path: "/moderation", icon: Icons.moderation, label: "Moderation", group: "tools" },
   { path: "/charts", icon: Icons.charts, label: "Charts", group: "tools" },
   { path: "/visual-graph", icon: Icons.visualGraph, label: "Visual Graph", group: "tools" },
   { path: "/graph-explorer", icon: Icons.graphExplorer, label: "Graph Explorer", group: "tools" },
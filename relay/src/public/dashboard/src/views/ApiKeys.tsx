@@ -5,10 +5,22 @@ interface ApiKey {
   keyId: string;
   name: string;
   keyPrefix: string;
+  scopes: string[];
   createdAt: number;
+  expiresAt: number | null;
+  allowedCidrs: string[];
+  quota: { maxRequestsPerDay: number | null; maxBytesPerDay: number | null };
+  usage: { day: string; requests: number; bytes: number };
   lastUsed?: number;
 }
 
+const formatBytes = (bytes: number) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
 const ApiKeys: React.FC = () => {
   const { getAuthHeaders, password } = useAuth();
   const [keys, setKeys] = useState<ApiKey[]>([]);
@@ -17,6 +29,12 @@ const ApiKeys: React.FC = () => {
   const [newKeyName, setNewKeyName] = useState("");
   const [generatedToken, setGeneratedToken] = useState<string | null>(null);
   const [generating, setGenerating] = useState(false);
+  const [availableScopes, setAvailableScopes] = useState<string[]>([]);
+  const [selectedScopes, setSelectedScopes] = useState<string[]>([]);
+  const [expiresInDays, setExpiresInDays] = useState("");
+  const [allowedCidrs, setAllowedCidrs] = useState("");
+  const [maxRequestsPerDay, setMaxRequestsPerDay] = useState("");
+  const [maxBytesMBPerDay, setMaxBytesMBPerDay] = useState("");
 
   const fetchKeys = async () => {
     try {
@@ -37,13 +55,34 @@ const ApiKeys: React.FC = () => {
     }
   };
 
+  const fetchScopes = async () => {
+    try {
+      const response = await fetch("/api/v1/api-keys/scopes", {
+        headers: getAuthHeaders(),
+      });
+      const data = await response.json();
+      if (data.success) {
+        setAvailableScopes(data.scopes);
+      }
+    } catch (err) {
+      // Scope list is optional for rendering the table
+    }
+  };
+
   useEffect(() => {
     fetchKeys();
+    fetchScopes();
   }, [password]);
 
+  const toggleScope = (scope: string) => {
+    setSelectedScopes((prev) =>
+      prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]
+    );
+  };
+
   const handleGenerate = async (e: React.FormEvent) => {
     e.preventDefault();
-    if (!newKeyName) return;
+    if (!newKeyName || selectedScopes.length === 0) return;
 
     try {
       setGenerating(true);
@@ -53,12 +92,27 @@ const ApiKeys: React.FC = () => {
           "Content-Type": "application/json",
           ...getAuthHeaders(),
         },
-        body: JSON.stringify({ name: newKeyName }),
+        body: JSON.stringify({
+          name: newKeyName,
+          scopes: selectedScopes,
+          expiresInDays: expiresInDays ? Number(expiresInDays) : undefined,
+          allowedCidrs: allowedCidrs
+            .split(",")
+            .map((c) => c.trim())
+            .filter(Boolean),
+          maxRequestsPerDay: maxRequestsPerDay ? Number(maxRequestsPerDay) : undefined,
+          maxBytesPerDay: maxBytesMBPerDay ? Number(maxBytesMBPerDay) * 1024 * 1024 : undefined,
+        }),
       });
       const data = await response.json();
       if (data.success) {
         setGeneratedToken(data.token);
         setNewKeyName("");
+        setSelectedScopes([]);
+        setExpiresInDays("");
+        setAllowedCidrs("");
+        setMaxRequestsPerDay("");
+        setMaxBytesMBPerDay("");
         fetchKeys();
       } else {
         alert(data.error || "Failed to generate API key");
@@ -95,26 +149,85 @@ const ApiKeys: React.FC = () => {
         <div className="card-body">
           <h2 className="card-title text-2xl font-bold mb-4">API Keys</h2>
           <p className="text-base-content/70 mb-6">
-            Generate stateless API keys for automated access to the relay (Uploads, IPFS, etc.). 
-            These keys provide admin-level access to the endpoints they support.
+            Generate API keys for automated access to the relay (Uploads, IPFS, etc.).
+            Each key only reaches the endpoints covered by its scopes, and can be limited by
+            expiry, source network and daily quotas.
           </p>
 
-          <form onSubmit={handleGenerate} className="flex gap-4 mb-8">
-            <input
-              type="text"
-              placeholder="Key Name (e.g. My Script)"
-              className="input input-bordered flex-1"
-              value={newKeyName}
-              onChange={(e) => setNewKeyName(e.target.value)}
-              disabled={generating}
-            />
-            <button 
-              type="submit" 
-              className={`btn btn-primary ${generating ? "loading" : ""}`}
-              disabled={generating || !newKeyName}
-            >
-              Generate New Key
-            </button>
+          <form onSubmit={handleGenerate} className="space-y-4 mb-8">
+            <div className="flex gap-4">
+              <input
+                type="text"
+                placeholder="Key Name (e.g. My Script)"
+                className="input input-bordered flex-1"
+                value={newKeyName}
+                onChange={(e) => setNewKeyName(e.target.value)}
+                disabled={generating}
+              />
+              <button
+                type="submit"
+                className={`btn btn-primary ${generating ? "loading" : ""}`}
+                disabled={generating || !newKeyName || selectedScopes.length === 0}
+              >
+                Generate New Key
+              </button>
+            </div>
+
+            <div>
+              <p className="text-sm font-semibold mb-2">Scopes</p>
+              <div className="flex flex-wrap gap-4">
+                {availableScopes.map((scope) => (
+                  <label key={scope} className="label cursor-pointer gap-2">
+                    <input
+                      type="checkbox"
+                      className="checkbox checkbox-sm checkbox-primary"
+                      checked={selectedScopes.includes(scope)}
+                      onChange={() => toggleScope(scope)}
+                      disabled={generating}
+                    />
+                    <span className="label-text font-mono text-xs">{scope}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <input
+                type="number"
+                min="1"
+                placeholder="Expires in days (optional)"
+                className="input input-bordered input-sm"
+                value={expiresInDays}
+                onChange={(e) => setExpiresInDays(e.target.value)}
+                disabled={generating}
+              />
+              <input
+                type="text"
+                placeholder="Allowed CIDRs, comma separated"
+                className="input input-bordered input-sm"
+                value={allowedCidrs}
+                onChange={(e) => setAllowedCidrs(e.target.value)}
+                disabled={generating}
+              />
+              <input
+                type="number"
+                min="1"
+                placeholder="Max requests / day"
+                className="input input-bordered input-sm"
+                value={maxRequestsPerDay}
+                onChange={(e) => setMaxRequestsPerDay(e.target.value)}
+                disabled={generating}
+              />
+              <input
+                type="number"
+                min="1"
+                placeholder="Max MB / day"
+                className="input input-bordered input-sm"
+                value={maxBytesMBPerDay}
+                onChange={(e) => setMaxBytesMBPerDay(e.target.value)}
+                disabled={generating}
+              />
+            </div>
           </form>
 
           {generatedToken && (
@@ -138,6 +251,9 @@ const ApiKeys: React.FC = () => {
                 <tr>
                   <th>Name</th>
                   <th>Prefix</th>
+                  <th>Scopes</th>
+                  <th>Restrictions</th>
+                  <th>Usage (today)</th>
                   <th>Created</th>
                   <th>Last Used</th>
                   <th>Actions</th>
@@ -145,14 +261,43 @@ const ApiKeys: React.FC = () => {
               </thead>
               <tbody>
                 {loading ? (
-                  <tr><td colSpan={5} className="text-center">Loading...</td></tr>
+                  <tr><td colSpan={8} className="text-center">Loading...</td></tr>
                 ) : keys.length === 0 ? (
-                  <tr><td colSpan={5} className="text-center opacity-50 italic">No API keys found.</td></tr>
+                  <tr><td colSpan={8} className="text-center opacity-50 italic">No API keys found.</td></tr>
                 ) : (
                   keys.map((key) => (
                     <tr key={key.keyId}>
                       <td className="font-medium">{key.name}</td>
                       <td className="font-mono text-xs">{key.keyPrefix}</td>
+                      <td>
+                        <div className="flex flex-wrap gap-1">
+                          {(key.scopes || []).map((scope) => (
+                            <span key={scope} className="badge badge-outline badge-sm font-mono">
+                              {scope}
+                            </span>
+                          ))}
+                        </div>
+                      </td>
+                      <td className="text-xs">
+                        <div>
+                          {key.expiresAt
+                            ? `${key.expiresAt < Date.now() ? "Expired" : "Expires"} ${new Date(key.expiresAt).toLocaleDateString()}`
+                            : "No expiry"}
+                        </div>
+                        {key.allowedCidrs?.length > 0 && (
+                          <div className="font-mono">{key.allowedCidrs.join(", ")}</div>
+                        )}
+                      </td>
+                      <td className="text-xs">
+                        <div>
+                          {key.usage?.requests ?? 0}
+                          {key.quota?.maxRequestsPerDay ? ` / ${key.quota.maxRequestsPerDay}` : ""} req
+                        </div>
+                        <div>
+                          {formatBytes(key.usage?.bytes ?? 0)}
+                          {key.quota?.maxBytesPerDay ? ` / ${formatBytes(key.quota.maxBytesPerDay)}` : ""}
+                        </div>
+                      </td>
                       <td className="text-sm">{new Date(key.createdAt).toLocaleString()}</td>
                       <td className="text-sm">
                         {key.lastUsed ? new Date(key.lastUsed).toLocaleString() : "Never"}
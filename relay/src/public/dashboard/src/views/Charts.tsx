@@ -21,6 +21,14 @@ interface MetricPoint {
   v: number;
 }
 
+interface HistoryPoint {
+  ts: number;
+  avg: number;
+  max: number;
+}
+
+const HISTORY_RANGES = ["1h", "24h", "7d", "30d", "1y"];
+
 function Charts() {
   const { isAuthenticated, getAuthHeaders } = useAuth();
   const [loading, setLoading] = useState(true);
@@ -29,6 +37,11 @@ function Charts() {
   // Local history for metrics not historically tracked by backend
   const [localHistory, setLocalHistory] = useState<any[]>([]);
 
+  // Persisted history (minute/hour/day rollups)
+  const [historyRange, setHistoryRange] = useState("24h");
+  const [history, setHistory] = useState<{ resolution: string; series: Record<string, HistoryPoint[]> } | null>(null);
+  const [historyError, setHistoryError] = useState<string | null>(null);
+
   const loadStats = useCallback(async () => {
     try {
       const response = await fetch("/api/v1/system/stats.json", { headers: getAuthHeaders() });
@@ -55,6 +68,32 @@ function Charts() {
     }
   }, [getAuthHeaders]);
 
+  const loadHistory = useCallback(async () => {
+    try {
+      const response = await fetch(
+        `/api/v1/system/metrics/history?metrics=msgRate,byteRate,peers,heapUsed&range=${historyRange}`,
+        { headers: getAuthHeaders() }
+      );
+      const data = await response.json();
+      if (data.success) {
+        setHistory({ resolution: data.resolution, series: data.series });
+        setHistoryError(null);
+      } else {
+        setHistoryError(data.error || "History unavailable");
+      }
+    } catch (error) {
+      setHistoryError("History unavailable");
+    }
+  }, [getAuthHeaders, historyRange]);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadHistory();
+      const interval = setInterval(loadHistory, 60000);
+      return () => clearInterval(interval);
+    }
+  }, [isAuthenticated, loadHistory]);
+
   useEffect(() => {
     if (isAuthenticated) {
       loadStats();
@@ -103,6 +142,27 @@ function Charts() {
     Zen: pt.zen || 0
   }));
 
+  // Merge the history series into one row per timestamp
+  const formatHistoryTime = (ts: number) =>
+    history?.resolution === "minute"
+      ? new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : history?.resolution === "hour"
+        ? new Date(ts).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' })
+        : new Date(ts).toLocaleDateString();
+  const historyRows: Record<number, any> = {};
+  for (const [metric, points] of Object.entries(history?.series || {})) {
+    for (const pt of points) {
+      if (!historyRows[pt.ts]) historyRows[pt.ts] = { time: formatHistoryTime(pt.ts) };
+      const row = historyRows[pt.ts];
+      row[metric] = metric === "heapUsed" ? pt.avg / 1024 / 1024 : pt.avg;
+      row[`${metric}Max`] = pt.max;
+    }
+  }
+  const historyData = Object.keys(historyRows)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((ts) => historyRows[ts]);
+
   const opMixData = [
     { name: 'PUT', value: stats.putCount || 0 },
     { name: 'GET', value: stats.getCount || 0 },
@@ -252,7 +312,70 @@ function Charts() {
           </div>
         </div>
       </div>
-      
+
+      {/* Long-range history */}
+      <div className="card bg-base-100 shadow">
+        <div className="card-body">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <h3 className="card-title text-lg">📈 History</h3>
+            <div className="join">
+              {HISTORY_RANGES.map((range) => (
+                <button
+                  key={range}
+                  className={`btn btn-xs join-item ${historyRange === range ? "btn-primary" : "btn-ghost"}`}
+                  onClick={() => setHistoryRange(range)}
+                >
+                  {range}
+                </button>
+              ))}
+            </div>
+          </div>
+          {historyError ? (
+            <div className="alert alert-warning text-sm">{historyError}</div>
+          ) : historyData.length === 0 ? (
+            <p className="text-base-content/60 text-sm">No history recorded for this range yet (sampled once a minute).</p>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="h-64">
+                <p className="text-sm text-base-content/70 mb-1">Messages/s and peers ({history?.resolution} averages)</p>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={historyData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#444" opacity={0.3} />
+                    <XAxis dataKey="time" stroke="#888" fontSize={10} minTickGap={24} />
+                    <YAxis yAxisId="left" stroke="#888" fontSize={10} />
+                    <YAxis yAxisId="right" orientation="right" allowDecimals={false} stroke="#888" fontSize={10} />
+                    <Tooltip
+                      contentStyle={{ backgroundColor: "#050f14", border: "1px solid #00ffe5", borderRadius: "4px" }}
+                      itemStyle={{ color: "#7ecfdf" }}
+                    />
+                    <Legend verticalAlign="top" height={36} />
+                    <Line yAxisId="left" type="monotone" dataKey="msgRate" name="msg/s" stroke="#00ffe5" dot={false} isAnimationActive={false} />
+                    <Line yAxisId="right" type="stepAfter" dataKey="peers" name="Peers" stroke="#00ff8c" dot={false} isAnimationActive={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="h-64">
+                <p className="text-sm text-base-content/70 mb-1">Bandwidth and heap</p>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={historyData}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#444" opacity={0.3} />
+                    <XAxis dataKey="time" stroke="#888" fontSize={10} minTickGap={24} />
+                    <YAxis yAxisId="left" stroke="#888" fontSize={10} tickFormatter={(v) => (v ? formatBytes(v) : "0")} />
+                    <YAxis yAxisId="right" orientation="right" stroke="#888" fontSize={10} unit=" MB" />
+                    <Tooltip
+                      contentStyle={{ backgroundColor: "#050f14", border: "1px solid #00b4ff", borderRadius: "4px" }}
+                      itemStyle={{ color: "#7ecfdf" }}
+                    />
+                    <Legend verticalAlign="top" height={36} />
+                    <Line yAxisId="left" type="monotone" dataKey="byteRate" name="bytes/s" stroke="#00b4ff" dot={false} isAnimationActive={false} />
+                    <Line yAxisId="right" type="monotone" dataKey="heapUsed" name="Heap (MB)" stroke="#ff00e5" dot={false} isAnimationActive={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
     </div>
   );
 }
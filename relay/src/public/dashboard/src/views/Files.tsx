@@ -11,6 +11,37 @@ interface Pin {
   metadata?: any
 }
 
+interface QuotaUsage {
+  usedBytes: number
+  fileCount: number
+  limitBytes: number | null
+  percent: number | null
+}
+
+interface QuotaSummary {
+  relay: QuotaUsage & { warning: boolean; warningThreshold: number; rebuiltAt: number | null }
+  users: Array<QuotaUsage & { userAddress: string }>
+}
+
+interface SearchHit {
+  hash: string
+  name: string
+  userAddress: string
+  contentType: string | null
+  fileSize: number
+  isDirectory: boolean
+  fileCount: number
+  labels: string[]
+  uploadedAt: number
+  matchedFiles: Array<{ path: string; size: number | null }>
+}
+
+interface SearchFacets {
+  types: Record<string, number>
+  users: Array<{ userAddress: string; count: number; bytes: number }>
+  sizes: Record<string, number>
+}
+
 interface PreviewState {
   cid: string
   name: string
@@ -45,6 +76,28 @@ function Files() {
   const [encryptUpload, setEncryptUpload] = useState(false)
   const [preview, setPreview] = useState<PreviewState | null>(null)
   const [fileNameOverride, setFileNameOverride] = useState('')
+  const [quota, setQuota] = useState<QuotaSummary | null>(null)
+  const [rebuildingQuota, setRebuildingQuota] = useState(false)
+
+  // Upload search (server-side index of the systemhash records)
+  const [uploadQuery, setUploadQuery] = useState('')
+  const [debouncedUploadQuery, setDebouncedUploadQuery] = useState('')
+  const [searchType, setSearchType] = useState('')
+  const [searchUser, setSearchUser] = useState('')
+  const [searchSort, setSearchSort] = useState('newest')
+  const [searchResults, setSearchResults] = useState<SearchHit[]>([])
+  const [searchFacets, setSearchFacets] = useState<SearchFacets | null>(null)
+  const [searchTotal, setSearchTotal] = useState(0)
+  const [searchCursor, setSearchCursor] = useState<string | null>(null)
+  const [searching, setSearching] = useState(false)
+  const [searchError, setSearchError] = useState('')
+
+  useEffect(() => {
+    const handler = setTimeout(() => {
+      setDebouncedUploadQuery(uploadQuery)
+    }, 300)
+    return () => clearTimeout(handler)
+  }, [uploadQuery])
 
   const fileInputRef = useRef<HTMLInputElement>(null)
   const dirInputRef = useRef<HTMLInputElement>(null)
@@ -82,9 +135,68 @@ function Files() {
     }
   }, [getAuthHeaders])
 
+  const fetchQuota = useCallback(async () => {
+    try {
+      const res = await fetch('/api/v1/quota', { headers: getAuthHeaders() })
+      const data = await res.json()
+      if (data.success) setQuota(data)
+    } catch (error) {
+      console.error('Failed to fetch storage quota:', error)
+    }
+  }, [getAuthHeaders])
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchPins()
+      fetchQuota()
+    }
+  }, [isAuthenticated, fetchPins, fetchQuota])
+
+  const searchUploads = useCallback(async (cursor?: string) => {
+    setSearching(true)
+    try {
+      const params = new URLSearchParams({ sort: searchSort, limit: '20' })
+      if (debouncedUploadQuery) params.set('q', debouncedUploadQuery)
+      if (searchType) params.set('type', searchType)
+      if (searchUser) params.set('user', searchUser)
+      if (cursor) params.set('cursor', cursor)
+      // Facets only change with the filters, not from page to page
+      if (cursor) params.set('facets', 'false')
+
+      const res = await fetch(`/api/v1/user-uploads/search?${params}`, { headers: getAuthHeaders() })
+      const data = await res.json()
+      if (!data.success) {
+        setSearchError(data.error || 'Search failed')
+        return
+      }
+      setSearchError('')
+      setSearchResults(prev => cursor ? [...prev, ...data.results] : data.results)
+      setSearchTotal(data.total)
+      setSearchCursor(data.nextCursor)
+      if (!cursor) setSearchFacets(data.facets)
+    } catch (error) {
+      console.error('Failed to search uploads:', error)
+      setSearchError('Search failed')
+    } finally {
+      setSearching(false)
+    }
+  }, [getAuthHeaders, debouncedUploadQuery, searchType, searchUser, searchSort])
+
   useEffect(() => {
-    if (isAuthenticated) fetchPins()
-  }, [isAuthenticated, fetchPins])
+    if (isAuthenticated) searchUploads()
+  }, [isAuthenticated, searchUploads])
+
+  const handleRebuildQuota = async () => {
+    setRebuildingQuota(true)
+    try {
+      await fetch('/api/v1/quota/rebuild', { method: 'POST', headers: getAuthHeaders() })
+      await fetchQuota()
+    } catch (error) {
+      console.error('Failed to rebuild storage usage:', error)
+    } finally {
+      setRebuildingQuota(false)
+    }
+  }
 
   const filteredPins = useMemo(() => {
     return pins.filter(pin => {
@@ -179,8 +291,16 @@ function Files() {
           setStatusMessage('✅ Upload complete!')
           await saveMetadata(result, files, uploadMode === 'directory')
           fetchPins()
+          fetchQuota()
+          searchUploads()
         } else {
-          setStatusMessage(`❌ Upload failed: ${xhr.statusText}`)
+          let reason = xhr.statusText
+          try {
+            reason = JSON.parse(xhr.responseText).error || reason
+          } catch {
+            // Non-JSON error body
+          }
+          setStatusMessage(`❌ Upload failed: ${reason}`)
         }
         setUploading(false)
       }
@@ -216,7 +336,15 @@ function Files() {
         isEncrypted: encryptUpload && !isDir,
         contentType: isDir ? 'application/directory' : (mainFile.type || 'application/octet-stream'),
         isDirectory: isDir,
-        fileCount: files.length
+        fileCount: files.length,
+        // Lets the upload search find files inside the directory by path
+        files: isDir ? Array.from(files).map(file => ({
+          name: file.name,
+          // @ts-ignore
+          path: file.webkitRelativePath || file.name,
+          size: file.size,
+          mimetype: file.type
+        })) : undefined
       }
 
       await fetch('/api/v1/user-uploads/save-system-hash', {
@@ -354,6 +482,73 @@ function Files() {
         </div>
       </div>
 
+      {/* Storage Quota */}
+      {quota && (
+        <div className="glass-card rounded-3xl p-8">
+          <div className="flex items-center justify-between mb-6 flex-wrap gap-2">
+            <div className="flex items-center gap-2">
+              <div className="w-2 h-6 bg-secondary rounded-full"></div>
+              <h3 className="font-black text-lg uppercase tracking-widest opacity-80">Storage Quota</h3>
+            </div>
+            <button className="btn btn-ghost btn-xs font-bold" onClick={handleRebuildQuota} disabled={rebuildingQuota}>
+              {rebuildingQuota ? <span className="loading loading-spinner loading-xs"></span> : '🔄'} REBUILD FROM SYSTEMHASH
+            </button>
+          </div>
+
+          <div className="flex justify-between text-sm mb-2">
+            <span className="font-bold">{formatBytes(quota.relay.usedBytes)} used</span>
+            <span className="opacity-60">
+              {quota.relay.limitBytes ? `of ${formatBytes(quota.relay.limitBytes)}` : 'no relay limit'} • {quota.relay.fileCount} files
+            </span>
+          </div>
+          {quota.relay.percent !== null && (
+            <progress
+              className={`progress w-full ${quota.relay.warning ? 'progress-warning' : 'progress-primary'}`}
+              value={Math.min(quota.relay.percent, 100)}
+              max="100"
+            ></progress>
+          )}
+          {quota.relay.warning && (
+            <p className="text-xs text-warning font-bold mt-2">
+              ⚠️ Relay storage is above {quota.relay.warningThreshold}% of its limit
+            </p>
+          )}
+
+          {quota.users.length > 0 && (
+            <div className="overflow-x-auto mt-6">
+              <table className="table table-sm">
+                <thead>
+                  <tr>
+                    <th>User</th>
+                    <th>Files</th>
+                    <th>Used</th>
+                    <th>Limit</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {quota.users.slice(0, 10).map(user => (
+                    <tr key={user.userAddress}>
+                      <td className="font-mono text-xs">{user.userAddress}</td>
+                      <td>{user.fileCount}</td>
+                      <td>{formatBytes(user.usedBytes)}</td>
+                      <td>
+                        {user.limitBytes ? (
+                          <span className={user.percent !== null && user.percent >= 100 ? 'text-error font-bold' : ''}>
+                            {formatBytes(user.limitBytes)} ({user.percent}%)
+                          </span>
+                        ) : (
+                          <span className="opacity-50">unlimited</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Modern Upload Section */}
       <div className="glass-card overflow-hidden rounded-3xl">
         <div className="p-8">
@@ -455,6 +650,113 @@ function Files() {
         </div>
       </div>
 
+      {/* Upload Search */}
+      <div className="glass-card rounded-3xl p-8">
+        <div className="flex items-center justify-between mb-6 flex-wrap gap-4">
+          <div className="flex items-center gap-2">
+            <div className="w-2 h-6 bg-accent rounded-full"></div>
+            <h3 className="font-black text-lg uppercase tracking-widest opacity-80">Search Uploads</h3>
+            <div className="badge bg-accent/10 text-accent border-0 font-black">{searchTotal}</div>
+          </div>
+          <div className="flex gap-3 flex-1 md:flex-none justify-end flex-wrap">
+            <input
+              type="text"
+              className="input input-bordered input-sm bg-base-100/50 border-base-content/10 rounded-2xl text-sm md:w-72"
+              placeholder="Name or path inside a directory..."
+              value={uploadQuery}
+              onChange={e => setUploadQuery(e.target.value)}
+            />
+            <select
+              className="select select-bordered select-sm bg-base-100/50 border-base-content/10 rounded-2xl text-xs font-bold"
+              value={searchUser}
+              onChange={e => setSearchUser(e.target.value)}
+            >
+              <option value="">ALL USERS</option>
+              {searchFacets?.users.map(user => (
+                <option key={user.userAddress} value={user.userAddress}>
+                  {user.userAddress || '(none)'} ({user.count})
+                </option>
+              ))}
+            </select>
+            <select
+              className="select select-bordered select-sm bg-base-100/50 border-base-content/10 rounded-2xl text-xs font-bold"
+              value={searchSort}
+              onChange={e => setSearchSort(e.target.value)}
+            >
+              <option value="newest">NEWEST</option>
+              <option value="oldest">OLDEST</option>
+              <option value="largest">LARGEST</option>
+              <option value="smallest">SMALLEST</option>
+              <option value="name">NAME</option>
+            </select>
+          </div>
+        </div>
+
+        {searchFacets && (
+          <div className="flex flex-wrap gap-2 mb-4">
+            <button
+              className={`badge badge-lg border-0 font-bold cursor-pointer ${searchType === '' ? 'bg-accent text-accent-content' : 'bg-base-300/50'}`}
+              onClick={() => setSearchType('')}
+            >
+              all
+            </button>
+            {Object.entries(searchFacets.types).map(([type, count]) => (
+              <button
+                key={type}
+                className={`badge badge-lg border-0 font-bold cursor-pointer ${searchType === type ? 'bg-accent text-accent-content' : 'bg-base-300/50'}`}
+                onClick={() => setSearchType(searchType === type ? '' : type)}
+              >
+                {type} ({count})
+              </button>
+            ))}
+          </div>
+        )}
+
+        {searchError ? (
+          <p className="text-xs text-error font-bold">❌ {searchError}</p>
+        ) : searchResults.length === 0 ? (
+          <p className="text-sm opacity-40 font-medium">{searching ? 'Searching...' : 'No uploads match these filters'}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="table table-sm">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>User</th>
+                  <th>Type</th>
+                  <th>Size</th>
+                  <th>Uploaded</th>
+                </tr>
+              </thead>
+              <tbody>
+                {searchResults.map(hit => (
+                  <tr key={hit.hash}>
+                    <td className="max-w-xs">
+                      <div className="font-bold truncate" title={hit.name}>{hit.isDirectory ? '📁' : '📄'} {hit.name}</div>
+                      <div className="font-mono text-[10px] opacity-40 truncate">{hit.hash}</div>
+                      {hit.matchedFiles.map(file => (
+                        <div key={file.path} className="font-mono text-[10px] text-accent truncate">↳ {file.path}</div>
+                      ))}
+                    </td>
+                    <td className="font-mono text-xs">{hit.userAddress}</td>
+                    <td className="text-xs">{hit.isDirectory ? `${hit.fileCount} files` : hit.contentType || 'unknown'}</td>
+                    <td className="text-xs">{formatBytes(hit.fileSize)}</td>
+                    <td className="text-xs">{hit.uploadedAt ? new Date(hit.uploadedAt).toLocaleDateString() : '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {searchCursor && (
+              <div className="flex justify-center mt-4">
+                <button className="btn btn-ghost btn-xs font-bold" onClick={() => searchUploads(searchCursor)} disabled={searching}>
+                  {searching ? <span className="loading loading-spinner loading-xs"></span> : 'LOAD MORE'}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
       {/* Modern Search & Pins Grid */}
       <div className="flex flex-col gap-6">
         <div className="flex flex-wrap items-center justify-between gap-4 px-2">
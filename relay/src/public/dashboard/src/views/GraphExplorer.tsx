@@ -132,6 +132,30 @@ function GraphExplorer() {
     document.body.removeChild(element);
   };
 
+  // Subgraph under the current path, three levels of references deep
+  const handleExportSubgraph = async (format: "ndjson" | "jsonld") => {
+    try {
+      const params = new URLSearchParams({ soul: currentPath, depth: "3", format, engine });
+      const response = await fetch(`/api/v1/graph/export?${params}`, {
+        headers: getAuthHeaders(),
+      });
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        alert("Export failed: " + (result.error || response.status));
+        return;
+      }
+      const element = document.createElement("a");
+      element.href = URL.createObjectURL(await response.blob());
+      element.download = `delay-graph-${Date.now()}.${format}`;
+      document.body.appendChild(element);
+      element.click();
+      document.body.removeChild(element);
+    } catch (err) {
+      console.error(err);
+      alert("Failed to export subgraph");
+    }
+  };
+
   const parseValue = (val: string) => {
     try {
       return JSON.parse(val);
@@ -277,10 +301,16 @@ function GraphExplorer() {
             </button>
             {peerStatus && <span className="text-sm ml-2">{peerStatus}</span>}
           </div>
-          <div>
+          <div className="flex gap-2">
             <button className="btn btn-sm btn-outline" onClick={handleSnapshot}>
               ⬇ Export Snapshot
             </button>
+            <button className="btn btn-sm btn-outline" onClick={() => handleExportSubgraph("ndjson")}>
+              ⬇ Subgraph (NDJSON)
+            </button>
+            <button className="btn btn-sm btn-outline" onClick={() => handleExportSubgraph("jsonld")}>
+              ⬇ Subgraph (JSON-LD)
+            </button>
           </div>
         </div>
       </div>
@@ -1,4 +1,4 @@
-import { useEffect, useState } from 'react'
+import { useCallback, useEffect, useState } from 'react'
 import { useAuth } from '../context/AuthContext'
 
 interface PeerStats {
@@ -9,6 +9,18 @@ interface PeerStats {
   msgCount: number
   bytesSent: number
   uptime: number
+  throttled?: number
+  throttleReason?: string | null
+  lastThrottledAt?: number | null
+}
+
+interface PeerBan {
+  target: string
+  reason: string
+  source: 'auto' | 'admin'
+  by: string | null
+  createdAt: number
+  expiresAt: number | null
 }
 
 interface SystemStats {
@@ -28,6 +40,8 @@ interface SystemStats {
   getCount?: number
   ackCount?: number
   errorCount?: number
+  throttledCount?: number
+  banCount?: number
   dam?: { in?: { rate: number }, out?: { rate: number } }
 }
 
@@ -48,6 +62,25 @@ function LiveStats() {
   const [lastUpdated, setLastUpdated] = useState<Date | null>(null)
   const [newPeerUrl, setNewPeerUrl] = useState('')
   const [addingPeer, setAddingPeer] = useState(false)
+  const [bans, setBans] = useState<PeerBan[]>([])
+  const [banTarget, setBanTarget] = useState('')
+  const [banMinutes, setBanMinutes] = useState('')
+  const [banning, setBanning] = useState(false)
+
+  const fetchBans = useCallback(async () => {
+    try {
+      const res = await fetch('/api/v1/system/peers/bans', { headers: getAuthHeaders() })
+      const data = await res.json()
+      if (data.success) setBans(data.bans)
+    } catch (error) { console.error('Failed to fetch peer bans:', error) }
+  }, [getAuthHeaders])
+
+  useEffect(() => {
+    if (!isAuthenticated) return
+    fetchBans()
+    const interval = setInterval(fetchBans, 10000)
+    return () => clearInterval(interval)
+  }, [isAuthenticated, fetchBans])
 
   useEffect(() => {
     async function fetchData() {
@@ -115,6 +148,37 @@ function LiveStats() {
     finally { setAddingPeer(false) }
   }
 
+  const handleBan = async (e: React.FormEvent) => {
+    e.preventDefault()
+    if (!banTarget) return
+    setBanning(true)
+    try {
+      const res = await fetch('/api/v1/system/peers/bans', {
+        method: 'POST',
+        headers: { ...getAuthHeaders(), 'Content-Type': 'application/json' },
+        // Empty duration: the relay's PEER_BAN_SECS
+        body: JSON.stringify({ target: banTarget.trim(), ...(banMinutes ? { durationSecs: Number(banMinutes) * 60 } : {}) })
+      })
+      const data = await res.json()
+      if (data.success) { setBanTarget(''); setBanMinutes(''); fetchBans() }
+      else alert(data.error || 'Failed to ban peer')
+    } catch { alert('Network error') }
+    finally { setBanning(false) }
+  }
+
+  const handleUnban = async (target: string) => {
+    if (!confirm(`Lift the ban on ${target}?`)) return
+    try {
+      const res = await fetch(`/api/v1/system/peers/bans/${encodeURIComponent(target)}`, { method: 'DELETE', headers: getAuthHeaders() })
+      const data = await res.json()
+      if (data.success) fetchBans()
+      else alert(data.error || 'Failed to lift ban')
+    } catch { alert('Network error') }
+  }
+
+  // A peer counts as throttled while it had messages dropped in the last 10s
+  const isThrottled = (p: PeerStats) => !!p.lastThrottledAt && Date.now() - p.lastThrottledAt < 10000
+
   const formatBytes = (bytes: number) => {
     if (!bytes && bytes !== 0) return '--'
     if (bytes < 1024) return bytes + ' B'
@@ -273,7 +337,12 @@ function LiveStats() {
                 <div className="w-8 h-8 rounded-lg bg-primary/20 flex items-center justify-center text-primary text-sm font-bold shadow-sm">P</div>
                 <h3 className="font-black text-lg tracking-tight">Active Wire Peers</h3>
              </div>
-             <div className="badge bg-primary text-primary-content border-0 font-black px-4">{stats.peers.length} NODES</div>
+             <div className="flex items-center gap-2">
+               {stats.peers.some(isThrottled) && (
+                 <div className="badge bg-warning/20 text-warning border-0 font-black px-4">{stats.peers.filter(isThrottled).length} THROTTLED</div>
+               )}
+               <div className="badge bg-primary text-primary-content border-0 font-black px-4">{stats.peers.length} NODES</div>
+             </div>
            </div>
            <div className="overflow-x-auto">
              <table className="table table-md w-full border-collapse">
@@ -305,10 +374,18 @@ function LiveStats() {
                         </span>
                       </td>
                      <td className="py-4">
-                        <div className="flex items-center gap-2">
-                           <span className="w-2 h-2 rounded-full bg-success"></span>
-                           <span className="text-[10px] font-black opacity-60">STABLE</span>
-                        </div>
+                        {isThrottled(p) ? (
+                          <div className="flex items-center gap-2" title={`${(p.throttled || 0).toLocaleString()} messages dropped`}>
+                             <span className="w-2 h-2 rounded-full bg-warning animate-pulse"></span>
+                             <span className="text-[10px] font-black text-warning">THROTTLED</span>
+                             <span className="text-[10px] font-mono opacity-40">{p.throttleReason}</span>
+                          </div>
+                        ) : (
+                          <div className="flex items-center gap-2">
+                             <span className="w-2 h-2 rounded-full bg-success"></span>
+                             <span className="text-[10px] font-black opacity-60">STABLE</span>
+                          </div>
+                        )}
                      </td>
                      <td className="py-4 text-right font-mono text-xs font-bold">{(p.msgCount || 0).toLocaleString()}</td>
                      <td className="py-4 text-right font-mono text-xs font-bold text-primary">{formatBytes(p.bytesSent || 0)}</td>
@@ -321,6 +398,80 @@ function LiveStats() {
          </div>
       )}
 
+      {/* Banned Peers */}
+      {isAuthenticated && (
+        <div className="glass-card rounded-3xl overflow-hidden">
+          <div className="p-8 border-b border-base-content/5 flex flex-wrap items-center justify-between gap-6">
+            <div className="flex items-center gap-3">
+               <div className="w-8 h-8 rounded-lg bg-error/20 flex items-center justify-center text-error text-sm font-bold shadow-sm">B</div>
+               <div>
+                  <h3 className="font-black text-lg tracking-tight">Banned Peers</h3>
+                  <p className="text-[10px] font-black opacity-30 uppercase tracking-widest">
+                     {(stats?.throttledCount || 0).toLocaleString()} messages dropped / {(stats?.banCount || 0).toLocaleString()} bans since start
+                  </p>
+               </div>
+            </div>
+            <form onSubmit={handleBan} className="flex gap-2">
+              <input
+                type="text"
+                className="input input-bordered bg-base-100/50 border-base-content/10 w-full md:w-64 rounded-2xl text-sm"
+                placeholder="IP address or peer URL"
+                value={banTarget}
+                onChange={e => setBanTarget(e.target.value)}
+              />
+              <input
+                type="number"
+                min="0"
+                className="input input-bordered bg-base-100/50 border-base-content/10 w-28 rounded-2xl text-sm"
+                placeholder="Minutes"
+                title="0 = until lifted, empty = default"
+                value={banMinutes}
+                onChange={e => setBanMinutes(e.target.value)}
+              />
+              <button className="btn btn-error rounded-2xl px-6 font-black tracking-widest text-xs" disabled={banning}>
+                {banning ? <span className="loading loading-spinner loading-xs"></span> : 'BAN'}
+              </button>
+            </form>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="table table-md w-full border-collapse">
+              <thead>
+                <tr className="bg-base-300/30 text-[10px] font-black uppercase tracking-widest opacity-40">
+                  <th className="px-8 py-4">Address</th>
+                  <th className="py-4">Reason</th>
+                  <th className="py-4">Since</th>
+                  <th className="py-4">Expires</th>
+                  <th className="px-8 py-4 text-right"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-base-content/5">
+                {bans.length === 0 && (
+                  <tr><td colSpan={5} className="text-center py-20 text-xs font-black opacity-20 uppercase tracking-widest">No banned peers.</td></tr>
+                )}
+                {bans.map((ban: PeerBan) => (
+                  <tr key={ban.target} className="hover:bg-error/5 transition-colors">
+                    <td className="px-8 py-4">
+                       <span className="font-mono text-xs font-bold truncate block max-w-xs">{ban.target}</span>
+                    </td>
+                    <td className="py-4">
+                       <div className="flex flex-col">
+                          <span className="text-xs">{ban.reason}</span>
+                          <span className="text-[10px] opacity-30 font-black uppercase tracking-tighter">{ban.source === 'auto' ? 'Automatic' : `By ${ban.by || 'admin'}`}</span>
+                       </div>
+                    </td>
+                    <td className="py-4 text-xs opacity-60">{new Date(ban.createdAt).toLocaleString()}</td>
+                    <td className="py-4 text-xs opacity-60">{ban.expiresAt ? new Date(ban.expiresAt).toLocaleString() : 'Until lifted'}</td>
+                    <td className="px-8 py-4 text-right">
+                       <button className="btn btn-ghost btn-xs text-error font-black" onClick={() => handleUnban(ban.target)}>UNBAN</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Network Relays Configuration */}
       {isAuthenticated && (
         <div className="glass-card rounded-3xl overflow-hidden">
@@ -0,0 +1,358 @@
+import React, { useState, useEffect } from "react";
+import { useAuth } from "../context/AuthContext";
+
+interface DenylistEntry {
+  id: string;
+  cid: string;
+  path: string;
+  reason: string;
+  createdAt: number;
+}
+
+interface DenylistList {
+  id: string;
+  name: string;
+  source: string | null;
+  importedAt: number;
+  count: number;
+  skipped: number;
+}
+
+interface AuditEntry {
+  at: number;
+  action: string;
+  cid?: string;
+  path?: string;
+  reason?: string;
+  count?: number;
+  ip?: string;
+  ok: boolean;
+  error?: string;
+}
+
+const Moderation: React.FC = () => {
+  const { getAuthHeaders, password } = useAuth();
+  const [entries, setEntries] = useState<DenylistEntry[]>([]);
+  const [lists, setLists] = useState<DenylistList[]>([]);
+  const [audit, setAudit] = useState<AuditEntry[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [cid, setCid] = useState("");
+  const [reason, setReason] = useState("");
+  const [listName, setListName] = useState("");
+  const [listUrl, setListUrl] = useState("");
+  const [listContent, setListContent] = useState("");
+
+  const fetchDenylist = async () => {
+    try {
+      setLoading(true);
+      const [denylistResponse, auditResponse] = await Promise.all([
+        fetch("/api/v1/moderation/denylist", { headers: getAuthHeaders() }),
+        fetch("/api/v1/moderation/audit?limit=50", { headers: getAuthHeaders() }),
+      ]);
+      const data = await denylistResponse.json();
+      if (data.success) {
+        setEntries(data.entries);
+        setLists(data.lists);
+        setError(null);
+      } else {
+        setError(data.error || "Failed to fetch denylist");
+      }
+      const auditData = await auditResponse.json();
+      if (auditData.success) {
+        setAudit(auditData.entries);
+      }
+    } catch (err) {
+      setError("Network error fetching denylist");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchDenylist();
+  }, [password]);
+
+  const post = async (url: string, body: Record<string, unknown>) => {
+    try {
+      setBusy(true);
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...getAuthHeaders(),
+        },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json();
+      if (!data.success) {
+        alert(data.error || "Request failed");
+        return null;
+      }
+      fetchDenylist();
+      return data;
+    } catch (err) {
+      alert("Network error");
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!cid) return;
+    const data = await post("/api/v1/moderation/denylist", { cid, reason });
+    if (data) {
+      setCid("");
+      setReason("");
+      if (data.unpinned) alert("The CID was pinned here and has been unpinned.");
+    }
+  };
+
+  const handleImport = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!listName || (!listUrl && !listContent)) return;
+    const data = await post(
+      "/api/v1/moderation/denylist/import",
+      listContent ? { name: listName, content: listContent } : { name: listName, url: listUrl }
+    );
+    if (data) {
+      setListName("");
+      setListUrl("");
+      setListContent("");
+      alert(`Imported ${data.list.count} rules, unpinned ${data.unpinned} CIDs.`);
+    }
+  };
+
+  const handleRemove = async (path: string, label: string) => {
+    if (!confirm(`Remove ${label} from the denylist?`)) return;
+
+    try {
+      const response = await fetch(`/api/v1/moderation/denylist/${path}`, {
+        method: "DELETE",
+        headers: getAuthHeaders(),
+      });
+      const data = await response.json();
+      if (data.success) {
+        fetchDenylist();
+      } else {
+        alert(data.error || "Failed to remove");
+      }
+    } catch (err) {
+      alert("Network error removing denylist rule");
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="card bg-base-100 shadow-xl border border-base-300">
+        <div className="card-body">
+          <h2 className="card-title text-2xl font-bold mb-4">Moderation</h2>
+          <p className="text-base-content/70 mb-6">
+            Blocked content is refused by the gateway, cat, decrypt, pin and upload routes, and
+            unpinned from this relay's IPFS node. Block a single CID, a path inside one
+            (Qm.../dir/file), or import a list in the IPFS bad bits format.
+          </p>
+
+          {error && <div className="alert alert-error mb-4">{error}</div>}
+
+          <form onSubmit={handleAdd} className="flex gap-4 mb-6">
+            <input
+              type="text"
+              placeholder="CID or CID/path"
+              className="input input-bordered flex-1 font-mono"
+              value={cid}
+              onChange={(e) => setCid(e.target.value)}
+              disabled={busy}
+            />
+            <input
+              type="text"
+              placeholder="Reason (optional)"
+              className="input input-bordered flex-1"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              disabled={busy}
+            />
+            <button type="submit" className="btn btn-error" disabled={busy || !cid}>
+              Block
+            </button>
+          </form>
+
+          <div className="overflow-x-auto">
+            <table className="table w-full">
+              <thead>
+                <tr>
+                  <th>CID</th>
+                  <th>Path</th>
+                  <th>Reason</th>
+                  <th>Added</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr><td colSpan={5} className="text-center">Loading...</td></tr>
+                ) : entries.length === 0 ? (
+                  <tr><td colSpan={5} className="text-center opacity-50 italic">No blocked CIDs.</td></tr>
+                ) : (
+                  entries.map((entry) => (
+                    <tr key={entry.id}>
+                      <td className="font-mono text-xs break-all">{entry.cid}</td>
+                      <td className="font-mono text-xs">{entry.path || "—"}</td>
+                      <td className="text-sm">{entry.reason || "—"}</td>
+                      <td className="text-sm">{new Date(entry.createdAt).toLocaleString()}</td>
+                      <td>
+                        <button
+                          className="btn btn-ghost btn-xs"
+                          onClick={() => handleRemove(entry.id, entry.cid)}
+                        >
+                          Unblock
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <div className="card bg-base-100 shadow-xl border border-base-300">
+        <div className="card-body">
+          <h3 className="card-title">Imported Lists</h3>
+          <form onSubmit={handleImport} className="space-y-4 mb-6">
+            <div className="flex gap-4">
+              <input
+                type="text"
+                placeholder="List name (e.g. badbits)"
+                className="input input-bordered input-sm flex-1"
+                value={listName}
+                onChange={(e) => setListName(e.target.value)}
+                disabled={busy}
+              />
+              <input
+                type="url"
+                placeholder="https://badbits.dwebops.pub/badbits.deny"
+                className="input input-bordered input-sm flex-[2]"
+                value={listUrl}
+                onChange={(e) => setListUrl(e.target.value)}
+                disabled={busy || !!listContent}
+              />
+              <button
+                type="submit"
+                className={`btn btn-primary btn-sm ${busy ? "loading" : ""}`}
+                disabled={busy || !listName || (!listUrl && !listContent)}
+              >
+                Import
+              </button>
+            </div>
+            <textarea
+              placeholder="…or paste the list (one //hash, /ipfs/CID or CID per line)"
+              className="textarea textarea-bordered w-full font-mono text-xs"
+              rows={3}
+              value={listContent}
+              onChange={(e) => setListContent(e.target.value)}
+              disabled={busy}
+            />
+          </form>
+
+          <div className="overflow-x-auto">
+            <table className="table table-sm w-full">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Source</th>
+                  <th>Rules</th>
+                  <th>Imported</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {lists.length === 0 ? (
+                  <tr><td colSpan={5} className="text-center opacity-50 italic">No lists imported.</td></tr>
+                ) : (
+                  lists.map((list) => (
+                    <tr key={list.id}>
+                      <td className="font-medium">{list.name}</td>
+                      <td className="text-xs break-all">{list.source || "pasted"}</td>
+                      <td className="text-sm">
+                        {list.count}
+                        {list.skipped > 0 && (
+                          <span className="opacity-50"> ({list.skipped} skipped)</span>
+                        )}
+                      </td>
+                      <td className="text-sm">{new Date(list.importedAt).toLocaleString()}</td>
+                      <td>
+                        <button
+                          className="btn btn-ghost btn-xs"
+                          onClick={() => handleRemove(`lists/${list.id}`, list.name)}
+                        >
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <div className="card bg-base-100 shadow-xl border border-base-300">
+        <div className="card-body">
+          <h3 className="card-title">Audit Trail</h3>
+          <div className="overflow-x-auto">
+            <table className="table table-sm w-full">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Action</th>
+                  <th>Target</th>
+                  <th>Details</th>
+                  <th>IP</th>
+                </tr>
+              </thead>
+              <tbody>
+                {audit.length === 0 ? (
+                  <tr><td colSpan={5} className="text-center opacity-50 italic">No moderation activity yet.</td></tr>
+                ) : (
+                  audit.map((item, i) => (
+                    <tr key={`${item.at}-${i}`}>
+                      <td className="text-xs">{new Date(item.at).toLocaleString()}</td>
+                      <td>
+                        <span className={`badge badge-sm ${item.ok ? "badge-outline" : "badge-warning"}`}>
+                          {item.action}
+                        </span>
+                      </td>
+                      <td className="font-mono text-xs break-all">
+                        {item.cid ? `${item.cid}${item.path ? `/${item.path}` : ""}` : "—"}
+                      </td>
+                      <td className="text-xs">
+                        {[
+                          item.reason,
+                          item.count !== undefined
+                            ? `${item.count} ${item.action === "reject-upload" ? "blocked" : "rules"}`
+                            : "",
+                          item.error,
+                        ]
+                          .filter(Boolean)
+                          .join(" · ") || "—"}
+                      </td>
+                      <td className="font-mono text-xs">{item.ip || "—"}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Moderation;
@@ -16,11 +16,21 @@ interface StatsData {
   memory?: { heapUsed: number };
 }
 
+interface RelayQuota {
+  usedBytes: number;
+  limitBytes: number | null;
+  percent: number | null;
+  fileCount: number;
+  warning: boolean;
+  warningThreshold: number;
+}
+
 function Status() {
   const { isAuthenticated, getAuthHeaders } = useAuth();
   const [health, setHealth] = useState<HealthData | null>(null);
   const [stats, setStats] = useState<StatsData | null>(null);
   const [loading, setLoading] = useState(true);
+  const [quota, setQuota] = useState<RelayQuota | null>(null);
 
   useEffect(() => {
     async function fetchData() {
@@ -35,6 +45,12 @@ function Status() {
 
         setHealth(healthData.data || healthData);
         setStats(statsData);
+
+        if (isAuthenticated) {
+          const quotaRes = await fetch("/api/v1/quota", { headers: getAuthHeaders() });
+          const quotaData = await quotaRes.json();
+          if (quotaData.success) setQuota(quotaData.relay);
+        }
       } catch (error) {
         console.error("Failed to fetch status:", error);
       } finally {
@@ -45,7 +61,9 @@ function Status() {
     fetchData();
     const interval = setInterval(fetchData, 10000);
     return () => clearInterval(interval);
-  }, []);
+  }, [isAuthenticated]);
+
+  const formatGB = (bytes: number) => (bytes / 1024 / 1024 / 1024).toFixed(2);
 
   const formatUptime = (ms: number) => {
     const hours = Math.floor(ms / 1000 / 60 / 60);
@@ -214,6 +232,29 @@ function Status() {
              )}
           </div>
 
+          {quota && (
+            <div className={`glass-card p-6 rounded-2xl ${quota.warning ? "border-warning/40" : ""}`}>
+              <h4 className="font-bold text-sm uppercase opacity-40 mb-4 tracking-widest">Storage</h4>
+              <div className="text-2xl font-bold tracking-tight">
+                {formatGB(quota.usedBytes)} <span className="text-sm font-normal opacity-50">GB</span>
+                {quota.limitBytes !== null && (
+                  <span className="text-sm font-normal opacity-50"> / {formatGB(quota.limitBytes)} GB</span>
+                )}
+              </div>
+              {quota.percent !== null && (
+                <progress
+                  className={`progress w-full mt-2 ${quota.warning ? "progress-warning" : "progress-primary"}`}
+                  value={Math.min(quota.percent, 100)}
+                  max="100"
+                ></progress>
+              )}
+              <div className="text-xs opacity-50 mt-2">
+                {quota.fileCount} tracked files
+                {quota.warning && ` • above ${quota.warningThreshold}% warning threshold`}
+              </div>
+            </div>
+          )}
+
           <div className="glass-card p-6 rounded-2xl">
              <h4 className="font-bold text-sm uppercase opacity-40 mb-4 tracking-widest">Network Health</h4>
              <ul className="space-y-4">
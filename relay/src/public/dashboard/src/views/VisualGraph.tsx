@@ -11,6 +11,13 @@ interface GraphNode {
   value?: number;
 }
 
+interface GraphQueryNode {
+  soul: string;
+  depth: number;
+  data: Record<string, string | number | boolean | null | { "#": string }> | null;
+  refs: string[];
+}
+
 interface GraphEdge {
   from: string;
   to: string;
@@ -29,6 +36,9 @@ function VisualGraph() {
   const [engine, setEngine] = useState<"gun" | "zen">("zen"); // Default to ZEN as per user request
   const [peerUrl, setPeerUrl] = useState("");
   const [nodeCount, setNodeCount] = useState(0);
+  const [depth, setDepth] = useState(2);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [truncated, setTruncated] = useState(false);
 
   // Graph options
   const options = {
@@ -65,21 +75,30 @@ function VisualGraph() {
     height: "600px",
   };
 
-  const exploreData = async (nodePath: string) => {
+  const exploreData = async (nodePath: string, cursor?: string) => {
     if (!nodePath) return;
     setLoading(true);
 
     try {
-      // Use the generic node endpoint
-      const apiPath = engine === "zen" ? "zen/node" : "node";
-      const response = await fetch(`/api/v1/system/${apiPath}/${encodeURIComponent(nodePath)}`, {
+      // Bounded walk: `depth` levels of references, at most 1000 nodes
+      const params = new URLSearchParams({
+        soul: nodePath,
+        depth: String(depth),
+        limit: "250",
+        maxNodes: "1000",
+        engine,
+      });
+      if (cursor) params.set("cursor", cursor);
+      const response = await fetch(`/api/v1/graph?${params}`, {
         headers: getAuthHeaders(),
       });
 
       const data = await response.json();
 
-      if (data.success && data.data) {
-        processGraphData(nodePath, data.data);
+      if (data.success) {
+        processGraphData(nodePath, data.nodes, !!cursor);
+        setNextCursor(data.nextCursor);
+        setTruncated(data.truncated);
       }
     } catch (error) {
       console.error("Failed to fetch graph data:", error);
@@ -88,48 +107,47 @@ function VisualGraph() {
     }
   };
 
-  const processGraphData = (rootPath: string, data: any) => {
-    const nodes: GraphNode[] = [];
-    const edges: GraphEdge[] = [];
-    const processedNodes = new Set<string>();
+  const processGraphData = (rootPath: string, pageNodes: GraphQueryNode[], append: boolean) => {
+    const nodes: GraphNode[] = append ? [...graphData.nodes] : [];
+    const edges: GraphEdge[] = append ? [...graphData.edges] : [];
+    const byId = new Map(nodes.map((node) => [node.id, node]));
 
-    // Add root node
-    nodes.push({
-      id: rootPath,
-      label: rootPath,
-      group: "root",
-      value: 20,
-      title: `Path: ${rootPath}`,
-    });
-    processedNodes.add(rootPath);
-
-    // Process children
-    if (typeof data === "object" && data !== null) {
-      Object.entries(data).forEach(([key, value]) => {
-        // Skip metadata
-        if (key === "_") return;
+    const label = (soul: string) => soul.substring(soul.lastIndexOf("/") + 1) || soul;
+    const upsert = (node: GraphNode) => {
+      const existing = byId.get(node.id);
+      if (existing) Object.assign(existing, node);
+      else {
+        byId.set(node.id, node);
+        nodes.push(node);
+      }
+    };
 
-        const nodeId = `${rootPath}/${key}`;
-        const isObject = typeof value === "object" && value !== null;
+    for (const node of pageNodes) {
+      const fields = Object.entries(node.data || {}).filter(
+        ([, value]) => typeof value !== "object" || value === null
+      );
+      upsert({
+        id: node.soul,
+        label: label(node.soul),
+        group: node.soul === rootPath ? "root" : node.data ? "object" : "missing",
+        value: node.soul === rootPath ? 20 : 15,
+        title: node.data
+          ? `${node.soul}\n` +
+            fields
+              .slice(0, 10)
+              .map(([key, value]) => `${key}: ${String(value).substring(0, 50)}`)
+              .join("\n")
+          : `${node.soul} (empty or not loaded)`,
+      });
 
-        // Add node
-        if (!processedNodes.has(nodeId)) {
-          nodes.push({
-            id: nodeId,
-            label: key,
-            group: isObject ? "object" : "value",
-            value: isObject ? 15 : 10,
-            title: `Value: ${isObject ? JSON.stringify(value).substring(0, 50) + "..." : String(value)}`,
-          });
-          processedNodes.add(nodeId);
+      Object.entries(node.data || {}).forEach(([key, value]) => {
+        if (!value || typeof value !== "object") return;
+        const target = value["#"];
+        // Links past the depth limit stay as leaves; click one to walk from it
+        if (!byId.has(target)) {
+          upsert({ id: target, label: label(target), group: "value", value: 10, title: target });
         }
-
-        // Add edge
-        edges.push({
-          from: rootPath,
-          to: nodeId,
-          arrows: "to",
-        });
+        edges.push({ from: node.soul, to: target, label: key, arrows: "to" });
       });
     }
 
@@ -199,6 +217,11 @@ function VisualGraph() {
               </div>
               <div className="flex gap-2">
                 <span className="badge badge-lg">Nodes: {nodeCount}</span>
+                {truncated && (
+                  <span className="badge badge-lg badge-warning" title="Node budget reached">
+                    Truncated
+                  </span>
+                )}
                 <span className="badge badge-lg badge-outline">Path: {path}</span>
               </div>
             </div>
@@ -215,11 +238,33 @@ function VisualGraph() {
                 placeholder="Enter GunDB path (e.g. delay/relays)"
                 className="input input-bordered join-item w-full"
               />
+              <select
+                className="select select-bordered join-item"
+                value={depth}
+                onChange={(e) => setDepth(Number(e.target.value))}
+                title="Levels of references to follow"
+              >
+                {[0, 1, 2, 3, 4, 5].map((level) => (
+                  <option key={level} value={level}>
+                    Depth {level}
+                  </option>
+                ))}
+              </select>
               <button type="submit" className="btn btn-primary join-item" disabled={loading}>
                 {loading ? <span className="loading loading-spinner loading-xs"></span> : "Explore"}
               </button>
             </form>
 
+            {nextCursor && (
+              <button
+                className="btn btn-outline btn-sm"
+                disabled={loading}
+                onClick={() => exploreData(path, nextCursor)}
+              >
+                Load more
+              </button>
+            )}
+
             <form onSubmit={handleAddPeer} className="join">
               <input
                 type="text"
@@ -297,8 +342,8 @@ function VisualGraph() {
                 const { nodes } = event;
                 if (nodes.length > 0) {
                   const nodeId = nodes[0];
-                  // If clicking a child node that is effectively a path, explore it
-                  if (nodeId.includes("/") && nodeId !== path) {
+                  // Walk again from the clicked soul
+                  if (nodeId !== path) {
                     setPath(nodeId);
                     exploreData(nodeId);
                   }
@@ -1,5 +1,11 @@
 import { Router, Request, Response } from "express";
-import { generateApiKey, listApiKeys, revokeApiKey } from "../utils/api-keys-store";
+import {
+  API_KEY_SCOPES,
+  ApiKeyValidationError,
+  generateApiKey,
+  listApiKeys,
+  revokeApiKey,
+} from "../utils/api-keys-store";
 import { loggers } from "../utils/logger";
 
 const router: Router = Router();
@@ -17,23 +23,75 @@ router.get("/", (req: Request, res: Response) => {
   }
 });
 
+/**
+ * List the scopes a key can be granted
+ */
+router.get("/scopes", (req: Request, res: Response) => {
+  res.json({ success: true, scopes: API_KEY_SCOPES });
+});
+
 /**
  * Generate a new API key
+ * Body: { name, scopes[], expiresInDays?, allowedCidrs?[], maxRequestsPerDay?, maxBytesPerDay?,
+ *         userAddress? }
  */
-router.post("/generate", (req: Request, res: Response) => {
+function handleGenerate(req: Request, res: Response) {
   try {
-    const { name } = req.body;
+    const {
+      name,
+      scopes,
+      expiresInDays,
+      allowedCidrs,
+      maxRequestsPerDay,
+      maxBytesPerDay,
+      userAddress,
+    } = req.body || {};
     if (!name) {
       return res.status(400).json({ success: false, error: "Name is required for the API key" });
     }
+    if (!Array.isArray(scopes)) {
+      return res.status(400).json({
+        success: false,
+        error: `scopes must be an array of: ${API_KEY_SCOPES.join(", ")}`,
+      });
+    }
+    if (allowedCidrs !== undefined && !Array.isArray(allowedCidrs)) {
+      return res.status(400).json({ success: false, error: "allowedCidrs must be an array" });
+    }
+    if (userAddress !== undefined && userAddress !== null && typeof userAddress !== "string") {
+      return res.status(400).json({ success: false, error: "userAddress must be a string" });
+    }
+
+    const { token, data } = generateApiKey(name, {
+      scopes,
+      expiresInDays,
+      allowedCidrs,
+      userAddress,
+      quota: { maxRequestsPerDay, maxBytesPerDay },
+    });
 
-    const { token, data } = generateApiKey(name);
-    res.json({ success: true, token, data });
+    res.json({
+      success: true,
+      keyId: data.keyId,
+      token,
+      name: data.name,
+      scopes: data.scopes,
+      createdAt: data.createdAt,
+      expiresAt: data.expiresAt,
+      message: "Store this token now, it will not be shown again",
+      data,
+    });
   } catch (error: any) {
+    if (error instanceof ApiKeyValidationError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     loggers.server.error({ error }, "Error generating API key");
     res.status(500).json({ success: false, error: error.message });
   }
-});
+}
+
+router.post("/", handleGenerate);
+router.post("/generate", handleGenerate);
 
 /**
  * Revoke an API key
@@ -42,7 +100,7 @@ router.delete("/:keyId", (req: Request, res: Response) => {
   try {
     const { keyId } = req.params;
     const success = revokeApiKey(keyId as string);
-    
+
     if (success) {
       res.json({ success: true, message: "API key revoked successfully" });
     } else {
@@ -0,0 +1,118 @@
+import { Router, Request, Response } from "express";
+import { adminAuthMiddleware } from "../middleware/admin-auth";
+import { loggers } from "../utils/logger";
+import {
+  BackupError,
+  createSnapshot,
+  deleteBackup,
+  getBackupPath,
+  importArchive,
+  listBackups,
+  verifyArchive,
+} from "../utils/gun-backup";
+
+const router: Router = Router();
+
+router.use(adminAuthMiddleware);
+
+// The store backing the main Gun instance, set by index.ts
+const getGunStore = (req: Request): { store: any; type: string } | null => {
+  const store = req.app.get("gunBackupStore");
+  return store ? { store, type: req.app.get("gunStoreType") } : null;
+};
+
+function sendError(res: Response, error: any, message: string) {
+  if (error instanceof BackupError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  loggers.server.error({ err: error }, message);
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * List backups, newest first
+ */
+router.get("/", (req: Request, res: Response) => {
+  try {
+    res.json({ success: true, backups: listBackups() });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error listing backups");
+  }
+});
+
+/**
+ * Take a snapshot of the Gun store now
+ */
+router.post("/", async (req: Request, res: Response) => {
+  const active = getGunStore(req);
+  if (!active) {
+    return res.status(503).json({ success: false, error: "Gun persistent storage is disabled" });
+  }
+
+  try {
+    const backup = await createSnapshot(active.store, active.type);
+    res.status(201).json({ success: true, backup });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error creating backup");
+  }
+});
+
+/**
+ * Download a backup archive
+ */
+router.get("/:name", (req: Request, res: Response) => {
+  try {
+    const name = req.params.name as string;
+    res.download(getBackupPath(name), name);
+  } catch (error: any) {
+    sendError(res, error, "❌ Error downloading backup");
+  }
+});
+
+/**
+ * Check a backup's checksums without restoring it
+ */
+router.post("/:name/verify", async (req: Request, res: Response) => {
+  try {
+    const name = req.params.name as string;
+    const verification = await verifyArchive(getBackupPath(name));
+    res.json({ success: true, name, verification });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error verifying backup");
+  }
+});
+
+/**
+ * Restore a backup into the active Gun store. Gun keeps recently used data
+ * in memory, so the relay must be restarted to serve the restored graph.
+ */
+router.post("/:name/restore", async (req: Request, res: Response) => {
+  const active = getGunStore(req);
+  if (!active) {
+    return res.status(503).json({ success: false, error: "Gun persistent storage is disabled" });
+  }
+
+  try {
+    const name = req.params.name as string;
+    const result = await importArchive(getBackupPath(name), active.store);
+    loggers.server.warn({ name, ...result }, "♻️ Backup restored, restart the relay to reload");
+    res.json({ success: true, name, ...result, restartRequired: true });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error restoring backup");
+  }
+});
+
+/**
+ * Delete a backup
+ */
+router.delete("/:name", (req: Request, res: Response) => {
+  try {
+    const name = req.params.name as string;
+    deleteBackup(name);
+    res.json({ success: true, message: "Backup deleted" });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error deleting backup");
+  }
+});
+
+export default router;
@@ -0,0 +1,582 @@
+import { Router, Request, Response } from "express";
+import { randomBytes } from "crypto";
+import { adminAuthMiddleware } from "../middleware/admin-auth";
+import { getGunNode, GUN_PATHS } from "../utils/gun-paths";
+import { loggers } from "../utils/logger";
+import { loadSEA } from "../utils/sea";
+import { chatConfig, relayConfig } from "../config";
+import {
+  ChatMessage,
+  addMessages,
+  clearConversation,
+  deleteMessage,
+  getConversation,
+  getMessages,
+  listConversations,
+  markSynced,
+  setPeerInfo,
+  shouldSkipMessage,
+} from "../utils/chat-store";
+
+const router: Router = Router();
+
+const MAX_LOBBY_LIMIT = 200;
+
+/**
+ * Error carrying the HTTP status the route should answer with
+ */
+class ChatError extends Error {
+  status: number;
+
+  constructor(message: string, status: number = 400) {
+    super(message);
+    this.name = "ChatError";
+    this.status = status;
+  }
+}
+
+interface RelayIdentity {
+  gun: any;
+  pair: any;
+  pub: string;
+}
+
+/**
+ * Resolve graph instance and relay keypair, or answer 503
+ */
+function getIdentity(req: Request, res: Response): RelayIdentity | null {
+  const gun = req.app.get("zenInstance") || req.app.get("gunInstance");
+  const pair = req.app.get("relayKeyPair");
+  if (!gun || !pair?.pub) {
+    res.status(503).json({ success: false, error: "Relay identity or storage engine not ready" });
+    return null;
+  }
+  return { gun, pair, pub: pair.pub };
+}
+
+function newMessageId(): string {
+  return `${Date.now()}-${randomBytes(4).toString("hex")}`;
+}
+
+/**
+ * Conversation node shared by both participants (order independent)
+ */
+function conversationNode(gun: any, a: string, b: string): any {
+  return getGunNode(gun, GUN_PATHS.CHAT_DM).get([a, b].sort().join(":"));
+}
+
+/**
+ * Read a single value from the graph with a timeout
+ */
+function readOnce(node: any, timeoutMs: number = chatConfig.syncTimeoutMs): Promise<any> {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(null), timeoutMs);
+    node.once((data: any) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+/**
+ * Collect the children of a graph node for `syncTimeoutMs`
+ */
+function collectChildren(node: any): Promise<Record<string, any>> {
+  return new Promise((resolve) => {
+    const items: Record<string, any> = {};
+    node.map().once((data: any, key: string) => {
+      if (key === "_") return;
+      items[key] = data;
+    });
+    setTimeout(() => resolve(items), chatConfig.syncTimeoutMs);
+  });
+}
+
+function validateText(text: unknown): string | null {
+  if (typeof text !== "string" || text.trim().length === 0) {
+    return "Message text is required";
+  }
+  if (text.length > chatConfig.maxMessageLength) {
+    return `Message exceeds ${chatConfig.maxMessageLength} characters`;
+  }
+  return null;
+}
+
+/**
+ * Find the peer's encryption public key (local cache, then its signed user
+ * space). The chat directory is unsigned, so its epubs are never used.
+ */
+async function resolvePeerEpub(gun: any, pub: string): Promise<string | null> {
+  const cached = getConversation(pub)?.epub;
+  if (cached) return cached;
+
+  const userNode = await readOnce(gun.get(`~${pub}`));
+  const epub: string | undefined = userNode?.epub;
+  if (!epub) return null;
+
+  setPeerInfo(pub, { epub, alias: userNode?.alias });
+  return epub;
+}
+
+/**
+ * Publish the relay in the chat directory so peers can find its epub
+ */
+function announceRelay(identity: RelayIdentity): void {
+  getGunNode(identity.gun, GUN_PATHS.CHAT_PEERS).get(identity.pub).put({
+    pub: identity.pub,
+    epub: identity.pair.epub,
+    alias: relayConfig.name,
+    relay: true,
+    lastSeen: Date.now(),
+  });
+}
+
+/**
+ * Encrypt, sign and publish a direct message
+ */
+async function sendDirectMessage(
+  identity: RelayIdentity,
+  peerPub: string,
+  text: string
+): Promise<ChatMessage> {
+  const epub = await resolvePeerEpub(identity.gun, peerPub);
+  if (!epub) {
+    throw new ChatError("Peer encryption key not found", 404);
+  }
+
+  const SEA = await loadSEA();
+  const secret = await SEA.secret(epub, identity.pair);
+  const encrypted = await SEA.encrypt(text, secret);
+  const data = await SEA.sign(encrypted, identity.pair);
+
+  const message: ChatMessage = {
+    id: newMessageId(),
+    from: identity.pub,
+    to: peerPub,
+    text,
+    timestamp: Date.now(),
+    outgoing: true,
+  };
+
+  conversationNode(identity.gun, identity.pub, peerPub).get(message.id).put({
+    id: message.id,
+    from: message.from,
+    to: message.to,
+    timestamp: message.timestamp,
+    data,
+  });
+
+  addMessages(peerPub, [message]);
+  announceRelay(identity);
+  return message;
+}
+
+/**
+ * Pull envelopes from the graph that are not in the local store yet.
+ * Envelopes with a bad signature or from a third party are rejected.
+ */
+async function syncConversation(
+  identity: RelayIdentity,
+  peerPub: string
+): Promise<{ synced: number; rejected: number }> {
+  const epub = await resolvePeerEpub(identity.gun, peerPub);
+  if (!epub) {
+    throw new ChatError("Peer encryption key not found", 404);
+  }
+
+  const SEA = await loadSEA();
+  const secret = await SEA.secret(epub, identity.pair);
+  const envelopes = await collectChildren(conversationNode(identity.gun, identity.pub, peerPub));
+
+  const incoming: ChatMessage[] = [];
+  let rejected = 0;
+
+  for (const [key, envelope] of Object.entries(envelopes)) {
+    if (!envelope || typeof envelope !== "object" || !envelope.data) continue;
+
+    const id = envelope.id || key;
+    const timestamp = Number(envelope.timestamp) || 0;
+    if (shouldSkipMessage(peerPub, id, timestamp)) continue;
+
+    const from = envelope.from;
+    if (from !== peerPub && from !== identity.pub) {
+      rejected++;
+      continue;
+    }
+
+    try {
+      const encrypted = await SEA.verify(envelope.data, from);
+      const text = encrypted ? await SEA.decrypt(encrypted, secret) : undefined;
+      if (typeof text !== "string") {
+        rejected++;
+        continue;
+      }
+
+      incoming.push({
+        id,
+        from,
+        to: from === identity.pub ? peerPub : identity.pub,
+        text,
+        timestamp,
+        outgoing: from === identity.pub,
+      });
+    } catch (error) {
+      loggers.server.debug({ err: error, id }, "Chat: failed to open envelope");
+      rejected++;
+    }
+  }
+
+  const synced = addMessages(peerPub, incoming);
+  markSynced(peerPub);
+
+  if (rejected > 0) {
+    loggers.server.warn(
+      { peer: peerPub, rejected },
+      "⚠️ Chat: rejected invalid envelopes during sync"
+    );
+  }
+  return { synced, rejected };
+}
+
+/**
+ * Publish a signed lobby message
+ */
+async function postLobbyMessage(identity: RelayIdentity, text: string) {
+  const SEA = await loadSEA();
+  const timestamp = Date.now();
+  const id = newMessageId();
+  const sig = await SEA.sign(`${id}:${timestamp}:${text}`, identity.pair);
+
+  const message = {
+    id,
+    from: identity.pub,
+    alias: relayConfig.name,
+    text,
+    timestamp,
+    sig,
+  };
+  getGunNode(identity.gun, GUN_PATHS.CHAT_LOBBY).get(id).put(message);
+  return message;
+}
+
+/**
+ * Read the lobby, newest `limit` messages before `before` (chronological order)
+ */
+async function readLobby(identity: RelayIdentity, limit: number, before?: number) {
+  const SEA = await loadSEA();
+  const raw = await collectChildren(getGunNode(identity.gun, GUN_PATHS.CHAT_LOBBY));
+
+  const candidates = Object.values(raw)
+    .filter(
+      (item: any) =>
+        item &&
+        typeof item === "object" &&
+        typeof item.text === "string" &&
+        typeof item.from === "string" &&
+        (!before || Number(item.timestamp) < before)
+    )
+    .sort((a: any, b: any) => Number(b.timestamp) - Number(a.timestamp))
+    .slice(0, limit);
+
+  const messages = [];
+  for (const item of candidates as any[]) {
+    let verified = false;
+    if (item.sig) {
+      try {
+        const signed = await SEA.verify(item.sig, item.from);
+        verified = signed === `${item.id}:${item.timestamp}:${item.text}`;
+      } catch {
+        verified = false;
+      }
+    }
+    messages.push({
+      id: item.id,
+      from: item.from,
+      alias: item.alias || null,
+      text: item.text,
+      timestamp: Number(item.timestamp),
+      verified,
+    });
+  }
+
+  return messages.reverse();
+}
+
+function sendError(res: Response, error: unknown, message: string) {
+  if (error instanceof ChatError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  loggers.server.error({ err: error }, `❌ ${message}`);
+  const errorMessage = error instanceof Error ? error.message : String(error);
+  return res.status(500).json({ success: false, error: errorMessage });
+}
+
+// All chat routes act as the relay identity: admin only
+router.use(adminAuthMiddleware);
+
+/**
+ * Known chat peers (from the chat directory)
+ */
+router.get("/peers", async (req: Request, res: Response) => {
+  const identity = getIdentity(req, res);
+  if (!identity) return;
+
+  try {
+    announceRelay(identity);
+    const entries = await collectChildren(getGunNode(identity.gun, GUN_PATHS.CHAT_PEERS));
+    const peers = Object.entries(entries)
+      .filter(
+        ([pub, peer]) => pub !== identity.pub && peer && typeof peer === "object" && peer.epub
+      )
+      .map(([pub, peer]) => ({
+        pub,
+        alias: peer.alias || null,
+        relay: !!peer.relay,
+        lastSeen: peer.lastSeen || null,
+      }))
+      .sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+
+    res.json({ success: true, relayPub: identity.pub, peers });
+  } catch (error) {
+    sendError(res, error, "Chat peers error");
+  }
+});
+
+/**
+ * Conversations with last message preview
+ */
+router.get("/conversations", (req: Request, res: Response) => {
+  try {
+    res.json({ success: true, conversations: listConversations() });
+  } catch (error) {
+    sendError(res, error, "Chat conversations error");
+  }
+});
+
+/**
+ * Delete a conversation locally and retract the relay's own envelopes
+ */
+router.delete("/conversations/:pub", (req: Request, res: Response) => {
+  const identity = getIdentity(req, res);
+  if (!identity) return;
+
+  try {
+    const pub = req.params.pub as string;
+    const removed = clearConversation(pub);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: "Conversation not found" });
+    }
+
+    const node = conversationNode(identity.gun, identity.pub, pub);
+    removed.filter((m) => m.outgoing).forEach((m) => node.get(m.id).put(null));
+
+    res.json({ success: true, message: "Conversation deleted", removed: removed.length });
+  } catch (error) {
+    sendError(res, error, "Chat delete conversation error");
+  }
+});
+
+/**
+ * Messages of a conversation (local store; use /sync to pull new ones)
+ */
+router.get("/messages/:pub", (req: Request, res: Response) => {
+  try {
+    const pub = req.params.pub as string;
+    res.json({ success: true, pub, messages: getMessages(pub) });
+  } catch (error) {
+    sendError(res, error, "Chat messages error");
+  }
+});
+
+/**
+ * Send an end-to-end encrypted message
+ */
+router.post("/messages/:pub", async (req: Request, res: Response) => {
+  const identity = getIdentity(req, res);
+  if (!identity) return;
+
+  const { text } = req.body || {};
+  const invalid = validateText(text);
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+
+  try {
+    const message = await sendDirectMessage(identity, req.params.pub as string, text);
+    res.json({ success: true, message });
+  } catch (error) {
+    sendError(res, error, "Chat send error");
+  }
+});
+
+/**
+ * Delete a single message (retracted from the graph if the relay sent it)
+ */
+router.delete("/messages/:pub/:messageId", (req: Request, res: Response) => {
+  const identity = getIdentity(req, res);
+  if (!identity) return;
+
+  try {
+    const pub = req.params.pub as string;
+    const removed = deleteMessage(pub, req.params.messageId as string);
+    if (!removed) {
+      return res.status(404).json({ success: false, error: "Message not found" });
+    }
+
+    if (removed.outgoing) {
+      conversationNode(identity.gun, identity.pub, pub).get(removed.id).put(null);
+    }
+    res.json({ success: true, message: "Message deleted" });
+  } catch (error) {
+    sendError(res, error, "Chat delete message error");
+  }
+});
+
+/**
+ * Pull missed messages for a conversation from Gun/ZEN
+ */
+router.post("/sync/:pub", async (req: Request, res: Response) => {
+  const identity = getIdentity(req, res);
+  if (!identity) return;
+
+  try {
+    const pub = req.params.pub as string;
+    const result = await syncConversation(identity, pub);
+    res.json({ success: true, ...result, messages: getMessages(pub) });
+  } catch (error) {
+    sendError(res, error, "Chat sync error");
+  }
+});
+
+/**
+ * Public lobby: ?limit=50&before=<timestamp>
+ */
+router.get("/lobby", async (req: Request, res: Response) => {
+  const identity = getIdentity(req, res);
+  if (!identity) return;
+
+  try {
+    const limit = Math.min(
+      Math.max(parseInt(String(req.query.limit || "50")) || 50, 1),
+      MAX_LOBBY_LIMIT
+    );
+    const before = req.query.before ? parseInt(String(req.query.before)) || undefined : undefined;
+    const messages = await readLobby(identity, limit, before);
+
+    res.json({
+      success: true,
+      messages,
+      limit,
+      nextBefore: messages.length === limit ? messages[0].timestamp : null,
+    });
+  } catch (error) {
+    sendError(res, error, "Chat lobby read error");
+  }
+});
+
+/**
+ * Post to the public lobby
+ */
+router.post("/lobby", async (req: Request, res: Response) => {
+  const identity = getIdentity(req, res);
+  if (!identity) return;
+
+  const { text } = req.body || {};
+  const invalid = validateText(text);
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
+  }
+
+  try {
+    const message = await postLobbyMessage(identity, text);
+    res.json({ success: true, message });
+  } catch (error) {
+    sendError(res, error, "Chat lobby post error");
+  }
+});
+
+const CONSOLE_HELP = [
+  "help                 Show this help",
+  "whoami               Show the relay chat identity",
+  "peers                List known chat peers",
+  "conversations        List conversations",
+  "sync <pub>           Pull missed messages from <pub>",
+  "msg <pub> <text>     Send an encrypted message to <pub>",
+  "lobby <text>         Post to the public lobby",
+].join("\n");
+
+/**
+ * Text console for operators: { command: "msg <pub> hello" }
+ */
+router.post("/console", async (req: Request, res: Response) => {
+  const identity = getIdentity(req, res);
+  if (!identity) return;
+
+  const { command } = req.body || {};
+  if (typeof command !== "string" || !command.trim()) {
+    return res.status(400).json({ success: false, error: "Command is required" });
+  }
+
+  const [name, ...args] = command.trim().split(/\s+/);
+  const rest = command.trim().substring(name.length).trim();
+
+  try {
+    let output: string;
+    switch (name.toLowerCase()) {
+      case "help":
+        output = CONSOLE_HELP;
+        break;
+      case "whoami":
+        output = `${relayConfig.name} ${identity.pub}`;
+        break;
+      case "conversations": {
+        const conversations = listConversations();
+        output = conversations.length
+          ? conversations.map((c) => `${c.alias || c.pub} (${c.messageCount} messages)`).join("\n")
+          : "No conversations";
+        break;
+      }
+      case "peers": {
+        const entries = await collectChildren(getGunNode(identity.gun, GUN_PATHS.CHAT_PEERS));
+        const pubs = Object.keys(entries).filter((pub) => pub !== identity.pub && entries[pub]);
+        output = pubs.length
+          ? pubs.map((pub) => `${entries[pub].alias || "-"} ${pub}`).join("\n")
+          : "No peers";
+        break;
+      }
+      case "sync": {
+        if (!args[0]) throw new ChatError("Usage: sync <pub>", 400);
+        const result = await syncConversation(identity, args[0]);
+        output = `Synced ${result.synced} message(s), rejected ${result.rejected}`;
+        break;
+      }
+      case "msg": {
+        const text = rest.substring((args[0] || "").length).trim();
+        if (!args[0] || !text) throw new ChatError("Usage: msg <pub> <text>", 400);
+        const invalid = validateText(text);
+        if (invalid) throw new ChatError(invalid, 400);
+        const message = await sendDirectMessage(identity, args[0], text);
+        output = `Sent ${message.id}`;
+        break;
+      }
+      case "lobby": {
+        const invalid = validateText(rest);
+        if (invalid) throw new ChatError("Usage: lobby <text>", 400);
+        const message = await postLobbyMessage(identity, rest);
+        output = `Posted ${message.id}`;
+        break;
+      }
+      default:
+        return res.status(400).json({
+          success: false,
+          error: `Unknown command: ${name}. Type "help" for a list of commands.`,
+        });
+    }
+
+    res.json({ success: true, command: name, output });
+  } catch (error) {
+    sendError(res, error, "Chat console error");
+  }
+});
+
+export default router;
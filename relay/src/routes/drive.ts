@@ -0,0 +1,352 @@
+import { Router, Request, Response } from "express";
+import multer from "multer";
+import FormData from "form-data";
+import { pipeline } from "stream/promises";
+import { loggers } from "../utils/logger";
+import { ipfsRequest, ipfsStream, ipfsUpload } from "../utils/ipfs-client";
+import { adminOrApiKeyAuth } from "../middleware/admin-or-api-key-auth";
+import {
+  DriveError,
+  createDirectory,
+  createLink,
+  deleteEntry,
+  getDriveStats,
+  getEntry,
+  isCidOrphaned,
+  listDirectory,
+  listLinks,
+  moveEntry,
+  normalizeDrivePath,
+  putFile,
+  renameEntry,
+  resolveLink,
+  revokeLink,
+} from "../utils/drive-store";
+import {
+  QuotaExceededError,
+  assertQuota,
+  getQuotaContext,
+  recordUpload,
+  releaseUpload,
+} from "../utils/storage-quota";
+
+const router: Router = Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB limit
+  },
+});
+
+/**
+ * Send a DriveError or QuotaExceededError with its status, anything else as a 500
+ */
+function handleDriveError(res: Response, error: unknown, message: string) {
+  if (error instanceof DriveError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  if (error instanceof QuotaExceededError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      scope: error.scope,
+      usage: error.usage,
+    });
+  }
+  loggers.server.error({ err: error }, `❌ ${message}`);
+  const errorMessage = error instanceof Error ? error.message : String(error);
+  return res.status(500).json({ success: false, error: errorMessage });
+}
+
+/**
+ * Unpin CIDs that are no longer referenced by the drive and release them
+ * from the storage quotas.
+ * Failures are only logged: the drive tree is already consistent.
+ */
+async function unpinOrphans(cids: string[], gun?: any) {
+  for (const cid of cids) {
+    try {
+      await ipfsRequest(`/api/v0/pin/rm?arg=${encodeURIComponent(cid)}`, { timeout: 30000 });
+      releaseUpload(cid, undefined, gun);
+      loggers.server.debug({ cid }, "📌 Drive: unpinned orphaned CID");
+    } catch (error) {
+      loggers.server.warn({ err: error, cid }, "⚠️ Drive: failed to unpin orphaned CID");
+    }
+  }
+}
+
+/**
+ * Stream a drive file from IPFS
+ */
+async function sendDriveFile(
+  res: Response,
+  entry: { name: string; cid?: string; size?: number; mimetype?: string }
+) {
+  const upstream = await ipfsStream(`/api/v0/cat?arg=${encodeURIComponent(entry.cid!)}`, {
+    timeout: 30000,
+  });
+
+  res.setHeader("Content-Type", entry.mimetype || "application/octet-stream");
+  if (typeof entry.size === "number") {
+    res.setHeader("Content-Length", entry.size);
+  }
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${encodeURIComponent(entry.name)}"; filename*=UTF-8''${encodeURIComponent(entry.name)}`
+  );
+
+  try {
+    await pipeline(upstream, res);
+  } catch (error: any) {
+    // The response has started and pipeline already closed it, so only log
+    if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+      loggers.server.warn({ err: error, cid: entry.cid }, "⚠️ Drive: download interrupted");
+    }
+  }
+}
+
+/**
+ * Public file access through a share link (no authentication)
+ */
+router.get("/public/:linkId", async (req: Request, res: Response) => {
+  try {
+    const { entry } = resolveLink(req.params.linkId as string);
+    await sendDriveFile(res, entry);
+  } catch (error) {
+    handleDriveError(res, error, "Drive public link error");
+  }
+});
+
+// Every other drive route requires admin or an API key with the drive scope
+router.use(adminOrApiKeyAuth("drive:manage"));
+
+/**
+ * List a directory
+ */
+router.get(["/list", "/list/:path(*)"], (req: Request, res: Response) => {
+  try {
+    const dirPath = normalizeDrivePath(req.params.path as string);
+    res.json({ success: true, items: listDirectory(dirPath), path: dirPath });
+  } catch (error) {
+    handleDriveError(res, error, "Drive list error");
+  }
+});
+
+/**
+ * Upload one ("file") or more ("files") files into a directory
+ */
+router.post(
+  ["/upload", "/upload/:path(*)"],
+  upload.fields([{ name: "file", maxCount: 1 }, { name: "files" }]),
+  async (req: Request, res: Response) => {
+    try {
+      const dirPath = normalizeDrivePath(req.params.path as string);
+      const fields = (req.files || {}) as Record<string, Express.Multer.File[]>;
+      const files = [...(fields.file || []), ...(fields.files || [])];
+
+      if (files.length === 0) {
+        return res.status(400).json({ success: false, error: "No file provided" });
+      }
+
+      // Fail early if the target directory does not exist
+      listDirectory(dirPath);
+
+      // Charged like /ipfs/upload: to the API key and its user, or X-User-Address
+      const quotaContext = getQuotaContext(req);
+      const gun = req.app.get("zenInstance") || req.app.get("gunInstance");
+      const totalSize = files.reduce((total, file) => total + file.size, 0);
+      assertQuota(quotaContext, totalSize);
+
+      const uploaded: Array<{ name: string; path: string; size: number }> = [];
+      const replacedCids: string[] = [];
+
+      for (const file of files) {
+        const formData = new FormData();
+        formData.append("file", file.buffer, {
+          filename: file.originalname,
+          contentType: file.mimetype,
+        });
+
+        const result = await ipfsUpload(
+          "/api/v0/add?wrap-with-directory=false&pin=true",
+          formData,
+          {
+            timeout: 60000,
+            maxRetries: 3,
+            retryDelay: 1000,
+          }
+        );
+
+        recordUpload(quotaContext, result.Hash, file.size, gun);
+
+        const { entry, replacedCid } = putFile(dirPath, file.originalname, {
+          cid: result.Hash,
+          size: file.size,
+          mimetype: file.mimetype,
+        });
+        if (replacedCid) replacedCids.push(replacedCid);
+        uploaded.push({ name: entry.name, path: entry.path, size: entry.size });
+      }
+
+      await unpinOrphans(replacedCids.filter(isCidOrphaned), gun);
+
+      loggers.server.info({ path: dirPath, count: uploaded.length }, "📤 Drive upload completed");
+
+      res.json({
+        success: true,
+        message: `${uploaded.length} file(s) uploaded`,
+        files: uploaded,
+      });
+    } catch (error) {
+      handleDriveError(res, error, "Drive upload error");
+    }
+  }
+);
+
+/**
+ * Download a file
+ */
+router.get("/download/:path(*)", async (req: Request, res: Response) => {
+  try {
+    const entry = getEntry(normalizeDrivePath(req.params.path as string));
+    if (!entry || entry.type !== "file" || !entry.cid) {
+      return res.status(404).json({ success: false, error: "File not found" });
+    }
+    await sendDriveFile(res, entry);
+  } catch (error) {
+    handleDriveError(res, error, "Drive download error");
+  }
+});
+
+/**
+ * Delete a file or directory (recursive)
+ */
+router.delete("/delete/:path(*)", async (req: Request, res: Response) => {
+  try {
+    const target = normalizeDrivePath(req.params.path as string);
+    const { removed, orphanedCids } = deleteEntry(target);
+    await unpinOrphans(orphanedCids, req.app.get("zenInstance") || req.app.get("gunInstance"));
+
+    res.json({ success: true, message: `Deleted ${target} (${removed} item(s))` });
+  } catch (error) {
+    handleDriveError(res, error, "Drive delete error");
+  }
+});
+
+/**
+ * Create a directory
+ */
+router.post(["/mkdir", "/mkdir/:path(*)"], (req: Request, res: Response) => {
+  try {
+    const { name } = req.body || {};
+    if (!name) {
+      return res.status(400).json({ success: false, error: "Directory name is required" });
+    }
+
+    const entry = createDirectory(normalizeDrivePath(req.params.path as string), name);
+    res.json({ success: true, message: "Directory created", path: entry.path });
+  } catch (error) {
+    handleDriveError(res, error, "Drive mkdir error");
+  }
+});
+
+/**
+ * Rename a file or directory
+ */
+router.post("/rename", (req: Request, res: Response) => {
+  try {
+    const { oldPath, newName } = req.body || {};
+    if (!oldPath || !newName) {
+      return res.status(400).json({ success: false, error: "oldPath and newName are required" });
+    }
+
+    const entry = renameEntry(oldPath, newName);
+    res.json({ success: true, message: `Renamed to ${entry.path}` });
+  } catch (error) {
+    handleDriveError(res, error, "Drive rename error");
+  }
+});
+
+/**
+ * Move a file or directory into another directory
+ */
+router.post("/move", (req: Request, res: Response) => {
+  try {
+    const { sourcePath, destPath } = req.body || {};
+    if (!sourcePath || destPath === undefined || destPath === null) {
+      return res
+        .status(400)
+        .json({ success: false, error: "sourcePath and destPath are required" });
+    }
+
+    const entry = moveEntry(sourcePath, destPath);
+    res.json({ success: true, message: `Moved to ${entry.path}` });
+  } catch (error) {
+    handleDriveError(res, error, "Drive move error");
+  }
+});
+
+/**
+ * Drive storage statistics
+ */
+router.get("/stats", (req: Request, res: Response) => {
+  try {
+    res.json({ success: true, stats: getDriveStats() });
+  } catch (error) {
+    handleDriveError(res, error, "Drive stats error");
+  }
+});
+
+/**
+ * Create a public link for a file
+ */
+router.post("/links", (req: Request, res: Response) => {
+  try {
+    const { filePath, expiresInDays } = req.body || {};
+    if (!filePath) {
+      return res.status(400).json({ success: false, error: "filePath is required" });
+    }
+
+    const link = createLink(filePath, expiresInDays);
+    const publicUrl = `${req.protocol}://${req.get("host")}${req.baseUrl}/public/${link.linkId}`;
+
+    res.json({
+      success: true,
+      linkId: link.linkId,
+      filePath: link.filePath,
+      publicUrl,
+      createdAt: link.createdAt,
+      expiresAt: link.expiresAt,
+    });
+  } catch (error) {
+    handleDriveError(res, error, "Drive create link error");
+  }
+});
+
+/**
+ * List public links
+ */
+router.get("/links", (req: Request, res: Response) => {
+  try {
+    res.json({ success: true, links: listLinks() });
+  } catch (error) {
+    handleDriveError(res, error, "Drive list links error");
+  }
+});
+
+/**
+ * Revoke a public link
+ */
+router.delete("/links/:linkId", (req: Request, res: Response) => {
+  try {
+    if (!revokeLink(req.params.linkId as string)) {
+      return res.status(404).json({ success: false, error: "Link not found" });
+    }
+    res.json({ success: true, message: "Link revoked" });
+  } catch (error) {
+    handleDriveError(res, error, "Drive revoke link error");
+  }
+});
+
+export default router;
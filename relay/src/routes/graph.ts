@@ -0,0 +1,165 @@
+import express, { Router, Request, Response } from "express";
+import { adminAuth, adminAuthMiddleware } from "../middleware/admin-auth";
+import { auditAdminAction } from "../middleware/admin-audit";
+import { loggers } from "../utils/logger";
+import {
+  GRAPH_EXPORT_FORMATS,
+  GraphExportFormat,
+  GraphQueryError,
+  MAX_EXPORT_NODES,
+  MAX_GRAPH_DEPTH,
+  MAX_QUERY_NODES,
+  exportGraph,
+  importGraph,
+  parseGraphImport,
+  queryGraph,
+} from "../utils/graph-query";
+
+const router: Router = Router();
+
+const viewerAuth = adminAuth("viewer");
+
+/**
+ * ?engine=gun|zen picks an instance; by default ZEN when it runs, like the
+ * /system/node routes
+ */
+function getGraphInstance(req: Request): any {
+  const engine = req.query.engine;
+  const instance =
+    engine === "gun"
+      ? req.app.get("gunInstance")
+      : engine === "zen"
+        ? req.app.get("zenInstance")
+        : req.app.get("zenInstance") || req.app.get("gunInstance");
+  if (!instance) throw new GraphQueryError(`${engine || "Graph"} instance not available`, 503);
+  return instance;
+}
+
+function intParam(value: any, name: string, fallback: number, max: number): number {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new GraphQueryError(`${name} must be a non-negative integer`);
+  }
+  return Math.min(number, max);
+}
+
+/**
+ * Walk options shared by query and export
+ */
+function walkOptions(req: Request, maxNodesCap: number) {
+  const keys = typeof req.query.keys === "string" ? req.query.keys.split(",") : [];
+  return {
+    soul: req.query.soul as string,
+    depth: intParam(req.query.depth, "depth", 1, MAX_GRAPH_DEPTH),
+    keys: keys.map((key) => key.trim()).filter(Boolean),
+    maxNodes: intParam(req.query.maxNodes, "maxNodes", Math.min(1000, maxNodesCap), maxNodesCap),
+  };
+}
+
+/**
+ * Resolves when the response can take more data, or is gone
+ */
+function writable(res: Response): Promise<void> {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.once("drain", done);
+    res.once("close", done);
+  });
+}
+
+function sendError(res: Response, error: any, message: string) {
+  if (error instanceof GraphQueryError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  loggers.server.error({ err: error }, message);
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * Query: ?soul=&depth=&keys=a,b*&limit=&cursor=&maxNodes=&engine=
+ */
+router.get("/", viewerAuth, async (req: Request, res: Response) => {
+  try {
+    const page = await queryGraph(getGraphInstance(req), {
+      ...walkOptions(req, MAX_QUERY_NODES),
+      limit: Math.max(intParam(req.query.limit, "limit", 100, 1000), 1),
+      cursor: (req.query.cursor as string) || undefined,
+    });
+    res.json({ success: true, ...page });
+  } catch (error: any) {
+    sendError(res, error, "❌ Graph query error");
+  }
+});
+
+/**
+ * Stream the walk as NDJSON (default) or JSON-LD (?format=jsonld)
+ */
+router.get("/export", viewerAuth, async (req: Request, res: Response) => {
+  let chunks: AsyncGenerator<string>;
+  let format: GraphExportFormat;
+  try {
+    format = ((req.query.format as string) || "ndjson") as GraphExportFormat;
+    if (!GRAPH_EXPORT_FORMATS.includes(format)) {
+      throw new GraphQueryError(`format must be one of ${GRAPH_EXPORT_FORMATS.join(", ")}`);
+    }
+    chunks = exportGraph(getGraphInstance(req), walkOptions(req, MAX_EXPORT_NODES), format);
+    // Validates the soul before anything is sent
+    const first = await chunks.next();
+
+    const extension = format === "ndjson" ? "ndjson" : "jsonld";
+    res.setHeader(
+      "Content-Type",
+      format === "ndjson" ? "application/x-ndjson" : "application/ld+json"
+    );
+    res.setHeader("Content-Disposition", `attachment; filename="graph.${extension}"`);
+    res.write(first.value);
+  } catch (error: any) {
+    return sendError(res, error, "❌ Graph export error");
+  }
+
+  // The client may go away mid-export
+  let closed = false;
+  res.once("close", () => (closed = true));
+  try {
+    for await (const chunk of chunks) {
+      if (closed || res.destroyed) break;
+      if (!res.write(chunk) && !closed) await writable(res);
+    }
+    res.end();
+  } catch (error: any) {
+    // Headers are gone; cut the stream so the client sees an incomplete export
+    loggers.server.error({ err: error }, "❌ Graph export failed mid-stream");
+    res.destroy(error);
+  }
+});
+
+/**
+ * Apply an export to this relay. Body: NDJSON export (application/x-ndjson),
+ * JSON-LD document (application/ld+json) or a query page (application/json).
+ * ?dryRun=true validates and counts without writing.
+ */
+router.post(
+  "/import",
+  adminAuthMiddleware,
+  express.text({ type: ["application/x-ndjson", "text/plain"], limit: "50mb" }),
+  express.json({ type: "application/ld+json", limit: "50mb" }),
+  auditAdminAction("graph.import", (req) => (req.query.engine as string) || undefined),
+  async (req: Request, res: Response) => {
+    try {
+      const nodes = parseGraphImport(req.body);
+      const result = await importGraph(getGraphInstance(req), nodes, {
+        dryRun: req.query.dryRun === "true",
+      });
+      res.json({ success: true, ...result });
+    } catch (error: any) {
+      sendError(res, error, "❌ Graph import error");
+    }
+  }
+);
+
+export default router;
@@ -6,7 +6,6 @@ import { fileURLToPath } from "url";
 import fs from "fs";
 import multer from "multer";
 import FormData from "form-data";
-import { secureCompare, hashToken } from "../utils/security";
 import { getGunStorageStats } from "../utils/gun-storage-stats";
 // http import removed
 
@@ -16,64 +15,43 @@ const __dirname = path.dirname(__filename);
 // Configurazione multer per upload file
 const upload = multer({ storage: multer.memoryStorage() });
 
-// Cache admin password hash (computed once)
-let adminPasswordHash: string | null = null;
-function getAdminPasswordHash(): string | null {
-  if (!adminPasswordHash && authConfig.adminPassword) {
-    adminPasswordHash = hashToken(authConfig.adminPassword);
-  }
-  return adminPasswordHash;
-}
-
-// Middleware di autenticazione admin (secure, timing-safe)
-const tokenAuthMiddleware = (req: Request, res: Response, next: NextFunction) => {
-  // Check Authorization header (Bearer token)
-  const authHeader = req.headers["authorization"];
-  const bearerToken = authHeader && authHeader.split(" ")[1];
-
-  // Check custom token header (for Gun/Wormhole compatibility)
-  const customToken = req.headers["token"] as string | undefined;
-
-  // Accept either format
-  const token = bearerToken || customToken;
-
-  if (!token) {
-    loggers.server.warn(
-      { bearerToken: !!bearerToken, customToken: !!customToken },
-      "Auth failed - no token"
-    );
-    return res.status(401).json({ success: false, error: "Unauthorized" });
-  }
-
-  // Secure comparison using hash and timing-safe comparison
-  const tokenHash = hashToken(token);
-  const adminHash = getAdminPasswordHash();
-
-  if (adminHash && secureCompare(tokenHash, adminHash)) {
-    next();
-  } else {
-    loggers.server.warn(
-      { bearerToken: !!bearerToken, customToken: !!customToken },
-      "Auth failed - invalid token"
-    );
-    res.status(401).json({ success: false, error: "Unauthorized" });
-  }
-};
-
 import ipfsRouter from "./ipfs";
+import { createGatewayHandler } from "./ipfs/gateway";
 import apiKeysRouter from "./api-keys";
+import chatRouter from "./chat";
+import driveRouter from "./drive";
+import quotaRouter from "./quota";
+import backupsRouter from "./backups";
+import webhooksRouter from "./webhooks";
+import replicationRouter from "./replication";
+import uploadsRouter from "./uploads";
 import systemRouter from "./system";
 import debugRouter from "./debug";
 import visualGraphRouter from "./visualGraph";
+import graphRouter from "./graph";
 // torrentRouter removed
 import authRouter from "./auth";
 import tpreRouter from "./tpre";
 import networkRouter from "./network";
+import moderationRouter from "./moderation";
+import retentionRouter from "./retention";
+import operatorsRouter from "./operators";
 
-import { ipfsRequest } from "../utils/ipfs-client";
 import { generateOpenAPISpec } from "../utils/openapi-generator";
 import { loggers } from "../utils/logger";
-import { authConfig, ipfsConfig, packageConfig, relayConfig, zenConfig } from "../config";
+import { renderMetrics } from "../utils/metrics";
+import { adminAuthMiddleware } from "../middleware/admin-auth";
+import { auditAdminAction } from "../middleware/admin-audit";
+import { tokenAuth, tokenAuthMiddleware } from "../middleware/token-auth";
+import {
+  authConfig,
+  ipfsConfig,
+  metricsConfig,
+  packageConfig,
+  relayConfig,
+  webhookConfig,
+  zenConfig,
+} from "../config";
 
 // Rate limiting generale
 const generalLimiter = rateLimit({
@@ -118,76 +96,9 @@ export default async (app: express.Application) => {
     `🌐 IPFS Proxy Configuration`
   );
 
-  // IPFS Gateway handler with direct IPFS API fallback
-  app.get("/ipfs/:cid", async (req: Request, res: Response, next: NextFunction) => {
-    const { cid } = req.params;
-    // Try to retrieve file directly from IPFS API
-    try {
-      loggers.server.debug({ cid }, `📁 Direct IPFS retrieval attempt`);
-
-      // Try to get file from IPFS directly using HTTP API
-      const fileBuffer = (await ipfsRequest(`/cat?arg=${encodeURIComponent(cid as string)}`, {
-        responseType: "arraybuffer",
-      })) as Buffer;
-
-      if (fileBuffer && fileBuffer.length > 0) {
-        // Try to detect content type from first bytes
-        let contentType = "application/octet-stream";
-        const firstBytes = fileBuffer.slice(0, 512);
-
-        // Basic content type detection
-        if (
-          firstBytes[0] === 0x89 &&
-          firstBytes[1] === 0x50 &&
-          firstBytes[2] === 0x4e &&
-          firstBytes[3] === 0x47
-        ) {
-          contentType = "image/png";
-        } else if (firstBytes[0] === 0xff && firstBytes[1] === 0xd8) {
-          contentType = "image/jpeg";
-        } else if (firstBytes[0] === 0x47 && firstBytes[1] === 0x49 && firstBytes[2] === 0x46) {
-          contentType = "image/gif";
-        } else if (
-          firstBytes[0] === 0x25 &&
-          firstBytes[1] === 0x50 &&
-          firstBytes[2] === 0x44 &&
-          firstBytes[3] === 0x46
-        ) {
-          contentType = "application/pdf";
-        } else if (
-          fileBuffer.slice(0, 5).toString() === "<html" ||
-          fileBuffer.slice(0, 9).toString() === "<!DOCTYPE"
-        ) {
-          contentType = "text/html";
-        } else {
-          // Try to detect JSON
-          try {
-            JSON.parse(fileBuffer.toString());
-            contentType = "application/json";
-          } catch (e) {
-            // Not JSON, keep default
-          }
-        }
-
-        res.setHeader("Content-Type", contentType);
-        res.setHeader("Content-Length", fileBuffer.length);
-        res.setHeader("Cache-Control", "public, max-age=31536000"); // 1 year
-        res.setHeader("X-Content-Source", "ipfs-direct");
-
-        loggers.server.info(
-          { cid, size: fileBuffer.length, contentType },
-          `✅ Served CID directly from IPFS API`
-        );
-        return res.send(fileBuffer);
-      }
-    } catch (error: any) {
-      loggers.server.warn({ err: error, cid }, `⚠️ Direct IPFS retrieval failed`);
-      // Fall through to proxy gateway
-    }
-
-    // If direct retrieval fails or IPFS not available, pass to proxy
-    next();
-  });
+  // IPFS path gateway (ranges, ETags, directories, ?format=car|raw) served
+  // from the IPFS API; anything it can't resolve falls through to the proxy
+  app.get(["/ipfs/:cid", "/ipfs/:cid/*"], createGatewayHandler({ fallthrough: true }));
 
   // IPFS Gateway Proxy with fallback - for accessing files via IPFS hash
   app.use(
@@ -577,12 +488,27 @@ export default async (app: express.Application) => {
   if (ipfsConfig.enabled) {
     app.use(`${baseRoute}/ipfs`, ipfsRouter);
     loggers.server.info(`✅ IPFS routes registered`);
+
+    // Drive (file tree backed by IPFS)
+    app.use(`${baseRoute}/drive`, driveRouter);
+    loggers.server.info(`✅ Drive routes registered`);
+
+    // User uploads registry (systemhash) and storage quotas
+    app.use(`${baseRoute}/user-uploads`, uploadsRouter);
+    app.use(`${baseRoute}/quota`, quotaRouter);
+    loggers.server.info(`✅ User uploads and quota routes registered`);
   } else {
     loggers.server.info(`⏭️ IPFS routes disabled (IPFS_ENABLED=false)`);
     // Return disabled message for any IPFS route request
     app.use(`${baseRoute}/ipfs/*`, (req, res) => {
       res.status(503).json({ success: false, error: "IPFS module is disabled" });
     });
+    app.use(`${baseRoute}/drive/*`, (req, res) => {
+      res.status(503).json({ success: false, error: "Drive requires the IPFS module" });
+    });
+    app.use([`${baseRoute}/user-uploads/*`, `${baseRoute}/quota/*`], (req, res) => {
+      res.status(503).json({ success: false, error: "Uploads require the IPFS module" });
+    });
   }
 
   // Route di sistema e debug (always enabled - core functionality)
@@ -593,10 +519,35 @@ export default async (app: express.Application) => {
   // Route per il grafico visivo (always enabled)
   app.use(`${baseRoute}/visualGraph`, visualGraphRouter);
 
+  // Paged graph query, export and import
+  app.use(`${baseRoute}/graph`, graphRouter);
+
+  // Gun storage backups (admin)
+  app.use(`${baseRoute}/backups`, backupsRouter);
+
+  // Cross-relay pin replication status (admin)
+  app.use(`${baseRoute}/replication`, replicationRouter);
+
+  // CID denylist and moderation audit (admin)
+  app.use(`${baseRoute}/moderation`, moderationRouter);
+
+  // Retention policies and TTL pins
+  app.use(`${baseRoute}/retention`, retentionRouter);
+
+  // Outbound webhook subscriptions (admin)
+  if (webhookConfig.enabled) {
+    app.use(`${baseRoute}/webhooks`, webhooksRouter);
+  }
 
   // Route di autenticazione
   app.use(`${baseRoute}/auth`, authRouter);
 
+  // Operator accounts, sessions and the admin audit log
+  app.use(`${baseRoute}/operators`, operatorsRouter);
+
+  // Chat (E2E direct messages + public lobby)
+  app.use(`${baseRoute}/chat`, chatRouter);
+
   // Route TPRE per Threshold Proxy Re-Encryption
   app.use(`${baseRoute}/tpre`, tpreRouter);
   loggers.server.info(`✅ TPRE routes registered`);
@@ -712,6 +663,26 @@ export default async (app: express.Application) => {
 
   // --- FINE ROUTE LEGACY ---
 
+  // Prometheus scrape endpoint
+  if (metricsConfig.enabled) {
+    const metricsAuth = metricsConfig.public
+      ? (req: Request, res: Response, next: NextFunction) => next()
+      : adminAuthMiddleware;
+    app.get("/metrics", metricsAuth, async (req: Request, res: Response) => {
+      try {
+        const body = await renderMetrics({
+          statsTracker: req.app.get("statsTracker"),
+          gunStore: req.app.get("gunStore"),
+        });
+        res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+        res.send(body);
+      } catch (error: any) {
+        loggers.server.error({ err: error }, "❌ Metrics error");
+        res.status(500).send(`# metrics unavailable: ${error.message}\n`);
+      }
+    });
+  }
+
   // Enhanced health check endpoint with detailed metrics
   app.get(`${baseRoute}/health`, (req, res) => {
     try {
@@ -800,7 +771,7 @@ export default async (app: express.Application) => {
    */
   app.get(
     `${baseRoute}/admin/storage-stats`,
-    tokenAuthMiddleware,
+    tokenAuth("viewer"),
     async (req: Request, res: Response) => {
       try {
         const dataDir = path.resolve(process.cwd(), "data");
@@ -964,56 +935,62 @@ export default async (app: express.Application) => {
    * Update hot-reloadable configuration values (no restart required)
    * Admin only
    */
-  app.put(`${baseRoute}/admin/config`, tokenAuthMiddleware, async (req: Request, res: Response) => {
-    try {
-      const { setRuntimeValue, isHotReloadable, HOT_RELOADABLE_KEYS } =
-        await import("../utils/runtime-config");
-      const updates = req.body as Record<string, string>;
-
-      if (!updates || typeof updates !== "object") {
-        return res.status(400).json({
-          success: false,
-          error: "Request body must be an object with key-value pairs",
-        });
-      }
-
-      const results: Record<string, { success: boolean; error?: string }> = {};
-      const successful: string[] = [];
-      const failed: string[] = [];
+  const auditConfigKeys = (req: Request) => Object.keys(req.body || {}).join(", ");
+  app.put(
+    `${baseRoute}/admin/config`,
+    tokenAuthMiddleware,
+    auditAdminAction("config.update", auditConfigKeys),
+    async (req: Request, res: Response) => {
+      try {
+        const { setRuntimeValue, isHotReloadable, HOT_RELOADABLE_KEYS } =
+          await import("../utils/runtime-config");
+        const updates = req.body as Record<string, string>;
 
-      for (const [key, value] of Object.entries(updates)) {
-        if (!isHotReloadable(key)) {
-          results[key] = {
+        if (!updates || typeof updates !== "object") {
+          return res.status(400).json({
             success: false,
-            error: `Key '${key}' is not hot-reloadable. Modify .env and restart server.`,
-          };
-          failed.push(key);
-          continue;
+            error: "Request body must be an object with key-value pairs",
+          });
         }
 
-        const success = setRuntimeValue(key as any, String(value));
-        results[key] = { success };
-        if (success) {
-          successful.push(key);
-        } else {
-          failed.push(key);
+        const results: Record<string, { success: boolean; error?: string }> = {};
+        const successful: string[] = [];
+        const failed: string[] = [];
+
+        for (const [key, value] of Object.entries(updates)) {
+          if (!isHotReloadable(key)) {
+            results[key] = {
+              success: false,
+              error: `Key '${key}' is not hot-reloadable. Modify .env and restart server.`,
+            };
+            failed.push(key);
+            continue;
+          }
+
+          const success = setRuntimeValue(key as any, String(value));
+          results[key] = { success };
+          if (success) {
+            successful.push(key);
+          } else {
+            failed.push(key);
+          }
         }
-      }
 
-      res.json({
-        success: failed.length === 0,
-        message: `Updated ${successful.length} config(s)${failed.length > 0 ? `, ${failed.length} failed` : ""}`,
-        results,
-        hotReloadableKeys: HOT_RELOADABLE_KEYS,
-      });
-    } catch (error: any) {
-      loggers.server.error({ err: error }, "Failed to update config");
-      res.status(500).json({
-        success: false,
-        error: error.message || "Internal server error",
-      });
+        res.json({
+          success: failed.length === 0,
+          message: `Updated ${successful.length} config(s)${failed.length > 0 ? `, ${failed.length} failed` : ""}`,
+          results,
+          hotReloadableKeys: HOT_RELOADABLE_KEYS,
+        });
+      } catch (error: any) {
+        loggers.server.error({ err: error }, "Failed to update config");
+        res.status(500).json({
+          success: false,
+          error: error.message || "Internal server error",
+        });
+      }
     }
-  });
+  );
 
   /**
    * PUT /api/v1/admin/config/env
@@ -1023,6 +1000,7 @@ export default async (app: express.Application) => {
   app.put(
     `${baseRoute}/admin/config/env`,
     tokenAuthMiddleware,
+    auditAdminAction("config.env", auditConfigKeys),
     async (req: Request, res: Response) => {
       try {
         const { updateEnvFile, isHotReloadable, requiresRestart } =
@@ -1132,12 +1110,17 @@ export default async (app: express.Application) => {
           `${baseRoute}/health`,
           `${baseRoute}/system/health`,
           `${baseRoute}/system/stats`,
+          `${baseRoute}/system/metrics/history`,
+          `/metrics`,
           `${baseRoute}/system/alldata`,
           // API Keys
           `${baseRoute}/api-keys`,
           `${baseRoute}/api-keys/generate`,
           // IPFS (aligned with Kubo API)
           `${baseRoute}/ipfs/upload`,
+          `${baseRoute}/ipfs/upload/sessions`,
+          `${baseRoute}/ipfs/upload/sessions/:sessionId`,
+          `${baseRoute}/ipfs/upload/sessions/:sessionId/finalize`,
           `${baseRoute}/ipfs/status`,
           `${baseRoute}/ipfs/cat/:cid`,
           `${baseRoute}/ipfs/cat/:cid/json`,
@@ -1148,6 +1131,73 @@ export default async (app: express.Application) => {
           `${baseRoute}/ipfs/repo/gc`,
           `${baseRoute}/ipfs/repo/stat`,
           `${baseRoute}/ipfs/version`,
+          // Drive
+          `${baseRoute}/drive/list`,
+          `${baseRoute}/drive/upload`,
+          `${baseRoute}/drive/download/:path`,
+          `${baseRoute}/drive/stats`,
+          `${baseRoute}/drive/links`,
+          `${baseRoute}/drive/public/:linkId`,
+          // Storage quotas
+          `${baseRoute}/quota`,
+          `${baseRoute}/quota/users/:userAddress`,
+          `${baseRoute}/quota/api-keys/:keyId`,
+          `${baseRoute}/quota/rebuild`,
+          // Gun backups
+          `${baseRoute}/backups`,
+          `${baseRoute}/backups/:name`,
+          `${baseRoute}/backups/:name/verify`,
+          `${baseRoute}/backups/:name/restore`,
+          // Pin replication
+          `${baseRoute}/replication`,
+          `${baseRoute}/replication/cids`,
+          `${baseRoute}/replication/cids/:cid`,
+          `${baseRoute}/replication/run`,
+          // Webhooks
+          `${baseRoute}/webhooks`,
+          `${baseRoute}/webhooks/:id`,
+          `${baseRoute}/webhooks/:id/test`,
+          `${baseRoute}/webhooks/deliveries`,
+          `${baseRoute}/webhooks/deliveries/:deliveryId/retry`,
+          // TPRE
+          `${baseRoute}/tpre/reencrypt`,
+          `${baseRoute}/tpre/groups/:groupId`,
+          `${baseRoute}/tpre/groups/:groupId/kfrags`,
+          `${baseRoute}/tpre/groups/:groupId/kfrags/:memberPub`,
+          `${baseRoute}/tpre/audit`,
+          // Moderation
+          `${baseRoute}/moderation/denylist`,
+          `${baseRoute}/moderation/denylist/:id`,
+          `${baseRoute}/moderation/denylist/check`,
+          `${baseRoute}/moderation/denylist/import`,
+          `${baseRoute}/moderation/denylist/lists/:id`,
+          `${baseRoute}/moderation/audit`,
+          `${baseRoute}/retention`,
+          `${baseRoute}/retention/policies`,
+          `${baseRoute}/retention/policies/:id`,
+          `${baseRoute}/retention/policies/:id/preview`,
+          `${baseRoute}/retention/policies/:id/run`,
+          `${baseRoute}/retention/runs`,
+          `${baseRoute}/retention/pins`,
+          `${baseRoute}/retention/pins/:cid`,
+          // Operators
+          `${baseRoute}/operators`,
+          `${baseRoute}/operators/:username`,
+          `${baseRoute}/operators/:username/totp`,
+          `${baseRoute}/operators/login`,
+          `${baseRoute}/operators/logout`,
+          `${baseRoute}/operators/me`,
+          `${baseRoute}/operators/me/password`,
+          `${baseRoute}/operators/me/totp`,
+          `${baseRoute}/operators/me/totp/confirm`,
+          `${baseRoute}/operators/audit`,
+          // Chat
+          `${baseRoute}/chat/peers`,
+          `${baseRoute}/chat/conversations`,
+          `${baseRoute}/chat/messages/:pub`,
+          `${baseRoute}/chat/sync/:pub`,
+          `${baseRoute}/chat/lobby`,
+          `${baseRoute}/chat/console`,
           // Users
 
           // Gateway proxy
@@ -1161,6 +1211,10 @@ export default async (app: express.Application) => {
           `${baseRoute}/services/:service/restart`,
           // Visual Graph
           `${baseRoute}/visualGraph`,
+          // Graph query
+          `${baseRoute}/graph`,
+          `${baseRoute}/graph/export`,
+          `${baseRoute}/graph/import`,
         ],
       },
     });
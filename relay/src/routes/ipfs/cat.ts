@@ -2,10 +2,15 @@ import { Router, Request, Response } from "express";
 import http from "http";
 import { loggers } from "../../utils/logger";
 import type { CustomRequest, IpfsRequestOptions } from "./types";
-import { IPFS_API_TOKEN, getContentTypeFromExtension, detectContentType } from "./utils";
+import { IPFS_API_TOKEN, getContentTypeFromExtension } from "./utils";
+import { createGatewayHandler } from "./gateway";
+import { denylistGuard } from "../../middleware/denylist-guard";
 
 const router: Router = Router();
 
+// Refuse denylisted CIDs before asking IPFS for them
+const guardCid = denylistGuard((req) => req.params.cid);
+
 /**
  * Compatibility endpoint for shogun-ipfs: /api/v0/cat
  * This endpoint doesn't need JSON body parsing - it only uses query params
@@ -16,6 +21,7 @@ router.post(
     req.body = undefined;
     next();
   },
+  denylistGuard((req) => (Array.isArray(req.query.arg) ? req.query.arg[0] : req.query.arg)),
   async (req: CustomRequest, res: Response) => {
     try {
       const { arg } = req.query;
@@ -125,6 +131,7 @@ router.post(
  */
 router.get(
   "/cat-directory/:directoryCid/:filePath(*)",
+  denylistGuard((req) => `${req.params.directoryCid}/${req.params.filePath}`),
   async (req: CustomRequest, res: Response) => {
     try {
       const directoryCid = req.params.directoryCid as string;
@@ -263,190 +270,25 @@ router.post("/api/:endpoint(*)", async (req: CustomRequest, res: Response) => {
 });
 
 /**
- * IPFS Cat endpoint (aligned with Kubo's /api/v0/cat)
+ * IPFS Cat endpoint (aligned with Kubo's /api/v0/cat), served as a download.
+ * Supports Range, ETag and ?format=car|raw; sub-paths are in gateway.ts.
  */
-router.get("/cat/:cid", async (req, res) => {
-  try {
-    const { cid } = req.params;
-    loggers.server.debug({ cid }, `📄 IPFS Content request`);
-
-    const requestOptions: IpfsRequestOptions = {
-      hostname: "127.0.0.1",
-      port: 5001,
-      path: `/api/v0/cat?arg=${cid}`,
-      method: "POST",
-      headers: { "Content-Length": "0" },
-    };
-
-    if (IPFS_API_TOKEN) {
-      requestOptions.headers["Authorization"] = `Bearer ${IPFS_API_TOKEN}`;
-    }
-
-    const ipfsReq = http.request(requestOptions, (ipfsRes) => {
-      res.setHeader("Content-Type", "application/octet-stream");
-      res.setHeader("Content-Disposition", `attachment; filename="${cid}"`);
-      res.setHeader("Cache-Control", "public, max-age=31536000");
-      ipfsRes.pipe(res);
-
-      ipfsRes.on("error", (err) => {
-        loggers.server.error({ err, cid }, `❌ IPFS Content error`);
-        if (!res.headersSent) {
-          res.status(500).json({ success: false, error: err.message });
-        }
-      });
-    });
-
-    ipfsReq.on("error", (err) => {
-      loggers.server.error({ err, cid }, `❌ IPFS Content request error`);
-      if (!res.headersSent) {
-        res.status(500).json({ success: false, error: err.message });
-      }
-    });
-
-    ipfsReq.setTimeout(30000, () => {
-      ipfsReq.destroy();
-      if (!res.headersSent) {
-        res.status(408).json({ success: false, error: "Content retrieval timeout" });
-      }
-    });
-
-    ipfsReq.end();
-  } catch (error: unknown) {
-    const errorMessage = error instanceof Error ? error.message : String(error);
-    loggers.server.error({ err: error, cid: req.params.cid }, `❌ IPFS Content error`);
-    res.status(500).json({ success: false, error: errorMessage });
-  }
-});
+router.get("/cat/:cid", createGatewayHandler({ disposition: "attachment" }));
 
 /**
  * Compatibility endpoint for shogun-ipfs: /content/:cid
  */
-router.get("/content/:cid", async (req, res) => {
-  const { cid } = req.params;
-  loggers.server.debug({ cid }, `📄 IPFS Content (compatibility endpoint) request`);
-
-  try {
-    const requestOptions: IpfsRequestOptions = {
-      hostname: "127.0.0.1",
-      port: 5001,
-      path: `/api/v0/cat?arg=${cid}`,
-      method: "POST",
-      headers: { "Content-Length": "0" },
-    };
-
-    if (IPFS_API_TOKEN) {
-      requestOptions.headers["Authorization"] = `Bearer ${IPFS_API_TOKEN}`;
-    }
-
-    const ipfsReq = http.request(requestOptions, (ipfsRes) => {
-      res.setHeader("Content-Type", "application/octet-stream");
-      res.setHeader("Content-Disposition", `attachment; filename="${cid}"`);
-      res.setHeader("Cache-Control", "public, max-age=31536000");
-      ipfsRes.pipe(res);
-
-      ipfsRes.on("error", (err) => {
-        loggers.server.error({ err, cid }, `❌ IPFS Content error`);
-        if (!res.headersSent) {
-          res.status(500).json({ success: false, error: err.message });
-        }
-      });
-    });
-
-    ipfsReq.on("error", (err) => {
-      loggers.server.error({ err, cid }, `❌ IPFS Content request error`);
-      if (!res.headersSent) {
-        res.status(500).json({ success: false, error: err.message });
-      }
-    });
-
-    ipfsReq.setTimeout(30000, () => {
-      ipfsReq.destroy();
-      if (!res.headersSent) {
-        res.status(408).json({ success: false, error: "Content retrieval timeout" });
-      }
-    });
-
-    ipfsReq.end();
-  } catch (error: unknown) {
-    const errorMessage = error instanceof Error ? error.message : String(error);
-    loggers.server.error({ err: error, cid: req.params.cid }, `❌ IPFS Content error`);
-    res.status(500).json({ success: false, error: errorMessage });
-  }
-});
+router.get("/content/:cid", createGatewayHandler({ disposition: "attachment" }));
 
 /**
  * Compatibility endpoint for shogun-ipfs: /ipfs/:cid (under /api/v1/ipfs/)
  */
-router.get("/ipfs/:cid", async (req, res) => {
-  const { cid } = req.params;
-  loggers.server.debug({ cid }, `📄 IPFS Gateway (compatibility endpoint) request`);
-
-  try {
-    const requestOptions: IpfsRequestOptions = {
-      hostname: "127.0.0.1",
-      port: 5001,
-      path: `/api/v0/cat?arg=${cid}`,
-      method: "POST",
-      headers: { "Content-Length": "0" },
-    };
-
-    if (IPFS_API_TOKEN) {
-      requestOptions.headers["Authorization"] = `Bearer ${IPFS_API_TOKEN}`;
-    }
-
-    const ipfsReq = http.request(requestOptions, (ipfsRes) => {
-      let contentType = "application/octet-stream";
-      const chunks: Buffer[] = [];
-
-      ipfsRes.on("data", (chunk: Buffer) => {
-        chunks.push(chunk);
-        if (chunks.length === 1 && chunk.length > 0) {
-          contentType = detectContentType(chunk);
-        }
-      });
-
-      ipfsRes.on("end", () => {
-        const buffer = Buffer.concat(chunks);
-        res.setHeader("Content-Type", contentType);
-        res.setHeader("Content-Length", buffer.length.toString());
-        res.setHeader("Cache-Control", "public, max-age=31536000");
-        res.send(buffer);
-      });
-
-      ipfsRes.on("error", (err) => {
-        loggers.server.error({ err, cid }, `❌ IPFS Gateway error`);
-        if (!res.headersSent) {
-          res.status(500).json({ success: false, error: err.message });
-        }
-      });
-    });
-
-    ipfsReq.on("error", (err) => {
-      loggers.server.error({ err, cid }, `❌ IPFS Gateway request error`);
-      if (!res.headersSent) {
-        res.status(500).json({ success: false, error: err.message });
-      }
-    });
-
-    ipfsReq.setTimeout(30000, () => {
-      ipfsReq.destroy();
-      if (!res.headersSent) {
-        res.status(408).json({ success: false, error: "Content retrieval timeout" });
-      }
-    });
-
-    ipfsReq.end();
-  } catch (error: unknown) {
-    const errorMessage = error instanceof Error ? error.message : String(error);
-    loggers.server.error({ err: error, cid: req.params.cid }, `❌ IPFS Gateway error`);
-    res.status(500).json({ success: false, error: errorMessage });
-  }
-});
+router.get("/ipfs/:cid", createGatewayHandler());
 
 /**
  * IPFS Cat JSON endpoint (content parsed as JSON)
  */
-router.get("/cat/:cid/json", async (req: Request, res: Response) => {
+router.get("/cat/:cid/json", guardCid, async (req: Request, res: Response) => {
   try {
     const { cid } = req.params;
     loggers.server.debug({ cid }, `📄 IPFS Content JSON request`);
@@ -2,13 +2,16 @@ import { Router, Request, Response } from "express";
 import { loggers } from "../../utils/logger";
 import { ipfsConfig } from "../../config";
 import type { IpfsRequestOptions } from "./types";
+import { denylistGuard } from "../../middleware/denylist-guard";
 
 const router: Router = Router();
 
+const guardCid = denylistGuard((req) => req.params.cid);
+
 /**
  * IPFS Cat with decryption (for SEA encrypted content)
  */
-router.get("/cat/:cid/decrypt", async (req: Request, res: Response) => {
+router.get("/cat/:cid/decrypt", guardCid, async (req: Request, res: Response) => {
   try {
     const cid = req.params.cid as string;
     let { token } = req.query;
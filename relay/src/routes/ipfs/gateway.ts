@@ -0,0 +1,481 @@
+/**
+ * HTTP gateway over the Kubo RPC API
+ *
+ * Serves /ipfs/<cid>[/sub/path] the way a path gateway does: sub-path
+ * resolution, HTML listings (or index.html) for UnixFS directories, single
+ * byte ranges so media can seek, ETag revalidation, content-type sniffing and
+ * ?format=car|raw exports. Content is streamed from `cat` with offset/length,
+ * never buffered.
+ *
+ * @module routes/ipfs/gateway
+ */
+
+import { Router, Request, Response, NextFunction } from "express";
+import http from "http";
+import https from "https";
+import { pipeline } from "stream/promises";
+import { ipfsConfig } from "../../config";
+import { loggers } from "../../utils/logger";
+import { findBlock } from "../../utils/denylist";
+import { BLOCKED_MESSAGE } from "../../middleware/denylist-guard";
+import { detectContentType, getContentTypeFromExtension } from "./utils";
+
+// Content addressed: a CID's bytes never change
+const IMMUTABLE_CACHE = "public, max-age=29030400, immutable";
+// Listing markup belongs to the relay, not the CID
+const LISTING_CACHE = "public, max-age=604800";
+const REQUEST_TIMEOUT_MS = 30000;
+const SNIFF_BYTES = 512;
+
+const CONTENT_HEADERS = [
+  "ETag",
+  "Cache-Control",
+  "Accept-Ranges",
+  "Content-Type",
+  "Content-Disposition",
+  "Content-Length",
+  "Content-Range",
+  "X-Content-Type-Options",
+];
+
+const CID_PATTERN = /^[A-Za-z0-9]+$/;
+
+const FORMATS = {
+  car: { contentType: "application/vnd.ipld.car; version=1", extension: "car" },
+  raw: { contentType: "application/vnd.ipld.raw", extension: "bin" },
+} as const;
+
+type ExportFormat = keyof typeof FORMATS;
+
+export class GatewayError extends Error {
+  status: number;
+
+  constructor(message: string, status = 502) {
+    super(message);
+    this.name = "GatewayError";
+    this.status = status;
+  }
+}
+
+export interface GatewayOptions {
+  /** Content-Disposition for files unless ?download= says otherwise */
+  disposition?: "inline" | "attachment";
+  /** Hand failed lookups to the next handler (e.g. the gateway proxy) */
+  fallthrough?: boolean;
+}
+
+interface UnixfsStat {
+  Hash: string;
+  Size: number;
+  Type: "file" | "directory";
+}
+
+interface UnixfsLink {
+  Name: string;
+  Hash: string;
+  Size: number;
+  /** 1 = directory, 2 = file */
+  Type: number;
+}
+
+// Kubo reports every failure as a 500 with a message
+function classifyRpcError(message: string): number {
+  if (/no link named|not found|does not exist/i.test(message)) return 404;
+  if (/invalid|failed to decode|unsupported/i.test(message)) return 400;
+  return 502;
+}
+
+/**
+ * POST /api/v0/<path> and resolve with the response stream once headers
+ * arrive (the timeout only covers the wait for them)
+ */
+function rpc(path: string): Promise<http.IncomingMessage> {
+  const apiUrl = new URL(ipfsConfig.apiUrl || "http://127.0.0.1:5001");
+  const isHttps = apiUrl.protocol === "https:";
+  const headers: Record<string, string> = { "Content-Length": "0" };
+  if (ipfsConfig.apiToken) {
+    headers["Authorization"] = `Bearer ${ipfsConfig.apiToken}`;
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = (isHttps ? https : http).request(
+      {
+        hostname: apiUrl.hostname,
+        port: parseInt(apiUrl.port) || (isHttps ? 443 : 80),
+        path: `/api/v0${path}`,
+        method: "POST",
+        headers,
+      },
+      (response) => {
+        request.setTimeout(0);
+        const status = response.statusCode || 500;
+        if (status < 400) return resolve(response);
+
+        let body = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => (body += chunk));
+        response.on("end", () => {
+          let message = body.trim() || `IPFS API returned ${status}`;
+          try {
+            message = JSON.parse(body).Message || message;
+          } catch {
+            // plain text error
+          }
+          reject(new GatewayError(message, classifyRpcError(message)));
+        });
+        response.on("error", reject);
+      }
+    );
+    request.on("error", (error) =>
+      reject(error instanceof GatewayError ? error : new GatewayError(error.message))
+    );
+    request.setTimeout(REQUEST_TIMEOUT_MS, () =>
+      request.destroy(new GatewayError("IPFS request timed out", 504))
+    );
+    request.end();
+  });
+}
+
+async function rpcBuffer(path: string): Promise<Buffer> {
+  const response = await rpc(path);
+  const chunks: Buffer[] = [];
+  for await (const chunk of response) chunks.push(chunk as Buffer);
+  return Buffer.concat(chunks);
+}
+
+async function rpcJson<T>(path: string): Promise<T> {
+  return JSON.parse((await rpcBuffer(path)).toString("utf8"));
+}
+
+/**
+ * Denylist check, for the requested path and again for what it resolved to
+ */
+function assertAllowed(cid: string, subPath = ""): void {
+  if (findBlock(cid, subPath)) throw new GatewayError(BLOCKED_MESSAGE, 410);
+}
+
+const arg = (path: string) => `arg=${encodeURIComponent(path)}`;
+
+/**
+ * Parse a Range header against `size`. Returns null to serve the whole file
+ * (no header, another unit, or several ranges) and "unsatisfiable" for 416.
+ */
+export function parseRange(
+  header: string | undefined,
+  size: number
+): { start: number; end: number } | "unsatisfiable" | null {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) {
+    // Several ranges are served as the whole file; a broken single one is a 416
+    const single = header.trim().startsWith("bytes=") && !header.includes(",");
+    return single ? "unsatisfiable" : null;
+  }
+
+  const [, first, last] = match;
+  if (first === "" && last === "") return "unsatisfiable";
+
+  let start: number;
+  let end: number;
+  if (first === "") {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(last);
+    if (suffix === 0) return "unsatisfiable";
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(first);
+    end = last === "" ? size - 1 : Math.min(parseInt(last), size - 1);
+  }
+
+  if (start >= size || start > end) return "unsatisfiable";
+  return { start, end };
+}
+
+/**
+ * If-None-Match check (comma-separated list, weak validators, "*")
+ */
+export function etagMatches(header: string | undefined, etag: string): boolean {
+  if (!header) return false;
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === etag);
+}
+
+function requestedFormat(req: Request): ExportFormat | null | "invalid" {
+  const format = req.query.format;
+  if (typeof format === "string" && format !== "") {
+    return format in FORMATS ? (format as ExportFormat) : "invalid";
+  }
+  const accept = req.headers.accept || "";
+  if (accept.includes("application/vnd.ipld.car")) return "car";
+  if (accept.includes("application/vnd.ipld.raw")) return "raw";
+  return null;
+}
+
+function escapeHtml(text: string): string {
+  return text.replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char] as string
+  );
+}
+
+function formatSize(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ["KB", "MB", "GB", "TB"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+function renderListing(ipfsPath: string, links: UnixfsLink[], hasParent: boolean): string {
+  const rows = links
+    .map((link) => {
+      const isDir = link.Type === 1;
+      const href = encodeURIComponent(link.Name) + (isDir ? "/" : "");
+      return `<tr><td>${isDir ? "📁" : "📄"}</td><td><a href="${href}">${escapeHtml(link.Name)}</a></td><td class="cid">${escapeHtml(link.Hash)}</td><td class="size">${isDir ? "" : formatSize(link.Size)}</td></tr>`;
+    })
+    .join("\n");
+  const parent = hasParent
+    ? `<tr><td></td><td><a href="../">..</a></td><td></td><td></td></tr>\n`
+    : "";
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(ipfsPath)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2rem; color: #222; }
+    h1 { font-size: 1.1rem; word-break: break-all; }
+    table { border-collapse: collapse; width: 100%; }
+    td { padding: 0.35rem 0.6rem; border-bottom: 1px solid #eee; }
+    .cid { font-family: monospace; font-size: 0.8rem; color: #888; }
+    .size { text-align: right; white-space: nowrap; }
+  </style>
+</head>
+<body>
+  <h1>Index of ${escapeHtml(ipfsPath)}</h1>
+  <table>
+${parent}${rows}
+  </table>
+</body>
+</html>`;
+}
+
+function contentDisposition(type: "inline" | "attachment", filename: string): string {
+  const ascii = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * Express handler for `/<prefix>/:cid` and `/<prefix>/:cid/*`
+ */
+export function createGatewayHandler(options: GatewayOptions = {}) {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    const cid = req.params.cid as string;
+    const segments = ((req.params as Record<string, string>)[0] || "").split("/").filter(Boolean);
+    const ipfsPath = `/ipfs/${[cid, ...segments].join("/")}`;
+
+    if (!CID_PATTERN.test(cid)) {
+      return res.status(400).json({ success: false, error: "Invalid CID" });
+    }
+    const format = requestedFormat(req);
+    if (format === "invalid") {
+      return res.status(400).json({
+        success: false,
+        error: `format must be one of ${Object.keys(FORMATS).join(", ")}`,
+      });
+    }
+
+    res.setHeader("X-Ipfs-Path", ipfsPath);
+    res.setHeader("X-Content-Source", "ipfs-direct");
+    res.setHeader("Vary", "Accept");
+    loggers.server.debug({ ipfsPath, format, range: req.headers.range }, `📄 IPFS Gateway request`);
+
+    try {
+      assertAllowed(cid, segments.join("/"));
+      if (format) {
+        return await serveExport(req, res, ipfsPath, segments.length ? null : cid, format);
+      }
+
+      const stat = await rpcJson<UnixfsStat>(`/files/stat?${arg(ipfsPath)}`);
+      assertAllowed(stat.Hash);
+      if (stat.Type !== "directory") {
+        return await serveFile(
+          req,
+          res,
+          options,
+          stat.Hash,
+          stat.Size,
+          segments[segments.length - 1] || cid
+        );
+      }
+
+      // Relative links in the listing need the trailing slash
+      const [pathname, query] = req.originalUrl.split("?");
+      if (!pathname.endsWith("/")) {
+        return res.redirect(301, `${pathname}/${query !== undefined ? `?${query}` : ""}`);
+      }
+
+      const listing = await rpcJson<{ Objects: { Links: UnixfsLink[] }[] }>(
+        `/ls?${arg(ipfsPath)}&resolve-type=true&size=true`
+      );
+      const links = listing.Objects?.[0]?.Links || [];
+      const index = links.find((link) => link.Name === "index.html" && link.Type !== 1);
+      if (index) {
+        assertAllowed(index.Hash);
+        res.setHeader("X-Ipfs-Path", `${ipfsPath}/index.html`);
+        return await serveFile(
+          req,
+          res,
+          { disposition: "inline" },
+          index.Hash,
+          index.Size,
+          index.Name
+        );
+      }
+
+      const etag = `"DirIndex-${stat.Hash}"`;
+      res.setHeader("ETag", etag);
+      res.setHeader("Cache-Control", LISTING_CACHE);
+      if (etagMatches(req.headers["if-none-match"], etag)) {
+        return res.status(304).end();
+      }
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      res.send(renderListing(ipfsPath, links, segments.length > 0));
+    } catch (error: any) {
+      if (res.headersSent) {
+        loggers.server.warn({ err: error, ipfsPath }, `⚠️ IPFS Gateway stream interrupted`);
+        return res.destroy();
+      }
+      // Nothing sent yet: drop the headers meant for the content
+      for (const header of CONTENT_HEADERS) res.removeHeader(header);
+      // Blocked content must not reach the proxy either
+      const status = error instanceof GatewayError ? error.status : 500;
+      if (options.fallthrough && status !== 410) {
+        loggers.server.warn({ err: error, ipfsPath }, `⚠️ Direct IPFS retrieval failed`);
+        return next();
+      }
+      if (status >= 500) {
+        loggers.server.error({ err: error, ipfsPath }, `❌ IPFS Gateway error`);
+      }
+      res.status(status).json({ success: false, error: error.message });
+    }
+  };
+}
+
+async function serveFile(
+  req: Request,
+  res: Response,
+  options: GatewayOptions,
+  hash: string,
+  size: number,
+  filename: string
+) {
+  const etag = `"${hash}"`;
+  res.setHeader("ETag", etag);
+  res.setHeader("Cache-Control", IMMUTABLE_CACHE);
+  res.setHeader("Accept-Ranges", "bytes");
+  if (etagMatches(req.headers["if-none-match"], etag)) {
+    return res.status(304).end();
+  }
+
+  const name =
+    typeof req.query.filename === "string" && req.query.filename ? req.query.filename : filename;
+  let contentType = getContentTypeFromExtension(name);
+  if (contentType === "application/octet-stream" && size > 0) {
+    contentType = detectContentType(await rpcBuffer(`/cat?arg=${hash}&length=${SNIFF_BYTES}`));
+  }
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("X-Content-Type-Options", "nosniff");
+
+  const download = req.query.download;
+  const disposition =
+    download === "true" ? "attachment" : download === "false" ? "inline" : options.disposition;
+  if (disposition) {
+    res.setHeader("Content-Disposition", contentDisposition(disposition, name));
+  }
+
+  // If-Range: only honour the range while the validator still matches
+  const ifRange = req.headers["if-range"];
+  const range = ifRange && ifRange !== etag ? null : parseRange(req.headers.range, size);
+  if (range === "unsatisfiable") {
+    res.setHeader("Content-Range", `bytes */${size}`);
+    return res.status(416).json({ success: false, error: "Range not satisfiable" });
+  }
+
+  const start = range ? range.start : 0;
+  const length = range ? range.end - range.start + 1 : size;
+  if (range) {
+    res.status(206);
+    res.setHeader("Content-Range", `bytes ${range.start}-${range.end}/${size}`);
+  }
+  res.setHeader("Content-Length", String(length));
+  if (req.method === "HEAD" || length === 0) {
+    return res.end();
+  }
+
+  const upstream = await rpc(`/cat?arg=${hash}&offset=${start}&length=${length}`);
+  await streamTo(upstream, res);
+  loggers.server.debug({ hash, start, length, contentType }, `✅ Served CID from IPFS API`);
+}
+
+async function serveExport(
+  req: Request,
+  res: Response,
+  ipfsPath: string,
+  rootCid: string | null,
+  format: ExportFormat
+) {
+  // Sub-paths are exported as the block/DAG they resolve to
+  const target = rootCid || (await rpcJson<UnixfsStat>(`/files/stat?${arg(ipfsPath)}`)).Hash;
+  assertAllowed(target);
+  const { contentType, extension } = FORMATS[format];
+  const etag = `"${target}.${format}"`;
+
+  res.setHeader("ETag", etag);
+  res.setHeader("Cache-Control", IMMUTABLE_CACHE);
+  if (etagMatches(req.headers["if-none-match"], etag)) {
+    return res.status(304).end();
+  }
+
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.setHeader("Content-Disposition", contentDisposition("attachment", `${target}.${extension}`));
+  if (req.method === "HEAD") {
+    return res.end();
+  }
+  const upstream = await rpc(
+    format === "car" ? `/dag/export?arg=${target}` : `/block/get?arg=${target}`
+  );
+  await streamTo(upstream, res);
+}
+
+async function streamTo(upstream: http.IncomingMessage, res: Response) {
+  try {
+    await pipeline(upstream, res);
+  } catch (error: any) {
+    // Client went away mid-download (e.g. a video player seeking)
+    if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") throw error;
+  }
+}
+
+/**
+ * Sub-path routes, mounted after the other IPFS routers so /cat/:cid/json and
+ * /cat/:cid/decrypt keep priority. The bare /:cid routes live in cat.ts.
+ */
+const router: Router = Router();
+
+router.get("/cat/:cid/*", createGatewayHandler({ disposition: "attachment" }));
+router.get("/content/:cid/*", createGatewayHandler({ disposition: "attachment" }));
+router.get("/ipfs/:cid/*", createGatewayHandler());
+
+export default router;
@@ -2,19 +2,24 @@ import { Router } from "express";
 import proxyRouter from "./proxy";
 import catRouter from "./cat";
 import uploadRouter from "./upload";
+import uploadSessionsRouter from "./upload-sessions";
 import uploadDirectoryRouter from "./upload-directory";
 import decryptRouter from "./decrypt";
 import pinRouter from "./pin";
 import repoRouter from "./repo";
+import gatewayRouter from "./gateway";
 const router: Router = Router();
 
 // Mount all IPFS sub-routers
 router.use("/", proxyRouter);
 router.use("/", catRouter);
+router.use("/", uploadSessionsRouter);
 router.use("/", uploadRouter);
 router.use("/", uploadDirectoryRouter);
 router.use("/", decryptRouter);
 router.use("/", pinRouter);
 router.use("/", repoRouter);
+// Sub-path gateway routes last, after /cat/:cid/json and /cat/:cid/decrypt
+router.use("/", gatewayRouter);
 
 export default router;
@@ -4,22 +4,33 @@ import { loggers } from "../../utils/logger";
 import { authConfig } from "../../config";
 import { IPFS_API_TOKEN } from "./utils";
 import type { IpfsRequestOptions } from "./types";
+import type { ApiKeyScope } from "../../utils/api-keys-store";
+import { emitRelayEvent } from "../../utils/event-bus";
+import { denylistGuard } from "../../middleware/denylist-guard";
+import { auditAdminAction } from "../../middleware/admin-audit";
+import { parseRetentionInput, setPinRetention } from "../../utils/retention";
 
 const router: Router = Router();
 
 /**
  * Admin or API Key authentication middleware helper
+ * API keys must carry `scope`
  */
-async function adminOrApiKeyAuthMiddleware(req: Request, res: Response, next: NextFunction) {
-  const { adminOrApiKeyAuthMiddleware: authMiddleware } =
-    await import("../../middleware/admin-or-api-key-auth");
-  authMiddleware(req, res, next);
+function adminOrApiKeyAuthMiddleware(scope: ApiKeyScope) {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    const { adminOrApiKeyAuth } = await import("../../middleware/admin-or-api-key-auth");
+    adminOrApiKeyAuth(scope)(req, res, next);
+  };
 }
 
+// Denylisted CIDs are refused (and audited) instead of pinned
+const guardCid = denylistGuard((req) => req.body?.cid, { status: 403, audit: "reject-pin" });
+const auditUnpin = auditAdminAction("pin.remove", (req) => req.body?.cid);
+
 /**
  * IPFS Pin add endpoint (aligned with Kubo's /api/v0/pin/add)
  */
-router.post("/pin/add", adminOrApiKeyAuthMiddleware, async (req, res) => {
+router.post("/pin/add", adminOrApiKeyAuthMiddleware("ipfs:pin"), guardCid, async (req, res) => {
   try {
     loggers.server.debug({ body: req.body }, "🔍 IPFS Pin add request");
     const { cid } = req.body;
@@ -29,6 +40,13 @@ router.post("/pin/add", adminOrApiKeyAuthMiddleware, async (req, res) => {
       return res.status(400).json({ success: false, error: "CID is required" });
     }
 
+    // Optional { ttl | expiresAt, labels } picked up by retention policies
+    try {
+      parseRetentionInput(req.body);
+    } catch (error: any) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
     const requestOptions: IpfsRequestOptions = {
       hostname: "127.0.0.1",
       port: 5001,
@@ -47,7 +65,12 @@ router.post("/pin/add", adminOrApiKeyAuthMiddleware, async (req, res) => {
       ipfsRes.on("end", () => {
         try {
           const result = JSON.parse(data);
-          res.json({ success: true, message: "CID pinned successfully", result });
+          let retention = null;
+          if (ipfsRes.statusCode === 200) {
+            emitRelayEvent("pin.added", { cid, source: "api" });
+            if (parseRetentionInput(req.body)) retention = setPinRetention(cid, req.body);
+          }
+          res.json({ success: true, message: "CID pinned successfully", result, retention });
         } catch (parseError) {
           res
             .status(500)
@@ -72,7 +95,7 @@ router.post("/pin/add", adminOrApiKeyAuthMiddleware, async (req, res) => {
 /**
  * IPFS Pin remove endpoint (aligned with Kubo's /api/v0/pin/rm)
  */
-router.post("/pin/rm", adminOrApiKeyAuthMiddleware, async (req, res) => {
+router.post("/pin/rm", adminOrApiKeyAuthMiddleware("ipfs:pin"), auditUnpin, async (req, res) => {
   try {
     loggers.server.debug({ body: req.body }, "🔍 IPFS Pin rm request");
     const { cid } = req.body;
@@ -121,6 +144,9 @@ router.post("/pin/rm", adminOrApiKeyAuthMiddleware, async (req, res) => {
         try {
           const result = JSON.parse(data);
           loggers.server.info({ cid, result }, `✅ IPFS Pin rm success`);
+          if (ipfsRes.statusCode === 200) {
+            emitRelayEvent("pin.removed", { cid, source: "api" });
+          }
           res.json({ success: true, message: "CID unpinned successfully", result });
         } catch (parseError) {
           loggers.server.error(
@@ -167,7 +193,7 @@ router.post("/pin/rm", adminOrApiKeyAuthMiddleware, async (req, res) => {
 /**
  * Alias endpoint for shogun-ipfs compatibility: /pins/rm -> /pin/rm
  */
-router.post("/pins/rm", adminOrApiKeyAuthMiddleware, async (req, res) => {
+router.post("/pins/rm", adminOrApiKeyAuthMiddleware("ipfs:pin"), auditUnpin, async (req, res) => {
   try {
     loggers.server.debug({ body: req.body }, "🔍 IPFS Pin rm (alias /pins/rm) request");
     const { cid } = req.body;
@@ -194,6 +220,7 @@ router.post("/pins/rm", adminOrApiKeyAuthMiddleware, async (req, res) => {
       ipfsRes.on("data", (chunk) => (data += chunk));
       ipfsRes.on("end", () => {
         if (ipfsRes.statusCode === 200) {
+          emitRelayEvent("pin.removed", { cid, source: "api" });
           try {
             const result = JSON.parse(data);
             loggers.server.info({ cid, result }, `✅ IPFS Pin rm (alias /pins/rm) success`);
@@ -247,7 +274,7 @@ router.post("/pins/rm", adminOrApiKeyAuthMiddleware, async (req, res) => {
 /**
  * IPFS Pin list endpoint (aligned with Kubo's /api/v0/pin/ls)
  */
-router.get("/pin/ls", adminOrApiKeyAuthMiddleware, async (req, res) => {
+router.get("/pin/ls", adminOrApiKeyAuthMiddleware("ipfs:read"), async (req, res) => {
   try {
     const requestOptions: IpfsRequestOptions = {
       hostname: "127.0.0.1",
@@ -5,27 +5,92 @@ import type { ClientRequest, IncomingMessage as HttpIncomingMessage } from "http
 import { loggers } from "../../utils/logger";
 import { authConfig } from "../../config";
 import { IPFS_API_URL, IPFS_API_TOKEN } from "./utils";
+import { denylistGuard } from "../../middleware/denylist-guard";
+import { adminAuthMiddleware } from "../../middleware/admin-auth";
 
 const router: Router = Router();
 
+// Kubo commands the proxy forwards, and whether their `arg` parameters name
+// content the denylist applies to. Every other command is refused.
+const FORWARDED_COMMANDS: Record<string, boolean> = {
+  add: false,
+  cat: true,
+  get: true,
+  ls: true,
+  refs: true,
+  "dag/get": true,
+  "dag/export": true,
+  "dag/stat": true,
+  "block/get": true,
+  "block/stat": true,
+  "object/get": true,
+  "object/stat": true,
+  "files/stat": true,
+  "pin/add": true,
+  "pin/ls": false,
+  "pin/rm": false,
+  "repo/gc": false,
+  "repo/stat": false,
+  "stats/bw": false,
+  "swarm/peers": false,
+  id: false,
+  version: false,
+};
+
+/**
+ * The Kubo command a proxy path names, the way Kubo reads it: "/pin//add/"
+ * and "/pin/%61dd" are both "pin/add". Null when the path does not decode.
+ */
+function proxyCommand(path: string): string | null {
+  try {
+    return path.split("/").map(decodeURIComponent).join("/").split("/").filter(Boolean).join("/");
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Only forward allowlisted commands, under their normalised path, and refuse
+ * denylisted content like the dedicated routes do, checking every `arg`
+ * (pin/add takes several)
+ */
+function guardProxyArgs(req: Request, res: Response, next: NextFunction): void {
+  const command = proxyCommand(req.path);
+  if (command === null || !Object.hasOwn(FORWARDED_COMMANDS, command)) {
+    res.status(404).json({ success: false, error: "IPFS API command not available" });
+    return;
+  }
+
+  // Forward exactly the command that was checked
+  const query = req.url.indexOf("?");
+  req.url = `/${command}${query >= 0 ? req.url.slice(query) : ""}`;
+  if (!FORWARDED_COMMANDS[command]) return next();
+
+  const args = ([] as unknown[]).concat(req.query.arg ?? []);
+  const options = command === "pin/add" ? { status: 403, audit: "reject-pin" as const } : {};
+
+  const check = (index: number): void => {
+    if (index >= args.length) return next();
+    denylistGuard(() => args[index], options)(req, res, () => check(index + 1));
+  };
+  check(0);
+}
+
 /**
  * IPFS API Proxy - for API calls to the IPFS node
  * Example: /api/v0/add, /api/v0/cat, etc.
- * SECURED: This generic proxy requires the admin token for any access.
+ * SECURED: the raw Kubo API can add, pin, GC and reconfigure the node, so
+ * only the admin token and admin operators get through, never API keys.
  */
 router.use(
   "/proxy",
-  async (req: Request, res: Response, next: NextFunction) => {
-    // Middleware di autenticazione per il proxy (admin or API key)
-    const { adminOrApiKeyAuthMiddleware } = await import("../../middleware/admin-or-api-key-auth");
-    adminOrApiKeyAuthMiddleware(req, res, next);
-  },
+  adminAuthMiddleware,
+  guardProxyArgs,
   createProxyMiddleware({
     target: IPFS_API_URL,
     changeOrigin: true,
-    pathRewrite: {
-      "^/proxy": "/api/v0",
-    },
+    // req.url is the normalised command set by guardProxyArgs
+    pathRewrite: (path: string) => `/api/v0${path}`,
     onProxyReq: (proxyReq: ClientRequest, req: ExpressRequest, res: ExpressResponse) => {
       loggers.server.debug(
         {
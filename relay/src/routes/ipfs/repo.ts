@@ -4,18 +4,24 @@ import { loggers } from "../../utils/logger";
 import { authConfig } from "../../config";
 import { IPFS_API_TOKEN } from "./utils";
 import type { IpfsRequestOptions } from "./types";
+import type { ApiKeyScope } from "../../utils/api-keys-store";
+import { auditAdminAction } from "../../middleware/admin-audit";
 
 const router: Router = Router();
 
 /**
  * Admin or API Key authentication middleware helper
+ * API keys must carry `scope`
  */
-async function adminOrApiKeyAuthMiddleware(req: Request, res: Response, next: NextFunction) {
-  const { adminOrApiKeyAuthMiddleware: authMiddleware } =
-    await import("../../middleware/admin-or-api-key-auth");
-  authMiddleware(req, res, next);
+function adminOrApiKeyAuthMiddleware(scope: ApiKeyScope) {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    const { adminOrApiKeyAuth } = await import("../../middleware/admin-or-api-key-auth");
+    adminOrApiKeyAuth(scope)(req, res, next);
+  };
 }
 
+const auditGc = auditAdminAction("ipfs.gc");
+
 /**
  * IPFS Status endpoint
  */
@@ -81,7 +87,7 @@ router.get("/status", async (req: Request, res: Response) => {
 /**
  * IPFS Repo GC endpoint
  */
-router.post("/repo/gc", adminOrApiKeyAuthMiddleware, async (req, res) => {
+router.post("/repo/gc", adminOrApiKeyAuthMiddleware("ipfs:gc"), auditGc, async (req, res) => {
   try {
     const requestOptions: IpfsRequestOptions = {
       hostname: "127.0.0.1",
@@ -141,7 +147,7 @@ router.post("/repo/gc", adminOrApiKeyAuthMiddleware, async (req, res) => {
 /**
  * IPFS API connectivity test endpoint
  */
-router.get("/test", adminOrApiKeyAuthMiddleware, async (req, res) => {
+router.get("/test", adminOrApiKeyAuthMiddleware("ipfs:read"), async (req, res) => {
   try {
     loggers.server.debug("🔍 Testing IPFS API connectivity...");
 
@@ -325,7 +331,7 @@ router.get("/stat/:cid", async (req: Request, res: Response) => {
 /**
  * IPFS Repo Stats endpoint
  */
-router.get("/repo/stat", adminOrApiKeyAuthMiddleware, async (req, res) => {
+router.get("/repo/stat", adminOrApiKeyAuthMiddleware("ipfs:read"), async (req, res) => {
   try {
     loggers.server.debug("📊 Getting IPFS repository statistics...");
 
@@ -2,8 +2,16 @@ import { Router, Response } from "express";
 import multer from "multer";
 import FormData from "form-data";
 import { loggers } from "../../utils/logger";
-import { ipfsUpload } from "../../utils/ipfs-client";
-import { adminOrApiKeyAuthMiddleware } from "../../middleware/admin-or-api-key-auth";
+import { ipfsRequest, ipfsUpload } from "../../utils/ipfs-client";
+import { adminOrApiKeyAuth } from "../../middleware/admin-or-api-key-auth";
+import {
+  QuotaExceededError,
+  assertQuota,
+  getQuotaContext,
+  recordUpload,
+} from "../../utils/storage-quota";
+import { findBlockedRefs, recordModeration } from "../../utils/denylist";
+import { BLOCKED_MESSAGE } from "../../middleware/denylist-guard";
 
 const router: Router = Router();
 
@@ -17,7 +25,7 @@ const upload = multer({
  */
 router.post(
   "/upload-directory",
-  adminOrApiKeyAuthMiddleware,
+  adminOrApiKeyAuth("ipfs:upload"),
   upload.any(),
   async (req, res) => {
     try {
@@ -30,6 +38,10 @@ router.post(
       const totalSize = files.reduce((sum, file) => sum + file.size, 0);
       const totalSizeMB = totalSize / (1024 * 1024);
 
+      // Charged to the API key and its bound user, or to the X-User-Address user
+      const quotaContext = getQuotaContext(req);
+      assertQuota(quotaContext, totalSize);
+
       loggers.server.info(
         {
           fileCount: files.length,
@@ -66,6 +78,42 @@ router.post(
           .json({ success: false, error: "Directory CID not found in IPFS response" });
       }
 
+      // Files already on the denylist are dropped again instead of recorded
+      let blocked: string[] = [];
+      try {
+        blocked = await findBlockedRefs(directoryCid);
+      } catch (error) {
+        loggers.server.warn(
+          { err: error, directoryCid },
+          "Could not check upload against denylist"
+        );
+      }
+      if (blocked.length > 0) {
+        await ipfsRequest(`/api/v0/pin/rm?arg=${encodeURIComponent(directoryCid)}`, {
+          timeout: 30000,
+          maxRetries: 1,
+        }).catch((error) =>
+          loggers.server.warn({ err: error, directoryCid }, "Failed to unpin rejected upload")
+        );
+        recordModeration({
+          action: "reject-upload",
+          cid: directoryCid,
+          count: blocked.length,
+          ip: req.ip,
+          ok: false,
+          error: "blocked",
+        });
+        loggers.server.warn({ directoryCid, blocked }, "🚫 Upload contains denylisted content");
+        return res.status(403).json({ success: false, error: BLOCKED_MESSAGE, blocked });
+      }
+
+      recordUpload(
+        quotaContext,
+        directoryCid,
+        totalSize,
+        req.app.get("zenInstance") || req.app.get("gunInstance")
+      );
+
       const uploadData = {
         directoryCid,
         fileCount: files.length,
@@ -90,6 +138,14 @@ router.post(
         files: uploadData.files,
       });
     } catch (error: unknown) {
+      if (error instanceof QuotaExceededError) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+          scope: error.scope,
+          usage: error.usage,
+        });
+      }
       loggers.server.error({ err: error }, "❌ IPFS Directory Upload error");
       const errorMessage = error instanceof Error ? error.message : String(error);
       res.status(500).json({ success: false, error: errorMessage });
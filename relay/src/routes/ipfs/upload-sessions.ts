@@ -0,0 +1,213 @@
+import { Router, Request, Response } from "express";
+import fs from "fs";
+import FormData from "form-data";
+import { loggers } from "../../utils/logger";
+import { ipfsUpload } from "../../utils/ipfs-client";
+import { adminOrApiKeyAuth } from "../../middleware/admin-or-api-key-auth";
+import {
+  QuotaExceededError,
+  assertQuota,
+  getQuotaContext,
+  recordUpload,
+} from "../../utils/storage-quota";
+import {
+  UploadSession,
+  UploadSessionError,
+  appendChunk,
+  createSession,
+  getSession,
+  getSessionDataPath,
+  removeSession,
+} from "../../utils/upload-sessions";
+
+const router: Router = Router();
+
+/**
+ * Resumable upload protocol:
+ *   POST   /upload/sessions               { fileName, size, mimetype? } -> session
+ *   PATCH  /upload/sessions/:id           raw bytes, Upload-Offset header -> new offset
+ *   GET    /upload/sessions/:id           -> offset/size (resume point)
+ *   POST   /upload/sessions/:id/finalize  -> adds the spooled file to IPFS
+ *   DELETE /upload/sessions/:id           -> abort
+ */
+router.use("/upload/sessions", adminOrApiKeyAuth("ipfs:upload"));
+
+// The admin token sees every session, API keys only their own
+function ownerOf(req: Request): string {
+  return (req as any).authType === "admin" ? "admin" : (req as any).apiKey?.keyId || "anonymous";
+}
+
+function describeSession(session: UploadSession) {
+  return {
+    sessionId: session.id,
+    fileName: session.fileName,
+    mimetype: session.mimetype,
+    size: session.size,
+    offset: session.offset,
+    complete: session.offset === session.size,
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt,
+  };
+}
+
+function sendError(res: Response, error: any, message: string) {
+  if (error instanceof UploadSessionError) {
+    if (error.offset !== undefined) {
+      res.setHeader("Upload-Offset", String(error.offset));
+    }
+    return res
+      .status(error.status)
+      .json({ success: false, error: error.message, offset: error.offset });
+  }
+  if (error instanceof QuotaExceededError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      scope: error.scope,
+      usage: error.usage,
+    });
+  }
+  loggers.server.error({ err: error }, message);
+  const errorMessage = error instanceof Error ? error.message : String(error);
+  return res.status(500).json({ success: false, error: errorMessage });
+}
+
+/**
+ * Create an upload session. The quota is checked against the declared size.
+ */
+router.post("/upload/sessions", (req: Request, res: Response) => {
+  try {
+    const { fileName, size, mimetype, userAddress } = req.body || {};
+    const quotaContext = getQuotaContext(req, userAddress);
+    assertQuota(quotaContext, Number(size) || 0);
+
+    const session = createSession({
+      fileName,
+      size,
+      mimetype,
+      owner: ownerOf(req),
+      userAddress: quotaContext.userAddress,
+      apiKeyId: quotaContext.apiKeyId,
+    });
+
+    res.setHeader("Upload-Offset", "0");
+    res.status(201).json({ success: true, session: describeSession(session) });
+  } catch (error) {
+    sendError(res, error, "❌ Upload session create error");
+  }
+});
+
+/**
+ * Session status: where to resume from
+ */
+router.get("/upload/sessions/:sessionId", (req: Request, res: Response) => {
+  try {
+    const session = getSession(req.params.sessionId as string, ownerOf(req));
+    res.setHeader("Upload-Offset", String(session.offset));
+    res.json({ success: true, session: describeSession(session) });
+  } catch (error) {
+    sendError(res, error, "❌ Upload session status error");
+  }
+});
+
+/**
+ * Append a chunk. The body is streamed straight to the spool file.
+ */
+router.patch("/upload/sessions/:sessionId", async (req: Request, res: Response) => {
+  try {
+    const header = req.headers["upload-offset"] ?? req.query.offset;
+    const offset = header === undefined || header === "" ? NaN : Number(header);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res
+        .status(400)
+        .json({ success: false, error: "Upload-Offset header must be a non-negative integer" });
+    }
+
+    const session = await appendChunk(req.params.sessionId as string, ownerOf(req), offset, req);
+    res.setHeader("Upload-Offset", String(session.offset));
+    res.json({ success: true, session: describeSession(session) });
+  } catch (error) {
+    sendError(res, error, "❌ Upload chunk error");
+  }
+});
+
+/**
+ * Add the completed file to IPFS (streamed from disk) and close the session
+ */
+router.post("/upload/sessions/:sessionId/finalize", async (req: Request, res: Response) => {
+  try {
+    const sessionId = req.params.sessionId as string;
+    const session = getSession(sessionId, ownerOf(req));
+    if (session.offset !== session.size) {
+      throw new UploadSessionError(
+        `Upload incomplete: ${session.offset} of ${session.size} bytes received`,
+        409,
+        session.offset
+      );
+    }
+
+    const quotaContext = {
+      userAddress: session.userAddress,
+      apiKeyId: session.apiKeyId,
+      isAdmin: (req as any).authType === "admin",
+    };
+    assertQuota(quotaContext, session.size);
+
+    const formData = new FormData();
+    formData.append("file", fs.createReadStream(getSessionDataPath(sessionId)), {
+      filename: session.fileName,
+      contentType: session.mimetype,
+      knownLength: session.size,
+    });
+
+    // A file stream cannot be replayed, so no automatic retries: the session
+    // stays in place and the client can call finalize again
+    const fileResult = await ipfsUpload("/api/v0/add?wrap-with-directory=false", formData, {
+      timeout: 300000,
+      maxRetries: 0,
+    });
+
+    recordUpload(
+      quotaContext,
+      fileResult.Hash,
+      session.size,
+      req.app.get("zenInstance") || req.app.get("gunInstance")
+    );
+    removeSession(sessionId);
+
+    loggers.server.info(
+      { sessionId, cid: fileResult.Hash, size: session.size },
+      "📤 Resumable upload finalized"
+    );
+
+    res.json({
+      success: true,
+      file: {
+        name: session.fileName,
+        size: session.size,
+        mimetype: session.mimetype,
+        hash: fileResult.Hash,
+        sizeBytes: fileResult.Size,
+        uploadedAt: Date.now(),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "❌ Upload finalize error");
+  }
+});
+
+/**
+ * Abort a session and discard its data
+ */
+router.delete("/upload/sessions/:sessionId", (req: Request, res: Response) => {
+  try {
+    const sessionId = req.params.sessionId as string;
+    getSession(sessionId, ownerOf(req));
+    removeSession(sessionId);
+    res.json({ success: true, message: "Upload session aborted" });
+  } catch (error) {
+    sendError(res, error, "❌ Upload session abort error");
+  }
+});
+
+export default router;
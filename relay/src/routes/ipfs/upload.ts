@@ -3,7 +3,13 @@ import multer from "multer";
 import FormData from "form-data";
 import { loggers } from "../../utils/logger";
 import { ipfsUpload } from "../../utils/ipfs-client";
-import { adminOrApiKeyAuthMiddleware } from "../../middleware/admin-or-api-key-auth";
+import { adminOrApiKeyAuth } from "../../middleware/admin-or-api-key-auth";
+import {
+  QuotaExceededError,
+  assertQuota,
+  getQuotaContext,
+  recordUpload,
+} from "../../utils/storage-quota";
 
 const router: Router = Router();
 
@@ -20,7 +26,7 @@ const upload = multer({
  */
 router.post(
   "/upload",
-  adminOrApiKeyAuthMiddleware,
+  adminOrApiKeyAuth("ipfs:upload"),
   upload.single("file"),
   async (req, res) => {
     try {
@@ -28,6 +34,10 @@ router.post(
         return res.status(400).json({ success: false, error: "No file provided" });
       }
 
+      // Charged to the API key and its bound user, or to the X-User-Address user
+      const quotaContext = getQuotaContext(req);
+      assertQuota(quotaContext, req.file.size);
+
       const formData = new FormData();
       formData.append("file", req.file.buffer, {
         filename: req.file.originalname,
@@ -42,6 +52,13 @@ router.post(
 
       loggers.server.debug({ fileResult }, "📤 IPFS Upload response");
 
+      recordUpload(
+        quotaContext,
+        fileResult.Hash,
+        req.file.size,
+        req.app.get("zenInstance") || req.app.get("gunInstance")
+      );
+
       const uploadData = {
         name: req.file.originalname,
         size: req.file.size,
@@ -56,6 +73,14 @@ router.post(
         file: uploadData,
       });
     } catch (error: unknown) {
+      if (error instanceof QuotaExceededError) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+          scope: error.scope,
+          usage: error.usage,
+        });
+      }
       loggers.server.error({ err: error }, "❌ IPFS Upload error");
       const errorMessage = error instanceof Error ? error.message : String(error);
       res.status(500).json({ success: false, error: errorMessage });
@@ -79,23 +79,44 @@ export function getContentTypeFromExtension(filename: string): string {
     webm: "video/webm",
     mp3: "audio/mpeg",
     wav: "audio/wav",
+    avif: "image/avif",
+    ico: "image/x-icon",
+    m4v: "video/mp4",
+    mov: "video/quicktime",
+    ogv: "video/ogg",
+    m4a: "audio/mp4",
+    aac: "audio/aac",
+    flac: "audio/flac",
+    ogg: "audio/ogg",
+    oga: "audio/ogg",
+    opus: "audio/ogg",
     pdf: "application/pdf",
     txt: "text/plain",
+    md: "text/markdown",
+    csv: "text/csv",
     json: "application/json",
     html: "text/html",
+    htm: "text/html",
     css: "text/css",
     js: "application/javascript",
+    mjs: "application/javascript",
+    wasm: "application/wasm",
+    woff: "font/woff",
+    woff2: "font/woff2",
     xml: "application/xml",
     zip: "application/zip",
+    car: "application/vnd.ipld.car",
   };
   return mimeTypes[ext] || "application/octet-stream";
 }
 
 /**
- * Detect content type from file buffer (magic bytes)
+ * Detect content type from file buffer (magic bytes). Only the first 512
+ * bytes are looked at, so the gateway can sniff without reading the file.
  */
 export function detectContentType(buffer: Buffer): string {
-  const firstBytes = buffer.slice(0, 512);
+  const firstBytes = buffer.subarray(0, 512);
+  const ascii = (start: number, end: number) => firstBytes.subarray(start, end).toString("latin1");
 
   // PNG
   if (
@@ -123,10 +144,65 @@ export function detectContentType(buffer: Buffer): string {
   ) {
     return "application/pdf";
   }
+  // RIFF containers: WebP, WAV
+  if (ascii(0, 4) === "RIFF") {
+    if (ascii(8, 12) === "WEBP") return "image/webp";
+    if (ascii(8, 12) === "WAVE") return "audio/wav";
+  }
+  // ISO base media (MP4, MOV, M4A): "ftyp" box at offset 4
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    if (brand === "qt  ") return "video/quicktime";
+    if (brand.startsWith("M4A")) return "audio/mp4";
+    if (brand === "avif") return "image/avif";
+    return "video/mp4";
+  }
+  // Matroska / WebM (EBML header)
+  if (
+    firstBytes[0] === 0x1a &&
+    firstBytes[1] === 0x45 &&
+    firstBytes[2] === 0xdf &&
+    firstBytes[3] === 0xa3
+  ) {
+    return "video/webm";
+  }
+  // Ogg, FLAC
+  if (ascii(0, 4) === "OggS") {
+    return "audio/ogg";
+  }
+  if (ascii(0, 4) === "fLaC") {
+    return "audio/flac";
+  }
+  // MP3: ID3 tag or MPEG frame sync
+  if (ascii(0, 3) === "ID3" || (firstBytes[0] === 0xff && (firstBytes[1] & 0xe0) === 0xe0)) {
+    return "audio/mpeg";
+  }
+  // ZIP, gzip, WebAssembly
+  if (ascii(0, 4) === "PK\x03\x04") {
+    return "application/zip";
+  }
+  if (firstBytes[0] === 0x1f && firstBytes[1] === 0x8b) {
+    return "application/gzip";
+  }
+  if (ascii(0, 4) === "\0asm") {
+    return "application/wasm";
+  }
+
+  const head = firstBytes.toString("utf8").trimStart().toLowerCase();
   // HTML
-  if (buffer.slice(0, 5).toString() === "<html" || buffer.slice(0, 9).toString() === "<!DOCTYPE") {
+  if (head.startsWith("<!doctype html") || /^<(html|head|body)[\s>]/.test(head)) {
     return "text/html";
   }
+  // SVG, possibly behind an XML declaration or comment
+  if (
+    head.startsWith("<svg") ||
+    ((head.startsWith("<?xml") || head.startsWith("<!--")) && head.includes("<svg"))
+  ) {
+    return "image/svg+xml";
+  }
+  if (head.startsWith("<?xml")) {
+    return "application/xml";
+  }
   // JSON
   try {
     JSON.parse(buffer.toString());
@@ -134,6 +210,13 @@ export function detectContentType(buffer: Buffer): string {
   } catch {
     // Not JSON
   }
+  // Text: no control characters besides whitespace
+  if (
+    firstBytes.length > 0 &&
+    !firstBytes.some((byte) => byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d].includes(byte))
+  ) {
+    return "text/plain; charset=utf-8";
+  }
 
   return "application/octet-stream";
 }
@@ -0,0 +1,136 @@
+import { Router, Request, Response } from "express";
+import { adminAuthMiddleware } from "../middleware/admin-auth";
+import { loggers } from "../utils/logger";
+import {
+  DenylistError,
+  ModerationAction,
+  addEntry,
+  findBlock,
+  importList,
+  listEntries,
+  listLists,
+  parseContentPath,
+  readModerationAudit,
+  removeEntry,
+  removeList,
+} from "../utils/denylist";
+
+const router: Router = Router();
+
+router.use(adminAuthMiddleware);
+
+const AUDIT_ACTIONS: ModerationAction[] = [
+  "add",
+  "remove",
+  "import",
+  "remove-list",
+  "unpin",
+  "reject-pin",
+  "reject-upload",
+];
+
+function sendError(res: Response, error: any, message: string) {
+  if (error instanceof DenylistError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  loggers.server.error({ err: error }, message);
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * Manual entries and imported lists (list hashes are not returned)
+ */
+router.get("/denylist", (req: Request, res: Response) => {
+  try {
+    res.json({ success: true, entries: listEntries(), lists: listLists() });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error reading denylist");
+  }
+});
+
+/**
+ * Block a CID or a path inside it
+ * Body: { cid: "Qm..." | "/ipfs/Qm.../path", path?, reason? }
+ */
+router.post("/denylist", async (req: Request, res: Response) => {
+  try {
+    const { cid, path, reason } = req.body || {};
+    const { entry, unpinned } = await addEntry({ cid, path, reason }, { ip: req.ip });
+    res.status(201).json({ success: true, entry, unpinned });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error adding denylist entry");
+  }
+});
+
+/**
+ * Is a CID (and optional path) blocked, and by which rule (?cid=&path=)
+ */
+router.get("/denylist/check", (req: Request, res: Response) => {
+  const target = req.query.cid;
+  if (typeof target !== "string" || !target) {
+    return res.status(400).json({ success: false, error: "cid is required" });
+  }
+  const parsed = parseContentPath(target);
+  const subPath = [parsed.path, (req.query.path as string) || ""].filter(Boolean).join("/");
+  const match = findBlock(parsed.cid, subPath);
+  res.json({ success: true, cid: parsed.cid, path: subPath, blocked: !!match, match });
+});
+
+/**
+ * Import a bad bits style list, replacing any list with the same name
+ * Body: { name, content } or { name, url }
+ */
+router.post("/denylist/import", async (req: Request, res: Response) => {
+  try {
+    const { name, content, url } = req.body || {};
+    const { list, unpinned } = await importList({ name, content, url }, { ip: req.ip });
+    res.status(201).json({ success: true, list, unpinned });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error importing denylist");
+  }
+});
+
+router.delete("/denylist/lists/:id", (req: Request, res: Response) => {
+  try {
+    const list = removeList(req.params.id as string, { ip: req.ip });
+    res.json({ success: true, list });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error removing denylist");
+  }
+});
+
+router.delete("/denylist/:id", (req: Request, res: Response) => {
+  try {
+    const entry = removeEntry(req.params.id as string, { ip: req.ip });
+    res.json({ success: true, entry });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error removing denylist entry");
+  }
+});
+
+/**
+ * Moderation audit log, newest first (?action=&cid=&since=&limit=)
+ */
+router.get("/audit", (req: Request, res: Response) => {
+  const action = req.query.action as ModerationAction | undefined;
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return res
+      .status(400)
+      .json({ success: false, error: `action must be one of ${AUDIT_ACTIONS.join(", ")}` });
+  }
+  try {
+    const entries = readModerationAudit(
+      {
+        action,
+        cid: req.query.cid as string | undefined,
+        since: req.query.since ? Number(req.query.since) : undefined,
+      },
+      Math.min(parseInt(req.query.limit as string) || 100, 1000)
+    );
+    res.json({ success: true, entries, count: entries.length });
+  } catch (error: any) {
+    sendError(res, error, "❌ Failed to read moderation audit log");
+  }
+});
+
+export default router;
@@ -1,96 +1,61 @@
 import express, { Router, Request, Response } from "express";
-import { getGunNode, GUN_PATHS } from "../utils/gun-paths";
-import { tokenAuthMiddleware } from "../middleware/token-auth";
+import { tokenAuth } from "../middleware/token-auth";
 import { loggers } from "../utils/logger";
-import { kprs } from "../utils/zen-network";
+import { registryConfig } from "../config";
+import { discoverRelays, NetworkRelay } from "../utils/network-relays";
+import {
+  getRegistryGun,
+  rankRelays,
+  readHeartbeats,
+  RelayCapabilities,
+} from "../utils/relay-registry";
 
 const router: Router = express.Router();
 
+const CAPABILITIES: Array<keyof RelayCapabilities> = ["ipfs", "tpre", "drive"];
+
 /**
  * GET /api/v1/network/relays
- * Returns a list of discovered relays from the network (Gun shogun/network/relays)
- * supplemented with locally discovered ZEN peers.
+ * Relays with a valid signed heartbeat, probed via /health and ranked by
+ * score (latency and uptime). Stale, forged and mismatched entries are
+ * dropped and only counted in `rejected`.
+ *
+ * Query: probe=false (skip /health probes), capability=ipfs|tpre|drive,
+ * unverified=true (also list unsigned entries from shogun/network/relays and ZEN)
  */
-router.get("/relays", tokenAuthMiddleware, async (req: Request, res: Response) => {
+router.get("/relays", tokenAuth("viewer"), async (req: Request, res: Response) => {
   try {
-    const gun = req.app.get("zenInstance") || req.app.get("gunInstance");
+    const gun = getRegistryGun(req.app);
     if (!gun) {
       return res.status(503).json({ success: false, error: "Storage engine not ready" });
     }
 
-    const discoveredRelays: any[] = [];
-    
-    // Add locally discovered ZEN peers from the kprs Set
-    kprs.forEach(peerUrl => {
-      try {
-        const url = new URL(peerUrl);
-        discoveredRelays.push({
-          host: url.hostname,
-          endpoint: peerUrl,
-          lastSeen: Date.now(),
-          uptime: 0,
-          connections: { active: 0 },
-          source: 'zen-discovery'
-        });
-      } catch (e) {
-        discoveredRelays.push({
-          host: peerUrl,
-          endpoint: peerUrl,
-          lastSeen: Date.now(),
-          uptime: 0,
-          connections: { active: 0 },
-          source: 'zen-discovery'
-        });
-      }
-    });
+    const capability = req.query.capability as keyof RelayCapabilities | undefined;
+    if (capability && !CAPABILITIES.includes(capability)) {
+      return res
+        .status(400)
+        .json({ success: false, error: `capability must be one of ${CAPABILITIES.join(", ")}` });
+    }
 
-    // Fetch relays from the Gun global discovery path
-    const relaysNode = getGunNode(gun, GUN_PATHS.RELAYS);
-    
-    // Use a timeout for Gun once() to avoid hanging if the network is slow
-    const gunData = await new Promise<any>((resolve) => {
-      const timer = setTimeout(() => resolve(null), 5000);
-      relaysNode.once((data: any) => {
-        clearTimeout(timer);
-        resolve(data);
-      });
+    const entries = await readHeartbeats(gun);
+    const { relays, rejected } = await rankRelays(entries, {
+      ...registryConfig,
+      probe: req.query.probe !== "false",
     });
+    const listed = capability ? relays.filter((relay) => relay.capabilities[capability]) : relays;
 
-    if (gunData) {
-      Object.keys(gunData).forEach(key => {
-        if (key === '_' || key === '#') return;
-        const item = gunData[key];
-        
-        // Prevent duplicates if already in discoveredRelays
-        const exists = discoveredRelays.some(r => r.host === key || r.endpoint === key);
-        if (exists) return;
-
-        if (item && typeof item === 'object') {
-          discoveredRelays.push({
-            host: item.host || key,
-            endpoint: item.endpoint || item.url || null,
-            lastSeen: item.lastSeen || Date.now(),
-            uptime: item.uptime || 0,
-            connections: item.connections || { active: 0 },
-            source: 'gun-network'
-          });
-        } else if (typeof item === 'string') {
-          discoveredRelays.push({
-            host: key,
-            endpoint: item,
-            lastSeen: Date.now(),
-            uptime: 0,
-            connections: { active: 0 },
-            source: 'gun-network'
-          });
-        }
-      });
+    let unverified: NetworkRelay[] | undefined;
+    if (req.query.unverified === "true") {
+      const known = new Set(relays.map((relay) => relay.host));
+      unverified = (await discoverRelays(gun)).filter((relay) => !known.has(relay.host));
     }
 
     res.json({
       success: true,
-      relays: discoveredRelays,
-      count: discoveredRelays.length,
+      relays: listed,
+      count: listed.length,
+      rejected,
+      unverified,
       timestamp: Date.now()
     });
 
@@ -0,0 +1,260 @@
+import { Router, Request, Response } from "express";
+import { adminAuth, adminAuthMiddleware, getRequestToken } from "../middleware/admin-auth";
+import { auditAdminAction } from "../middleware/admin-audit";
+import { isRateLimited, recordFailedAttempt } from "../middleware/token-auth";
+import { loggers } from "../utils/logger";
+import { readAdminAudit, recordAdminAction } from "../utils/admin-audit";
+import {
+  OPERATOR_ROLES,
+  OperatorError,
+  Principal,
+  changePassword,
+  confirmTotp,
+  createOperator,
+  createSession,
+  deleteOperator,
+  disableTotp,
+  getOperator,
+  listOperators,
+  revokeSession,
+  startTotpEnrollment,
+  updateOperator,
+  verifyCredentials,
+} from "../utils/operators";
+
+const router: Router = Router();
+
+function sendError(res: Response, error: any, message: string) {
+  if (error instanceof OperatorError) {
+    return res
+      .status(error.status)
+      .json({ success: false, error: error.message, code: error.code });
+  }
+  loggers.server.error({ err: error }, message);
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+const getIp = (req: Request) => req.ip || req.socket.remoteAddress || "unknown";
+
+// The /me routes only make sense for a named operator, not the admin password
+function currentOperator(req: Request, res: Response): string | null {
+  const principal = (req as any).operator as Principal;
+  if (!principal.username) {
+    res
+      .status(400)
+      .json({ success: false, error: "Sign in as an operator to manage your account" });
+    return null;
+  }
+  return principal.username;
+}
+
+/**
+ * Sign in with username, password and (if enabled) a TOTP code
+ * Body: { username, password, totp? }
+ */
+router.post("/login", (req: Request, res: Response) => {
+  const ip = getIp(req);
+  if (isRateLimited(ip)) {
+    return res.status(429).json({
+      success: false,
+      error: "Too many failed authentication attempts. Please try again later.",
+    });
+  }
+
+  const { username, password, totp } = req.body || {};
+  try {
+    const operator = verifyCredentials(username, password, totp);
+    const session = createSession({ username: operator.username, role: operator.role }, ip);
+    recordAdminAction({ action: "operator.login", actor: operator.username, ip, ok: true });
+    res.json({ success: true, ...session, operator });
+  } catch (error: any) {
+    // Asking for the second factor is not a failed attempt
+    if (error instanceof OperatorError && error.code !== "totp_required") {
+      recordFailedAttempt(ip);
+      recordAdminAction({
+        action: "operator.login",
+        actor: typeof username === "string" ? username.slice(0, 64) : "anonymous",
+        ip,
+        ok: false,
+      });
+    }
+    sendError(res, error, "❌ Operator login error");
+  }
+});
+
+/**
+ * End the session the request was made with
+ */
+router.post("/logout", adminAuth("viewer"), (req: Request, res: Response) => {
+  const token =
+    (req.headers["x-session-token"] as string | undefined) ||
+    req.cookies?.sessionToken ||
+    getRequestToken(req);
+  if (token) revokeSession(token);
+  res.json({ success: true });
+});
+
+router.get("/me", adminAuth("viewer"), (req: Request, res: Response) => {
+  try {
+    const principal = (req as any).operator as Principal;
+    const operator = principal.username ? getOperator(principal.username) : null;
+    res.json({ success: true, role: principal.role, operator });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error reading operator");
+  }
+});
+
+/**
+ * Body: { currentPassword, newPassword }. Signs out every session.
+ */
+router.post("/me/password", adminAuth("viewer"), (req: Request, res: Response) => {
+  const username = currentOperator(req, res);
+  if (!username) return;
+  try {
+    changePassword(username, req.body?.currentPassword, req.body?.newPassword);
+    recordAdminAction({ action: "operator.password", actor: username, ip: getIp(req), ok: true });
+    res.json({ success: true });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error changing operator password");
+  }
+});
+
+/**
+ * Start TOTP enrollment: returns the secret and an otpauth:// URI for the
+ * authenticator app
+ */
+router.post("/me/totp", adminAuth("viewer"), (req: Request, res: Response) => {
+  const username = currentOperator(req, res);
+  if (!username) return;
+  try {
+    res.json({ success: true, ...startTotpEnrollment(username) });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error starting TOTP enrollment");
+  }
+});
+
+/**
+ * Body: { code } from the new secret
+ */
+router.post("/me/totp/confirm", adminAuth("viewer"), (req: Request, res: Response) => {
+  const username = currentOperator(req, res);
+  if (!username) return;
+  try {
+    const operator = confirmTotp(username, req.body?.code);
+    recordAdminAction({ action: "operator.totp", actor: username, ip: getIp(req), ok: true });
+    res.json({ success: true, operator });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error confirming TOTP");
+  }
+});
+
+/**
+ * Body: { code }
+ */
+router.delete("/me/totp", adminAuth("viewer"), (req: Request, res: Response) => {
+  const username = currentOperator(req, res);
+  if (!username) return;
+  try {
+    const operator = disableTotp(username, req.body?.code);
+    recordAdminAction({ action: "operator.totp", actor: username, ip: getIp(req), ok: true });
+    res.json({ success: true, operator });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error disabling TOTP");
+  }
+});
+
+/**
+ * Admin audit log, newest first (?actor=&action=&since=&limit=)
+ */
+router.get("/audit", adminAuthMiddleware, (req: Request, res: Response) => {
+  try {
+    const entries = readAdminAudit(
+      {
+        actor: req.query.actor as string | undefined,
+        action: req.query.action as string | undefined,
+        since: req.query.since ? Number(req.query.since) : undefined,
+      },
+      Math.min(parseInt(req.query.limit as string) || 100, 1000)
+    );
+    res.json({ success: true, entries, count: entries.length });
+  } catch (error: any) {
+    sendError(res, error, "❌ Failed to read admin audit log");
+  }
+});
+
+router.get("/", adminAuthMiddleware, (req: Request, res: Response) => {
+  try {
+    res.json({ success: true, operators: listOperators(), roles: OPERATOR_ROLES });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error listing operators");
+  }
+});
+
+/**
+ * Body: { username, password, role }
+ */
+router.post(
+  "/",
+  adminAuthMiddleware,
+  auditAdminAction("operator.create", (req) => req.body?.username),
+  (req: Request, res: Response) => {
+    try {
+      const { username, password, role } = req.body || {};
+      const operator = createOperator({ username, password, role });
+      res.status(201).json({ success: true, operator });
+    } catch (error: any) {
+      sendError(res, error, "❌ Error creating operator");
+    }
+  }
+);
+
+/**
+ * Body: { role?, password?, disabled? }. Signs the operator out.
+ */
+router.patch(
+  "/:username",
+  adminAuthMiddleware,
+  auditAdminAction("operator.update", (req) => req.params.username),
+  (req: Request, res: Response) => {
+    try {
+      const { role, password, disabled } = req.body || {};
+      const operator = updateOperator(req.params.username as string, { role, password, disabled });
+      res.json({ success: true, operator });
+    } catch (error: any) {
+      sendError(res, error, "❌ Error updating operator");
+    }
+  }
+);
+
+router.delete(
+  "/:username",
+  adminAuthMiddleware,
+  auditAdminAction("operator.delete", (req) => req.params.username),
+  (req: Request, res: Response) => {
+    try {
+      const operator = deleteOperator(req.params.username as string);
+      res.json({ success: true, operator });
+    } catch (error: any) {
+      sendError(res, error, "❌ Error deleting operator");
+    }
+  }
+);
+
+/**
+ * Reset TOTP for an operator who lost their device
+ */
+router.delete(
+  "/:username/totp",
+  adminAuthMiddleware,
+  auditAdminAction("operator.totp-reset", (req) => req.params.username),
+  (req: Request, res: Response) => {
+    try {
+      const operator = disableTotp(req.params.username as string, undefined, true);
+      res.json({ success: true, operator });
+    } catch (error: any) {
+      sendError(res, error, "❌ Error resetting operator TOTP");
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,130 @@
+import { Router, Request, Response } from "express";
+import { adminAuthMiddleware } from "../middleware/admin-auth";
+import { loggers } from "../utils/logger";
+import {
+  getApiKeyUsage,
+  getRelayUsage,
+  getUserUsage,
+  listApiKeyUsage,
+  listUserUsage,
+  rebuildUsageFromSystemHash,
+  setQuotaLimit,
+} from "../utils/storage-quota";
+
+const router: Router = Router();
+
+const getGunInstance = (req: Request): any => {
+  return req.app.get("zenInstance") || req.app.get("gunInstance");
+};
+
+/**
+ * Parse `limitMB` from a request body.
+ * null reverts to the default limit, 0 means unlimited.
+ */
+function parseLimit(body: any): { ok: true; limitBytes: number | null } | { ok: false } {
+  const { limitMB } = body || {};
+  if (limitMB === null) {
+    return { ok: true, limitBytes: null };
+  }
+  if (typeof limitMB !== "number" || !Number.isFinite(limitMB) || limitMB < 0) {
+    return { ok: false };
+  }
+  return { ok: true, limitBytes: Math.floor(limitMB * 1024 * 1024) };
+}
+
+/**
+ * Relay-wide usage plus per-user and per-key breakdown (admin)
+ */
+router.get("/", adminAuthMiddleware, (req: Request, res: Response) => {
+  try {
+    res.json({
+      success: true,
+      relay: getRelayUsage(),
+      users: listUserUsage(),
+      apiKeys: listApiKeyUsage(),
+    });
+  } catch (error: any) {
+    loggers.server.error({ err: error }, "❌ Error reading storage quotas");
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Usage and limit for a user address
+ */
+router.get("/users/:userAddress", (req: Request, res: Response) => {
+  const userAddress = req.params.userAddress as string;
+  res.json({ success: true, userAddress, usage: getUserUsage(userAddress) });
+});
+
+/**
+ * Set the limit for a user address (admin)
+ * Body: { limitMB: number | null }
+ */
+router.put("/users/:userAddress", adminAuthMiddleware, (req: Request, res: Response) => {
+  const userAddress = req.params.userAddress as string;
+  const limit = parseLimit(req.body);
+  if (!limit.ok) {
+    return res
+      .status(400)
+      .json({ success: false, error: "limitMB must be a non-negative number or null" });
+  }
+
+  try {
+    const usage = setQuotaLimit("user", userAddress, limit.limitBytes);
+    res.json({ success: true, userAddress, usage });
+  } catch (error: any) {
+    loggers.server.error({ err: error }, "❌ Error setting user quota");
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Usage and limit for an API key (admin)
+ */
+router.get("/api-keys/:keyId", adminAuthMiddleware, (req: Request, res: Response) => {
+  const keyId = req.params.keyId as string;
+  res.json({ success: true, keyId, usage: getApiKeyUsage(keyId) });
+});
+
+/**
+ * Set the limit for an API key (admin)
+ * Body: { limitMB: number | null }
+ */
+router.put("/api-keys/:keyId", adminAuthMiddleware, (req: Request, res: Response) => {
+  const keyId = req.params.keyId as string;
+  const limit = parseLimit(req.body);
+  if (!limit.ok) {
+    return res
+      .status(400)
+      .json({ success: false, error: "limitMB must be a non-negative number or null" });
+  }
+
+  try {
+    const usage = setQuotaLimit("apiKey", keyId, limit.limitBytes);
+    res.json({ success: true, keyId, usage });
+  } catch (error: any) {
+    loggers.server.error({ err: error }, "❌ Error setting API key quota");
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Recompute usage from the systemhash records (admin)
+ */
+router.post("/rebuild", adminAuthMiddleware, async (req: Request, res: Response) => {
+  const gun = getGunInstance(req);
+  if (!gun) {
+    return res.status(500).json({ success: false, error: "Gun instance not available" });
+  }
+
+  try {
+    const relay = await rebuildUsageFromSystemHash(gun);
+    res.json({ success: true, relay });
+  } catch (error: any) {
+    loggers.server.error({ err: error }, "❌ Error rebuilding storage usage");
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,86 @@
+import { Router, Request, Response, NextFunction } from "express";
+import { adminAuthMiddleware } from "../middleware/admin-auth";
+import { loggers } from "../utils/logger";
+import type { PinReplicator, ReplicationStatus } from "../utils/pin-replication";
+
+const router: Router = Router();
+
+router.use(adminAuthMiddleware);
+
+const STATUSES: ReplicationStatus[] = ["ok", "under", "over", "unavailable", "released"];
+const MAX_FACTOR = 20;
+
+// Set by index.ts when IPFS is enabled
+const getReplicator = (req: Request): PinReplicator | null => req.app.get("pinReplicator") || null;
+
+router.use((req: Request, res: Response, next: NextFunction) => {
+  if (!getReplicator(req)) {
+    return res
+      .status(503)
+      .json({ success: false, error: "Pin replication is not available (IPFS disabled)" });
+  }
+  next();
+});
+
+/**
+ * Partners, per-status counts and the last run
+ */
+router.get("/", (req: Request, res: Response) => {
+  res.json({ success: true, ...getReplicator(req)!.getStatus() });
+});
+
+/**
+ * Replication state per CID (?status=under|over|ok|unavailable|released&local=true|false)
+ */
+router.get("/cids", (req: Request, res: Response) => {
+  const status = req.query.status as ReplicationStatus | undefined;
+  if (status && !STATUSES.includes(status)) {
+    return res
+      .status(400)
+      .json({ success: false, error: `status must be one of ${STATUSES.join(", ")}` });
+  }
+  const local = req.query.local === undefined ? undefined : req.query.local === "true";
+  const limit = Math.min(parseInt(req.query.limit as string) || 500, 5000);
+
+  const cids = getReplicator(req)!.listCids({ status, local });
+  res.json({ success: true, total: cids.length, cids: cids.slice(0, limit) });
+});
+
+router.get("/cids/:cid", (req: Request, res: Response) => {
+  const entry = getReplicator(req)!.getCid(req.params.cid as string);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: "CID is not held by any online relay" });
+  }
+  res.json({ success: true, replication: entry });
+});
+
+/**
+ * Set the replication factor of one CID ({ factor: n }, or null to use the default)
+ */
+router.put("/cids/:cid", (req: Request, res: Response) => {
+  const { factor } = req.body || {};
+  if (factor !== null && (!Number.isInteger(factor) || factor < 1 || factor > MAX_FACTOR)) {
+    return res.status(400).json({
+      success: false,
+      error: `factor must be an integer between 1 and ${MAX_FACTOR}, or null`,
+    });
+  }
+  const cid = req.params.cid as string;
+  getReplicator(req)!.setTarget(cid, factor);
+  res.json({ success: true, cid, factor });
+});
+
+/**
+ * Run a replication cycle now
+ */
+router.post("/run", async (req: Request, res: Response) => {
+  try {
+    const result = await getReplicator(req)!.run();
+    res.json({ success: true, result });
+  } catch (error: any) {
+    loggers.server.error({ err: error }, "❌ Pin replication run failed");
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
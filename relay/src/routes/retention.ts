@@ -0,0 +1,199 @@
+import { Router, Request, Response } from "express";
+import { adminAuth, adminAuthMiddleware } from "../middleware/admin-auth";
+import { auditAdminAction } from "../middleware/admin-audit";
+import { retentionConfig } from "../config";
+import { loggers } from "../utils/logger";
+import {
+  RetentionError,
+  RetentionGraphs,
+  clearPinRetention,
+  createPolicy,
+  deletePolicy,
+  getNextRunAt,
+  listPinRetention,
+  listPolicies,
+  listRuns,
+  previewPolicy,
+  runPolicy,
+  setPinRetention,
+  updatePolicy,
+} from "../utils/retention";
+
+const router: Router = Router();
+
+const viewerAuth = adminAuth("viewer");
+const pinOperatorAuth = adminAuth("pin-operator");
+const policyId = (req: Request) => req.params.id;
+
+const getGraphs = (req: Request): RetentionGraphs => {
+  const gun = req.app.get("gunInstance");
+  return { gun, data: req.app.get("zenInstance") || gun };
+};
+
+function sendError(res: Response, error: any, message: string) {
+  if (error instanceof RetentionError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  loggers.server.error({ err: error }, message);
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * Policies with their next scheduled run, built-in ones first
+ */
+router.get("/", viewerAuth, (req: Request, res: Response) => {
+  try {
+    const policies = listPolicies().map((policy) => ({
+      ...policy,
+      nextRunAt: getNextRunAt(policy),
+    }));
+    res.json({ success: true, scheduled: retentionConfig.enabled, policies });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error listing retention policies");
+  }
+});
+
+/**
+ * Body: { name, kind: "max-age" | "max-bytes", maxAgeDays? | maxGB?,
+ *         match?: { userAddress?, apiKeyId?, label? }, gc?, enabled? }
+ */
+router.post(
+  "/policies",
+  adminAuthMiddleware,
+  auditAdminAction("retention.policy.create", (req) => req.body?.name),
+  (req: Request, res: Response) => {
+    try {
+      const { name, kind, enabled, match, maxAgeDays, maxGB, gc } = req.body || {};
+      const policy = createPolicy({ name, kind, enabled, match, maxAgeDays, maxGB, gc });
+      res.status(201).json({ success: true, policy });
+    } catch (error: any) {
+      sendError(res, error, "❌ Error creating retention policy");
+    }
+  }
+);
+
+router.patch(
+  "/policies/:id",
+  adminAuthMiddleware,
+  auditAdminAction("retention.policy.update", policyId),
+  (req: Request, res: Response) => {
+    try {
+      const { name, enabled, match, maxAgeDays, maxGB, gc } = req.body || {};
+      const policy = updatePolicy(req.params.id as string, {
+        name,
+        enabled,
+        match,
+        maxAgeDays,
+        maxGB,
+        gc,
+      });
+      res.json({ success: true, policy });
+    } catch (error: any) {
+      sendError(res, error, "❌ Error updating retention policy");
+    }
+  }
+);
+
+router.delete(
+  "/policies/:id",
+  adminAuthMiddleware,
+  auditAdminAction("retention.policy.delete", policyId),
+  (req: Request, res: Response) => {
+    try {
+      const policy = deletePolicy(req.params.id as string);
+      res.json({ success: true, policy });
+    } catch (error: any) {
+      sendError(res, error, "❌ Error deleting retention policy");
+    }
+  }
+);
+
+/**
+ * Dry run: what the policy would unpin now
+ */
+router.get("/policies/:id/preview", viewerAuth, async (req: Request, res: Response) => {
+  try {
+    const preview = await previewPolicy(req.params.id as string, getGraphs(req));
+    res.json({ success: true, ...preview });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error previewing retention policy");
+  }
+});
+
+/**
+ * Run the policy now and return the report
+ */
+router.post(
+  "/policies/:id/run",
+  adminAuthMiddleware,
+  auditAdminAction("retention.run", policyId),
+  async (req: Request, res: Response) => {
+    try {
+      const run = await runPolicy(req.params.id as string, getGraphs(req));
+      res.json({ success: true, run });
+    } catch (error: any) {
+      sendError(res, error, "❌ Error running retention policy");
+    }
+  }
+);
+
+/**
+ * Past run reports, newest first (?policyId=&limit=)
+ */
+router.get("/runs", viewerAuth, (req: Request, res: Response) => {
+  try {
+    const runs = listRuns(
+      { policyId: req.query.policyId as string | undefined },
+      Math.min(parseInt(req.query.limit as string) || 20, 50)
+    );
+    res.json({ success: true, runs, count: runs.length });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error reading retention runs");
+  }
+});
+
+/**
+ * Pins with a TTL or labels, soonest expiry first
+ */
+router.get("/pins", viewerAuth, (req: Request, res: Response) => {
+  try {
+    const pins = listPinRetention();
+    res.json({ success: true, pins, count: pins.length });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error listing pin retention");
+  }
+});
+
+/**
+ * Body: { ttl? (seconds) | expiresAt?, labels? }
+ */
+router.put(
+  "/pins/:cid",
+  pinOperatorAuth,
+  auditAdminAction("retention.pin.update", (req) => req.params.cid),
+  (req: Request, res: Response) => {
+    try {
+      const { ttl, expiresAt, labels } = req.body || {};
+      const pin = setPinRetention(req.params.cid as string, { ttl, expiresAt, labels });
+      res.json({ success: true, pin });
+    } catch (error: any) {
+      sendError(res, error, "❌ Error setting pin retention");
+    }
+  }
+);
+
+router.delete(
+  "/pins/:cid",
+  pinOperatorAuth,
+  auditAdminAction("retention.pin.clear", (req) => req.params.cid),
+  (req: Request, res: Response) => {
+    try {
+      const pin = clearPinRetention(req.params.cid as string);
+      res.json({ success: true, pin });
+    } catch (error: any) {
+      sendError(res, error, "❌ Error clearing pin retention");
+    }
+  }
+);
+
+export default router;
@@ -7,7 +7,16 @@ import { loggers } from "../utils/logger";
 import { packageConfig } from "../config";
 import { config } from "../config/env-config";
 import { GUN_PATHS, getGunNode } from "../utils/gun-paths";
-import { adminAuthMiddleware } from "../middleware/admin-auth";
+import { adminAuth, adminAuthMiddleware, getActor } from "../middleware/admin-auth";
+import { auditAdminAction } from "../middleware/admin-audit";
+import {
+  HISTORY_METRICS,
+  HISTORY_RESOLUTIONS,
+  HistoryMetric,
+  HistoryResolution,
+  queryHistory,
+} from "../utils/metrics-history";
+import { PeerLimitError, banPeer, getPeerLimits, listPeerBans, unbanPeer } from "../utils/peer-limits";
 
 // Helper to read the last N lines of a file without loading the entire file into memory
 // Helper to read the last N lines of a file without loading the entire file into memory
@@ -81,6 +90,10 @@ const getZenInstance = (req: Request): any => {
   return req.app.get("zenInstance");
 };
 
+// Read-only admin views are open to every operator role
+const viewerAuth = adminAuth("viewer");
+const nodePath = (req: Request): string => req.params[0];
+
 // Health check endpoint
 router.get("/health", (req, res) => {
   // Get relay public key from app context if available
@@ -136,7 +149,7 @@ router.get("/alldata", adminAuthMiddleware, (req, res) => {
 });
 
 // Stats endpoint (Public)
-router.get("/stats", adminAuthMiddleware, (req, res) => {
+router.get("/stats", viewerAuth, (req, res) => {
   try {
     const statsTracker = req.app.get("statsTracker");
     if (!statsTracker) {
@@ -212,8 +225,62 @@ router.get("/stats.json", (req, res) => {
   }
 });
 
+const HISTORY_RANGES: Record<string, number> = {
+  "1h": 60 * 60 * 1000,
+  "6h": 6 * 60 * 60 * 1000,
+  "24h": 24 * 60 * 60 * 1000,
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "30d": 30 * 24 * 60 * 60 * 1000,
+  "90d": 90 * 24 * 60 * 60 * 1000,
+  "1y": 365 * 24 * 60 * 60 * 1000,
+};
+
+// Persisted metric history
+// Query: metrics=msgRate,peers  range=1h|6h|24h|7d|30d|90d|1y (or from/to in ms)  resolution=minute|hour|day
+router.get("/metrics/history", viewerAuth, (req, res) => {
+  if (!config.metrics.historyEnabled) {
+    return res.status(503).json({ success: false, error: "Metric history is disabled" });
+  }
+
+  const metrics = String(req.query.metrics || "msgRate,byteRate,peers")
+    .split(",")
+    .map((m) => m.trim())
+    .filter(Boolean);
+  const unknown = metrics.filter((m) => !HISTORY_METRICS.includes(m as HistoryMetric));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown metrics: ${unknown.join(", ")}`,
+      available: HISTORY_METRICS,
+    });
+  }
+
+  const resolution = req.query.resolution as HistoryResolution | undefined;
+  if (resolution && !HISTORY_RESOLUTIONS.includes(resolution)) {
+    return res.status(400).json({ success: false, error: "resolution must be minute, hour or day" });
+  }
+
+  const to = req.query.to ? Number(req.query.to) : Date.now();
+  const range = HISTORY_RANGES[String(req.query.range || "24h")];
+  const from = req.query.from ? Number(req.query.from) : to - (range || 0);
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+    return res.status(400).json({
+      success: false,
+      error: `Provide a range (${Object.keys(HISTORY_RANGES).join(", ")}) or from < to`,
+    });
+  }
+
+  try {
+    const history = queryHistory({ metrics: metrics as HistoryMetric[], from, to, resolution });
+    res.json({ success: true, from, to, ...history });
+  } catch (error: any) {
+    loggers.server.error({ err: error }, "❌ Metric history error");
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Gun node operations
-router.get("/node/*", adminAuthMiddleware, async (req, res) => {
+router.get("/node/*", viewerAuth, async (req, res) => {
   try {
     // @ts-ignore - req.params is an array for wildcard routes
     const path: string = req.params[0] as string;
@@ -261,7 +328,7 @@ router.get("/node/*", adminAuthMiddleware, async (req, res) => {
 });
 
 // ZEN node operations
-router.get("/zen/node/*", adminAuthMiddleware, async (req, res) => {
+router.get("/zen/node/*", viewerAuth, async (req, res) => {
   try {
     // @ts-ignore
     const path: string = req.params[0] as string;
@@ -290,185 +357,205 @@ router.get("/zen/node/*", adminAuthMiddleware, async (req, res) => {
   }
 });
 
-router.post("/zen/node/*", adminAuthMiddleware, async (req, res) => {
-  try {
-    // @ts-ignore
-    const path: string = req.params[0] as string;
-    const { data } = req.body;
-    const zen = getZenInstance(req);
+router.post(
+  "/zen/node/*",
+  adminAuthMiddleware,
+  auditAdminAction("node.write", nodePath),
+  async (req, res) => {
+    try {
+      // @ts-ignore
+      const path: string = req.params[0] as string;
+      const { data } = req.body;
+      const zen = getZenInstance(req);
 
-    if (!zen) return res.status(503).json({ success: false, error: "ZEN not enabled" });
-    if (!path) return res.status(400).json({ success: false, error: "Path required" });
+      if (!zen) return res.status(503).json({ success: false, error: "ZEN not enabled" });
+      if (!path) return res.status(400).json({ success: false, error: "Path required" });
 
-    const node = getGunNode(zen, path);
-    await new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => reject(new Error("Timeout")), 10000);
-      node.put(data, (ack: any) => {
-        clearTimeout(timeout);
-        if (ack.err) reject(new Error(ack.err));
-        else resolve(ack);
+      const node = getGunNode(zen, path);
+      await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error("Timeout")), 10000);
+        node.put(data, (ack: any) => {
+          clearTimeout(timeout);
+          if (ack.err) reject(new Error(ack.err));
+          else resolve(ack);
+        });
       });
-    });
 
-    res.json({ success: true, path, data });
-  } catch (error: any) {
-    res.status(500).json({ success: false, error: error.message });
+      res.json({ success: true, path, data });
+    } catch (error: any) {
+      res.status(500).json({ success: false, error: error.message });
+    }
   }
-});
+);
 
-router.delete("/zen/node/*", adminAuthMiddleware, async (req, res) => {
-  try {
-    // @ts-ignore
-    const path: string = req.params[0] as string;
-    const zen = getZenInstance(req);
+router.delete(
+  "/zen/node/*",
+  adminAuthMiddleware,
+  auditAdminAction("node.delete", nodePath),
+  async (req, res) => {
+    try {
+      // @ts-ignore
+      const path: string = req.params[0] as string;
+      const zen = getZenInstance(req);
 
-    if (!zen) return res.status(503).json({ success: false, error: "ZEN not enabled" });
+      if (!zen) return res.status(503).json({ success: false, error: "ZEN not enabled" });
 
-    const node = getGunNode(zen, path);
-    await new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => reject(new Error("Timeout")), 10000);
-      node.put(null, (ack: any) => {
-        clearTimeout(timeout);
-        if (ack.err) reject(new Error(ack.err));
-        else resolve(ack);
+      const node = getGunNode(zen, path);
+      await new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => reject(new Error("Timeout")), 10000);
+        node.put(null, (ack: any) => {
+          clearTimeout(timeout);
+          if (ack.err) reject(new Error(ack.err));
+          else resolve(ack);
+        });
       });
-    });
 
-    res.json({ success: true, path, message: "Deleted" });
-  } catch (error: any) {
-    res.status(500).json({ success: false, error: error.message });
+      res.json({ success: true, path, message: "Deleted" });
+    } catch (error: any) {
+      res.status(500).json({ success: false, error: error.message });
+    }
   }
-});
+);
 
-router.post("/node/*", adminAuthMiddleware, async (req, res) => {
-  try {
-    // @ts-ignore - req.params is an array for wildcard routes
-    const path: string = req.params[0] as string;
-    const { data } = req.body;
-    const gun = getGunInstance(req);
+router.post(
+  "/node/*",
+  adminAuthMiddleware,
+  auditAdminAction("node.write", nodePath),
+  async (req, res) => {
+    try {
+      // @ts-ignore - req.params is an array for wildcard routes
+      const path: string = req.params[0] as string;
+      const { data } = req.body;
+      const gun = getGunInstance(req);
 
-    if (!path || path.trim() === "") {
-      return res.status(400).json({ success: false, error: "Node path cannot be empty." });
-    }
+      if (!path || path.trim() === "") {
+        return res.status(400).json({ success: false, error: "Node path cannot be empty." });
+      }
 
-    if (data === undefined) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid data: undefined at test.",
-        path: path,
-        receivedBody: req.body,
-      });
-    }
+      if (data === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid data: undefined at test.",
+          path: path,
+          receivedBody: req.body,
+        });
+      }
 
-    loggers.server.debug({ path, data }, `📝 Creating node`);
+      loggers.server.debug({ path, data }, `📝 Creating node`);
 
-    const node = getGunNode(gun, path);
+      const node = getGunNode(gun, path);
 
-    try {
-      // Properly promisify the Gun put operation
-      const putResult = await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error("Put operation timed out after 10 seconds"));
-        }, 10000);
-
-        try {
-          node.put(data, (ack: any) => {
+      try {
+        // Properly promisify the Gun put operation
+        const putResult = await new Promise((resolve, reject) => {
+          const timeout = setTimeout(() => {
+            reject(new Error("Put operation timed out after 10 seconds"));
+          }, 10000);
+
+          try {
+            node.put(data, (ack: any) => {
+              clearTimeout(timeout);
+              if (ack.err) {
+                loggers.server.error({ err: ack.err, path }, `❌ Gun put error`);
+                reject(new Error(ack.err));
+              } else {
+                loggers.server.debug({ path, ack }, `✅ Gun put success`);
+                resolve(ack);
+              }
+            });
+          } catch (syncError) {
             clearTimeout(timeout);
-            if (ack.err) {
-              loggers.server.error({ err: ack.err, path }, `❌ Gun put error`);
-              reject(new Error(ack.err));
-            } else {
-              loggers.server.debug({ path, ack }, `✅ Gun put success`);
-              resolve(ack);
-            }
-          });
-        } catch (syncError) {
-          clearTimeout(timeout);
-          loggers.server.error({ err: syncError, path }, `❌ Synchronous error in put`);
-          reject(syncError);
-        }
+            loggers.server.error({ err: syncError, path }, `❌ Synchronous error in put`);
+            reject(syncError);
+          }
+        });
+      } finally {
+        // Reset flag
+      }
+
+      loggers.server.info({ path }, `✅ Node successfully created/updated`);
+      return res.json({ success: true, path, data });
+    } catch (error: any) {
+      loggers.server.error({ err: error, path: req.params as any[0] }, `❌ Error in POST /node/*`);
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+        // @ts-ignore
+        path: req.params[0],
       });
-    } finally {
-      // Reset flag
     }
-
-    loggers.server.info({ path }, `✅ Node successfully created/updated`);
-    return res.json({ success: true, path, data });
-  } catch (error: any) {
-    loggers.server.error({ err: error, path: req.params as any[0] }, `❌ Error in POST /node/*`);
-    return res.status(500).json({
-      success: false,
-      error: error.message,
-      // @ts-ignore
-      path: req.params[0],
-    });
   }
-});
+);
 
-router.delete("/node/*", adminAuthMiddleware, async (req, res) => {
-  try {
-    // @ts-ignore - req.params is an array for wildcard routes
-    const path: string = req.params[0] as string;
-    const gun = getGunInstance(req);
+router.delete(
+  "/node/*",
+  adminAuthMiddleware,
+  auditAdminAction("node.delete", nodePath),
+  async (req, res) => {
+    try {
+      // @ts-ignore - req.params is an array for wildcard routes
+      const path: string = req.params[0] as string;
+      const gun = getGunInstance(req);
 
-    if (!path || path.trim() === "") {
-      return res.status(400).json({ success: false, error: "Node path cannot be empty." });
-    }
+      if (!path || path.trim() === "") {
+        return res.status(400).json({ success: false, error: "Node path cannot be empty." });
+      }
 
-    loggers.server.debug({ path }, `🗑️ Deleting node`);
+      loggers.server.debug({ path }, `🗑️ Deleting node`);
 
-    const node = getGunNode(gun, path);
+      const node = getGunNode(gun, path);
 
-    try {
-      // Properly promisify the Gun delete operation
-      await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error("Delete operation timed out after 10 seconds"));
-        }, 10000);
+      try {
+        // Properly promisify the Gun delete operation
+        await new Promise((resolve, reject) => {
+          const timeout = setTimeout(() => {
+            reject(new Error("Delete operation timed out after 10 seconds"));
+          }, 10000);
 
-        try {
-          node.put(null, (ack: any) => {
+          try {
+            node.put(null, (ack: any) => {
+              clearTimeout(timeout);
+              if (ack.err) {
+                loggers.server.error({ err: ack.err, path }, `❌ Gun delete error`);
+                reject(new Error(ack.err));
+              } else {
+                loggers.server.debug({ path, ack }, `✅ Gun delete success`);
+                resolve(ack);
+              }
+            });
+          } catch (syncError) {
             clearTimeout(timeout);
-            if (ack.err) {
-              loggers.server.error({ err: ack.err, path }, `❌ Gun delete error`);
-              reject(new Error(ack.err));
-            } else {
-              loggers.server.debug({ path, ack }, `✅ Gun delete success`);
-              resolve(ack);
-            }
-          });
-        } catch (syncError) {
-          clearTimeout(timeout);
-          loggers.server.error({ err: syncError, path }, `❌ Synchronous error in delete`);
-          reject(syncError);
-        }
+            loggers.server.error({ err: syncError, path }, `❌ Synchronous error in delete`);
+            reject(syncError);
+          }
+        });
+      } finally {
+        // Reset flag
+      }
+
+      loggers.server.info({ path }, `✅ Node successfully deleted`);
+      return res.json({
+        success: true,
+        path,
+        message: "Node deleted successfully",
+      });
+    } catch (error: any) {
+      loggers.server.error(
+        { err: error, path: req.params as any[0] },
+        `❌ Error in DELETE /node/*`
+      );
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+        // @ts-ignore
+        path: req.params[0],
       });
-    } finally {
-      // Reset flag
     }
-
-    loggers.server.info({ path }, `✅ Node successfully deleted`);
-    return res.json({
-      success: true,
-      path,
-      message: "Node deleted successfully",
-    });
-  } catch (error: any) {
-    loggers.server.error({ err: error, path: req.params as any[0] }, `❌ Error in DELETE /node/*`);
-    return res.status(500).json({
-      success: false,
-      error: error.message,
-      // @ts-ignore
-      path: req.params[0],
-    });
   }
-});
+);
 
 // Logs endpoint for real-time relay logs from file
-router.get("/logs", adminAuthMiddleware, async (req, res) => {
-  if (!req.headers.authorization) {
-    return res.status(401).json({ error: "Unauthorized access to system logs" });
-  }
+router.get("/logs", viewerAuth, async (req, res) => {
   try {
     const limit: number = parseInt((req.query.limit as string) || "") || 100;
     const tail: number = parseInt((req.query.tail as string) || "") || 100; // Number of lines to read from end
@@ -581,7 +668,7 @@ router.get("/logs", adminAuthMiddleware, async (req, res) => {
 });
 
 // Clear logs endpoint (clears GunDB logs only)
-router.delete("/logs", adminAuthMiddleware, (req, res) => {
+router.delete("/logs", adminAuthMiddleware, auditAdminAction("logs.delete"), (req, res) => {
   try {
     const gun = getGunInstance(req);
     const logsNode = getGunNode(gun, GUN_PATHS.LOGS);
@@ -617,7 +704,7 @@ router.delete("/logs", adminAuthMiddleware, (req, res) => {
 });
 
 // Peers endpoints
-router.get("/peers", adminAuthMiddleware, (req, res) => {
+router.get("/peers", viewerAuth, (req, res) => {
   try {
     const gun = getGunInstance(req);
 
@@ -678,8 +765,59 @@ router.post("/peers/add", adminAuthMiddleware, (req, res) => {
   }
 });
 
+// Banned peers (IP addresses, or peer URLs when the IP is unknown)
+router.get("/peers/bans", viewerAuth, (req, res) => {
+  try {
+    const bans = listPeerBans();
+    res.json({ success: true, bans, count: bans.length, limits: getPeerLimits() });
+  } catch (error: any) {
+    loggers.server.error({ err: error }, "❌ Peer bans GET error");
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Body: { target, durationSecs? (0 = until lifted), reason? }
+ */
+router.post(
+  "/peers/bans",
+  adminAuthMiddleware,
+  auditAdminAction("peer.ban", (req) => req.body?.target),
+  (req, res) => {
+    try {
+      const { target, durationSecs, reason } = req.body || {};
+      const ban = banPeer(target, { durationSecs, reason, source: "admin", by: getActor(req) });
+      res.status(201).json({ success: true, ban });
+    } catch (error: any) {
+      if (error instanceof PeerLimitError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      loggers.server.error({ err: error }, "❌ Peer ban error");
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
+router.delete(
+  "/peers/bans/:target",
+  adminAuthMiddleware,
+  auditAdminAction("peer.unban", (req) => req.params.target),
+  (req, res) => {
+    try {
+      const ban = unbanPeer(req.params.target as string);
+      res.json({ success: true, ban });
+    } catch (error: any) {
+      if (error instanceof PeerLimitError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      loggers.server.error({ err: error }, "❌ Peer unban error");
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+);
+
 // Services Logs endpoint
-router.get("/services/:name/logs", adminAuthMiddleware, async (req, res) => {
+router.get("/services/:name/logs", viewerAuth, async (req, res) => {
   try {
     const serviceName = req.params.name;
     const limit = parseInt((req.query.limit as string) || "") || 100;
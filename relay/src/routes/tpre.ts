@@ -1,55 +1,235 @@
-import express from "express";
+import express, { Request, Response } from "express";
 import { loggers } from "../utils/logger";
-import * as umbral from "@nucypher/umbral-pre";
 import { waitForZenData } from "../utils/zen-utils";
+import { adminAuthMiddleware } from "../middleware/admin-auth";
+import { tpreConfig } from "../config";
+import {
+  AuditAction,
+  TpreError,
+  capsuleId,
+  consumeRateLimit,
+  getGroup,
+  lookupKfrag,
+  readAudit,
+  recordAudit,
+  reencryptCapsules,
+  registerKfrag,
+  revokeKfrag,
+  rotateKfrag,
+} from "../utils/tpre-kfrags";
 
 const router = express.Router();
 
+const AUDIT_ACTIONS: AuditAction[] = ["register", "rotate", "revoke", "reencrypt"];
+
+function sendError(res: Response, error: any, message: string) {
+  if (error instanceof TpreError) {
+    if (error.retryAfter) res.setHeader("Retry-After", String(error.retryAfter));
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  loggers.server.error({ err: error }, message);
+  return res.status(500).json({ success: false, error: error.message });
+}
+
 /**
- * Re-encrypt Endpoint
- * Body: { groupId, memberPub, capsuleB64 }
+ * Kfrag written to the graph by older clients (no keys to verify it against)
  */
-router.post("/reencrypt", async (req, res) => {
-  const { groupId, memberPub, capsuleB64 } = req.body;
-  
-  if (!groupId || !memberPub || !capsuleB64) {
-    return res.status(400).json({ error: "Missing required parameters" });
+async function readLegacyKfrag(req: Request, groupId: string, memberPub: string) {
+  const gun = req.app.get("zenInstance") || req.app.get("gunInstance");
+  if (!gun) {
+    throw new Error("No database instance available");
   }
+  // Using waitForZenData to handle P2P sync latency
+  const kfragNode = gun.get("linda_rooms").get(groupId).get("relay_kfrags").get(memberPub);
+  const kfragString: string | null = await waitForZenData(kfragNode);
+  return kfragString && typeof kfragString === "string" ? kfragString : null;
+}
 
-  loggers.server.info(`[TPRE] 📥 Request for Group: ${groupId?.substring(0, 8)} | Member: ${memberPub?.substring(0, 12)}...`);
-
+/**
+ * SEA key of linda_rooms/<groupId>, which must sign the registration that
+ * binds a new group
+ */
+async function readRoomPub(req: Request, groupId: string): Promise<string | null> {
   const gun = req.app.get("zenInstance") || req.app.get("gunInstance");
   if (!gun) {
-    return res.status(500).json({ error: "No database instance available" });
+    throw new Error("No database instance available");
+  }
+  const roomPub = await waitForZenData(gun.get("linda_rooms").get(groupId).get("pub"));
+  return typeof roomPub === "string" && roomPub ? roomPub : null;
+}
+
+/**
+ * Re-encrypt Endpoint
+ * Body: { groupId, memberPub, capsuleB64 } or { groupId, memberPub, capsules: [capsuleB64, ...] }
+ * Returns { cfrag } for a single capsule, { cfrags } (same order) for a batch.
+ */
+router.post("/reencrypt", async (req: Request, res: Response) => {
+  const { groupId, memberPub, capsuleB64 } = req.body || {};
+  const batch = Array.isArray(req.body?.capsules);
+  const capsules: unknown[] = batch ? req.body.capsules : capsuleB64 ? [capsuleB64] : [];
+
+  if (!groupId || !memberPub || capsules.length === 0) {
+    return res.status(400).json({ success: false, error: "Missing required parameters" });
+  }
+  if (capsules.length > tpreConfig.maxBatch) {
+    return res
+      .status(400)
+      .json({ success: false, error: `At most ${tpreConfig.maxBatch} capsules per request` });
+  }
+  if (capsules.some((capsule) => typeof capsule !== "string" || !capsule)) {
+    return res.status(400).json({ success: false, error: "Capsules must be base64 strings" });
   }
 
+  loggers.server.info(
+    `[TPRE] 📥 Request for Group: ${String(groupId).substring(0, 8)} | Member: ${String(memberPub).substring(0, 12)}... | Capsules: ${capsules.length}`
+  );
+
   try {
     // 1. Look up this relay's kfrag for this (group, member) pair
-    // Using waitForZenData to handle P2P sync latency
-    const kfragNode = gun.get("linda_rooms").get(groupId).get("relay_kfrags").get(memberPub);
-    const kfragString: string | null = await waitForZenData(kfragNode);
-    
-    if (!kfragString || typeof kfragString !== 'string') {
-      loggers.server.warn(`[TPRE] ❌ Kfrag NOT FOUND for member ${memberPub?.substring(0, 8)}`);
-      return res.status(404).json({ error: "No relay kfrag found for this member" });
+    const registered = lookupKfrag(groupId, memberPub);
+    if (registered === "revoked") {
+      recordAudit({
+        action: "reencrypt",
+        groupId,
+        memberPub,
+        ok: false,
+        ip: req.ip,
+        capsules: capsules.length,
+        error: "revoked",
+      });
+      return res.status(403).json({ success: false, error: "Kfrag has been revoked" });
     }
 
-    // 2. Deserialize Handlers
-    const kfragBytes = new Uint8Array(Buffer.from(kfragString, "base64"));
-    // VerifiedKeyFrag non ha un metodo statico fromBytes, usiamo KeyFrag + skipVerification
-    const kfrag = (umbral as any).KeyFrag.fromBytes(kfragBytes).skipVerification();
-    const capsuleBytes = new Uint8Array(Buffer.from(capsuleB64, 'base64'));
-    const capsule = umbral.Capsule.fromBytes(capsuleBytes);
+    let kfrag = registered ? registered.kfrag : null;
+    if (!registered && tpreConfig.legacyKfrags) {
+      kfrag = await readLegacyKfrag(req, groupId, memberPub);
+    }
+    if (!kfrag) {
+      loggers.server.warn(
+        `[TPRE] ❌ Kfrag NOT FOUND for member ${String(memberPub).substring(0, 8)}`
+      );
+      return res
+        .status(404)
+        .json({ success: false, error: "No relay kfrag found for this member" });
+    }
 
-    // 3. Re-encrypt
-    const cfrag = umbral.reencrypt(capsule, kfrag);
-    const cfragB64 = Buffer.from(cfrag.toBytes()).toString('base64');
+    // 2. Re-encrypt, within the member's rate limit
+    consumeRateLimit(groupId, memberPub, capsules.length);
+    const cfrags = reencryptCapsules(kfrag, capsules as string[]);
+
+    recordAudit({
+      action: "reencrypt",
+      groupId,
+      memberPub,
+      ok: true,
+      ip: req.ip,
+      version: registered ? registered.version : undefined,
+      capsules: capsules.length,
+      capsuleIds: (capsules as string[]).map(capsuleId),
+    });
 
     loggers.server.info(`[TPRE] ✅ Re-encryption successful`);
-    res.json({ cfrag: cfragB64 });
+    res.json(
+      batch
+        ? { success: true, cfrags, legacy: !registered }
+        : { success: true, cfrag: cfrags[0], legacy: !registered }
+    );
   } catch (err: any) {
-    loggers.server.error({ err: err.message, groupId, memberPub }, "Error during Proxy Re-Encryption");
-    res.status(500).json({ error: "Failed to perform re-encryption", details: err.message });
+    if (err instanceof TpreError) return sendError(res, err, "❌ Re-encryption failed");
+    loggers.server.error(
+      { err: err.message, groupId, memberPub },
+      "Error during Proxy Re-Encryption"
+    );
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to perform re-encryption", details: err.message });
+  }
+});
+
+/**
+ * Audit log, newest first (?groupId=&memberPub=&action=&since=&limit=)
+ */
+router.get("/audit", adminAuthMiddleware, (req: Request, res: Response) => {
+  const action = req.query.action as AuditAction | undefined;
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return res
+      .status(400)
+      .json({ success: false, error: `action must be one of ${AUDIT_ACTIONS.join(", ")}` });
+  }
+  try {
+    const entries = readAudit(
+      {
+        groupId: req.query.groupId as string | undefined,
+        memberPub: req.query.memberPub as string | undefined,
+        action,
+        since: req.query.since ? Number(req.query.since) : undefined,
+      },
+      Math.min(parseInt(req.query.limit as string) || 100, 1000)
+    );
+    res.json({ success: true, entries, count: entries.length });
+  } catch (error: any) {
+    sendError(res, error, "❌ Failed to read TPRE audit log");
+  }
+});
+
+/**
+ * Group keys, threshold and member kfrag states (no kfrag bytes)
+ */
+router.get("/groups/:groupId", (req: Request, res: Response) => {
+  const group = getGroup(req.params.groupId as string);
+  if (!group) {
+    return res.status(404).json({ success: false, error: "Group not registered" });
+  }
+  res.json({ success: true, group });
+});
+
+/**
+ * Register a member's kfrag (owner-signed; the first one of a group also room-signed)
+ * Body: { memberPub, kfrag, receivingKey, delegatingKey, verifyingKey, threshold, shares, timestamp, signature, roomSignature? }
+ */
+router.post("/groups/:groupId/kfrags", async (req: Request, res: Response) => {
+  try {
+    const groupId = req.params.groupId as string;
+    const roomPub = getGroup(groupId) ? null : await readRoomPub(req, groupId);
+    const member = await registerKfrag(groupId, req.body || {}, roomPub);
+    const { kfrag: _kfrag, ...publicMember } = member;
+    res.status(201).json({ success: true, member: publicMember });
+  } catch (error: any) {
+    sendError(res, error, "❌ Failed to register TPRE kfrag");
+  }
+});
+
+/**
+ * Rotate a member's kfrag (owner-signed)
+ * Body: { kfrag, receivingKey?, threshold?, shares?, timestamp, signature }
+ */
+router.put("/groups/:groupId/kfrags/:memberPub", (req: Request, res: Response) => {
+  try {
+    const member = rotateKfrag(
+      req.params.groupId as string,
+      req.params.memberPub as string,
+      req.body || {}
+    );
+    const { kfrag: _kfrag, ...publicMember } = member;
+    res.json({ success: true, member: publicMember });
+  } catch (error: any) {
+    sendError(res, error, "❌ Failed to rotate TPRE kfrag");
+  }
+});
+
+/**
+ * Revoke a member's kfrag (owner-signed). Body: { timestamp, signature }
+ */
+router.delete("/groups/:groupId/kfrags/:memberPub", (req: Request, res: Response) => {
+  try {
+    const member = revokeKfrag(
+      req.params.groupId as string,
+      req.params.memberPub as string,
+      req.body || {}
+    );
+    res.json({ success: true, member });
+  } catch (error: any) {
+    sendError(res, error, "❌ Failed to revoke TPRE kfrag");
   }
 });
 
@@ -1,13 +1,29 @@
-import express, { Request, Response, Router, NextFunction } from "express";
+import express, { Request, Router } from "express";
 import { loggers } from "../utils/logger";
-import { authConfig } from "../config";
-import { secureCompare, hashToken } from "../utils/security";
 import { GUN_PATHS } from "../utils/gun-paths";
-
-// Extended Request interface with custom properties
-interface CustomRequest extends Request {
-  authType?: string;
-}
+import { adminOrApiKeyAuth } from "../middleware/admin-or-api-key-auth";
+import { adminAuthMiddleware } from "../middleware/admin-auth";
+import { auditAdminAction } from "../middleware/admin-audit";
+import { emitRelayEvent } from "../utils/event-bus";
+import { ipfsRequest } from "../utils/ipfs-client";
+import { removeSystemHash } from "../utils/storage-utils";
+import { RetentionError, parseRetentionInput } from "../utils/retention";
+import {
+  SEARCH_SORTS,
+  SearchIndexError,
+  SearchSort,
+  getSearchIndexStats,
+  indexUpload,
+  rebuildSearchIndex,
+  searchUploads,
+} from "../utils/search-index";
+import {
+  QuotaExceededError,
+  assertQuota,
+  getQuotaContext,
+  recordUpload,
+  releaseUpload,
+} from "../utils/storage-quota";
 
 const router: Router = express.Router();
 
@@ -16,6 +32,24 @@ const getGunInstance = (req: Request): any => {
   return req.app.get("zenInstance") || req.app.get("gunInstance");
 };
 
+/**
+ * Size of a CID as stored by the local IPFS node (files/stat), or null when
+ * the node does not have it
+ */
+async function getStoredSize(cid: string): Promise<number | null> {
+  try {
+    const stat: any = await ipfsRequest(
+      `/api/v0/files/stat?arg=${encodeURIComponent(`/ipfs/${cid}`)}`,
+      { timeout: 15000, maxRetries: 0 }
+    );
+    const size = Number(stat?.CumulativeSize);
+    return Number.isFinite(size) && size >= 0 ? size : null;
+  } catch (error) {
+    loggers.uploads.debug({ err: error, cid }, "files/stat failed");
+    return null;
+  }
+}
+
 const GUN_META_KEYS = ["_", "#", ">", "<"];
 
 function normalizeGunRecord(record: any): any {
@@ -164,28 +198,6 @@ async function deleteUploadAndUpdateMB(
   });
 }
 
-/**
- * Remove a hash from the system-wide hash registry.
- * Encapsulates the GunDB logic to remove a hash entry.
- * @param gun The GunDB instance
- * @param hash The file hash to remove
- */
-async function removeSystemHash(gun: any, hash: string): Promise<void> {
-  return new Promise((resolve, reject) => {
-    const systemHashesNode = gun.get(GUN_PATHS.SYSTEM_HASH);
-
-    systemHashesNode.get(hash).put(null, (ack: any) => {
-      if (ack && ack.err) {
-        loggers.uploads.error("❌ Error removing hash from systemhash node:", ack.err);
-        reject(new Error(ack.err));
-      } else {
-        loggers.uploads.info(`✅ Hash ${hash} removed from systemhash node successfully`);
-        resolve(undefined);
-      }
-    });
-  });
-}
-
 // ROUTE SPECIFICHE - DEVONO ESSERE PRIMA DELLA ROUTE GENERICA /:identifier
 
 // Endpoint per ottenere tutti gli hash del sistema (per il pin manager)
@@ -309,37 +321,94 @@ router.get("/system-hashes-map", async (req, res) => {
   }
 });
 
+// Numeric /search parameter; dates may also be ISO strings
+function searchNumber(value: unknown, name: string, isDate = false): number | undefined {
+  if (value === undefined || value === "") return undefined;
+  const text = String(value);
+  const parsed = /^\d+$/.test(text) ? Number(text) : isDate ? Date.parse(text) : NaN;
+  if (!Number.isFinite(parsed)) {
+    throw new SearchIndexError(`${name} must be a ${isDate ? "timestamp or ISO date" : "number"}`);
+  }
+  return parsed;
+}
+
+// Full-text search and filters over the upload records (SQLite index of systemhash)
+// ?q=&user=&type=&minSize=&maxSize=&from=&to=&isDirectory=&label=&sort=&limit=&cursor=&facets=
+router.get("/search", async (req, res) => {
+  try {
+    const query = req.query as Record<string, string | undefined>;
+    const result = searchUploads({
+      q: query.q,
+      userAddress: query.user || query.userAddress,
+      type: query.type,
+      minSize: searchNumber(query.minSize, "minSize"),
+      maxSize: searchNumber(query.maxSize, "maxSize"),
+      from: searchNumber(query.from, "from", true),
+      to: searchNumber(query.to, "to", true),
+      isDirectory: query.isDirectory === undefined ? undefined : query.isDirectory === "true",
+      label: query.label,
+      sort: query.sort as SearchSort | undefined,
+      limit: searchNumber(query.limit, "limit"),
+      cursor: query.cursor,
+      facets: query.facets !== "false",
+    });
+
+    res.json({ success: true, ...result, sorts: SEARCH_SORTS });
+  } catch (error: any) {
+    if (error instanceof SearchIndexError) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
+    loggers.uploads.error({ err: error }, "Upload search error");
+    res.status(500).json({
+      success: false,
+      error: "Errore interno del server",
+      details: error.message,
+    });
+  }
+});
+
+// Rebuild the search index from the systemhash node
+router.post(
+  "/search/reindex",
+  adminAuthMiddleware,
+  auditAdminAction("search.reindex"),
+  async (req, res) => {
+    try {
+      const gun = getGunInstance(req);
+      if (!gun) {
+        return res.status(500).json({
+          success: false,
+          error: "Gun instance not available",
+        });
+      }
+
+      const rebuilt = await rebuildSearchIndex(gun);
+      res.json({ success: true, ...rebuilt, index: getSearchIndexStats() });
+    } catch (error: any) {
+      if (error instanceof SearchIndexError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
+      loggers.uploads.error({ err: error }, "Search reindex error");
+      res.status(500).json({
+        success: false,
+        error: "Errore interno del server",
+        details: error.message,
+      });
+    }
+  }
+);
+
 // Endpoint per salvare un hash nel nodo systemhash
 router.post(
   "/save-system-hash",
-  (req, res, next) => {
-    // Only admin authentication is allowed
-    const authHeader = req.headers["authorization"];
-    const bearerToken = authHeader && authHeader.split(" ")[1];
-    const customToken = req.headers["token"];
-
-    const adminToken = bearerToken || customToken;
-    // SECURITY: Use timing-safe comparison to prevent timing attacks
-    const tokenHash = adminToken ? hashToken(String(adminToken)) : "";
-    const adminHash = authConfig.adminPassword ? hashToken(authConfig.adminPassword) : "";
-    const isAdmin = tokenHash && adminHash && secureCompare(tokenHash, adminHash);
-
-    if (isAdmin) {
-      (req as CustomRequest).authType = "admin";
-      next();
-    } else {
-      loggers.uploads.warn({}, "Auth failed - Admin token");
-      res.status(401).json({ success: false, error: "Unauthorized - Admin token required" });
-    }
-  },
+  // Admin token or API key with the uploads:write scope
+  adminOrApiKeyAuth("uploads:write"),
   async (req, res) => {
     try {
       const {
         hash,
-        userAddress,
         timestamp,
         fileName,
-        fileSize,
         isEncrypted,
         contentType,
         relayUrl,
@@ -352,6 +421,17 @@ router.post(
         uploadedAt,
       } = req.body;
 
+      // An API key registers hashes for the user it is bound to
+      const apiKey = (req as any).apiKey;
+      const claimed = req.body.userAddress;
+      const userAddress = apiKey ? apiKey.userAddress : claimed;
+      if (apiKey && (!userAddress || (claimed && claimed !== userAddress))) {
+        return res.status(403).json({
+          success: false,
+          error: "API key is not bound to this userAddress",
+        });
+      }
+
       if (!hash || !userAddress) {
         return res.status(400).json({
           success: false,
@@ -369,6 +449,22 @@ router.post(
         });
       }
 
+      // Charged by the size IPFS reports, not the size the client claims
+      const sizeBytes = await getStoredSize(hash);
+      if (sizeBytes === null) {
+        return res.status(404).json({
+          success: false,
+          error: "Hash not found on this relay's IPFS node",
+        });
+      }
+
+      // Quota check: re-registering a hash the user already owns is free
+      const quotaContext = getQuotaContext(req, userAddress);
+      assertQuota(quotaContext, sizeBytes, hash);
+
+      // Optional { ttl | expiresAt, labels } for retention policies
+      const retention = parseRetentionInput(req.body);
+
       // Salva l'hash nel nodo systemhash
       await new Promise((resolve, reject) => {
         const systemHashesNode = gun.get(GUN_PATHS.SYSTEM_HASH);
@@ -393,9 +489,7 @@ router.post(
           hashRecord.displayName = fileName;
         }
 
-        if (typeof fileSize === "number") {
-          hashRecord.fileSize = fileSize;
-        }
+        hashRecord.fileSize = sizeBytes;
 
         if (typeof isEncrypted === "boolean") {
           hashRecord.isEncrypted = isEncrypted;
@@ -413,6 +507,11 @@ router.post(
           hashRecord.originalName = originalName;
         }
 
+        // Lets quota usage be rebuilt per API key
+        if (quotaContext.apiKeyId) {
+          hashRecord.apiKeyId = quotaContext.apiKeyId;
+        }
+
         // Campi per directory
         if (typeof isDirectory === "boolean") {
           hashRecord.isDirectory = isDirectory;
@@ -422,6 +521,15 @@ router.post(
           hashRecord.fileCount = fileCount;
         }
 
+        // Retention expiry and labels (comma separated: Gun cannot store arrays)
+        if (retention?.expiresAt) {
+          hashRecord.expiresAt = retention.expiresAt;
+        }
+
+        if (retention?.labels.length) {
+          hashRecord.labels = retention.labels.join(",");
+        }
+
         // IMPORTANTE: Salva il campo 'files' per le directory
         // GunDB non può salvare array complessi direttamente, quindi convertiamo in JSON string
         if (files && Array.isArray(files)) {
@@ -448,11 +556,26 @@ router.post(
               { hash },
               "Hash saved to systemhash node successfully with metadata"
             );
+            // Searchable as soon as the save returns, before the Gun subscription fires
+            try {
+              indexUpload(hashRecord);
+            } catch (error) {
+              loggers.uploads.warn({ err: error, hash }, "Failed to index upload for search");
+            }
             resolve(undefined);
           }
         });
       });
 
+      recordUpload(quotaContext, hash, sizeBytes, gun);
+      emitRelayEvent("systemhash.saved", {
+        hash,
+        userAddress,
+        fileName: fileName || null,
+        fileSize: sizeBytes,
+        isDirectory: isDirectory === true,
+      });
+
       res.json({
         success: true,
         message: "Hash saved to systemhash node successfully",
@@ -461,6 +584,17 @@ router.post(
         timestamp: timestamp,
       });
     } catch (error: any) {
+      if (error instanceof QuotaExceededError) {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message,
+          scope: error.scope,
+          usage: error.usage,
+        });
+      }
+      if (error instanceof RetentionError) {
+        return res.status(error.status).json({ success: false, error: error.message });
+      }
       loggers.uploads.error({ err: error }, "Save system hash error");
       res.status(500).json({
         success: false,
@@ -472,40 +606,14 @@ router.post(
 );
 
 // Endpoint per rimuovere un hash dal nodo systemhash
-// Permette sia admin che utenti (per rimuovere i propri metadati)
+// Richiede admin o una API key con scope uploads:write
 router.delete(
   "/remove-system-hash/:hash",
-  async (req, res, next) => {
-    const authHeader = req.headers["authorization"];
-    const bearerToken = authHeader && authHeader.split(" ")[1];
-    const customToken = req.headers["token"];
-    const token = bearerToken || customToken;
-
-    // Verifica se è admin
-    const tokenHash = token ? hashToken(String(token)) : "";
-    const adminHash = authConfig.adminPassword ? hashToken(authConfig.adminPassword) : "";
-    const isAdmin = tokenHash && adminHash && secureCompare(tokenHash, adminHash);
-
-    if (isAdmin) {
-      (req as CustomRequest).authType = "admin";
-      next();
-      return;
-    }
-
-    // Se non è admin, verifica che l'utente possa rimuovere i propri metadati
-    // Per ora permettiamo a chiunque con un token valido (puoi restringere in futuro)
-    if (token) {
-      (req as CustomRequest).authType = "user";
-      next();
-      return;
-    }
-
-    loggers.uploads.warn("Auth failed - No valid token");
-    res.status(401).json({ success: false, error: "Unauthorized - Token required" });
-  },
+  // Admin token or API key with the uploads:write scope
+  adminOrApiKeyAuth("uploads:write"),
   async (req, res) => {
     try {
-      const { hash } = req.params;
+      const hash = req.params.hash as string;
       const { userAddress } = req.body;
 
       if (!hash) {
@@ -527,6 +635,7 @@ router.delete(
 
       // Rimuovi l'hash dal nodo systemhash
       await removeSystemHash(gun, hash);
+      releaseUpload(hash, userAddress, gun);
 
       res.json({
         success: true,
@@ -637,12 +746,11 @@ router.get("/:identifier", async (req, res) => {
 // Endpoint per eliminare un upload specifico
 router.delete(
   "/:identifier/:hash",
-  (req, res, next) => {
-    next();
-  },
+  adminOrApiKeyAuth("uploads:write"),
   async (req, res) => {
     try {
-      const { identifier, hash } = req.params;
+      const identifier = req.params.identifier as string;
+      const hash = req.params.hash as string;
       if (!identifier || !hash) {
         return res.status(400).json({ success: false, error: "Identificatore e hash richiesti" });
       }
@@ -688,18 +796,12 @@ router.delete(
         });
       });
 
-      // Update MB usage after deletion (legacy system)
+      // Release the file from the user's quota (also updates MB usage in Gun)
       try {
-        const { updateMBUsage } = await import("../utils/storage-utils.js");
-        const newMB = await updateMBUsage(gun, identifier, -fileSizeMB);
-        loggers.uploads.info(`MB usage updated: ${newMB} MB`);
+        releaseUpload(hash, identifier, gun);
       } catch (error: any) {
-        loggers.uploads.warn(
-          { err: error },
-          `Failed to update MB usage after deletion:`,
-          error.message
-        );
-        // Continue even if MB update fails
+        loggers.uploads.warn({ err: error }, "Failed to release storage quota after deletion");
+        // Continue even if quota update fails
       }
 
       // Remove hash from systemhash node directly
@@ -0,0 +1,147 @@
+import { Router, Request, Response } from "express";
+import { adminAuthMiddleware } from "../middleware/admin-auth";
+import { loggers } from "../utils/logger";
+import { RELAY_EVENT_TYPES } from "../utils/event-bus";
+import {
+  DeliveryStatus,
+  WebhookError,
+  createWebhook,
+  deleteWebhook,
+  getWebhook,
+  listDeliveries,
+  listWebhooks,
+  retryDelivery,
+  sendTestEvent,
+  toPublicWebhook,
+  updateWebhook,
+} from "../utils/webhooks";
+
+const router: Router = Router();
+
+router.use(adminAuthMiddleware);
+
+const DELIVERY_STATUSES: DeliveryStatus[] = ["pending", "delivered", "failed"];
+
+function sendError(res: Response, error: any, message: string) {
+  if (error instanceof WebhookError) {
+    return res.status(error.status).json({ success: false, error: error.message });
+  }
+  loggers.server.error({ err: error }, message);
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+/**
+ * List subscriptions (secrets masked) and the event types they can filter on
+ */
+router.get("/", (req: Request, res: Response) => {
+  try {
+    res.json({
+      success: true,
+      webhooks: listWebhooks().map(toPublicWebhook),
+      eventTypes: RELAY_EVENT_TYPES,
+    });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error listing webhooks");
+  }
+});
+
+/**
+ * Create a subscription. The response holds the only copy of the signing secret.
+ */
+router.post("/", (req: Request, res: Response) => {
+  try {
+    const { url, events, description, active } = req.body || {};
+    const webhook = createWebhook({ url, events, description, active });
+    res.status(201).json({ success: true, webhook });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error creating webhook");
+  }
+});
+
+/**
+ * Delivery log, newest first (?webhookId=&status=&limit=)
+ */
+router.get("/deliveries", (req: Request, res: Response) => {
+  try {
+    const status = req.query.status as DeliveryStatus | undefined;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of ${DELIVERY_STATUSES.join(", ")}`,
+      });
+    }
+    const deliveries = listDeliveries({
+      webhookId: req.query.webhookId as string | undefined,
+      status,
+      limit: parseInt(req.query.limit as string) || undefined,
+    });
+    res.json({ success: true, deliveries });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error listing webhook deliveries");
+  }
+});
+
+/**
+ * Queue a failed delivery again
+ */
+router.post("/deliveries/:deliveryId/retry", (req: Request, res: Response) => {
+  try {
+    const delivery = retryDelivery(req.params.deliveryId as string);
+    res.json({ success: true, delivery });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error retrying webhook delivery");
+  }
+});
+
+router.get("/:id", (req: Request, res: Response) => {
+  try {
+    res.json({ success: true, webhook: toPublicWebhook(getWebhook(req.params.id as string)) });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error reading webhook");
+  }
+});
+
+/**
+ * Update url, events, description or active; `rotateSecret: true` returns a new secret
+ */
+router.patch("/:id", (req: Request, res: Response) => {
+  try {
+    const { url, events, description, active, rotateSecret } = req.body || {};
+    const webhook = updateWebhook(req.params.id as string, {
+      url,
+      events,
+      description,
+      active,
+      rotateSecret,
+    });
+    res.json({
+      success: true,
+      webhook: rotateSecret === true ? webhook : toPublicWebhook(webhook),
+    });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error updating webhook");
+  }
+});
+
+router.delete("/:id", (req: Request, res: Response) => {
+  try {
+    deleteWebhook(req.params.id as string);
+    res.json({ success: true });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error deleting webhook");
+  }
+});
+
+/**
+ * Send a signed `webhook.test` event now and report how the endpoint answered
+ */
+router.post("/:id/test", async (req: Request, res: Response) => {
+  try {
+    const delivery = await sendTestEvent(req.params.id as string);
+    res.json({ success: delivery.status === "delivered", delivery });
+  } catch (error: any) {
+    sendError(res, error, "❌ Error sending test webhook");
+  }
+});
+
+export default router;
@@ -0,0 +1,160 @@
+/**
+ * Gun backup CLI
+ *
+ *   npm run backup -- export <archive> [--from sqlite|radisk|s3] [--path <p>] [--bucket <b>]
+ *   npm run backup -- import <archive> [--to sqlite|radisk|s3] [--path <p>] [--bucket <b>]
+ *   npm run backup -- verify <archive>
+ *   npm run backup -- migrate --from <type> --to <type> [--from-path <p>] [--to-path <p>]
+ *                             [--from-bucket <b>] [--to-bucket <b>]
+ *
+ * Stores default to STORAGE_TYPE and the relay's DATA_DIR / S3 settings.
+ * Stop the relay before importing into, or migrating into, its own store.
+ */
+
+import { storageConfig } from "../config";
+import {
+  GunStore,
+  STORE_TYPES,
+  StoreType,
+  exportStore,
+  importArchive,
+  migrateStore,
+  openStore,
+  verifyArchive,
+} from "../utils/gun-backup";
+
+const USAGE = `Usage:
+  backup export <archive> [--from sqlite|radisk|s3] [--path <p>] [--bucket <b>]
+  backup import <archive> [--to sqlite|radisk|s3] [--path <p>] [--bucket <b>]
+  backup verify <archive>
+  backup migrate --from <type> --to <type> [--from-path <p>] [--to-path <p>] [--from-bucket <b>] [--to-bucket <b>]`;
+
+function parseArgs(argv: string[]): { positional: string[]; flags: Record<string, string> } {
+  const positional: string[] = [];
+  const flags: Record<string, string> = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith("--")) {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith("--")) {
+        flags[arg.substring(2)] = "true";
+      } else {
+        flags[arg.substring(2)] = value;
+        i++;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, flags };
+}
+
+function storeType(value: string | undefined): StoreType {
+  const type = (value || storageConfig.storageType) as StoreType;
+  if (!STORE_TYPES.includes(type)) {
+    throw new Error(`Unknown store type "${type}" (expected ${STORE_TYPES.join(", ")})`);
+  }
+  return type;
+}
+
+function closeStore(store: GunStore) {
+  try {
+    store.close?.();
+  } catch {
+    // Already closed
+  }
+}
+
+async function main(): Promise<number> {
+  const { positional, flags } = parseArgs(process.argv.slice(2));
+  const [command, archive] = positional;
+
+  if (!command || flags.help) {
+    console.log(USAGE);
+    return command ? 0 : 1;
+  }
+
+  switch (command) {
+    case "export": {
+      if (!archive) break;
+      const type = storeType(flags.from);
+      const store = openStore({ type, path: flags.path, bucket: flags.bucket });
+      try {
+        const manifest = await exportStore(store, archive, type);
+        console.log(`✅ Exported ${manifest.files} files (${manifest.bytes} bytes) to ${archive}`);
+        console.log(`   sha256 ${manifest.sha256}`);
+      } finally {
+        closeStore(store);
+      }
+      return 0;
+    }
+
+    case "import": {
+      if (!archive) break;
+      const type = storeType(flags.to);
+      const store = openStore({ type, path: flags.path, bucket: flags.bucket });
+      try {
+        const result = await importArchive(archive, store);
+        console.log(`✅ Imported ${result.files} files (${result.bytes} bytes) into ${type}`);
+      } finally {
+        closeStore(store);
+      }
+      return 0;
+    }
+
+    case "verify": {
+      if (!archive) break;
+      const result = await verifyArchive(archive);
+      if (result.ok) {
+        console.log(
+          `✅ ${archive}: ${result.files} files, ${result.bytes} bytes from ${result.source}, ` +
+            `created ${new Date(result.createdAt!).toISOString()}`
+        );
+        return 0;
+      }
+      console.error(`❌ ${archive} failed verification:`);
+      for (const error of result.errors) console.error(`   - ${error}`);
+      return 2;
+    }
+
+    case "migrate": {
+      const fromType = storeType(flags.from);
+      const toType = storeType(flags.to);
+      const source = openStore({
+        type: fromType,
+        path: flags["from-path"],
+        bucket: flags["from-bucket"],
+      });
+      const target = openStore({
+        type: toType,
+        path: flags["to-path"],
+        bucket: flags["to-bucket"],
+      });
+      try {
+        const result = await migrateStore(source, target);
+        if (result.mismatched.length > 0) {
+          console.error(`❌ ${result.mismatched.length} files differ after copying:`);
+          for (const file of result.mismatched.slice(0, 20)) console.error(`   - ${file}`);
+          return 2;
+        }
+        console.log(
+          `✅ Migrated ${result.files} files (${result.bytes} bytes) from ${fromType} to ${toType}`
+        );
+      } finally {
+        closeStore(source);
+        closeStore(target);
+      }
+      return 0;
+    }
+  }
+
+  console.error(USAGE);
+  return 1;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,198 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import fs from "fs";
+
+const { dataDir } = vi.hoisted(() => ({
+  dataDir: `${process.env.TMPDIR || "/tmp"}/chat-test-${process.pid}`,
+}));
+
+vi.mock("../utils/logger", async () => (await import("./helpers/mocks")).createLoggerMock());
+
+vi.mock("../config", () => ({
+  storageConfig: { dataDir },
+  relayConfig: { name: "test-relay" },
+  chatConfig: { syncTimeoutMs: 20, maxMessageLength: 100 },
+}));
+
+vi.mock("../middleware/admin-auth", async () =>
+  (await import("./helpers/mocks")).createAdminAuthMock()
+);
+
+// Deterministic stand-in for SEA: "signatures" embed the signer pub
+vi.mock("../utils/sea", () => ({
+  loadSEA: async () => ({
+    secret: async (epub: string, pair: any) => [epub, pair.epub].sort().join("+"),
+    encrypt: async (text: string, secret: string) => `enc(${secret}):${text}`,
+    decrypt: async (data: string, secret: string) =>
+      data.startsWith(`enc(${secret}):`) ? data.substring(`enc(${secret}):`.length) : undefined,
+    sign: async (data: string, pair: any) => `sig(${pair.pub}):${data}`,
+    verify: async (data: string, pub: string) =>
+      data.startsWith(`sig(${pub}):`) ? data.substring(`sig(${pub}):`.length) : false,
+  }),
+}));
+
+import chatRouter from "../routes/chat";
+import { resetChatStoreCache } from "../utils/chat-store";
+import { createFakeGun } from "./helpers/fake-gun";
+
+const AUTH = { Authorization: "Bearer admin" };
+const relayPair = { pub: "relay-pub", epub: "relay-epub" };
+const PEER = "peer-pub";
+
+describe("Chat routes", () => {
+  let app: express.Application;
+  let gun: ReturnType<typeof createFakeGun>;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    resetChatStoreCache();
+
+    gun = createFakeGun();
+    gun.root.get(`~${PEER}`).put({ epub: "peer-epub", alias: "alice" });
+
+    app = express();
+    app.use(express.json());
+    app.set("gunInstance", gun.root);
+    app.set("relayKeyPair", relayPair);
+    app.use("/api/v1/chat", chatRouter);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const dmPath = `shogun/chat/dm/${[relayPair.pub, PEER].sort().join(":")}`;
+
+  it("requires admin authentication", async () => {
+    const response = await request(app).get("/api/v1/chat/conversations");
+    expect(response.status).toBe(401);
+  });
+
+  it("sends encrypted, signed messages and lists the conversation", async () => {
+    const sent = await request(app)
+      .post(`/api/v1/chat/messages/${PEER}`)
+      .set(AUTH)
+      .send({ text: "hello alice" });
+    expect(sent.status).toBe(200);
+
+    const envelope = gun.data[`${dmPath}/${sent.body.message.id}`];
+    expect(envelope.from).toBe(relayPair.pub);
+    expect(envelope.data).toBe("sig(relay-pub):enc(peer-epub+relay-epub):hello alice");
+
+    const conversations = await request(app).get("/api/v1/chat/conversations").set(AUTH);
+    expect(conversations.body.conversations[0]).toMatchObject({
+      pub: PEER,
+      alias: "alice",
+      messageCount: 1,
+    });
+  });
+
+  it("returns 404 when the peer has no encryption key", async () => {
+    const response = await request(app)
+      .post("/api/v1/chat/messages/unknown-pub")
+      .set(AUTH)
+      .send({ text: "hi" });
+    expect(response.status).toBe(404);
+
+    // An epub announced in the unsigned chat directory is not trusted
+    gun.root.get("shogun").get("chat").get("peers").get("mallory-pub").put({ epub: "evil" });
+    const announced = await request(app)
+      .post("/api/v1/chat/messages/mallory-pub")
+      .set(AUTH)
+      .send({ text: "hi" });
+    expect(announced.status).toBe(404);
+  });
+
+  it("syncs missed messages and rejects forged envelopes", async () => {
+    const secret = "peer-epub+relay-epub";
+    gun.root
+      .get(dmPath)
+      .get("1-a")
+      .put({
+        id: "1-a",
+        from: PEER,
+        to: relayPair.pub,
+        timestamp: 1,
+        data: `sig(${PEER}):enc(${secret}):hi relay`,
+      });
+    gun.root
+      .get(dmPath)
+      .get("2-b")
+      .put({
+        id: "2-b",
+        from: PEER,
+        to: relayPair.pub,
+        timestamp: 2,
+        data: `sig(mallory):enc(${secret}):forged`,
+      });
+
+    const synced = await request(app).post(`/api/v1/chat/sync/${PEER}`).set(AUTH);
+    expect(synced.body).toMatchObject({ success: true, synced: 1, rejected: 1 });
+    expect(synced.body.messages.map((m: any) => m.text)).toEqual(["hi relay"]);
+
+    // Deleted messages are not pulled back in by a later sync
+    await request(app).delete(`/api/v1/chat/messages/${PEER}/1-a`).set(AUTH).expect(200);
+    const resynced = await request(app).post(`/api/v1/chat/sync/${PEER}`).set(AUTH);
+    expect(resynced.body.synced).toBe(0);
+    expect(resynced.body.messages).toEqual([]);
+  });
+
+  it("deleting a conversation retracts the relay's own envelopes", async () => {
+    const sent = await request(app)
+      .post(`/api/v1/chat/messages/${PEER}`)
+      .set(AUTH)
+      .send({ text: "bye" });
+
+    const deleted = await request(app).delete(`/api/v1/chat/conversations/${PEER}`).set(AUTH);
+    expect(deleted.body).toMatchObject({ success: true, removed: 1 });
+    expect(gun.data[`${dmPath}/${sent.body.message.id}`]).toBeNull();
+
+    const messages = await request(app).get(`/api/v1/chat/messages/${PEER}`).set(AUTH);
+    expect(messages.body.messages).toEqual([]);
+  });
+
+  it("pages lobby messages with limit and before", async () => {
+    for (const text of ["one", "two", "three"]) {
+      await request(app).post("/api/v1/chat/lobby").set(AUTH).send({ text }).expect(200);
+      await new Promise((resolve) => setTimeout(resolve, 2));
+    }
+
+    const page = await request(app).get("/api/v1/chat/lobby?limit=2").set(AUTH);
+    expect(page.body.messages.map((m: any) => m.text)).toEqual(["two", "three"]);
+    expect(page.body.messages.every((m: any) => m.verified)).toBe(true);
+
+    const older = await request(app)
+      .get(`/api/v1/chat/lobby?limit=2&before=${page.body.nextBefore}`)
+      .set(AUTH);
+    expect(older.body.messages.map((m: any) => m.text)).toEqual(["one"]);
+    expect(older.body.nextBefore).toBeNull();
+  });
+
+  it("rejects empty and oversized messages", async () => {
+    await request(app).post("/api/v1/chat/lobby").set(AUTH).send({ text: "" }).expect(400);
+    await request(app)
+      .post("/api/v1/chat/lobby")
+      .set(AUTH)
+      .send({ text: "x".repeat(101) })
+      .expect(400);
+  });
+
+  it("runs console commands", async () => {
+    const sent = await request(app)
+      .post("/api/v1/chat/console")
+      .set(AUTH)
+      .send({ command: `msg ${PEER} hello from console` });
+    expect(sent.body.success).toBe(true);
+
+    const messages = await request(app).get(`/api/v1/chat/messages/${PEER}`).set(AUTH);
+    expect(messages.body.messages[0].text).toBe("hello from console");
+
+    const unknown = await request(app)
+      .post("/api/v1/chat/console")
+      .set(AUTH)
+      .send({ command: "rm -rf /" });
+    expect(unknown.status).toBe(400);
+  });
+});
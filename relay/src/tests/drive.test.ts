@@ -0,0 +1,251 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+
+const { dataDir, ipfsUpload, ipfsRequest, ipfsStream } = vi.hoisted(() => ({
+  dataDir: `${process.env.TMPDIR || "/tmp"}/drive-test-${process.pid}`,
+  ipfsUpload: vi.fn(),
+  ipfsRequest: vi.fn(),
+  ipfsStream: vi.fn(),
+}));
+
+vi.mock("../utils/logger", () => ({
+  loggers: {
+    server: {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn(),
+    },
+  },
+}));
+
+vi.mock("../config", () => ({
+  storageConfig: {
+    dataDir,
+    maxStorageGB: 0,
+    storageWarningThreshold: 80,
+    userQuotaMB: 0,
+    apiKeyQuotaMB: 0,
+  },
+}));
+
+vi.mock("../utils/ipfs-client", () => ({ ipfsUpload, ipfsRequest, ipfsStream }));
+
+vi.mock("../middleware/admin-or-api-key-auth", async () =>
+  (await import("./helpers/mocks")).createApiKeyAuthMock()
+);
+
+import driveRouter from "../routes/drive";
+import { resetDriveStoreCache } from "../utils/drive-store";
+import {
+  getApiKeyUsage,
+  getRelayUsage,
+  resetStorageQuotaCache,
+  setQuotaLimit,
+} from "../utils/storage-quota";
+
+const AUTH = { Authorization: "Bearer admin" };
+
+describe("Drive routes", () => {
+  let app: express.Application;
+  let cidCounter = 0;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    resetDriveStoreCache();
+    resetStorageQuotaCache();
+    cidCounter = 0;
+
+    ipfsUpload.mockImplementation(async () => ({ Hash: `QmTest${++cidCounter}`, Size: "5" }));
+    ipfsRequest.mockImplementation(async () => ({}));
+    ipfsStream.mockImplementation(async () =>
+      Readable.from([Buffer.from("hel"), Buffer.from("lo")])
+    );
+
+    app = express();
+    app.use(express.json());
+    app.use("/api/v1/drive", driveRouter);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const uploadTo = (dirPath: string, filename: string) =>
+    request(app)
+      .post(`/api/v1/drive/upload/${encodeURIComponent(dirPath)}`)
+      .set(AUTH)
+      .attach("file", Buffer.from("hello"), filename);
+
+  it("requires authentication", async () => {
+    const response = await request(app).get("/api/v1/drive/list");
+    expect(response.status).toBe(401);
+  });
+
+  it("creates directories, uploads files and lists them", async () => {
+    await request(app).post("/api/v1/drive/mkdir").set(AUTH).send({ name: "docs" }).expect(200);
+    await request(app)
+      .post(`/api/v1/drive/mkdir/${encodeURIComponent("docs")}`)
+      .set(AUTH)
+      .send({ name: "nested" })
+      .expect(200);
+
+    const uploaded = await uploadTo("docs", "a.txt");
+    expect(uploaded.status).toBe(200);
+    expect(uploaded.body.files).toEqual([{ name: "a.txt", path: "docs/a.txt", size: 5 }]);
+
+    const listing = await request(app)
+      .get(`/api/v1/drive/list/${encodeURIComponent("docs")}`)
+      .set(AUTH);
+    expect(listing.body.path).toBe("docs");
+    expect(listing.body.items.map((i: any) => [i.name, i.type])).toEqual([
+      ["nested", "directory"],
+      ["a.txt", "file"],
+    ]);
+
+    const stats = await request(app).get("/api/v1/drive/stats").set(AUTH);
+    expect(stats.body.stats).toMatchObject({ totalBytes: 5, fileCount: 1, dirCount: 2 });
+
+    // Metadata is persisted to the data directory
+    expect(fs.existsSync(path.join(dataDir, "drive.json"))).toBe(true);
+  });
+
+  it("rejects uploads into missing directories and path traversal", async () => {
+    expect((await uploadTo("missing", "a.txt")).status).toBe(404);
+
+    const traversal = await request(app)
+      .get(`/api/v1/drive/list/${encodeURIComponent("../etc")}`)
+      .set(AUTH);
+    expect(traversal.status).toBe(400);
+  });
+
+  it("downloads file content from IPFS", async () => {
+    await uploadTo("", "a.txt");
+
+    const response = await request(app)
+      .get(`/api/v1/drive/download/${encodeURIComponent("a.txt")}`)
+      .set(AUTH);
+    expect(response.status).toBe(200);
+    expect(response.text).toBe("hello");
+    expect(response.headers["content-length"]).toBe("5");
+    expect(ipfsStream).toHaveBeenCalledWith("/api/v0/cat?arg=QmTest1", expect.anything());
+  });
+
+  it("renames and moves entries, keeping links pointed at the file", async () => {
+    await request(app).post("/api/v1/drive/mkdir").set(AUTH).send({ name: "archive" });
+    await uploadTo("", "a.txt");
+    const link = await request(app)
+      .post("/api/v1/drive/links")
+      .set(AUTH)
+      .send({ filePath: "a.txt" });
+
+    await request(app)
+      .post("/api/v1/drive/rename")
+      .set(AUTH)
+      .send({ oldPath: "a.txt", newName: "b.txt" })
+      .expect(200);
+    await request(app)
+      .post("/api/v1/drive/move")
+      .set(AUTH)
+      .send({ sourcePath: "b.txt", destPath: "archive" })
+      .expect(200);
+
+    const links = await request(app).get("/api/v1/drive/links").set(AUTH);
+    expect(links.body.links[0]).toMatchObject({
+      linkId: link.body.linkId,
+      filePath: "archive/b.txt",
+    });
+
+    const moveIntoSelf = await request(app)
+      .post("/api/v1/drive/move")
+      .set(AUTH)
+      .send({ sourcePath: "archive", destPath: "archive" });
+    expect(moveIntoSelf.status).toBe(400);
+  });
+
+  it("deletes directories recursively and unpins orphaned CIDs", async () => {
+    await request(app).post("/api/v1/drive/mkdir").set(AUTH).send({ name: "docs" });
+    await uploadTo("docs", "a.txt");
+
+    const response = await request(app)
+      .delete(`/api/v1/drive/delete/${encodeURIComponent("docs")}`)
+      .set(AUTH);
+    expect(response.status).toBe(200);
+    expect(ipfsRequest).toHaveBeenCalledWith("/api/v0/pin/rm?arg=QmTest1", expect.anything());
+
+    const stats = await request(app).get("/api/v1/drive/stats").set(AUTH);
+    expect(stats.body.stats).toMatchObject({ fileCount: 0, dirCount: 0 });
+  });
+
+  it("charges uploads to the storage quota and releases unpinned files", async () => {
+    const KEY = { Authorization: "Bearer key1@0xuser" };
+    setQuotaLimit("apiKey", "key1", 8);
+
+    await request(app)
+      .post("/api/v1/drive/upload")
+      .set(KEY)
+      .attach("file", Buffer.from("hello"), "a.txt")
+      .expect(200);
+    expect(getApiKeyUsage("key1")).toMatchObject({ usedBytes: 5, fileCount: 1 });
+
+    const over = await request(app)
+      .post("/api/v1/drive/upload")
+      .set(KEY)
+      .attach("file", Buffer.from("hello"), "b.txt")
+      .expect(413);
+    expect(over.body.scope).toBe("apiKey");
+    expect(ipfsUpload).toHaveBeenCalledTimes(1);
+
+    await request(app)
+      .delete(`/api/v1/drive/delete/${encodeURIComponent("a.txt")}`)
+      .set(KEY)
+      .expect(200);
+    expect(getApiKeyUsage("key1").usedBytes).toBe(0);
+    expect(getRelayUsage().fileCount).toBe(0);
+  });
+
+  describe("public links", () => {
+    it("serves files without authentication and counts accesses", async () => {
+      await uploadTo("", "a.txt");
+      const created = await request(app)
+        .post("/api/v1/drive/links")
+        .set(AUTH)
+        .send({ filePath: "a.txt", expiresInDays: 7 });
+      expect(created.body.publicUrl).toContain(`/api/v1/drive/public/${created.body.linkId}`);
+      expect(created.body.expiresAt).toBeGreaterThan(Date.now());
+
+      const publicResponse = await request(app).get(`/api/v1/drive/public/${created.body.linkId}`);
+      expect(publicResponse.status).toBe(200);
+
+      const links = await request(app).get("/api/v1/drive/links").set(AUTH);
+      expect(links.body.links[0].accessCount).toBe(1);
+    });
+
+    it("stops serving revoked and expired links", async () => {
+      await uploadTo("", "a.txt");
+      const created = await request(app)
+        .post("/api/v1/drive/links")
+        .set(AUTH)
+        .send({ filePath: "a.txt", expiresInDays: 1 });
+
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(Date.now() + 2 * 24 * 60 * 60 * 1000);
+      const expired = await request(app).get(`/api/v1/drive/public/${created.body.linkId}`);
+      vi.useRealTimers();
+      expect(expired.status).toBe(410);
+
+      const second = await request(app)
+        .post("/api/v1/drive/links")
+        .set(AUTH)
+        .send({ filePath: "a.txt" });
+      await request(app).delete(`/api/v1/drive/links/${second.body.linkId}`).set(AUTH).expect(200);
+      const revoked = await request(app).get(`/api/v1/drive/public/${second.body.linkId}`);
+      expect(revoked.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import fs from "fs";
+
+const { dataDir } = vi.hoisted(() => ({
+  dataDir: `${process.env.TMPDIR || "/tmp"}/graph-query-test-${process.pid}`,
+}));
+
+vi.mock("../utils/logger", async () => (await import("./helpers/mocks")).createLoggerMock());
+vi.mock("../config", () => ({ storageConfig: { dataDir } }));
+vi.mock("../middleware/admin-auth", async () =>
+  (await import("./helpers/mocks")).createAdminAuthMock()
+);
+
+import graphRouter from "../routes/graph";
+import { closeGraphCursors } from "../utils/graph-query";
+import { createFakeSoulGraph } from "./helpers/fake-gun";
+
+const ADMIN = { Authorization: "Bearer admin" };
+const ref = (soul: string) => ({ "#": soul });
+
+describe("Graph query API", () => {
+  let app: express.Application;
+  let source: ReturnType<typeof createFakeSoulGraph>;
+  let target: ReturnType<typeof createFakeSoulGraph>;
+
+  beforeEach(() => {
+    closeGraphCursors();
+    source = createFakeSoulGraph({
+      root: { name: "root", a: ref("n/a"), b: ref("n/b") },
+      "n/a": { title: "A", next: ref("n/c"), back: ref("root") },
+      "n/b": { title: "B" },
+      "n/c": { title: "C", deep: ref("n/d") },
+      "n/d": { title: "D" },
+      "~pubkey": { alias: "alice" },
+    });
+    target = createFakeSoulGraph();
+
+    app = express();
+    app.use(express.json());
+    app.set("gunInstance", source);
+    app.set("zenInstance", target);
+    app.use("/api/v1/graph", graphRouter);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const query = (params: string) =>
+    request(app).get(`/api/v1/graph?engine=gun&${params}`).set(ADMIN);
+
+  const exportText = (params: string) =>
+    request(app)
+      .get(`/api/v1/graph/export?engine=gun&${params}`)
+      .set(ADMIN)
+      .buffer(true)
+      .parse((res, cb) => {
+        let text = "";
+        res.on("data", (chunk: Buffer) => (text += chunk));
+        res.on("end", () => cb(null, text));
+      });
+
+  const importText = (body: string) =>
+    request(app)
+      .post("/api/v1/graph/import")
+      .set({ ...ADMIN, "Content-Type": "application/x-ndjson" })
+      .send(body);
+
+  it("follows references breadth-first up to the depth limit", async () => {
+    const shallow = await query("soul=root");
+    expect(shallow.status).toBe(200);
+    expect(shallow.body.nodes.map((node: any) => [node.soul, node.depth])).toEqual([
+      ["root", 0],
+      ["n/a", 1],
+      ["n/b", 1],
+    ]);
+    expect(shallow.body.nodes[0]).toMatchObject({
+      data: { name: "root", a: ref("n/a"), b: ref("n/b") },
+      refs: ["n/a", "n/b"],
+    });
+
+    // The cycle back to root is not walked twice
+    const deep = await query("soul=root&depth=5");
+    expect(deep.body.nodes.map((node: any) => node.soul)).toEqual([
+      "root",
+      "n/a",
+      "n/b",
+      "n/c",
+      "n/d",
+    ]);
+
+    const filtered = await query("soul=root&depth=5&keys=a,ne*,title");
+    expect(filtered.body.nodes.map((node: any) => node.soul)).toEqual(["root", "n/a", "n/c"]);
+    expect(filtered.body.nodes[1].data).toEqual({ title: "A", next: ref("n/c") });
+
+    const missing = await query("soul=nowhere");
+    expect(missing.body.nodes).toEqual([{ soul: "nowhere", depth: 0, data: null, refs: [] }]);
+  });
+
+  it("pages with a cursor and stops at the node budget", async () => {
+    const seen: string[] = [];
+    const cursors: string[] = [];
+    let cursor = "";
+    do {
+      const page = await query(`soul=root&depth=5&limit=2&cursor=${cursor}`);
+      seen.push(...page.body.nodes.map((node: any) => node.soul));
+      cursor = page.body.nextCursor || "";
+      if (cursor) cursors.push(cursor);
+    } while (cursor);
+    expect(seen).toEqual(["root", "n/a", "n/b", "n/c", "n/d"]);
+    // Later pages carry on from the walk instead of re-reading from the root
+    expect(source.reads).toEqual(["root", "n/a", "n/b", "n/c", "n/d"]);
+    await query(`soul=root&depth=5&limit=2&cursor=${cursors[0]}`).expect(410);
+
+    const budget = await query("soul=root&depth=5&maxNodes=3");
+    expect(budget.body).toMatchObject({ count: 3, truncated: true, nextCursor: null });
+
+    const other = (await query("soul=root&limit=1")).body.nextCursor;
+    await query(`soul=n/a&cursor=${other}`).expect(400);
+    await query("depth=1").expect(400);
+    await query("soul=root&depth=-1").expect(400);
+    await request(app).get("/api/v1/graph?soul=root").expect(401);
+  });
+
+  it("exports as NDJSON and JSON-LD and imports either into another instance", async () => {
+    const ndjson = await exportText("soul=root&depth=1");
+    expect(ndjson.headers["content-type"]).toContain("application/x-ndjson");
+    const lines = (ndjson.body as string)
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    expect(lines[0]).toMatchObject({ format: "shogun-graph", version: 2, root: "root", depth: 1 });
+    expect(lines.slice(1, -1).map((line) => line.soul)).toEqual(["root", "n/a", "n/b"]);
+    expect(lines[lines.length - 1]).toEqual({ end: true, nodes: 3, truncated: false });
+
+    const dryRun = await request(app)
+      .post("/api/v1/graph/import?dryRun=true")
+      .set({ ...ADMIN, "Content-Type": "application/x-ndjson" })
+      .send(ndjson.body);
+    expect(dryRun.body).toMatchObject({ nodes: 3, imported: 3, dryRun: true });
+    expect(target.souls).toEqual({});
+
+    await importText(ndjson.body).expect(200);
+    expect(target.souls["n/a"]).toEqual({ title: "A", next: ref("n/c"), back: ref("root") });
+
+    const jsonld = await request(app)
+      .get("/api/v1/graph/export?engine=gun&soul=n/c&format=jsonld")
+      .set(ADMIN);
+    expect(jsonld.headers["content-type"]).toContain("application/ld+json");
+    expect(jsonld.body["@graph"]).toEqual([
+      { "@id": "n/c", deep: { "@id": "n/d" }, title: "C" },
+      { "@id": "n/d", title: "D" },
+    ]);
+
+    // A downloaded JSON-LD file can be sent as text too
+    await request(app)
+      .post("/api/v1/graph/import?dryRun=true")
+      .set({ ...ADMIN, "Content-Type": "text/plain" })
+      .send(jsonld.text)
+      .expect(200);
+    const imported = await request(app)
+      .post("/api/v1/graph/import")
+      .set({ ...ADMIN, "Content-Type": "application/ld+json" })
+      .send(JSON.stringify({ "@graph": [...jsonld.body["@graph"], { "@id": "~pubkey", a: 1 }] }));
+    expect(imported.body).toMatchObject({ nodes: 3, imported: 2, skipped: ["~pubkey"] });
+    expect(target.souls["n/c"]).toEqual({ title: "C", deep: ref("n/d") });
+
+    await request(app)
+      .post("/api/v1/graph/import")
+      .set(ADMIN)
+      .send({ nodes: [{ soul: "x", data: { bad: { nested: true } } }] })
+      .expect(400);
+    await request(app)
+      .post("/api/v1/graph/import")
+      .send({ nodes: [{ soul: "x", data: {} }] })
+      .expect(401);
+  });
+
+  it("keeps values the target holds at a newer state than the export", async () => {
+    const ndjson = (await exportText("soul=n/a&depth=0")).body as string;
+    const line = JSON.parse(ndjson.split("\n")[1]);
+    expect(Object.keys(line.state)).toEqual(["back", "next", "title"]);
+
+    target.get("n/a").put({ title: "Edited later" });
+    const imported = await importText(ndjson);
+    expect(imported.body).toMatchObject({ nodes: 1, imported: 1, stale: 1 });
+    expect(target.souls["n/a"]).toEqual({
+      title: "Edited later",
+      next: ref("n/c"),
+      back: ref("root"),
+    });
+
+    // Replaying the same export changes nothing
+    const again = await importText(ndjson);
+    expect(again.body).toMatchObject({ imported: 0, stale: 3 });
+
+    // Version 1 exports carry no states and are written as they are
+    const v1 = [
+      JSON.stringify({ format: "shogun-graph", version: 1, root: "n/a", depth: 0 }),
+      JSON.stringify({ soul: "n/a", data: { title: "Old" } }),
+    ].join("\n");
+    expect((await importText(v1)).body).toMatchObject({ imported: 1, stale: 0 });
+    expect(target.souls["n/a"].title).toBe("Old");
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * In-memory stand-ins for Gun/ZEN instances used by the route tests
+ */
+
+/**
+ * Path-keyed graph supporting get/put(cb)/once/map().once. A put links the
+ * node from its parent, as Gun does.
+ */
+export function createFakeGun() {
+  const data: Record<string, any> = {};
+  const node = (path: string): any => ({
+    get: (key: string) => node(path ? `${path}/${key}` : key),
+    put: (value: any, cb?: (ack: any) => void) => {
+      data[path] = value === null ? null : { ...(data[path] || {}), ...value };
+      const parent = path.substring(0, path.lastIndexOf("/"));
+      const key = path.substring(path.lastIndexOf("/") + 1);
+      if (parent)
+        data[parent] = { ...(data[parent] || {}), [key]: value === null ? null : { "#": path } };
+      cb?.({});
+    },
+    once: (cb: (value: any) => void) => cb(data[path]),
+    map: () => ({
+      once: (cb: (value: any, key: string) => void) => {
+        for (const key of Object.keys(data)) {
+          if (key.startsWith(`${path}/`) && !key.substring(path.length + 1).includes("/")) {
+            cb(data[key], key.substring(path.length + 1));
+          }
+        }
+      },
+    }),
+  });
+  return { root: node(""), data };
+}
+
+// HAM states shared by every soul graph, so later writes are newer
+let clock = 0;
+
+/**
+ * Soul-keyed graph answering get(soul).once/put(cb). Every written key gets
+ * the next state, and reads are recorded.
+ */
+export function createFakeSoulGraph(souls: Record<string, Record<string, any>> = {}) {
+  const states: Record<string, Record<string, number>> = {};
+  const stamp = (soul: string, value: Record<string, any>) => {
+    states[soul] = { ...(states[soul] || {}) };
+    for (const key of Object.keys(value)) states[soul][key] = ++clock;
+  };
+  Object.entries(souls).forEach(([soul, node]) => stamp(soul, node));
+  const reads: string[] = [];
+
+  return {
+    souls,
+    reads,
+    get: (soul: string) => ({
+      once: (cb: (value: any) => void) => {
+        reads.push(soul);
+        cb(
+          souls[soul] ? { _: { "#": soul, ">": { ...states[soul] } }, ...souls[soul] } : undefined
+        );
+      },
+      put: (value: any, cb?: (ack: any) => void) => {
+        stamp(soul, value);
+        souls[soul] = { ...(souls[soul] || {}), ...value };
+        cb?.({});
+      },
+    }),
+  };
+}
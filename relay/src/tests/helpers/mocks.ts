@@ -0,0 +1,69 @@
+/**
+ * Module stand-ins shared by the route tests. vi.mock factories are hoisted
+ * above imports, so load these from inside the factory:
+ *
+ *   vi.mock("../utils/logger", async () => (await import("./helpers/mocks")).createLoggerMock());
+ */
+
+import { vi } from "vitest";
+
+const unauthorized = (res: any) => res.status(401).json({ success: false, error: "Unauthorized" });
+
+/**
+ * utils/logger: every logger is the same set of spies
+ */
+export function createLoggerMock() {
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  return { loggers: { server: logger, uploads: logger, ipfs: logger } };
+}
+
+/**
+ * middleware/admin-auth: "Bearer admin" is the admin
+ */
+export function createAdminAuthMock() {
+  const adminAuthMiddleware = vi.fn((req: any, res: any, next: any) =>
+    req.headers.authorization === "Bearer admin" ? next() : unauthorized(res)
+  );
+  return { adminAuthMiddleware, adminAuth: () => adminAuthMiddleware, getActor: () => "admin" };
+}
+
+/**
+ * middleware/admin-or-api-key-auth: "Bearer admin" authenticates as admin,
+ * "Bearer <keyId>[@<user>]" as that API key, bound to <user> when given
+ */
+export function createApiKeyAuthMock() {
+  return {
+    adminOrApiKeyAuth: vi.fn(() => (req: any, res: any, next: any) => {
+      const token = (req.headers.authorization || "").replace("Bearer ", "");
+      if (!token) return unauthorized(res);
+      if (token === "admin") {
+        req.authType = "admin";
+      } else {
+        const [keyId, userAddress] = token.split("@");
+        req.authType = "apiKey";
+        req.apiKey = { keyId, userAddress };
+      }
+      next();
+    }),
+  };
+}
+
+/**
+ * files/stat sizes by CID, as the IPFS node reports them
+ */
+export const storedSizes: Record<string, number> = {};
+
+/**
+ * utils/ipfs-client: ipfsRequest answers files/stat from `storedSizes`,
+ * ipfsUpload is a bare spy
+ */
+export function createIpfsClientMock() {
+  return {
+    ipfsUpload: vi.fn(),
+    ipfsRequest: vi.fn(async (path: string) => {
+      const cid = decodeURIComponent(path.split("arg=")[1]).replace("/ipfs/", "");
+      if (storedSizes[cid] === undefined) throw new Error("file does not exist");
+      return { Hash: cid, CumulativeSize: storedSizes[cid] };
+    }),
+  };
+}
@@ -0,0 +1,259 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import http from "http";
+import fs from "fs";
+import type { AddressInfo } from "net";
+
+const { ipfsConfig, dataDir } = vi.hoisted(() => ({
+  ipfsConfig: { apiUrl: "", apiToken: "kubo-secret", gatewayUrl: "http://127.0.0.1:1" },
+  dataDir: `${process.env.TMPDIR || "/tmp"}/gateway-test-${process.pid}`,
+}));
+
+vi.mock("../utils/logger", () => {
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  return { loggers: { server: logger } };
+});
+vi.mock("../config", () => ({
+  ipfsConfig,
+  storageConfig: { dataDir },
+  moderationConfig: { autoUnpin: false, sweepIntervalMs: 0, importMaxMB: 1 },
+}));
+
+import catRouter from "../routes/ipfs/cat";
+import gatewayRouter, { createGatewayHandler, parseRange } from "../routes/ipfs/gateway";
+import { addEntry, resetDenylistStoreCache } from "../utils/denylist";
+
+// MP4 header followed by filler, so sniffing has something to find
+const VIDEO = Buffer.concat([
+  Buffer.from([0, 0, 0, 0x18]),
+  Buffer.from("ftypisom"),
+  Buffer.alloc(4000, 7),
+]);
+
+type Node = { type: "file"; data: Buffer } | { type: "directory"; links: Record<string, string> };
+
+const NODES: Record<string, Node> = {
+  QmVideo: { type: "file", data: VIDEO },
+  QmHello: { type: "file", data: Buffer.from("hello gateway\n") },
+  QmIndex: { type: "file", data: Buffer.from("<!DOCTYPE html><p>site</p>") },
+  QmSite: { type: "directory", links: { "index.html": "QmIndex" } },
+  QmRoot: {
+    type: "directory",
+    links: { "clip.mp4": "QmVideo", "a <b>.txt": "QmHello", site: "QmSite" },
+  },
+};
+
+function resolve(path: string): string {
+  const [root, ...segments] = path.split("/").filter(Boolean).slice(1);
+  return segments.reduce((cid, name) => {
+    const node = NODES[cid];
+    if (node?.type !== "directory" || !node.links[name]) {
+      throw new Error(`no link named "${name}" under ${cid}`);
+    }
+    return node.links[name];
+  }, root);
+}
+
+// supertest only buffers text and images by default
+function binary(res: any, done: (err: Error | null, body: Buffer) => void) {
+  const chunks: Buffer[] = [];
+  res.on("data", (chunk: Buffer) => chunks.push(chunk));
+  res.on("end", () => done(null, Buffer.concat(chunks)));
+}
+
+const size = (node: Node) => (node.type === "file" ? node.data.length : 0);
+
+// Just enough of the Kubo RPC API for the gateway
+function fakeKubo(calls: string[]) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url!, "http://kubo");
+    calls.push(`${url.pathname}${url.search}`);
+    const fail = (message: string) => {
+      res.statusCode = 500;
+      res.end(JSON.stringify({ Message: message, Code: 0, Type: "error" }));
+    };
+    if (req.method !== "POST" || req.headers.authorization !== "Bearer kubo-secret") {
+      res.statusCode = 403;
+      return res.end();
+    }
+
+    try {
+      const argument = url.searchParams.get("arg")!;
+      const cid = argument.startsWith("/ipfs/") ? resolve(argument) : argument;
+      const node = NODES[cid];
+      if (!node) return fail(`block ${cid} not found`);
+
+      switch (url.pathname) {
+        case "/api/v0/files/stat":
+          return res.end(JSON.stringify({ Hash: cid, Size: size(node), Type: node.type }));
+        case "/api/v0/ls": {
+          const links = node.type === "directory" ? node.links : {};
+          return res.end(
+            JSON.stringify({
+              Objects: [
+                {
+                  Hash: cid,
+                  Links: Object.entries(links).map(([Name, Hash]) => ({
+                    Name,
+                    Hash,
+                    Size: size(NODES[Hash]),
+                    Type: NODES[Hash].type === "directory" ? 1 : 2,
+                  })),
+                },
+              ],
+            })
+          );
+        }
+        case "/api/v0/cat": {
+          if (node.type !== "file") return fail("this dag node is a directory");
+          const offset = Number(url.searchParams.get("offset") || 0);
+          const length = Number(url.searchParams.get("length") || node.data.length);
+          return res.end(node.data.subarray(offset, offset + length));
+        }
+        case "/api/v0/dag/export":
+          return res.end(Buffer.concat([Buffer.from("CARv1:"), Buffer.from(cid)]));
+        case "/api/v0/block/get":
+          return res.end(Buffer.concat([Buffer.from("BLOCK:"), Buffer.from(cid)]));
+        default:
+          res.statusCode = 404;
+          return res.end();
+      }
+    } catch (error: any) {
+      return fail(error.message);
+    }
+  });
+}
+
+describe("IPFS gateway", () => {
+  const calls: string[] = [];
+  let kubo: http.Server;
+  let app: express.Application;
+
+  beforeAll(async () => {
+    kubo = fakeKubo(calls);
+    await new Promise<void>((done) => kubo.listen(0, "127.0.0.1", done));
+    ipfsConfig.apiUrl = `http://127.0.0.1:${(kubo.address() as AddressInfo).port}`;
+
+    app = express();
+    app.get(["/ipfs/:cid", "/ipfs/:cid/*"], createGatewayHandler({ fallthrough: true }));
+    app.use("/ipfs", (req, res) => res.status(502).send("proxy"));
+    app.use("/api/v1/ipfs", catRouter);
+    app.use("/api/v1/ipfs", gatewayRouter);
+  });
+
+  afterAll(async () => {
+    await new Promise((done) => kubo.close(done));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("serves files with sniffed types, immutable caching and ETag revalidation", async () => {
+    const response = await request(app).get("/ipfs/QmVideo").parse(binary).expect(200);
+    expect(response.headers["content-type"]).toBe("video/mp4");
+    expect(response.headers["content-length"]).toBe(String(VIDEO.length));
+    expect(response.headers["accept-ranges"]).toBe("bytes");
+    expect(response.headers["etag"]).toBe('"QmVideo"');
+    expect(response.headers["cache-control"]).toContain("immutable");
+    expect(Buffer.compare(response.body, VIDEO)).toBe(0);
+
+    await request(app).get("/ipfs/QmVideo").set("If-None-Match", 'W/"QmVideo"').expect(304);
+
+    const text = await request(app).get("/ipfs/QmRoot/a%20%3Cb%3E.txt").expect(200);
+    expect(text.headers["content-type"]).toMatch(/^text\/plain/);
+    expect(text.headers["x-ipfs-path"]).toBe("/ipfs/QmRoot/a <b>.txt");
+    expect(text.text).toBe("hello gateway\n");
+
+    const download = await request(app).get("/api/v1/ipfs/cat/QmRoot/clip.mp4").expect(200);
+    expect(download.headers["content-disposition"]).toMatch(/^attachment; filename="clip.mp4"/);
+    const head = await request(app).head("/api/v1/ipfs/cat/QmHello?download=false").expect(200);
+    expect(head.headers["content-disposition"]).toMatch(/^inline/);
+    expect(head.headers["content-length"]).toBe("14");
+  });
+
+  it("answers byte ranges from an offset read instead of the whole file", async () => {
+    calls.length = 0;
+    const partial = await request(app)
+      .get("/ipfs/QmVideo")
+      .set("Range", "bytes=1000-1099")
+      .parse(binary)
+      .expect(206);
+    expect(partial.headers["content-range"]).toBe(`bytes 1000-1099/${VIDEO.length}`);
+    expect(Buffer.compare(partial.body, VIDEO.subarray(1000, 1100))).toBe(0);
+    expect(calls).toContain("/api/v0/cat?arg=QmVideo&offset=1000&length=100");
+
+    const suffix = await request(app).get("/ipfs/QmHello").set("Range", "bytes=-8").expect(206);
+    expect(suffix.text).toBe("gateway\n");
+
+    const unsatisfiable = await request(app)
+      .get("/ipfs/QmHello")
+      .set("Range", "bytes=100-")
+      .expect(416);
+    expect(unsatisfiable.headers["content-range"]).toBe("bytes */14");
+
+    // Stale If-Range: whole file
+    await request(app)
+      .get("/ipfs/QmHello")
+      .set("Range", "bytes=0-1")
+      .set("If-Range", '"QmOther"')
+      .expect(200);
+
+    expect(parseRange("bytes=0-1,5-6", 10)).toBeNull();
+    expect(parseRange("bytes=5-100", 10)).toEqual({ start: 5, end: 9 });
+  });
+
+  it("lists directories, serves index.html and resolves sub-paths", async () => {
+    const redirect = await request(app).get("/ipfs/QmRoot?x=1").expect(301);
+    expect(redirect.headers.location).toBe("/ipfs/QmRoot/?x=1");
+
+    const listing = await request(app).get("/ipfs/QmRoot/").expect(200);
+    expect(listing.headers["content-type"]).toBe("text/html; charset=utf-8");
+    expect(listing.headers["etag"]).toBe('"DirIndex-QmRoot"');
+    expect(listing.text).toContain('href="clip.mp4"');
+    expect(listing.text).toContain('href="site/"');
+    expect(listing.text).toContain("a &lt;b&gt;.txt");
+    expect(listing.text).not.toContain("<b>");
+
+    const site = await request(app).get("/api/v1/ipfs/ipfs/QmRoot/site/").expect(200);
+    expect(site.headers["content-type"]).toBe("text/html");
+    expect(site.text).toContain("<p>site</p>");
+
+    await request(app).get("/api/v1/ipfs/ipfs/QmRoot/missing.txt").expect(404);
+    // The root gateway hands unresolvable paths to the proxy
+    const proxied = await request(app).get("/ipfs/QmRoot/missing.txt").expect(502);
+    expect(proxied.text).toBe("proxy");
+  });
+
+  it("exports CAR and raw blocks by query or Accept header", async () => {
+    const car = await request(app).get("/ipfs/QmRoot?format=car").parse(binary).expect(200);
+    expect(car.headers["content-type"]).toBe("application/vnd.ipld.car; version=1");
+    expect(car.headers["etag"]).toBe('"QmRoot.car"');
+    expect(car.headers["content-disposition"]).toMatch(/filename="QmRoot.car"/);
+    expect(car.body.toString()).toBe("CARv1:QmRoot");
+
+    const raw = await request(app)
+      .get("/api/v1/ipfs/cat/QmRoot/site")
+      .set("Accept", "application/vnd.ipld.raw")
+      .parse(binary)
+      .expect(200);
+    expect(raw.headers["content-type"]).toBe("application/vnd.ipld.raw");
+    expect(raw.body.toString()).toBe("BLOCK:QmSite");
+
+    await request(app).get("/ipfs/QmRoot?format=tar").expect(400);
+    await request(app).get("/api/v1/ipfs/cat/not-a-cid").expect(400);
+  });
+
+  it("answers 410 for denylisted content instead of falling through to the proxy", async () => {
+    await addEntry({ cid: "QmRoot", path: "site" });
+    // Blocked by path, and by the resolved CID however it is reached
+    await addEntry({ cid: "QmHello" });
+
+    const blocked = await request(app).get("/ipfs/QmRoot/site/").expect(410);
+    expect(blocked.body.error).toMatch(/denylist/);
+    await request(app).get("/api/v1/ipfs/cat/QmRoot/a%20%3Cb%3E.txt").expect(410);
+    await request(app).get("/ipfs/QmRoot/site?format=car").expect(410);
+    await request(app).get("/ipfs/QmRoot/clip.mp4").expect(200);
+
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    resetDenylistStoreCache();
+  });
+});
@@ -0,0 +1,215 @@
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import fs from "fs";
+import { EventEmitter } from "events";
+
+const { dataDir, mockConfig, ipfsRequest, getIpfsLatencyStats } = vi.hoisted(() => {
+  const dataDir = `${process.env.TMPDIR || "/tmp"}/metrics-test-${process.pid}`;
+  const mockConfig = {
+    ipfsConfig: { enabled: true },
+    packageConfig: { version: "9.9.9" },
+    relayConfig: { name: "test-relay" },
+    storageConfig: {
+      dataDir,
+      storageType: "radisk",
+      maxStorageGB: 0,
+      storageWarningThreshold: 80,
+      userQuotaMB: 0,
+      apiKeyQuotaMB: 0,
+    },
+    peerLimitsConfig: { enabled: false },
+    metricsConfig: { historyEnabled: true, historyDbPath: `${dataDir}/metrics.db` },
+    config: { metrics: { historyEnabled: true } },
+  };
+  return { dataDir, mockConfig, ipfsRequest: vi.fn(), getIpfsLatencyStats: vi.fn() };
+});
+
+vi.mock("../utils/logger", () => {
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  return { loggers: { server: logger, uploads: logger, ipfs: logger } };
+});
+vi.mock("../config", () => mockConfig);
+vi.mock("../config/env-config", () => mockConfig);
+vi.mock("../utils/ipfs-client", () => ({ ipfsRequest, getIpfsLatencyStats }));
+vi.mock("../middleware/admin-auth", () => {
+  const adminAuthMiddleware = vi.fn((req, res, next) =>
+    req.headers.authorization === "Bearer admin"
+      ? next()
+      : res.status(401).json({ success: false, error: "Unauthorized" })
+  );
+  return { adminAuthMiddleware, adminAuth: () => adminAuthMiddleware, getActor: () => "admin" };
+});
+
+import systemRouter from "../routes/system";
+import { StatsTracker } from "../utils/stats-tracker";
+import { renderMetrics, resetMetricsCache } from "../utils/metrics";
+import {
+  queryHistory,
+  recordSample,
+  sampleStats,
+  stopMetricsHistory,
+} from "../utils/metrics-history";
+
+function fakeSocket() {
+  const socket: any = new EventEmitter();
+  socket.send = vi.fn();
+  return socket;
+}
+
+const HOUR = 60 * 60 * 1000;
+
+describe("Prometheus metrics", () => {
+  let tracker: StatsTracker;
+
+  beforeEach(() => {
+    resetMetricsCache();
+    tracker = new StatsTracker();
+    ipfsRequest.mockReset();
+    ipfsRequest.mockImplementation(async (path: string) =>
+      path.startsWith("/api/v0/pin/ls") ? { Keys: { QmA: {}, QmB: {} } } : { RepoSize: 4096 }
+    );
+    getIpfsLatencyStats.mockReturnValue({
+      buckets: [0.1, 1],
+      histograms: [
+        { endpoint: "/api/v0/add", outcome: "success", counts: [2, 1], sum: 0.7, count: 4 },
+      ],
+    });
+  });
+
+  afterEach(() => {
+    tracker.destroy();
+  });
+
+  it("exposes wire counters split by engine", async () => {
+    const gun = fakeSocket();
+    const zen = fakeSocket();
+    tracker.patchSocket(gun, "ws://peer-a");
+    tracker.patchSocket(zen, "ws://peer-b/zen");
+
+    gun.emit("message", '{"put":{"a":{}}}');
+    gun.emit("message", '{"get":{"#":"a"}}');
+    zen.emit("message", '{"#":"x","@":"y","ok":1}');
+    gun.send("abcd");
+    gun.emit("error", new Error("boom"));
+
+    const text = await renderMetrics({ statsTracker: tracker });
+    expect(text).toContain("# TYPE shogun_relay_messages_total counter");
+    expect(text).toContain('shogun_relay_messages_total{engine="gun"} 2');
+    expect(text).toContain('shogun_relay_messages_total{engine="zen"} 1');
+    expect(text).toContain('shogun_relay_operations_total{engine="gun",op="put"} 1');
+    expect(text).toContain('shogun_relay_operations_total{engine="gun",op="get"} 1');
+    expect(text).toContain('shogun_relay_operations_total{engine="zen",op="ack"} 1');
+    expect(text).toContain('shogun_relay_errors_total{engine="gun"} 1');
+    expect(text).toContain('shogun_relay_peers{engine="zen"} 1');
+    expect(text).toMatch(/shogun_relay_bytes_total\{engine="gun"\} \d+/);
+    expect(text).toContain('shogun_relay_info{version="9.9.9",name="test-relay"} 1');
+  });
+
+  it("exposes IPFS latency as a cumulative histogram plus pins and storage", async () => {
+    const text = await renderMetrics({ statsTracker: tracker });
+
+    const labels = 'endpoint="/api/v0/add",outcome="success"';
+    expect(text).toContain(
+      `shogun_relay_ipfs_request_duration_seconds_bucket{${labels},le="0.1"} 2`
+    );
+    expect(text).toContain(`shogun_relay_ipfs_request_duration_seconds_bucket{${labels},le="1"} 3`);
+    expect(text).toContain(
+      `shogun_relay_ipfs_request_duration_seconds_bucket{${labels},le="+Inf"} 4`
+    );
+    expect(text).toContain(`shogun_relay_ipfs_request_duration_seconds_count{${labels}} 4`);
+    expect(text).toContain("shogun_relay_ipfs_pins 2");
+    expect(text).toContain("shogun_relay_ipfs_repo_bytes 4096");
+    expect(text).toContain('shogun_relay_gun_storage_bytes{backend="radisk"}');
+    expect(text).toContain("shogun_relay_uploads_bytes 0");
+    expect(text).toContain("# TYPE shogun_relay_webhook_deliveries_dropped_total counter");
+
+    // Slow values are cached between scrapes
+    await renderMetrics({ statsTracker: tracker });
+    expect(ipfsRequest).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("Metric history", () => {
+  let app: express.Application;
+
+  beforeEach(() => {
+    stopMetricsHistory();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    app = express();
+    app.use("/api/v1/system", systemRouter);
+  });
+
+  afterAll(() => {
+    stopMetricsHistory();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("rolls minute samples up into hours and days", () => {
+    const day = Date.UTC(2026, 0, 1);
+    recordSample({ peers: 2, msgRate: 10 }, day + 5 * 60 * 1000);
+    recordSample({ peers: 4, msgRate: 30 }, day + 6 * 60 * 1000);
+    recordSample({ peers: 6, msgRate: 50 }, day + HOUR + 60 * 1000);
+
+    const hours = queryHistory({
+      metrics: ["peers"],
+      from: day,
+      to: day + 2 * HOUR,
+      resolution: "hour",
+    });
+    expect(hours.series.peers).toEqual([
+      { ts: day, avg: 3, max: 4 },
+      { ts: day + HOUR, avg: 6, max: 6 },
+    ]);
+
+    // Days weight each hour by the number of minutes behind it
+    const days = queryHistory({
+      metrics: ["msgRate"],
+      from: day,
+      to: day + 2 * HOUR,
+      resolution: "day",
+    });
+    expect(days.series.msgRate).toEqual([{ ts: day, avg: 30, max: 50 }]);
+
+    expect(queryHistory({ metrics: ["peers"], from: day, to: day + HOUR }).resolution).toBe(
+      "minute"
+    );
+    expect(
+      queryHistory({ metrics: ["peers"], from: day, to: day + 7 * 24 * HOUR }).resolution
+    ).toBe("hour");
+  });
+
+  it("turns cumulative counters into per-second rates", () => {
+    const tracker = new StatsTracker();
+    try {
+      const socket = fakeSocket();
+      tracker.patchSocket(socket, "ws://peer");
+
+      const start = Date.UTC(2026, 0, 1);
+      expect(sampleStats(tracker, start)).toBeNull();
+      for (let i = 0; i < 120; i++) socket.emit("message", '{"put":{}}');
+      const values = sampleStats(tracker, start + 60 * 1000);
+
+      expect(values).toMatchObject({ msgRate: 2, gunMsgRate: 2, putRate: 2, peers: 1 });
+    } finally {
+      tracker.destroy();
+    }
+  });
+
+  it("serves history to admins", async () => {
+    recordSample({ peers: 3 }, Date.now());
+
+    await request(app).get("/api/v1/system/metrics/history").expect(401);
+    const response = await request(app)
+      .get("/api/v1/system/metrics/history?metrics=peers&range=1h")
+      .set("Authorization", "Bearer admin")
+      .expect(200);
+    expect(response.body.resolution).toBe("minute");
+    expect(response.body.series.peers).toHaveLength(1);
+
+    await request(app)
+      .get("/api/v1/system/metrics/history?metrics=bogus")
+      .set("Authorization", "Bearer admin")
+      .expect(400);
+  });
+});
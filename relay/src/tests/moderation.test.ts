@@ -0,0 +1,233 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import fs from "fs";
+import { createHash } from "crypto";
+
+const { dataDir, ipfsRequest, ipfsUpload, pinned } = vi.hoisted(() => ({
+  dataDir: `${process.env.TMPDIR || "/tmp"}/moderation-test-${process.pid}`,
+  ipfsRequest: vi.fn(),
+  ipfsUpload: vi.fn(),
+  pinned: new Set<string>(),
+}));
+
+vi.mock("../utils/logger", () => {
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  return { loggers: { server: logger, uploads: logger } };
+});
+vi.mock("../config", () => ({
+  storageConfig: { dataDir, maxStorageGB: 0, userQuotaMB: 0, apiKeyQuotaMB: 0 },
+  moderationConfig: { autoUnpin: true, sweepIntervalMs: 0, importMaxMB: 1 },
+  ipfsConfig: { apiUrl: "http://127.0.0.1:1", apiToken: "" },
+  authConfig: {},
+}));
+vi.mock("../utils/ipfs-client", () => ({ ipfsRequest, ipfsUpload }));
+vi.mock("../middleware/admin-auth", () => ({
+  adminAuthMiddleware: vi.fn((req, res, next) =>
+    req.headers.authorization === "Bearer admin"
+      ? next()
+      : res.status(401).json({ success: false, error: "Unauthorized" })
+  ),
+}));
+vi.mock("../middleware/admin-or-api-key-auth", () => ({
+  adminOrApiKeyAuth: vi.fn(
+    () => (req: any, res: any, next: any) =>
+      req.headers.authorization ? next() : res.status(401).json({ success: false })
+  ),
+}));
+
+import moderationRouter from "../routes/moderation";
+import catRouter from "../routes/ipfs/cat";
+import decryptRouter from "../routes/ipfs/decrypt";
+import pinRouter from "../routes/ipfs/pin";
+import proxyRouter from "../routes/ipfs/proxy";
+import uploadDirectoryRouter from "../routes/ipfs/upload-directory";
+import {
+  parseDenylist,
+  resetDenylistStoreCache,
+  sweepBlockedPins,
+  toCidV1Base32,
+} from "../utils/denylist";
+
+const ADMIN = { Authorization: "Bearer admin" };
+const V0 = "QmbWqxBEKC3P8tqsKc98xmWNzrzDtRLMiMPL8wBuTGsMnR";
+const V1 = "bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi";
+const OTHER = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+
+const badBitsHash = (contentPath: string) => createHash("sha256").update(contentPath).digest("hex");
+
+// pin/rm, pin/ls and refs against an in-memory pin set
+function fakeIpfs(refs: Record<string, string[]> = {}) {
+  ipfsRequest.mockImplementation(async (path: string) => {
+    const url = new URL(path, "http://kubo");
+    const arg = url.searchParams.get("arg")!;
+    switch (url.pathname) {
+      case "/api/v0/pin/rm":
+        if (!pinned.delete(arg)) throw new Error("IPFS API returned status 500: not pinned");
+        return { Pins: [arg] };
+      case "/api/v0/pin/ls":
+        return { Keys: Object.fromEntries([...pinned].map((cid) => [cid, { Type: "recursive" }])) };
+      case "/api/v0/refs":
+        return (refs[arg] || []).map((ref) => JSON.stringify({ Ref: ref, Err: "" })).join("\n");
+      default:
+        throw new Error(`unexpected IPFS call ${path}`);
+    }
+  });
+}
+
+describe("CID denylist", () => {
+  let app: express.Application;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    resetDenylistStoreCache();
+    pinned.clear();
+    fakeIpfs();
+
+    app = express();
+    app.use(express.json());
+    app.use("/api/v1/moderation", moderationRouter);
+    app.use("/api/v1/ipfs", catRouter);
+    app.use("/api/v1/ipfs", decryptRouter);
+    app.use("/api/v1/ipfs", pinRouter);
+    app.use("/api/v1/ipfs", uploadDirectoryRouter);
+    app.use("/api/v1/ipfs", proxyRouter);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("reads bad bits lists keyed on CIDv1 base32 double hashes", () => {
+    expect(toCidV1Base32(V0)).toBe(V1);
+    expect(toCidV1Base32(V1.toUpperCase())).toBe(V1);
+
+    const { hashes, skipped } = parseDenylist(
+      [
+        "version: 1",
+        "name: test",
+        "---",
+        "# comment",
+        `//${badBitsHash(`${V1}/`)}`,
+        `/ipfs/${OTHER}/private/*`,
+        "/ipns/example.com",
+        `!/ipfs/${OTHER}/private/ok.txt`,
+        "//not-a-hash",
+      ].join("\n")
+    );
+    expect(hashes).toEqual([badBitsHash(`${V1}/`), badBitsHash(`${toCidV1Base32(OTHER)}/private`)]);
+    expect(skipped).toBe(3);
+  });
+
+  it("adds, checks and removes entries, unpinning blocked CIDs and auditing each step", async () => {
+    pinned.add(V0);
+    await request(app).get("/api/v1/moderation/denylist").expect(401);
+
+    const created = await request(app)
+      .post("/api/v1/moderation/denylist")
+      .set(ADMIN)
+      .send({ cid: `ipfs://${V0}`, reason: "abuse report #12" })
+      .expect(201);
+    expect(created.body.entry).toMatchObject({ cid: V0, path: "", reason: "abuse report #12" });
+    expect(created.body.unpinned).toBe(true);
+    expect(pinned.has(V0)).toBe(false);
+
+    await request(app).post("/api/v1/moderation/denylist").set(ADMIN).send({ cid: V0 }).expect(409);
+    await request(app).post("/api/v1/moderation/denylist").set(ADMIN).send({}).expect(400);
+
+    // A rule on the CID covers every path below it, in either CID version
+    const check = await request(app)
+      .get(`/api/v1/moderation/denylist/check?cid=${V1}&path=a/b.txt`)
+      .set(ADMIN)
+      .expect(200);
+    expect(check.body).toMatchObject({ blocked: true, match: { kind: "entry" } });
+
+    const blocked = await request(app).get(`/api/v1/ipfs/cat/${V0}/json`).expect(410);
+    expect(blocked.body.error).toMatch(/denylist/);
+    await request(app).get(`/api/v1/ipfs/cat/${V0}/decrypt`).expect(410);
+    await request(app).post(`/api/v1/ipfs/proxy/cat?arg=/ipfs/${V1}/a.txt`).set(ADMIN).expect(410);
+    // Every spelling Kubo accepts, and every content-serving command
+    for (const command of ["cat/", "/cat", "c%61t", "refs", "object/get", "dag/export"]) {
+      await request(app).post(`/api/v1/ipfs/proxy/${command}?arg=${V0}`).set(ADMIN).expect(410);
+    }
+    await request(app).post("/api/v1/ipfs/proxy/config/replace").set(ADMIN).expect(404);
+    // API keys never reach the raw API
+    await request(app)
+      .post(`/api/v1/ipfs/proxy/version`)
+      .set("Authorization", "Bearer shogun-api-key")
+      .expect(401);
+
+    await request(app)
+      .delete(`/api/v1/moderation/denylist/${created.body.entry.id}`)
+      .set(ADMIN)
+      .expect(200);
+    await request(app).delete("/api/v1/moderation/denylist/deny_missing").set(ADMIN).expect(404);
+    const after = await request(app)
+      .get(`/api/v1/moderation/denylist/check?cid=${V0}`)
+      .set(ADMIN)
+      .expect(200);
+    expect(after.body.blocked).toBe(false);
+
+    const audit = await request(app).get("/api/v1/moderation/audit").set(ADMIN).expect(200);
+    expect(audit.body.entries.map((entry: any) => entry.action)).toEqual([
+      "remove",
+      "unpin",
+      "add",
+    ]);
+    await request(app).get("/api/v1/moderation/audit?action=nope").set(ADMIN).expect(400);
+  });
+
+  it("imports lists, sweeps pins and refuses pins and uploads of listed content", async () => {
+    pinned.add(V0).add(OTHER);
+    const imported = await request(app)
+      .post("/api/v1/moderation/denylist/import")
+      .set(ADMIN)
+      .send({ name: "badbits", content: `//${badBitsHash(`${V1}/`)}\n/ipfs/${OTHER}/private\n` })
+      .expect(201);
+    expect(imported.body.list).toMatchObject({ name: "badbits", count: 2, source: null });
+    expect(imported.body.list.hashes).toBeUndefined();
+    // Only the whole-CID rule unpins; OTHER stays pinned for its other paths
+    expect(imported.body.unpinned).toBe(1);
+    expect([...pinned]).toEqual([OTHER]);
+
+    const pin = await request(app)
+      .post("/api/v1/ipfs/pin/add")
+      .set(ADMIN)
+      .send({ cid: V0 })
+      .expect(403);
+    expect(pin.body.error).toMatch(/denylist/);
+    await request(app)
+      .post(`/api/v1/ipfs/proxy/pin/add?arg=QmHarmless&arg=${V0}`)
+      .set(ADMIN)
+      .expect(403);
+
+    ipfsUpload.mockResolvedValue({ Hash: "QmUploadedDir" });
+    fakeIpfs({ QmUploadedDir: ["QmHarmless", V0] });
+    pinned.add("QmUploadedDir");
+    const upload = await request(app)
+      .post("/api/v1/ipfs/upload-directory")
+      .set(ADMIN)
+      .attach("files", Buffer.from("data"), "file.bin")
+      .expect(403);
+    expect(upload.body.blocked).toEqual([V0]);
+    expect(pinned.has("QmUploadedDir")).toBe(false);
+
+    const rejections = await request(app).get("/api/v1/moderation/audit").set(ADMIN).expect(200);
+    expect(rejections.body.entries.slice(0, 3)).toMatchObject([
+      { action: "reject-upload", cid: "QmUploadedDir", count: 1, ok: false },
+      { action: "reject-pin", cid: V0, ok: false },
+      { action: "reject-pin", cid: V0, ok: false },
+    ]);
+
+    // Removing the list lifts every rule it carried
+    const { body } = await request(app).get("/api/v1/moderation/denylist").set(ADMIN);
+    await request(app)
+      .delete(`/api/v1/moderation/denylist/lists/${body.lists[0].id}`)
+      .set(ADMIN)
+      .expect(200);
+    pinned.add(V0);
+    expect(await sweepBlockedPins()).toBe(0);
+    expect(pinned.has(V0)).toBe(true);
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import fs from "fs";
+
+const { dataDir, config } = vi.hoisted(() => {
+  const dataDir = `${process.env.TMPDIR || "/tmp"}/operators-test-${process.pid}`;
+  return {
+    dataDir,
+    config: {
+      storageConfig: { dataDir },
+      authConfig: {
+        adminPassword: "admin-secret",
+        operatorsDbPath: `${dataDir}/operators.db`,
+        strictSessionIp: true,
+        sessionTtlHours: 24,
+      },
+      serverConfig: { nodeEnv: "test" },
+    },
+  };
+});
+
+vi.mock("../utils/logger", () => {
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  return { loggers: { server: logger } };
+});
+vi.mock("../config", () => config);
+vi.mock("../config/env-config", () => config);
+
+import operatorsRouter from "../routes/operators";
+import { adminAuth } from "../middleware/admin-auth";
+import { adminOrApiKeyAuth } from "../middleware/admin-or-api-key-auth";
+import { auditAdminAction } from "../middleware/admin-audit";
+import { tokenAuth } from "../middleware/token-auth";
+import { closeOperatorDb } from "../utils/operators";
+import { totpCode, totpStep } from "../utils/totp";
+
+const ADMIN = { Authorization: "Bearer admin-secret" };
+const bearer = (token: string) => ({ Authorization: `Bearer ${token}` });
+
+describe("operators and roles", () => {
+  let app: express.Application;
+
+  beforeEach(() => {
+    closeOperatorDb();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    app = express();
+    app.use(express.json());
+    app.use("/operators", operatorsRouter);
+    app.get("/stats", tokenAuth("viewer"), (req, res) => res.json({ success: true }));
+    app.post(
+      "/pin/rm",
+      adminAuth("pin-operator"),
+      auditAdminAction("pin.remove", (req) => req.body.cid),
+      (req, res) => res.json({ success: true })
+    );
+    app.post("/pin/add", adminOrApiKeyAuth("ipfs:pin"), (req, res) => res.json({ success: true }));
+    app.post("/proxy/pin/add", adminAuth("admin"), (req, res) => res.json({ success: true }));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  afterAll(() => {
+    closeOperatorDb();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  async function addOperator(username: string, role: string) {
+    const res = await request(app)
+      .post("/operators")
+      .set(ADMIN)
+      .send({ username, password: `${username}-password`, role });
+    expect(res.status).toBe(201);
+  }
+
+  async function login(username: string, totp?: string) {
+    return request(app)
+      .post("/operators/login")
+      .send({ username, password: `${username}-password`, totp });
+  }
+
+  it("gives each role access to its own routes only", async () => {
+    await addOperator("alice", "viewer");
+    await addOperator("bob", "pin-operator");
+
+    const alice = (await login("alice")).body.token;
+    const bob = (await login("bob")).body.token;
+    expect(alice).toMatch(/^shogun-session-/);
+
+    expect((await request(app).get("/stats").set(bearer(alice))).status).toBe(200);
+    const denied = await request(app).post("/pin/rm").set(bearer(alice)).send({ cid: "Qm1" });
+    expect(denied.status).toBe(403);
+    expect(denied.body.error).toContain("pin-operator");
+
+    expect((await request(app).post("/pin/rm").set(bearer(bob)).send({ cid: "Qm1" })).status).toBe(
+      200
+    );
+    expect((await request(app).get("/operators").set(bearer(bob))).status).toBe(403);
+    expect((await request(app).post("/pin/add").set(bearer(alice))).status).toBe(403);
+    expect((await request(app).post("/pin/add").set(bearer(bob))).status).toBe(200);
+    expect((await request(app).post("/proxy/pin/add").set(bearer(bob))).status).toBe(403);
+    expect((await request(app).post("/proxy/pin/add").set(ADMIN)).status).toBe(200);
+    expect((await request(app).get("/operators").set(ADMIN)).body.operators).toHaveLength(2);
+
+    const me = await request(app).get("/operators/me").set("X-Session-Token", alice);
+    expect(me.body).toMatchObject({ role: "viewer", operator: { username: "alice" } });
+
+    const wrong = await request(app)
+      .post("/operators/login")
+      .send({ username: "alice", password: "not-her-password" });
+    expect(wrong.status).toBe(401);
+  });
+
+  it("requires an unused TOTP code once enrolled", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    await addOperator("carol", "admin");
+    const token = (await login("carol")).body.token;
+
+    const enroll = await request(app).post("/operators/me/totp").set(bearer(token));
+    expect(enroll.body.uri).toMatch(/^otpauth:\/\/totp\//);
+    const { secret } = enroll.body;
+    const confirm = await request(app)
+      .post("/operators/me/totp/confirm")
+      .set(bearer(token))
+      .send({ code: totpCode(secret) });
+    expect(confirm.body.operator.totpEnabled).toBe(true);
+
+    const missing = await login("carol");
+    expect(missing.status).toBe(401);
+    expect(missing.body.code).toBe("totp_required");
+
+    vi.setSystemTime(Date.now() + 30_000);
+    const code = totpCode(secret, totpStep());
+    expect((await login("carol", code)).status).toBe(200);
+
+    const replay = await login("carol", code);
+    expect(replay.status).toBe(401);
+    expect(replay.body.code).toBe("totp_invalid");
+  });
+
+  it("keeps sessions across restarts and revokes them on role changes", async () => {
+    await addOperator("dave", "pin-operator");
+    const token = (await login("dave")).body.token;
+
+    closeOperatorDb();
+    expect((await request(app).get("/stats").set(bearer(token))).status).toBe(200);
+
+    await request(app).patch("/operators/dave").set(ADMIN).send({ role: "viewer" });
+    expect((await request(app).get("/stats").set(bearer(token))).status).toBe(401);
+
+    const logout = await request(app)
+      .post("/operators/logout")
+      .set(bearer((await login("dave")).body.token));
+    expect(logout.status).toBe(200);
+  });
+
+  it("records who did what in the admin audit log", async () => {
+    await addOperator("erin", "pin-operator");
+    const token = (await login("erin")).body.token;
+    await request(app).post("/pin/rm").set(bearer(token)).send({ cid: "QmAudited" });
+
+    const audit = await request(app).get("/operators/audit").set(ADMIN);
+    const actions = audit.body.entries.map((entry: any) => entry.action);
+    expect(actions).toEqual(["pin.remove", "operator.login", "operator.create"]);
+    expect(audit.body.entries[0]).toMatchObject({
+      actor: "erin",
+      role: "pin-operator",
+      target: "QmAudited",
+      ok: true,
+    });
+    expect(audit.body.entries[2]).toMatchObject({ actor: "admin-password", target: "erin" });
+
+    const filtered = await request(app).get("/operators/audit?actor=erin").set(ADMIN);
+    expect(filtered.body.count).toBe(2);
+  });
+
+  it("rate limits failed logins, even after a restart", async () => {
+    for (let i = 0; i < 5; i++) {
+      await request(app).post("/operators/login").send({ username: "nobody", password: "x" });
+    }
+    closeOperatorDb();
+
+    const res = await request(app).post("/operators/login").send({ username: "nobody" });
+    expect(res.status).toBe(429);
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import fs from "fs";
+import { EventEmitter } from "events";
+
+const { dataDir, mockConfig } = vi.hoisted(() => {
+  const dataDir = `${process.env.TMPDIR || "/tmp"}/peer-limits-test-${process.pid}`;
+  const mockConfig = {
+    ipfsConfig: { enabled: false },
+    packageConfig: { version: "9.9.9" },
+    relayConfig: { name: "test-relay" },
+    storageConfig: { dataDir, maxStorageGB: 0, userQuotaMB: 0, apiKeyQuotaMB: 0 },
+    peerLimitsConfig: {
+      enabled: true,
+      msgsPerSec: 5,
+      bytesPerSec: 0,
+      ipMsgsPerSec: 8,
+      ipBytesPerSec: 0,
+      maxPutBytes: 100,
+      banStrikes: 3,
+      banSecs: 600,
+    },
+    metricsConfig: { historyEnabled: false },
+    config: { metrics: { historyEnabled: false } },
+  };
+  return { dataDir, mockConfig };
+});
+
+vi.mock("../utils/logger", () => {
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  return { loggers: { server: logger, uploads: logger, ipfs: logger } };
+});
+vi.mock("../config", () => mockConfig);
+vi.mock("../config/env-config", () => mockConfig);
+vi.mock("../middleware/admin-auth", () => {
+  const adminAuthMiddleware = vi.fn((req, res, next) =>
+    req.headers.authorization === "Bearer admin"
+      ? next()
+      : res.status(401).json({ success: false, error: "Unauthorized" })
+  );
+  return { adminAuthMiddleware, adminAuth: () => adminAuthMiddleware, getActor: () => "admin" };
+});
+
+import systemRouter from "../routes/system";
+import { StatsTracker } from "../utils/stats-tracker";
+import { getPeerBan, resetPeerLimits } from "../utils/peer-limits";
+
+function fakeSocket(remoteAddress: string) {
+  const socket: any = new EventEmitter();
+  socket.send = vi.fn();
+  socket._socket = { remoteAddress };
+  socket.terminate = vi.fn(() => socket.emit("close"));
+  return socket;
+}
+
+const ADMIN = { Authorization: "Bearer admin" };
+
+describe("Peer limits", () => {
+  let tracker: StatsTracker;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    resetPeerLimits();
+    tracker = new StatsTracker();
+  });
+
+  afterEach(() => {
+    tracker.destroy();
+    vi.useRealTimers();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("throttles a flooding peer, then bans its IP and closes its connections", () => {
+    const flooder = fakeSocket("::ffff:10.0.0.5");
+    const sibling = fakeSocket("10.0.0.5");
+    const received = vi.fn();
+    flooder.on("message", received);
+    tracker.patchSocket(flooder, "ws://flooder");
+    tracker.patchSocket(sibling, "ws://flooder-2");
+
+    for (let i = 0; i < 8; i++) flooder.emit("message", '{"get":{"#":"a"}}');
+    expect(received).toHaveBeenCalledTimes(5);
+    const peer = tracker.getStats().peers.find((p: any) => p.addr === "ws://flooder");
+    expect(peer).toMatchObject({ throttled: 3, throttleReason: "peer-rate" });
+    expect(peer).not.toHaveProperty("ip");
+
+    // Third second over the limit: banned
+    for (let second = 1; second < 3; second++) {
+      vi.setSystemTime(Date.now() + 1000);
+      for (let i = 0; i < 6; i++) flooder.emit("message", '{"get":{"#":"a"}}');
+    }
+    expect(getPeerBan("10.0.0.5")).toMatchObject({ source: "auto" });
+    expect(flooder.terminate).toHaveBeenCalled();
+    expect(sibling.terminate).toHaveBeenCalled();
+
+    const stats = tracker.getStats();
+    expect(stats.connectedPeers).toBe(0);
+    expect(stats.banCount).toBe(1);
+    expect(stats.recentBans[0]).not.toHaveProperty("target");
+
+    // Reconnecting from the banned address is refused
+    const retry = fakeSocket("10.0.0.5");
+    tracker.patchSocket(retry, "ws://flooder");
+    expect(retry.terminate).toHaveBeenCalled();
+    expect(tracker.getStats().connectedPeers).toBe(0);
+  });
+
+  it("drops oversized puts and lets other traffic through", () => {
+    const socket = fakeSocket("10.0.0.6");
+    const received = vi.fn();
+    socket.on("message", received);
+    tracker.patchSocket(socket, "ws://writer");
+
+    socket.emit("message", JSON.stringify({ put: { a: { "#": "a", x: "y".repeat(200) } } }));
+    socket.emit("message", JSON.stringify({ put: { a: { "#": "a", x: "y" } } }));
+    socket.emit("message", JSON.stringify({ get: { "#": "y".repeat(200) } }));
+    expect(received).toHaveBeenCalledTimes(2);
+    expect(tracker.getStats()).toMatchObject({ throttledCount: 1 });
+
+    // Gun puts lead with the message id, and batches are arrays
+    const big = { a: { "#": "a", x: "y".repeat(200) } };
+    socket.emit("message", JSON.stringify({ "#": "msg1", put: big }));
+    socket.emit("message", JSON.stringify([{ get: { "#": "a" } }, { "#": "msg2", put: big }]));
+    expect(received).toHaveBeenCalledTimes(2);
+    expect(tracker.getStats()).toMatchObject({ throttledCount: 3 });
+  });
+
+  it("leaves connections this relay dialed out of the limits", () => {
+    const upstream = fakeSocket("10.0.0.8");
+    const received = vi.fn();
+    upstream.on("message", received);
+    tracker.patchSocket(upstream, "wss://peer.example/gun", "gun", { outbound: true });
+
+    for (let i = 0; i < 20; i++) upstream.emit("message", '{"get":{"#":"a"}}');
+    expect(received).toHaveBeenCalledTimes(20);
+    expect(getPeerBan("10.0.0.8")).toBeNull();
+    expect(tracker.getStats().connectedPeers).toBe(1);
+  });
+
+  it("lists, adds and lifts bans through the admin routes", async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/v1/system", systemRouter);
+
+    await request(app).get("/api/v1/system/peers/bans").expect(401);
+    await request(app)
+      .post("/api/v1/system/peers/bans")
+      .set(ADMIN)
+      .send({ target: "" })
+      .expect(400);
+
+    const created = await request(app)
+      .post("/api/v1/system/peers/bans")
+      .set(ADMIN)
+      .send({ target: "10.0.0.7", durationSecs: 0, reason: "spam" });
+    expect(created.status).toBe(201);
+    expect(created.body.ban).toMatchObject({ source: "admin", by: "admin", expiresAt: null });
+
+    const socket = fakeSocket("10.0.0.7");
+    tracker.patchSocket(socket, "ws://spammer");
+    expect(socket.terminate).toHaveBeenCalled();
+
+    const list = await request(app).get("/api/v1/system/peers/bans").set(ADMIN);
+    expect(list.body.bans.map((ban: any) => ban.target)).toEqual(["10.0.0.7"]);
+    expect(list.body.limits).toMatchObject({ msgsPerSec: 5, banStrikes: 3 });
+
+    await request(app).delete("/api/v1/system/peers/bans/10.0.0.7").set(ADMIN).expect(200);
+    await request(app).delete("/api/v1/system/peers/bans/10.0.0.7").set(ADMIN).expect(404);
+    expect(getPeerBan("10.0.0.7")).toBeNull();
+  });
+});
@@ -0,0 +1,347 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import http from "http";
+import fs from "fs";
+import type { AddressInfo } from "net";
+
+const { rootDir } = vi.hoisted(() => ({
+  rootDir: `${process.env.TMPDIR || "/tmp"}/pin-replication-test-${process.pid}`,
+}));
+
+vi.mock("../utils/logger", () => {
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  return { loggers: { server: logger } };
+});
+// Deterministic stand-in for SEA: a signature is the message plus "sig(<pub>)"
+vi.mock("../utils/sea", () => ({
+  loadSEA: async () => ({
+    sign: async (data: string, pair: any) => JSON.stringify({ m: data, s: `sig(${pair.pub})` }),
+    verify: async (sig: string, pub: string) => {
+      const parsed = JSON.parse(sig);
+      return parsed.s === `sig(${pub})` ? parsed.m : undefined;
+    },
+  }),
+}));
+vi.mock("../middleware/admin-auth", () => ({
+  adminAuthMiddleware: vi.fn((req, res, next) =>
+    req.headers.authorization === "Bearer admin"
+      ? next()
+      : res.status(401).json({ success: false, error: "Unauthorized" })
+  ),
+}));
+
+import replicationRouter from "../routes/replication";
+import { PinReplicator, createGunPinBoard, createIpfsPinClient } from "../utils/pin-replication";
+
+const HOSTS = ["relay-a", "relay-b", "relay-c"];
+const ALPHA = "QmAlphaAlphaAlphaAlphaAlphaAlphaAlphaAlphaAlpha";
+const BETA = "QmBetaBetaBetaBetaBetaBetaBetaBetaBetaBetaBetaB";
+
+const SIZES: Record<string, number> = { [ALPHA]: 1000, [BETA]: 2000 };
+
+const pairOf = (host: string) => ({ pub: `${host}-pub` });
+
+/**
+ * In-memory graph keyed by path: put() links each node from its parent and
+ * stores nested objects as child nodes, like Gun does
+ */
+function createGraph() {
+  const nodes = new Map<string, Record<string, any>>();
+  const link = (path: string) => {
+    const cut = path.lastIndexOf("/");
+    if (cut < 0) return;
+    const parent = path.slice(0, cut);
+    nodes.set(parent, { ...nodes.get(parent), [path.slice(cut + 1)]: { "#": path } });
+    link(parent);
+  };
+  const chain = (path: string): any => ({
+    get: (key: string) => chain(`${path}/${key}`),
+    put: (value: Record<string, any>) => {
+      const node = { ...nodes.get(path) };
+      for (const [key, child] of Object.entries(value)) {
+        if (child && typeof child === "object") chain(`${path}/${key}`).put(child);
+        else node[key] = child;
+      }
+      nodes.set(path, node);
+      link(path);
+    },
+    map: () => ({
+      once: (cb: (data: any, key: string) => void) => {
+        for (const [key, ref] of Object.entries(nodes.get(path) || {})) {
+          if (ref && ref["#"]) cb(nodes.get(ref["#"]), key);
+        }
+      },
+    }),
+  });
+  return { nodes, get: (key: string) => chain(key) };
+}
+
+describe("Pin replication", () => {
+  // One fake Kubo API per relay, served under /<host>/api/v0/...
+  const pins: Record<string, Set<string>> = {};
+  let ipfsServer: http.Server;
+  let ipfsBase: string;
+
+  // Shared stand-in for the graph holding shogun/network/pins
+  let graph: ReturnType<typeof createGraph>;
+  let network: Set<string>;
+  let enabled: boolean;
+  let relays: Record<string, PinReplicator>;
+  let allowed: Record<string, string[]>;
+  let quotas: Record<string, { assert: any; record: any; release: any }>;
+
+  beforeAll(async () => {
+    ipfsServer = http.createServer((req, res) => {
+      const url = new URL(req.url!, "http://localhost");
+      const [, host, , , command, action] = url.pathname.split("/");
+      const set = pins[host];
+      const cid = url.searchParams.get("arg") || "";
+      res.setHeader("Content-Type", "application/json");
+
+      if (set && command === "files" && action === "stat") {
+        const size = SIZES[cid.replace("/ipfs/", "")] ?? 0;
+        return res.end(JSON.stringify({ CumulativeSize: size }));
+      }
+      if (!set || command !== "pin") {
+        res.statusCode = 404;
+        return res.end("{}");
+      }
+      if (action === "ls") {
+        const keys = Object.fromEntries([...set].map((c) => [c, { Type: "recursive" }]));
+        return res.end(JSON.stringify({ Keys: keys }));
+      }
+      if (action === "add") {
+        set.add(cid);
+        return res.end(JSON.stringify({ Pins: [cid] }));
+      }
+      if (action === "rm") {
+        if (!set.delete(cid)) {
+          res.statusCode = 500;
+          return res.end(JSON.stringify({ Message: "not pinned or pinned indirectly" }));
+        }
+        return res.end(JSON.stringify({ Pins: [cid] }));
+      }
+      res.statusCode = 404;
+      res.end("{}");
+    });
+    await new Promise<void>((resolve) => ipfsServer.listen(0, "127.0.0.1", resolve));
+    ipfsBase = `http://127.0.0.1:${(ipfsServer.address() as AddressInfo).port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => ipfsServer.close(resolve));
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+    vi.useFakeTimers({ toFake: ["Date"] });
+    graph = createGraph();
+    network = new Set(HOSTS);
+    enabled = true;
+    relays = {};
+    allowed = {};
+    quotas = {};
+    for (const host of HOSTS) {
+      pins[host] = new Set();
+      allowed[host] = HOSTS.map((h) => pairOf(h).pub);
+      quotas[host] = { assert: vi.fn(), record: vi.fn(), release: vi.fn() };
+      relays[host] = new PinReplicator({
+        host,
+        pub: pairOf(host).pub,
+        board: createGunPinBoard(graph, pairOf(host), 0),
+        ipfs: createIpfsPinClient({ apiUrl: `${ipfsBase}/${host}`, timeoutMs: 2000 }),
+        getRelays: async () => Array.from(network).map((h) => ({ host: h, pub: pairOf(h).pub })),
+        allowedPartners: allowed[host],
+        statePath: `${rootDir}/${host}.json`,
+        factor: 2,
+        offlineAfterMs: 60 * 1000,
+        maxPinsPerRun: 20,
+        isEnabled: () => enabled,
+        quota: quotas[host],
+      });
+    }
+    pins["relay-a"].add(ALPHA);
+    pins["relay-b"].add(BETA);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  async function rounds(hosts: string[], count = 2) {
+    for (let i = 0; i < count; i++) {
+      for (const host of hosts) await relays[host].run();
+    }
+  }
+
+  const holders = (cid: string) => HOSTS.filter((host) => pins[host].has(cid));
+
+  it("copies each CID until it reaches the replication factor", async () => {
+    await rounds(HOSTS);
+
+    expect(holders(ALPHA)).toHaveLength(2);
+    expect(holders(ALPHA)).toContain("relay-a");
+    expect(holders(BETA)).toHaveLength(2);
+    expect(holders(BETA)).toContain("relay-b");
+
+    // Converged: another round changes nothing
+    for (const host of HOSTS) {
+      const result = await relays[host].run();
+      expect(result).toMatchObject({ partners: 2, pinned: [], unpinned: [], failed: [] });
+    }
+    expect(relays["relay-a"].getCid(ALPHA)).toMatchObject({ status: "ok", target: 2, local: true });
+  });
+
+  it("re-pins content when a partner goes offline and trims replicas when it returns", async () => {
+    await rounds(HOSTS);
+
+    // relay-a stops advertising
+    vi.setSystemTime(Date.now() + 2 * 60 * 1000);
+    await rounds(["relay-b", "relay-c"]);
+    expect(holders(ALPHA)).toEqual(HOSTS);
+    expect(relays["relay-b"].getStatus().partners).toEqual([
+      expect.objectContaining({ host: "relay-a", online: false }),
+      expect.objectContaining({ host: "relay-c", online: true }),
+    ]);
+
+    await rounds(HOSTS);
+    expect(holders(ALPHA)).toHaveLength(2);
+    expect(holders(ALPHA)).toContain("relay-a");
+    expect(holders(BETA)).toHaveLength(2);
+    expect(holders(BETA)).toContain("relay-b");
+  });
+
+  it("ignores relays that are not listed in /network/relays", async () => {
+    network.delete("relay-c");
+    await rounds(["relay-a", "relay-b"]);
+
+    expect(holders(ALPHA)).toEqual(["relay-a", "relay-b"]);
+    expect(holders(BETA)).toEqual(["relay-a", "relay-b"]);
+  });
+
+  it("only partners with relays in REPLICATION_PARTNERS", async () => {
+    // relay-b and relay-c trust nobody; relay-a trusts both
+    allowed["relay-b"].splice(0);
+    allowed["relay-c"].splice(0);
+    await rounds(HOSTS);
+
+    expect(holders(ALPHA)).toEqual(["relay-a"]);
+    expect(relays["relay-b"].getStatus().partners).toEqual([]);
+    expect(relays["relay-a"].getStatus().partners).toHaveLength(2);
+  });
+
+  it("charges replicas to the relay quota and skips those that do not fit", async () => {
+    for (const host of HOSTS) {
+      quotas[host].assert.mockImplementation((cid: string) => {
+        if (cid === ALPHA) throw new Error("Relay storage quota exceeded");
+      });
+    }
+    await rounds(HOSTS);
+
+    expect(holders(ALPHA)).toEqual(["relay-a"]);
+    expect(HOSTS.flatMap((host) => relays[host].getStatus().lastRun!.failed)).toContainEqual({
+      cid: ALPHA,
+      action: "pin",
+      error: "Relay storage quota exceeded",
+    });
+    expect(holders(BETA)).toHaveLength(2);
+    expect(HOSTS.flatMap((host) => quotas[host].record.mock.calls)).toEqual([[BETA, 2000]]);
+
+    pins["relay-b"].delete(BETA);
+    await rounds(HOSTS);
+    expect(holders(BETA)).toEqual([]);
+    expect(HOSTS.flatMap((host) => quotas[host].release.mock.calls)).toEqual([[BETA]]);
+  });
+
+  it("only trusts advertisements signed by the registered key and matching their CIDs", async () => {
+    await rounds(HOSTS);
+    const heads = () => graph.nodes.get("shogun/network/pins")!;
+    expect(Object.keys(heads())).toEqual(HOSTS.map((host) => pairOf(host).pub));
+    // One graph key per CID, not a list in a single value
+    const head = graph.nodes.get("shogun/network/pins/relay-a-pub")!;
+    expect(head.cids).toEqual({ "#": "shogun/network/pins/relay-a-pub/cids" });
+    const entries = [...graph.nodes]
+      .filter(([path]) => path.startsWith("shogun/network/pins/relay-a-pub/cids/"))
+      .flatMap(([, node]) => Object.keys(node));
+    expect(entries).toContain(ALPHA);
+
+    // relay-c's record re-signed by another key, then a CID slipped into relay-b's
+    graph.get("shogun/network/pins/relay-c-pub").put({ ...head, sig: "forged" });
+    const bucket = [...graph.nodes.keys()].find((path) =>
+      path.startsWith("shogun/network/pins/relay-b-pub/cids/")
+    )!;
+    const generation = Object.values(graph.nodes.get(bucket)!)[0].split(":")[0];
+    graph.nodes.set(bucket, { ...graph.nodes.get(bucket), QmInjected: `${generation}:p` });
+
+    const board = createGunPinBoard(graph, pairOf("reader"), 0);
+    expect((await board.read()).map((ad) => ad.host)).toEqual(["relay-a"]);
+  });
+
+  it("releases replicas once the original is unpinned", async () => {
+    await rounds(HOSTS);
+    pins["relay-a"].delete(ALPHA);
+
+    await rounds(HOSTS);
+    expect(holders(ALPHA)).toEqual([]);
+    expect(holders(BETA)).toHaveLength(2);
+  });
+
+  it("exposes status, per-CID targets and honours AUTO_REPLICATION", async () => {
+    const app = express();
+    app.use(express.json());
+    app.use("/api/v1/replication", replicationRouter);
+
+    await request(app).get("/api/v1/replication").set("Authorization", "Bearer admin").expect(503);
+    app.set("pinReplicator", relays["relay-a"]);
+
+    await request(app)
+      .put(`/api/v1/replication/cids/${ALPHA}`)
+      .set("Authorization", "Bearer admin")
+      .send({ factor: 0 })
+      .expect(400);
+    await request(app)
+      .put(`/api/v1/replication/cids/${ALPHA}`)
+      .set("Authorization", "Bearer admin")
+      .send({ factor: 3 })
+      .expect(200);
+
+    await request(app)
+      .post("/api/v1/replication/run")
+      .set("Authorization", "Bearer admin")
+      .expect(200);
+    await rounds(HOSTS);
+    // A partner's override cannot raise the factor above the local one
+    expect(holders(ALPHA)).toHaveLength(2);
+
+    relays["relay-b"].setTarget(ALPHA, 3);
+    relays["relay-c"].setTarget(ALPHA, 3);
+    await rounds(HOSTS);
+    expect(holders(ALPHA)).toEqual(HOSTS);
+
+    const entry = await request(app)
+      .get(`/api/v1/replication/cids/${ALPHA}`)
+      .set("Authorization", "Bearer admin")
+      .expect(200);
+    expect(entry.body.replication).toMatchObject({ target: 3, status: "ok", local: true });
+    expect(entry.body.replication.holders).toHaveLength(3);
+
+    const under = await request(app)
+      .get("/api/v1/replication/cids?status=under")
+      .set("Authorization", "Bearer admin")
+      .expect(200);
+    expect(under.body.cids).toEqual([]);
+
+    enabled = false;
+    pins["relay-a"].add("QmNewNewNewNewNewNewNewNewNewNewNewNewNewNewNew");
+    const skipped = await relays["relay-b"].run();
+    expect(skipped.skipped).toBe("disabled");
+
+    const status = await request(app)
+      .get("/api/v1/replication")
+      .set("Authorization", "Bearer admin")
+      .expect(200);
+    expect(status.body).toMatchObject({ enabled: false, host: "relay-a", factor: 2 });
+  });
+});
@@ -0,0 +1,309 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import http from "http";
+import crypto from "crypto";
+import type { AddressInfo } from "net";
+
+vi.mock("../utils/logger", () => {
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  return { loggers: { server: logger } };
+});
+vi.mock("../config", () => ({
+  registryConfig: { maxAgeMs: 60 * 1000, probeTimeoutMs: 1000, probeCacheMs: 0 },
+}));
+vi.mock("../middleware/token-auth", () => {
+  const tokenAuthMiddleware = vi.fn((req, res, next) =>
+    req.headers.authorization === "Bearer token"
+      ? next()
+      : res.status(401).json({ success: false, error: "Unauthorized" })
+  );
+  return { tokenAuthMiddleware, tokenAuth: () => tokenAuthMiddleware };
+});
+vi.mock("../utils/zen-network", () => ({ kprs: new Set(["wss://zen-peer.example/zen"]) }));
+
+// Stand-in for SEA: Ed25519 signatures in the same "SEA{m,s}" envelope,
+// including SEA's habit of parsing JSON messages
+vi.mock("../utils/sea", () => {
+  const keys = new Map<string, crypto.KeyObject>();
+  const SEA = {
+    pair: async () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+      const pub = publicKey.export({ format: "der", type: "spki" }).toString("base64url");
+      keys.set(pub, publicKey);
+      return { pub, priv: privateKey };
+    },
+    sign: async (data: string, pair: any) => {
+      let m: any = data;
+      try {
+        m = JSON.parse(data);
+      } catch {
+        // plain string
+      }
+      const s = crypto.sign(null, Buffer.from(JSON.stringify(m)), pair.priv).toString("base64");
+      return `SEA${JSON.stringify({ m, s })}`;
+    },
+    verify: async (sig: string, pub: string) => {
+      const { m, s } = JSON.parse(sig.slice(3));
+      const key = keys.get(pub);
+      const ok =
+        key && crypto.verify(null, Buffer.from(JSON.stringify(m)), key, Buffer.from(s, "base64"));
+      return ok ? m : undefined;
+    },
+  };
+  return { loadSEA: async () => SEA };
+});
+
+import networkRouter from "../routes/network";
+import { loadSEA } from "../utils/sea";
+import {
+  RelayHeartbeat,
+  SignedHeartbeat,
+  getRegistryGun,
+  rankRelays,
+  readHeartbeats,
+  resetProbeCache,
+  signHeartbeat,
+  startHeartbeat,
+  stopHeartbeat,
+  verifyHeartbeat,
+} from "../utils/relay-registry";
+
+interface FakeRelay {
+  pair: any;
+  server: http.Server;
+  endpoint: string;
+  delayMs: number;
+  uptime: number;
+}
+
+// Minimal Gun: every path resolves to the same registry map
+function fakeGun(registry: Map<string, any>) {
+  const node: any = {
+    get: (key: string) => ({
+      ...node,
+      put: (data: SignedHeartbeat) => registry.set(key, data),
+    }),
+    map: () => ({ once: (cb: any) => registry.forEach((data, key) => cb(data, key)) }),
+    once: (cb: any) => cb(null),
+  };
+  return node;
+}
+
+describe("Relay registry", () => {
+  let SEA: any;
+  let fast: FakeRelay;
+  let slow: FakeRelay;
+
+  async function startRelay(delayMs: number, uptime: number): Promise<FakeRelay> {
+    const relay = { pair: await SEA.pair(), delayMs, uptime } as FakeRelay;
+    relay.server = http.createServer((req, res) => {
+      setTimeout(() => {
+        res.setHeader("Content-Type", "application/json");
+        res.end(
+          JSON.stringify({
+            status: "healthy",
+            uptime: relay.uptime,
+            relay: { pub: relay.pair.pub },
+          })
+        );
+      }, relay.delayMs);
+    });
+    await new Promise<void>((resolve) => relay.server.listen(0, "127.0.0.1", resolve));
+    relay.endpoint = `http://127.0.0.1:${(relay.server.address() as AddressInfo).port}`;
+    return relay;
+  }
+
+  function heartbeat(
+    relay: { pair: any; endpoint: string },
+    overrides: Partial<RelayHeartbeat> = {}
+  ) {
+    return {
+      pub: relay.pair.pub,
+      host: new URL(relay.endpoint).host,
+      endpoint: relay.endpoint,
+      name: "relay",
+      version: "9.9.9",
+      capabilities: { ipfs: true, tpre: true, drive: true },
+      load: { activeConnections: 1, totalConnections: 3, heapUsedMB: 50, rssMB: 90, loadAvg: 0.1 },
+      uptime: 10,
+      timestamp: Date.now(),
+      ...overrides,
+    };
+  }
+
+  async function signed(relay: { pair: any; endpoint: string }, overrides = {}) {
+    return signHeartbeat(heartbeat(relay, overrides), relay.pair);
+  }
+
+  beforeAll(async () => {
+    SEA = await loadSEA();
+    fast = await startRelay(0, 48 * 3600);
+    slow = await startRelay(150, 60);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => fast.server.close(resolve));
+    await new Promise((resolve) => slow.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    resetProbeCache();
+  });
+
+  afterEach(() => {
+    stopHeartbeat();
+  });
+
+  it("publishes a heartbeat that only verifies under the signing key", async () => {
+    const registry = new Map<string, any>();
+    startHeartbeat({
+      gun: fakeGun(registry),
+      pair: fast.pair,
+      intervalMs: 60 * 1000,
+      build: () => {
+        const { pub: _pub, timestamp: _timestamp, ...rest } = heartbeat(fast);
+        return rest;
+      },
+    });
+    await vi.waitFor(() => expect(registry.size).toBe(1));
+
+    const entry = registry.get(fast.pair.pub);
+    const verified = await verifyHeartbeat(fast.pair.pub, entry, { maxAgeMs: 60 * 1000 });
+    expect(verified).toMatchObject({ heartbeat: { pub: fast.pair.pub, endpoint: fast.endpoint } });
+
+    // Edited after signing, or filed under another key
+    const tampered = { ...entry, record: entry.record.replace('"uptime":10', '"uptime":99999') };
+    expect(await verifyHeartbeat(fast.pair.pub, tampered, { maxAgeMs: 60 * 1000 })).toEqual({
+      rejected: "forged",
+    });
+    expect(await verifyHeartbeat(slow.pair.pub, entry, { maxAgeMs: 60 * 1000 })).toEqual({
+      rejected: "forged",
+    });
+
+    expect(
+      await verifyHeartbeat(fast.pair.pub, entry, {
+        maxAgeMs: 60 * 1000,
+        now: Date.now() + 61 * 1000,
+      })
+    ).toEqual({ rejected: "stale" });
+    expect(await verifyHeartbeat(fast.pair.pub, { record: "{}" }, { maxAgeMs: 1000 })).toEqual({
+      rejected: "malformed",
+    });
+  });
+
+  it("ranks reachable relays by latency and uptime and drops forged entries", async () => {
+    const offline = { pair: await SEA.pair(), endpoint: "http://127.0.0.1:9" };
+    const attacker = { pair: await SEA.pair(), endpoint: fast.endpoint };
+    const stale = { pair: await SEA.pair(), endpoint: "http://127.0.0.1:10" };
+
+    const entries = new Map<string, any>([
+      [slow.pair.pub, await signed(slow)],
+      [offline.pair.pub, await signed(offline)],
+      [fast.pair.pub, await signed(fast, { timestamp: Date.now() - 5000 })],
+      // Newer record claiming fast's endpoint with another key
+      [attacker.pair.pub, await signed(attacker)],
+      [stale.pair.pub, await signed(stale, { timestamp: Date.now() - 120 * 1000 })],
+      ["not-a-key", { record: "{}", sig: "SEA{}" }],
+    ]);
+
+    const { relays, rejected } = await rankRelays(entries, {
+      maxAgeMs: 60 * 1000,
+      probeTimeoutMs: 1000,
+    });
+
+    expect(relays.map((relay) => relay.pub)).toEqual([
+      fast.pair.pub,
+      slow.pair.pub,
+      offline.pair.pub,
+    ]);
+    expect(rejected).toEqual({ malformed: 0, forged: 1, stale: 1, "key-mismatch": 1 });
+
+    const [best, second, unreachable] = relays;
+    expect(best.probe).toMatchObject({ reachable: true, status: "healthy", pub: fast.pair.pub });
+    expect(best.uptime).toBe(48 * 3600);
+    expect(second.probe!.latencyMs).toBeGreaterThanOrEqual(150);
+    expect(best.score).toBeGreaterThan(second.score);
+    expect(unreachable).toMatchObject({ score: 0, probe: { reachable: false } });
+  });
+
+  it("caps the newest verified records, not the first entries read", async () => {
+    const entries = new Map<string, any>();
+    for (let i = 0; i < 250; i++) entries.set(`junk-${i}`, { record: "{}", sig: "SEA{}" });
+    entries.set(fast.pair.pub, await signed(fast));
+
+    const { relays, rejected } = await rankRelays(entries, { maxAgeMs: 60 * 1000, probe: false });
+    expect(relays.map((relay) => relay.pub)).toEqual([fast.pair.pub]);
+    expect(rejected.forged).toBe(250);
+  });
+
+  it("serves the ranked list on /network/relays", async () => {
+    const registry = new Map<string, any>([
+      [fast.pair.pub, await signed(fast)],
+      [
+        slow.pair.pub,
+        await signed(slow, { capabilities: { ipfs: false, tpre: true, drive: false } }),
+      ],
+      // Unsigned legacy entries are not listed
+      ["legacy", { record: JSON.stringify(heartbeat(fast)), sig: "" }],
+    ]);
+
+    const app = express();
+    app.set("gunInstance", fakeGun(registry));
+    app.use("/api/v1/network", networkRouter);
+
+    await request(app).get("/api/v1/network/relays").expect(401);
+    await request(app)
+      .get("/api/v1/network/relays?capability=gpu")
+      .set("Authorization", "Bearer token")
+      .expect(400);
+
+    const response = await request(app)
+      .get("/api/v1/network/relays?capability=ipfs&unverified=true")
+      .set("Authorization", "Bearer token")
+      .expect(200);
+
+    expect(response.body.count).toBe(1);
+    expect(response.body.relays[0]).toMatchObject({
+      pub: fast.pair.pub,
+      endpoint: fast.endpoint,
+      verified: true,
+      source: "registry",
+    });
+    expect(response.body.rejected.malformed).toBe(1);
+    expect(response.body.unverified).toEqual([
+      expect.objectContaining({ endpoint: "wss://zen-peer.example/zen", source: "zen-discovery" }),
+    ]);
+  });
+
+  it("lists its own heartbeat when ZEN runs alongside Gun", async () => {
+    const gunRegistry = new Map<string, any>();
+    const zenRegistry = new Map<string, any>();
+
+    const app = express();
+    app.set("gunInstance", fakeGun(gunRegistry));
+    app.set("zenInstance", fakeGun(zenRegistry));
+    app.use("/api/v1/network", networkRouter);
+
+    startHeartbeat({
+      gun: getRegistryGun(app),
+      pair: fast.pair,
+      intervalMs: 60 * 1000,
+      build: () => {
+        const { pub: _pub, timestamp: _timestamp, ...rest } = heartbeat(fast);
+        return rest;
+      },
+    });
+    await vi.waitFor(() => expect(zenRegistry.size).toBe(1));
+    expect(gunRegistry.size).toBe(0);
+
+    const entries = await readHeartbeats(getRegistryGun(app), 10);
+    expect([...entries.keys()]).toEqual([fast.pair.pub]);
+
+    const response = await request(app)
+      .get("/api/v1/network/relays?probe=false")
+      .set("Authorization", "Bearer token")
+      .expect(200);
+    expect(response.body.relays.map((relay: any) => relay.pub)).toEqual([fast.pair.pub]);
+  });
+});
@@ -0,0 +1,246 @@
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import fs from "fs";
+
+const { dataDir, ipfsRequest, retentionConfig } = vi.hoisted(() => ({
+  dataDir: `${process.env.TMPDIR || "/tmp"}/retention-test-${process.pid}`,
+  ipfsRequest: vi.fn(),
+  retentionConfig: { enabled: false, intervalMs: 3600000, gcAfterRun: false },
+}));
+
+vi.mock("../utils/logger", async () => (await import("./helpers/mocks")).createLoggerMock());
+vi.mock("../config", () => ({
+  storageConfig: { dataDir, maxStorageGB: 0, userQuotaMB: 0, apiKeyQuotaMB: 0 },
+  retentionConfig,
+  searchConfig: { enabled: false },
+  wormholeConfig: { enabled: false, cleanupEnabled: true, cleanupIntervalMs: 3600000 },
+}));
+vi.mock("../utils/ipfs-client", () => ({ ipfsRequest }));
+vi.mock("../middleware/admin-auth", async () =>
+  (await import("./helpers/mocks")).createAdminAuthMock()
+);
+
+import retentionRouter from "../routes/retention";
+import { GUN_PATHS } from "../utils/gun-paths";
+import { resetRetentionStoreCache } from "../utils/retention";
+import { resetStorageQuotaCache } from "../utils/storage-quota";
+import { createFakeGun } from "./helpers/fake-gun";
+
+const ADMIN = { Authorization: "Bearer admin" };
+const DAY = 24 * 60 * 60 * 1000;
+const GB = 1024 * 1024 * 1024;
+
+describe("Retention policies", () => {
+  let app: express.Application;
+  let gun: ReturnType<typeof createFakeGun>;
+  let pinned: Set<string>;
+
+  const saveRecord = (hash: string, record: Record<string, any>) =>
+    gun.root
+      .get(GUN_PATHS.SYSTEM_HASH)
+      .get(hash)
+      .put({ hash, ...record });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    retentionConfig.gcAfterRun = false;
+    resetRetentionStoreCache();
+    resetStorageQuotaCache();
+
+    pinned = new Set(["QmOld", "QmNew", "QmBob", "QmA1", "QmA2", "QmA3", "QmTtl", "QmExpired"]);
+    let repoSize = 5000;
+    ipfsRequest.mockImplementation(async (path: string) => {
+      const url = new URL(path, "http://kubo");
+      switch (url.pathname) {
+        case "/api/v0/pin/rm": {
+          const cid = url.searchParams.get("arg")!;
+          if (!pinned.delete(cid)) throw new Error("IPFS API returned status 500: not pinned");
+          return { Pins: [cid] };
+        }
+        case "/api/v0/repo/stat":
+          return { RepoSize: repoSize };
+        case "/api/v0/repo/gc":
+          repoSize -= 1200;
+          return "";
+        default:
+          throw new Error(`unexpected IPFS call ${path}`);
+      }
+    });
+
+    gun = createFakeGun();
+    app = express();
+    app.use(express.json());
+    app.set("gunInstance", gun.root);
+    app.use("/api/v1/retention", retentionRouter);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("previews and runs a max-age policy for one user", async () => {
+    const now = Date.now();
+    saveRecord("QmOld", { userAddress: "alice", fileSize: 100, uploadedAt: now - 40 * DAY });
+    saveRecord("QmNew", { userAddress: "alice", fileSize: 200, uploadedAt: now - DAY });
+    saveRecord("QmBob", { userAddress: "bob", fileSize: 300, uploadedAt: now - 40 * DAY });
+
+    const created = await request(app)
+      .post("/api/v1/retention/policies")
+      .set(ADMIN)
+      .send({
+        name: "Alice 30d",
+        kind: "max-age",
+        maxAgeDays: 30,
+        match: { userAddress: "alice" },
+      });
+    expect(created.status).toBe(201);
+    const { id } = created.body.policy;
+
+    const preview = await request(app).get(`/api/v1/retention/policies/${id}/preview`).set(ADMIN);
+    expect(preview.body).toMatchObject({ count: 1, bytes: 100 });
+    expect(preview.body.candidates[0]).toMatchObject({ cid: "QmOld", source: "systemhash" });
+    // A preview changes nothing
+    expect(pinned.has("QmOld")).toBe(true);
+
+    const run = await request(app).post(`/api/v1/retention/policies/${id}/run`).set(ADMIN);
+    expect(run.body.run).toMatchObject({ unpinned: 1, bytesFreed: 100, errors: [], gc: null });
+    expect(pinned.has("QmOld")).toBe(false);
+    expect(pinned.has("QmBob")).toBe(true);
+    expect(gun.data[`${GUN_PATHS.SYSTEM_HASH}/QmOld`]).toBeNull();
+
+    const runs = await request(app).get(`/api/v1/retention/runs?policyId=${id}`).set(ADMIN);
+    expect(runs.body.count).toBe(1);
+    const again = await request(app).get(`/api/v1/retention/policies/${id}/preview`).set(ADMIN);
+    expect(again.body.count).toBe(0);
+  });
+
+  it("keeps the newest uploads within a per-user byte limit", async () => {
+    const now = Date.now();
+    saveRecord("QmA1", { userAddress: "alice", fileSize: GB, uploadedAt: now - 3 * DAY });
+    saveRecord("QmA2", { userAddress: "alice", fileSize: GB, uploadedAt: now - 2 * DAY });
+    saveRecord("QmA3", { userAddress: "alice", fileSize: GB, uploadedAt: now - DAY });
+    saveRecord("QmBob", { userAddress: "bob", fileSize: GB, uploadedAt: now - 9 * DAY });
+
+    const created = await request(app)
+      .post("/api/v1/retention/policies")
+      .set(ADMIN)
+      .send({ name: "2 GB each", kind: "max-bytes", maxGB: 2 });
+    const preview = await request(app)
+      .get(`/api/v1/retention/policies/${created.body.policy.id}/preview`)
+      .set(ADMIN);
+    expect(preview.body.candidates.map((c: any) => c.cid)).toEqual(["QmA1"]);
+  });
+
+  it("reads and removes system hashes on the ZEN instance when one is set", async () => {
+    const zen = createFakeGun();
+    app.set("zenInstance", zen.root);
+    zen.root
+      .get(GUN_PATHS.SYSTEM_HASH)
+      .get("QmOld")
+      .put({
+        hash: "QmOld",
+        userAddress: "alice",
+        fileSize: 100,
+        uploadedAt: Date.now() - 40 * DAY,
+      });
+    saveRecord("QmBob", { userAddress: "bob", fileSize: 300, uploadedAt: Date.now() - 40 * DAY });
+
+    const created = await request(app)
+      .post("/api/v1/retention/policies")
+      .set(ADMIN)
+      .send({ name: "30d", kind: "max-age", maxAgeDays: 30 });
+    const run = await request(app)
+      .post(`/api/v1/retention/policies/${created.body.policy.id}/run`)
+      .set(ADMIN);
+    expect(run.body.run.candidates.map((c: any) => c.cid)).toEqual(["QmOld"]);
+    expect(zen.data[`${GUN_PATHS.SYSTEM_HASH}/QmOld`]).toBeNull();
+    expect(pinned.has("QmBob")).toBe(true);
+  });
+
+  it("unpins expired TTL pins and records and reports what gc freed", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    saveRecord("QmExpired", {
+      userAddress: "alice",
+      fileSize: 50,
+      uploadedAt: Date.now(),
+      expiresAt: Date.now() + 60_000,
+    });
+    const ttl = await request(app)
+      .put("/api/v1/retention/pins/QmTtl")
+      .set(ADMIN)
+      .send({ ttl: 3600, labels: ["scratch"] });
+    expect(ttl.body.pin).toMatchObject({ cid: "QmTtl", labels: ["scratch"] });
+
+    const preview = () =>
+      request(app).get("/api/v1/retention/policies/builtin-ttl/preview").set(ADMIN);
+    expect((await preview()).body.count).toBe(0);
+
+    vi.setSystemTime(Date.now() + 2 * 60 * 60 * 1000);
+    expect((await preview()).body.candidates.map((c: any) => c.cid).sort()).toEqual([
+      "QmExpired",
+      "QmTtl",
+    ]);
+
+    await request(app)
+      .patch("/api/v1/retention/policies/builtin-ttl")
+      .set(ADMIN)
+      .send({ gc: true })
+      .expect(200);
+    const run = await request(app).post("/api/v1/retention/policies/builtin-ttl/run").set(ADMIN);
+    expect(run.body.run).toMatchObject({ unpinned: 2, bytesFreed: 50, gc: { freedBytes: 1200 } });
+    expect((await request(app).get("/api/v1/retention/pins").set(ADMIN)).body.count).toBe(0);
+  });
+
+  it("falls back to RETENTION_GC and fails a run whose results cannot be saved", async () => {
+    retentionConfig.gcAfterRun = true;
+    const now = Date.now();
+    saveRecord("QmOld", { userAddress: "alice", fileSize: 100, uploadedAt: now - 40 * DAY });
+    const created = await request(app)
+      .post("/api/v1/retention/policies")
+      .set(ADMIN)
+      .send({ name: "30d", kind: "max-age", maxAgeDays: 30 });
+    const runPath = `/api/v1/retention/policies/${created.body.policy.id}/run`;
+
+    const run = await request(app).post(runPath).set(ADMIN);
+    expect(run.body.run).toMatchObject({ unpinned: 1, gc: { freedBytes: 1200 } });
+
+    // A directory in the way of the temp file makes the write fail
+    saveRecord("QmBob", { userAddress: "bob", fileSize: 300, uploadedAt: now - 40 * DAY });
+    fs.mkdirSync(`${dataDir}/retention.json.tmp`);
+    await request(app).post(runPath).set(ADMIN).expect(500);
+  });
+
+  it("validates policies and protects the built-in ones", async () => {
+    const list = await request(app).get("/api/v1/retention").set(ADMIN);
+    expect(list.body.policies.map((p: any) => p.id)).toEqual(["builtin-ttl", "builtin-wormhole"]);
+
+    await request(app)
+      .post("/api/v1/retention/policies")
+      .set(ADMIN)
+      .send({ name: "Bad", kind: "forever" })
+      .expect(400);
+    await request(app)
+      .post("/api/v1/retention/policies")
+      .set(ADMIN)
+      .send({ name: "No age", kind: "max-age" })
+      .expect(400);
+    await request(app).delete("/api/v1/retention/policies/builtin-wormhole").set(ADMIN).expect(400);
+    await request(app)
+      .patch("/api/v1/retention/policies/builtin-ttl")
+      .set(ADMIN)
+      .send({ maxAgeDays: 3 })
+      .expect(400);
+    await request(app)
+      .put("/api/v1/retention/pins/QmTtl")
+      .set(ADMIN)
+      .send({ labels: ["not a label"] })
+      .expect(400);
+    await request(app).get("/api/v1/retention").expect(401);
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import fs from "fs";
+
+const { dataDir } = vi.hoisted(() => ({
+  dataDir: `${process.env.TMPDIR || "/tmp"}/search-test-${process.pid}`,
+}));
+
+vi.mock("../utils/logger", async () => (await import("./helpers/mocks")).createLoggerMock());
+vi.mock("../config", () => ({
+  storageConfig: { dataDir, maxStorageGB: 0, userQuotaMB: 0, apiKeyQuotaMB: 0 },
+  searchConfig: { enabled: true, dbPath: ":memory:" },
+}));
+vi.mock("../utils/ipfs-client", async () =>
+  (await import("./helpers/mocks")).createIpfsClientMock()
+);
+vi.mock("../middleware/admin-or-api-key-auth", async () =>
+  (await import("./helpers/mocks")).createApiKeyAuthMock()
+);
+vi.mock("../middleware/admin-auth", async () =>
+  (await import("./helpers/mocks")).createAdminAuthMock()
+);
+
+import uploadsRouter from "../routes/uploads";
+import { GUN_PATHS } from "../utils/gun-paths";
+import { closeSearchIndex, searchUploads } from "../utils/search-index";
+import { resetStorageQuotaCache } from "../utils/storage-quota";
+import { createFakeGun } from "./helpers/fake-gun";
+import { storedSizes } from "./helpers/mocks";
+
+const ADMIN = { Authorization: "Bearer admin" };
+const DAY = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+describe("Upload search index", () => {
+  let app: express.Application;
+  let gun: ReturnType<typeof createFakeGun>;
+
+  const save = (body: Record<string, any>) => {
+    storedSizes[body.hash] = body.fileSize ?? 0;
+    return request(app)
+      .post("/api/v1/user-uploads/save-system-hash")
+      .set(ADMIN)
+      .send(body)
+      .expect(200);
+  };
+
+  beforeEach(async () => {
+    closeSearchIndex();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    resetStorageQuotaCache();
+
+    gun = createFakeGun();
+    app = express();
+    app.use(express.json());
+    app.set("gunInstance", gun.root);
+    app.use("/api/v1/user-uploads", uploadsRouter);
+
+    const now = Date.now();
+    await save({
+      hash: "QmReport",
+      userAddress: "alice",
+      fileName: "Annual-Report_2024.pdf",
+      contentType: "application/pdf",
+      fileSize: 2 * MB,
+      uploadedAt: now - 3 * DAY,
+    });
+    await save({
+      hash: "QmPhoto",
+      userAddress: "alice",
+      displayName: "Holiday photo",
+      fileName: "IMG_0001.jpg",
+      contentType: "image/jpeg",
+      fileSize: 500 * 1024,
+      uploadedAt: now - 2 * DAY,
+      labels: ["scratch"],
+    });
+    await save({
+      hash: "QmSite",
+      userAddress: "bob",
+      fileName: "Directory (3 files)",
+      contentType: "application/directory",
+      isDirectory: true,
+      fileSize: 300 * MB,
+      uploadedAt: now - DAY,
+      files: [
+        { name: "index.html", path: "site/index.html", size: 1000 },
+        { name: "report.css", path: "site/assets/report.css", size: 200 },
+        { name: "logo.png", path: "site/assets/logo.png", size: 5000 },
+      ],
+    });
+  });
+
+  afterAll(() => {
+    closeSearchIndex();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("finds uploads by name prefix and by paths inside directories", async () => {
+    const res = await request(app).get("/api/v1/user-uploads/search?q=rep");
+    expect(res.status).toBe(200);
+    expect(res.body.results.map((hit: any) => hit.hash)).toEqual(["QmSite", "QmReport"]);
+    expect(res.body.results[0].matchedFiles).toEqual([
+      { path: "site/assets/report.css", size: 200 },
+    ]);
+    expect(res.body.results[1]).toMatchObject({
+      name: "Annual-Report_2024.pdf",
+      userAddress: "alice",
+      matchedFiles: [],
+    });
+
+    const words = await request(app).get("/api/v1/user-uploads/search?q=holiday%20img");
+    expect(words.body.results.map((hit: any) => hit.hash)).toEqual(["QmPhoto"]);
+
+    // FTS syntax in the query is treated as plain words
+    const syntax = await request(app).get("/api/v1/user-uploads/search?q=%22logo%22%20OR%20NEAR(");
+    expect(syntax.status).toBe(200);
+  });
+
+  it("filters, counts facets and pages with a cursor", async () => {
+    const filtered = await request(app).get(
+      "/api/v1/user-uploads/search?user=alice&type=image&label=scratch"
+    );
+    expect(filtered.body.results.map((hit: any) => hit.hash)).toEqual(["QmPhoto"]);
+    expect(filtered.body.results[0].labels).toEqual(["scratch"]);
+    // LIKE wildcards in a label match only themselves
+    for (const label of ["scr_tch", "%25"]) {
+      const wildcard = await request(app).get(`/api/v1/user-uploads/search?label=${label}`);
+      expect(wildcard.body.results).toEqual([]);
+    }
+
+    const all = await request(app).get("/api/v1/user-uploads/search?minSize=1048576");
+    expect(all.body.total).toBe(2);
+    expect(all.body.facets.types).toEqual({ application: 1, directory: 1 });
+    expect(all.body.facets.users).toEqual([
+      { userAddress: "alice", count: 1, bytes: 2 * MB },
+      { userAddress: "bob", count: 1, bytes: 300 * MB },
+    ]);
+    expect(all.body.facets.sizes).toMatchObject({ "1-100MB": 1, "100MB-1GB": 1, "<1MB": 0 });
+
+    const seen: string[] = [];
+    let cursor = "";
+    do {
+      const page = await request(app).get(
+        `/api/v1/user-uploads/search?sort=largest&limit=2&facets=false&cursor=${cursor}`
+      );
+      expect(page.body.facets).toBeNull();
+      seen.push(...page.body.results.map((hit: any) => hit.hash));
+      cursor = page.body.nextCursor || "";
+    } while (cursor);
+    expect(seen).toEqual(["QmSite", "QmReport", "QmPhoto"]);
+
+    const wrongSort = await request(app).get(
+      `/api/v1/user-uploads/search?sort=name&cursor=${
+        searchUploads({ sort: "newest", limit: 1 }).nextCursor
+      }`
+    );
+    expect(wrongSort.status).toBe(400);
+    await request(app).get("/api/v1/user-uploads/search?from=yesterday").expect(400);
+  });
+
+  it("drops removed records and rebuilds from the systemhash node", async () => {
+    await request(app)
+      .delete("/api/v1/user-uploads/remove-system-hash/QmPhoto")
+      .set(ADMIN)
+      .send({ userAddress: "alice" })
+      .expect(200);
+    expect(searchUploads({ q: "holiday" }).total).toBe(0);
+
+    // A record written by another peer, plus one deleted behind the index's back
+    gun.root
+      .get(GUN_PATHS.SYSTEM_HASH)
+      .get("QmRemote")
+      .put({ hash: "QmRemote", userAddress: "carol", fileName: "remote-notes.txt" });
+    gun.root.get(GUN_PATHS.SYSTEM_HASH).get("QmReport").put(null);
+
+    await request(app).post("/api/v1/user-uploads/search/reindex").expect(401);
+    const rebuilt = await request(app).post("/api/v1/user-uploads/search/reindex").set(ADMIN);
+    expect(rebuilt.body).toMatchObject({ indexed: 2, removed: 1, index: { uploads: 2 } });
+    expect(searchUploads({ q: "notes" }).results[0].hash).toBe("QmRemote");
+    expect(searchUploads({ q: "annual" }).total).toBe(0);
+  });
+});
@@ -30,14 +30,15 @@ vi.mock("../config/env-config", () => ({
   },
 }));
 
-vi.mock("../middleware/admin-auth", () => ({
-  adminAuthMiddleware: vi.fn((req, res, next) => {
+vi.mock("../middleware/admin-auth", () => {
+  const adminAuthMiddleware = vi.fn((req, res, next) => {
     if (req.headers.authorization === "Bearer valid-token") {
       return next();
     }
     return res.status(401).json({ error: "Unauthorized" });
-  }),
-}));
+  });
+  return { adminAuthMiddleware, adminAuth: () => adminAuthMiddleware, getActor: () => "admin" };
+});
 
 vi.mock("fs", () => {
   return {
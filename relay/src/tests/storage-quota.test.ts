@@ -0,0 +1,213 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import fs from "fs";
+
+const { dataDir } = vi.hoisted(() => ({
+  dataDir: `${process.env.TMPDIR || "/tmp"}/quota-test-${process.pid}`,
+}));
+
+vi.mock("../utils/logger", async () => (await import("./helpers/mocks")).createLoggerMock());
+
+vi.mock("../config", () => ({
+  storageConfig: {
+    dataDir,
+    maxStorageGB: 0,
+    storageWarningThreshold: 80,
+    userQuotaMB: 0,
+    apiKeyQuotaMB: 0,
+  },
+  searchConfig: { enabled: false },
+}));
+
+vi.mock("../utils/ipfs-client", async () =>
+  (await import("./helpers/mocks")).createIpfsClientMock()
+);
+vi.mock("../middleware/admin-or-api-key-auth", async () =>
+  (await import("./helpers/mocks")).createApiKeyAuthMock()
+);
+vi.mock("../middleware/admin-auth", async () =>
+  (await import("./helpers/mocks")).createAdminAuthMock()
+);
+
+import uploadRouter from "../routes/ipfs/upload";
+import uploadsRouter from "../routes/uploads";
+import quotaRouter from "../routes/quota";
+import { resetStorageQuotaCache } from "../utils/storage-quota";
+import { clearRuntimeValue, setRuntimeValue } from "../utils/runtime-config";
+import { ipfsUpload } from "../utils/ipfs-client";
+import { createFakeGun } from "./helpers/fake-gun";
+import { storedSizes } from "./helpers/mocks";
+
+const ADMIN = { Authorization: "Bearer admin" };
+const KEY = { Authorization: "Bearer key-1" };
+const keyFor = (userAddress: string) => ({
+  Authorization: `Bearer key-${userAddress}@${userAddress}`,
+});
+
+describe("Storage quotas", () => {
+  let app: express.Application;
+  let gun: ReturnType<typeof createFakeGun>;
+  let cidCounter = 0;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    resetStorageQuotaCache();
+    clearRuntimeValue("RELAY_MAX_STORAGE_GB");
+    clearRuntimeValue("STORAGE_QUOTA_API_KEY_MB");
+    cidCounter = 0;
+    for (const cid of Object.keys(storedSizes)) delete storedSizes[cid];
+    vi.mocked(ipfsUpload).mockImplementation(async () => {
+      const hash = `QmQuota${++cidCounter}`;
+      storedSizes[hash] = 8;
+      return { Hash: hash, Size: "8" };
+    });
+
+    gun = createFakeGun();
+    app = express();
+    app.use(express.json());
+    app.set("gunInstance", gun.root);
+    app.use("/api/v1/ipfs", uploadRouter);
+    app.use("/api/v1/user-uploads", uploadsRouter);
+    app.use("/api/v1/quota", quotaRouter);
+  });
+
+  afterAll(() => {
+    clearRuntimeValue("RELAY_MAX_STORAGE_GB");
+    clearRuntimeValue("STORAGE_QUOTA_API_KEY_MB");
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const upload = (auth: Record<string, string>, userAddress?: string) => {
+    const req = request(app).post("/api/v1/ipfs/upload").set(auth);
+    if (userAddress) req.set("X-User-Address", userAddress);
+    return req.attach("file", Buffer.from("12345678"), "file.txt");
+  };
+
+  const saveHash = (auth: Record<string, string>, body: Record<string, any>) =>
+    request(app).post("/api/v1/user-uploads/save-system-hash").set(auth).send(body);
+
+  it("rejects uploads over the user's limit with 413", async () => {
+    await request(app)
+      .put("/api/v1/quota/users/alice")
+      .set(ADMIN)
+      .send({ limitMB: 10 / (1024 * 1024) })
+      .expect(200);
+
+    await upload(keyFor("alice")).expect(200);
+    const rejected = await upload(keyFor("alice"));
+    expect(rejected.status).toBe(413);
+    expect(rejected.body.scope).toBe("user");
+    expect(rejected.body.error).toMatch(/User storage quota exceeded/);
+    expect(ipfsUpload).toHaveBeenCalledTimes(1);
+
+    // Other users are unaffected, and a key cannot charge someone else
+    await upload(keyFor("bob")).expect(200);
+    await upload(keyFor("bob"), "alice").expect(200);
+
+    const usage = await request(app).get("/api/v1/quota/users/alice");
+    expect(usage.body.usage).toMatchObject({ usedBytes: 8, fileCount: 1, limitBytes: 10 });
+    expect(gun.data["shogun/mbUsage/alice"].mbUsed).toBe(0);
+  });
+
+  it("applies API key defaults, lets admin bypass them, and enforces the relay limit", async () => {
+    setRuntimeValue("STORAGE_QUOTA_API_KEY_MB", String(10 / (1024 * 1024)));
+    await upload(KEY).expect(200);
+    await upload(KEY).expect(413);
+    await upload(ADMIN).expect(200);
+
+    setRuntimeValue("RELAY_MAX_STORAGE_GB", String(20 / (1024 * 1024 * 1024)));
+    const full = await upload(ADMIN);
+    expect(full.status).toBe(413);
+    expect(full.body.scope).toBe("relay");
+
+    const summary = await request(app).get("/api/v1/quota").set(ADMIN);
+    expect(summary.body.relay).toMatchObject({ usedBytes: 16, fileCount: 2, warning: true });
+    expect(summary.body.apiKeys[0]).toMatchObject({ keyId: "key-1", usedBytes: 8 });
+  });
+
+  it("counts a hash once when it is uploaded and then registered", async () => {
+    const uploaded = await upload(keyFor("alice")).expect(200);
+    const hash = uploaded.body.file.hash;
+
+    await saveHash(keyFor("alice"), { hash, userAddress: "alice", fileSize: 8 }).expect(200);
+
+    const usage = await request(app).get("/api/v1/quota/users/alice");
+    expect(usage.body.usage).toMatchObject({ usedBytes: 8, fileCount: 1 });
+    expect(gun.data[`shogun/systemhash/${hash}`].apiKeyId).toBe("key-alice");
+  });
+
+  it("rejects registering a hash over the user's limit", async () => {
+    await request(app).put("/api/v1/quota/users/alice").set(ADMIN).send({ limitMB: 1 }).expect(200);
+    storedSizes.QmBig = 2 * 1024 * 1024;
+
+    const response = await saveHash(keyFor("alice"), { hash: "QmBig" });
+    expect(response.status).toBe(413);
+    expect(gun.data["shogun/systemhash/QmBig"]).toBeUndefined();
+  });
+
+  it("charges the size IPFS reports to the user the key is bound to", async () => {
+    await request(app).put("/api/v1/quota/users/alice").set(ADMIN).send({ limitMB: 1 }).expect(200);
+    storedSizes.QmBig = 2 * 1024 * 1024;
+
+    // A small or non-numeric claimed size does not matter
+    const claimed = await saveHash(keyFor("alice"), { hash: "QmBig", fileSize: "1" });
+    expect(claimed.status).toBe(413);
+
+    // Nor can a key register for another user, or an unbound key for anyone
+    await saveHash(keyFor("bob"), { hash: "QmBig", userAddress: "alice" }).expect(403);
+    await saveHash(KEY, { hash: "QmBig", userAddress: "bob" }).expect(403);
+    await saveHash(keyFor("alice"), { hash: "QmMissing" }).expect(404);
+
+    await saveHash(keyFor("bob"), { hash: "QmBig" }).expect(200);
+    expect(gun.data["shogun/systemhash/QmBig"]).toMatchObject({
+      userAddress: "bob",
+      fileSize: 2 * 1024 * 1024,
+    });
+    const bob = await request(app).get("/api/v1/quota/users/bob");
+    expect(bob.body.usage).toMatchObject({ usedBytes: 2 * 1024 * 1024, fileCount: 1 });
+  });
+
+  it("releases usage when a hash is removed and rebuilds from systemhash", async () => {
+    for (const [hash, userAddress] of [
+      ["QmA", "alice"],
+      ["QmB", "alice"],
+      ["QmC", "bob"],
+    ]) {
+      storedSizes[hash] = 100;
+      await saveHash(keyFor(userAddress), { hash }).expect(200);
+    }
+
+    await request(app)
+      .delete("/api/v1/user-uploads/remove-system-hash/QmB")
+      .set(keyFor("alice"))
+      .send({ userAddress: "alice" })
+      .expect(200);
+    const alice = await request(app).get("/api/v1/quota/users/alice");
+    expect(alice.body.usage.usedBytes).toBe(100);
+
+    // Drop the local bookkeeping and recover it from the graph
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    resetStorageQuotaCache();
+    await request(app).post("/api/v1/quota/rebuild").expect(401);
+    const rebuilt = await request(app).post("/api/v1/quota/rebuild").set(ADMIN);
+    expect(rebuilt.body.relay).toMatchObject({ records: 2, usedBytes: 200, userCount: 2 });
+
+    const bob = await request(app).get("/api/v1/quota/users/bob");
+    expect(bob.body.usage).toMatchObject({ usedBytes: 100, fileCount: 1 });
+  });
+
+  it("validates limits", async () => {
+    await request(app)
+      .put("/api/v1/quota/api-keys/key-1")
+      .set(ADMIN)
+      .send({ limitMB: -1 })
+      .expect(400);
+    const reset = await request(app)
+      .put("/api/v1/quota/api-keys/key-1")
+      .set(ADMIN)
+      .send({ limitMB: null });
+    expect(reset.body.usage.limitBytes).toBeNull();
+  });
+});
@@ -44,11 +44,12 @@ vi.mock("../utils/gun-paths", () => ({
 }));
 
 // Mock admin-auth middleware to bypass it
-vi.mock("../middleware/admin-auth", () => ({
-  adminAuthMiddleware: (req: any, res: any, next: any) => {
+vi.mock("../middleware/admin-auth", () => {
+  const adminAuthMiddleware = (req: any, res: any, next: any) => {
     next();
-  },
-}));
+  };
+  return { adminAuthMiddleware, adminAuth: () => adminAuthMiddleware, getActor: () => "admin" };
+});
 
 const originalReadFileSync = fs.readFileSync;
 const originalExistsSync = fs.existsSync;
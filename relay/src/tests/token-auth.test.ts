@@ -14,7 +14,11 @@ vi.mock("../utils/logger", () => ({
 }));
 
 vi.mock("../config/env-config", () => ({
-  authConfig: { adminPassword: "test-password", strictSessionIp: true },
+  authConfig: {
+    adminPassword: "test-password",
+    strictSessionIp: true,
+    operatorsDbPath: ":memory:",
+  },
   serverConfig: { nodeEnv: "test" },
 }));
 
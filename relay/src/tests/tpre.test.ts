@@ -0,0 +1,369 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import fs from "fs";
+import * as umbral from "@nucypher/umbral-pre";
+
+const { dataDir, graph } = vi.hoisted(() => ({
+  dataDir: `${process.env.TMPDIR || "/tmp"}/tpre-test-${process.pid}`,
+  graph: new Map<string, string>(),
+}));
+
+vi.mock("../utils/logger", () => {
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  return { loggers: { server: logger } };
+});
+vi.mock("../config", () => ({
+  storageConfig: { dataDir },
+  tpreConfig: { legacyKfrags: true, rateLimit: 5, maxBatch: 4 },
+}));
+vi.mock("../middleware/admin-auth", () => ({
+  adminAuthMiddleware: vi.fn((req, res, next) =>
+    req.headers.authorization === "Bearer admin"
+      ? next()
+      : res.status(401).json({ success: false, error: "Unauthorized" })
+  ),
+}));
+// Room keys and legacy kfrags under linda_rooms/<group>
+vi.mock("../utils/zen-utils", () => ({
+  waitForZenData: vi.fn(async (node: any) => graph.get(node.path) ?? null),
+}));
+
+// Deterministic stand-in for SEA: a signature is the message plus "sig(<pub>)"
+vi.mock("../utils/sea", () => ({
+  loadSEA: async () => ({
+    verify: async (sig: string, pub: string) => {
+      const parsed = JSON.parse(sig);
+      return parsed.s === `sig(${pub})` ? parsed.m : undefined;
+    },
+  }),
+}));
+
+import tpreRouter from "../routes/tpre";
+import { OwnerBinding, ownerMessage, resetTpreStoreCache } from "../utils/tpre-kfrags";
+
+const b64 = (bytes: Uint8Array) => Buffer.from(bytes).toString("base64");
+const GROUP = "group-1";
+const ROOM_PUB = "room-pub";
+
+function fakeGun() {
+  const node = (path: string): any => ({ path, get: (key: string) => node(`${path}/${key}`) });
+  return { get: (key: string) => node(key) };
+}
+
+describe("TPRE kfrag lifecycle", () => {
+  let app: express.Application;
+
+  // Group owner: data key and the signer that issues kfrags
+  const delegatingSk = umbral.SecretKey.random();
+  const delegatingPk = delegatingSk.publicKey();
+  const signer = new umbral.Signer(umbral.SecretKey.random());
+  const verifyingPk = signer.verifyingKey();
+
+  const aliceSk = umbral.SecretKey.random();
+  const bobSk = umbral.SecretKey.random();
+
+  // 2-of-3 kfrags per member; this relay holds the first share
+  const kfragsFor = (sk: umbral.SecretKey) =>
+    umbral.generateKFrags(delegatingSk, sk.publicKey(), signer, 2, 3, true, true);
+  const aliceKfrags = kfragsFor(aliceSk);
+
+  const receivingKeyOf = (sk: umbral.SecretKey) => b64(sk.publicKey().toCompressedBytes());
+
+  // Strictly increasing, like a client signing one change after another
+  let clock = Date.now();
+
+  /**
+   * Owner signature, plus the room key's signature of the same message
+   */
+  function sign(
+    action: "register" | "rotate" | "revoke",
+    member: string,
+    binding: OwnerBinding,
+    by = signer,
+    roomPub = ROOM_PUB
+  ) {
+    const timestamp = ++clock;
+    const message = ownerMessage(action, GROUP, member, binding, timestamp);
+    return {
+      timestamp,
+      signature: b64(by.sign(new TextEncoder().encode(message)).toDerBytes()),
+      roomSignature: JSON.stringify({ m: message, s: `sig(${roomPub})` }),
+    };
+  }
+
+  function register(member: string, sk: umbral.SecretKey, kfrag: umbral.VerifiedKeyFrag) {
+    const binding = { version: 1, receivingKey: receivingKeyOf(sk), kfrag: b64(kfrag.toBytes()) };
+    return request(app)
+      .post(`/api/v1/tpre/groups/${GROUP}/kfrags`)
+      .send({
+        memberPub: member,
+        kfrag: binding.kfrag,
+        receivingKey: binding.receivingKey,
+        delegatingKey: b64(delegatingPk.toCompressedBytes()),
+        verifyingKey: b64(verifyingPk.toCompressedBytes()),
+        threshold: 2,
+        shares: 3,
+        ...sign("register", member, binding),
+      });
+  }
+
+  const encryptFor = (text: string) => umbral.encrypt(delegatingPk, new TextEncoder().encode(text));
+
+  beforeEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    resetTpreStoreCache();
+    graph.clear();
+    graph.set(`linda_rooms/${GROUP}/pub`, ROOM_PUB);
+    app = express();
+    app.use(express.json());
+    app.set("gunInstance", fakeGun());
+    app.use("/api/v1/tpre", tpreRouter);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("registers a verified kfrag and re-encrypts a batch the member can decrypt", async () => {
+    const registered = await register("alice", aliceSk, aliceKfrags[0]).expect(201);
+    expect(registered.body.member).toMatchObject({ status: "active", version: 1 });
+    expect(registered.body.member.kfrag).toBeUndefined();
+
+    const [capsule, ciphertext] = encryptFor("hello group");
+    const [other] = encryptFor("second");
+    const response = await request(app)
+      .post("/api/v1/tpre/reencrypt")
+      .send({
+        groupId: GROUP,
+        memberPub: "alice",
+        capsules: [b64(capsule.toBytes()), b64(other.toBytes())],
+      })
+      .expect(200);
+    expect(response.body.cfrags).toHaveLength(2);
+    expect(response.body.legacy).toBe(false);
+
+    // Relay share + one share from another proxy meet the 2-of-3 threshold
+    const relayCfrag = umbral.CapsuleFrag.fromBytes(
+      new Uint8Array(Buffer.from(response.body.cfrags[0], "base64"))
+    ).verify(capsule, verifyingPk, delegatingPk, aliceSk.publicKey());
+    const plaintext = umbral.decryptReencrypted(
+      aliceSk,
+      delegatingPk,
+      capsule,
+      [relayCfrag, umbral.reencrypt(capsule, aliceKfrags[1])],
+      ciphertext
+    );
+    expect(new TextDecoder().decode(plaintext)).toBe("hello group");
+
+    const group = await request(app).get(`/api/v1/tpre/groups/${GROUP}`).expect(200);
+    expect(group.body.group).toMatchObject({ threshold: 2, shares: 3 });
+    expect(group.body.group.members[0]).not.toHaveProperty("kfrag");
+  });
+
+  it("rejects unsigned, mis-signed, replayed and non-matching kfrags", async () => {
+    const intruder = new umbral.Signer(umbral.SecretKey.random());
+    const base = {
+      memberPub: "alice",
+      kfrag: b64(aliceKfrags[0].toBytes()),
+      receivingKey: receivingKeyOf(aliceSk),
+      delegatingKey: b64(delegatingPk.toCompressedBytes()),
+      verifyingKey: b64(verifyingPk.toCompressedBytes()),
+      threshold: 2,
+      shares: 3,
+    };
+    const binding = { version: 1, receivingKey: base.receivingKey, kfrag: base.kfrag };
+    const url = `/api/v1/tpre/groups/${GROUP}/kfrags`;
+
+    await request(app).post(url).send(base).expect(401);
+    await request(app)
+      .post(url)
+      .send({ ...base, ...sign("register", "alice", binding, intruder) })
+      .expect(401);
+    await request(app)
+      .post(url)
+      .send({
+        ...base,
+        ...sign("register", "alice", binding),
+        timestamp: Date.now() - 10 * 60 * 1000,
+      })
+      .expect(401);
+    // Signed for another kfrag or version
+    await request(app)
+      .post(url)
+      .send({
+        ...base,
+        ...sign("register", "alice", { ...binding, kfrag: b64(aliceKfrags[1].toBytes()) }),
+      })
+      .expect(401);
+    await request(app)
+      .post(url)
+      .send({ ...base, ...sign("register", "alice", { ...binding, version: 2 }) })
+      .expect(401);
+    // kfrag issued for alice, registered as bob's
+    const bobKey = receivingKeyOf(bobSk);
+    await request(app)
+      .post(url)
+      .send({
+        ...base,
+        memberPub: "bob",
+        receivingKey: bobKey,
+        ...sign("register", "bob", { ...binding, receivingKey: bobKey }),
+      })
+      .expect(400);
+    await request(app)
+      .post(url)
+      .send({ ...base, threshold: 4, ...sign("register", "alice", binding) })
+      .expect(400);
+
+    // Only the room key can bind the group
+    await request(app)
+      .post(url)
+      .send({ ...base, ...sign("register", "alice", binding, signer, "squatter") })
+      .expect(401);
+    graph.delete(`linda_rooms/${GROUP}/pub`);
+    await register("alice", aliceSk, aliceKfrags[0]).expect(404);
+    graph.set(`linda_rooms/${GROUP}/pub`, ROOM_PUB);
+
+    await register("alice", aliceSk, aliceKfrags[0]).expect(201);
+    await register("alice", aliceSk, aliceKfrags[0]).expect(409);
+    const otherKey = b64(umbral.SecretKey.random().publicKey().toCompressedBytes());
+    await request(app)
+      .post(url)
+      .send({
+        ...base,
+        memberPub: "bob",
+        delegatingKey: otherKey,
+        ...sign("register", "bob", binding),
+      })
+      .expect(409);
+
+    // Further members of a bound group need no room signature
+    const bobKfrag = b64(kfragsFor(bobSk)[0].toBytes());
+    const { roomSignature: _room, ...ownerOnly } = sign("register", "bob", {
+      version: 1,
+      receivingKey: bobKey,
+      kfrag: bobKfrag,
+    });
+    await request(app)
+      .post(url)
+      .send({ ...base, memberPub: "bob", receivingKey: bobKey, kfrag: bobKfrag, ...ownerOnly })
+      .expect(201);
+  });
+
+  it("revokes immediately, even over a legacy graph kfrag, and rotation re-activates", async () => {
+    await register("alice", aliceSk, aliceKfrags[0]).expect(201);
+    graph.set(`linda_rooms/${GROUP}/relay_kfrags/alice`, b64(aliceKfrags[0].toBytes()));
+    const [capsule] = encryptFor("secret");
+    const reencrypt = () =>
+      request(app)
+        .post("/api/v1/tpre/reencrypt")
+        .send({ groupId: GROUP, memberPub: "alice", capsuleB64: b64(capsule.toBytes()) });
+
+    const aliceKey = receivingKeyOf(aliceSk);
+    const revokeV1 = sign("revoke", "alice", { version: 1, receivingKey: aliceKey, kfrag: null });
+    await reencrypt().expect(200);
+    await request(app)
+      .delete(`/api/v1/tpre/groups/${GROUP}/kfrags/alice`)
+      .send(sign("rotate", "alice", { version: 1, receivingKey: aliceKey, kfrag: null }))
+      .expect(401);
+    const revoked = await request(app)
+      .delete(`/api/v1/tpre/groups/${GROUP}/kfrags/alice`)
+      .send(revokeV1)
+      .expect(200);
+    expect(revoked.body.member).toMatchObject({ status: "revoked", kfrag: null });
+    await reencrypt().expect(403);
+
+    const fresh = b64(kfragsFor(aliceSk)[0].toBytes());
+    const rotate = {
+      kfrag: fresh,
+      ...sign("rotate", "alice", { version: 2, receivingKey: aliceKey, kfrag: fresh }),
+    };
+    const rotated = await request(app)
+      .put(`/api/v1/tpre/groups/${GROUP}/kfrags/alice`)
+      .send(rotate)
+      .expect(200);
+    expect(rotated.body.member).toMatchObject({ status: "active", version: 2 });
+    const single = await reencrypt().expect(200);
+    expect(typeof single.body.cfrag).toBe("string");
+
+    // Neither an old revocation nor, after the next one, the old rotation can be replayed
+    await request(app)
+      .delete(`/api/v1/tpre/groups/${GROUP}/kfrags/alice`)
+      .send(revokeV1)
+      .expect(401);
+    await request(app)
+      .delete(`/api/v1/tpre/groups/${GROUP}/kfrags/alice`)
+      .send(sign("revoke", "alice", { version: 2, receivingKey: aliceKey, kfrag: null }))
+      .expect(200);
+    await request(app).put(`/api/v1/tpre/groups/${GROUP}/kfrags/alice`).send(rotate).expect(401);
+    await reencrypt().expect(403);
+
+    // Members never registered here still use the graph kfrag
+    graph.set(`linda_rooms/${GROUP}/relay_kfrags/bob`, b64(kfragsFor(bobSk)[0].toBytes()));
+    const legacy = await request(app)
+      .post("/api/v1/tpre/reencrypt")
+      .send({ groupId: GROUP, memberPub: "bob", capsuleB64: b64(capsule.toBytes()) })
+      .expect(200);
+    expect(legacy.body.legacy).toBe(true);
+  });
+
+  it("rate-limits re-encryption per known member, counted in capsules", async () => {
+    await register("alice", aliceSk, aliceKfrags[0]).expect(201);
+    await register("bob", bobSk, kfragsFor(bobSk)[0]).expect(201);
+    const capsule = b64(encryptFor("x")[0].toBytes());
+    const send = (memberPub: string, count: number) =>
+      request(app)
+        .post("/api/v1/tpre/reencrypt")
+        .send({ groupId: GROUP, memberPub, capsules: Array(count).fill(capsule) });
+
+    await send("alice", 5).expect(400); // over TPRE_MAX_BATCH
+    await send("alice", 4).expect(200);
+    const limited = await send("alice", 2).expect(429);
+    expect(Number(limited.headers["retry-after"])).toBeGreaterThan(0);
+    await send("alice", 1).expect(200);
+    await send("bob", 4).expect(200);
+
+    // Members without a kfrag are turned away before they are counted
+    for (let i = 0; i < 3; i++) await send("mallory", 4).expect(404);
+  });
+
+  it("keeps an audit trail of changes and re-encryptions", async () => {
+    await register("alice", aliceSk, aliceKfrags[0]).expect(201);
+    const capsule = b64(encryptFor("audit")[0].toBytes());
+    await request(app)
+      .post("/api/v1/tpre/reencrypt")
+      .send({ groupId: GROUP, memberPub: "alice", capsules: [capsule] })
+      .expect(200);
+    await request(app)
+      .delete(`/api/v1/tpre/groups/${GROUP}/kfrags/alice`)
+      .send(
+        sign("revoke", "alice", { version: 1, receivingKey: receivingKeyOf(aliceSk), kfrag: null })
+      )
+      .expect(200);
+
+    await request(app).get("/api/v1/tpre/audit").expect(401);
+    const audit = await request(app)
+      .get(`/api/v1/tpre/audit?groupId=${GROUP}`)
+      .set("Authorization", "Bearer admin")
+      .expect(200);
+    expect(audit.body.entries.map((entry: any) => entry.action)).toEqual([
+      "revoke",
+      "reencrypt",
+      "register",
+    ]);
+    expect(audit.body.entries[1]).toMatchObject({
+      memberPub: "alice",
+      ok: true,
+      version: 1,
+      capsules: 1,
+    });
+    expect(audit.body.entries[1].capsuleIds[0]).toMatch(/^[0-9a-f]{16}$/);
+
+    const reencryptions = await request(app)
+      .get("/api/v1/tpre/audit?action=reencrypt")
+      .set("Authorization", "Bearer admin")
+      .expect(200);
+    expect(reencryptions.body.count).toBe(1);
+  });
+});
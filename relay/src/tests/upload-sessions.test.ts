@@ -0,0 +1,198 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import fs from "fs";
+
+const { dataDir, ipfsUpload } = vi.hoisted(() => ({
+  dataDir: `${process.env.TMPDIR || "/tmp"}/upload-sessions-test-${process.pid}`,
+  ipfsUpload: vi.fn(),
+}));
+
+vi.mock("../utils/logger", () => {
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  return { loggers: { server: logger, uploads: logger } };
+});
+
+vi.mock("../config", () => ({
+  storageConfig: {
+    dataDir,
+    maxStorageGB: 0,
+    storageWarningThreshold: 80,
+    userQuotaMB: 0,
+    apiKeyQuotaMB: 0,
+  },
+  uploadSessionsConfig: {
+    dir: `${dataDir}/upload-sessions`,
+    ttlMs: 60 * 60 * 1000,
+    maxChunkBytes: 8,
+    maxFileBytes: 64,
+    cleanupIntervalMs: 60 * 60 * 1000,
+  },
+}));
+
+vi.mock("../utils/ipfs-client", () => ({ ipfsUpload }));
+
+// "Bearer admin" authenticates as admin, "Bearer <keyId>" as that API key
+vi.mock("../middleware/admin-or-api-key-auth", () => ({
+  adminOrApiKeyAuth: vi.fn(() => (req: any, res: any, next: any) => {
+    const token = (req.headers.authorization || "").replace("Bearer ", "");
+    if (!token) return res.status(401).json({ success: false, error: "Unauthorized" });
+    if (token === "admin") {
+      req.authType = "admin";
+    } else {
+      req.authType = "apiKey";
+      req.apiKey = { keyId: token };
+    }
+    next();
+  }),
+}));
+
+import uploadSessionsRouter from "../routes/ipfs/upload-sessions";
+import { cleanupExpiredSessions } from "../utils/upload-sessions";
+import { getApiKeyUsage, resetStorageQuotaCache } from "../utils/storage-quota";
+
+const KEY = { Authorization: "Bearer key-1" };
+const OTHER_KEY = { Authorization: "Bearer key-2" };
+
+describe("Resumable upload sessions", () => {
+  let app: express.Application;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    resetStorageQuotaCache();
+    ipfsUpload.mockImplementation(async (_url: string, formData: any) => {
+      // Drain the form so the spooled file is actually read
+      const body = await new Promise<string>((resolve, reject) => {
+        let text = "";
+        formData.on("data", (chunk: any) => (text += chunk.toString()));
+        formData.on("end", () => resolve(text));
+        formData.on("error", reject);
+        formData.resume();
+      });
+      return { Hash: "QmResumable", Size: String(body.length), body };
+    });
+
+    app = express();
+    app.use(express.json());
+    app.use("/api/v1/ipfs", uploadSessionsRouter);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const createSession = async (size = 12) => {
+    const response = await request(app)
+      .post("/api/v1/ipfs/upload/sessions")
+      .set(KEY)
+      .send({ fileName: "notes.txt", size, mimetype: "text/plain" })
+      .expect(201);
+    return response.body.session.sessionId as string;
+  };
+
+  const sendChunk = (sessionId: string, offset: number, body: string, auth = KEY) =>
+    request(app)
+      .patch(`/api/v1/ipfs/upload/sessions/${sessionId}`)
+      .set(auth)
+      .set("Upload-Offset", String(offset))
+      .set("Content-Type", "application/offset+octet-stream")
+      .send(Buffer.from(body));
+
+  it("assembles chunks and adds the file to IPFS on finalize", async () => {
+    const sessionId = await createSession();
+
+    const first = await sendChunk(sessionId, 0, "hello ").expect(200);
+    expect(first.headers["upload-offset"]).toBe("6");
+
+    const status = await request(app).get(`/api/v1/ipfs/upload/sessions/${sessionId}`).set(KEY);
+    expect(status.body.session).toMatchObject({ offset: 6, size: 12, complete: false });
+
+    await request(app)
+      .post(`/api/v1/ipfs/upload/sessions/${sessionId}/finalize`)
+      .set(KEY)
+      .expect(409);
+
+    await sendChunk(sessionId, 6, "world!").expect(200);
+    const finalized = await request(app)
+      .post(`/api/v1/ipfs/upload/sessions/${sessionId}/finalize`)
+      .set(KEY)
+      .expect(200);
+
+    expect(finalized.body.file).toMatchObject({ name: "notes.txt", size: 12, hash: "QmResumable" });
+    expect(ipfsUpload).toHaveBeenCalledTimes(1);
+    expect((await ipfsUpload.mock.results[0].value).body).toContain("hello world!");
+    expect(getApiKeyUsage("key-1")).toMatchObject({ usedBytes: 12, fileCount: 1 });
+    expect(fs.existsSync(`${dataDir}/upload-sessions/${sessionId}`)).toBe(false);
+  });
+
+  it("rejects a chunk at the wrong offset and reports where to resume", async () => {
+    const sessionId = await createSession();
+    await sendChunk(sessionId, 0, "hello ").expect(200);
+
+    const mismatch = await sendChunk(sessionId, 0, "hello ");
+    expect(mismatch.status).toBe(409);
+    expect(mismatch.headers["upload-offset"]).toBe("6");
+    expect(mismatch.body.offset).toBe(6);
+
+    await sendChunk(sessionId, 6, "world!").expect(200);
+  });
+
+  it("rejects oversized chunks without keeping their bytes", async () => {
+    const sessionId = await createSession();
+
+    const tooBig = await sendChunk(sessionId, 0, "123456789");
+    expect(tooBig.status).toBe(413);
+
+    await sendChunk(sessionId, 0, "12345678").expect(200);
+    const pastEnd = await sendChunk(sessionId, 8, "12345");
+    expect(pastEnd.status).toBe(413);
+    expect(pastEnd.body.error).toMatch(/past the declared file size/);
+
+    const status = await request(app).get(`/api/v1/ipfs/upload/sessions/${sessionId}`).set(KEY);
+    expect(status.body.session.offset).toBe(8);
+  });
+
+  it("validates new sessions", async () => {
+    await request(app)
+      .post("/api/v1/ipfs/upload/sessions")
+      .set(KEY)
+      .send({ fileName: "../etc/passwd", size: 4 })
+      .expect(400);
+    await request(app)
+      .post("/api/v1/ipfs/upload/sessions")
+      .set(KEY)
+      .send({ fileName: "big.bin", size: 65 })
+      .expect(413);
+    await request(app)
+      .post("/api/v1/ipfs/upload/sessions")
+      .send({ fileName: "a.txt", size: 4 })
+      .expect(401);
+  });
+
+  it("hides sessions from other API keys but not from admin", async () => {
+    const sessionId = await createSession();
+
+    await request(app).get(`/api/v1/ipfs/upload/sessions/${sessionId}`).set(OTHER_KEY).expect(404);
+    await sendChunk(sessionId, 0, "hello ", OTHER_KEY).expect(404);
+    await request(app)
+      .get(`/api/v1/ipfs/upload/sessions/${sessionId}`)
+      .set({ Authorization: "Bearer admin" })
+      .expect(200);
+
+    await request(app).delete(`/api/v1/ipfs/upload/sessions/${sessionId}`).set(KEY).expect(200);
+    await request(app).get(`/api/v1/ipfs/upload/sessions/${sessionId}`).set(KEY).expect(404);
+  });
+
+  it("removes expired sessions", async () => {
+    const stale = await createSession();
+    const fresh = await createSession();
+    const metaPath = `${dataDir}/upload-sessions/${stale}/session.json`;
+    const meta = JSON.parse(fs.readFileSync(metaPath, "utf-8"));
+    fs.writeFileSync(metaPath, JSON.stringify({ ...meta, expiresAt: Date.now() - 1 }));
+
+    expect(cleanupExpiredSessions()).toBe(1);
+    await request(app).get(`/api/v1/ipfs/upload/sessions/${stale}`).set(KEY).expect(404);
+    await request(app).get(`/api/v1/ipfs/upload/sessions/${fresh}`).set(KEY).expect(200);
+  });
+});
@@ -0,0 +1,277 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach, afterAll } from "vitest";
+import express from "express";
+import request from "supertest";
+import http from "http";
+import fs from "fs";
+import type { AddressInfo } from "net";
+
+const { dataDir } = vi.hoisted(() => ({
+  dataDir: `${process.env.TMPDIR || "/tmp"}/webhooks-test-${process.pid}`,
+}));
+
+vi.mock("../utils/logger", () => {
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  return { loggers: { server: logger } };
+});
+vi.mock("../config", () => ({
+  packageConfig: { version: "9.9.9" },
+  storageConfig: { dataDir },
+  webhookConfig: {
+    maxAttempts: 2,
+    retryBaseMs: 1000,
+    timeoutMs: 2000,
+    logSize: 500,
+    maxPending: 25,
+  },
+}));
+vi.mock("../middleware/admin-auth", () => ({
+  adminAuthMiddleware: vi.fn((req, res, next) =>
+    req.headers.authorization === "Bearer admin"
+      ? next()
+      : res.status(401).json({ success: false, error: "Unauthorized" })
+  ),
+}));
+
+import webhooksRouter from "../routes/webhooks";
+import { createRelayEvent, emitRelayEvent } from "../utils/event-bus";
+import {
+  enqueueEvent,
+  flushWebhookStore,
+  getDroppedDeliveries,
+  listDeliveries,
+  processQueue,
+  resetWebhookStoreCache,
+  signPayload,
+  startWebhookWorker,
+  stopWebhookWorker,
+} from "../utils/webhooks";
+
+interface Received {
+  headers: http.IncomingHttpHeaders;
+  body: string;
+}
+
+describe("Webhooks", () => {
+  let app: express.Application;
+  let receiver: http.Server;
+  let receiverUrl: string;
+  let received: Received[];
+  let responses: number[];
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responses.shift() ?? 200;
+        res.end("ok");
+      });
+    });
+    await new Promise<void>((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    receiverUrl = `http://127.0.0.1:${(receiver.address() as AddressInfo).port}/hook`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => receiver.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    resetWebhookStoreCache();
+    received = [];
+    responses = [];
+    app = express();
+    app.use(express.json());
+    app.use("/api/v1/webhooks", webhooksRouter);
+  });
+
+  afterEach(() => {
+    stopWebhookWorker();
+    vi.useRealTimers();
+  });
+
+  async function createWebhook(body: Record<string, any>) {
+    const response = await request(app)
+      .post("/api/v1/webhooks")
+      .set("Authorization", "Bearer admin")
+      .send(body)
+      .expect(201);
+    return response.body.webhook;
+  }
+
+  it("manages subscriptions and only reveals the secret on creation", async () => {
+    await request(app).get("/api/v1/webhooks").expect(401);
+
+    const webhook = await createWebhook({ url: receiverUrl, events: ["pin.added"] });
+    expect(webhook.secret).toMatch(/^whsec_/);
+
+    const list = await request(app).get("/api/v1/webhooks").set("Authorization", "Bearer admin");
+    expect(list.body.webhooks).toHaveLength(1);
+    expect(list.body.webhooks[0].secret).not.toBe(webhook.secret);
+    expect(list.body.eventTypes).toContain("systemhash.saved");
+
+    await request(app)
+      .post("/api/v1/webhooks")
+      .set("Authorization", "Bearer admin")
+      .send({ url: receiverUrl, events: ["pin.exploded"] })
+      .expect(400);
+    await request(app)
+      .post("/api/v1/webhooks")
+      .set("Authorization", "Bearer admin")
+      .send({ url: "ftp://example.com" })
+      .expect(400);
+
+    const updated = await request(app)
+      .patch(`/api/v1/webhooks/${webhook.id}`)
+      .set("Authorization", "Bearer admin")
+      .send({ active: false, rotateSecret: true })
+      .expect(200);
+    expect(updated.body.webhook.active).toBe(false);
+    expect(updated.body.webhook.secret).not.toBe(webhook.secret);
+
+    await request(app)
+      .delete(`/api/v1/webhooks/${webhook.id}`)
+      .set("Authorization", "Bearer admin")
+      .expect(200);
+    await request(app)
+      .get(`/api/v1/webhooks/${webhook.id}`)
+      .set("Authorization", "Bearer admin")
+      .expect(404);
+  });
+
+  it("delivers matching events with an HMAC signature", async () => {
+    const webhook = await createWebhook({ url: receiverUrl, events: ["pin.added"] });
+    startWebhookWorker();
+
+    emitRelayEvent("peer.connected", { peer: "ws://elsewhere" });
+    emitRelayEvent("pin.added", { cid: "QmTest" });
+    await processQueue();
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    expect(JSON.parse(body)).toMatchObject({ type: "pin.added", data: { cid: "QmTest" } });
+    expect(headers["x-shogun-event"]).toBe("pin.added");
+    expect(headers["x-shogun-signature"]).toBe(
+      signPayload(webhook.secret, headers["x-shogun-timestamp"] as string, body)
+    );
+
+    const [delivery] = listDeliveries({ webhookId: webhook.id });
+    expect(delivery).toMatchObject({ status: "delivered", attempts: 1, responseStatus: 200 });
+  });
+
+  it("retries failed deliveries with backoff from the persisted queue", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const webhook = await createWebhook({ url: receiverUrl, events: ["*"] });
+    startWebhookWorker();
+    responses = [503, 200];
+
+    emitRelayEvent("systemhash.saved", { hash: "QmRetry" });
+    await processQueue();
+
+    let [delivery] = listDeliveries({ webhookId: webhook.id });
+    expect(delivery).toMatchObject({ status: "pending", attempts: 1, error: "HTTP 503" });
+    expect(delivery.nextAttemptAt).toBe(Date.now() + 1000);
+
+    // Not due yet, and still queued after a restart
+    await processQueue();
+    expect(received).toHaveLength(1);
+    stopWebhookWorker();
+    resetWebhookStoreCache();
+    expect(listDeliveries({ status: "pending" })).toHaveLength(1);
+
+    vi.setSystemTime(Date.now() + 1000);
+    await processQueue();
+    [delivery] = listDeliveries({ webhookId: webhook.id });
+    expect(delivery).toMatchObject({ status: "delivered", attempts: 2, responseStatus: 200 });
+    expect(received).toHaveLength(2);
+  });
+
+  it("batches queue writes instead of rewriting the store on every event", async () => {
+    const webhook = await createWebhook({ url: receiverUrl, events: ["*"] });
+    const write = vi.spyOn(fs, "writeFileSync");
+
+    for (let i = 0; i < 20; i++) {
+      enqueueEvent(createRelayEvent("systemhash.saved", { hash: `QmBatch${i}` }));
+    }
+    expect(write).not.toHaveBeenCalled();
+    expect(listDeliveries({ status: "pending" })).toHaveLength(20);
+
+    flushWebhookStore();
+    expect(write).toHaveBeenCalledTimes(1);
+    write.mockRestore();
+
+    resetWebhookStoreCache();
+    expect(listDeliveries({ webhookId: webhook.id, status: "pending" })).toHaveLength(20);
+  });
+
+  it("caps each webhook's pending queue and keeps peer churn out of *", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const all = await createWebhook({ url: receiverUrl, events: ["*"] });
+    const peers = await createWebhook({ url: receiverUrl, events: ["peer.connected"] });
+
+    enqueueEvent(createRelayEvent("peer.connected", { peer: "ws://elsewhere" }));
+    enqueueEvent(createRelayEvent("peer.disconnected", { peer: "ws://elsewhere" }));
+    expect(listDeliveries({ webhookId: all.id })).toEqual([]);
+    expect(listDeliveries({ webhookId: peers.id })).toHaveLength(1);
+
+    for (let i = 0; i < 30; i++) {
+      vi.setSystemTime(Date.now() + 1);
+      enqueueEvent(createRelayEvent("systemhash.saved", { hash: `QmFull${i}` }));
+    }
+    const pending = listDeliveries({ webhookId: all.id, status: "pending" });
+    expect(pending).toHaveLength(25);
+    expect(pending.at(-1)!.event.data.hash).toBe("QmFull5");
+    expect(getDroppedDeliveries()).toEqual({ [all.id]: 5 });
+  });
+
+  it("marks deliveries failed after the last attempt and can retry them", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const webhook = await createWebhook({ url: receiverUrl, events: ["alias.blocked"] });
+    startWebhookWorker();
+    responses = [500, 500];
+
+    emitRelayEvent("alias.blocked", { alias: "alice" });
+    await processQueue();
+    vi.setSystemTime(Date.now() + 1000);
+    await processQueue();
+
+    const failed = await request(app)
+      .get("/api/v1/webhooks/deliveries?status=failed")
+      .set("Authorization", "Bearer admin")
+      .expect(200);
+    expect(failed.body.deliveries).toHaveLength(1);
+    expect(failed.body.deliveries[0]).toMatchObject({ webhookId: webhook.id, attempts: 2 });
+
+    await request(app)
+      .post(`/api/v1/webhooks/deliveries/${failed.body.deliveries[0].id}/retry`)
+      .set("Authorization", "Bearer admin")
+      .expect(200);
+    await processQueue();
+    expect(listDeliveries({ webhookId: webhook.id })[0]).toMatchObject({
+      status: "delivered",
+      attempts: 3,
+    });
+  });
+
+  it("sends a test event on demand", async () => {
+    const webhook = await createWebhook({ url: receiverUrl, events: ["pin.removed"] });
+
+    const ok = await request(app)
+      .post(`/api/v1/webhooks/${webhook.id}/test`)
+      .set("Authorization", "Bearer admin")
+      .expect(200);
+    expect(ok.body.success).toBe(true);
+    expect(ok.body.delivery).toMatchObject({ status: "delivered", responseStatus: 200 });
+    expect(received[0].headers["x-shogun-event"]).toBe("webhook.test");
+
+    responses = [404];
+    const failed = await request(app)
+      .post(`/api/v1/webhooks/${webhook.id}/test`)
+      .set("Authorization", "Bearer admin")
+      .expect(200);
+    expect(failed.body.success).toBe(false);
+    expect(failed.body.delivery).toMatchObject({ status: "failed", error: "HTTP 404" });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Admin audit log
+ *
+ * Who changed what on the relay: config updates, Gun node writes, pin
+ * removals, garbage collection, log deletion and operator management.
+ * Stored in DATA_DIR/admin-audit.jsonl.
+ *
+ * @module utils/admin-audit
+ */
+
+import { createAuditLog } from "./audit-log";
+
+export interface AdminAuditEntry {
+  at: number;
+  action: string;
+  /** Operator username, "admin-password" or "api-key:<keyId>" */
+  actor: string;
+  role?: string;
+  method?: string;
+  path?: string;
+  /** What the action applied to (operator name, CID, config keys...) */
+  target?: string;
+  status?: number;
+  ip?: string;
+  ok: boolean;
+}
+
+const auditLog = createAuditLog<AdminAuditEntry>("admin-audit.jsonl");
+
+export function recordAdminAction(entry: Omit<AdminAuditEntry, "at">): void {
+  auditLog.append(entry);
+}
+
+/**
+ * Newest entries first
+ */
+export function readAdminAudit(
+  filter: { actor?: string; action?: string; since?: number } = {},
+  limit = 100
+): AdminAuditEntry[] {
+  return auditLog.read(
+    (entry) =>
+      (!filter.actor || entry.actor === filter.actor) &&
+      (!filter.action || entry.action === filter.action),
+    { since: filter.since, limit }
+  );
+}
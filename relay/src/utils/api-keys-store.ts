@@ -1,8 +1,10 @@
 import fs from "fs";
+import net from "net";
 import path from "path";
 import { randomBytes } from "crypto";
 import { fileURLToPath } from "url";
 import { loggers } from "./logger";
+import { hashToken } from "./security";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -10,21 +12,90 @@ const __dirname = path.dirname(__filename);
 // Store file location (in data dir to persist)
 const DATA_DIR = path.resolve(__dirname, "../../data");
 const STORE_PATH = path.join(DATA_DIR, "api-keys.json");
+const STORE_VERSION = 2;
+
+// Usage counters and lastUsed are flushed lazily instead of on every request
+const FLUSH_DELAY_MS = 30 * 1000;
+
+/**
+ * Permissions an API key can carry
+ */
+export const API_KEY_SCOPES = [
+  "ipfs:upload",
+  "ipfs:pin",
+  "ipfs:gc",
+  "ipfs:read",
+  "uploads:write",
+  "drive:manage",
+  "gun:write",
+] as const;
+
+export type ApiKeyScope = (typeof API_KEY_SCOPES)[number];
+
+export interface ApiKeyQuota {
+  maxRequestsPerDay: number | null;
+  maxBytesPerDay: number | null;
+}
+
+export interface ApiKeyUsage {
+  day: string; // UTC day (YYYY-MM-DD) the counters belong to
+  requests: number;
+  bytes: number;
+}
 
 export interface ApiKeyData {
   keyId: string;
   name: string;
   keyPrefix: string; // First few chars to show in UI
+  scopes: ApiKeyScope[];
   createdAt: number;
+  expiresAt: number | null;
+  allowedCidrs: string[];
+  quota: ApiKeyQuota;
+  usage: ApiKeyUsage;
   lastUsed?: number;
+  // User the key uploads for; storage is charged to this address
+  userAddress?: string | null;
 }
 
 export interface ApiKeyStore {
-  keys: Record<string, ApiKeyData>; // Hashed token -> Data
+  version: number;
+  keys: Record<string, ApiKeyData>; // SHA-256 of token -> Data
+}
+
+export interface GenerateApiKeyOptions {
+  scopes?: string[];
+  expiresInDays?: number | null;
+  allowedCidrs?: string[];
+  quota?: Partial<ApiKeyQuota>;
+  userAddress?: string | null;
+}
+
+export type ApiKeyRejection =
+  | "invalid"
+  | "expired"
+  | "ip_not_allowed"
+  | "request_quota_exceeded"
+  | "byte_quota_exceeded"
+  | "length_required";
+
+export type ApiKeyCheckResult =
+  | { ok: true; key: ApiKeyData }
+  | { ok: false; reason: ApiKeyRejection; key?: ApiKeyData };
+
+/**
+ * Error for invalid key options (surfaced as 400 by the routes)
+ */
+export class ApiKeyValidationError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "ApiKeyValidationError";
+  }
 }
 
 // In-memory cache
 let storeCache: ApiKeyStore | null = null;
+let flushTimer: NodeJS.Timeout | null = null;
 
 /**
  * Ensure data directory exists
@@ -35,6 +106,48 @@ function ensureDataDir() {
   }
 }
 
+function currentDay(now: number = Date.now()): string {
+  return new Date(now).toISOString().substring(0, 10);
+}
+
+function emptyUsage(): ApiKeyUsage {
+  return { day: currentDay(), requests: 0, bytes: 0 };
+}
+
+/**
+ * Upgrade a v1 store (keyed by plaintext token, no scopes) in place.
+ * Legacy keys keep full access so existing integrations don't break.
+ */
+function migrateStore(raw: any): ApiKeyStore {
+  if (raw?.version === STORE_VERSION) {
+    return raw as ApiKeyStore;
+  }
+
+  const keys: Record<string, ApiKeyData> = {};
+  for (const [token, data] of Object.entries<any>(raw?.keys || {})) {
+    keys[hashToken(token)] = {
+      keyId: data.keyId,
+      name: data.name,
+      keyPrefix: data.keyPrefix,
+      scopes: [...API_KEY_SCOPES],
+      createdAt: data.createdAt,
+      expiresAt: null,
+      allowedCidrs: [],
+      quota: { maxRequestsPerDay: null, maxBytesPerDay: null },
+      usage: emptyUsage(),
+      lastUsed: data.lastUsed,
+    };
+  }
+
+  if (Object.keys(keys).length > 0) {
+    loggers.server.warn(
+      { count: Object.keys(keys).length },
+      "Migrated plaintext API keys to hashed storage (legacy keys keep all scopes)"
+    );
+  }
+  return { version: STORE_VERSION, keys };
+}
+
 /**
  * Load store from disk
  */
@@ -42,19 +155,22 @@ export function loadStore(): ApiKeyStore {
   if (storeCache) return storeCache;
 
   ensureDataDir();
-  
+
   if (fs.existsSync(STORE_PATH)) {
     try {
-      const data = fs.readFileSync(STORE_PATH, "utf-8");
-      storeCache = JSON.parse(data);
-      return storeCache!;
+      const data = JSON.parse(fs.readFileSync(STORE_PATH, "utf-8"));
+      storeCache = migrateStore(data);
+      if (data?.version !== STORE_VERSION) {
+        saveStore(storeCache);
+      }
+      return storeCache;
     } catch (error) {
       loggers.server.error({ error }, "Failed to read api-keys.json, initializing empty store");
     }
   }
 
   // Init empty store
-  storeCache = { keys: {} };
+  storeCache = { version: STORE_VERSION, keys: {} };
   saveStore(storeCache);
   return storeCache;
 }
@@ -72,36 +188,149 @@ function saveStore(store: ApiKeyStore) {
   }
 }
 
+/**
+ * Persist usage counters after a short delay (batched across requests)
+ */
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    if (storeCache) saveStore(storeCache);
+  }, FLUSH_DELAY_MS);
+  flushTimer.unref?.();
+}
+
+/**
+ * Write pending usage counters to disk now (e.g. on shutdown)
+ */
+export function flushApiKeyStore(): void {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  if (storeCache) saveStore(storeCache);
+}
+
+/**
+ * Parse "10.0.0.0/8", "2001:db8::/32" or a bare address into [address, prefix, family]
+ */
+function parseCidr(cidr: string): [string, number, "ipv4" | "ipv6"] | null {
+  const [address, prefixPart] = cidr.trim().split("/");
+  const family = net.isIP(address);
+  if (family === 0) return null;
+
+  const maxPrefix = family === 4 ? 32 : 128;
+  const prefix = prefixPart === undefined ? maxPrefix : Number(prefixPart);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) return null;
+
+  return [address, prefix, family === 4 ? "ipv4" : "ipv6"];
+}
+
+/**
+ * Check whether `ip` falls into any of the CIDRs (empty list = allow all)
+ */
+export function isIpAllowed(ip: string | undefined, cidrs: string[]): boolean {
+  if (!cidrs || cidrs.length === 0) return true;
+  if (!ip) return false;
+
+  // Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+  const address = ip.startsWith("::ffff:") && net.isIPv4(ip.substring(7)) ? ip.substring(7) : ip;
+  const family = net.isIP(address);
+  if (family === 0) return false;
+
+  const blockList = new net.BlockList();
+  for (const cidr of cidrs) {
+    const parsed = parseCidr(cidr);
+    if (parsed) blockList.addSubnet(parsed[0], parsed[1], parsed[2]);
+  }
+  return blockList.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+function normalizeOptions(options: GenerateApiKeyOptions) {
+  const scopes = [...new Set(options.scopes || [])];
+  if (scopes.length === 0) {
+    throw new ApiKeyValidationError("At least one scope is required");
+  }
+  const unknown = scopes.filter((s) => !(API_KEY_SCOPES as readonly string[]).includes(s));
+  if (unknown.length > 0) {
+    throw new ApiKeyValidationError(`Unknown scope(s): ${unknown.join(", ")}`);
+  }
+
+  let expiresAt: number | null = null;
+  if (options.expiresInDays !== undefined && options.expiresInDays !== null) {
+    const days = Number(options.expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      throw new ApiKeyValidationError("expiresInDays must be a positive number");
+    }
+    expiresAt = Date.now() + days * 24 * 60 * 60 * 1000;
+  }
+
+  const allowedCidrs = (options.allowedCidrs || []).map((c) => String(c).trim()).filter(Boolean);
+  const invalidCidrs = allowedCidrs.filter((c) => !parseCidr(c));
+  if (invalidCidrs.length > 0) {
+    throw new ApiKeyValidationError(`Invalid CIDR(s): ${invalidCidrs.join(", ")}`);
+  }
+
+  const positiveOrNull = (value: unknown, field: string): number | null => {
+    if (value === undefined || value === null || value === "") return null;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) {
+      throw new ApiKeyValidationError(`${field} must be a positive number`);
+    }
+    return Math.floor(n);
+  };
+
+  const userAddress =
+    typeof options.userAddress === "string" && options.userAddress.trim()
+      ? options.userAddress.trim()
+      : null;
+
+  return {
+    scopes: scopes as ApiKeyScope[],
+    expiresAt,
+    allowedCidrs,
+    userAddress,
+    quota: {
+      maxRequestsPerDay: positiveOrNull(options.quota?.maxRequestsPerDay, "maxRequestsPerDay"),
+      maxBytesPerDay: positiveOrNull(options.quota?.maxBytesPerDay, "maxBytesPerDay"),
+    },
+  };
+}
+
 /**
  * Generate a new API key
  * Returns the full token (only once) and the stored data
  */
-export function generateApiKey(name: string): { token: string; data: ApiKeyData } {
+export function generateApiKey(
+  name: string,
+  options: GenerateApiKeyOptions = {}
+): { token: string; data: ApiKeyData } {
+  const normalized = normalizeOptions(options);
   const store = loadStore();
-  
+
   // Generate a random token
   const rawSecret = randomBytes(32).toString("base64url");
   const token = `shogun-api-${rawSecret}`;
-  
+
   const keyId = `key_${randomBytes(8).toString("hex")}`;
   const keyPrefix = token.substring(0, 16) + "...";
-  
+
   const data: ApiKeyData = {
     keyId,
     name,
     keyPrefix,
+    ...normalized,
     createdAt: Date.now(),
+    usage: emptyUsage(),
   };
 
-  // We use the token itself as the key in the store for fast lookup. 
-  // In a highly secure environment, we would hash the token before storing, 
-  // but since adminPassword is also in cleartext in .env, this is acceptable for the node operator.
-  store.keys[token] = data;
+  // Only the hash of the token is stored; the token itself is shown once
+  store.keys[hashToken(token)] = data;
   saveStore(store);
 
-  loggers.server.info({ keyId, name }, "Generated new API key");
+  loggers.server.info({ keyId, name, scopes: data.scopes }, "Generated new API key");
 
-  return { token, data };
+  return { token, data: { ...data } };
 }
 
 /**
@@ -109,7 +338,55 @@ export function generateApiKey(name: string): { token: string; data: ApiKeyData
  */
 export function listApiKeys(): ApiKeyData[] {
   const store = loadStore();
-  return Object.values(store.keys).map(k => ({ ...k }));
+  const today = currentDay();
+  return Object.values(store.keys).map((k) => ({
+    ...k,
+    usage: k.usage.day === today ? { ...k.usage } : emptyUsage(),
+  }));
+}
+
+/**
+ * Check a token against expiry, source address and quotas, and count the request.
+ * `bytes` is the size of the request body attributed to the key; a key with a
+ * byte quota refuses bodies whose size is not declared (`unknownLength`).
+ */
+export function checkApiKey(
+  token: string,
+  context: { ip?: string; bytes?: number; unknownLength?: boolean } = {}
+): ApiKeyCheckResult {
+  const store = loadStore();
+  const data = store.keys[hashToken(token)];
+  if (!data) return { ok: false, reason: "invalid" };
+
+  const now = Date.now();
+  if (data.expiresAt !== null && data.expiresAt <= now) {
+    return { ok: false, reason: "expired", key: { ...data } };
+  }
+  if (!isIpAllowed(context.ip, data.allowedCidrs)) {
+    return { ok: false, reason: "ip_not_allowed", key: { ...data } };
+  }
+
+  if (data.usage.day !== currentDay(now)) {
+    data.usage = emptyUsage();
+  }
+
+  const bytes = Math.max(0, context.bytes || 0);
+  if (data.quota.maxRequestsPerDay !== null && data.usage.requests >= data.quota.maxRequestsPerDay) {
+    return { ok: false, reason: "request_quota_exceeded", key: { ...data } };
+  }
+  if (data.quota.maxBytesPerDay !== null && context.unknownLength) {
+    return { ok: false, reason: "length_required", key: { ...data } };
+  }
+  if (data.quota.maxBytesPerDay !== null && data.usage.bytes + bytes > data.quota.maxBytesPerDay) {
+    return { ok: false, reason: "byte_quota_exceeded", key: { ...data } };
+  }
+
+  data.usage.requests++;
+  data.usage.bytes += bytes;
+  data.lastUsed = now;
+  scheduleFlush();
+
+  return { ok: true, key: { ...data } };
 }
 
 /**
@@ -117,17 +394,15 @@ export function listApiKeys(): ApiKeyData[] {
  * Returns the key data if valid, null otherwise
  */
 export function validateApiKey(token: string): ApiKeyData | null {
-  const store = loadStore();
-  const data = store.keys[token];
-  
-  if (data) {
-    // Update last used
-    data.lastUsed = Date.now();
-    saveStore(store);
-    return { ...data };
-  }
-  
-  return null;
+  const result = checkApiKey(token);
+  return result.ok ? result.key : null;
+}
+
+/**
+ * Returns true if the key carries every one of `scopes`
+ */
+export function hasScopes(key: ApiKeyData, scopes: ApiKeyScope[]): boolean {
+  return scopes.every((scope) => key.scopes.includes(scope));
 }
 
 /**
@@ -135,21 +410,32 @@ export function validateApiKey(token: string): ApiKeyData | null {
  */
 export function revokeApiKey(keyId: string): boolean {
   const store = loadStore();
-  let tokenToRemove: string | null = null;
-  
-  for (const [token, data] of Object.entries(store.keys)) {
+  let hashToRemove: string | null = null;
+
+  for (const [tokenHash, data] of Object.entries(store.keys)) {
     if (data.keyId === keyId) {
-      tokenToRemove = token;
+      hashToRemove = tokenHash;
       break;
     }
   }
-  
-  if (tokenToRemove) {
-    delete store.keys[tokenToRemove];
+
+  if (hashToRemove) {
+    delete store.keys[hashToRemove];
     saveStore(store);
     loggers.server.info({ keyId }, "Revoked API key");
     return true;
   }
-  
+
   return false;
 }
+
+/**
+ * Drop the in-memory cache (used by tests)
+ */
+export function resetApiKeyStoreCache(): void {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  storeCache = null;
+}
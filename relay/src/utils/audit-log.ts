@@ -0,0 +1,67 @@
+/**
+ * Append-only audit logs
+ *
+ * One JSON entry per line in DATA_DIR/<filename>, stamped with `at`. Past
+ * `maxBytes` the file is rotated to <filename>.1, so at most two
+ * generations are kept on disk.
+ *
+ * @module utils/audit-log
+ */
+
+import fs from "fs";
+import path from "path";
+import { storageConfig } from "../config";
+import { loggers } from "./logger";
+
+const log = loggers.server;
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+export interface AuditLog<T extends { at: number }> {
+  append(entry: Omit<T, "at">): void;
+  /** Newest entries first, stopping at the first one older than `since` */
+  read(match: (entry: T) => boolean, options?: { since?: number; limit?: number }): T[];
+}
+
+export function createAuditLog<T extends { at: number }>(
+  filename: string,
+  maxBytes = DEFAULT_MAX_BYTES
+): AuditLog<T> {
+  const getPath = () => path.join(storageConfig.dataDir, filename);
+
+  return {
+    append(entry) {
+      try {
+        const logPath = getPath();
+        fs.mkdirSync(path.dirname(logPath), { recursive: true });
+        if (fs.existsSync(logPath) && fs.statSync(logPath).size > maxBytes) {
+          fs.renameSync(logPath, `${logPath}.1`);
+        }
+        fs.appendFileSync(logPath, JSON.stringify({ at: Date.now(), ...entry }) + "\n");
+      } catch (error) {
+        log.error({ err: error }, `Failed to write ${filename}`);
+      }
+    },
+
+    read(match, options = {}) {
+      const logPath = getPath();
+      if (!fs.existsSync(logPath)) return [];
+
+      const limit = options.limit ?? 100;
+      const entries: T[] = [];
+      const lines = fs.readFileSync(logPath, "utf-8").split("\n");
+      for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+        if (!lines[i]) continue;
+        let entry: T;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch {
+          continue;
+        }
+        if (options.since && entry.at < options.since) break;
+        if (match(entry)) entries.push(entry);
+      }
+      return entries;
+    },
+  };
+}
@@ -4,7 +4,7 @@ import Gun from "gun/gun.js";
 interface GunContext {
   once?: boolean;
   opt: {
-    isValid: (msg: Record<string, any>) => boolean | Error;
+    isValid: (msg: Record<string, any>) => boolean | Error | Promise<boolean | Error>;
   };
   on: (event: string, handler: (msg: Record<string, any>) => void) => void;
 }
@@ -39,14 +39,22 @@ interface GunMessageHandler {
     const to = this.to;
     // restrict put
     if (msg.put) {
-      const isValidMsg = isValid(msg);
+      const handle = (isValidMsg: boolean | Error) => {
+        if (isValidMsg instanceof Error) {
+          (context as any).on("in", { "@": msg["#"], err: isValidMsg.message });
+        } else {
+          if (isValidMsg) {
+            to.next(msg);
+          }
+        }
+      };
 
-      if (isValidMsg instanceof Error) {
-        (context as any).on("in", { "@": msg["#"], err: isValidMsg.message });
+      const result = isValid(msg);
+      // Validators that need async checks (e.g. SEA signatures) return a promise
+      if (result instanceof Promise) {
+        result.then(handle, (err: Error) => handle(err));
       } else {
-        if (isValidMsg) {
-          to.next(msg);
-        }
+        handle(result);
       }
     } else {
       to.next(msg);
@@ -0,0 +1,203 @@
+/**
+ * Chat Store
+ *
+ * Local, persisted view of the relay's direct-message conversations.
+ * The graph (Gun/ZEN) only holds signed, encrypted envelopes; this store
+ * keeps what the relay has already synced and decrypted, plus tombstones
+ * so deleted messages are not pulled back in by a later sync.
+ *
+ * @module utils/chat-store
+ */
+
+import { createJsonStore } from "./json-store";
+
+export interface ChatMessage {
+  id: string;
+  from: string;
+  to: string;
+  text: string;
+  timestamp: number;
+  outgoing: boolean;
+}
+
+export interface ChatConversation {
+  pub: string;
+  epub?: string;
+  alias?: string;
+  messages: Record<string, ChatMessage>;
+  deletedIds: string[];
+  clearedAt: number | null;
+  lastSyncAt: number | null;
+}
+
+export interface ChatStore {
+  conversations: Record<string, ChatConversation>; // Peer pub -> conversation
+}
+
+export interface ConversationSummary {
+  pub: string;
+  alias?: string;
+  messageCount: number;
+  lastMessage: ChatMessage | null;
+  lastSyncAt: number | null;
+}
+
+const storeFile = createJsonStore<ChatStore>("chat.json", {
+  parse: (raw) => ({ conversations: raw.conversations || {} }),
+  pretty: true,
+});
+
+/**
+ * Load store from disk
+ */
+export function loadChatStore(): ChatStore {
+  return storeFile.load();
+}
+
+/**
+ * Save store to disk
+ */
+function saveChatStore(data: ChatStore): void {
+  storeFile.save(data);
+}
+
+/**
+ * Drop the in-memory cache (used by tests)
+ */
+export function resetChatStoreCache(): void {
+  storeFile.reset();
+}
+
+function ensureConversation(store: ChatStore, pub: string): ChatConversation {
+  if (!store.conversations[pub]) {
+    store.conversations[pub] = {
+      pub,
+      messages: {},
+      deletedIds: [],
+      clearedAt: null,
+      lastSyncAt: null,
+    };
+  }
+  return store.conversations[pub];
+}
+
+function sortMessages(messages: Record<string, ChatMessage>): ChatMessage[] {
+  return Object.values(messages).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Get a conversation (null if the relay never talked to `pub`)
+ */
+export function getConversation(pub: string): ChatConversation | null {
+  const conversation = loadChatStore().conversations[pub];
+  return conversation ? { ...conversation } : null;
+}
+
+/**
+ * Remember the peer's encryption key / alias
+ */
+export function setPeerInfo(pub: string, info: { epub?: string; alias?: string }): void {
+  const store = loadChatStore();
+  const conversation = ensureConversation(store, pub);
+  if (info.epub) conversation.epub = info.epub;
+  if (info.alias) conversation.alias = info.alias;
+  saveChatStore(store);
+}
+
+/**
+ * Summaries of all conversations, most recent first
+ */
+export function listConversations(): ConversationSummary[] {
+  const store = loadChatStore();
+  return Object.values(store.conversations)
+    .map((conversation) => {
+      const messages = sortMessages(conversation.messages);
+      return {
+        pub: conversation.pub,
+        alias: conversation.alias,
+        messageCount: messages.length,
+        lastMessage: messages.length > 0 ? messages[messages.length - 1] : null,
+        lastSyncAt: conversation.lastSyncAt,
+      };
+    })
+    .sort((a, b) => (b.lastMessage?.timestamp || 0) - (a.lastMessage?.timestamp || 0));
+}
+
+/**
+ * Messages of a conversation in chronological order
+ */
+export function getMessages(pub: string): ChatMessage[] {
+  const conversation = loadChatStore().conversations[pub];
+  return conversation ? sortMessages(conversation.messages) : [];
+}
+
+/**
+ * Returns true if a message from the graph should be ignored
+ * (already known, deleted, or older than a conversation clear)
+ */
+export function shouldSkipMessage(pub: string, id: string, timestamp: number): boolean {
+  const conversation = loadChatStore().conversations[pub];
+  if (!conversation) return false;
+  if (conversation.messages[id]) return true;
+  if (conversation.deletedIds.includes(id)) return true;
+  return conversation.clearedAt !== null && timestamp <= conversation.clearedAt;
+}
+
+/**
+ * Add messages to a conversation. Returns how many were new.
+ */
+export function addMessages(pub: string, messages: ChatMessage[]): number {
+  const store = loadChatStore();
+  const conversation = ensureConversation(store, pub);
+  let added = 0;
+
+  for (const message of messages) {
+    if (shouldSkipMessage(pub, message.id, message.timestamp)) continue;
+    conversation.messages[message.id] = message;
+    added++;
+  }
+
+  saveChatStore(store);
+  return added;
+}
+
+/**
+ * Record a completed sync
+ */
+export function markSynced(pub: string): void {
+  const store = loadChatStore();
+  ensureConversation(store, pub).lastSyncAt = Date.now();
+  saveChatStore(store);
+}
+
+/**
+ * Delete a single message, keeping a tombstone. Returns the removed message.
+ */
+export function deleteMessage(pub: string, id: string): ChatMessage | null {
+  const store = loadChatStore();
+  const conversation = store.conversations[pub];
+  const message = conversation?.messages[id];
+  if (!conversation || !message) return null;
+
+  delete conversation.messages[id];
+  conversation.deletedIds.push(id);
+  saveChatStore(store);
+  return message;
+}
+
+/**
+ * Clear a conversation: drop all messages and ignore anything older on sync.
+ * Returns the removed messages.
+ */
+export function clearConversation(pub: string): ChatMessage[] | null {
+  const store = loadChatStore();
+  const conversation = store.conversations[pub];
+  if (!conversation) return null;
+
+  const removed = sortMessages(conversation.messages);
+  conversation.messages = {};
+  conversation.deletedIds = [];
+  conversation.clearedAt = Date.now();
+  saveChatStore(store);
+  return removed;
+}
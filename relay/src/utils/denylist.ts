@@ -0,0 +1,613 @@
+/**
+ * CID denylist
+ *
+ * Content this relay refuses to serve, pin or accept, persisted to
+ * DATA_DIR/denylist.json. Operators add single CIDs or CID + path entries,
+ * and import whole lists in the IPFS "bad bits" format, where each line is
+ *
+ *   //<sha256 hex of "<CIDv1 base32>/<path>">
+ *
+ * so the list never reveals what it blocks. Every rule is reduced to that
+ * double hash, which makes a lookup one hash per path level: a rule on a
+ * CID blocks everything under it, a rule on a path blocks that path and
+ * what is below it.
+ *
+ * Pins matching a new rule are removed from the IPFS node, and a periodic
+ * sweep catches the rest. Changes, unpins and refused uploads are written
+ * to DATA_DIR/denylist-audit.jsonl.
+ *
+ * @module utils/denylist
+ */
+
+import { createHash, randomBytes } from "crypto";
+import { moderationConfig } from "../config";
+import { createAuditLog } from "./audit-log";
+import { createJsonStore } from "./json-store";
+import { ipfsRequest } from "./ipfs-client";
+import { loggers } from "./logger";
+
+const log = loggers.server;
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+// CIDv1 prefix for a CIDv0: version 1, dag-pb codec
+const CIDV1_DAG_PB = Buffer.from([0x01, 0x70]);
+const MAX_REASON_LENGTH = 500;
+
+export type ModerationAction =
+  "add" | "remove" | "import" | "remove-list" | "unpin" | "reject-pin" | "reject-upload";
+
+export interface DenylistEntry {
+  id: string;
+  cid: string;
+  /** Path inside `cid` ("" blocks the whole CID) */
+  path: string;
+  reason: string;
+  /** sha256 hex of "<CIDv1 base32>/<path>" */
+  hash: string;
+  createdAt: number;
+}
+
+export interface DenylistList {
+  id: string;
+  name: string;
+  source: string | null;
+  importedAt: number;
+  /** Rules read from the list / lines that could not be used */
+  count: number;
+  skipped: number;
+}
+
+export interface DenylistMatch {
+  kind: "entry" | "list";
+  id: string;
+  /** Entry reason or list name */
+  reason: string;
+}
+
+export interface ModerationAuditEntry {
+  at: number;
+  action: ModerationAction;
+  cid?: string;
+  path?: string;
+  entryId?: string;
+  listId?: string;
+  reason?: string;
+  count?: number;
+  ip?: string;
+  ok: boolean;
+  error?: string;
+}
+
+interface StoredList extends DenylistList {
+  hashes: string[];
+}
+
+interface DenylistStore {
+  entries: Record<string, DenylistEntry>;
+  lists: Record<string, StoredList>;
+}
+
+/**
+ * Invalid input or unknown entry. Routes answer with `status`.
+ */
+export class DenylistError extends Error {
+  status: number;
+
+  constructor(message: string, status = 400) {
+    super(message);
+    this.name = "DenylistError";
+    this.status = status;
+  }
+}
+
+const storeFile = createJsonStore<DenylistStore>("denylist.json", {
+  parse: (raw) => ({ entries: raw.entries || {}, lists: raw.lists || {} }),
+});
+let index: Map<string, DenylistMatch> | null = null;
+let sweepInterval: NodeJS.Timeout | null = null;
+
+const auditLog = createAuditLog<ModerationAuditEntry>("denylist-audit.jsonl");
+
+function loadStore(): DenylistStore {
+  return storeFile.load();
+}
+
+/**
+ * Save store to disk and rebuild the lookup index on next use
+ */
+function saveStore(store: DenylistStore): void {
+  index = null;
+  storeFile.save(store);
+}
+
+/**
+ * Drop the in-memory cache (used by tests)
+ */
+export function resetDenylistStoreCache(): void {
+  storeFile.reset();
+  index = null;
+}
+
+function getIndex(): Map<string, DenylistMatch> {
+  if (index) return index;
+
+  const store = loadStore();
+  index = new Map();
+  for (const list of Object.values(store.lists)) {
+    for (const hash of list.hashes) {
+      index.set(hash, { kind: "list", id: list.id, reason: list.name });
+    }
+  }
+  // Manual entries win, their reason is more useful
+  for (const entry of Object.values(store.entries)) {
+    index.set(entry.hash, { kind: "entry", id: entry.id, reason: entry.reason });
+  }
+  return index;
+}
+
+// ============================================================================
+// CID ENCODING
+// ============================================================================
+
+function base58Decode(text: string): Buffer | null {
+  let value = 0n;
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit < 0) return null;
+    value = value * 58n + BigInt(digit);
+  }
+  let hex = value === 0n ? "" : value.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  const leadingZeros = text.length - text.replace(/^1+/, "").length;
+  return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, "hex")]);
+}
+
+function base32Encode(bytes: Buffer): string {
+  let output = "";
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+    buffer &= (1 << bits) - 1;
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  return output;
+}
+
+/**
+ * CIDv1 in base32 ("bafy..."), the form bad bits hashes are computed over.
+ * CIDv0 and base58 CIDv1 are converted; anything else is returned as-is.
+ */
+export function toCidV1Base32(cid: string): string {
+  const trimmed = cid.trim();
+  if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(trimmed)) {
+    const multihash = base58Decode(trimmed);
+    if (multihash) return `b${base32Encode(Buffer.concat([CIDV1_DAG_PB, multihash]))}`;
+  }
+  if (/^z[1-9A-HJ-NP-Za-km-z]+$/.test(trimmed)) {
+    const bytes = base58Decode(trimmed.slice(1));
+    if (bytes) return `b${base32Encode(bytes)}`;
+  }
+  if (/^b[a-z2-7]+$/i.test(trimmed)) return trimmed.toLowerCase();
+  return trimmed;
+}
+
+function normalizePath(value: string): string {
+  return value
+    .split("/")
+    .filter((segment) => segment && segment !== ".")
+    .join("/");
+}
+
+export function doubleHash(cid: string, subPath = ""): string {
+  return createHash("sha256")
+    .update(`${toCidV1Base32(cid)}/${normalizePath(subPath)}`)
+    .digest("hex");
+}
+
+/**
+ * Split "Qm.../a/b", "/ipfs/Qm.../a/b" or "ipfs://Qm.../a/b" into CID and path
+ */
+export function parseContentPath(value: string): { cid: string; path: string } {
+  const trimmed = value
+    .trim()
+    .replace(/^ipfs:\/\//, "")
+    .replace(/^\/?ipfs\//, "")
+    .split(/[?#]/)[0];
+  const [cid, ...rest] = trimmed.split("/").filter(Boolean);
+  return { cid: cid || "", path: normalizePath(rest.join("/")) };
+}
+
+// ============================================================================
+// LOOKUPS
+// ============================================================================
+
+/**
+ * Rule blocking `cid` (or `cid/path`), checking the CID itself and every
+ * parent directory of the path
+ */
+export function findBlock(cid: string, subPath = ""): DenylistMatch | null {
+  if (!cid) return null;
+  const rules = getIndex();
+  if (rules.size === 0) return null;
+
+  const segments = normalizePath(subPath).split("/").filter(Boolean);
+  for (let depth = 0; depth <= segments.length; depth++) {
+    const match = rules.get(doubleHash(cid, segments.slice(0, depth).join("/")));
+    if (match) return match;
+  }
+  return null;
+}
+
+export function isBlocked(cid: string, subPath = ""): boolean {
+  return findBlock(cid, subPath) !== null;
+}
+
+// ============================================================================
+// MANUAL ENTRIES
+// ============================================================================
+
+export function listEntries(): DenylistEntry[] {
+  return Object.values(loadStore().entries).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function listLists(): DenylistList[] {
+  return Object.values(loadStore().lists)
+    .map(({ hashes: _hashes, ...list }) => list)
+    .sort((a, b) => b.importedAt - a.importedAt);
+}
+
+export async function addEntry(
+  input: { cid?: unknown; path?: unknown; reason?: unknown },
+  context: { ip?: string } = {}
+): Promise<{ entry: DenylistEntry; unpinned: boolean }> {
+  if (typeof input.cid !== "string" || !input.cid.trim()) {
+    throw new DenylistError("cid is required");
+  }
+  const parsed = parseContentPath(input.cid);
+  if (!/^[A-Za-z0-9]+$/.test(parsed.cid)) {
+    throw new DenylistError("cid is not a valid CID");
+  }
+  if (input.path !== undefined && typeof input.path !== "string") {
+    throw new DenylistError("path must be a string");
+  }
+  const subPath = normalizePath([parsed.path, (input.path as string) || ""].join("/"));
+  const reason = typeof input.reason === "string" ? input.reason.slice(0, MAX_REASON_LENGTH) : "";
+
+  const store = loadStore();
+  const hash = doubleHash(parsed.cid, subPath);
+  if (Object.values(store.entries).some((entry) => entry.hash === hash)) {
+    throw new DenylistError("Already on the denylist", 409);
+  }
+
+  const entry: DenylistEntry = {
+    id: `deny_${randomBytes(8).toString("hex")}`,
+    cid: parsed.cid,
+    path: subPath,
+    reason,
+    hash,
+    createdAt: Date.now(),
+  };
+  store.entries[entry.id] = entry;
+  saveStore(store);
+
+  auditLog.append({
+    action: "add",
+    cid: entry.cid,
+    path: entry.path || undefined,
+    entryId: entry.id,
+    reason,
+    ip: context.ip,
+    ok: true,
+  });
+  log.warn({ cid: entry.cid, path: entry.path, reason }, "🚫 CID added to denylist");
+
+  // A path rule leaves the rest of the CID pinnable
+  const unpinned =
+    !entry.path && moderationConfig.autoUnpin ? await unpinBlocked(entry.cid, entry.id) : false;
+  return { entry, unpinned };
+}
+
+export function removeEntry(id: string, context: { ip?: string } = {}): DenylistEntry {
+  const store = loadStore();
+  const entry = store.entries[id];
+  if (!entry) throw new DenylistError("Denylist entry not found", 404);
+
+  delete store.entries[id];
+  saveStore(store);
+  auditLog.append({
+    action: "remove",
+    cid: entry.cid,
+    path: entry.path || undefined,
+    entryId: id,
+    ip: context.ip,
+    ok: true,
+  });
+  return entry;
+}
+
+// ============================================================================
+// IMPORTED LISTS
+// ============================================================================
+
+/**
+ * Read a denylist in the bad bits / compact denylist format. Lines are
+ * `//<hash>` double hashes (sha256 hex, or a base58 sha2-256 multihash),
+ * `/ipfs/<cid>[/path]` or bare CIDs. Comments, the optional header ending
+ * in `---`, IPNS rules and allow (`!`) rules are skipped.
+ */
+export function parseDenylist(content: string): { hashes: string[]; skipped: number } {
+  let lines = content.split(/\r?\n/);
+  const headerEnd = lines.findIndex((line) => line.trim() === "---");
+  if (headerEnd >= 0) lines = lines.slice(headerEnd + 1);
+
+  const hashes = new Set<string>();
+  let skipped = 0;
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) continue;
+
+    if (line.startsWith("//")) {
+      const value = line.slice(2);
+      if (/^[0-9a-f]{64}$/i.test(value)) {
+        hashes.add(value.toLowerCase());
+        continue;
+      }
+      // base58 multihash: 0x12 (sha2-256), 0x20 (32 bytes), digest
+      const multihash = base58Decode(value);
+      if (multihash && multihash.length === 34 && multihash[0] === 0x12 && multihash[1] === 0x20) {
+        hashes.add(multihash.subarray(2).toString("hex"));
+        continue;
+      }
+      skipped++;
+      continue;
+    }
+
+    if (line.startsWith("!") || line.startsWith("/ipns/")) {
+      skipped++;
+      continue;
+    }
+
+    // "/ipfs/<cid>/path/*" covers the subtree, which is how paths match anyway
+    const { cid, path: subPath } = parseContentPath(line.replace(/\/\*$/, ""));
+    if (/^[A-Za-z0-9]+$/.test(cid)) {
+      hashes.add(doubleHash(cid, subPath));
+    } else {
+      skipped++;
+    }
+  }
+  return { hashes: Array.from(hashes), skipped };
+}
+
+async function fetchList(url: string): Promise<string> {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new DenylistError("url is not a valid URL");
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw new DenylistError("url must use http or https");
+  }
+
+  const maxBytes = moderationConfig.importMaxMB * 1024 * 1024;
+  const response = await fetch(parsed, { signal: AbortSignal.timeout(60000) });
+  if (!response.ok || !response.body) {
+    throw new DenylistError(`Fetching the list failed: HTTP ${response.status}`, 502);
+  }
+  const chunks: Buffer[] = [];
+  let size = 0;
+  for await (const chunk of response.body as unknown as AsyncIterable<Uint8Array>) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new DenylistError(`List is larger than ${moderationConfig.importMaxMB} MB`, 413);
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString("utf-8");
+}
+
+/**
+ * Import a list from `content` or `url`. Importing under an existing name
+ * replaces that list.
+ */
+export async function importList(
+  input: { name?: unknown; content?: unknown; url?: unknown },
+  context: { ip?: string } = {}
+): Promise<{ list: DenylistList; unpinned: number }> {
+  if (typeof input.name !== "string" || !input.name.trim()) {
+    throw new DenylistError("name is required");
+  }
+  const name = input.name.trim().slice(0, 100);
+  let content: string;
+  let source: string | null = null;
+  if (typeof input.content === "string" && input.content) {
+    content = input.content;
+  } else if (typeof input.url === "string" && input.url) {
+    content = await fetchList(input.url);
+    source = input.url;
+  } else {
+    throw new DenylistError("content or url is required");
+  }
+
+  const { hashes, skipped } = parseDenylist(content);
+  if (hashes.length === 0) {
+    throw new DenylistError("No usable rules found in the list");
+  }
+
+  const store = loadStore();
+  const existing = Object.values(store.lists).find((list) => list.name === name);
+  const list: StoredList = {
+    id: existing?.id || `list_${randomBytes(8).toString("hex")}`,
+    name,
+    source,
+    importedAt: Date.now(),
+    count: hashes.length,
+    skipped,
+    hashes,
+  };
+  store.lists[list.id] = list;
+  saveStore(store);
+
+  auditLog.append({
+    action: "import",
+    listId: list.id,
+    reason: name,
+    count: hashes.length,
+    ip: context.ip,
+    ok: true,
+  });
+  log.warn({ name, count: hashes.length, skipped }, "🚫 Denylist imported");
+
+  const unpinned = moderationConfig.autoUnpin ? await sweepBlockedPins() : 0;
+  const { hashes: _hashes, ...publicList } = list;
+  return { list: publicList, unpinned };
+}
+
+export function removeList(id: string, context: { ip?: string } = {}): DenylistList {
+  const store = loadStore();
+  const list = store.lists[id];
+  if (!list) throw new DenylistError("Denylist not found", 404);
+
+  delete store.lists[id];
+  saveStore(store);
+  auditLog.append({
+    action: "remove-list",
+    listId: id,
+    reason: list.name,
+    count: list.count,
+    ip: context.ip,
+    ok: true,
+  });
+  const { hashes: _hashes, ...publicList } = list;
+  return publicList;
+}
+
+// ============================================================================
+// PINS
+// ============================================================================
+
+async function unpinBlocked(cid: string, ruleId: string): Promise<boolean> {
+  try {
+    await ipfsRequest(`/api/v0/pin/rm?arg=${encodeURIComponent(cid)}`, {
+      timeout: 30000,
+      maxRetries: 1,
+    });
+  } catch (error: any) {
+    // Never pinned here
+    if (/not pinned/i.test(error.message)) return false;
+    auditLog.append({ action: "unpin", cid, entryId: ruleId, ok: false, error: error.message });
+    log.error({ err: error, cid }, "❌ Failed to unpin denylisted CID");
+    return false;
+  }
+  auditLog.append({ action: "unpin", cid, entryId: ruleId, ok: true });
+  log.warn({ cid }, "🚫 Unpinned denylisted CID");
+  return true;
+}
+
+/**
+ * Unpin every recursive pin that matches a rule. Only pin roots are
+ * checked; blocked files inside a pinned directory are refused at read time.
+ */
+export async function sweepBlockedPins(): Promise<number> {
+  if (getIndex().size === 0) return 0;
+
+  let pins: Record<string, unknown>;
+  try {
+    const result: any = await ipfsRequest("/api/v0/pin/ls?type=recursive", {
+      timeout: 60000,
+      maxRetries: 1,
+    });
+    pins = result?.Keys || {};
+  } catch (error) {
+    log.warn({ err: error }, "Denylist sweep: could not list pins");
+    return 0;
+  }
+
+  let unpinned = 0;
+  for (const cid of Object.keys(pins)) {
+    const match = findBlock(cid);
+    if (match && (await unpinBlocked(cid, match.id))) unpinned++;
+  }
+  return unpinned;
+}
+
+/**
+ * Blocked CIDs among everything `rootCid` links to (used for new uploads)
+ */
+export async function findBlockedRefs(rootCid: string): Promise<string[]> {
+  if (getIndex().size === 0) return [];
+
+  const output = await ipfsRequest(
+    `/api/v0/refs?arg=${encodeURIComponent(rootCid)}&recursive=true&unique=true`,
+    { timeout: 60000, maxRetries: 1 }
+  );
+  // NDJSON ({"Ref": ...} per line), or one object when there is a single ref
+  const lines =
+    typeof output === "string"
+      ? output.split("\n").filter(Boolean)
+      : [JSON.stringify(output as Record<string, unknown>)];
+  const refs = lines
+    .map((line) => {
+      try {
+        return JSON.parse(line).Ref as string;
+      } catch {
+        return null;
+      }
+    })
+    .filter((ref): ref is string => !!ref);
+
+  return [rootCid, ...refs].filter((cid) => isBlocked(cid));
+}
+
+// ============================================================================
+// AUDIT AND SWEEP
+// ============================================================================
+
+export function recordModeration(entry: Omit<ModerationAuditEntry, "at">): void {
+  auditLog.append(entry);
+}
+
+/**
+ * Newest audit entries first
+ */
+export function readModerationAudit(
+  filter: { action?: ModerationAction; cid?: string; since?: number } = {},
+  limit = 100
+): ModerationAuditEntry[] {
+  return auditLog.read(
+    (entry) =>
+      (!filter.action || entry.action === filter.action) &&
+      (!filter.cid || entry.cid === filter.cid),
+    { since: filter.since, limit }
+  );
+}
+
+export function startDenylistSweep(): void {
+  if (sweepInterval || !moderationConfig.autoUnpin || moderationConfig.sweepIntervalMs <= 0) {
+    return;
+  }
+  const sweep = () =>
+    void sweepBlockedPins()
+      .then((count) => {
+        if (count > 0) log.warn({ count }, "🚫 Denylist sweep unpinned blocked content");
+      })
+      .catch((error) => log.warn({ err: error }, "Denylist sweep failed"));
+
+  sweep();
+  sweepInterval = setInterval(sweep, moderationConfig.sweepIntervalMs);
+  sweepInterval.unref();
+}
+
+export function stopDenylistSweep(): void {
+  if (sweepInterval) {
+    clearInterval(sweepInterval);
+    sweepInterval = null;
+  }
+}
@@ -0,0 +1,479 @@
+/**
+ * Drive Store
+ *
+ * Hierarchical file tree for the relay drive. File bytes live in IPFS,
+ * while the tree (directories, file -> CID mapping) and public links
+ * are persisted as JSON in the relay data directory.
+ *
+ * @module utils/drive-store
+ */
+
+import { randomBytes } from "crypto";
+import { createJsonStore } from "./json-store";
+
+export type DriveEntryType = "file" | "directory";
+
+export interface DriveEntry {
+  name: string;
+  path: string;
+  type: DriveEntryType;
+  size: number;
+  modified: number;
+  cid?: string;
+  mimetype?: string;
+}
+
+export interface DriveLink {
+  linkId: string;
+  filePath: string;
+  createdAt: number;
+  expiresAt: number | null;
+  accessCount: number;
+  lastAccessedAt: number | null;
+}
+
+export interface DriveStore {
+  entries: Record<string, DriveEntry>; // Normalized path -> entry
+  links: Record<string, DriveLink>; // linkId -> link
+}
+
+export interface DriveStats {
+  totalBytes: number;
+  totalSizeMB: string;
+  totalSizeGB: string;
+  fileCount: number;
+  dirCount: number;
+}
+
+/**
+ * Error raised for invalid drive operations (bad path, missing entry, conflicts).
+ * `status` is the HTTP status the route should answer with.
+ */
+export class DriveError extends Error {
+  status: number;
+
+  constructor(message: string, status: number = 400) {
+    super(message);
+    this.name = "DriveError";
+    this.status = status;
+  }
+}
+
+const storeFile = createJsonStore<DriveStore>("drive.json", {
+  parse: (raw) => ({ entries: raw.entries || {}, links: raw.links || {} }),
+  pretty: true,
+});
+
+/**
+ * Normalize a user supplied drive path.
+ * Returns "" for the root directory. Rejects "." and ".." segments.
+ */
+export function normalizeDrivePath(input: string | undefined | null): string {
+  if (!input) return "";
+
+  const segments = String(input)
+    .replace(/\\/g, "/")
+    .split("/")
+    .filter((segment) => segment.length > 0);
+
+  for (const segment of segments) {
+    if (segment === "." || segment === "..") {
+      throw new DriveError("Invalid path: relative segments are not allowed");
+    }
+  }
+
+  return segments.join("/");
+}
+
+/**
+ * Validate a single file or directory name
+ */
+function validateName(name: string): string {
+  const trimmed = (name || "").trim();
+  if (!trimmed || trimmed === "." || trimmed === ".." || /[/\\]/.test(trimmed)) {
+    throw new DriveError("Invalid name");
+  }
+  return trimmed;
+}
+
+function joinPath(parent: string, name: string): string {
+  return parent ? `${parent}/${name}` : name;
+}
+
+function parentOf(entryPath: string): string {
+  const idx = entryPath.lastIndexOf("/");
+  return idx === -1 ? "" : entryPath.substring(0, idx);
+}
+
+function isSameOrDescendant(candidate: string, ancestor: string): boolean {
+  return candidate === ancestor || candidate.startsWith(`${ancestor}/`);
+}
+
+/**
+ * Load store from disk
+ */
+export function loadDriveStore(): DriveStore {
+  return storeFile.load();
+}
+
+/**
+ * Save store to disk
+ */
+function saveDriveStore(data: DriveStore): void {
+  storeFile.save(data);
+}
+
+/**
+ * Drop the in-memory cache (used by tests)
+ */
+export function resetDriveStoreCache(): void {
+  storeFile.reset();
+}
+
+function requireDirectory(store: DriveStore, dirPath: string): void {
+  if (dirPath === "") return;
+  const entry = store.entries[dirPath];
+  if (!entry) {
+    throw new DriveError(`Directory not found: ${dirPath}`, 404);
+  }
+  if (entry.type !== "directory") {
+    throw new DriveError(`Not a directory: ${dirPath}`);
+  }
+}
+
+/**
+ * Get a single entry
+ */
+export function getEntry(entryPath: string): DriveEntry | null {
+  const store = loadDriveStore();
+  const entry = store.entries[normalizeDrivePath(entryPath)];
+  return entry ? { ...entry } : null;
+}
+
+/**
+ * List the direct children of a directory, directories first
+ */
+export function listDirectory(dirPath: string): DriveEntry[] {
+  const store = loadDriveStore();
+  const normalized = normalizeDrivePath(dirPath);
+  requireDirectory(store, normalized);
+
+  return Object.values(store.entries)
+    .filter((entry) => parentOf(entry.path) === normalized)
+    .map(({ name, path: entryPath, type, size, modified }) => ({
+      name,
+      path: entryPath,
+      type,
+      size,
+      modified,
+    }))
+    .sort((a, b) => {
+      if (a.type !== b.type) return a.type === "directory" ? -1 : 1;
+      return a.name.localeCompare(b.name);
+    });
+}
+
+/**
+ * Create a directory inside `parentPath`
+ */
+export function createDirectory(parentPath: string, name: string): DriveEntry {
+  const store = loadDriveStore();
+  const parent = normalizeDrivePath(parentPath);
+  requireDirectory(store, parent);
+
+  const dirName = validateName(name);
+  const dirPath = joinPath(parent, dirName);
+  if (store.entries[dirPath]) {
+    throw new DriveError(`Entry already exists: ${dirPath}`, 409);
+  }
+
+  const entry: DriveEntry = {
+    name: dirName,
+    path: dirPath,
+    type: "directory",
+    size: 0,
+    modified: Date.now(),
+  };
+  store.entries[dirPath] = entry;
+  saveDriveStore(store);
+  return { ...entry };
+}
+
+/**
+ * Add or replace a file. Returns the new entry and the CID of the replaced
+ * file (if any) so the caller can unpin it when no longer referenced.
+ */
+export function putFile(
+  parentPath: string,
+  name: string,
+  file: { cid: string; size: number; mimetype?: string }
+): { entry: DriveEntry; replacedCid: string | null } {
+  const store = loadDriveStore();
+  const parent = normalizeDrivePath(parentPath);
+  requireDirectory(store, parent);
+
+  const fileName = validateName(name);
+  const filePath = joinPath(parent, fileName);
+  const existing = store.entries[filePath];
+  if (existing && existing.type === "directory") {
+    throw new DriveError(`A directory with this name already exists: ${filePath}`, 409);
+  }
+
+  const entry: DriveEntry = {
+    name: fileName,
+    path: filePath,
+    type: "file",
+    size: file.size,
+    modified: Date.now(),
+    cid: file.cid,
+    mimetype: file.mimetype,
+  };
+  store.entries[filePath] = entry;
+  saveDriveStore(store);
+
+  const replacedCid = existing?.cid && existing.cid !== file.cid ? existing.cid : null;
+  return { entry: { ...entry }, replacedCid };
+}
+
+/**
+ * Collect CIDs that are no longer referenced by any file in the drive
+ */
+function collectOrphanCids(store: DriveStore, candidates: string[]): string[] {
+  const referenced = new Set(
+    Object.values(store.entries)
+      .filter((entry) => entry.type === "file" && entry.cid)
+      .map((entry) => entry.cid as string)
+  );
+  return [...new Set(candidates)].filter((cid) => !referenced.has(cid));
+}
+
+/**
+ * Returns true if no file in the drive references `cid`
+ */
+export function isCidOrphaned(cid: string): boolean {
+  return collectOrphanCids(loadDriveStore(), [cid]).length === 1;
+}
+
+/**
+ * Delete a file or a directory (recursively).
+ * Returns the CIDs that became unreferenced and can be unpinned.
+ */
+export function deleteEntry(entryPath: string): { removed: number; orphanedCids: string[] } {
+  const store = loadDriveStore();
+  const target = normalizeDrivePath(entryPath);
+  if (!target) {
+    throw new DriveError("Cannot delete the root directory");
+  }
+  if (!store.entries[target]) {
+    throw new DriveError(`Entry not found: ${target}`, 404);
+  }
+
+  const removedCids: string[] = [];
+  let removed = 0;
+  for (const key of Object.keys(store.entries)) {
+    if (isSameOrDescendant(key, target)) {
+      const cid = store.entries[key].cid;
+      if (cid) removedCids.push(cid);
+      delete store.entries[key];
+      removed++;
+    }
+  }
+
+  for (const [linkId, link] of Object.entries(store.links)) {
+    if (isSameOrDescendant(link.filePath, target)) {
+      delete store.links[linkId];
+    }
+  }
+
+  saveDriveStore(store);
+  return { removed, orphanedCids: collectOrphanCids(store, removedCids) };
+}
+
+/**
+ * Move `sourcePath` (and its subtree) to `destPath`, updating public links
+ */
+function relocate(store: DriveStore, sourcePath: string, destPath: string): DriveEntry {
+  if (!store.entries[sourcePath]) {
+    throw new DriveError(`Entry not found: ${sourcePath}`, 404);
+  }
+  if (store.entries[destPath]) {
+    throw new DriveError(`Entry already exists: ${destPath}`, 409);
+  }
+  if (isSameOrDescendant(destPath, sourcePath)) {
+    throw new DriveError("Cannot move a directory into itself");
+  }
+  requireDirectory(store, parentOf(destPath));
+
+  const now = Date.now();
+  let moved: DriveEntry | null = null;
+  for (const key of Object.keys(store.entries)) {
+    if (!isSameOrDescendant(key, sourcePath)) continue;
+    const newPath = destPath + key.substring(sourcePath.length);
+    const entry = store.entries[key];
+    delete store.entries[key];
+    const updated: DriveEntry = { ...entry, path: newPath };
+    if (key === sourcePath) {
+      updated.name = newPath.substring(newPath.lastIndexOf("/") + 1);
+      updated.modified = now;
+      moved = updated;
+    }
+    store.entries[newPath] = updated;
+  }
+
+  for (const link of Object.values(store.links)) {
+    if (isSameOrDescendant(link.filePath, sourcePath)) {
+      link.filePath = destPath + link.filePath.substring(sourcePath.length);
+    }
+  }
+
+  saveDriveStore(store);
+  return { ...moved! };
+}
+
+/**
+ * Rename an entry in place
+ */
+export function renameEntry(oldPath: string, newName: string): DriveEntry {
+  const store = loadDriveStore();
+  const source = normalizeDrivePath(oldPath);
+  if (!source) {
+    throw new DriveError("Cannot rename the root directory");
+  }
+  return relocate(store, source, joinPath(parentOf(source), validateName(newName)));
+}
+
+/**
+ * Move an entry into the directory `destPath`
+ */
+export function moveEntry(sourcePath: string, destPath: string): DriveEntry {
+  const store = loadDriveStore();
+  const source = normalizeDrivePath(sourcePath);
+  if (!source) {
+    throw new DriveError("Cannot move the root directory");
+  }
+  const destDir = normalizeDrivePath(destPath);
+  const name = source.substring(source.lastIndexOf("/") + 1);
+  return relocate(store, source, joinPath(destDir, name));
+}
+
+/**
+ * Aggregate drive statistics
+ */
+export function getDriveStats(): DriveStats {
+  const store = loadDriveStore();
+  let totalBytes = 0;
+  let fileCount = 0;
+  let dirCount = 0;
+
+  for (const entry of Object.values(store.entries)) {
+    if (entry.type === "directory") {
+      dirCount++;
+    } else {
+      fileCount++;
+      totalBytes += entry.size || 0;
+    }
+  }
+
+  return {
+    totalBytes,
+    totalSizeMB: (totalBytes / (1024 * 1024)).toFixed(2),
+    totalSizeGB: (totalBytes / (1024 * 1024 * 1024)).toFixed(2),
+    fileCount,
+    dirCount,
+  };
+}
+
+/**
+ * Create a public link for a file
+ */
+export function createLink(filePath: string, expiresInDays?: number | null): DriveLink {
+  const store = loadDriveStore();
+  const target = normalizeDrivePath(filePath);
+  const entry = store.entries[target];
+  if (!entry) {
+    throw new DriveError(`File not found: ${target}`, 404);
+  }
+  if (entry.type !== "file") {
+    throw new DriveError("Public links can only be created for files");
+  }
+
+  let expiresAt: number | null = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      throw new DriveError("expiresInDays must be a positive number");
+    }
+    expiresAt = Date.now() + days * 24 * 60 * 60 * 1000;
+  }
+
+  const link: DriveLink = {
+    linkId: randomBytes(16).toString("hex"),
+    filePath: target,
+    createdAt: Date.now(),
+    expiresAt,
+    accessCount: 0,
+    lastAccessedAt: null,
+  };
+  store.links[link.linkId] = link;
+  saveDriveStore(store);
+  return { ...link };
+}
+
+/**
+ * List public links (expired links are pruned)
+ */
+export function listLinks(): DriveLink[] {
+  const store = loadDriveStore();
+  const now = Date.now();
+  let pruned = false;
+
+  for (const [linkId, link] of Object.entries(store.links)) {
+    if (link.expiresAt !== null && link.expiresAt <= now) {
+      delete store.links[linkId];
+      pruned = true;
+    }
+  }
+  if (pruned) saveDriveStore(store);
+
+  return Object.values(store.links)
+    .map((link) => ({ ...link }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Revoke a public link
+ */
+export function revokeLink(linkId: string): boolean {
+  const store = loadDriveStore();
+  if (!store.links[linkId]) return false;
+  delete store.links[linkId];
+  saveDriveStore(store);
+  return true;
+}
+
+/**
+ * Resolve a public link to its file, recording the access.
+ * Throws 404 for unknown links and 410 for expired ones.
+ */
+export function resolveLink(linkId: string): { link: DriveLink; entry: DriveEntry } {
+  const store = loadDriveStore();
+  const link = store.links[linkId];
+  if (!link) {
+    throw new DriveError("Link not found", 404);
+  }
+  if (link.expiresAt !== null && link.expiresAt <= Date.now()) {
+    delete store.links[linkId];
+    saveDriveStore(store);
+    throw new DriveError("Link has expired", 410);
+  }
+
+  const entry = store.entries[link.filePath];
+  if (!entry || entry.type !== "file" || !entry.cid) {
+    throw new DriveError("Linked file no longer exists", 404);
+  }
+
+  link.accessCount++;
+  link.lastAccessedAt = Date.now();
+  saveDriveStore(store);
+  return { link: { ...link }, entry: { ...entry } };
+}
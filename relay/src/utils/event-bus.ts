@@ -0,0 +1,79 @@
+/**
+ * Relay Event Bus
+ *
+ * In-process notifications for things that happen on the relay: pins,
+ * system hash records, wormhole cleanup, retention runs, blocked alias
+ * claims, peer connections and bans. Producers fire and forget with
+ * emitRelayEvent(); consumers (webhooks for now) subscribe with
+ * onRelayEvent().
+ *
+ * @module utils/event-bus
+ */
+
+import { EventEmitter } from "events";
+import { randomBytes } from "crypto";
+import { loggers } from "./logger";
+
+export const RELAY_EVENT_TYPES = [
+  "pin.added",
+  "pin.removed",
+  "systemhash.saved",
+  "systemhash.removed",
+  "wormhole.cleaned",
+  "retention.completed",
+  "alias.blocked",
+  "peer.connected",
+  "peer.disconnected",
+  "peer.banned",
+] as const;
+export type RelayEventType = (typeof RELAY_EVENT_TYPES)[number];
+
+export interface RelayEvent {
+  id: string;
+  type: RelayEventType | "webhook.test";
+  timestamp: number;
+  data: Record<string, any>;
+}
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+/**
+ * Build an event without publishing it (test deliveries use this)
+ */
+export function createRelayEvent(
+  type: RelayEvent["type"],
+  data: Record<string, any> = {}
+): RelayEvent {
+  return {
+    id: `evt_${randomBytes(12).toString("hex")}`,
+    type,
+    timestamp: Date.now(),
+    data,
+  };
+}
+
+/**
+ * Publish an event. A failing subscriber never breaks the code that emitted it.
+ */
+export function emitRelayEvent(type: RelayEventType, data: Record<string, any> = {}): RelayEvent {
+  const event = createRelayEvent(type, data);
+  for (const listener of bus.listeners("event")) {
+    try {
+      listener(event);
+    } catch (error) {
+      loggers.server.error({ err: error, type }, "❌ Relay event listener failed");
+    }
+  }
+  return event;
+}
+
+/**
+ * Subscribe to every relay event. Returns an unsubscribe function.
+ */
+export function onRelayEvent(listener: (event: RelayEvent) => void): () => void {
+  bus.on("event", listener);
+  return () => {
+    bus.off("event", listener);
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * File Store Adapter for Gun Radisk
+ *
+ * Reads and writes the directory used by Gun's default file storage
+ * (`STORAGE_TYPE=radisk`) through the same interface as the SQLite and S3
+ * stores, so backups and migrations can treat all three alike:
+ * - get(file, cb): Read a radisk file
+ * - put(file, data, cb): Write a radisk file (atomically)
+ * - list(cb): List all radisk files
+ *
+ * The relay keeps its own state (API keys, quotas, SQLite databases, upload
+ * spools...) in the same data directory, so list() skips subdirectories and
+ * files with the extensions used by that state.
+ */
+
+import fs from "fs";
+import path from "path";
+
+type GetCallback = (err: Error | null, data: string | null) => void;
+type PutCallback = (err: Error | null, ok: number | null) => void;
+type ListCallback = (file: string | null) => void;
+
+interface FileStoreOptions {
+  dir: string;
+}
+
+const NON_RADISK_FILE = /\.(json|db|db-wal|db-shm|tmp|log|gz)$/;
+
+class FileStore {
+  private dir: string;
+
+  constructor(options: FileStoreOptions) {
+    this.dir = options.dir;
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  private resolve(file: string): string {
+    if (!file || file.includes("/") || file.includes("\\") || file === "." || file === "..") {
+      throw new Error(`Invalid radisk file name: ${file}`);
+    }
+    return path.join(this.dir, file);
+  }
+
+  /**
+   * Get a radisk file
+   * @param file - File name (encoded)
+   * @param cb - Callback(err, data)
+   */
+  get(file: string, cb: GetCallback): void {
+    let filePath: string;
+    try {
+      filePath = this.resolve(file);
+    } catch (err) {
+      return cb(err as Error, null);
+    }
+
+    fs.readFile(filePath, "utf-8", (err, data) => {
+      if (err) {
+        return cb(err.code === "ENOENT" ? null : err, null);
+      }
+      cb(null, data);
+    });
+  }
+
+  /**
+   * Write a radisk file via a temporary file and rename
+   * @param file - File name (encoded)
+   * @param data - File contents
+   * @param cb - Callback(err, ok)
+   */
+  put(file: string, data: string, cb: PutCallback): void {
+    let filePath: string;
+    try {
+      filePath = this.resolve(file);
+    } catch (err) {
+      return cb(err as Error, null);
+    }
+
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFile(tmpPath, data, "utf-8", (writeErr) => {
+      if (writeErr) return cb(writeErr, null);
+      fs.rename(tmpPath, filePath, (renameErr) => cb(renameErr, renameErr ? null : 1));
+    });
+  }
+
+  /**
+   * List all radisk files
+   * @param cb - Callback(file) called for each file, then with null when done
+   */
+  list(cb: ListCallback): void {
+    fs.readdir(this.dir, { withFileTypes: true }, (err, entries) => {
+      if (!err) {
+        for (const entry of entries) {
+          if (entry.isFile() && !NON_RADISK_FILE.test(entry.name)) {
+            cb(entry.name);
+          }
+        }
+      }
+      cb(null);
+    });
+  }
+
+  close(): void {
+    // Nothing to release
+  }
+}
+
+export default FileStore;
@@ -0,0 +1,559 @@
+/**
+ * Graph Query, Export and Import
+ *
+ * Walks the Gun/ZEN graph breadth-first from a soul, following `{ "#": soul }`
+ * references up to a depth limit. Every walk has a node budget, so a query
+ * against a large graph ends after `maxNodes` reads instead of hanging.
+ *
+ * - queryGraph(): one page of the walk; `nextCursor` resumes the same walk,
+ *   which is kept in memory for a few minutes, so pages do not re-read
+ *   the nodes before them
+ * - walkGraph(): the whole walk, for streaming exports (NDJSON or JSON-LD)
+ * - importGraph(): puts exported nodes into another instance
+ *
+ * NDJSON export format (version 2):
+ *   line 1:  { format, version, root, depth, exportedAt }
+ *   nodes:   { soul, data, state }   data without Gun's `_` metadata;
+ *                                    state is the HAM state of each key
+ *   last:    { end: true, nodes, truncated }
+ * Version 1 exports carry no states and are still accepted.
+ *
+ * Imported nodes are written with put(), which stamps new HAM states, so
+ * values the target holds at a newer state than the export are left alone.
+ * JSON-LD carries no states. User space (`~` souls) is skipped because SEA
+ * signatures cover the original states and would no longer verify.
+ *
+ * @module utils/graph-query
+ */
+
+import { randomBytes } from "crypto";
+import { loggers } from "./logger";
+
+const log = loggers.server;
+
+export const GRAPH_EXPORT_FORMAT = "shogun-graph";
+export const GRAPH_EXPORT_VERSION = 2;
+export const GRAPH_EXPORT_FORMATS = ["ndjson", "jsonld"] as const;
+export type GraphExportFormat = (typeof GRAPH_EXPORT_FORMATS)[number];
+
+export const MAX_GRAPH_DEPTH = 10;
+export const MAX_QUERY_NODES = 10000;
+export const MAX_EXPORT_NODES = 100000;
+export const MAX_IMPORT_NODES = 10000;
+
+export const GRAPH_JSONLD_CONTEXT = { "@vocab": "urn:shogun:graph:" };
+
+// A node that does not answer in time is reported as missing
+const NODE_READ_TIMEOUT_MS = 3000;
+const PUT_TIMEOUT_MS = 10000;
+// Reads and puts in flight at once
+const CONCURRENCY = 8;
+const MAX_SOUL_LENGTH = 500;
+// Walks waiting for their next page
+const CURSOR_TTL_MS = 5 * 60 * 1000;
+const MAX_OPEN_CURSORS = 100;
+
+export type GraphValue = string | number | boolean | null | { "#": string };
+
+export interface GraphNode {
+  soul: string;
+  depth: number;
+  /** null: the node is empty or did not answer in time */
+  data: Record<string, GraphValue> | null;
+  /** Souls this node links to, through the keys that passed the filter */
+  refs: string[];
+  /** HAM state of each key in `data` */
+  state?: Record<string, number>;
+}
+
+export type GraphImportNode = {
+  soul: string;
+  data: Record<string, GraphValue>;
+  state?: Record<string, number>;
+};
+
+export interface GraphWalkOptions {
+  soul: string;
+  depth?: number;
+  /** Keys to keep at every node; an entry ending in `*` matches by prefix */
+  keys?: string[];
+  maxNodes?: number;
+}
+
+export interface GraphWalkSummary {
+  visited: number;
+  /** The node budget ran out before the walk did */
+  truncated: boolean;
+}
+
+export interface GraphPage {
+  soul: string;
+  depth: number;
+  nodes: GraphNode[];
+  count: number;
+  nextCursor: string | null;
+  truncated: boolean;
+}
+
+export interface GraphImportResult {
+  nodes: number;
+  imported: number;
+  skipped: string[];
+  /** Values left alone because the target holds them at a newer state */
+  stale: number;
+  failed: Array<{ soul: string; error: string }>;
+  dryRun: boolean;
+}
+
+/**
+ * Invalid query, cursor or import. Routes answer with `status`.
+ */
+export class GraphQueryError extends Error {
+  status: number;
+
+  constructor(message: string, status = 400) {
+    super(message);
+    this.name = "GraphQueryError";
+    this.status = status;
+  }
+}
+
+function isRef(value: any): value is { "#": string } {
+  return !!value && typeof value === "object" && typeof value["#"] === "string" && !!value["#"];
+}
+
+function keyMatcher(keys: string[] | undefined): (key: string) => boolean {
+  if (!keys?.length) return () => true;
+  const exact = new Set(keys.filter((key) => !key.endsWith("*")));
+  const prefixes = keys.filter((key) => key.endsWith("*")).map((key) => key.slice(0, -1));
+  return (key) => exact.has(key) || prefixes.some((prefix) => key.startsWith(prefix));
+}
+
+function checkSoul(soul: any): string {
+  if (typeof soul !== "string" || !soul.trim() || soul.length > MAX_SOUL_LENGTH) {
+    throw new GraphQueryError("soul must be a non-empty string");
+  }
+  return soul.trim();
+}
+
+function readNode(gun: any, soul: string): Promise<any> {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(undefined), NODE_READ_TIMEOUT_MS);
+    gun.get(soul).once((data: any) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+/**
+ * Walk the graph breadth-first from `options.soul`. Keys are visited in
+ * sorted order, so the same graph always yields the same sequence.
+ * @param summary - filled in as the walk goes (visited count, truncation)
+ */
+export async function* walkGraph(
+  gun: any,
+  options: GraphWalkOptions,
+  summary: GraphWalkSummary = { visited: 0, truncated: false }
+): AsyncGenerator<GraphNode> {
+  const root = checkSoul(options.soul);
+  const maxDepth = options.depth ?? 1;
+  const maxNodes = options.maxNodes ?? MAX_QUERY_NODES;
+  const matches = keyMatcher(options.keys);
+
+  const seen = new Set<string>([root]);
+  let frontier = [root];
+
+  for (let depth = 0; depth <= maxDepth && frontier.length > 0; depth++) {
+    const next: string[] = [];
+
+    for (let i = 0; i < frontier.length; i += CONCURRENCY) {
+      const budget = maxNodes - summary.visited;
+      if (budget <= 0) {
+        summary.truncated = true;
+        return;
+      }
+      const batch = frontier.slice(i, i + Math.min(CONCURRENCY, budget));
+      const raws = await Promise.all(batch.map((soul) => readNode(gun, soul)));
+
+      for (let j = 0; j < batch.length; j++) {
+        summary.visited++;
+        const raw = raws[j];
+        const node: GraphNode = { soul: batch[j], depth, data: null, refs: [] };
+
+        if (raw && typeof raw === "object") {
+          const states = raw._?.[">"] || {};
+          node.data = {};
+          node.state = {};
+          for (const key of Object.keys(raw).sort()) {
+            if (key === "_" || !matches(key)) continue;
+            const value = raw[key];
+            if (typeof states[key] === "number") node.state[key] = states[key];
+            if (isRef(value)) {
+              node.data[key] = { "#": value["#"] };
+              node.refs.push(value["#"]);
+              if (depth < maxDepth && !seen.has(value["#"])) {
+                seen.add(value["#"]);
+                next.push(value["#"]);
+              }
+            } else if (value === null || typeof value !== "object") {
+              node.data[key] = value;
+            }
+          }
+        }
+        yield node;
+      }
+    }
+    frontier = next;
+  }
+}
+
+interface OpenWalk {
+  /** The walk options the cursor belongs to */
+  query: string;
+  walk: AsyncGenerator<GraphNode>;
+  summary: GraphWalkSummary;
+  /** First node of the next page, read to know there is one */
+  next: GraphNode;
+  expiresAt: number;
+}
+
+const openWalks = new Map<string, OpenWalk>();
+
+function closeWalk(cursor: string): void {
+  const open = openWalks.get(cursor);
+  if (!open) return;
+  openWalks.delete(cursor);
+  open.walk.return(undefined).catch(() => {});
+}
+
+function sweepWalks(now: number): void {
+  for (const [cursor, open] of openWalks) {
+    if (open.expiresAt <= now) closeWalk(cursor);
+  }
+  // Oldest first: Map keeps insertion order
+  for (const cursor of openWalks.keys()) {
+    if (openWalks.size < MAX_OPEN_CURSORS) break;
+    closeWalk(cursor);
+  }
+}
+
+/**
+ * Drop every open walk (used by tests)
+ */
+export function closeGraphCursors(): void {
+  for (const cursor of [...openWalks.keys()]) closeWalk(cursor);
+}
+
+/**
+ * One page of a walk. `nextCursor` names the suspended walk, so the next
+ * page carries on from the same frontier and seen set. A cursor is used
+ * once and expires after CURSOR_TTL_MS.
+ */
+export async function queryGraph(
+  gun: any,
+  options: GraphWalkOptions & { limit?: number; cursor?: string }
+): Promise<GraphPage> {
+  const soul = checkSoul(options.soul);
+  const depth = options.depth ?? 1;
+  const limit = options.limit ?? 100;
+  const query = JSON.stringify([soul, depth, options.keys || [], options.maxNodes ?? null]);
+  const now = Date.now();
+  sweepWalks(now);
+
+  let walk: AsyncGenerator<GraphNode>;
+  let summary: GraphWalkSummary;
+  const nodes: GraphNode[] = [];
+  if (options.cursor) {
+    const open = openWalks.get(options.cursor);
+    if (!open) throw new GraphQueryError("Cursor expired or unknown, start the query again", 410);
+    if (open.query !== query) throw new GraphQueryError("Invalid cursor for this query");
+    openWalks.delete(options.cursor);
+    ({ walk, summary } = open);
+    nodes.push(open.next);
+  } else {
+    summary = { visited: 0, truncated: false };
+    walk = walkGraph(gun, { ...options, soul, depth }, summary);
+  }
+
+  let nextCursor: string | null = null;
+  while (true) {
+    const step = await walk.next();
+    if (step.done) break;
+    if (nodes.length === limit) {
+      nextCursor = randomBytes(16).toString("base64url");
+      openWalks.set(nextCursor, {
+        query,
+        walk,
+        summary,
+        next: step.value,
+        expiresAt: now + CURSOR_TTL_MS,
+      });
+      break;
+    }
+    nodes.push(step.value);
+  }
+
+  return {
+    soul,
+    depth,
+    nodes,
+    count: nodes.length,
+    nextCursor,
+    truncated: !nextCursor && summary.truncated,
+  };
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * A node as a JSON-LD object: the soul is `@id` and links are `{ "@id" }`
+ */
+export function toJsonLdNode(node: GraphNode): Record<string, any> {
+  const out: Record<string, any> = { "@id": node.soul };
+  for (const [key, value] of Object.entries(node.data || {})) {
+    out[key] = isRef(value) ? { "@id": value["#"] } : value;
+  }
+  return out;
+}
+
+/**
+ * Serialized export, one chunk per node, for streaming to a response
+ */
+export async function* exportGraph(
+  gun: any,
+  options: GraphWalkOptions,
+  format: GraphExportFormat
+): AsyncGenerator<string> {
+  const soul = checkSoul(options.soul);
+  const depth = options.depth ?? 1;
+  const summary: GraphWalkSummary = { visited: 0, truncated: false };
+  let exported = 0;
+
+  if (format === "ndjson") {
+    yield JSON.stringify({
+      format: GRAPH_EXPORT_FORMAT,
+      version: GRAPH_EXPORT_VERSION,
+      root: soul,
+      depth,
+      exportedAt: Date.now(),
+    }) + "\n";
+  } else {
+    yield `{"@context":${JSON.stringify(GRAPH_JSONLD_CONTEXT)},"@graph":[`;
+  }
+
+  for await (const node of walkGraph(gun, { ...options, soul, depth }, summary)) {
+    if (!node.data) continue;
+    if (format === "ndjson") {
+      yield JSON.stringify({ soul: node.soul, data: node.data, state: node.state }) + "\n";
+    } else {
+      yield (exported > 0 ? ",\n" : "\n") + JSON.stringify(toJsonLdNode(node));
+    }
+    exported++;
+  }
+
+  yield format === "ndjson"
+    ? JSON.stringify({ end: true, nodes: exported, truncated: summary.truncated }) + "\n"
+    : "\n]}\n";
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+function checkData(data: any, where: string, fromJsonLd = false): Record<string, GraphValue> {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new GraphQueryError(`${where}: node data must be an object`);
+  }
+  const out: Record<string, GraphValue> = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (key === "_" || (fromJsonLd && key.startsWith("@"))) continue;
+    if (value === null || ["string", "number", "boolean"].includes(typeof value)) {
+      out[key] = value as GraphValue;
+    } else if (!fromJsonLd && isRef(value)) {
+      out[key] = { "#": value["#"] };
+    } else if (fromJsonLd && typeof (value as any)?.["@id"] === "string") {
+      out[key] = { "#": (value as any)["@id"] };
+    } else {
+      throw new GraphQueryError(`${where}: unsupported value for "${key}"`);
+    }
+  }
+  return out;
+}
+
+function checkState(state: any, where: string): Record<string, number> | undefined {
+  if (state === undefined || state === null) return undefined;
+  if (typeof state !== "object" || Array.isArray(state)) {
+    throw new GraphQueryError(`${where}: state must be an object`);
+  }
+  for (const [key, value] of Object.entries(state)) {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      throw new GraphQueryError(`${where}: invalid state for "${key}"`);
+    }
+  }
+  return state;
+}
+
+/**
+ * Nodes from an NDJSON export, a JSON-LD document (`@graph`) or a query
+ * page (`nodes`)
+ */
+export function parseGraphImport(body: any): GraphImportNode[] {
+  const nodes: GraphImportNode[] = [];
+  const add = (soul: any, data: Record<string, GraphValue>, state?: Record<string, number>) => {
+    if (nodes.length >= MAX_IMPORT_NODES) {
+      throw new GraphQueryError(`An import holds at most ${MAX_IMPORT_NODES} nodes`, 413);
+    }
+    nodes.push(state ? { soul: checkSoul(soul), data, state } : { soul: checkSoul(soul), data });
+  };
+
+  // A JSON-LD document or query page sent as text
+  if (typeof body === "string") {
+    try {
+      const document = JSON.parse(body);
+      if (Array.isArray(document?.["@graph"]) || Array.isArray(document?.nodes)) body = document;
+    } catch {
+      // NDJSON
+    }
+  }
+
+  if (typeof body === "string") {
+    const lines = body.split("\n");
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line) continue;
+      let record: any;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        throw new GraphQueryError(`Line ${i + 1}: invalid JSON`);
+      }
+      if (record.format !== undefined) {
+        if (
+          record.format !== GRAPH_EXPORT_FORMAT ||
+          ![1, GRAPH_EXPORT_VERSION].includes(record.version)
+        ) {
+          throw new GraphQueryError(`Line ${i + 1}: not a ${GRAPH_EXPORT_FORMAT} export`);
+        }
+        continue;
+      }
+      if (record.end === true) break;
+      add(
+        record.soul,
+        checkData(record.data, `Line ${i + 1}`),
+        checkState(record.state, `Line ${i + 1}`)
+      );
+    }
+  } else if (Array.isArray(body?.["@graph"])) {
+    body["@graph"].forEach((entry: any, i: number) =>
+      add(entry?.["@id"], checkData(entry, `@graph[${i}]`, true))
+    );
+  } else if (Array.isArray(body?.nodes)) {
+    body.nodes.forEach((node: any, i: number) => {
+      // Missing nodes in a query page have nothing to import
+      if (node?.data !== null) {
+        add(
+          node?.soul,
+          checkData(node?.data, `nodes[${i}]`),
+          checkState(node?.state, `nodes[${i}]`)
+        );
+      }
+    });
+  } else {
+    throw new GraphQueryError("Send an NDJSON export, a JSON-LD @graph or a query page");
+  }
+
+  if (nodes.length === 0) throw new GraphQueryError("Nothing to import");
+  return nodes;
+}
+
+function putNode(gun: any, soul: string, data: Record<string, GraphValue>): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("Put timed out")), PUT_TIMEOUT_MS);
+    gun.get(soul).put(data, (ack: any) => {
+      clearTimeout(timer);
+      if (ack?.err) reject(new Error(ack.err));
+      else resolve();
+    });
+  });
+}
+
+/**
+ * The part of an exported node the target does not hold at a newer state.
+ * Without exported states every value is written.
+ */
+async function freshData(gun: any, node: GraphImportNode): Promise<Record<string, GraphValue>> {
+  if (!node.state) return node.data;
+  const current = (await readNode(gun, node.soul))?._?.[">"] || {};
+  const fresh: Record<string, GraphValue> = {};
+  for (const [key, value] of Object.entries(node.data)) {
+    const exported = node.state[key];
+    if (exported !== undefined && typeof current[key] === "number" && current[key] >= exported) {
+      continue;
+    }
+    fresh[key] = value;
+  }
+  return fresh;
+}
+
+/**
+ * Put parsed nodes into `gun`. A failed node does not stop the others.
+ */
+export async function importGraph(
+  gun: any,
+  nodes: GraphImportNode[],
+  options: { dryRun?: boolean } = {}
+): Promise<GraphImportResult> {
+  const result: GraphImportResult = {
+    nodes: nodes.length,
+    imported: 0,
+    skipped: [],
+    stale: 0,
+    failed: [],
+    dryRun: !!options.dryRun,
+  };
+  const writable = nodes.filter((node) => {
+    if (!node.soul.startsWith("~")) return true;
+    result.skipped.push(node.soul);
+    return false;
+  });
+  if (options.dryRun) {
+    result.imported = writable.length;
+    return result;
+  }
+
+  for (let i = 0; i < writable.length; i += CONCURRENCY) {
+    const batch = writable.slice(i, i + CONCURRENCY);
+    const outcomes = await Promise.allSettled(
+      batch.map(async (node) => {
+        const data = await freshData(gun, node);
+        const stale = Object.keys(node.data).length - Object.keys(data).length;
+        result.stale += stale;
+        // Nothing newer than what the target holds
+        if (stale > 0 && Object.keys(data).length === 0) return false;
+        await putNode(gun, node.soul, data);
+        return true;
+      })
+    );
+    outcomes.forEach((outcome, j) => {
+      if (outcome.status === "rejected") {
+        result.failed.push({ soul: batch[j].soul, error: outcome.reason?.message });
+      } else if (outcome.value) {
+        result.imported++;
+      }
+    });
+  }
+
+  log.info(
+    {
+      nodes: result.nodes,
+      imported: result.imported,
+      stale: result.stale,
+      failed: result.failed.length,
+    },
+    "📥 Graph import applied"
+  );
+  return result;
+}
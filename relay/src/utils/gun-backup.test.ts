@@ -0,0 +1,164 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from "vitest";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+
+const { rootDir } = vi.hoisted(() => ({
+  rootDir: `${process.env.TMPDIR || "/tmp"}/gun-backup-test-${process.pid}`,
+}));
+
+vi.mock("./logger", () => {
+  const logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+  return { loggers: { server: logger, sqlite: logger } };
+});
+
+vi.mock("../config", () => ({
+  storageConfig: { dataDir: `${rootDir}/data`, storageType: "radisk", s3: {} },
+  backupConfig: { dir: `${rootDir}/backups`, intervalHours: 0, retention: 2 },
+}));
+
+import FileStore from "./file-store";
+import SQLiteStore from "./sqlite-store";
+import {
+  BackupError,
+  createSnapshot,
+  exportStore,
+  getBackupPath,
+  importArchive,
+  listBackups,
+  migrateStore,
+  openStore,
+  verifyArchive,
+} from "./gun-backup";
+
+const RADISK_FILES: Record<string, string> = {
+  "!": JSON.stringify({ "": { ":": "root" } }),
+  "%1C": JSON.stringify({ shogun: { "#": "shogun" } }),
+  "shogun%1Bchat": JSON.stringify({ lobby: { ":": "hello", ">": 1 } }),
+};
+
+function readAll(store: any): Promise<Record<string, string>> {
+  return new Promise((resolve) => {
+    const names: string[] = [];
+    store.list(async (file: string | null) => {
+      if (file !== null) return names.push(file);
+      const result: Record<string, string> = {};
+      for (const name of names) {
+        result[name] = await new Promise<string>((done) =>
+          store.get(name, (_err: any, data: string) => done(data))
+        );
+      }
+      resolve(result);
+    });
+  });
+}
+
+/**
+ * Rewrite the decompressed lines of an archive
+ */
+function editArchive(archivePath: string, edit: (lines: string[]) => string[]) {
+  const lines = zlib.gunzipSync(fs.readFileSync(archivePath)).toString().trim().split("\n");
+  fs.writeFileSync(archivePath, zlib.gzipSync(`${edit(lines).join("\n")}\n`));
+}
+
+describe("Gun backups", () => {
+  const dataDir = `${rootDir}/data`;
+  const archive = `${rootDir}/backups/manual.ndjson.gz`;
+  let source: FileStore;
+
+  beforeEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+    fs.mkdirSync(`${dataDir}/upload-sessions`, { recursive: true });
+    for (const [file, data] of Object.entries(RADISK_FILES)) {
+      fs.writeFileSync(path.join(dataDir, file), data);
+    }
+    // Relay state sharing the data directory is not part of the graph
+    fs.writeFileSync(path.join(dataDir, "api-keys.json"), "{}");
+    source = new FileStore({ dir: dataDir });
+  });
+
+  afterAll(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it("exports radisk files, verifies and restores them into SQLite", async () => {
+    const manifest = await exportStore(source, archive, "radisk");
+    expect(manifest).toMatchObject({ version: 1, source: "radisk", files: 3 });
+
+    const verification = await verifyArchive(archive);
+    expect(verification).toMatchObject({ ok: true, files: 3, source: "radisk", errors: [] });
+
+    const target = new SQLiteStore({ dbPath: `${rootDir}/restore/gun.db` });
+    try {
+      expect(await importArchive(archive, target)).toMatchObject({ files: 3 });
+      expect(await readAll(target)).toEqual(RADISK_FILES);
+    } finally {
+      target.close();
+    }
+  });
+
+  it("detects edited, truncated and corrupted archives", async () => {
+    await exportStore(source, archive, "radisk");
+
+    editArchive(archive, (lines) =>
+      lines.map((line, i) => (i === 1 ? line.replace('"root', '"evil') : line))
+    );
+    const edited = await verifyArchive(archive);
+    expect(edited.ok).toBe(false);
+    expect(edited.errors.some((e) => e.startsWith("Checksum mismatch"))).toBe(true);
+
+    await exportStore(source, archive, "radisk");
+    editArchive(archive, (lines) => lines.slice(0, -1));
+    expect((await verifyArchive(archive)).errors).toContain("Archive is truncated (no end marker)");
+
+    await exportStore(source, archive, "radisk");
+    editArchive(archive, (lines) => [lines[0], lines[2], lines[1], lines[3], lines[4]]);
+    expect((await verifyArchive(archive)).errors).toContain("Archive checksum mismatch");
+
+    fs.writeFileSync(archive, Buffer.from("not a gzip file"));
+    const corrupted = await verifyArchive(archive);
+    expect(corrupted.ok).toBe(false);
+    expect(corrupted.errors[0]).toMatch(/Unreadable archive/);
+  });
+
+  it("refuses to restore an archive that fails verification", async () => {
+    await exportStore(source, archive, "radisk");
+    editArchive(archive, (lines) => lines.slice(0, -1));
+
+    const target = new FileStore({ dir: `${rootDir}/restore` });
+    await expect(importArchive(archive, target)).rejects.toMatchObject({ status: 422 });
+    expect(await readAll(target)).toEqual({});
+  });
+
+  it("migrates between stores and checks the copy", async () => {
+    const target = openStore({ type: "sqlite", path: `${rootDir}/migrated/gun.db` }) as SQLiteStore;
+    try {
+      const result = await migrateStore(source, target);
+      expect(result).toMatchObject({ files: 3, mismatched: [] });
+
+      const back = new FileStore({ dir: `${rootDir}/roundtrip` });
+      await migrateStore(target, back);
+      expect(await readAll(back)).toEqual(RADISK_FILES);
+    } finally {
+      target.close();
+    }
+  });
+
+  it("keeps only the newest snapshots and never prunes other archives", async () => {
+    await exportStore(source, archive, "radisk");
+    const names: string[] = [];
+    for (let i = 0; i < 3; i++) {
+      names.push((await createSnapshot(source, "radisk")).name);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+
+    const remaining = listBackups().map((backup) => backup.name);
+    expect(remaining).toHaveLength(3);
+    expect(remaining).toContain("manual.ndjson.gz");
+    expect(remaining).not.toContain(names[0]);
+    expect(remaining).toEqual(expect.arrayContaining(names.slice(1)));
+
+    expect(() => getBackupPath("../data/api-keys.json")).toThrow(BackupError);
+    expect(() => getBackupPath("missing.ndjson.gz")).toThrow("Backup not found");
+  });
+});
@@ -0,0 +1,522 @@
+/**
+ * Gun Storage Backup, Restore and Migration
+ *
+ * Works on the radisk store interface (get/put/list) shared by SQLiteStore,
+ * S3Store and FileStore, so any backend can be exported, restored into any
+ * other, or copied directly from one to another.
+ *
+ * Archive format (version 1): gzip-compressed NDJSON
+ *   line 1:  { format, version, createdAt, source }
+ *   entries: { file, data, sha256 }            one per radisk file
+ *   last:    { end: true, files, bytes, sha256 }
+ * Each entry carries the SHA-256 of its data; the trailer's sha256 covers every
+ * entry line in order, so truncated, reordered or edited archives fail to verify.
+ * Archives are written to a temporary file and renamed when complete.
+ *
+ * The file list is taken once at the start of an export. On a live relay,
+ * files written after that point are picked up by the next snapshot.
+ *
+ * @module utils/gun-backup
+ */
+
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import zlib from "zlib";
+import { createHash } from "crypto";
+import { once } from "events";
+import { pipeline } from "stream/promises";
+import { backupConfig, storageConfig } from "../config";
+import SQLiteStore from "./sqlite-store";
+import S3Store from "./s3-store";
+import FileStore from "./file-store";
+import { loggers } from "./logger";
+
+const log = loggers.server;
+
+export const BACKUP_FORMAT = "shogun-gun-backup";
+export const BACKUP_VERSION = 1;
+
+export const STORE_TYPES = ["sqlite", "radisk", "s3"] as const;
+export type StoreType = (typeof STORE_TYPES)[number];
+
+/**
+ * The store interface radisk expects, as implemented by the adapters
+ */
+export interface GunStore {
+  get(file: string, cb: (err: Error | null, data: string | null) => void): void;
+  put(file: string, data: string, cb: (err: Error | null, ok: number | null) => void): void;
+  list(cb: (file: string | null) => void): void;
+  close?(): void;
+}
+
+export interface StoreSpec {
+  type: StoreType;
+  // SQLite database file or radisk directory (defaults to DATA_DIR)
+  path?: string;
+  // S3 bucket (defaults to GUN_S3_BUCKET)
+  bucket?: string;
+}
+
+export interface BackupManifest {
+  format: string;
+  version: number;
+  createdAt: number;
+  source: string;
+  files: number;
+  bytes: number;
+  sha256: string;
+}
+
+export interface VerifyResult {
+  ok: boolean;
+  version?: number;
+  createdAt?: number;
+  source?: string;
+  files: number;
+  bytes: number;
+  errors: string[];
+}
+
+export interface BackupInfo {
+  name: string;
+  size: number;
+  createdAt: number;
+}
+
+/**
+ * Error raised for invalid backup operations.
+ * `status` is the HTTP status the route should answer with.
+ */
+export class BackupError extends Error {
+  status: number;
+
+  constructor(message: string, status: number = 400) {
+    super(message);
+    this.name = "BackupError";
+    this.status = status;
+  }
+}
+
+// Puts in flight during a restore or migration (S3 benefits from parallelism)
+const PUT_CONCURRENCY = 8;
+// Names the admin API will read or delete
+const BACKUP_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*\.ndjson\.gz$/;
+// Names produced by scheduled and on-demand snapshots (subject to retention)
+const SNAPSHOT_NAME_PATTERN = /^gun-\d{8}T\d{6}(\d{3})?Z\.ndjson\.gz$/;
+
+let scheduleInterval: NodeJS.Timeout | null = null;
+let snapshotRunning = false;
+
+/**
+ * Open a store adapter. Paths and credentials default to the relay's own.
+ */
+export function openStore(spec: StoreSpec): GunStore {
+  switch (spec.type) {
+    case "sqlite":
+      return new SQLiteStore({
+        dbPath: spec.path || path.join(storageConfig.dataDir, "gun.db"),
+        file: "radata",
+      });
+    case "radisk":
+      return new FileStore({ dir: spec.path || storageConfig.dataDir });
+    case "s3": {
+      const s3 = storageConfig.s3;
+      if (!s3?.endpoint || !s3?.accessKeyId || !s3?.secretAccessKey) {
+        throw new BackupError(
+          "S3 store requires GUN_S3_ENDPOINT, GUN_S3_ACCESS_KEY and GUN_S3_SECRET_KEY"
+        );
+      }
+      return new S3Store({
+        endpoint: s3.endpoint,
+        accessKeyId: s3.accessKeyId,
+        secretAccessKey: s3.secretAccessKey,
+        bucket: spec.bucket || s3.bucket,
+        region: s3.region,
+      });
+    }
+    default:
+      throw new BackupError(`Unknown store type: ${spec.type}. Use ${STORE_TYPES.join(", ")}`);
+  }
+}
+
+function listFiles(store: GunStore): Promise<string[]> {
+  return new Promise((resolve) => {
+    const files: string[] = [];
+    store.list((file) => {
+      if (file === null) {
+        resolve(files.sort());
+      } else {
+        files.push(file);
+      }
+    });
+  });
+}
+
+function getFile(store: GunStore, file: string): Promise<string | null> {
+  return new Promise((resolve, reject) => {
+    store.get(file, (err, data) => (err ? reject(err) : resolve(data)));
+  });
+}
+
+function putFile(store: GunStore, file: string, data: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    store.put(file, data, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+function sha256(data: string): string {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Iterate over the raw lines of an archive
+ */
+async function* readLines(archivePath: string): AsyncGenerator<string> {
+  const gunzip = zlib.createGunzip();
+  const input = fs.createReadStream(archivePath);
+  input.on("error", (err) => gunzip.destroy(err));
+  input.pipe(gunzip);
+
+  // readline does not surface errors from its input, so race them in
+  let streamError: Error | null = null;
+  gunzip.on("error", (err) => {
+    streamError = err;
+  });
+
+  const lines = readline.createInterface({ input: gunzip, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (streamError) throw streamError;
+      if (line) yield line;
+    }
+    if (streamError) throw streamError;
+  } finally {
+    lines.close();
+    input.destroy();
+  }
+}
+
+/**
+ * Write every file of a store to a compressed archive
+ */
+export async function exportStore(
+  store: GunStore,
+  archivePath: string,
+  source: string
+): Promise<BackupManifest> {
+  fs.mkdirSync(path.dirname(archivePath), { recursive: true });
+  const tmpPath = `${archivePath}.${process.pid}.tmp`;
+
+  const gzip = zlib.createGzip();
+  const done = pipeline(gzip, fs.createWriteStream(tmpPath));
+  const write = async (line: string) => {
+    if (!gzip.write(`${line}\n`)) {
+      await once(gzip, "drain");
+    }
+  };
+
+  const header = { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: Date.now(), source };
+  const archiveHash = createHash("sha256");
+  let files = 0;
+  let bytes = 0;
+
+  try {
+    await write(JSON.stringify(header));
+    for (const file of await listFiles(store)) {
+      const data = await getFile(store, file);
+      // Deleted since the listing, or unreadable
+      if (data === null) continue;
+
+      const line = JSON.stringify({ file, data, sha256: sha256(data) });
+      archiveHash.update(`${line}\n`);
+      await write(line);
+      files++;
+      bytes += Buffer.byteLength(data);
+    }
+
+    const digest = archiveHash.digest("hex");
+    await write(JSON.stringify({ end: true, files, bytes, sha256: digest }));
+    gzip.end();
+    await done;
+    fs.renameSync(tmpPath, archivePath);
+
+    log.info({ archive: archivePath, source, files, bytes }, "💾 Gun backup written");
+    return { ...header, files, bytes, sha256: digest };
+  } catch (error) {
+    gzip.destroy();
+    await done.catch(() => {});
+    fs.rmSync(tmpPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Check an archive's format, per-file checksums, counts and overall digest
+ */
+export async function verifyArchive(archivePath: string): Promise<VerifyResult> {
+  const result: VerifyResult = { ok: false, files: 0, bytes: 0, errors: [] };
+  const archiveHash = createHash("sha256");
+  let header: any = null;
+  let trailer: any = null;
+  let lineNumber = 0;
+
+  try {
+    for await (const line of readLines(archivePath)) {
+      lineNumber++;
+      if (trailer) {
+        result.errors.push(`Line ${lineNumber}: data after the end marker`);
+        break;
+      }
+
+      let record: any;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        result.errors.push(`Line ${lineNumber}: invalid JSON`);
+        continue;
+      }
+
+      if (!header) {
+        if (record.format !== BACKUP_FORMAT) {
+          result.errors.push("Not a Gun backup archive");
+          return result;
+        }
+        if (record.version !== BACKUP_VERSION) {
+          result.errors.push(`Unsupported archive version ${record.version}`);
+          return result;
+        }
+        header = record;
+        result.version = record.version;
+        result.createdAt = record.createdAt;
+        result.source = record.source;
+        continue;
+      }
+
+      if (record.end === true) {
+        trailer = record;
+        continue;
+      }
+
+      archiveHash.update(`${line}\n`);
+      if (typeof record.file !== "string" || typeof record.data !== "string") {
+        result.errors.push(`Line ${lineNumber}: malformed entry`);
+        continue;
+      }
+      if (sha256(record.data) !== record.sha256) {
+        result.errors.push(`Checksum mismatch for ${record.file}`);
+      }
+      result.files++;
+      result.bytes += Buffer.byteLength(record.data);
+    }
+  } catch (error: any) {
+    result.errors.push(`Unreadable archive: ${error.message}`);
+    return result;
+  }
+
+  if (!header) {
+    result.errors.push("Empty archive");
+  } else if (!trailer) {
+    result.errors.push("Archive is truncated (no end marker)");
+  } else {
+    if (trailer.files !== result.files || trailer.bytes !== result.bytes) {
+      result.errors.push(
+        `Expected ${trailer.files} files / ${trailer.bytes} bytes, found ${result.files} / ${result.bytes}`
+      );
+    }
+    if (trailer.sha256 !== archiveHash.digest("hex")) {
+      result.errors.push("Archive checksum mismatch");
+    }
+  }
+
+  result.ok = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Restore an archive into a store. The archive is verified first and nothing
+ * is written if it fails. Files already in the store but not in the archive
+ * are left untouched; restore into an empty store for an exact copy.
+ */
+export async function importArchive(
+  archivePath: string,
+  store: GunStore
+): Promise<{ files: number; bytes: number }> {
+  const verification = await verifyArchive(archivePath);
+  if (!verification.ok) {
+    throw new BackupError(`Archive failed verification: ${verification.errors[0]}`, 422);
+  }
+
+  let files = 0;
+  let bytes = 0;
+  let pending: Promise<void>[] = [];
+  let first = true;
+
+  for await (const line of readLines(archivePath)) {
+    if (first) {
+      first = false;
+      continue;
+    }
+    const record = JSON.parse(line);
+    if (record.end === true) break;
+
+    pending.push(putFile(store, record.file, record.data));
+    files++;
+    bytes += Buffer.byteLength(record.data);
+    if (pending.length >= PUT_CONCURRENCY) {
+      await Promise.all(pending);
+      pending = [];
+    }
+  }
+  await Promise.all(pending);
+
+  log.info({ archive: archivePath, files, bytes }, "♻️ Gun backup restored");
+  return { files, bytes };
+}
+
+/**
+ * Copy every file from one store to another, then read each one back from
+ * the target and compare checksums
+ */
+export async function migrateStore(
+  source: GunStore,
+  target: GunStore
+): Promise<{ files: number; bytes: number; mismatched: string[] }> {
+  const checksums = new Map<string, string>();
+  let bytes = 0;
+  let pending: Promise<void>[] = [];
+
+  for (const file of await listFiles(source)) {
+    const data = await getFile(source, file);
+    if (data === null) continue;
+
+    checksums.set(file, sha256(data));
+    bytes += Buffer.byteLength(data);
+    pending.push(putFile(target, file, data));
+    if (pending.length >= PUT_CONCURRENCY) {
+      await Promise.all(pending);
+      pending = [];
+    }
+  }
+  await Promise.all(pending);
+
+  const mismatched: string[] = [];
+  for (const [file, checksum] of checksums) {
+    const copied = await getFile(target, file);
+    if (copied === null || sha256(copied) !== checksum) {
+      mismatched.push(file);
+    }
+  }
+
+  log.info(
+    { files: checksums.size, bytes, mismatched: mismatched.length },
+    "🚚 Gun store migrated"
+  );
+  return { files: checksums.size, bytes, mismatched };
+}
+
+/**
+ * Resolve a backup name inside the backup directory
+ */
+export function getBackupPath(name: string): string {
+  if (!BACKUP_NAME_PATTERN.test(name)) {
+    throw new BackupError("Invalid backup name");
+  }
+  const archivePath = path.join(backupConfig.dir, name);
+  if (!fs.existsSync(archivePath)) {
+    throw new BackupError("Backup not found", 404);
+  }
+  return archivePath;
+}
+
+/**
+ * Backups in the backup directory, newest first
+ */
+export function listBackups(): BackupInfo[] {
+  if (!fs.existsSync(backupConfig.dir)) return [];
+
+  return fs
+    .readdirSync(backupConfig.dir)
+    .filter((name) => BACKUP_NAME_PATTERN.test(name))
+    .map((name) => {
+      const stats = fs.statSync(path.join(backupConfig.dir, name));
+      return { name, size: stats.size, createdAt: stats.mtimeMs };
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function deleteBackup(name: string): void {
+  fs.rmSync(getBackupPath(name));
+}
+
+/**
+ * Delete the oldest snapshots beyond the retention count. Archives with
+ * other names (e.g. copied in by hand) are never pruned.
+ * @returns names of the deleted snapshots
+ */
+export function pruneBackups(retention: number = backupConfig.retention): string[] {
+  const snapshots = listBackups()
+    .filter((backup) => SNAPSHOT_NAME_PATTERN.test(backup.name))
+    .sort((a, b) => b.name.localeCompare(a.name));
+
+  const removed = snapshots.slice(Math.max(retention, 1)).map((backup) => backup.name);
+  for (const name of removed) {
+    fs.rmSync(path.join(backupConfig.dir, name), { force: true });
+  }
+  if (removed.length > 0) {
+    log.info({ removed }, "🧹 Pruned old Gun backups");
+  }
+  return removed;
+}
+
+/**
+ * Take a snapshot into the backup directory and apply retention
+ */
+export async function createSnapshot(
+  store: GunStore,
+  source: string
+): Promise<BackupManifest & { name: string }> {
+  if (snapshotRunning) {
+    throw new BackupError("A snapshot is already in progress", 409);
+  }
+
+  snapshotRunning = true;
+  try {
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(".", "");
+    const name = `gun-${stamp}.ndjson.gz`;
+    const manifest = await exportStore(store, path.join(backupConfig.dir, name), source);
+    pruneBackups();
+    return { ...manifest, name };
+  } finally {
+    snapshotRunning = false;
+  }
+}
+
+/**
+ * Take snapshots every BACKUP_INTERVAL_HOURS (no-op when 0)
+ */
+export function startBackupSchedule(store: GunStore, source: string): void {
+  if (scheduleInterval || backupConfig.intervalHours <= 0) return;
+
+  const intervalMs = backupConfig.intervalHours * 60 * 60 * 1000;
+  log.info(
+    { intervalHours: backupConfig.intervalHours, retention: backupConfig.retention },
+    "💾 Scheduled Gun backups enabled"
+  );
+
+  scheduleInterval = setInterval(async () => {
+    try {
+      await createSnapshot(store, source);
+    } catch (error) {
+      log.error({ err: error }, "❌ Scheduled Gun backup failed");
+    }
+  }, intervalMs);
+  scheduleInterval.unref();
+}
+
+export function stopBackupSchedule(): void {
+  if (scheduleInterval) {
+    clearInterval(scheduleInterval);
+    scheduleInterval = null;
+  }
+}
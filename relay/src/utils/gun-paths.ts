@@ -13,6 +13,8 @@ export const GUN_PATHS = {
   // Network discovery
   RELAYS: "shogun/network/relays",
   PEERS: "shogun/network/peers",
+  PINS: "shogun/network/pins", // Pin sets advertised for replication
+  REGISTRY: "shogun/network/registry", // Signed relay heartbeats, keyed by pub
   // TORRENTS removed
 
   // Search index
@@ -25,6 +27,11 @@ export const GUN_PATHS = {
   MB_USAGE: "shogun/mbUsage",
   TEST: "shogun/test",
 
+  // Chat
+  CHAT_DM: "shogun/chat/dm",
+  CHAT_LOBBY: "shogun/chat/lobby",
+  CHAT_PEERS: "shogun/chat/peers",
+
   // System
   SYSTEM_HASH: "shogun/systemhash",
 
@@ -107,6 +107,45 @@ async function waitForIpfs(
   return false;
 }
 
+// Request latency per API endpoint and outcome, exposed on /metrics
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+interface LatencyHistogram {
+  endpoint: string;
+  outcome: "success" | "error";
+  counts: number[]; // per bucket, not cumulative
+  sum: number;
+  count: number;
+}
+
+const latencyHistograms = new Map<string, LatencyHistogram>();
+
+function observeLatency(path: string, outcome: "success" | "error", startedAt: number): void {
+  const endpoint = path.split("?")[0];
+  const key = `${endpoint} ${outcome}`;
+  let histogram = latencyHistograms.get(key);
+  if (!histogram) {
+    histogram = { endpoint, outcome, counts: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    latencyHistograms.set(key, histogram);
+  }
+
+  const seconds = (Date.now() - startedAt) / 1000;
+  const bucket = LATENCY_BUCKETS.findIndex((le) => seconds <= le);
+  if (bucket !== -1) histogram.counts[bucket]++;
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+/**
+ * Latency histograms of IPFS API requests (one attempt = one observation)
+ */
+function getIpfsLatencyStats(): { buckets: number[]; histograms: LatencyHistogram[] } {
+  return {
+    buckets: LATENCY_BUCKETS,
+    histograms: Array.from(latencyHistograms.values(), (h) => ({ ...h, counts: [...h.counts] })),
+  };
+}
+
 interface IpfsRequestOptions {
   method?: string;
   headers?: Record<string, string>;
@@ -155,6 +194,7 @@ async function ipfsRequest(
   let currentDelay = retryDelay;
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const startedAt = Date.now();
     try {
       const result = await new Promise<Record<string, any> | string | Buffer>((resolve, reject) => {
         const requestOptions: http.RequestOptions = {
@@ -215,10 +255,12 @@ async function ipfsRequest(
       });
 
       // Success - update cache
+      observeLatency(path, "success", startedAt);
       ipfsReadyCache.isReady = true;
       ipfsReadyCache.lastCheck = Date.now();
       return result;
     } catch (error: any) {
+      observeLatency(path, "error", startedAt);
       lastError = error;
 
       // Only retry on connection errors (ECONNREFUSED, ECONNRESET, etc.)
@@ -289,6 +331,7 @@ async function ipfsUpload(
   let currentDelay = retryDelay;
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    const startedAt = Date.now();
     try {
       const result = await new Promise<Record<string, any>>((resolve, reject) => {
         const requestOptions: http.RequestOptions = {
@@ -343,10 +386,12 @@ async function ipfsUpload(
       });
 
       // Success
+      observeLatency(path, "success", startedAt);
       ipfsReadyCache.isReady = true;
       ipfsReadyCache.lastCheck = Date.now();
       return result;
     } catch (error: any) {
+      observeLatency(path, "error", startedAt);
       lastError = error;
 
       const isConnectionError =
@@ -380,4 +425,53 @@ async function ipfsUpload(
   throw lastError;
 }
 
-export { ipfsRequest, ipfsUpload, checkIpfsReady, waitForIpfs };
+/**
+ * Open a streaming IPFS API request (e.g. /api/v0/cat). Resolves with the
+ * response once its headers arrive, so large content is never buffered;
+ * the timeout only covers the wait for them. Not retried: callers pipe
+ * the body straight to a client.
+ * @param path - API path (e.g., '/api/v0/cat?arg=<cid>')
+ * @param options - Request options
+ * @returns Promise<http.IncomingMessage> Response stream
+ */
+function ipfsStream(
+  path: string,
+  options: { timeout?: number } = {}
+): Promise<http.IncomingMessage> {
+  const { timeout = 60000 } = options;
+  const startedAt = Date.now();
+
+  return new Promise((resolve, reject) => {
+    const headers: Record<string, string> = { "Content-Length": "0" };
+    if (IPFS_API_TOKEN) {
+      headers["Authorization"] = `Bearer ${IPFS_API_TOKEN}`;
+    }
+
+    const req = httpModule.request({ hostname, port, path, method: "POST", headers }, (res) => {
+      req.setTimeout(0);
+      if (res.statusCode === 200) {
+        observeLatency(path, "success", startedAt);
+        return resolve(res);
+      }
+
+      let data = "";
+      res.on("data", (chunk: Buffer) => (data += chunk));
+      res.on("end", () => {
+        observeLatency(path, "error", startedAt);
+        reject(new Error(`IPFS API returned status ${res.statusCode}: ${data}`));
+      });
+      res.on("error", reject);
+    });
+
+    req.on("error", (err: Error) => {
+      observeLatency(path, "error", startedAt);
+      reject(err);
+    });
+
+    req.setTimeout(timeout, () => req.destroy(new Error("Request timeout")));
+
+    req.end();
+  });
+}
+
+export { ipfsRequest, ipfsStream, ipfsUpload, checkIpfsReady, waitForIpfs, getIpfsLatencyStats };
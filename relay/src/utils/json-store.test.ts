@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from "vitest";
+import fs from "fs";
+
+const { dir } = vi.hoisted(() => ({
+  dir: `${process.env.TMPDIR || "/tmp"}/json-store-test-${process.pid}`,
+}));
+
+vi.mock("./logger", () => ({
+  loggers: {
+    server: {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn(),
+    },
+  },
+}));
+
+vi.mock("../config", () => ({ storageConfig: { dataDir: dir } }));
+
+import { createJsonStore } from "./json-store";
+import { loggers } from "./logger";
+
+const createStore = () =>
+  createJsonStore<{ items: string[] }>("items.json", {
+    parse: (raw) => ({ items: raw.items || [] }),
+  });
+
+describe("JSON store", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("caches the document and writes it through a temp file", () => {
+    const store = createStore();
+    const data = store.load();
+    expect(data).toEqual({ items: [] });
+    expect(store.load()).toBe(data);
+
+    data.items.push("a");
+    store.save(data);
+    expect(JSON.parse(fs.readFileSync(`${dir}/items.json`, "utf-8"))).toEqual({ items: ["a"] });
+    expect(fs.existsSync(`${dir}/items.json.tmp`)).toBe(false);
+
+    store.reset();
+    expect(store.load()).not.toBe(data);
+    expect(store.load()).toEqual({ items: ["a"] });
+  });
+
+  it("starts empty from an unreadable file and throws when a write fails", () => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(`${dir}/items.json`, "{ not json");
+    const store = createStore();
+    expect(store.load()).toEqual({ items: [] });
+    expect(loggers.server.error).toHaveBeenCalledTimes(1);
+
+    // A directory in the way of the temp file makes the write fail
+    fs.mkdirSync(`${dir}/items.json.tmp`);
+    expect(() => store.save({ items: ["b"] })).toThrow();
+    expect(loggers.server.error).toHaveBeenCalledTimes(2);
+    expect(store.load()).toEqual({ items: [] });
+  });
+});
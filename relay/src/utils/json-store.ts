@@ -0,0 +1,81 @@
+/**
+ * JSON file stores
+ *
+ * One JSON document in DATA_DIR/<filename> (or at an absolute path), cached
+ * in memory after the first read. Writes go through a temp file and a
+ * rename, so a crash never leaves a half-written store behind.
+ *
+ * A missing or unreadable file starts the store from `parse({})`. A failed
+ * write is logged and rethrown: callers decide whether it is fatal.
+ *
+ * @module utils/json-store
+ */
+
+import fs from "fs";
+import path from "path";
+import { storageConfig } from "../config";
+import { loggers } from "./logger";
+
+const log = loggers.server;
+
+export interface JsonStore<T> {
+  /** Cached contents, read from disk on first use */
+  load(): T;
+  /** Write atomically and cache; throws if the file cannot be written */
+  save(data: T): void;
+  /** Drop the cache so the next load re-reads the file (used by tests) */
+  reset(): void;
+}
+
+export interface JsonStoreOptions<T> {
+  /** Build the store from the parsed file (`{}` when missing or unreadable) */
+  parse: (raw: any) => T;
+  /** Indent the file for humans (default: compact) */
+  pretty?: boolean;
+  /** File mode for new files, e.g. 0o600 for key material */
+  mode?: number;
+}
+
+export function createJsonStore<T>(filename: string, options: JsonStoreOptions<T>): JsonStore<T> {
+  const getPath = () => path.resolve(storageConfig.dataDir, filename);
+  let cache: T | null = null;
+
+  return {
+    load() {
+      if (cache) return cache;
+
+      const storePath = getPath();
+      let raw: any = {};
+      if (fs.existsSync(storePath)) {
+        try {
+          raw = JSON.parse(fs.readFileSync(storePath, "utf-8")) || {};
+        } catch (error) {
+          log.error({ err: error }, `Failed to read ${filename}, starting empty`);
+        }
+      }
+      cache = options.parse(raw);
+      return cache;
+    },
+
+    save(data) {
+      const storePath = getPath();
+      try {
+        fs.mkdirSync(path.dirname(storePath), { recursive: true });
+        const tmpPath = `${storePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(data, null, options.pretty ? 2 : undefined), {
+          encoding: "utf-8",
+          mode: options.mode,
+        });
+        fs.renameSync(tmpPath, storePath);
+        cache = data;
+      } catch (error) {
+        log.error({ err: error }, `Failed to write ${filename}`);
+        throw error;
+      }
+    },
+
+    reset() {
+      cache = null;
+    },
+  };
+}
@@ -0,0 +1,228 @@
+/**
+ * Metric History
+ *
+ * Samples the relay once a minute and keeps the history in SQLite at three
+ * resolutions, so the dashboard can chart anything from the last hour to the
+ * last years without the in-memory StatsTracker buffer:
+ * - minute: raw samples, kept 7 days
+ * - hour:   rolled up from minutes, kept 90 days
+ * - day:    rolled up from hours, kept 5 years
+ * Each point stores the average and maximum over its bucket. Counters are
+ * stored as per-second rates; the current hour and day are updated with every
+ * sample, so they are always up to date.
+ *
+ * @module utils/metrics-history
+ */
+
+import Database from "better-sqlite3";
+import fs from "fs";
+import path from "path";
+import { metricsConfig } from "../config";
+import { getRelayUsage } from "./storage-quota";
+import type { StatsTracker } from "./stats-tracker";
+import { loggers } from "./logger";
+
+const log = loggers.server;
+
+export const HISTORY_RESOLUTIONS = ["minute", "hour", "day"] as const;
+export type HistoryResolution = (typeof HISTORY_RESOLUTIONS)[number];
+
+export const HISTORY_METRICS = [
+  "msgRate",
+  "gunMsgRate",
+  "zenMsgRate",
+  "byteRate",
+  "putRate",
+  "getRate",
+  "ackRate",
+  "errorRate",
+  "peers",
+  "gunPeers",
+  "zenPeers",
+  "heapUsed",
+  "uploadBytes",
+] as const;
+export type HistoryMetric = (typeof HISTORY_METRICS)[number];
+
+export interface HistoryPoint {
+  ts: number;
+  avg: number;
+  max: number;
+}
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const BUCKET_MS: Record<HistoryResolution, number> = { minute: MINUTE, hour: HOUR, day: DAY };
+const RETENTION_MS: Record<HistoryResolution, number> = {
+  minute: 7 * DAY,
+  hour: 90 * DAY,
+  day: 5 * 365 * DAY,
+};
+
+type Counters = ReturnType<StatsTracker["getCounters"]>;
+
+let db: Database.Database | null = null;
+let sampleInterval: NodeJS.Timeout | null = null;
+let previous: { at: number; counters: Counters } | null = null;
+
+function getDb(): Database.Database {
+  if (db) return db;
+
+  fs.mkdirSync(path.dirname(metricsConfig.historyDbPath), { recursive: true });
+  db = new Database(metricsConfig.historyDbPath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS metric_history (
+      resolution TEXT NOT NULL,
+      metric TEXT NOT NULL,
+      ts INTEGER NOT NULL,
+      avg REAL NOT NULL,
+      max REAL NOT NULL,
+      samples INTEGER NOT NULL,
+      PRIMARY KEY (resolution, metric, ts)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_metric_history_ts ON metric_history(resolution, ts);
+  `);
+  return db;
+}
+
+/**
+ * Store one sample and refresh the hour and day buckets it belongs to
+ */
+export function recordSample(
+  values: Partial<Record<HistoryMetric, number>>,
+  now: number = Date.now()
+) {
+  const database = getDb();
+  const minute = Math.floor(now / MINUTE) * MINUTE;
+  const hour = Math.floor(now / HOUR) * HOUR;
+  const day = Math.floor(now / DAY) * DAY;
+
+  const insert = database.prepare(
+    "INSERT OR REPLACE INTO metric_history (resolution, metric, ts, avg, max, samples) VALUES ('minute', ?, ?, ?, ?, 1)"
+  );
+  // Averages are weighted by the number of minute samples behind each row
+  const rollup = database.prepare(`
+    INSERT OR REPLACE INTO metric_history (resolution, metric, ts, avg, max, samples)
+    SELECT ?, metric, ?, SUM(avg * samples) / SUM(samples), MAX(max), SUM(samples)
+    FROM metric_history
+    WHERE resolution = ? AND ts >= ? AND ts < ?
+    GROUP BY metric
+  `);
+  const prune = database.prepare("DELETE FROM metric_history WHERE resolution = ? AND ts < ?");
+
+  database.transaction(() => {
+    for (const [metric, value] of Object.entries(values)) {
+      if (typeof value === "number" && Number.isFinite(value)) {
+        insert.run(metric, minute, value, value);
+      }
+    }
+    rollup.run("hour", hour, "minute", hour, hour + HOUR);
+    rollup.run("day", day, "hour", day, day + DAY);
+    for (const resolution of HISTORY_RESOLUTIONS) {
+      prune.run(resolution, now - RETENTION_MS[resolution]);
+    }
+  })();
+}
+
+/**
+ * Turn the tracker's cumulative counters into per-second rates since the
+ * previous sample. The first call only records a baseline.
+ */
+export function sampleStats(statsTracker: StatsTracker, now: number = Date.now()) {
+  const counters = statsTracker.getCounters();
+  const last = previous;
+  previous = { at: now, counters };
+  if (!last || now <= last.at) return null;
+
+  const seconds = (now - last.at) / 1000;
+  const rate = (pick: (c: Counters) => number) =>
+    Math.max(0, pick(counters) - pick(last.counters)) / seconds;
+  const both = (pick: (e: Counters["engines"]["gun"]) => number) => (c: Counters) =>
+    pick(c.engines.gun) + pick(c.engines.zen);
+
+  const values: Record<HistoryMetric, number> = {
+    msgRate: rate(both((e) => e.messages)),
+    gunMsgRate: rate((c) => c.engines.gun.messages),
+    zenMsgRate: rate((c) => c.engines.zen.messages),
+    byteRate: rate(both((e) => e.bytes)),
+    putRate: rate(both((e) => e.puts)),
+    getRate: rate(both((e) => e.gets)),
+    ackRate: rate(both((e) => e.acks)),
+    errorRate: rate(both((e) => e.errors)),
+    peers: counters.peers.gun + counters.peers.zen,
+    gunPeers: counters.peers.gun,
+    zenPeers: counters.peers.zen,
+    heapUsed: process.memoryUsage().heapUsed,
+    uploadBytes: getRelayUsage().usedBytes,
+  };
+  recordSample(values, now);
+  return values;
+}
+
+/**
+ * Pick the finest resolution that still covers a time range
+ */
+export function pickResolution(rangeMs: number): HistoryResolution {
+  if (rangeMs <= 6 * HOUR) return "minute";
+  if (rangeMs <= 14 * DAY) return "hour";
+  return "day";
+}
+
+/**
+ * Read history for some metrics between two timestamps
+ */
+export function queryHistory(options: {
+  metrics: HistoryMetric[];
+  from: number;
+  to: number;
+  resolution?: HistoryResolution;
+}): { resolution: HistoryResolution; series: Record<string, HistoryPoint[]> } {
+  const resolution = options.resolution || pickResolution(options.to - options.from);
+  const from = Math.floor(options.from / BUCKET_MS[resolution]) * BUCKET_MS[resolution];
+  const select = getDb().prepare(
+    "SELECT ts, avg, max FROM metric_history WHERE resolution = ? AND metric = ? AND ts >= ? AND ts <= ? ORDER BY ts"
+  );
+
+  const series: Record<string, HistoryPoint[]> = {};
+  for (const metric of options.metrics) {
+    series[metric] = select.all(resolution, metric, from, options.to) as HistoryPoint[];
+  }
+  return { resolution, series };
+}
+
+/**
+ * Sample the tracker every minute
+ */
+export function startMetricsHistory(statsTracker: StatsTracker): void {
+  if (sampleInterval) return;
+
+  sampleStats(statsTracker);
+  sampleInterval = setInterval(() => {
+    try {
+      sampleStats(statsTracker);
+    } catch (error) {
+      log.error({ err: error }, "❌ Failed to record metric history");
+    }
+  }, MINUTE);
+  sampleInterval.unref();
+  log.info({ db: metricsConfig.historyDbPath }, "📈 Metric history enabled");
+}
+
+/**
+ * Stop sampling and close the database
+ */
+export function stopMetricsHistory(): void {
+  if (sampleInterval) {
+    clearInterval(sampleInterval);
+    sampleInterval = null;
+  }
+  previous = null;
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * Prometheus Metrics
+ *
+ * Renders relay metrics in the Prometheus text exposition format (v0.0.4):
+ * wire counters per engine from StatsTracker, IPFS request latency, pin
+ * count, Gun storage usage, upload usage and dropped webhook deliveries.
+ * Values that need a round trip (IPFS pins, storage backends) are cached so
+ * frequent scrapes stay cheap.
+ *
+ * @module utils/metrics
+ */
+
+import { ipfsConfig, packageConfig, relayConfig } from "../config";
+import { getGunStorageStats } from "./gun-storage-stats";
+import { getIpfsLatencyStats, ipfsRequest } from "./ipfs-client";
+import { getRelayUsage } from "./storage-quota";
+import type { StatsTracker } from "./stats-tracker";
+import { getDroppedDeliveries } from "./webhooks";
+import { loggers } from "./logger";
+
+const log = loggers.server;
+
+// How long slow-to-collect values are reused between scrapes
+const SLOW_METRICS_TTL_MS = 60 * 1000;
+
+type Labels = Record<string, string | number>;
+
+interface Sample {
+  labels?: Labels;
+  value: number;
+  suffix?: string;
+}
+
+let ipfsCache: { at: number; pins: number | null; repoBytes: number | null } | null = null;
+let storageCache: { at: number; stats: Awaited<ReturnType<typeof getGunStorageStats>> } | null =
+  null;
+
+function escapeLabel(value: string | number): string {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels?: Labels): string {
+  if (!labels || Object.keys(labels).length === 0) return "";
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return `{${pairs.join(",")}}`;
+}
+
+function formatValue(value: number): string {
+  if (Number.isNaN(value)) return "NaN";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+class MetricsWriter {
+  private lines: string[] = [];
+
+  metric(name: string, type: string, help: string, samples: Sample[]): void {
+    this.lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const sample of samples) {
+      this.lines.push(
+        `${name}${sample.suffix || ""}${formatLabels(sample.labels)} ${formatValue(sample.value)}`
+      );
+    }
+  }
+
+  toString(): string {
+    return `${this.lines.join("\n")}\n`;
+  }
+}
+
+async function getIpfsMetrics(): Promise<{ pins: number | null; repoBytes: number | null }> {
+  if (ipfsCache && Date.now() - ipfsCache.at < SLOW_METRICS_TTL_MS) {
+    return ipfsCache;
+  }
+
+  const options = { timeout: 5000, maxRetries: 0, waitForReady: false };
+  let pins: number | null = null;
+  let repoBytes: number | null = null;
+  try {
+    const result: any = await ipfsRequest("/api/v0/pin/ls?type=recursive&quiet=true", options);
+    pins = Object.keys(result?.Keys || {}).length;
+  } catch (error) {
+    log.debug({ err: error }, "Metrics: IPFS pin count unavailable");
+  }
+  try {
+    const result: any = await ipfsRequest("/api/v0/repo/stat?size-only=true", options);
+    repoBytes = Number(result?.RepoSize) || 0;
+  } catch (error) {
+    log.debug({ err: error }, "Metrics: IPFS repo size unavailable");
+  }
+
+  ipfsCache = { at: Date.now(), pins, repoBytes };
+  return ipfsCache;
+}
+
+async function getStorageMetrics(gunStore?: any) {
+  if (storageCache && Date.now() - storageCache.at < SLOW_METRICS_TTL_MS) {
+    return storageCache.stats;
+  }
+  const stats = await getGunStorageStats(gunStore);
+  storageCache = { at: Date.now(), stats };
+  return stats;
+}
+
+/**
+ * Drop cached IPFS and storage values (used by tests)
+ */
+export function resetMetricsCache(): void {
+  ipfsCache = null;
+  storageCache = null;
+}
+
+/**
+ * Render all relay metrics in Prometheus text format
+ */
+export async function renderMetrics(options: {
+  statsTracker?: StatsTracker;
+  gunStore?: any;
+}): Promise<string> {
+  const out = new MetricsWriter();
+  const memory = process.memoryUsage();
+
+  out.metric("shogun_relay_info", "gauge", "Relay version and name", [
+    { labels: { version: packageConfig.version || "unknown", name: relayConfig.name }, value: 1 },
+  ]);
+  out.metric("shogun_relay_uptime_seconds", "gauge", "Seconds since the relay started", [
+    { value: Math.round(process.uptime()) },
+  ]);
+  out.metric("shogun_relay_process_memory_bytes", "gauge", "Process memory usage", [
+    { labels: { type: "rss" }, value: memory.rss },
+    { labels: { type: "heap_used" }, value: memory.heapUsed },
+    { labels: { type: "heap_total" }, value: memory.heapTotal },
+    { labels: { type: "external" }, value: memory.external },
+  ]);
+
+  if (options.statsTracker) {
+    const counters = options.statsTracker.getCounters();
+    const engines = ["gun", "zen"] as const;
+    const perEngine = (pick: (engine: (typeof engines)[number]) => number): Sample[] =>
+      engines.map((engine) => ({ labels: { engine }, value: pick(engine) }));
+
+    out.metric(
+      "shogun_relay_messages_total",
+      "counter",
+      "Wire messages received from peers",
+      perEngine((e) => counters.engines[e].messages)
+    );
+    out.metric(
+      "shogun_relay_bytes_total",
+      "counter",
+      "Wire bytes received from and sent to peers",
+      perEngine((e) => counters.engines[e].bytes)
+    );
+    out.metric(
+      "shogun_relay_operations_total",
+      "counter",
+      "Wire messages by operation",
+      engines.flatMap((engine) => [
+        { labels: { engine, op: "put" }, value: counters.engines[engine].puts },
+        { labels: { engine, op: "get" }, value: counters.engines[engine].gets },
+        { labels: { engine, op: "ack" }, value: counters.engines[engine].acks },
+      ])
+    );
+    out.metric(
+      "shogun_relay_errors_total",
+      "counter",
+      "Socket and message handling errors",
+      perEngine((e) => counters.engines[e].errors)
+    );
+    out.metric(
+      "shogun_relay_peers",
+      "gauge",
+      "Connected peers",
+      perEngine((e) => counters.peers[e])
+    );
+    out.metric("shogun_relay_peers_peak", "gauge", "Highest number of connected peers", [
+      { value: counters.peakPeers },
+    ]);
+  }
+
+  const latency = getIpfsLatencyStats();
+  const latencySamples: Sample[] = [];
+  for (const histogram of latency.histograms) {
+    const labels = { endpoint: histogram.endpoint, outcome: histogram.outcome };
+    let cumulative = 0;
+    latency.buckets.forEach((le, i) => {
+      cumulative += histogram.counts[i];
+      latencySamples.push({ suffix: "_bucket", labels: { ...labels, le }, value: cumulative });
+    });
+    latencySamples.push({
+      suffix: "_bucket",
+      labels: { ...labels, le: "+Inf" },
+      value: histogram.count,
+    });
+    latencySamples.push({ suffix: "_sum", labels, value: histogram.sum });
+    latencySamples.push({ suffix: "_count", labels, value: histogram.count });
+  }
+  out.metric(
+    "shogun_relay_ipfs_request_duration_seconds",
+    "histogram",
+    "IPFS API request latency",
+    latencySamples
+  );
+
+  if (ipfsConfig.enabled) {
+    const ipfs = await getIpfsMetrics();
+    out.metric("shogun_relay_ipfs_up", "gauge", "Whether the IPFS API answered", [
+      { value: ipfs.pins === null && ipfs.repoBytes === null ? 0 : 1 },
+    ]);
+    if (ipfs.pins !== null) {
+      out.metric("shogun_relay_ipfs_pins", "gauge", "Recursive pins on the IPFS node", [
+        { value: ipfs.pins },
+      ]);
+    }
+    if (ipfs.repoBytes !== null) {
+      out.metric("shogun_relay_ipfs_repo_bytes", "gauge", "IPFS repository size", [
+        { value: ipfs.repoBytes },
+      ]);
+    }
+
+    const uploads = getRelayUsage();
+    out.metric("shogun_relay_uploads_bytes", "gauge", "Bytes of uploads tracked by quotas", [
+      { value: uploads.usedBytes },
+    ]);
+    out.metric("shogun_relay_uploads_files", "gauge", "Files tracked by quotas", [
+      { value: uploads.fileCount },
+    ]);
+    if (uploads.limitBytes !== null) {
+      out.metric("shogun_relay_uploads_limit_bytes", "gauge", "Relay-wide storage limit", [
+        { value: uploads.limitBytes },
+      ]);
+    }
+  }
+
+  out.metric(
+    "shogun_relay_webhook_deliveries_dropped_total",
+    "counter",
+    "Pending webhook deliveries dropped because the webhook's queue was full",
+    Object.entries(getDroppedDeliveries()).map(([webhook, value]) => ({
+      labels: { webhook },
+      value,
+    }))
+  );
+
+  try {
+    const storage = await getStorageMetrics(options.gunStore);
+    out.metric("shogun_relay_gun_storage_bytes", "gauge", "Gun storage backend size", [
+      { labels: { backend: storage.backend }, value: storage.bytes },
+    ]);
+    out.metric("shogun_relay_gun_storage_files", "gauge", "Files or records in Gun storage", [
+      { labels: { backend: storage.backend }, value: storage.files },
+    ]);
+  } catch (error) {
+    log.debug({ err: error }, "Metrics: Gun storage stats unavailable");
+  }
+
+  return out.toString();
+}
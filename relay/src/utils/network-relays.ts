@@ -0,0 +1,92 @@
+/**
+ * Network relay discovery
+ *
+ * Relays announce themselves under shogun/network/relays (see the pulse in
+ * index.ts); ZEN peer exchange adds the peers it has met. None of this is
+ * signed, so GET /network/relays only lists it with ?unverified=true; the
+ * trusted list comes from the signed registry (utils/relay-registry).
+ *
+ * @module utils/network-relays
+ */
+
+import { getGunNode, GUN_PATHS } from "./gun-paths";
+import { kprs } from "./zen-network";
+
+export interface NetworkRelay {
+  host: string;
+  endpoint: string | null;
+  lastSeen: number;
+  uptime: number;
+  connections: { active: number; [key: string]: any };
+  source: "zen-discovery" | "gun-network";
+}
+
+/**
+ * Relays known from ZEN discovery and from the Gun relays namespace
+ */
+export async function discoverRelays(gun: any, timeoutMs = 5000): Promise<NetworkRelay[]> {
+  const discoveredRelays: NetworkRelay[] = [];
+
+  // Add locally discovered ZEN peers from the kprs Set
+  kprs.forEach((peerUrl) => {
+    let host = peerUrl;
+    try {
+      host = new URL(peerUrl).hostname;
+    } catch {
+      // Not a URL, keep it as the host
+    }
+    discoveredRelays.push({
+      host,
+      endpoint: peerUrl,
+      lastSeen: Date.now(),
+      uptime: 0,
+      connections: { active: 0 },
+      source: "zen-discovery",
+    });
+  });
+
+  // Fetch relays from the Gun global discovery path
+  const relaysNode = getGunNode(gun, GUN_PATHS.RELAYS);
+
+  // Use a timeout for Gun once() to avoid hanging if the network is slow
+  const gunData = await new Promise<any>((resolve) => {
+    const timer = setTimeout(() => resolve(null), timeoutMs);
+    relaysNode.once((data: any) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+
+  if (gunData) {
+    Object.keys(gunData).forEach((key) => {
+      if (key === "_" || key === "#") return;
+      const item = gunData[key];
+
+      // Prevent duplicates if already in discoveredRelays
+      const exists = discoveredRelays.some((r) => r.host === key || r.endpoint === key);
+      if (exists) return;
+
+      if (item && typeof item === "object") {
+        discoveredRelays.push({
+          host: item.host || key,
+          endpoint: item.endpoint || item.url || null,
+          lastSeen: item.lastSeen || Date.now(),
+          uptime: item.uptime || 0,
+          connections: item.connections || { active: 0 },
+          source: "gun-network",
+        });
+      } else if (typeof item === "string") {
+        discoveredRelays.push({
+          host: key,
+          endpoint: item,
+          lastSeen: Date.now(),
+          uptime: 0,
+          connections: { active: 0 },
+          source: "gun-network",
+        });
+      }
+    });
+  }
+
+  return discoveredRelays;
+}
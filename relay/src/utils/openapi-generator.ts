@@ -317,6 +317,260 @@ export function generateOpenAPISpec(baseUrl: string = "http://localhost:8765"):
           },
         },
       },
+      "/api/v1/user-uploads/search": {
+        get: {
+          tags: ["User Uploads"],
+          summary: "Search uploads",
+          description:
+            "Full-text search over upload names and directory file paths, with filters, facet counts and cursor pagination. Served from a local index of the systemhash node.",
+          operationId: "searchUploads",
+          parameters: [
+            {
+              name: "q",
+              in: "query",
+              schema: { type: "string" },
+              description: "Words to find in file names and directory paths (prefix match)",
+            },
+            {
+              name: "user",
+              in: "query",
+              schema: { type: "string" },
+              description: "Only uploads of this user address",
+            },
+            {
+              name: "type",
+              in: "query",
+              schema: { type: "string" },
+              description: "Content type (image/png), top-level type (image) or directory",
+            },
+            {
+              name: "minSize",
+              in: "query",
+              schema: { type: "number" },
+              description: "Minimum size in bytes",
+            },
+            {
+              name: "maxSize",
+              in: "query",
+              schema: { type: "number" },
+              description: "Maximum size in bytes",
+            },
+            {
+              name: "from",
+              in: "query",
+              schema: { type: "string" },
+              description: "Uploaded at or after (timestamp or ISO date)",
+            },
+            {
+              name: "to",
+              in: "query",
+              schema: { type: "string" },
+              description: "Uploaded at or before (timestamp or ISO date)",
+            },
+            {
+              name: "isDirectory",
+              in: "query",
+              schema: { type: "boolean" },
+              description: "Only directories (true) or only files (false)",
+            },
+            {
+              name: "label",
+              in: "query",
+              schema: { type: "string" },
+              description: "Retention label",
+            },
+            {
+              name: "sort",
+              in: "query",
+              schema: { type: "string" },
+              description: "newest (default), oldest, largest, smallest or name",
+            },
+            {
+              name: "limit",
+              in: "query",
+              schema: { type: "number" },
+              description: "Results per page (default 20, max 100)",
+            },
+            {
+              name: "cursor",
+              in: "query",
+              schema: { type: "string" },
+              description: "nextCursor from the previous page",
+            },
+            {
+              name: "facets",
+              in: "query",
+              schema: { type: "boolean" },
+              description: "Set to false to skip facet counts",
+            },
+          ],
+          responses: {
+            "200": {
+              description: "One page of matching uploads",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      success: { type: "boolean" },
+                      results: {
+                        type: "array",
+                        items: {
+                          type: "object",
+                          properties: {
+                            hash: { type: "string" },
+                            name: { type: "string" },
+                            userAddress: { type: "string" },
+                            contentType: { type: "string", nullable: true },
+                            fileSize: { type: "number" },
+                            isDirectory: { type: "boolean" },
+                            fileCount: { type: "number" },
+                            isEncrypted: { type: "boolean" },
+                            labels: { type: "array", items: { type: "string" } },
+                            uploadedAt: { type: "number" },
+                            matchedFiles: {
+                              type: "array",
+                              items: {
+                                type: "object",
+                                properties: {
+                                  path: { type: "string" },
+                                  size: { type: "number", nullable: true },
+                                },
+                              },
+                            },
+                          },
+                        },
+                      },
+                      total: { type: "number" },
+                      nextCursor: { type: "string", nullable: true },
+                      facets: {
+                        type: "object",
+                        nullable: true,
+                        properties: {
+                          types: { type: "object", additionalProperties: { type: "number" } },
+                          users: { type: "array", items: { type: "object" } },
+                          sizes: { type: "object", additionalProperties: { type: "number" } },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            "400": {
+              description: "Invalid filter, sort or cursor",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/Error" },
+                },
+              },
+            },
+            "503": {
+              description: "Search index disabled (SEARCH_INDEX_ENABLED=false)",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/Error" },
+                },
+              },
+            },
+          },
+        },
+      },
+      "/api/v1/graph": {
+        get: {
+          tags: ["System"],
+          summary: "Query the graph",
+          description:
+            "Walk the Gun/ZEN graph breadth-first from a soul, following references up to a depth limit, one page at a time. The walk stops after maxNodes reads.",
+          operationId: "queryGraph",
+          security: [{ bearerAuth: [] }, { tokenHeader: [] }],
+          parameters: [
+            {
+              name: "soul",
+              in: "query",
+              required: true,
+              schema: { type: "string" },
+              description: "Soul to start from",
+            },
+            {
+              name: "depth",
+              in: "query",
+              schema: { type: "number" },
+              description: "Levels of references to follow (default 1, max 10)",
+            },
+            {
+              name: "keys",
+              in: "query",
+              schema: { type: "string" },
+              description: "Comma-separated keys to keep; a trailing * matches by prefix",
+            },
+            {
+              name: "limit",
+              in: "query",
+              schema: { type: "number" },
+              description: "Nodes per page (default 100, max 1000)",
+            },
+            {
+              name: "cursor",
+              in: "query",
+              schema: { type: "string" },
+              description: "nextCursor from the previous page",
+            },
+            {
+              name: "maxNodes",
+              in: "query",
+              schema: { type: "number" },
+              description: "Node budget for the walk (default 1000, max 10000)",
+            },
+            {
+              name: "engine",
+              in: "query",
+              schema: { type: "string" },
+              description: "gun or zen (default: ZEN when it runs)",
+            },
+          ],
+          responses: {
+            "200": {
+              description: "One page of nodes",
+              content: {
+                "application/json": {
+                  schema: {
+                    type: "object",
+                    properties: {
+                      success: { type: "boolean" },
+                      soul: { type: "string" },
+                      depth: { type: "number" },
+                      nodes: {
+                        type: "array",
+                        items: {
+                          type: "object",
+                          properties: {
+                            soul: { type: "string" },
+                            depth: { type: "number" },
+                            data: { type: "object", nullable: true },
+                            refs: { type: "array", items: { type: "string" } },
+                          },
+                        },
+                      },
+                      count: { type: "number" },
+                      nextCursor: { type: "string", nullable: true },
+                      truncated: { type: "boolean" },
+                    },
+                  },
+                },
+              },
+            },
+            "400": {
+              description: "Invalid soul, parameter or cursor",
+              content: {
+                "application/json": {
+                  schema: { $ref: "#/components/schemas/Error" },
+                },
+              },
+            },
+          },
+        },
+      },
       // Registry paths removed
       "/api/v1/ipfs/upload": {
         post: {
@@ -704,15 +958,21 @@ export function generateOpenAPISpec(baseUrl: string = "http://localhost:8765"):
               "application/json": {
                 schema: {
                   type: "object",
-                  required: ["hash", "userAddress"],
+                  required: ["hash"],
                   properties: {
                     hash: { type: "string", description: "IPFS CID" },
-                    userAddress: { type: "string", description: "User identifier" },
+                    userAddress: {
+                      type: "string",
+                      description: "User identifier (API keys use the user they are bound to)",
+                    },
                     timestamp: { type: "number", description: "Upload timestamp" },
                     fileName: { type: "string", description: "File name" },
                     displayName: { type: "string", description: "Display name" },
                     originalName: { type: "string", description: "Original file name" },
-                    fileSize: { type: "number", description: "File size in bytes" },
+                    fileSize: {
+                      type: "number",
+                      description: "Ignored: the size is read from the IPFS node",
+                    },
                     contentType: { type: "string", description: "MIME type" },
                     isEncrypted: { type: "boolean", description: "Whether file is encrypted" },
                     isDirectory: { type: "boolean", description: "Whether this is a directory" },
@@ -0,0 +1,454 @@
+/**
+ * Operator accounts and admin sessions
+ *
+ * Named accounts for the people running the relay, each with a role:
+ * - viewer:       read-only access to the dashboard and admin GET routes
+ * - pin-operator: viewer, plus pinning, unpinning, uploads and GC
+ * - admin:        everything, including operator management
+ * The shared ADMIN_PASSWORD keeps working and acts as an admin.
+ *
+ * Passwords are stored as scrypt hashes and can be paired with a TOTP
+ * second factor. Sessions and failed login attempts live in SQLite
+ * (OPERATORS_DB_PATH) next to the accounts, so a restart neither logs
+ * everyone out nor resets the login rate limit.
+ *
+ * @module utils/operators
+ */
+
+import Database from "better-sqlite3";
+import fs from "fs";
+import path from "path";
+import { randomBytes, scryptSync, timingSafeEqual } from "crypto";
+import { authConfig } from "../config";
+import { hashToken } from "./security";
+import { generateTotpSecret, totpUri, verifyTotp } from "./totp";
+
+export const OPERATOR_ROLES = ["viewer", "pin-operator", "admin"] as const;
+export type OperatorRole = (typeof OPERATOR_ROLES)[number];
+
+/**
+ * Who is making an admin request. `username` is null for the shared
+ * ADMIN_PASSWORD.
+ */
+export interface Principal {
+  username: string | null;
+  role: OperatorRole;
+}
+
+export interface Operator {
+  username: string;
+  role: OperatorRole;
+  totpEnabled: boolean;
+  disabled: boolean;
+  createdAt: number;
+  updatedAt: number;
+  lastLoginAt: number | null;
+}
+
+interface OperatorRow {
+  username: string;
+  password_hash: string;
+  role: OperatorRole;
+  totp_secret: string | null;
+  totp_pending: string | null;
+  totp_last_step: number | null;
+  disabled: number;
+  created_at: number;
+  updated_at: number;
+  last_login_at: number | null;
+}
+
+/**
+ * Invalid input, bad credentials or unknown operator. Routes answer with
+ * `status`; `code` lets clients tell a missing TOTP code from a wrong password.
+ */
+export class OperatorError extends Error {
+  status: number;
+  code?: string;
+
+  constructor(message: string, status = 400, code?: string) {
+    super(message);
+    this.name = "OperatorError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export const SESSION_TOKEN_PREFIX = "shogun-session-";
+const DEFAULT_SESSION_HOURS = 24;
+const MIN_PASSWORD_LENGTH = 10;
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{2,31}$/;
+// Compared against when the username is unknown, so both cases cost one scrypt
+const DUMMY_HASH = hashPassword(randomBytes(16).toString("hex"));
+
+let db: Database.Database | null = null;
+
+function getDb(): Database.Database {
+  if (db) return db;
+
+  const dbPath = authConfig.operatorsDbPath;
+  if (dbPath !== ":memory:") fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS operators (
+      username TEXT PRIMARY KEY,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL,
+      totp_secret TEXT,
+      totp_pending TEXT,
+      totp_last_step INTEGER,
+      disabled INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      last_login_at INTEGER
+    );
+
+    -- username is NULL for sessions opened with ADMIN_PASSWORD
+    CREATE TABLE IF NOT EXISTS sessions (
+      token_hash TEXT PRIMARY KEY,
+      username TEXT,
+      role TEXT NOT NULL,
+      ip TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_username ON sessions(username);
+
+    CREATE TABLE IF NOT EXISTS auth_failures (
+      ip TEXT NOT NULL,
+      at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_auth_failures_ip ON auth_failures(ip, at);
+  `);
+  return db;
+}
+
+/**
+ * Close the database (used by tests and on shutdown)
+ */
+export function closeOperatorDb(): void {
+  db?.close();
+  db = null;
+}
+
+export function isOperatorRole(value: unknown): value is OperatorRole {
+  return OPERATOR_ROLES.includes(value as OperatorRole);
+}
+
+/**
+ * Does `role` include everything `required` may do
+ */
+export function hasRole(role: OperatorRole, required: OperatorRole): boolean {
+  return OPERATOR_ROLES.indexOf(role) >= OPERATOR_ROLES.indexOf(required);
+}
+
+// ============================================================================
+// PASSWORDS
+// ============================================================================
+
+function hashPassword(password: string): string {
+  const salt = randomBytes(16);
+  const hash = scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+function verifyPassword(password: string, stored: string): boolean {
+  const [scheme, salt, hash] = stored.split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const actual = scryptSync(password, Buffer.from(salt, "base64"), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password: unknown): string {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new OperatorError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return password;
+}
+
+// ============================================================================
+// ACCOUNTS
+// ============================================================================
+
+function toOperator(row: OperatorRow): Operator {
+  return {
+    username: row.username,
+    role: row.role,
+    totpEnabled: !!row.totp_secret,
+    disabled: !!row.disabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastLoginAt: row.last_login_at,
+  };
+}
+
+function getRow(username: string): OperatorRow | undefined {
+  return getDb().prepare("SELECT * FROM operators WHERE username = ?").get(username) as
+    OperatorRow | undefined;
+}
+
+function requireRow(username: string): OperatorRow {
+  const row = getRow(username);
+  if (!row) throw new OperatorError("Operator not found", 404);
+  return row;
+}
+
+/**
+ * Refuse to remove the last enabled admin while there is no ADMIN_PASSWORD
+ * to fall back on
+ */
+function assertAdminRemains(username: string): void {
+  if (authConfig.adminPassword) return;
+  const others = getDb()
+    .prepare(
+      "SELECT COUNT(*) AS count FROM operators WHERE role = 'admin' AND disabled = 0 AND username != ?"
+    )
+    .get(username) as { count: number };
+  if (others.count === 0) {
+    throw new OperatorError("Cannot remove the last admin without ADMIN_PASSWORD set", 409);
+  }
+}
+
+export function listOperators(): Operator[] {
+  const rows = getDb().prepare("SELECT * FROM operators ORDER BY username").all() as OperatorRow[];
+  return rows.map(toOperator);
+}
+
+export function getOperator(username: string): Operator {
+  return toOperator(requireRow(username));
+}
+
+export function createOperator(input: {
+  username?: unknown;
+  password?: unknown;
+  role?: unknown;
+}): Operator {
+  const username = typeof input.username === "string" ? input.username.trim().toLowerCase() : "";
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new OperatorError(
+      "username must be 3-32 characters: letters, digits, dots, dashes or underscores"
+    );
+  }
+  if (!isOperatorRole(input.role)) {
+    throw new OperatorError(`role must be one of ${OPERATOR_ROLES.join(", ")}`);
+  }
+  const passwordHash = hashPassword(validatePassword(input.password));
+  if (getRow(username)) throw new OperatorError("Operator already exists", 409);
+
+  const now = Date.now();
+  getDb()
+    .prepare(
+      "INSERT INTO operators (username, password_hash, role, created_at, updated_at) VALUES (?, ?, ?, ?, ?)"
+    )
+    .run(username, passwordHash, input.role, now, now);
+  return getOperator(username);
+}
+
+/**
+ * Change role, password or disabled state. Any change signs the operator out.
+ */
+export function updateOperator(
+  username: string,
+  input: { role?: unknown; password?: unknown; disabled?: unknown }
+): Operator {
+  const row = requireRow(username);
+  const role = input.role ?? row.role;
+  if (!isOperatorRole(role)) {
+    throw new OperatorError(`role must be one of ${OPERATOR_ROLES.join(", ")}`);
+  }
+  if (input.disabled !== undefined && typeof input.disabled !== "boolean") {
+    throw new OperatorError("disabled must be a boolean");
+  }
+  const disabled = input.disabled ?? !!row.disabled;
+  if (row.role === "admin" && !row.disabled && (role !== "admin" || disabled)) {
+    assertAdminRemains(username);
+  }
+  const passwordHash =
+    input.password !== undefined
+      ? hashPassword(validatePassword(input.password))
+      : row.password_hash;
+
+  getDb()
+    .prepare(
+      "UPDATE operators SET role = ?, password_hash = ?, disabled = ?, updated_at = ? WHERE username = ?"
+    )
+    .run(role, passwordHash, disabled ? 1 : 0, Date.now(), username);
+  revokeOperatorSessions(username);
+  return getOperator(username);
+}
+
+export function deleteOperator(username: string): Operator {
+  const row = requireRow(username);
+  if (row.role === "admin" && !row.disabled) assertAdminRemains(username);
+
+  getDb().prepare("DELETE FROM operators WHERE username = ?").run(username);
+  revokeOperatorSessions(username);
+  return toOperator(row);
+}
+
+/**
+ * Check a login. Operators with TOTP enabled must also send a code that
+ * has not been used before.
+ */
+export function verifyCredentials(username: unknown, password: unknown, totp?: unknown): Operator {
+  const row = typeof username === "string" ? getRow(username.trim().toLowerCase()) : undefined;
+  const passwordOk =
+    typeof password === "string" && verifyPassword(password, row?.password_hash || DUMMY_HASH);
+  if (!row || !passwordOk || row.disabled) {
+    throw new OperatorError("Invalid username or password", 401);
+  }
+
+  if (row.totp_secret) {
+    if (totp === undefined || totp === "") {
+      throw new OperatorError("TOTP code required", 401, "totp_required");
+    }
+    const step = verifyTotp(row.totp_secret, totp);
+    if (step === null || step <= (row.totp_last_step ?? -1)) {
+      throw new OperatorError("Invalid TOTP code", 401, "totp_invalid");
+    }
+    getDb()
+      .prepare("UPDATE operators SET totp_last_step = ? WHERE username = ?")
+      .run(step, row.username);
+  }
+
+  getDb()
+    .prepare("UPDATE operators SET last_login_at = ? WHERE username = ?")
+    .run(Date.now(), row.username);
+  return getOperator(row.username);
+}
+
+export function changePassword(username: string, current: unknown, next: unknown): void {
+  const row = requireRow(username);
+  if (typeof current !== "string" || !verifyPassword(current, row.password_hash)) {
+    throw new OperatorError("Current password is incorrect", 401);
+  }
+  updateOperator(username, { password: next });
+}
+
+// ============================================================================
+// TOTP
+// ============================================================================
+
+/**
+ * Generate a secret to show the operator. It takes effect once a code from
+ * it is confirmed.
+ */
+export function startTotpEnrollment(username: string): { secret: string; uri: string } {
+  const row = requireRow(username);
+  if (row.totp_secret) throw new OperatorError("TOTP is already enabled", 409);
+
+  const secret = generateTotpSecret();
+  getDb().prepare("UPDATE operators SET totp_pending = ? WHERE username = ?").run(secret, username);
+  return { secret, uri: totpUri(secret, username) };
+}
+
+export function confirmTotp(username: string, code: unknown): Operator {
+  const row = requireRow(username);
+  if (!row.totp_pending) throw new OperatorError("Start TOTP enrollment first", 409);
+  const step = verifyTotp(row.totp_pending, code);
+  if (step === null) throw new OperatorError("Invalid TOTP code", 400, "totp_invalid");
+
+  getDb()
+    .prepare(
+      "UPDATE operators SET totp_secret = totp_pending, totp_pending = NULL, totp_last_step = ?, updated_at = ? WHERE username = ?"
+    )
+    .run(step, Date.now(), username);
+  return getOperator(username);
+}
+
+/**
+ * Turn TOTP off, with a current code from the operator or `force` (admins
+ * resetting a lost device)
+ */
+export function disableTotp(username: string, code: unknown, force = false): Operator {
+  const row = requireRow(username);
+  if (!row.totp_secret) throw new OperatorError("TOTP is not enabled", 409);
+  if (!force && verifyTotp(row.totp_secret, code) === null) {
+    throw new OperatorError("Invalid TOTP code", 400, "totp_invalid");
+  }
+
+  getDb()
+    .prepare(
+      "UPDATE operators SET totp_secret = NULL, totp_pending = NULL, totp_last_step = NULL, updated_at = ? WHERE username = ?"
+    )
+    .run(Date.now(), username);
+  return getOperator(username);
+}
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+function sessionTtlMs(): number {
+  return (authConfig.sessionTtlHours || DEFAULT_SESSION_HOURS) * 60 * 60 * 1000;
+}
+
+export function createSession(
+  principal: Principal,
+  ip: string
+): { token: string; expiresAt: number } {
+  const token = `${SESSION_TOKEN_PREFIX}${randomBytes(32).toString("hex")}`;
+  const now = Date.now();
+  const expiresAt = now + sessionTtlMs();
+  getDb()
+    .prepare(
+      "INSERT INTO sessions (token_hash, username, role, ip, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)"
+    )
+    .run(hashToken(token), principal.username, principal.role, ip, now, expiresAt);
+  return { token, expiresAt };
+}
+
+/**
+ * The principal behind a session token, or null when it is unknown, expired
+ * or (with STRICT_SESSION_IP) used from another address
+ */
+export function getSession(token: string, ip: string): Principal | null {
+  const database = getDb();
+  const tokenHash = hashToken(token);
+  const session = database.prepare("SELECT * FROM sessions WHERE token_hash = ?").get(tokenHash) as
+    { username: string | null; role: OperatorRole; ip: string; expires_at: number } | undefined;
+  if (!session) return null;
+  if (Date.now() > session.expires_at) {
+    database.prepare("DELETE FROM sessions WHERE token_hash = ?").run(tokenHash);
+    return null;
+  }
+  if (authConfig.strictSessionIp && session.ip !== ip) return null;
+  return { username: session.username, role: session.role };
+}
+
+export function revokeSession(token: string): void {
+  getDb().prepare("DELETE FROM sessions WHERE token_hash = ?").run(hashToken(token));
+}
+
+export function revokeOperatorSessions(username: string): void {
+  getDb().prepare("DELETE FROM sessions WHERE username = ?").run(username);
+}
+
+// ============================================================================
+// FAILED LOGINS
+// ============================================================================
+
+export function recordAuthFailure(ip: string): void {
+  getDb().prepare("INSERT INTO auth_failures (ip, at) VALUES (?, ?)").run(ip, Date.now());
+}
+
+export function countAuthFailures(ip: string, windowMs: number): number {
+  const row = getDb()
+    .prepare("SELECT COUNT(*) AS count FROM auth_failures WHERE ip = ? AND at > ?")
+    .get(ip, Date.now() - windowMs) as { count: number };
+  return row.count;
+}
+
+/**
+ * Drop expired sessions and failures older than `failureWindowMs`
+ */
+export function pruneAuthState(failureWindowMs: number): void {
+  if (!db) return;
+  const now = Date.now();
+  db.prepare("DELETE FROM sessions WHERE expires_at < ?").run(now);
+  db.prepare("DELETE FROM auth_failures WHERE at < ?").run(now - failureWindowMs);
+}
@@ -0,0 +1,333 @@
+/**
+ * Peer Limits
+ *
+ * Per-connection and per-IP limits for the Gun/ZEN wire. StatsTracker asks
+ * checkPeerMessage() about every incoming message before Gun sees it:
+ * - over messages/sec, bytes/sec or the put size limit: the message is
+ *   dropped (throttled) and the address gets a strike, at most one a second
+ * - PEER_BAN_STRIKES strikes within a minute: the address is banned for
+ *   PEER_BAN_SECS and its connections are closed
+ * Limits are hot-reloadable; PEER_LIMITS_ENABLED=false turns off the limits
+ * but not the bans. Bans, including the ones added by an admin,
+ * are kept in DATA_DIR/peer-bans.json so a restart does not lift them.
+ *
+ * @module utils/peer-limits
+ */
+
+import { peerLimitsConfig } from "../config";
+import { createJsonStore } from "./json-store";
+import { getConfigValue } from "./runtime-config";
+import { emitRelayEvent } from "./event-bus";
+import { loggers } from "./logger";
+
+const log = loggers.server;
+
+export type ThrottleReason = "put-size" | "peer-rate" | "ip-rate";
+export type PeerVerdict = "ok" | "throttled" | "banned";
+
+export interface PeerLimits {
+  enabled: boolean;
+  msgsPerSec: number;
+  bytesPerSec: number;
+  ipMsgsPerSec: number;
+  ipBytesPerSec: number;
+  maxPutBytes: number;
+  banStrikes: number;
+  banSecs: number;
+}
+
+/**
+ * A banned IP address, or peer URL when the IP is unknown
+ */
+export interface PeerBan {
+  target: string;
+  reason: string;
+  source: "auto" | "admin";
+  by: string | null;
+  createdAt: number;
+  /** null: until an admin lifts it */
+  expiresAt: number | null;
+}
+
+/**
+ * The connection a message came in on
+ */
+export interface WirePeer {
+  id: string;
+  addr: string;
+  ip: string | null;
+}
+
+/**
+ * Invalid ban request. Routes answer with `status`.
+ */
+export class PeerLimitError extends Error {
+  status: number;
+
+  constructor(message: string, status = 400) {
+    super(message);
+    this.name = "PeerLimitError";
+    this.status = status;
+  }
+}
+
+interface RateWindow {
+  second: number;
+  msgs: number;
+  bytes: number;
+  /** Seconds (epoch) in which this address was throttled */
+  strikes: number[];
+}
+
+interface BanStore {
+  bans: Record<string, PeerBan>;
+}
+
+const STRIKE_WINDOW_SECS = 60;
+const MAX_TARGET_LENGTH = 200;
+
+const windows = new Map<string, RateWindow>();
+let lastPruneSecond = 0;
+
+const storeFile = createJsonStore<BanStore>("peer-bans.json", {
+  parse: (raw) => ({ bans: raw.bans || {} }),
+});
+
+function numberSetting(key: string, fallback: number): number {
+  const value = parseFloat(getConfigValue(key) ?? "");
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Current limits (runtime overrides applied)
+ */
+export function getPeerLimits(): PeerLimits {
+  return {
+    enabled: peerLimitsConfig.enabled,
+    msgsPerSec: numberSetting("PEER_MAX_MSGS_PER_SEC", peerLimitsConfig.msgsPerSec),
+    bytesPerSec: numberSetting("PEER_MAX_BYTES_PER_SEC", peerLimitsConfig.bytesPerSec),
+    ipMsgsPerSec: numberSetting("PEER_IP_MAX_MSGS_PER_SEC", peerLimitsConfig.ipMsgsPerSec),
+    ipBytesPerSec: numberSetting("PEER_IP_MAX_BYTES_PER_SEC", peerLimitsConfig.ipBytesPerSec),
+    maxPutBytes: numberSetting("PEER_MAX_PUT_BYTES", peerLimitsConfig.maxPutBytes),
+    banStrikes: numberSetting("PEER_BAN_STRIKES", peerLimitsConfig.banStrikes),
+    banSecs: numberSetting("PEER_BAN_SECS", peerLimitsConfig.banSecs),
+  };
+}
+
+// ============================================================================
+// BAN STORE
+// ============================================================================
+
+function loadStore(): BanStore {
+  return storeFile.load();
+}
+
+function saveStore(store: BanStore): void {
+  storeFile.save(store);
+}
+
+/**
+ * Save a change driven by peer traffic (expiry, auto bans). It already
+ * applies from memory, so a failed write is only logged by the store.
+ */
+function saveQuietly(store: BanStore): void {
+  try {
+    saveStore(store);
+  } catch {
+    // Retried with the next change
+  }
+}
+
+/**
+ * Forget rate windows and the cached ban store (used by tests)
+ */
+export function resetPeerLimits(): void {
+  windows.clear();
+  lastPruneSecond = 0;
+  storeFile.reset();
+}
+
+/**
+ * Active ban for an IP or peer URL, if any
+ */
+export function getPeerBan(target: string | null | undefined): PeerBan | null {
+  if (!target) return null;
+  const store = loadStore();
+  const ban = store.bans[target];
+  if (!ban) return null;
+  if (ban.expiresAt !== null && ban.expiresAt <= Date.now()) {
+    delete store.bans[target];
+    saveQuietly(store);
+    return null;
+  }
+  return ban;
+}
+
+/**
+ * Active bans, newest first
+ */
+export function listPeerBans(): PeerBan[] {
+  const store = loadStore();
+  const now = Date.now();
+  const expired = Object.values(store.bans).filter(
+    (ban) => ban.expiresAt !== null && ban.expiresAt <= now
+  );
+  if (expired.length) {
+    for (const ban of expired) delete store.bans[ban.target];
+    saveQuietly(store);
+  }
+  return Object.values(store.bans).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Ban an IP address or peer URL and emit `peer.banned` (StatsTracker closes
+ * its connections)
+ * @param durationSecs - 0 bans until lifted; defaults to PEER_BAN_SECS
+ */
+export function banPeer(
+  target: string,
+  options: {
+    reason?: string;
+    source?: PeerBan["source"];
+    by?: string | null;
+    durationSecs?: number;
+  } = {}
+): PeerBan {
+  const cleanTarget = typeof target === "string" ? target.trim() : "";
+  if (!cleanTarget || cleanTarget.length > MAX_TARGET_LENGTH) {
+    throw new PeerLimitError("target must be an IP address or peer URL");
+  }
+  const durationSecs = options.durationSecs ?? getPeerLimits().banSecs;
+  if (typeof durationSecs !== "number" || !Number.isFinite(durationSecs) || durationSecs < 0) {
+    throw new PeerLimitError("durationSecs must be a number of seconds (0 = until lifted)");
+  }
+
+  const now = Date.now();
+  const ban: PeerBan = {
+    target: cleanTarget,
+    reason:
+      typeof options.reason === "string" && options.reason.trim()
+        ? options.reason.trim().slice(0, MAX_TARGET_LENGTH)
+        : "banned by admin",
+    source: options.source || "admin",
+    by: options.by ?? null,
+    createdAt: now,
+    expiresAt: durationSecs > 0 ? now + durationSecs * 1000 : null,
+  };
+  const store = loadStore();
+  store.bans[cleanTarget] = ban;
+  if (ban.source === "auto") saveQuietly(store);
+  else saveStore(store);
+  windows.delete(`ip:${cleanTarget}`);
+
+  log.warn({ ...ban }, "🚫 Peer banned");
+  emitRelayEvent("peer.banned", { ...ban });
+  return ban;
+}
+
+export function unbanPeer(target: string): PeerBan {
+  const store = loadStore();
+  const ban = store.bans[target];
+  if (!ban) throw new PeerLimitError(`No ban for ${target}`, 404);
+  delete store.bans[target];
+  saveStore(store);
+  return ban;
+}
+
+// ============================================================================
+// RATE WINDOWS
+// ============================================================================
+
+function windowFor(key: string, second: number): RateWindow {
+  let window = windows.get(key);
+  if (!window) {
+    window = { second, msgs: 0, bytes: 0, strikes: [] };
+    windows.set(key, window);
+  } else if (window.second !== second) {
+    window.second = second;
+    window.msgs = 0;
+    window.bytes = 0;
+  }
+  return window;
+}
+
+function isOver(window: RateWindow, maxMsgs: number, maxBytes: number): boolean {
+  return (maxMsgs > 0 && window.msgs > maxMsgs) || (maxBytes > 0 && window.bytes > maxBytes);
+}
+
+/**
+ * Drop windows that have seen neither traffic nor strikes for a minute
+ */
+function pruneWindows(second: number): void {
+  if (second - lastPruneSecond < STRIKE_WINDOW_SECS) return;
+  lastPruneSecond = second;
+  for (const [key, window] of windows) {
+    const lastStrike = window.strikes[window.strikes.length - 1] ?? 0;
+    if (Math.max(window.second, lastStrike) < second - STRIKE_WINDOW_SECS) windows.delete(key);
+  }
+}
+
+/**
+ * Decide whether an incoming wire message is let through
+ * @param bytes - size of the raw message
+ * @param isPut - whether it is a put (checked against PEER_MAX_PUT_BYTES)
+ */
+export function checkPeerMessage(
+  peer: WirePeer,
+  bytes: number,
+  isPut: boolean
+): { verdict: PeerVerdict; reason?: ThrottleReason | "banned" } {
+  // Bans hold even with the limits switched off
+  const target = peer.ip || peer.addr;
+  if (getPeerBan(target)) return { verdict: "banned", reason: "banned" };
+
+  const limits = getPeerLimits();
+  if (!limits.enabled) return { verdict: "ok" };
+
+  const second = Math.floor(Date.now() / 1000);
+  pruneWindows(second);
+
+  const peerWindow = windowFor(`peer:${peer.id}`, second);
+  peerWindow.msgs += 1;
+  peerWindow.bytes += bytes;
+  const ipWindow = peer.ip ? windowFor(`ip:${peer.ip}`, second) : null;
+  if (ipWindow) {
+    ipWindow.msgs += 1;
+    ipWindow.bytes += bytes;
+  }
+
+  let reason: ThrottleReason | null = null;
+  if (isPut && limits.maxPutBytes > 0 && bytes > limits.maxPutBytes) {
+    reason = "put-size";
+  } else if (isOver(peerWindow, limits.msgsPerSec, limits.bytesPerSec)) {
+    reason = "peer-rate";
+  } else if (ipWindow && isOver(ipWindow, limits.ipMsgsPerSec, limits.ipBytesPerSec)) {
+    reason = "ip-rate";
+  }
+  if (!reason) return { verdict: "ok" };
+
+  // Strikes count against the address, so reconnecting does not reset them
+  const strikeWindow = ipWindow || windowFor(`addr:${peer.addr}`, second);
+  if (strikeWindow.strikes[strikeWindow.strikes.length - 1] !== second) {
+    strikeWindow.strikes = strikeWindow.strikes.filter(
+      (strike) => strike > second - STRIKE_WINDOW_SECS
+    );
+    strikeWindow.strikes.push(second);
+  }
+
+  if (limits.banStrikes > 0 && strikeWindow.strikes.length >= limits.banStrikes) {
+    banPeer(target, {
+      reason: `${reason} limit exceeded for ${strikeWindow.strikes.length}s within a minute`,
+      source: "auto",
+    });
+    return { verdict: "banned", reason };
+  }
+  return { verdict: "throttled", reason };
+}
+
+/**
+ * Drop the rate window of a closed connection
+ */
+export function forgetPeer(peerId: string): void {
+  windows.delete(`peer:${peerId}`);
+}
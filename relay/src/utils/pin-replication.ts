@@ -0,0 +1,821 @@
+/**
+ * Pin Replication
+ *
+ * Keeps every CID pinned on enough relays. Each relay periodically:
+ * 1. publishes its recursive pin set on shogun/network/pins/<pub>, signed
+ *    with its SEA keypair
+ * 2. picks partners: relays in REPLICATION_PARTNERS listed by /network/relays
+ *    whose advertisement is signed by the key they registered with and
+ *    fresher than REPLICATION_OFFLINE_AFTER_MS
+ * 3. counts, per CID, how many online relays hold it and compares that with
+ *    the CID's target factor (REPLICATION_FACTOR, or a per-CID override)
+ * 4. pins under-replicated CIDs, within the relay storage quota, and drops
+ *    surplus replicas
+ *
+ * Relays never coordinate directly. Who pins or drops a CID is decided by
+ * rendezvous hashing of (cid, host), so every relay reaches the same answer
+ * from the same advertisements. Only pins made by replication ("replicas")
+ * are ever removed; content pinned by users or the admin is left alone.
+ * When a relay unpins one of its own CIDs it advertises a tombstone for a
+ * while, so the replicas are released instead of keeping the content alive.
+ *
+ * A partner's per-CID override can lower the factor but never raise it above
+ * this relay's own. AUTO_REPLICATION (hot-reloadable) pauses the whole cycle.
+ *
+ * @module utils/pin-replication
+ */
+
+import { createHash } from "crypto";
+import { getGunNode, GUN_PATHS } from "./gun-paths";
+import { getConfigValue } from "./runtime-config";
+import { emitRelayEvent } from "./event-bus";
+import { createJsonStore, JsonStore } from "./json-store";
+import { loadSEA } from "./sea";
+import { loggers } from "./logger";
+
+const log = loggers.server;
+
+export interface PinAdvertisement {
+  pub: string;
+  host: string;
+  endpoint: string | null;
+  updatedAt: number;
+  cids: string[];
+  // Subset of cids pinned by replication
+  replicas: string[];
+  // Per-CID replication factor overrides set on this relay
+  targets: Record<string, number>;
+  // Own (non-replica) pins removed recently
+  removed: string[];
+}
+
+/**
+ * Where relays publish and read pin advertisements
+ */
+export interface PinBoard {
+  publish(advertisement: PinAdvertisement): Promise<void> | void;
+  read(): Promise<PinAdvertisement[]>;
+}
+
+/**
+ * The local IPFS node
+ */
+export interface PinClient {
+  listPins(): Promise<string[]>;
+  pin(cid: string): Promise<void>;
+  unpin(cid: string): Promise<void>;
+  // Cumulative size of the DAG under cid, in bytes
+  size(cid: string): Promise<number>;
+}
+
+/**
+ * Storage accounting for replicas (the relay quota)
+ */
+export interface ReplicaQuota {
+  // Throws when `bytes` more would not fit
+  assert(cid: string, bytes: number): void;
+  record(cid: string, bytes: number): void;
+  release(cid: string): void;
+}
+
+export type ReplicationStatus = "ok" | "under" | "over" | "unavailable" | "released";
+
+export interface CidReplication {
+  cid: string;
+  target: number;
+  holders: string[];
+  replicaHolders: string[];
+  local: boolean;
+  localReplica: boolean;
+  status: ReplicationStatus;
+}
+
+export interface ReplicationPartner {
+  host: string;
+  endpoint: string | null;
+  lastSeen: number;
+  pins: number;
+  online: boolean;
+}
+
+export interface ReplicationRunResult {
+  skipped?: "disabled";
+  startedAt: number;
+  durationMs: number;
+  partners: number;
+  pinned: string[];
+  unpinned: string[];
+  failed: Array<{ cid: string; action: "pin" | "unpin"; error: string }>;
+}
+
+interface ReplicationState {
+  replicas: Record<string, { pinnedAt: number }>;
+  targets: Record<string, number>;
+  // Own pins seen on the last run, to notice removals
+  originals: string[];
+  // Tombstones: CID -> when it was unpinned here
+  removed: Record<string, number>;
+}
+
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+export interface PinReplicatorOptions {
+  host: string;
+  // SEA pub the board publishes this relay's advertisements under
+  pub: string;
+  endpoint?: string | null;
+  board: PinBoard;
+  ipfs: PinClient;
+  // Relays this one may partner with, with the key each one registered
+  getRelays: () => Promise<Array<{ host: string; pub: string }>>;
+  // Pubs of the relays the operator trusts as partners (REPLICATION_PARTNERS)
+  allowedPartners: string[];
+  statePath: string;
+  factor: number;
+  offlineAfterMs: number;
+  maxPinsPerRun: number;
+  isEnabled?: () => boolean;
+  // Content this relay refuses to hold (the CID denylist)
+  isBlocked?: (cid: string) => boolean;
+  quota?: ReplicaQuota;
+}
+
+/**
+ * AUTO_REPLICATION, read on every run so it can be changed at runtime
+ */
+export function isAutoReplicationEnabled(): boolean {
+  return (getConfigValue("AUTO_REPLICATION") ?? "true") !== "false";
+}
+
+/**
+ * Rendezvous score: the relays with the highest scores for a CID are the
+ * ones that should hold it
+ */
+function score(cid: string, host: string): number {
+  return parseInt(createHash("sha256").update(`${cid}\n${host}`).digest("hex").slice(0, 12), 16);
+}
+
+function parseTargets(value: unknown): Record<string, number> {
+  const targets: Record<string, number> = {};
+  if (value && typeof value === "object") {
+    for (const [cid, factor] of Object.entries(value)) {
+      if (typeof factor === "number" && factor > 0) targets[cid] = Math.floor(factor);
+    }
+  }
+  return targets;
+}
+
+// How each advertised CID is held: own pin, replica or tombstone
+type CidFlag = "p" | "r" | "t";
+
+/**
+ * Signed head of an advertisement as stored in the graph. The CIDs live in
+ * child nodes, one key per CID, and are bound to the head by `digest`.
+ */
+export interface SignedAdvertisement {
+  pub: string;
+  host: string;
+  record: string;
+  sig: string;
+}
+
+interface AdvertisementRecord {
+  pub: string;
+  host: string;
+  endpoint: string | null;
+  updatedAt: number;
+  // CID values are written as "<generation>:<flag>"
+  generation: string;
+  count: number;
+  digest: string;
+  targets: Record<string, number>;
+}
+
+function advertisedFlags(advertisement: PinAdvertisement): Map<string, CidFlag> {
+  const replicas = new Set(advertisement.replicas);
+  const flags = new Map<string, CidFlag>();
+  for (const cid of advertisement.cids) flags.set(cid, replicas.has(cid) ? "r" : "p");
+  for (const cid of advertisement.removed) flags.set(cid, "t");
+  return flags;
+}
+
+function digestFlags(flags: Map<string, string>): string {
+  const lines = Array.from(flags, ([cid, flag]) => `${cid}=${flag}`).sort();
+  return createHash("sha256").update(lines.join("\n")).digest("hex");
+}
+
+/**
+ * Child node holding a CID: 256 buckets by hash prefix, so no node grows
+ * with the size of the pin set
+ */
+function bucketOf(cid: string): string {
+  return createHash("sha256").update(cid).digest("hex").slice(0, 2);
+}
+
+export async function signAdvertisement(
+  advertisement: PinAdvertisement,
+  generation: string,
+  pair: any
+): Promise<SignedAdvertisement> {
+  const flags = advertisedFlags(advertisement);
+  const record: AdvertisementRecord = {
+    pub: pair.pub,
+    host: advertisement.host,
+    endpoint: advertisement.endpoint,
+    updatedAt: advertisement.updatedAt,
+    generation,
+    count: advertisement.cids.length,
+    digest: digestFlags(flags),
+    targets: advertisement.targets,
+  };
+  const SEA = await loadSEA();
+  const json = JSON.stringify(record);
+  return { pub: pair.pub, host: advertisement.host, record: json, sig: await SEA.sign(json, pair) };
+}
+
+/**
+ * Rebuild an advertisement from its graph head and CID entries. Returns null
+ * unless the head is signed by `pub` and the entries of its generation match
+ * the signed digest (forged, tampered or not fully synced yet).
+ */
+export async function verifyAdvertisement(
+  pub: string,
+  head: any,
+  entries: Map<string, string>
+): Promise<PinAdvertisement | null> {
+  if (!head || typeof head.record !== "string" || !head.sig) return null;
+
+  let signed: any;
+  try {
+    const SEA = await loadSEA();
+    signed = await SEA.verify(head.sig, pub);
+  } catch {
+    signed = undefined;
+  }
+  // SEA hands JSON messages back parsed
+  if (signed && typeof signed === "object") signed = JSON.stringify(signed);
+  if (signed !== head.record) return null;
+
+  let record: AdvertisementRecord;
+  try {
+    record = JSON.parse(head.record);
+  } catch {
+    return null;
+  }
+  if (
+    record.pub !== pub ||
+    typeof record.host !== "string" ||
+    typeof record.updatedAt !== "number" ||
+    typeof record.generation !== "string"
+  ) {
+    return null;
+  }
+
+  const prefix = `${record.generation}:`;
+  const flags = new Map<string, string>();
+  for (const [cid, value] of entries) {
+    if (value.startsWith(prefix)) flags.set(cid, value.slice(prefix.length));
+  }
+  if (digestFlags(flags) !== record.digest) return null;
+
+  const cids: string[] = [];
+  const replicas: string[] = [];
+  const removed: string[] = [];
+  for (const [cid, flag] of flags) {
+    if (flag === "t") removed.push(cid);
+    else {
+      cids.push(cid);
+      if (flag === "r") replicas.push(cid);
+    }
+  }
+  return {
+    pub,
+    host: record.host,
+    endpoint: typeof record.endpoint === "string" ? record.endpoint : null,
+    updatedAt: record.updatedAt,
+    cids: cids.sort(),
+    replicas: replicas.sort(),
+    targets: parseTargets(record.targets),
+    removed: removed.sort(),
+  };
+}
+
+/**
+ * Pin board on the Gun graph at shogun/network/pins, signed with `pair`
+ */
+export function createGunPinBoard(gun: any, pair: any, readTimeoutMs = 3000): PinBoard {
+  const node = () => getGunNode(gun, GUN_PATHS.PINS);
+  // A restart starts a new generation, so entries left over from before it
+  // are ignored instead of having to be found and cleared
+  const generation = Date.now().toString(36);
+  let published = new Map<string, CidFlag>();
+
+  return {
+    async publish(advertisement) {
+      const flags = advertisedFlags(advertisement);
+      // Only CIDs that changed since the last publish are written
+      const buckets = new Map<string, Record<string, string | null>>();
+      const write = (cid: string, value: string | null) => {
+        const bucket = bucketOf(cid);
+        buckets.set(bucket, { ...buckets.get(bucket), [cid]: value });
+      };
+      for (const [cid, flag] of flags) {
+        if (published.get(cid) !== flag) write(cid, `${generation}:${flag}`);
+      }
+      for (const cid of published.keys()) {
+        if (!flags.has(cid)) write(cid, null);
+      }
+
+      const own = node().get(pair.pub);
+      for (const [bucket, values] of buckets) own.get("cids").get(bucket).put(values);
+      own.put(await signAdvertisement(advertisement, generation, pair));
+      published = flags;
+    },
+    read() {
+      return new Promise((resolve) => {
+        const heads = new Map<string, any>();
+        const entries = new Map<string, Map<string, string>>();
+
+        setTimeout(async () => {
+          const advertisements = await Promise.all(
+            Array.from(heads, ([pub, head]) => verifyAdvertisement(pub, head, entries.get(pub)!))
+          );
+          resolve(advertisements.filter((ad): ad is PinAdvertisement => ad !== null));
+        }, readTimeoutMs);
+
+        node()
+          .map()
+          .once((data: any, pub: string) => {
+            if (!data || typeof data.record !== "string") return;
+            heads.set(pub, data);
+            if (entries.has(pub)) return;
+
+            const cids = new Map<string, string>();
+            entries.set(pub, cids);
+            node()
+              .get(pub)
+              .get("cids")
+              .map()
+              .once((bucket: any) => {
+                if (!bucket || typeof bucket !== "object") return;
+                for (const [cid, value] of Object.entries(bucket)) {
+                  if (cid !== "_" && typeof value === "string") cids.set(cid, value);
+                }
+              });
+          });
+      });
+    },
+  };
+}
+
+/**
+ * Pin client for a Kubo RPC API
+ */
+export function createIpfsPinClient(options: {
+  apiUrl: string;
+  apiToken?: string;
+  timeoutMs?: number;
+}): PinClient {
+  const call = async (apiPath: string, ignoreError?: RegExp): Promise<any> => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeoutMs ?? 120000);
+    try {
+      const response = await fetch(`${options.apiUrl}${apiPath}`, {
+        method: "POST",
+        headers: options.apiToken ? { Authorization: `Bearer ${options.apiToken}` } : {},
+        signal: controller.signal,
+      });
+      const text = await response.text();
+      if (!response.ok) {
+        if (ignoreError?.test(text)) return {};
+        throw new Error(`IPFS ${apiPath.split("?")[0]} returned ${response.status}: ${text}`);
+      }
+      return text ? JSON.parse(text) : {};
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return {
+    async listPins() {
+      const result = await call("/api/v0/pin/ls?type=recursive");
+      return Object.keys(result?.Keys || {});
+    },
+    async pin(cid) {
+      await call(`/api/v0/pin/add?arg=${encodeURIComponent(cid)}`);
+    },
+    async unpin(cid) {
+      // Already unpinned by hand: nothing left to do
+      await call(`/api/v0/pin/rm?arg=${encodeURIComponent(cid)}`, /not pinned/);
+    },
+    async size(cid) {
+      const result = await call(`/api/v0/files/stat?arg=${encodeURIComponent(`/ipfs/${cid}`)}`);
+      return Number(result?.CumulativeSize) || 0;
+    },
+  };
+}
+
+export class PinReplicator {
+  private options: PinReplicatorOptions;
+  private stateFile: JsonStore<ReplicationState>;
+  private localPins = new Set<string>();
+  private partners: ReplicationPartner[] = [];
+  private view = new Map<string, CidReplication>();
+  private lastRun: ReplicationRunResult | null = null;
+  private running: Promise<ReplicationRunResult> | null = null;
+  private interval: NodeJS.Timeout | null = null;
+  private firstRun: NodeJS.Timeout | null = null;
+
+  constructor(options: PinReplicatorOptions) {
+    this.options = options;
+    this.stateFile = createJsonStore<ReplicationState>(options.statePath, {
+      parse: (raw) => ({
+        replicas: raw.replicas || {},
+        targets: raw.targets || {},
+        originals: raw.originals || [],
+        removed: raw.removed || {},
+      }),
+      pretty: true,
+    });
+  }
+
+  get host(): string {
+    return this.options.host;
+  }
+
+  private loadState(): ReplicationState {
+    return this.stateFile.load();
+  }
+
+  private saveState(): void {
+    this.stateFile.save(this.loadState());
+  }
+
+  private advertisement(): PinAdvertisement {
+    const state = this.loadState();
+    return {
+      pub: this.options.pub,
+      host: this.options.host,
+      endpoint: this.options.endpoint ?? null,
+      updatedAt: Date.now(),
+      cids: Array.from(this.localPins).sort(),
+      replicas: Object.keys(state.replicas)
+        .filter((cid) => this.localPins.has(cid))
+        .sort(),
+      targets: { ...state.targets },
+      removed: Object.keys(state.removed).sort(),
+    };
+  }
+
+  private async publish(): Promise<PinAdvertisement> {
+    const advertisement = this.advertisement();
+    await this.options.board.publish(advertisement);
+    return advertisement;
+  }
+
+  /**
+   * Work out the replication status of every CID the online relays hold
+   */
+  private computeView(members: PinAdvertisement[]): Map<string, CidReplication> {
+    const view = new Map<string, CidReplication>();
+    const self = this.options.host;
+
+    for (const member of members) {
+      const replicas = new Set(member.replicas);
+      for (const cid of member.cids) {
+        let entry = view.get(cid);
+        if (!entry) {
+          entry = {
+            cid,
+            target: this.options.factor,
+            holders: [],
+            replicaHolders: [],
+            local: false,
+            localReplica: false,
+            status: "ok",
+          };
+          view.set(cid, entry);
+        }
+        entry.holders.push(member.host);
+        if (replicas.has(cid)) entry.replicaHolders.push(member.host);
+        if (member.host === self) {
+          entry.local = true;
+          entry.localReplica = replicas.has(cid);
+        }
+      }
+    }
+
+    // Overrides from any online relay apply and the highest one wins, but
+    // a partner's cannot go above the local factor
+    const overrides = new Map<string, number>();
+    for (const member of members) {
+      for (const [cid, target] of Object.entries(member.targets)) {
+        const factor = member.host === self ? target : Math.min(target, this.options.factor);
+        if (!overrides.has(cid) || factor > overrides.get(cid)!) overrides.set(cid, factor);
+      }
+    }
+
+    const tombstones = new Set(members.flatMap((member) => member.removed));
+
+    for (const entry of view.values()) {
+      entry.target = overrides.get(entry.cid) ?? this.options.factor;
+      const reachable = Math.min(entry.target, members.length);
+      const hasOriginal = entry.holders.length > entry.replicaHolders.length;
+      // Unpinned where it came from and only replicas are left
+      if (!hasOriginal && tombstones.has(entry.cid)) entry.status = "released";
+      else if (entry.holders.length < reachable) entry.status = "under";
+      else if (entry.holders.length > entry.target && entry.replicaHolders.length > 0) {
+        entry.status = "over";
+      }
+    }
+
+    // CIDs with an override whose holders are all offline
+    for (const [cid, target] of overrides) {
+      if (!view.has(cid)) {
+        view.set(cid, {
+          cid,
+          target,
+          holders: [],
+          replicaHolders: [],
+          local: false,
+          localReplica: false,
+          status: "unavailable",
+        });
+      }
+    }
+    return view;
+  }
+
+  /**
+   * Decide what this relay should pin or drop, given the current view
+   */
+  private plan(
+    view: Map<string, CidReplication>,
+    members: PinAdvertisement[]
+  ): { pin: string[]; unpin: string[] } {
+    const self = this.options.host;
+    const pin: string[] = [];
+    const unpin: string[] = [];
+
+    for (const entry of view.values()) {
+      const reachable = Math.min(entry.target, members.length);
+
+      if (entry.status === "under" && !entry.local) {
+        if (this.options.isBlocked?.(entry.cid)) continue;
+        // The best-scoring relays that don't have it yet take it
+        const needed = reachable - entry.holders.length;
+        const candidates = members
+          .map((m) => m.host)
+          .filter((host) => !entry.holders.includes(host))
+          .sort((a, b) => score(entry.cid, b) - score(entry.cid, a));
+        if (candidates.slice(0, needed).includes(self)) pin.push(entry.cid);
+        continue;
+      }
+
+      if (!entry.localReplica) continue;
+
+      if (entry.status === "released") {
+        unpin.push(entry.cid);
+        continue;
+      }
+
+      if (entry.status === "over") {
+        // The worst-scoring replica holders drop theirs
+        const excess = entry.holders.length - entry.target;
+        const dropping = [...entry.replicaHolders]
+          .sort((a, b) => score(entry.cid, a) - score(entry.cid, b))
+          .slice(0, excess);
+        if (dropping.includes(self)) unpin.push(entry.cid);
+      }
+    }
+
+    pin.sort();
+    return { pin: pin.slice(0, this.options.maxPinsPerRun), unpin };
+  }
+
+  private async reconcile(): Promise<ReplicationRunResult> {
+    const startedAt = Date.now();
+    const result: ReplicationRunResult = {
+      startedAt,
+      durationMs: 0,
+      partners: 0,
+      pinned: [],
+      unpinned: [],
+      failed: [],
+    };
+    const state = this.loadState();
+
+    this.localPins = new Set(await this.options.ipfs.listPins());
+    // Replicas unpinned by hand are no longer ours to manage
+    for (const cid of Object.keys(state.replicas)) {
+      if (!this.localPins.has(cid)) delete state.replicas[cid];
+    }
+
+    // Own pins that disappeared since the last run get a tombstone
+    const originals = Array.from(this.localPins).filter((cid) => !state.replicas[cid]);
+    for (const cid of state.originals) {
+      if (!this.localPins.has(cid)) state.removed[cid] = startedAt;
+    }
+    for (const [cid, removedAt] of Object.entries(state.removed)) {
+      if (this.localPins.has(cid) || startedAt - removedAt > TOMBSTONE_TTL_MS) {
+        delete state.removed[cid];
+      }
+    }
+    state.originals = originals;
+
+    let own = await this.publish();
+    const [advertisements, relays] = await Promise.all([
+      this.options.board.read(),
+      this.options.getRelays(),
+    ]);
+    // A host only counts when it is a trusted partner advertising under the
+    // key it registered with
+    const trusted = new Set(this.options.allowedPartners);
+    const known = new Map(
+      relays.filter((relay) => trusted.has(relay.pub)).map((relay) => [relay.host, relay.pub])
+    );
+    const now = Date.now();
+
+    this.partners = advertisements
+      .filter((ad) => ad.host !== this.options.host && known.get(ad.host) === ad.pub)
+      .map((ad) => ({
+        host: ad.host,
+        endpoint: ad.endpoint,
+        lastSeen: ad.updatedAt,
+        pins: ad.cids.length,
+        online: now - ad.updatedAt <= this.options.offlineAfterMs,
+      }));
+    const online = new Set(this.partners.filter((p) => p.online).map((p) => p.host));
+    const others = advertisements.filter((ad) => online.has(ad.host));
+    result.partners = others.length;
+
+    const actions = this.plan(this.computeView([own, ...others]), [own, ...others]);
+
+    for (const cid of actions.pin) {
+      try {
+        const quota = this.options.quota;
+        const bytes = quota ? await this.options.ipfs.size(cid) : 0;
+        quota?.assert(cid, bytes);
+        await this.options.ipfs.pin(cid);
+        quota?.record(cid, bytes);
+        this.localPins.add(cid);
+        state.replicas[cid] = { pinnedAt: Date.now() };
+        result.pinned.push(cid);
+        emitRelayEvent("pin.added", { cid, source: "replication" });
+      } catch (error: any) {
+        result.failed.push({ cid, action: "pin", error: error.message });
+      }
+    }
+    for (const cid of actions.unpin) {
+      try {
+        await this.options.ipfs.unpin(cid);
+        this.options.quota?.release(cid);
+        this.localPins.delete(cid);
+        delete state.replicas[cid];
+        result.unpinned.push(cid);
+        emitRelayEvent("pin.removed", { cid, source: "replication" });
+      } catch (error: any) {
+        result.failed.push({ cid, action: "unpin", error: error.message });
+      }
+    }
+
+    this.saveState();
+    if (result.pinned.length > 0 || result.unpinned.length > 0) {
+      own = await this.publish();
+    }
+    this.view = this.computeView([own, ...others]);
+
+    result.durationMs = Date.now() - startedAt;
+    if (result.pinned.length || result.unpinned.length || result.failed.length) {
+      log.info(
+        {
+          partners: result.partners,
+          pinned: result.pinned.length,
+          unpinned: result.unpinned.length,
+          failed: result.failed.length,
+        },
+        "🔁 Pin replication run completed"
+      );
+    }
+    return result;
+  }
+
+  /**
+   * One replication cycle. Concurrent calls share the run in progress.
+   */
+  run(): Promise<ReplicationRunResult> {
+    const isEnabled = this.options.isEnabled ?? isAutoReplicationEnabled;
+    if (!isEnabled()) {
+      return Promise.resolve({
+        skipped: "disabled",
+        startedAt: Date.now(),
+        durationMs: 0,
+        partners: 0,
+        pinned: [],
+        unpinned: [],
+        failed: [],
+      });
+    }
+    if (!this.running) {
+      this.running = this.reconcile()
+        .then((result) => {
+          this.lastRun = result;
+          return result;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  start(intervalMs: number): void {
+    if (this.interval) return;
+    const tick = () =>
+      this.run().catch((error) => log.error({ err: error }, "❌ Pin replication run failed"));
+    this.interval = setInterval(tick, intervalMs);
+    this.interval.unref();
+    // First run once the relay has had time to connect to its peers
+    this.firstRun = setTimeout(tick, 30000);
+    this.firstRun.unref();
+    log.info(
+      { host: this.options.host, factor: this.options.factor },
+      "🔁 Pin replication started"
+    );
+    if (this.options.allowedPartners.length === 0) {
+      log.warn("⚠️ Pin replication: REPLICATION_PARTNERS is empty, nothing will be replicated");
+    }
+  }
+
+  stop(): void {
+    if (this.firstRun) {
+      clearTimeout(this.firstRun);
+      this.firstRun = null;
+    }
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  /**
+   * Set (or clear, with null) the replication factor for one CID
+   */
+  setTarget(cid: string, factor: number | null): void {
+    const state = this.loadState();
+    if (factor === null) delete state.targets[cid];
+    else state.targets[cid] = factor;
+    this.saveState();
+  }
+
+  getCid(cid: string): CidReplication | null {
+    const entry = this.view.get(cid);
+    if (entry) return entry;
+    const target = this.loadState().targets[cid];
+    return target
+      ? {
+          cid,
+          target,
+          holders: [],
+          replicaHolders: [],
+          local: false,
+          localReplica: false,
+          status: "unavailable",
+        }
+      : null;
+  }
+
+  listCids(filter: { status?: ReplicationStatus; local?: boolean } = {}): CidReplication[] {
+    return Array.from(this.view.values())
+      .filter(
+        (entry) =>
+          (!filter.status || entry.status === filter.status) &&
+          (filter.local === undefined || entry.local === filter.local)
+      )
+      .sort((a, b) => a.cid.localeCompare(b.cid));
+  }
+
+  getStatus() {
+    const counts: Record<ReplicationStatus, number> = {
+      ok: 0,
+      under: 0,
+      over: 0,
+      unavailable: 0,
+      released: 0,
+    };
+    for (const entry of this.view.values()) counts[entry.status]++;
+    const state = this.loadState();
+    return {
+      enabled: (this.options.isEnabled ?? isAutoReplicationEnabled)(),
+      host: this.options.host,
+      factor: this.options.factor,
+      localPins: this.localPins.size,
+      replicas: Object.keys(state.replicas).length,
+      overrides: Object.keys(state.targets).length,
+      cids: this.view.size,
+      counts,
+      partners: this.partners,
+      lastRun: this.lastRun,
+    };
+  }
+}
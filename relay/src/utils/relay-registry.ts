@@ -0,0 +1,399 @@
+/**
+ * Signed relay registry
+ *
+ * Every relay publishes a heartbeat under shogun/network/registry/<pub>,
+ * signed with its SEA keypair. Readers only trust records whose signature
+ * matches the key they are stored under and whose timestamp is recent, then
+ * probe each relay's /health and rank the reachable ones by latency and
+ * uptime. The probe also checks that the endpoint answers with the same
+ * pub, so a record cannot claim someone else's endpoint.
+ *
+ * @module utils/relay-registry
+ */
+
+import { getGunNode, GUN_PATHS } from "./gun-paths";
+import { loggers } from "./logger";
+import { loadSEA } from "./sea";
+
+const log = loggers.server;
+
+// Uptime at which a relay gets the full uptime share of its score
+const FULL_UPTIME_SECS = 24 * 60 * 60;
+// Upper bound on records probed and ranked per request (the newest verified ones)
+const MAX_RECORDS = 200;
+
+export interface RelayCapabilities {
+  ipfs: boolean;
+  tpre: boolean;
+  drive: boolean;
+}
+
+export interface RelayHeartbeat {
+  pub: string;
+  host: string;
+  /** Public base URL, e.g. https://relay.example.com */
+  endpoint: string;
+  name: string;
+  version: string;
+  capabilities: RelayCapabilities;
+  load: {
+    activeConnections: number;
+    totalConnections: number;
+    heapUsedMB: number;
+    rssMB: number;
+    loadAvg: number;
+  };
+  /** Process uptime in seconds */
+  uptime: number;
+  timestamp: number;
+}
+
+/** Graph representation: the record as a JSON string plus its signature */
+export interface SignedHeartbeat {
+  pub: string;
+  host: string;
+  record: string;
+  sig: string;
+}
+
+export type RejectReason = "malformed" | "forged" | "stale" | "key-mismatch";
+
+export interface RelayProbe {
+  reachable: boolean;
+  latencyMs: number | null;
+  status: string | null;
+  uptime: number | null;
+  pub: string | null;
+  checkedAt: number;
+  error?: string;
+}
+
+export interface RankedRelay {
+  pub: string;
+  host: string;
+  endpoint: string;
+  name: string;
+  version: string;
+  capabilities: RelayCapabilities;
+  load: RelayHeartbeat["load"];
+  uptime: number;
+  lastSeen: number;
+  connections: { active: number; total: number };
+  source: "registry";
+  verified: true;
+  probe: RelayProbe | null;
+  score: number;
+}
+
+export interface RegistryOptions {
+  maxAgeMs: number;
+  /** Probe /health (false: rank by heartbeat uptime only) */
+  probe?: boolean;
+  probeTimeoutMs?: number;
+  probeCacheMs?: number;
+  now?: number;
+}
+
+/**
+ * Base URL other relays and clients use to reach this relay
+ */
+export function resolvePublicUrl(host: string, port: number, override?: string): string {
+  if (override) return override.replace(/\/+$/, "");
+  if (/^https?:\/\//.test(host)) return host.replace(/\/+$/, "");
+  const local = host === "localhost" || /^\d{1,3}(\.\d{1,3}){3}$/.test(host);
+  return local ? `http://${host}:${port}` : `https://${host}`;
+}
+
+export async function signHeartbeat(
+  heartbeat: RelayHeartbeat,
+  pair: any
+): Promise<SignedHeartbeat> {
+  const SEA = await loadSEA();
+  const record = JSON.stringify(heartbeat);
+  const sig = await SEA.sign(record, pair);
+  return { pub: heartbeat.pub, host: heartbeat.host, record, sig };
+}
+
+function isHeartbeat(value: any): value is RelayHeartbeat {
+  return (
+    value &&
+    typeof value === "object" &&
+    typeof value.pub === "string" &&
+    typeof value.host === "string" &&
+    typeof value.endpoint === "string" &&
+    /^https?:\/\//.test(value.endpoint) &&
+    typeof value.timestamp === "number" &&
+    value.capabilities &&
+    typeof value.capabilities === "object"
+  );
+}
+
+/**
+ * Check one graph entry: the signature must come from the key it is stored
+ * under and the record must name that same key
+ */
+export async function verifyHeartbeat(
+  key: string,
+  entry: any,
+  options: { maxAgeMs: number; now?: number }
+): Promise<{ heartbeat: RelayHeartbeat } | { rejected: RejectReason }> {
+  if (!entry || typeof entry !== "object" || typeof entry.record !== "string" || !entry.sig) {
+    return { rejected: "malformed" };
+  }
+
+  let signed: any;
+  try {
+    const SEA = await loadSEA();
+    signed = await SEA.verify(entry.sig, key);
+  } catch {
+    signed = undefined;
+  }
+  // SEA hands JSON messages back parsed
+  if (signed && typeof signed === "object") signed = JSON.stringify(signed);
+  if (signed !== entry.record) {
+    return { rejected: "forged" };
+  }
+
+  let heartbeat: any;
+  try {
+    heartbeat = JSON.parse(entry.record);
+  } catch {
+    return { rejected: "malformed" };
+  }
+  if (!isHeartbeat(heartbeat)) return { rejected: "malformed" };
+  if (heartbeat.pub !== key) return { rejected: "forged" };
+
+  const now = options.now ?? Date.now();
+  if (now - heartbeat.timestamp > options.maxAgeMs) return { rejected: "stale" };
+
+  return { heartbeat };
+}
+
+/**
+ * The instance the registry lives on: ZEN when enabled, otherwise Gun.
+ * Heartbeats must be published and read on the same one.
+ */
+export function getRegistryGun(app: { get(name: string): any }): any {
+  return app.get("zenInstance") || app.get("gunInstance");
+}
+
+export function publishHeartbeat(gun: any, signed: SignedHeartbeat): void {
+  getGunNode(gun, GUN_PATHS.REGISTRY).get(signed.pub).put(signed);
+}
+
+/**
+ * Raw registry entries keyed by pub (collected for `timeoutMs`)
+ */
+export function readHeartbeats(gun: any, timeoutMs = 3000): Promise<Map<string, any>> {
+  return new Promise((resolve) => {
+    const entries = new Map<string, any>();
+    setTimeout(() => resolve(entries), timeoutMs);
+    getGunNode(gun, GUN_PATHS.REGISTRY)
+      .map()
+      .once((data: any, key: string) => {
+        if (data && typeof data === "object") entries.set(key, data);
+      });
+  });
+}
+
+const probeCache = new Map<string, RelayProbe>();
+
+/**
+ * GET <endpoint>/api/v1/health and time it (cached for `cacheMs`)
+ */
+export async function probeRelay(
+  endpoint: string,
+  timeoutMs = 3000,
+  cacheMs = 0
+): Promise<RelayProbe> {
+  const cached = probeCache.get(endpoint);
+  if (cached && Date.now() - cached.checkedAt < cacheMs) return cached;
+
+  const startedAt = Date.now();
+  const started = performance.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let probe: RelayProbe;
+  try {
+    const response = await fetch(`${endpoint}/api/v1/health`, {
+      signal: controller.signal,
+      redirect: "error",
+    });
+    const latencyMs = Math.round(performance.now() - started);
+    const body: any = await response.json().catch(() => ({}));
+    probe = {
+      reachable: response.ok,
+      latencyMs,
+      status: typeof body.status === "string" ? body.status : null,
+      uptime: typeof body.uptime === "number" ? body.uptime : null,
+      pub: body.relay?.pub || null,
+      checkedAt: startedAt,
+      error: response.ok ? undefined : `HTTP ${response.status}`,
+    };
+  } catch (error: any) {
+    probe = {
+      reachable: false,
+      latencyMs: null,
+      status: null,
+      uptime: null,
+      pub: null,
+      checkedAt: startedAt,
+      error: error.name === "AbortError" ? "timeout" : error.message,
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  probeCache.set(endpoint, probe);
+  return probe;
+}
+
+export function resetProbeCache(): void {
+  probeCache.clear();
+}
+
+/**
+ * 0-100: 60% latency (relative to the probe timeout), 30% uptime (full at
+ * 24h), 10% for reporting "healthy". Unreachable relays score 0.
+ */
+export function scoreRelay(
+  uptime: number,
+  probe: RelayProbe | null,
+  probeTimeoutMs: number
+): number {
+  const uptimeShare = Math.min(Math.max(uptime, 0) / FULL_UPTIME_SECS, 1) * 0.3;
+  if (!probe) return Math.round(uptimeShare * 100);
+  if (!probe.reachable || probe.latencyMs === null) return 0;
+
+  const latencyShare = (1 - Math.min(probe.latencyMs, probeTimeoutMs) / probeTimeoutMs) * 0.6;
+  const healthShare = probe.status === "healthy" ? 0.1 : 0;
+  return Math.round((latencyShare + uptimeShare + healthShare) * 100);
+}
+
+/**
+ * Verify, de-duplicate, probe and rank registry entries. Without probing
+ * the endpoint ownership check is skipped, so callers that act on the
+ * result (rather than just reading it) should keep probing on.
+ */
+export async function rankRelays(
+  entries: Map<string, any>,
+  options: RegistryOptions
+): Promise<{ relays: RankedRelay[]; rejected: Record<RejectReason, number> }> {
+  const rejected: Record<RejectReason, number> = {
+    malformed: 0,
+    forged: 0,
+    stale: 0,
+    "key-mismatch": 0,
+  };
+  const probeTimeoutMs = options.probeTimeoutMs ?? 3000;
+
+  // Cap after verification, so junk entries cannot push real relays out
+  const verified: RelayHeartbeat[] = [];
+  for (const [key, entry] of entries) {
+    const result = await verifyHeartbeat(key, entry, options);
+    if ("rejected" in result) rejected[result.rejected]++;
+    else verified.push(result.heartbeat);
+  }
+  verified.sort((a, b) => b.timestamp - a.timestamp);
+
+  // Several keys can claim one endpoint: a relay restarted with an
+  // ephemeral key leaves older records behind, and anyone can sign a record
+  // naming someone else's endpoint. The probe tells them apart.
+  const byEndpoint = new Map<string, RelayHeartbeat[]>();
+  for (const heartbeat of verified.slice(0, MAX_RECORDS)) {
+    const claims = byEndpoint.get(heartbeat.endpoint) || [];
+    claims.push(heartbeat);
+    byEndpoint.set(heartbeat.endpoint, claims);
+  }
+
+  const endpoints = Array.from(byEndpoint.keys());
+  const probes = await Promise.all(
+    endpoints.map((endpoint) =>
+      options.probe === false
+        ? Promise.resolve(null)
+        : probeRelay(endpoint, probeTimeoutMs, options.probeCacheMs)
+    )
+  );
+
+  const relays: RankedRelay[] = [];
+  endpoints.forEach((endpoint, index) => {
+    const probe = probes[index];
+    let claims = byEndpoint.get(endpoint)!;
+    if (probe?.pub) {
+      const owned = claims.filter((heartbeat) => heartbeat.pub === probe.pub);
+      rejected["key-mismatch"] += claims.length - owned.length;
+      claims = owned;
+    }
+    if (claims.length === 0) return;
+
+    const heartbeat = claims.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+    const uptime = probe?.uptime ?? heartbeat.uptime;
+    relays.push({
+      pub: heartbeat.pub,
+      host: heartbeat.host,
+      endpoint: heartbeat.endpoint,
+      name: heartbeat.name,
+      version: heartbeat.version,
+      capabilities: heartbeat.capabilities,
+      load: heartbeat.load,
+      uptime,
+      lastSeen: heartbeat.timestamp,
+      connections: {
+        active: heartbeat.load?.activeConnections || 0,
+        total: heartbeat.load?.totalConnections || 0,
+      },
+      source: "registry",
+      verified: true,
+      probe,
+      score: scoreRelay(uptime, probe, probeTimeoutMs),
+    });
+  });
+
+  relays.sort(
+    (a, b) =>
+      b.score - a.score ||
+      (a.probe?.latencyMs ?? Infinity) - (b.probe?.latencyMs ?? Infinity) ||
+      b.uptime - a.uptime
+  );
+
+  if (rejected.forged > 0 || rejected["key-mismatch"] > 0) {
+    log.warn({ rejected }, "⚠️ Relay registry: ignored forged entries");
+  }
+  return { relays, rejected };
+}
+
+let heartbeatInterval: ReturnType<typeof setInterval> | null = null;
+
+/**
+ * Sign and publish `build()` now and every `intervalMs`
+ */
+export function startHeartbeat(options: {
+  gun: any;
+  pair: any;
+  intervalMs: number;
+  build: () => Omit<RelayHeartbeat, "pub" | "timestamp">;
+}): void {
+  if (heartbeatInterval) return;
+
+  const beat = async () => {
+    try {
+      const heartbeat = { ...options.build(), pub: options.pair.pub, timestamp: Date.now() };
+      publishHeartbeat(options.gun, await signHeartbeat(heartbeat, options.pair));
+      log.debug({ endpoint: heartbeat.endpoint }, "💓 Relay heartbeat published");
+    } catch (error) {
+      log.warn({ err: error }, "Failed to publish relay heartbeat");
+    }
+  };
+
+  void beat();
+  heartbeatInterval = setInterval(() => void beat(), options.intervalMs);
+  heartbeatInterval.unref();
+}
+
+export function stopHeartbeat(): void {
+  if (heartbeatInterval) {
+    clearInterval(heartbeatInterval);
+    heartbeatInterval = null;
+  }
+}
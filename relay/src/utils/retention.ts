@@ -0,0 +1,806 @@
+/**
+ * Retention policies
+ *
+ * Pin lifecycle rules, persisted to DATA_DIR/retention.json.
+ *
+ * Pins (via pin/add or PUT /retention/pins/:cid) and systemhash records
+ * (via save-system-hash) can carry an expiry, given as a TTL, and labels.
+ * Operators add policies on top:
+ * - max-age:   unpin uploads older than N days
+ * - max-bytes: keep at most N GB per user, unpinning the oldest first
+ * both optionally limited to one user, API key or label. Two policies are
+ * built in: "ttl" unpins whatever has expired, "wormhole" unpins orphaned
+ * wormhole transfers (WORMHOLE_MAX_AGE_SECS).
+ *
+ * Every policy can be previewed as a dry run. A real run unpins, removes
+ * the systemhash record, optionally runs repo/gc and keeps a report of
+ * what it freed.
+ *
+ * @module utils/retention
+ */
+
+import { randomBytes } from "crypto";
+import { retentionConfig, wormholeConfig } from "../config";
+import { emitRelayEvent } from "./event-bus";
+import { ipfsRequest } from "./ipfs-client";
+import { createJsonStore } from "./json-store";
+import { loggers } from "./logger";
+import { getConfigValue } from "./runtime-config";
+import { readSystemHashes, releaseUpload } from "./storage-quota";
+import { removeSystemHash } from "./storage-utils";
+import {
+  OrphanedTransfer,
+  findOrphanedTransfers,
+  removeWormholeTransfer,
+} from "./wormhole-cleanup";
+
+const log = loggers.server;
+
+const DAY = 24 * 60 * 60 * 1000;
+const GB = 1024 * 1024 * 1024;
+const TICK_MS = 60 * 1000;
+const MAX_RUNS = 50;
+// Candidates kept in a stored run report
+const MAX_REPORTED = 200;
+const MAX_LABELS = 20;
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9._:-]{0,63}$/i;
+
+export const CUSTOM_POLICY_KINDS = ["max-age", "max-bytes"] as const;
+export type RetentionKind = (typeof CUSTOM_POLICY_KINDS)[number] | "ttl" | "wormhole";
+
+export interface RetentionMatch {
+  userAddress?: string;
+  apiKeyId?: string;
+  label?: string;
+}
+
+export interface RetentionPolicy {
+  id: string;
+  name: string;
+  kind: RetentionKind;
+  enabled: boolean;
+  match: RetentionMatch;
+  maxAgeDays?: number;
+  maxGB?: number;
+  /** repo/gc after a run that unpinned something (null follows RETENTION_GC) */
+  gc: boolean | null;
+  builtIn: boolean;
+  createdAt: number;
+  updatedAt: number;
+  lastRunAt: number | null;
+}
+
+export interface PinRetention {
+  cid: string;
+  expiresAt: number | null;
+  labels: string[];
+  createdAt: number;
+  updatedAt: number;
+}
+
+export interface RetentionCandidate {
+  /** null for wormhole transfers that never got a file */
+  cid: string | null;
+  source: "systemhash" | "pin" | "wormhole";
+  bytes: number;
+  userAddress?: string;
+  createdAt?: number;
+  reason: string;
+  /** Wormhole transfer code */
+  code?: string;
+}
+
+/**
+ * Wormhole transfers live on Gun; system hashes and quota usage live on
+ * the data instance (ZEN when it is enabled, Gun otherwise)
+ */
+export interface RetentionGraphs {
+  gun: any;
+  data: any;
+}
+
+export interface RetentionPreview {
+  policy: RetentionPolicy;
+  candidates: RetentionCandidate[];
+  count: number;
+  bytes: number;
+}
+
+export interface RetentionRun {
+  id: string;
+  policyId: string;
+  policyName: string;
+  trigger: "schedule" | "manual";
+  startedAt: number;
+  finishedAt: number;
+  count: number;
+  unpinned: number;
+  /** Sizes recorded in systemhash for what was removed */
+  bytesFreed: number;
+  errors: Array<{ cid: string | null; error: string }>;
+  /** Repo size difference around repo/gc, when it ran */
+  gc: { freedBytes: number | null; error?: string } | null;
+  candidates: RetentionCandidate[];
+}
+
+interface RetentionStore {
+  policies: Record<string, RetentionPolicy>;
+  pins: Record<string, PinRetention>;
+  runs: RetentionRun[];
+}
+
+/** Pin or upload as the policies see it, systemhash and pin TTLs merged */
+interface RetainedItem {
+  cid: string;
+  source: "systemhash" | "pin";
+  bytes: number;
+  userAddress?: string;
+  apiKeyId?: string;
+  labels: string[];
+  /** 0 when unknown */
+  createdAt: number;
+  expiresAt: number | null;
+}
+
+export class RetentionError extends Error {
+  status: number;
+
+  constructor(message: string, status = 400) {
+    super(message);
+    this.name = "RetentionError";
+    this.status = status;
+  }
+}
+
+let tickInterval: NodeJS.Timeout | null = null;
+let startupTimeout: NodeJS.Timeout | null = null;
+let running: Promise<RetentionRun> | null = null;
+
+function builtInPolicies(now: number): RetentionPolicy[] {
+  const base = {
+    enabled: true,
+    match: {},
+    gc: null,
+    builtIn: true,
+    createdAt: now,
+    updatedAt: now,
+  };
+  return [
+    { ...base, id: "builtin-ttl", name: "Expired TTL pins", kind: "ttl", lastRunAt: null },
+    {
+      ...base,
+      id: "builtin-wormhole",
+      name: "Orphaned wormhole transfers",
+      kind: "wormhole",
+      lastRunAt: null,
+    },
+  ];
+}
+
+const storeFile = createJsonStore<RetentionStore>("retention.json", {
+  parse: (raw) => {
+    const store: RetentionStore = {
+      policies: raw.policies || {},
+      pins: raw.pins || {},
+      runs: raw.runs || [],
+    };
+    for (const policy of builtInPolicies(Date.now())) {
+      store.policies[policy.id] ??= policy;
+    }
+    return store;
+  },
+});
+
+function loadStore(): RetentionStore {
+  return storeFile.load();
+}
+
+function saveStore(store: RetentionStore): void {
+  storeFile.save(store);
+}
+
+/**
+ * Drop the in-memory cache (used by tests)
+ */
+export function resetRetentionStoreCache(): void {
+  storeFile.reset();
+}
+
+/**
+ * Read a numeric setting, preferring hot-reloaded values over the env config
+ */
+function numberSetting(key: string, fallback: number): number {
+  const value = parseFloat(getConfigValue(key) ?? "");
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function booleanSetting(key: string, fallback: boolean): boolean {
+  const value = getConfigValue(key);
+  return value === undefined ? fallback : value === "true";
+}
+
+// ============================================================================
+// TTLS AND LABELS
+// ============================================================================
+
+function parseLabels(value: unknown): string[] {
+  if (value === undefined || value === null || value === "") return [];
+  const labels = typeof value === "string" ? value.split(",") : value;
+  if (!Array.isArray(labels) || labels.some((label) => typeof label !== "string")) {
+    throw new RetentionError("labels must be an array of strings");
+  }
+  const cleaned = Array.from(new Set(labels.map((label: string) => label.trim()).filter(Boolean)));
+  if (cleaned.length > MAX_LABELS || cleaned.some((label) => !LABEL_PATTERN.test(label))) {
+    throw new RetentionError(
+      `labels: at most ${MAX_LABELS}, each 1-64 letters, digits, dots, colons, dashes or underscores`
+    );
+  }
+  return cleaned;
+}
+
+/**
+ * Read `ttl` (seconds), `expiresAt` (ms timestamp or ISO date) and `labels`
+ * from a request body. Returns null when none of them is set.
+ */
+export function parseRetentionInput(input: {
+  ttl?: unknown;
+  expiresAt?: unknown;
+  labels?: unknown;
+}): { expiresAt: number | null; labels: string[] } | null {
+  const { ttl, expiresAt, labels } = input || {};
+  if (ttl === undefined && expiresAt === undefined && labels === undefined) return null;
+
+  let expiry: number | null = null;
+  if (ttl !== undefined && ttl !== null) {
+    if (typeof ttl !== "number" || !Number.isFinite(ttl) || ttl <= 0) {
+      throw new RetentionError("ttl must be a positive number of seconds");
+    }
+    expiry = Date.now() + Math.round(ttl * 1000);
+  } else if (expiresAt !== undefined && expiresAt !== null) {
+    expiry = typeof expiresAt === "number" ? expiresAt : Date.parse(String(expiresAt));
+    if (!Number.isFinite(expiry)) {
+      throw new RetentionError("expiresAt must be a timestamp in ms or an ISO date");
+    }
+  }
+  return { expiresAt: expiry, labels: parseLabels(labels) };
+}
+
+export function listPinRetention(): PinRetention[] {
+  return Object.values(loadStore().pins).sort(
+    (a, b) => (a.expiresAt ?? Infinity) - (b.expiresAt ?? Infinity)
+  );
+}
+
+export function setPinRetention(
+  cid: string,
+  input: { ttl?: unknown; expiresAt?: unknown; labels?: unknown }
+): PinRetention {
+  if (!/^[A-Za-z0-9]+$/.test(cid)) throw new RetentionError("cid is not a valid CID");
+  const parsed = parseRetentionInput(input);
+  if (!parsed) throw new RetentionError("ttl, expiresAt or labels is required");
+
+  const store = loadStore();
+  const now = Date.now();
+  const pin: PinRetention = {
+    cid,
+    ...parsed,
+    createdAt: store.pins[cid]?.createdAt ?? now,
+    updatedAt: now,
+  };
+  store.pins[cid] = pin;
+  saveStore(store);
+  return pin;
+}
+
+export function clearPinRetention(cid: string): PinRetention {
+  const store = loadStore();
+  const pin = store.pins[cid];
+  if (!pin) throw new RetentionError("No retention settings for this CID", 404);
+  delete store.pins[cid];
+  saveStore(store);
+  return pin;
+}
+
+// ============================================================================
+// POLICIES
+// ============================================================================
+
+export function listPolicies(): RetentionPolicy[] {
+  return Object.values(loadStore().policies).sort(
+    (a, b) => Number(b.builtIn) - Number(a.builtIn) || a.createdAt - b.createdAt
+  );
+}
+
+export function getPolicy(id: string): RetentionPolicy {
+  const policy = loadStore().policies[id];
+  if (!policy) throw new RetentionError("Retention policy not found", 404);
+  return policy;
+}
+
+function positiveNumber(value: unknown, field: string): number {
+  if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+    throw new RetentionError(`${field} must be a positive number`);
+  }
+  return value;
+}
+
+function parseMatch(value: unknown): RetentionMatch {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw new RetentionError("match must be an object");
+  }
+  const match: RetentionMatch = {};
+  for (const key of ["userAddress", "apiKeyId", "label"] as const) {
+    const field = (value as Record<string, unknown>)[key];
+    if (field === undefined || field === "") continue;
+    if (typeof field !== "string" || field.length > 200) {
+      throw new RetentionError(`match.${key} must be a string`);
+    }
+    match[key] = field.trim();
+  }
+  return match;
+}
+
+function parseGc(value: unknown): boolean | null {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "boolean") throw new RetentionError("gc must be a boolean");
+  return value;
+}
+
+export function createPolicy(input: {
+  name?: unknown;
+  kind?: unknown;
+  enabled?: unknown;
+  match?: unknown;
+  maxAgeDays?: unknown;
+  maxGB?: unknown;
+  gc?: unknown;
+}): RetentionPolicy {
+  if (typeof input.name !== "string" || !input.name.trim()) {
+    throw new RetentionError("name is required");
+  }
+  if (!CUSTOM_POLICY_KINDS.includes(input.kind as (typeof CUSTOM_POLICY_KINDS)[number])) {
+    throw new RetentionError(`kind must be one of ${CUSTOM_POLICY_KINDS.join(", ")}`);
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== "boolean") {
+    throw new RetentionError("enabled must be a boolean");
+  }
+
+  const now = Date.now();
+  const policy: RetentionPolicy = {
+    id: `ret_${randomBytes(8).toString("hex")}`,
+    name: input.name.trim().slice(0, 100),
+    kind: input.kind as RetentionKind,
+    enabled: input.enabled ?? true,
+    match: parseMatch(input.match),
+    gc: parseGc(input.gc),
+    builtIn: false,
+    createdAt: now,
+    updatedAt: now,
+    lastRunAt: null,
+  };
+  if (policy.kind === "max-age") policy.maxAgeDays = positiveNumber(input.maxAgeDays, "maxAgeDays");
+  if (policy.kind === "max-bytes") policy.maxGB = positiveNumber(input.maxGB, "maxGB");
+
+  const store = loadStore();
+  store.policies[policy.id] = policy;
+  saveStore(store);
+  return policy;
+}
+
+/**
+ * Built-in policies can only be switched on or off and have their gc setting changed
+ */
+export function updatePolicy(
+  id: string,
+  input: {
+    name?: unknown;
+    enabled?: unknown;
+    match?: unknown;
+    maxAgeDays?: unknown;
+    maxGB?: unknown;
+    gc?: unknown;
+  }
+): RetentionPolicy {
+  const store = loadStore();
+  const current = getPolicy(id);
+  const policy: RetentionPolicy = { ...current, updatedAt: Date.now() };
+
+  if (input.enabled !== undefined) {
+    if (typeof input.enabled !== "boolean") throw new RetentionError("enabled must be a boolean");
+    policy.enabled = input.enabled;
+  }
+  if (input.gc !== undefined) policy.gc = parseGc(input.gc);
+
+  const rules = [input.name, input.match, input.maxAgeDays, input.maxGB];
+  if (policy.builtIn && rules.some((value) => value !== undefined)) {
+    throw new RetentionError("Built-in policies can only be enabled, disabled or change gc");
+  }
+  if (input.name !== undefined) {
+    if (typeof input.name !== "string" || !input.name.trim()) {
+      throw new RetentionError("name must be a non-empty string");
+    }
+    policy.name = input.name.trim().slice(0, 100);
+  }
+  if (input.match !== undefined) policy.match = parseMatch(input.match);
+  if (input.maxAgeDays !== undefined && policy.kind === "max-age") {
+    policy.maxAgeDays = positiveNumber(input.maxAgeDays, "maxAgeDays");
+  }
+  if (input.maxGB !== undefined && policy.kind === "max-bytes") {
+    policy.maxGB = positiveNumber(input.maxGB, "maxGB");
+  }
+
+  store.policies[id] = policy;
+  saveStore(store);
+  return policy;
+}
+
+export function deletePolicy(id: string): RetentionPolicy {
+  const policy = getPolicy(id);
+  if (policy.builtIn) throw new RetentionError("Built-in policies can be disabled, not deleted");
+  const store = loadStore();
+  delete store.policies[id];
+  saveStore(store);
+  return policy;
+}
+
+// ============================================================================
+// CANDIDATES
+// ============================================================================
+
+function toTime(value: unknown): number {
+  if (typeof value === "number" && Number.isFinite(value)) return value;
+  if (typeof value === "string") {
+    const parsed = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(parsed) ? parsed : 0;
+  }
+  return 0;
+}
+
+/**
+ * Everything a policy can act on: systemhash records, plus pins that only
+ * have retention settings
+ */
+async function collectItems(dataGun: any): Promise<RetainedItem[]> {
+  const items = new Map<string, RetainedItem>();
+  const records = dataGun ? await readSystemHashes(dataGun, 10000) : [];
+  for (const record of records) {
+    let labels: string[] = [];
+    try {
+      labels = parseLabels(record.labels);
+    } catch {
+      // Labels written by an older client; ignore them
+    }
+    items.set(record.hash, {
+      cid: record.hash,
+      source: "systemhash",
+      bytes: typeof record.fileSize === "number" ? Math.max(0, record.fileSize) : 0,
+      userAddress: record.userAddress || undefined,
+      apiKeyId: record.apiKeyId || undefined,
+      labels,
+      createdAt: toTime(record.uploadedAt ?? record.timestamp),
+      expiresAt: record.expiresAt ? toTime(record.expiresAt) || null : null,
+    });
+  }
+
+  for (const pin of Object.values(loadStore().pins)) {
+    const item = items.get(pin.cid);
+    if (!item) {
+      items.set(pin.cid, {
+        cid: pin.cid,
+        source: "pin",
+        bytes: 0,
+        labels: pin.labels,
+        createdAt: pin.createdAt,
+        expiresAt: pin.expiresAt,
+      });
+      continue;
+    }
+    item.labels = Array.from(new Set([...item.labels, ...pin.labels]));
+    if (pin.expiresAt !== null) {
+      item.expiresAt =
+        item.expiresAt === null ? pin.expiresAt : Math.min(item.expiresAt, pin.expiresAt);
+    }
+  }
+  return Array.from(items.values());
+}
+
+function matches(item: RetainedItem, match: RetentionMatch): boolean {
+  return (
+    (!match.userAddress || item.userAddress?.toLowerCase() === match.userAddress.toLowerCase()) &&
+    (!match.apiKeyId || item.apiKeyId === match.apiKeyId) &&
+    (!match.label || item.labels.includes(match.label))
+  );
+}
+
+function toCandidate(item: RetainedItem, reason: string): RetentionCandidate {
+  return {
+    cid: item.cid,
+    source: item.source,
+    bytes: item.bytes,
+    userAddress: item.userAddress,
+    createdAt: item.createdAt || undefined,
+    reason,
+  };
+}
+
+function isActive(policy: RetentionPolicy): boolean {
+  if (!policy.enabled) return false;
+  return policy.kind !== "wormhole" || (wormholeConfig.enabled && wormholeConfig.cleanupEnabled);
+}
+
+async function findCandidates(
+  policy: RetentionPolicy,
+  { gun, data }: RetentionGraphs
+): Promise<Array<RetentionCandidate & { transfer?: OrphanedTransfer }>> {
+  const now = Date.now();
+
+  if (policy.kind === "wormhole") {
+    if (!wormholeConfig.enabled) return [];
+    const maxAgeSecs = numberSetting("WORMHOLE_MAX_AGE_SECS", wormholeConfig.maxAgeSecs);
+    const transfers = await findOrphanedTransfers(gun, maxAgeSecs);
+    return transfers.map((transfer) => ({
+      cid: transfer.ipfsHash,
+      source: "wormhole",
+      bytes: 0,
+      createdAt: transfer.createdAt,
+      reason: `unfinished transfer older than ${maxAgeSecs}s`,
+      code: transfer.code,
+      transfer,
+    }));
+  }
+
+  const items = (await collectItems(data)).filter((item) => matches(item, policy.match));
+
+  if (policy.kind === "ttl") {
+    return items
+      .filter((item) => item.expiresAt !== null && item.expiresAt <= now)
+      .map((item) => toCandidate(item, `expired ${new Date(item.expiresAt!).toISOString()}`));
+  }
+
+  if (policy.kind === "max-age") {
+    const cutoff = now - (policy.maxAgeDays || 0) * DAY;
+    // Items with no known upload date are never treated as old
+    return items
+      .filter((item) => item.createdAt > 0 && item.createdAt < cutoff)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map((item) => toCandidate(item, `older than ${policy.maxAgeDays} days`));
+  }
+
+  // max-bytes: per user, newest first until the limit, the rest goes
+  const limit = (policy.maxGB || 0) * GB;
+  const byUser = new Map<string, RetainedItem[]>();
+  for (const item of items) {
+    if (!item.userAddress) continue;
+    const key = item.userAddress.toLowerCase();
+    byUser.set(key, [...(byUser.get(key) || []), item]);
+  }
+  const candidates: RetentionCandidate[] = [];
+  for (const userItems of byUser.values()) {
+    // Unknown upload dates sort as newest, so they go last
+    userItems.sort((a, b) => (b.createdAt || Infinity) - (a.createdAt || Infinity));
+    let kept = 0;
+    for (const item of userItems) {
+      if (kept + item.bytes <= limit) {
+        kept += item.bytes;
+      } else {
+        candidates.push(toCandidate(item, `over ${policy.maxGB} GB for ${item.userAddress}`));
+      }
+    }
+  }
+  return candidates;
+}
+
+/**
+ * What a policy would unpin right now, without touching anything
+ */
+export async function previewPolicy(
+  id: string,
+  graphs: RetentionGraphs
+): Promise<RetentionPreview> {
+  const policy = getPolicy(id);
+  const candidates = (await findCandidates(policy, graphs)).map(
+    ({ transfer: _transfer, ...candidate }) => candidate
+  );
+  return {
+    policy,
+    candidates,
+    count: candidates.length,
+    bytes: candidates.reduce((sum, candidate) => sum + candidate.bytes, 0),
+  };
+}
+
+// ============================================================================
+// RUNS
+// ============================================================================
+
+/**
+ * @returns false when the CID was not pinned here
+ */
+async function unpin(cid: string): Promise<boolean> {
+  try {
+    await ipfsRequest(`/api/v0/pin/rm?arg=${encodeURIComponent(cid)}`, {
+      timeout: 30000,
+      maxRetries: 1,
+    });
+    return true;
+  } catch (error: any) {
+    if (/not pinned/i.test(error.message)) return false;
+    throw error;
+  }
+}
+
+async function repoSize(): Promise<number | null> {
+  try {
+    const stat: any = await ipfsRequest("/api/v0/repo/stat?size-only=true", {
+      timeout: 30000,
+      maxRetries: 1,
+    });
+    return typeof stat?.RepoSize === "number" ? stat.RepoSize : null;
+  } catch {
+    return null;
+  }
+}
+
+async function collectGarbage(): Promise<NonNullable<RetentionRun["gc"]>> {
+  const before = await repoSize();
+  try {
+    await ipfsRequest("/api/v0/repo/gc", { timeout: 10 * 60 * 1000, maxRetries: 0 });
+  } catch (error: any) {
+    log.warn({ err: error }, "Retention: repo/gc failed");
+    return { freedBytes: null, error: error.message };
+  }
+  const after = await repoSize();
+  return { freedBytes: before !== null && after !== null ? Math.max(0, before - after) : null };
+}
+
+async function executePolicy(
+  policy: RetentionPolicy,
+  graphs: RetentionGraphs,
+  trigger: RetentionRun["trigger"]
+): Promise<RetentionRun> {
+  const startedAt = Date.now();
+  const candidates = await findCandidates(policy, graphs);
+
+  let unpinned = 0;
+  let bytesFreed = 0;
+  const errors: RetentionRun["errors"] = [];
+  const removedPins: string[] = [];
+  for (const candidate of candidates) {
+    try {
+      if (candidate.cid && (await unpin(candidate.cid))) {
+        emitRelayEvent("pin.removed", { cid: candidate.cid, source: "retention" });
+      }
+      if (candidate.source === "systemhash" && candidate.cid) {
+        await removeSystemHash(graphs.data, candidate.cid);
+        releaseUpload(candidate.cid, candidate.userAddress, graphs.data);
+      }
+      if (candidate.transfer) removeWormholeTransfer(graphs.gun, candidate.transfer);
+      if (candidate.cid) removedPins.push(candidate.cid);
+      unpinned++;
+      bytesFreed += candidate.bytes;
+    } catch (error: any) {
+      log.error({ err: error, cid: candidate.cid }, "❌ Retention: failed to remove");
+      errors.push({ cid: candidate.cid, error: error.message });
+    }
+  }
+
+  const runGc = policy.gc ?? booleanSetting("RETENTION_GC", retentionConfig.gcAfterRun);
+  const gc = runGc && unpinned > 0 ? await collectGarbage() : null;
+
+  const run: RetentionRun = {
+    id: `run_${randomBytes(8).toString("hex")}`,
+    policyId: policy.id,
+    policyName: policy.name,
+    trigger,
+    startedAt,
+    finishedAt: Date.now(),
+    count: candidates.length,
+    unpinned,
+    bytesFreed,
+    errors,
+    gc,
+    candidates: candidates
+      .slice(0, MAX_REPORTED)
+      .map(({ transfer: _transfer, ...candidate }) => candidate),
+  };
+
+  const store = loadStore();
+  for (const cid of removedPins) delete store.pins[cid];
+  if (store.policies[policy.id]) store.policies[policy.id].lastRunAt = run.finishedAt;
+  store.runs = [run, ...store.runs].slice(0, MAX_RUNS);
+  saveStore(store);
+
+  if (run.count > 0) {
+    log.info(
+      { policy: policy.name, unpinned, bytesFreed, errors: errors.length, gc },
+      "🧹 Retention run completed"
+    );
+    emitRelayEvent("retention.completed", {
+      policyId: policy.id,
+      policyName: policy.name,
+      unpinned,
+      bytesFreed,
+      errors: errors.length,
+      gcFreedBytes: gc?.freedBytes ?? null,
+    });
+  }
+  return run;
+}
+
+/**
+ * Run a policy now. Runs never overlap.
+ */
+export async function runPolicy(
+  id: string,
+  graphs: RetentionGraphs,
+  trigger: RetentionRun["trigger"] = "manual"
+): Promise<RetentionRun> {
+  const policy = getPolicy(id);
+  if (running) throw new RetentionError("A retention run is already in progress", 409);
+
+  running = executePolicy(policy, graphs, trigger);
+  try {
+    return await running;
+  } finally {
+    running = null;
+  }
+}
+
+/**
+ * Newest runs first
+ */
+export function listRuns(filter: { policyId?: string } = {}, limit = 20): RetentionRun[] {
+  return loadStore()
+    .runs.filter((run) => !filter.policyId || run.policyId === filter.policyId)
+    .slice(0, limit);
+}
+
+function policyInterval(policy: RetentionPolicy): number {
+  return policy.kind === "wormhole"
+    ? numberSetting("WORMHOLE_CLEANUP_INTERVAL_MS", wormholeConfig.cleanupIntervalMs)
+    : numberSetting("RETENTION_INTERVAL_MS", retentionConfig.intervalMs);
+}
+
+export function getNextRunAt(policy: RetentionPolicy): number | null {
+  if (!retentionConfig.enabled || !isActive(policy)) return null;
+  return (policy.lastRunAt ?? 0) + policyInterval(policy);
+}
+
+async function runDuePolicies(graphs: RetentionGraphs): Promise<void> {
+  for (const policy of listPolicies()) {
+    const nextRunAt = getNextRunAt(policy);
+    if (running || nextRunAt === null || nextRunAt > Date.now()) continue;
+    try {
+      await runPolicy(policy.id, graphs, "schedule");
+    } catch (error) {
+      log.warn({ err: error, policy: policy.name }, "Retention: scheduled run failed");
+    }
+  }
+}
+
+/**
+ * Start the retention scheduler
+ * @param graphs - Gun for wormhole transfers, the data instance for system hashes
+ */
+export function startRetention(graphs: RetentionGraphs): void {
+  if (tickInterval || !retentionConfig.enabled) return;
+
+  const tick = () => void runDuePolicies(graphs);
+  // Run after initial delay to let GunDB initialize
+  startupTimeout = setTimeout(tick, 10000);
+  startupTimeout.unref();
+  tickInterval = setInterval(tick, TICK_MS);
+  tickInterval.unref();
+}
+
+export function stopRetention(): void {
+  if (startupTimeout) {
+    clearTimeout(startupTimeout);
+    startupTimeout = null;
+  }
+  if (tickInterval) {
+    clearInterval(tickInterval);
+    tickInterval = null;
+  }
+}
@@ -25,13 +25,31 @@ export const HOT_RELOADABLE_KEYS = [
   "WORMHOLE_CLEANUP_INTERVAL_MS",
   "WORMHOLE_MAX_AGE_SECS",
 
+  // Retention
+  "RETENTION_INTERVAL_MS",
+  "RETENTION_GC",
+
+  // Peer limits
+  "PEER_MAX_MSGS_PER_SEC",
+  "PEER_MAX_BYTES_PER_SEC",
+  "PEER_IP_MAX_MSGS_PER_SEC",
+  "PEER_IP_MAX_BYTES_PER_SEC",
+  "PEER_MAX_PUT_BYTES",
+  "PEER_BAN_STRIKES",
+  "PEER_BAN_SECS",
+
   // Limits
   "RELAY_MAX_STORAGE_GB",
   "RELAY_STORAGE_WARNING_THRESHOLD",
+  "STORAGE_QUOTA_USER_MB",
+  "STORAGE_QUOTA_API_KEY_MB",
   "IPFS_PIN_TIMEOUT_MS",
 
   // Replication
   "AUTO_REPLICATION",
+
+  // Gun write policy
+  "WRITE_POLICY_FILE",
 ] as const;
 
 export type HotReloadableKey = (typeof HOT_RELOADABLE_KEYS)[number];
@@ -275,6 +293,9 @@ export function getAllConfig(): ConfigInfo[] {
     if (key.startsWith("RELAY_")) return "Relay";
     if (key.startsWith("IPFS_")) return "IPFS";
     if (key.startsWith("WORMHOLE_")) return "Wormhole";
+    if (key.startsWith("RETENTION_")) return "Retention";
+    if (key.startsWith("PEER_")) return "Peers";
+    if (key.startsWith("WRITE_POLICY")) return "Security";
 
     if (key.includes("STORAGE") || key === "DATA_DIR") return "Storage";
     if (key.includes("PASSWORD") || key.includes("KEY") || key.includes("TOKEN")) return "Security";
@@ -0,0 +1,20 @@
+/**
+ * SEA loader
+ *
+ * Loads Gun's SEA module lazily so routes that only occasionally need
+ * signing/encryption don't pay for it at import time.
+ *
+ * @module utils/sea
+ */
+
+let seaPromise: Promise<any> | null = null;
+
+/**
+ * Get the SEA module (cached after the first call)
+ */
+export function loadSEA(): Promise<any> {
+  if (!seaPromise) {
+    seaPromise = import("gun/sea.js").then((mod: any) => mod.default || mod);
+  }
+  return seaPromise;
+}
@@ -0,0 +1,575 @@
+/**
+ * Upload Search Index
+ *
+ * A local SQLite copy of the systemhash records, so uploads can be searched
+ * without fetching the whole map from Gun:
+ * - full-text search (FTS5, prefix matching) over upload names and over the
+ *   paths of the files inside directory uploads
+ * - filters on user, content type, size, upload date and retention label
+ * - facet counts (type, user, size) for the filtered set
+ * - keyset cursor pagination, stable while records are added
+ *
+ * The index follows the systemhash node through a Gun subscription, so
+ * records written by other peers show up too, and is rebuilt from Gun shortly
+ * after startup to drop records removed while the relay was down.
+ *
+ * @module utils/search-index
+ */
+
+import Database from "better-sqlite3";
+import fs from "fs";
+import path from "path";
+import { searchConfig } from "../config";
+import { GUN_PATHS } from "./gun-paths";
+import { readSystemHashes } from "./storage-quota";
+import { loggers } from "./logger";
+
+const log = loggers.uploads;
+
+export const SEARCH_SORTS = ["newest", "oldest", "largest", "smallest", "name"] as const;
+export type SearchSort = (typeof SEARCH_SORTS)[number];
+
+export interface UploadSearchQuery {
+  /** Words to look for in names and directory paths (prefix match, all words) */
+  q?: string;
+  userAddress?: string;
+  /** Content type ("image/png"), its top-level type ("image") or "directory" */
+  type?: string;
+  minSize?: number;
+  maxSize?: number;
+  /** Upload time range, ms since epoch */
+  from?: number;
+  to?: number;
+  isDirectory?: boolean;
+  label?: string;
+  sort?: SearchSort;
+  limit?: number;
+  cursor?: string;
+  /** Also return facet counts (default true) */
+  facets?: boolean;
+}
+
+export interface UploadSearchHit {
+  hash: string;
+  name: string;
+  userAddress: string;
+  contentType: string | null;
+  fileSize: number;
+  isDirectory: boolean;
+  fileCount: number;
+  isEncrypted: boolean;
+  labels: string[];
+  uploadedAt: number;
+  /** Files inside a directory upload that matched `q` (first few) */
+  matchedFiles: Array<{ path: string; size: number | null }>;
+}
+
+export interface UploadSearchFacets {
+  types: Record<string, number>;
+  users: Array<{ userAddress: string; count: number; bytes: number }>;
+  sizes: Record<SizeBucket, number>;
+}
+
+export interface UploadSearchResult {
+  results: UploadSearchHit[];
+  total: number;
+  nextCursor: string | null;
+  facets: UploadSearchFacets | null;
+}
+
+/**
+ * Invalid search parameters, or the index is disabled. Routes answer with
+ * `status`.
+ */
+export class SearchIndexError extends Error {
+  status: number;
+
+  constructor(message: string, status = 400) {
+    super(message);
+    this.name = "SearchIndexError";
+    this.status = status;
+  }
+}
+
+interface UploadRow {
+  hash: string;
+  name: string;
+  user_address: string;
+  content_type: string | null;
+  file_size: number;
+  is_directory: number;
+  file_count: number;
+  is_encrypted: number;
+  labels: string;
+  uploaded_at: number;
+}
+
+const SORT_ORDER: Record<SearchSort, { column: keyof UploadRow; desc: boolean }> = {
+  newest: { column: "uploaded_at", desc: true },
+  oldest: { column: "uploaded_at", desc: false },
+  largest: { column: "file_size", desc: true },
+  smallest: { column: "file_size", desc: false },
+  name: { column: "name", desc: false },
+};
+
+const MB = 1024 * 1024;
+const SIZE_BUCKETS = {
+  "<1MB": [0, MB],
+  "1-100MB": [MB, 100 * MB],
+  "100MB-1GB": [100 * MB, 1024 * MB],
+  ">1GB": [1024 * MB, Number.MAX_SAFE_INTEGER],
+} as const;
+type SizeBucket = keyof typeof SIZE_BUCKETS;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_QUERY_WORDS = 8;
+const MATCHED_FILES_PER_HIT = 5;
+
+let db: Database.Database | null = null;
+
+function getDb(): Database.Database {
+  if (!searchConfig.enabled) {
+    throw new SearchIndexError("Search index is disabled (SEARCH_INDEX_ENABLED=false)", 503);
+  }
+  if (db) return db;
+
+  const dbPath = searchConfig.dbPath;
+  if (dbPath !== ":memory:") fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS uploads (
+      hash TEXT PRIMARY KEY,
+      name TEXT NOT NULL COLLATE NOCASE,
+      user_address TEXT NOT NULL,
+      content_type TEXT,
+      kind TEXT NOT NULL,
+      file_size INTEGER NOT NULL,
+      is_directory INTEGER NOT NULL,
+      file_count INTEGER NOT NULL,
+      is_encrypted INTEGER NOT NULL,
+      -- ",a,b," so a single label can be matched with LIKE (wildcards escaped)
+      labels TEXT NOT NULL,
+      uploaded_at INTEGER NOT NULL,
+      indexed_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_uploads_user ON uploads(user_address, uploaded_at);
+    CREATE INDEX IF NOT EXISTS idx_uploads_uploaded ON uploads(uploaded_at);
+    CREATE INDEX IF NOT EXISTS idx_uploads_size ON uploads(file_size);
+
+    -- rowid = uploads.rowid
+    CREATE VIRTUAL TABLE IF NOT EXISTS upload_names
+      USING fts5(names, tokenize = 'unicode61 remove_diacritics 2');
+
+    -- Files inside directory uploads
+    CREATE TABLE IF NOT EXISTS upload_files (
+      id INTEGER PRIMARY KEY,
+      hash TEXT NOT NULL,
+      path TEXT NOT NULL,
+      size INTEGER
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_upload_files_hash ON upload_files(hash);
+
+    -- rowid = upload_files.id
+    CREATE VIRTUAL TABLE IF NOT EXISTS upload_paths
+      USING fts5(path, tokenize = 'unicode61 remove_diacritics 2');
+  `);
+  return db;
+}
+
+/**
+ * Close the database (used by tests and on shutdown)
+ */
+export function closeSearchIndex(): void {
+  db?.close();
+  db = null;
+}
+
+// ============================================================================
+// INDEXING
+// ============================================================================
+
+function toTime(value: unknown): number {
+  if (typeof value === "number" && Number.isFinite(value)) return value;
+  if (typeof value === "string") {
+    const parsed = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(parsed) ? parsed : 0;
+  }
+  return 0;
+}
+
+function parseFiles(files: unknown): Array<{ path: string; size: number | null }> {
+  let list = files;
+  if (typeof list === "string") {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      return [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((file: any) => ({
+      path: String(file?.path || file?.name || file?.originalName || ""),
+      size: typeof file?.size === "number" ? file.size : null,
+    }))
+    .filter((file) => file.path);
+}
+
+function parseLabels(labels: unknown): string[] {
+  const list = Array.isArray(labels) ? labels : typeof labels === "string" ? labels.split(",") : [];
+  return list.map((label) => String(label).trim()).filter(Boolean);
+}
+
+function kindOf(contentType: string | null, isDirectory: boolean): string {
+  if (isDirectory || contentType === "application/directory") return "directory";
+  if (!contentType) return "unknown";
+  return contentType.split("/")[0].toLowerCase();
+}
+
+/**
+ * Add or update one systemhash record (as stored in Gun: `files` may be a
+ * JSON string, `labels` a comma separated list). No-op when the index is
+ * disabled.
+ */
+export function indexUpload(record: Record<string, any>): void {
+  const hash = record?.hash;
+  if (!searchConfig.enabled || !hash || typeof hash !== "string") return;
+
+  const database = getDb();
+  const names = [record.displayName, record.fileName, record.originalName].filter(
+    (name, i, all) => typeof name === "string" && name && all.indexOf(name) === i
+  );
+  const contentType = typeof record.contentType === "string" ? record.contentType : null;
+  const isDirectory = record.isDirectory === true;
+  const files = parseFiles(record.files);
+  const labels = parseLabels(record.labels);
+
+  database.transaction(() => {
+    removeRows(database, hash);
+    const { lastInsertRowid } = database
+      .prepare(
+        `INSERT INTO uploads (hash, name, user_address, content_type, kind, file_size,
+           is_directory, file_count, is_encrypted, labels, uploaded_at, indexed_at)
+         VALUES (@hash, @name, @userAddress, @contentType, @kind, @fileSize,
+           @isDirectory, @fileCount, @isEncrypted, @labels, @uploadedAt, @indexedAt)`
+      )
+      .run({
+        hash,
+        name: names[0] || hash,
+        userAddress: typeof record.userAddress === "string" ? record.userAddress : "",
+        contentType,
+        kind: kindOf(contentType, isDirectory),
+        fileSize: typeof record.fileSize === "number" ? Math.max(0, record.fileSize) : 0,
+        isDirectory: isDirectory ? 1 : 0,
+        fileCount: typeof record.fileCount === "number" ? record.fileCount : files.length,
+        isEncrypted: record.isEncrypted === true ? 1 : 0,
+        labels: labels.length ? `,${labels.join(",")},` : "",
+        uploadedAt: toTime(record.uploadedAt) || toTime(record.timestamp) || toTime(record.savedAt),
+        indexedAt: Date.now(),
+      });
+    database
+      .prepare("INSERT INTO upload_names (rowid, names) VALUES (?, ?)")
+      .run(lastInsertRowid, names.join(" "));
+
+    const insertFile = database.prepare(
+      "INSERT INTO upload_files (hash, path, size) VALUES (?, ?, ?)"
+    );
+    const insertPath = database.prepare("INSERT INTO upload_paths (rowid, path) VALUES (?, ?)");
+    for (const file of files) {
+      const { lastInsertRowid: fileId } = insertFile.run(hash, file.path, file.size);
+      insertPath.run(fileId, file.path);
+    }
+  })();
+}
+
+function removeRows(database: Database.Database, hash: string): boolean {
+  database
+    .prepare("DELETE FROM upload_paths WHERE rowid IN (SELECT id FROM upload_files WHERE hash = ?)")
+    .run(hash);
+  database.prepare("DELETE FROM upload_files WHERE hash = ?").run(hash);
+  database
+    .prepare("DELETE FROM upload_names WHERE rowid = (SELECT rowid FROM uploads WHERE hash = ?)")
+    .run(hash);
+  return database.prepare("DELETE FROM uploads WHERE hash = ?").run(hash).changes > 0;
+}
+
+/**
+ * Drop a record from the index (no-op when the index is disabled)
+ */
+export function removeFromSearchIndex(hash: string): void {
+  if (!searchConfig.enabled) return;
+  const database = getDb();
+  database.transaction(() => removeRows(database, hash))();
+}
+
+let lastRebuild: { at: number; indexed: number; removed: number } | null = null;
+
+/**
+ * Re-read every systemhash record from Gun: index all of them and drop rows
+ * whose record is gone
+ */
+export async function rebuildSearchIndex(
+  gun: any,
+  timeoutMs = 10000
+): Promise<{ indexed: number; removed: number }> {
+  const database = getDb();
+  const records = await readSystemHashes(gun, timeoutMs);
+
+  let removed = 0;
+  database.transaction(() => {
+    for (const record of records) indexUpload(record);
+    // Nothing read could just be a slow Gun: keep the index rather than wipe it
+    if (records.length === 0) return;
+    const present = new Set(records.map((record) => record.hash));
+    const rows = database.prepare("SELECT hash FROM uploads").all() as Array<{ hash: string }>;
+    for (const { hash } of rows) {
+      if (!present.has(hash) && removeRows(database, hash)) removed++;
+    }
+  })();
+
+  lastRebuild = { at: Date.now(), indexed: records.length, removed };
+  log.info(lastRebuild, "🔎 Upload search index rebuilt");
+  return { indexed: records.length, removed };
+}
+
+export function getSearchIndexStats(): {
+  enabled: boolean;
+  uploads: number;
+  files: number;
+  lastRebuild: typeof lastRebuild;
+} {
+  if (!searchConfig.enabled) return { enabled: false, uploads: 0, files: 0, lastRebuild };
+  const database = getDb();
+  const count = (table: string) =>
+    (database.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get() as { count: number }).count;
+  return { enabled: true, uploads: count("uploads"), files: count("upload_files"), lastRebuild };
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * FTS5 expression matching every word as a prefix. Words are reduced to
+ * letters and digits, so user input cannot inject FTS syntax.
+ */
+function toMatchExpression(q: string): string | null {
+  const words = q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0) return null;
+  return words
+    .slice(0, MAX_QUERY_WORDS)
+    .map((word) => `"${word}"*`)
+    .join(" ");
+}
+
+function encodeCursor(sort: SearchSort, row: UploadRow): string {
+  const { column } = SORT_ORDER[sort];
+  return Buffer.from(JSON.stringify([sort, row[column], row.hash])).toString("base64url");
+}
+
+function decodeCursor(cursor: string, sort: SearchSort): [string | number, string] {
+  try {
+    const [cursorSort, value, hash] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (cursorSort === sort && typeof hash === "string" && value !== undefined) {
+      return [value, hash];
+    }
+  } catch {
+    // Falls through to the error below
+  }
+  throw new SearchIndexError("Invalid cursor (cursors only work with the sort they came from)");
+}
+
+export function searchUploads(query: UploadSearchQuery = {}): UploadSearchResult {
+  const database = getDb();
+  const sort = query.sort || "newest";
+  if (!SEARCH_SORTS.includes(sort)) {
+    throw new SearchIndexError(`sort must be one of: ${SEARCH_SORTS.join(", ")}`);
+  }
+  const limit = Math.min(Math.max(Math.floor(query.limit || DEFAULT_LIMIT), 1), MAX_LIMIT);
+
+  const where: string[] = [];
+  const params: Record<string, string | number> = {};
+  const match = query.q ? toMatchExpression(query.q) : null;
+  if (match) {
+    where.push(`(
+      u.rowid IN (SELECT rowid FROM upload_names WHERE upload_names MATCH @match)
+      OR u.hash IN (SELECT f.hash FROM upload_paths p JOIN upload_files f ON f.id = p.rowid
+                    WHERE upload_paths MATCH @match)
+      OR u.hash = @q
+    )`);
+    params.match = match;
+    params.q = query.q!.trim();
+  }
+  if (query.userAddress) {
+    where.push("u.user_address = @userAddress");
+    params.userAddress = query.userAddress;
+  }
+  if (query.type) {
+    where.push(
+      query.type.includes("/") ? "u.content_type = @type COLLATE NOCASE" : "u.kind = @type"
+    );
+    params.type = query.type.toLowerCase();
+  }
+  if (query.minSize !== undefined) {
+    where.push("u.file_size >= @minSize");
+    params.minSize = query.minSize;
+  }
+  if (query.maxSize !== undefined) {
+    where.push("u.file_size <= @maxSize");
+    params.maxSize = query.maxSize;
+  }
+  if (query.from !== undefined) {
+    where.push("u.uploaded_at >= @from");
+    params.from = query.from;
+  }
+  if (query.to !== undefined) {
+    where.push("u.uploaded_at <= @to");
+    params.to = query.to;
+  }
+  if (query.isDirectory !== undefined) {
+    where.push("u.is_directory = @isDirectory");
+    params.isDirectory = query.isDirectory ? 1 : 0;
+  }
+  if (query.label) {
+    // "%" and "_" in a label are literal characters, not wildcards
+    where.push("u.labels LIKE @label ESCAPE '\\'");
+    params.label = `%,${query.label.replace(/[\\%_]/g, "\\$&")},%`;
+  }
+  const filter = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+  // Keyset pagination on (sort column, hash)
+  const { column, desc } = SORT_ORDER[sort];
+  const op = desc ? "<" : ">";
+  const page = [...where];
+  if (query.cursor) {
+    const [value, hash] = decodeCursor(query.cursor, sort);
+    page.push(
+      `(u.${column} ${op} @cursorValue OR (u.${column} = @cursorValue AND u.hash ${op} @cursorHash))`
+    );
+    params.cursorValue = value;
+    params.cursorHash = hash;
+  }
+  const direction = desc ? "DESC" : "ASC";
+  const rows = database
+    .prepare(
+      `SELECT u.* FROM uploads u ${page.length ? `WHERE ${page.join(" AND ")}` : ""}
+       ORDER BY u.${column} ${direction}, u.hash ${direction} LIMIT ${limit + 1}`
+    )
+    .all(params) as UploadRow[];
+
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+  const matchedFiles = database.prepare(
+    `SELECT f.path, f.size FROM upload_paths p JOIN upload_files f ON f.id = p.rowid
+     WHERE upload_paths MATCH ? AND f.hash = ? LIMIT ${MATCHED_FILES_PER_HIT}`
+  );
+
+  const results = pageRows.map((row) => ({
+    hash: row.hash,
+    name: row.name,
+    userAddress: row.user_address,
+    contentType: row.content_type,
+    fileSize: row.file_size,
+    isDirectory: row.is_directory === 1,
+    fileCount: row.file_count,
+    isEncrypted: row.is_encrypted === 1,
+    labels: parseLabels(row.labels),
+    uploadedAt: row.uploaded_at,
+    matchedFiles:
+      match && row.is_directory === 1
+        ? (matchedFiles.all(match, row.hash) as UploadSearchHit["matchedFiles"])
+        : [],
+  }));
+
+  const { total } = database
+    .prepare(`SELECT COUNT(*) AS total FROM uploads u ${filter}`)
+    .get(params) as { total: number };
+
+  return {
+    results,
+    total,
+    nextCursor: hasMore ? encodeCursor(sort, pageRows[pageRows.length - 1]) : null,
+    facets: query.facets === false ? null : getFacets(database, filter, params),
+  };
+}
+
+function getFacets(
+  database: Database.Database,
+  filter: string,
+  params: Record<string, string | number>
+): UploadSearchFacets {
+  const types: Record<string, number> = {};
+  const typeRows = database
+    .prepare(`SELECT u.kind, COUNT(*) AS count FROM uploads u ${filter} GROUP BY u.kind`)
+    .all(params) as Array<{ kind: string; count: number }>;
+  for (const { kind, count } of typeRows) types[kind] = count;
+
+  const users = database
+    .prepare(
+      `SELECT u.user_address AS userAddress, COUNT(*) AS count, SUM(u.file_size) AS bytes
+       FROM uploads u ${filter} GROUP BY u.user_address ORDER BY count DESC LIMIT 10`
+    )
+    .all(params) as UploadSearchFacets["users"];
+
+  const sizes = {} as Record<SizeBucket, number>;
+  for (const [bucket, [min, max]] of Object.entries(SIZE_BUCKETS)) {
+    const condition = `u.file_size >= ${min} AND u.file_size < ${max}`;
+    const { count } = database
+      .prepare(
+        `SELECT COUNT(*) AS count FROM uploads u ${filter ? `${filter} AND` : "WHERE"} ${condition}`
+      )
+      .get(params) as { count: number };
+    sizes[bucket as SizeBucket] = count;
+  }
+
+  return { types, users, sizes };
+}
+
+// ============================================================================
+// GUN SYNC
+// ============================================================================
+
+let subscription: any = null;
+let startupTimeout: NodeJS.Timeout | null = null;
+
+/**
+ * Follow the systemhash node and rebuild the index once Gun has settled
+ * @param gun - the instance the upload routes write to (ZEN when enabled)
+ */
+export function startSearchIndex(gun: any): void {
+  if (subscription || !searchConfig.enabled) return;
+
+  subscription = gun.get(GUN_PATHS.SYSTEM_HASH).map();
+  subscription.on((record: any, key: string) => {
+    try {
+      if (record && typeof record === "object") {
+        indexUpload({ ...record, hash: record.hash || key });
+      } else {
+        removeFromSearchIndex(key);
+      }
+    } catch (error) {
+      log.warn({ err: error, hash: key }, "Failed to update upload search index");
+    }
+  });
+
+  // Run after initial delay to let GunDB initialize
+  startupTimeout = setTimeout(() => {
+    rebuildSearchIndex(gun).catch((error) =>
+      log.error({ err: error }, "❌ Upload search index rebuild failed")
+    );
+  }, 10000);
+  startupTimeout.unref();
+}
+
+export function stopSearchIndex(): void {
+  if (startupTimeout) {
+    clearTimeout(startupTimeout);
+    startupTimeout = null;
+  }
+  subscription?.off();
+  subscription = null;
+}
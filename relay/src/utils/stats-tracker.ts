@@ -1,5 +1,14 @@
 import { loggers } from "./logger";
 import { packageConfig } from "../config/env-config";
+import { onRelayEvent } from "./event-bus";
+import {
+  PeerBan,
+  WirePeer,
+  checkPeerMessage,
+  forgetPeer,
+  getPeerBan,
+  getPeerLimits,
+} from "./peer-limits";
 
 export interface PeerStats {
   id: string;
@@ -9,6 +18,34 @@ export interface PeerStats {
   msgCount: number;
   bytesSent: number;
   uptime: number; // calculated on demand
+  // Messages dropped by the peer limits
+  throttled: number;
+  throttleReason: string | null;
+  lastThrottledAt: number | null;
+}
+
+export type Engine = "gun" | "zen";
+
+/**
+ * Cumulative wire counters for one engine, since process start
+ */
+export interface EngineCounters {
+  messages: number;
+  bytes: number;
+  puts: number;
+  gets: number;
+  acks: number;
+  errors: number;
+}
+
+/**
+ * A ban as shown in the stats (the banned address is only in the admin list)
+ */
+export interface BanEvent {
+  ts: number;
+  reason: string;
+  source: PeerBan["source"];
+  expiresAt: number | null;
 }
 
 export interface MetricPoint {
@@ -30,10 +67,20 @@ export class StatsTracker {
   private getCount = 0;
   private ackCount = 0;
   private errorCount = 0;
+  private throttledCount = 0;
+  private banCount = 0;
+  private recentBans: BanEvent[] = []; // last 20
+  // Socket and remote IP of each peer, for closing banned connections
+  private wires = new Map<string, { socket: any; wire: WirePeer }>();
+  private unsubscribeBans: () => void;
 
   // Engine specific stats
   private zenPeers = 0;
   private gunPeers = 0;
+  private engineCounters: Record<Engine, EngineCounters> = {
+    gun: { messages: 0, bytes: 0, puts: 0, gets: 0, acks: 0, errors: 0 },
+    zen: { messages: 0, bytes: 0, puts: 0, gets: 0, acks: 0, errors: 0 },
+  };
 
   private tickMsgs = 0;
   private tickBytes = 0;
@@ -45,6 +92,39 @@ export class StatsTracker {
 
   constructor() {
     this.timer = setInterval(() => this.tick(), 1000);
+    this.unsubscribeBans = onRelayEvent((event) => {
+      if (event.type === "peer.banned") this.recordBan(event.data as PeerBan);
+    });
+  }
+
+  private recordBan(ban: PeerBan) {
+    this.banCount++;
+    this.recentBans.push({
+      ts: ban.createdAt,
+      reason: ban.reason,
+      source: ban.source,
+      expiresAt: ban.expiresAt,
+    });
+    if (this.recentBans.length > 20) this.recentBans.shift();
+
+    for (const { socket, wire } of this.wires.values()) {
+      if (wire.ip === ban.target || wire.addr === ban.target) closeWire(socket);
+    }
+  }
+
+  /**
+   * Run an incoming message past the peer limits; false drops it
+   */
+  private admit(peer: PeerStats, wire: WirePeer, socket: any, raw: any): boolean {
+    const { verdict, reason } = checkPeerMessage(wire, byteLength(raw), isPutMessage(raw));
+    if (verdict === "ok") return true;
+
+    peer.throttled += 1;
+    peer.throttleReason = reason || null;
+    peer.lastThrottledAt = Date.now();
+    this.throttledCount++;
+    if (verdict === "banned") closeWire(socket);
+    return false;
   }
 
   private pushHistory(arr: MetricPoint[], value: number, zen: number, gun: number) {
@@ -63,7 +143,17 @@ export class StatsTracker {
     this.gunTickBytes = 0;
   }
 
-  public patchSocket(socket: any, addr: string, engine?: "gun" | "zen") {
+  /**
+   * Track a wire peer. Peer limits and bans apply to inbound connections;
+   * `outbound` marks peers this relay dialed itself (RELAY_PEERS, peer
+   * exchange), which are only counted.
+   */
+  public patchSocket(
+    socket: any,
+    addr: string,
+    engine?: "gun" | "zen",
+    options: { outbound?: boolean } = {}
+  ) {
     if (!socket) return;
     
     // Check if already patched
@@ -73,9 +163,31 @@ export class StatsTracker {
     // Auto-detect engine if not provided
     const resolvedEngine: "gun" | "zen" = engine || (addr.includes('/zen') ? 'zen' : 'gun');
 
+    // Refuse banned addresses straight away
+    const ip = remoteIp(socket);
+    if (!options.outbound && (getPeerBan(ip) || getPeerBan(addr))) {
+      loggers.server.debug({ addr, ip }, "Closing connection from banned peer");
+      closeWire(socket);
+      return;
+    }
+
+    const counters = this.engineCounters[resolvedEngine];
     const id = addr + "_" + Date.now();
-    const peer: PeerStats = { id, addr, engine: resolvedEngine, connectedAt: Date.now(), msgCount: 0, bytesSent: 0, uptime: 0 };
+    const peer: PeerStats = {
+      id,
+      addr,
+      engine: resolvedEngine,
+      connectedAt: Date.now(),
+      msgCount: 0,
+      bytesSent: 0,
+      uptime: 0,
+      throttled: 0,
+      throttleReason: null,
+      lastThrottledAt: null,
+    };
+    const wire: WirePeer = { id, addr, ip };
     this.peers.set(id, peer);
+    if (!options.outbound) this.wires.set(id, { socket, wire });
     
     if (resolvedEngine === "zen") this.zenPeers++;
     else this.gunPeers++;
@@ -91,6 +203,7 @@ export class StatsTracker {
       socket.send = (data: any, ...args: any[]) => {
         const bytes = typeof data === "string" ? Buffer.byteLength(data) : data?.length || 0;
         peer.bytesSent += bytes;
+        counters.bytes += bytes;
         this.totalBytes += bytes;
         this.tickBytes += bytes;
         if (resolvedEngine === "zen") this.zenTickBytes += bytes;
@@ -99,9 +212,21 @@ export class StatsTracker {
       };
     }
 
+    // Gun and ZEN listen for "message" as well, so a message dropped here
+    // never reaches them
+    if (!options.outbound && typeof socket.emit === "function") {
+      const origEmit = socket.emit.bind(socket);
+      socket.emit = (event: string, ...args: any[]) => {
+        if (event === "message" && !this.admit(peer, wire, socket, args[0])) return false;
+        return origEmit(event, ...args);
+      };
+    }
+
     const onMessage = (raw: any) => {
       const bytes = typeof raw === "string" ? Buffer.byteLength(raw) : raw?.length || 0;
       peer.msgCount += 1;
+      counters.messages += 1;
+      counters.bytes += bytes;
       this.totalMessages += 1;
       this.tickMsgs += 1;
       this.totalBytes += bytes;
@@ -121,23 +246,43 @@ export class StatsTracker {
         if (typeof raw === "string") {
           // Peek into the string instead of full parse
           const start = raw.substring(0, 20); // Get enough to check common keys
-          if (start.includes('"put"')) this.putCount++;
-          else if (start.includes('"get"')) this.getCount++;
-          else if (raw.includes('"@"')) this.ackCount++;
+          if (start.includes('"put"')) {
+            this.putCount++;
+            counters.puts++;
+          } else if (start.includes('"get"')) {
+            this.getCount++;
+            counters.gets++;
+          } else if (raw.includes('"@"')) {
+            this.ackCount++;
+            counters.acks++;
+          }
         } else if (raw && typeof raw === "object") {
-          if (raw.put) this.putCount++;
-          if (raw.get) this.getCount++;
-          if (raw["@"]) this.ackCount++;
+          if (raw.put) {
+            this.putCount++;
+            counters.puts++;
+          }
+          if (raw.get) {
+            this.getCount++;
+            counters.gets++;
+          }
+          if (raw["@"]) {
+            this.ackCount++;
+            counters.acks++;
+          }
         }
       } catch (_) {
         this.errorCount++;
+        counters.errors++;
       }
     };
 
     socket.on("message", onMessage);
     
     socket.on("close", () => {
-      this.peers.delete(id);
+      // A banned socket may be closed twice (ban event and dropped message)
+      if (!this.peers.delete(id)) return;
+      this.wires.delete(id);
+      forgetPeer(id);
       if (resolvedEngine === "zen") this.zenPeers--;
       else this.gunPeers--;
       loggers.server.info(`[-] Peer disconnected: ${addr} (Total: ${this.peers.size}, Gun: ${this.gunPeers}, Zen: ${this.zenPeers})`);
@@ -145,9 +290,25 @@ export class StatsTracker {
 
     socket.on("error", () => {
       this.errorCount++;
+      counters.errors++;
     });
   }
 
+  /**
+   * Cumulative counters and current peer counts per engine (for /metrics)
+   */
+  public getCounters() {
+    return {
+      uptimeMs: Date.now() - this.startTime,
+      peakPeers: this.peakPeers,
+      peers: { gun: this.gunPeers, zen: this.zenPeers } as Record<Engine, number>,
+      engines: {
+        gun: { ...this.engineCounters.gun },
+        zen: { ...this.engineCounters.zen },
+      } as Record<Engine, EngineCounters>,
+    };
+  }
+
   public getStats() {
     const now = Date.now();
     const uptimeMs = now - this.startTime;
@@ -174,6 +335,10 @@ export class StatsTracker {
       getCount: this.getCount,
       ackCount: this.ackCount,
       errorCount: this.errorCount,
+      throttledCount: this.throttledCount,
+      banCount: this.banCount,
+      recentBans: this.recentBans,
+      peerLimits: getPeerLimits(),
       msgHistory: this.msgHistory,
       byteHistory: this.byteHistory,
       peers: peersArr,
@@ -202,5 +367,51 @@ export class StatsTracker {
 
   public destroy() {
     clearInterval(this.timer);
+    this.unsubscribeBans();
+  }
+}
+
+function byteLength(raw: any): number {
+  return typeof raw === "string" ? Buffer.byteLength(raw) : raw?.length || 0;
+}
+
+/**
+ * Whether a frame carries a put. Frames are one message or a batch (array)
+ * of them, with "put" anywhere in the object, so only frames mentioning it
+ * are parsed; one that does not parse is treated as a put.
+ */
+function isPutMessage(raw: any): boolean {
+  if (Buffer.isBuffer(raw)) raw = raw.toString("utf8");
+  if (typeof raw === "string") {
+    if (!raw.includes('"put"')) return false;
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      return true;
+    }
+  }
+  const messages = Array.isArray(raw) ? raw : [raw];
+  return messages.some((message) => message?.put !== undefined);
+}
+
+/**
+ * Client IP of a ws connection. With "trust proxy" set to one hop, the
+ * address our proxy saw is the last X-Forwarded-For entry.
+ */
+function remoteIp(socket: any): string | null {
+  const forwarded = socket.upgradeReq?.headers?.["x-forwarded-for"];
+  if (typeof forwarded === "string" && forwarded.trim()) {
+    return forwarded.split(",").pop()!.trim();
+  }
+  const address = socket._socket?.remoteAddress || socket.upgradeReq?.socket?.remoteAddress;
+  return address ? address.replace(/^::ffff:/, "") : null;
+}
+
+function closeWire(socket: any): void {
+  try {
+    if (typeof socket.terminate === "function") socket.terminate();
+    else socket.close?.();
+  } catch (error) {
+    loggers.server.debug({ err: error }, "Failed to close banned peer connection");
   }
 }
@@ -0,0 +1,433 @@
+/**
+ * Storage Quota Store
+ *
+ * Tracks stored bytes per user address, per API key and relay-wide, and
+ * enforces the configured limits before uploads are accepted.
+ *
+ * Usage is tracked per CID so registering the same content twice (e.g. an
+ * upload followed by /save-system-hash) is only counted once. Totals are
+ * persisted as JSON in the relay data directory and can be rebuilt from
+ * the `systemhash` records in Gun. Per-user totals are mirrored into
+ * GUN_PATHS.MB_USAGE for clients that read them from the graph.
+ *
+ * Limits: RELAY_MAX_STORAGE_GB (relay-wide), STORAGE_QUOTA_USER_MB and
+ * STORAGE_QUOTA_API_KEY_MB (defaults), plus per-user/per-key overrides.
+ * The admin token bypasses user and API key limits, not the relay limit.
+ *
+ * @module utils/storage-quota
+ */
+
+import { Request } from "express";
+import { storageConfig } from "../config";
+import { GUN_PATHS } from "./gun-paths";
+import { createJsonStore } from "./json-store";
+import { getConfigValue } from "./runtime-config";
+import { setMBUsage } from "./storage-utils";
+import { loggers } from "./logger";
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+export type QuotaScope = "user" | "apiKey" | "relay";
+
+interface UsageBucket {
+  cids: Record<string, number>; // CID -> bytes
+  limitBytes: number | null; // null = use the configured default
+}
+
+interface QuotaStore {
+  users: Record<string, UsageBucket>;
+  apiKeys: Record<string, UsageBucket>;
+  relay: Record<string, number>; // CID -> bytes
+  rebuiltAt: number | null;
+}
+
+export interface QuotaUsage {
+  usedBytes: number;
+  usedMB: number;
+  fileCount: number;
+  limitBytes: number | null; // null = unlimited
+  limitMB: number | null;
+  remainingBytes: number | null;
+  percent: number | null;
+}
+
+export interface RelayQuotaUsage extends QuotaUsage {
+  warningThreshold: number;
+  warning: boolean;
+  userCount: number;
+  apiKeyCount: number;
+  rebuiltAt: number | null;
+}
+
+/**
+ * Who an upload is charged to
+ */
+export interface QuotaContext {
+  userAddress?: string;
+  apiKeyId?: string;
+  isAdmin?: boolean;
+}
+
+/**
+ * Raised when an upload would exceed a limit. Routes answer with `status` (413).
+ */
+export class QuotaExceededError extends Error {
+  status = 413;
+  scope: QuotaScope;
+  usage: QuotaUsage;
+  requestedBytes: number;
+
+  constructor(scope: QuotaScope, usage: QuotaUsage, requestedBytes: number) {
+    const label =
+      scope === "relay" ? "Relay storage" : scope === "user" ? "User storage" : "API key storage";
+    super(
+      `${label} quota exceeded: ${usage.usedMB} MB used of ${usage.limitMB} MB, upload needs ${toMB(requestedBytes)} MB`
+    );
+    this.name = "QuotaExceededError";
+    this.scope = scope;
+    this.usage = usage;
+    this.requestedBytes = requestedBytes;
+  }
+}
+
+const storeFile = createJsonStore<QuotaStore>("quota.json", {
+  parse: (raw) => ({
+    users: raw.users || {},
+    apiKeys: raw.apiKeys || {},
+    relay: raw.relay || {},
+    rebuiltAt: raw.rebuiltAt ?? null,
+  }),
+  pretty: true,
+});
+
+function toMB(bytes: number): number {
+  return Math.round((bytes / MB) * 100) / 100;
+}
+
+function loadStore(): QuotaStore {
+  return storeFile.load();
+}
+
+function saveStore(store: QuotaStore): void {
+  storeFile.save(store);
+}
+
+/**
+ * Drop the in-memory cache (used by tests)
+ */
+export function resetStorageQuotaCache(): void {
+  storeFile.reset();
+}
+
+/**
+ * Read a numeric setting, preferring hot-reloaded values over the env config
+ */
+function numberSetting(key: string, fallback: number): number {
+  const value = parseFloat(getConfigValue(key) ?? "");
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function relayLimitBytes(): number | null {
+  const gb = numberSetting("RELAY_MAX_STORAGE_GB", storageConfig.maxStorageGB);
+  return gb > 0 ? Math.floor(gb * GB) : null;
+}
+
+function defaultLimitBytes(scope: "user" | "apiKey"): number | null {
+  const mb =
+    scope === "user"
+      ? numberSetting("STORAGE_QUOTA_USER_MB", storageConfig.userQuotaMB)
+      : numberSetting("STORAGE_QUOTA_API_KEY_MB", storageConfig.apiKeyQuotaMB);
+  return mb > 0 ? Math.floor(mb * MB) : null;
+}
+
+function sumBytes(cids: Record<string, number>): number {
+  return Object.values(cids).reduce((sum, bytes) => sum + bytes, 0);
+}
+
+function describe(cids: Record<string, number>, limitBytes: number | null): QuotaUsage {
+  const usedBytes = sumBytes(cids);
+  return {
+    usedBytes,
+    usedMB: toMB(usedBytes),
+    fileCount: Object.keys(cids).length,
+    limitBytes,
+    limitMB: limitBytes === null ? null : toMB(limitBytes),
+    remainingBytes: limitBytes === null ? null : Math.max(0, limitBytes - usedBytes),
+    percent: limitBytes === null ? null : Math.round((usedBytes / limitBytes) * 10000) / 100,
+  };
+}
+
+function bucketLimit(bucket: UsageBucket | undefined, scope: "user" | "apiKey"): number | null {
+  if (bucket && bucket.limitBytes !== null) {
+    return bucket.limitBytes > 0 ? bucket.limitBytes : null;
+  }
+  return defaultLimitBytes(scope);
+}
+
+function getBucket(buckets: Record<string, UsageBucket>, id: string): UsageBucket {
+  if (!buckets[id]) {
+    buckets[id] = { cids: {}, limitBytes: null };
+  }
+  return buckets[id];
+}
+
+/**
+ * Usage and effective limit for a user address
+ */
+export function getUserUsage(userAddress: string): QuotaUsage {
+  const bucket = loadStore().users[userAddress];
+  return describe(bucket?.cids || {}, bucketLimit(bucket, "user"));
+}
+
+/**
+ * Usage and effective limit for an API key
+ */
+export function getApiKeyUsage(keyId: string): QuotaUsage {
+  const bucket = loadStore().apiKeys[keyId];
+  return describe(bucket?.cids || {}, bucketLimit(bucket, "apiKey"));
+}
+
+/**
+ * Relay-wide usage against RELAY_MAX_STORAGE_GB
+ */
+export function getRelayUsage(): RelayQuotaUsage {
+  const store = loadStore();
+  const usage = describe(store.relay, relayLimitBytes());
+  const warningThreshold = numberSetting(
+    "RELAY_STORAGE_WARNING_THRESHOLD",
+    storageConfig.storageWarningThreshold
+  );
+  return {
+    ...usage,
+    warningThreshold,
+    warning: usage.percent !== null && usage.percent >= warningThreshold,
+    userCount: Object.keys(store.users).length,
+    apiKeyCount: Object.keys(store.apiKeys).length,
+    rebuiltAt: store.rebuiltAt,
+  };
+}
+
+/**
+ * Per-user usage, largest first
+ */
+export function listUserUsage(): Array<QuotaUsage & { userAddress: string }> {
+  const store = loadStore();
+  return Object.keys(store.users)
+    .map((userAddress) => ({ userAddress, ...getUserUsage(userAddress) }))
+    .sort((a, b) => b.usedBytes - a.usedBytes);
+}
+
+/**
+ * Per-key usage, largest first
+ */
+export function listApiKeyUsage(): Array<QuotaUsage & { keyId: string }> {
+  const store = loadStore();
+  return Object.keys(store.apiKeys)
+    .map((keyId) => ({ keyId, ...getApiKeyUsage(keyId) }))
+    .sort((a, b) => b.usedBytes - a.usedBytes);
+}
+
+/**
+ * Override the limit for a user or API key.
+ * `limitBytes`: null reverts to the default, 0 means unlimited.
+ */
+export function setQuotaLimit(
+  scope: "user" | "apiKey",
+  id: string,
+  limitBytes: number | null
+): QuotaUsage {
+  if (limitBytes !== null && (!Number.isFinite(limitBytes) || limitBytes < 0)) {
+    throw new Error("limit must be a non-negative number or null");
+  }
+  const store = loadStore();
+  const buckets = scope === "user" ? store.users : store.apiKeys;
+  getBucket(buckets, id).limitBytes = limitBytes === null ? null : Math.floor(limitBytes);
+  saveStore(store);
+  return scope === "user" ? getUserUsage(id) : getApiKeyUsage(id);
+}
+
+/**
+ * Build the quota context for a request authenticated by adminOrApiKeyAuth.
+ * API keys are charged to the user they are bound to; the admin token and
+ * operators name the user with `userAddress` or the X-User-Address header.
+ */
+export function getQuotaContext(req: Request, userAddress?: string): QuotaContext {
+  const apiKey = (req as any).apiKey;
+  if (apiKey) {
+    return { userAddress: apiKey.userAddress || undefined, apiKeyId: apiKey.keyId, isAdmin: false };
+  }
+
+  const header = req.headers["x-user-address"];
+  return {
+    userAddress: userAddress || (typeof header === "string" && header ? header : undefined),
+    isAdmin: (req as any).authType === "admin",
+  };
+}
+
+/**
+ * Throw QuotaExceededError if storing `bytes` more would exceed any limit.
+ * Content already charged to the same owner (same `cid`) is not counted twice.
+ */
+export function assertQuota(context: QuotaContext, bytes: number, cid?: string): void {
+  const store = loadStore();
+  const isNew = (cids: Record<string, number>) => !cid || cids[cid] === undefined;
+
+  const relayLimit = relayLimitBytes();
+  if (relayLimit !== null && isNew(store.relay)) {
+    const usage = describe(store.relay, relayLimit);
+    if (usage.usedBytes + bytes > relayLimit) {
+      throw new QuotaExceededError("relay", usage, bytes);
+    }
+  }
+
+  if (context.isAdmin) return;
+
+  const checks: Array<[QuotaScope, "user" | "apiKey", UsageBucket | undefined]> = [];
+  if (context.userAddress) checks.push(["user", "user", store.users[context.userAddress]]);
+  if (context.apiKeyId) checks.push(["apiKey", "apiKey", store.apiKeys[context.apiKeyId]]);
+
+  for (const [scope, kind, bucket] of checks) {
+    const limit = bucketLimit(bucket, kind);
+    const cids = bucket?.cids || {};
+    if (limit === null || !isNew(cids)) continue;
+
+    const usage = describe(cids, limit);
+    if (usage.usedBytes + bytes > limit) {
+      throw new QuotaExceededError(scope, usage, bytes);
+    }
+  }
+}
+
+/**
+ * Mirror a user's total into Gun so graph clients see the same number
+ */
+function publishUserUsage(gun: any, userAddress: string): void {
+  if (!gun) return;
+  setMBUsage(gun, userAddress, getUserUsage(userAddress).usedMB).catch((error) => {
+    loggers.server.warn({ err: error, userAddress }, "Failed to publish MB usage");
+  });
+}
+
+/**
+ * Charge stored content to its owners
+ */
+export function recordUpload(context: QuotaContext, cid: string, bytes: number, gun?: any): void {
+  if (!cid) return;
+  const size = Math.max(0, Math.floor(bytes || 0));
+  const store = loadStore();
+
+  store.relay[cid] = size;
+  if (context.userAddress) getBucket(store.users, context.userAddress).cids[cid] = size;
+  if (context.apiKeyId) getBucket(store.apiKeys, context.apiKeyId).cids[cid] = size;
+  saveStore(store);
+
+  if (context.userAddress) publishUserUsage(gun, context.userAddress);
+}
+
+/**
+ * Release content from a user (or every user when none is given).
+ * Once no user holds the CID it is released from API keys and the relay too.
+ */
+export function releaseUpload(cid: string, userAddress?: string, gun?: any): void {
+  const store = loadStore();
+  const touched: string[] = [];
+
+  for (const [address, bucket] of Object.entries(store.users)) {
+    if ((!userAddress || address === userAddress) && bucket.cids[cid] !== undefined) {
+      delete bucket.cids[cid];
+      touched.push(address);
+    }
+  }
+
+  const stillHeld = Object.values(store.users).some((bucket) => bucket.cids[cid] !== undefined);
+  if (!stillHeld) {
+    delete store.relay[cid];
+    for (const bucket of Object.values(store.apiKeys)) {
+      delete bucket.cids[cid];
+    }
+  }
+  saveStore(store);
+
+  for (const address of touched) {
+    publishUserUsage(gun, address);
+  }
+}
+
+/**
+ * Read every systemhash record from Gun
+ */
+export function readSystemHashes(gun: any, timeoutMs: number): Promise<any[]> {
+  return new Promise((resolve) => {
+    const node = gun.get(GUN_PATHS.SYSTEM_HASH);
+    const timer = setTimeout(() => resolve([]), timeoutMs);
+
+    node.once((data: any) => {
+      const hashes =
+        data && typeof data === "object"
+          ? Object.keys(data).filter((key) => !["_", "#", ">", "<"].includes(key))
+          : [];
+      if (hashes.length === 0) {
+        clearTimeout(timer);
+        resolve([]);
+        return;
+      }
+
+      const records: any[] = [];
+      let pending = hashes.length;
+      hashes.forEach((hash) => {
+        node.get(hash).once((record: any) => {
+          if (record && typeof record === "object") {
+            records.push({ ...record, hash: record.hash || hash });
+          }
+          if (--pending === 0) {
+            clearTimeout(timer);
+            resolve(records);
+          }
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Recompute usage from the systemhash records.
+ * Limits are kept; API key usage not registered in systemhash is kept too.
+ */
+export async function rebuildUsageFromSystemHash(
+  gun: any,
+  timeoutMs: number = 10000
+): Promise<RelayQuotaUsage & { records: number }> {
+  const records = await readSystemHashes(gun, timeoutMs);
+  const store = loadStore();
+  const registered = new Set(records.map((record) => record.hash));
+
+  const users: Record<string, UsageBucket> = {};
+  for (const [address, bucket] of Object.entries(store.users)) {
+    users[address] = { cids: {}, limitBytes: bucket.limitBytes };
+  }
+  const apiKeys: Record<string, UsageBucket> = {};
+  for (const [keyId, bucket] of Object.entries(store.apiKeys)) {
+    const kept = Object.entries(bucket.cids).filter(([cid]) => !registered.has(cid));
+    apiKeys[keyId] = { cids: Object.fromEntries(kept), limitBytes: bucket.limitBytes };
+  }
+
+  const relay: Record<string, number> = {};
+  for (const record of records) {
+    const size = typeof record.fileSize === "number" ? Math.max(0, record.fileSize) : 0;
+    relay[record.hash] = size;
+    if (record.userAddress) getBucket(users, record.userAddress).cids[record.hash] = size;
+    if (record.apiKeyId) getBucket(apiKeys, record.apiKeyId).cids[record.hash] = size;
+  }
+  for (const bucket of Object.values(apiKeys)) {
+    Object.assign(relay, bucket.cids);
+  }
+
+  saveStore({ users, apiKeys, relay, rebuiltAt: Date.now() });
+  for (const address of Object.keys(users)) {
+    publishUserUsage(gun, address);
+  }
+
+  loggers.server.info({ records: records.length }, "📊 Storage usage rebuilt from systemhash");
+  return { ...getRelayUsage(), records: records.length };
+}
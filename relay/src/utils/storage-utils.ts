@@ -6,6 +6,9 @@
  */
 
 import { GUN_PATHS, getGunNode } from "./gun-paths";
+import { emitRelayEvent } from "./event-bus";
+import { loggers } from "./logger";
+import { removeFromSearchIndex } from "./search-index";
 
 interface GunInstance {
   get: (path: string) => GunNode;
@@ -101,3 +104,71 @@ export async function getMBUsage(gun: GunInstance, userAddress: string): Promise
     });
   });
 }
+
+/**
+ * Set the absolute MB usage for a user (used by the storage quota tracker)
+ *
+ * @param gun - GunDB instance
+ * @param userAddress - User address
+ * @param mbUsed - Current MB usage
+ */
+export async function setMBUsage(
+  gun: GunInstance,
+  userAddress: string,
+  mbUsed: number
+): Promise<void> {
+  if (!gun) {
+    throw new Error("Gun instance is required");
+  }
+
+  if (!userAddress) {
+    throw new Error("User address is required");
+  }
+
+  return new Promise((resolve, reject) => {
+    const updateData: MBUsageData = {
+      mbUsed: Math.max(0, mbUsed),
+      lastUpdated: Date.now(),
+      userAddress: userAddress,
+      updatedBy: "storage-quota",
+    };
+
+    getGunNode(gun, GUN_PATHS.MB_USAGE)
+      .get(userAddress)
+      .put(updateData, (ack: GunAck) => {
+        if (ack && ack.err) {
+          reject(new Error(ack.err));
+        } else {
+          resolve();
+        }
+      });
+  });
+}
+
+/**
+ * Remove a hash from the system-wide hash registry.
+ * Encapsulates the GunDB logic to remove a hash entry.
+ * @param gun The GunDB instance
+ * @param hash The file hash to remove
+ */
+export async function removeSystemHash(gun: any, hash: string): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const systemHashesNode = gun.get(GUN_PATHS.SYSTEM_HASH);
+
+    systemHashesNode.get(hash).put(null, (ack: any) => {
+      if (ack && ack.err) {
+        loggers.uploads.error("❌ Error removing hash from systemhash node:", ack.err);
+        reject(new Error(ack.err));
+      } else {
+        loggers.uploads.info(`✅ Hash ${hash} removed from systemhash node successfully`);
+        try {
+          removeFromSearchIndex(hash);
+        } catch (error) {
+          loggers.uploads.warn({ err: error, hash }, "Failed to drop hash from the search index");
+        }
+        emitRelayEvent("systemhash.removed", { hash });
+        resolve(undefined);
+      }
+    });
+  });
+}
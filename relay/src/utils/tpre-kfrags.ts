@@ -0,0 +1,581 @@
+/**
+ * TPRE key fragments
+ *
+ * Registry of the kfrags this relay holds for threshold proxy re-encryption,
+ * persisted to DATA_DIR/tpre.json. A group is bound to its owner on first
+ * registration: the owner's delegating key (the data key) and verifying key
+ * (the Umbral signer that produced the kfrags). That first registration must
+ * also be signed by the room's SEA key (the `pub` of linda_rooms/<groupId>),
+ * so only the room owner can claim a group. Every kfrag is verified against
+ * the group keys and the member's receiving key before it is stored, and
+ * every registration, rotation or revocation must be signed by the owner's
+ * signer over
+ *
+ *   shogun-tpre:<action>:<groupId>:<memberPub>:<version>:<receivingKey>:<sha256(kfrag)>:<timestamp>
+ *
+ * where version is the one the change produces (or revokes) and the kfrag
+ * digest is empty for revocations. Timestamps must increase per member, so
+ * an old request cannot be replayed to undo a newer one.
+ *
+ * Revoked kfrags are deleted at once, but the member entry stays as a
+ * tombstone so legacy kfrags in the graph cannot bring it back.
+ * Re-encryptions are rate-limited per member (counted in capsules) and
+ * recorded, with every other change, in an append-only audit log
+ * (DATA_DIR/tpre-audit.jsonl).
+ *
+ * @module utils/tpre-kfrags
+ */
+
+import { createHash } from "crypto";
+import * as umbral from "@nucypher/umbral-pre";
+import { tpreConfig } from "../config";
+import { createAuditLog } from "./audit-log";
+import { createJsonStore } from "./json-store";
+import { loadSEA } from "./sea";
+import { loggers } from "./logger";
+
+const log = loggers.server;
+
+// Owner signatures older than this (or this far in the future) are refused
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+
+export type KfragAction = "register" | "rotate" | "revoke";
+export type AuditAction = KfragAction | "reencrypt";
+
+export interface MemberKfrag {
+  memberPub: string;
+  status: "active" | "revoked";
+  /** Base64 kfrag bytes (dropped on revocation) */
+  kfrag: string | null;
+  /** Base64 compressed Umbral public key of the member */
+  receivingKey: string;
+  version: number;
+  registeredAt: number;
+  rotatedAt: number | null;
+  revokedAt: number | null;
+  /** Timestamp of the last accepted owner signature */
+  signedAt?: number;
+}
+
+export interface TpreGroup {
+  groupId: string;
+  delegatingKey: string;
+  verifyingKey: string;
+  /** Cfrags a member needs to decrypt, out of `shares` kfrags */
+  threshold: number;
+  shares: number;
+  createdAt: number;
+  updatedAt: number;
+  members: Record<string, MemberKfrag>;
+}
+
+export interface AuditEntry {
+  at: number;
+  action: AuditAction;
+  groupId: string;
+  memberPub: string;
+  ok: boolean;
+  ip?: string;
+  version?: number;
+  /** Re-encryptions: number of capsules and their sha256 digests (first 16 hex chars) */
+  capsules?: number;
+  capsuleIds?: string[];
+  error?: string;
+}
+
+interface TpreStore {
+  groups: Record<string, TpreGroup>;
+}
+
+/**
+ * Invalid input, bad signature, unknown kfrag or rate limit. Routes answer with `status`.
+ */
+export class TpreError extends Error {
+  status: number;
+  retryAfter?: number;
+
+  constructor(message: string, status = 400, retryAfter?: number) {
+    super(message);
+    this.name = "TpreError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const storeFile = createJsonStore<TpreStore>("tpre.json", {
+  parse: (raw) => ({ groups: raw.groups || {} }),
+  pretty: true,
+  mode: 0o600,
+});
+const rateWindows = new Map<string, number[]>(); // group:member -> capsule timestamps
+let lastRateSweep = 0;
+
+function loadStore(): TpreStore {
+  return storeFile.load();
+}
+
+function saveStore(store: TpreStore): void {
+  storeFile.save(store);
+}
+
+/**
+ * Drop the in-memory cache and rate windows (used by tests)
+ */
+export function resetTpreStoreCache(): void {
+  storeFile.reset();
+  rateWindows.clear();
+  lastRateSweep = 0;
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+const auditLog = createAuditLog<AuditEntry>("tpre-audit.jsonl");
+
+export function recordAudit(entry: Omit<AuditEntry, "at">): void {
+  auditLog.append(entry);
+}
+
+/**
+ * Newest audit entries first
+ */
+export function readAudit(
+  filter: { groupId?: string; memberPub?: string; action?: AuditAction; since?: number } = {},
+  limit = 100
+): AuditEntry[] {
+  return auditLog.read(
+    (entry) =>
+      (!filter.groupId || entry.groupId === filter.groupId) &&
+      (!filter.memberPub || entry.memberPub === filter.memberPub) &&
+      (!filter.action || entry.action === filter.action),
+    { since: filter.since, limit }
+  );
+}
+
+// ============================================================================
+// KEYS AND SIGNATURES
+// ============================================================================
+
+function decodeBase64(value: unknown, field: string): Uint8Array {
+  if (typeof value !== "string" || value.length === 0) {
+    throw new TpreError(`${field} is required (base64)`);
+  }
+  return new Uint8Array(Buffer.from(value, "base64"));
+}
+
+function decodePublicKey(value: unknown, field: string): umbral.PublicKey {
+  try {
+    return umbral.PublicKey.fromCompressedBytes(decodeBase64(value, field));
+  } catch (error) {
+    if (error instanceof TpreError) throw error;
+    throw new TpreError(`${field} is not a valid public key`);
+  }
+}
+
+/**
+ * What an owner signature commits to besides the action and member
+ */
+export interface OwnerBinding {
+  /** Member version after the change (the revoked version for revocations) */
+  version: number;
+  receivingKey: string;
+  /** Base64 kfrag, null for revocations */
+  kfrag: string | null;
+}
+
+export function kfragDigest(kfragB64: string): string {
+  return createHash("sha256").update(Buffer.from(kfragB64, "base64")).digest("hex");
+}
+
+export function ownerMessage(
+  action: KfragAction,
+  groupId: string,
+  memberPub: string,
+  binding: OwnerBinding,
+  timestamp: number
+): string {
+  const digest = binding.kfrag ? kfragDigest(binding.kfrag) : "";
+  return `shogun-tpre:${action}:${groupId}:${memberPub}:${binding.version}:${binding.receivingKey}:${digest}:${timestamp}`;
+}
+
+/**
+ * Check the owner's DER signature over the action message, and that it is
+ * newer than the member's last accepted change. Returns the signed message.
+ */
+function verifyOwner(
+  verifyingKey: umbral.PublicKey,
+  action: KfragAction,
+  groupId: string,
+  memberPub: string,
+  binding: OwnerBinding,
+  proof: { timestamp?: unknown; signature?: unknown },
+  lastSignedAt = 0
+): { message: string; timestamp: number } {
+  const timestamp = Number(proof.timestamp);
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > SIGNATURE_MAX_AGE_MS) {
+    throw new TpreError("timestamp is missing or outside the allowed window", 401);
+  }
+
+  const message = ownerMessage(action, groupId, memberPub, binding, timestamp);
+  let valid = false;
+  try {
+    const signature = umbral.Signature.fromDerBytes(decodeBase64(proof.signature, "signature"));
+    valid = signature.verify(verifyingKey, new TextEncoder().encode(message));
+  } catch {
+    valid = false;
+  }
+  if (!valid) {
+    throw new TpreError("Invalid owner signature", 401);
+  }
+  if (timestamp <= lastSignedAt) {
+    throw new TpreError("timestamp is not newer than the last accepted change", 409);
+  }
+  return { message, timestamp };
+}
+
+/**
+ * Check the room key's SEA signature over the owner message
+ */
+async function verifyRoomOwner(
+  roomPub: string | null,
+  message: string,
+  roomSignature: unknown
+): Promise<void> {
+  if (!roomPub) {
+    throw new TpreError("Room not found: a new group needs linda_rooms/<groupId> with a pub", 404);
+  }
+  let signed: unknown;
+  try {
+    const SEA = await loadSEA();
+    signed = await SEA.verify(roomSignature, roomPub);
+  } catch {
+    signed = undefined;
+  }
+  if (signed !== message) {
+    throw new TpreError("Invalid room signature", 401);
+  }
+}
+
+/**
+ * Verify a kfrag against the group keys and the member's receiving key
+ */
+function verifyKfrag(
+  kfragB64: unknown,
+  verifyingKey: umbral.PublicKey,
+  delegatingKey: umbral.PublicKey,
+  receivingKey: umbral.PublicKey
+): void {
+  try {
+    umbral.KeyFrag.fromBytes(decodeBase64(kfragB64, "kfrag")).verify(
+      verifyingKey,
+      delegatingKey,
+      receivingKey
+    );
+  } catch (error) {
+    if (error instanceof TpreError) throw error;
+    throw new TpreError(
+      "kfrag does not verify against the delegating, receiving and verifying keys"
+    );
+  }
+}
+
+function parseThreshold(input: { threshold?: unknown; shares?: unknown }, group?: TpreGroup) {
+  const threshold = input.threshold === undefined ? group?.threshold : Number(input.threshold);
+  const shares = input.shares === undefined ? group?.shares : Number(input.shares);
+  if (
+    !Number.isInteger(threshold) ||
+    !Number.isInteger(shares) ||
+    threshold! < 1 ||
+    shares! < threshold!
+  ) {
+    throw new TpreError("threshold and shares must be integers with 1 <= threshold <= shares");
+  }
+  return { threshold: threshold!, shares: shares! };
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Group metadata and member states, without kfrag bytes
+ */
+export function getGroup(groupId: string) {
+  const group = loadStore().groups[groupId];
+  if (!group) return null;
+  return {
+    ...group,
+    members: Object.values(group.members).map(({ kfrag: _kfrag, ...member }) => member),
+  };
+}
+
+export interface RegisterKfragInput {
+  memberPub: string;
+  kfrag: string;
+  receivingKey: string;
+  /** Required for the first kfrag of a group, must match afterwards */
+  delegatingKey?: string;
+  verifyingKey?: string;
+  threshold?: number;
+  shares?: number;
+  timestamp: number;
+  signature: string;
+  /** SEA signature of the owner message by the room key (first kfrag of a group) */
+  roomSignature?: string;
+}
+
+export interface RotateKfragInput {
+  kfrag: string;
+  /** Defaults to the member's current receiving key */
+  receivingKey?: string;
+  threshold?: number;
+  shares?: number;
+  timestamp: number;
+  signature: string;
+}
+
+/**
+ * Register a member's kfrag. Creates and binds the group on first use, which
+ * needs `roomPub`, the SEA key of linda_rooms/<groupId>.
+ */
+export async function registerKfrag(
+  groupId: string,
+  input: RegisterKfragInput,
+  roomPub: string | null = null
+): Promise<MemberKfrag> {
+  if (!groupId || typeof input.memberPub !== "string" || !input.memberPub) {
+    throw new TpreError("groupId and memberPub are required");
+  }
+  const store = loadStore();
+  const existing = store.groups[groupId];
+
+  if (existing) {
+    for (const field of ["delegatingKey", "verifyingKey"] as const) {
+      if (input[field] !== undefined && input[field] !== existing[field]) {
+        throw new TpreError(`${field} does not match the group`, 409);
+      }
+    }
+    if (existing.members[input.memberPub]) {
+      throw new TpreError("Member already has a kfrag; rotate it instead", 409);
+    }
+  }
+
+  const verifyingKey = decodePublicKey(
+    existing?.verifyingKey ?? input.verifyingKey,
+    "verifyingKey"
+  );
+  const delegatingKey = decodePublicKey(
+    existing?.delegatingKey ?? input.delegatingKey,
+    "delegatingKey"
+  );
+  const receivingKey = decodePublicKey(input.receivingKey, "receivingKey");
+  const { threshold, shares } = parseThreshold(input, existing);
+
+  const { message, timestamp } = verifyOwner(
+    verifyingKey,
+    "register",
+    groupId,
+    input.memberPub,
+    { version: 1, receivingKey: input.receivingKey, kfrag: input.kfrag },
+    input
+  );
+  verifyKfrag(input.kfrag, verifyingKey, delegatingKey, receivingKey);
+  if (!existing) await verifyRoomOwner(roomPub, message, input.roomSignature);
+
+  // Another registration may have bound the group while the room was checked
+  if (!existing && store.groups[groupId]) {
+    throw new TpreError("Group was registered concurrently; retry", 409);
+  }
+
+  const now = Date.now();
+  const group: TpreGroup = existing || {
+    groupId,
+    delegatingKey: input.delegatingKey!,
+    verifyingKey: input.verifyingKey!,
+    threshold,
+    shares,
+    createdAt: now,
+    updatedAt: now,
+    members: {},
+  };
+  const member: MemberKfrag = {
+    memberPub: input.memberPub,
+    status: "active",
+    kfrag: input.kfrag,
+    receivingKey: input.receivingKey,
+    version: 1,
+    registeredAt: now,
+    rotatedAt: null,
+    revokedAt: null,
+    signedAt: timestamp,
+  };
+  group.members[input.memberPub] = member;
+  group.threshold = threshold;
+  group.shares = shares;
+  group.updatedAt = now;
+  store.groups[groupId] = group;
+  saveStore(store);
+
+  recordAudit({ action: "register", groupId, memberPub: input.memberPub, ok: true, version: 1 });
+  log.info({ groupId, memberPub: input.memberPub }, "🔑 TPRE kfrag registered");
+  return member;
+}
+
+function getMember(groupId: string, memberPub: string): { group: TpreGroup; member: MemberKfrag } {
+  const group = loadStore().groups[groupId];
+  const member = group?.members[memberPub];
+  if (!group || !member) {
+    throw new TpreError("No kfrag registered for this member", 404);
+  }
+  return { group, member };
+}
+
+/**
+ * Replace a member's kfrag (also re-activates a revoked member)
+ */
+export function rotateKfrag(
+  groupId: string,
+  memberPub: string,
+  input: RotateKfragInput
+): MemberKfrag {
+  const { group, member } = getMember(groupId, memberPub);
+  const verifyingKey = decodePublicKey(group.verifyingKey, "verifyingKey");
+  const receivingKeyB64 = input.receivingKey ?? member.receivingKey;
+  const receivingKey = decodePublicKey(receivingKeyB64, "receivingKey");
+  const { threshold, shares } = parseThreshold(input, group);
+
+  const { timestamp } = verifyOwner(
+    verifyingKey,
+    "rotate",
+    groupId,
+    memberPub,
+    { version: member.version + 1, receivingKey: receivingKeyB64, kfrag: input.kfrag },
+    input,
+    member.signedAt
+  );
+  verifyKfrag(
+    input.kfrag,
+    verifyingKey,
+    decodePublicKey(group.delegatingKey, "delegatingKey"),
+    receivingKey
+  );
+
+  const now = Date.now();
+  Object.assign(member, {
+    status: "active",
+    kfrag: input.kfrag,
+    receivingKey: receivingKeyB64,
+    version: member.version + 1,
+    rotatedAt: now,
+    revokedAt: null,
+    signedAt: timestamp,
+  });
+  group.threshold = threshold;
+  group.shares = shares;
+  group.updatedAt = now;
+  saveStore(loadStore());
+
+  recordAudit({ action: "rotate", groupId, memberPub, ok: true, version: member.version });
+  log.info({ groupId, memberPub, version: member.version }, "🔑 TPRE kfrag rotated");
+  return member;
+}
+
+/**
+ * Revoke a member's kfrag. The bytes are discarded immediately.
+ */
+export function revokeKfrag(
+  groupId: string,
+  memberPub: string,
+  proof: { timestamp: number; signature: string }
+): MemberKfrag {
+  const { group, member } = getMember(groupId, memberPub);
+  const { timestamp } = verifyOwner(
+    decodePublicKey(group.verifyingKey, "verifyingKey"),
+    "revoke",
+    groupId,
+    memberPub,
+    { version: member.version, receivingKey: member.receivingKey, kfrag: null },
+    proof,
+    member.signedAt
+  );
+
+  const now = Date.now();
+  Object.assign(member, { status: "revoked", kfrag: null, revokedAt: now, signedAt: timestamp });
+  group.updatedAt = now;
+  saveStore(loadStore());
+
+  recordAudit({ action: "revoke", groupId, memberPub, ok: true, version: member.version });
+  log.info({ groupId, memberPub }, "🔒 TPRE kfrag revoked");
+  return member;
+}
+
+/**
+ * Registry state of a member: its kfrag, "revoked", or null when the relay
+ * has never registered one (callers may fall back to legacy graph kfrags)
+ */
+export function lookupKfrag(groupId: string, memberPub: string): MemberKfrag | "revoked" | null {
+  const member = loadStore().groups[groupId]?.members[memberPub];
+  if (!member) return null;
+  return member.status === "revoked" ? "revoked" : member;
+}
+
+// ============================================================================
+// RE-ENCRYPTION
+// ============================================================================
+
+/**
+ * Forget members with no capsules left in the window (at most once a window)
+ */
+function sweepRateWindows(now: number): void {
+  if (now - lastRateSweep < RATE_WINDOW_MS) return;
+  lastRateSweep = now;
+  for (const [key, times] of rateWindows) {
+    if (times.length === 0 || now - times[times.length - 1] >= RATE_WINDOW_MS) {
+      rateWindows.delete(key);
+    }
+  }
+}
+
+/**
+ * Count `capsules` against the member's per-minute budget. Only call it once
+ * the member's kfrag is known, so made-up members leave no window behind.
+ */
+export function consumeRateLimit(groupId: string, memberPub: string, capsules: number): void {
+  const key = `${groupId}:${memberPub}`;
+  const now = Date.now();
+  sweepRateWindows(now);
+  const recent = (rateWindows.get(key) || []).filter((at) => now - at < RATE_WINDOW_MS);
+
+  if (recent.length + capsules > tpreConfig.rateLimit) {
+    if (recent.length > 0) rateWindows.set(key, recent);
+    else rateWindows.delete(key);
+    const retryAfter = recent.length ? Math.ceil((recent[0] + RATE_WINDOW_MS - now) / 1000) : 60;
+    throw new TpreError("Re-encryption rate limit exceeded", 429, retryAfter);
+  }
+  for (let i = 0; i < capsules; i++) recent.push(now);
+  rateWindows.set(key, recent);
+}
+
+export function capsuleId(capsuleB64: string): string {
+  return createHash("sha256").update(capsuleB64).digest("hex").slice(0, 16);
+}
+
+/**
+ * Re-encrypt each capsule with one kfrag (base64 in, base64 cfrags out)
+ */
+export function reencryptCapsules(kfragB64: string, capsules: string[]): string[] {
+  // VerifiedKeyFrag has no fromBytes; registered kfrags were verified on registration
+  const kfrag = umbral.KeyFrag.fromBytes(decodeBase64(kfragB64, "kfrag")).skipVerification();
+
+  return capsules.map((capsuleB64, index) => {
+    let capsule: umbral.Capsule;
+    try {
+      capsule = umbral.Capsule.fromBytes(decodeBase64(capsuleB64, `capsules[${index}]`));
+    } catch {
+      throw new TpreError(`capsules[${index}] is not a valid capsule`);
+    }
+    return Buffer.from(umbral.reencrypt(capsule, kfrag).toBytes()).toString("base64");
+  });
+}
@@ -0,0 +1,291 @@
+/**
+ * Resumable Upload Sessions
+ *
+ * Chunks of a resumable upload are appended to a spool file on disk, so
+ * neither the relay nor the client has to hold the whole file in memory.
+ * Each session lives in its own directory with a `session.json` next to
+ * the spooled data; the spool file's size is the authoritative offset, so
+ * sessions survive restarts. Sessions idle for longer than the TTL are
+ * garbage-collected.
+ *
+ * @module utils/upload-sessions
+ */
+
+import fs from "fs";
+import path from "path";
+import { randomBytes } from "crypto";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { uploadSessionsConfig } from "../config";
+import { loggers } from "./logger";
+
+const log = loggers.server;
+
+export interface UploadSession {
+  id: string;
+  fileName: string;
+  mimetype: string;
+  size: number;
+  offset: number;
+  owner: string; // "admin" or the API key id that created the session
+  userAddress?: string;
+  apiKeyId?: string;
+  createdAt: number;
+  updatedAt: number;
+  expiresAt: number;
+}
+
+/**
+ * Error raised for invalid session operations.
+ * `status` is the HTTP status the route should answer with.
+ */
+export class UploadSessionError extends Error {
+  status: number;
+  offset?: number;
+
+  constructor(message: string, status: number = 400, offset?: number) {
+    super(message);
+    this.name = "UploadSessionError";
+    this.status = status;
+    this.offset = offset;
+  }
+}
+
+const SESSION_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Sessions with a chunk currently being written
+const activeWrites = new Set<string>();
+
+let cleanupInterval: NodeJS.Timeout | null = null;
+
+function sessionDir(id: string): string {
+  if (!SESSION_ID_PATTERN.test(id)) {
+    throw new UploadSessionError("Upload session not found", 404);
+  }
+  return path.join(uploadSessionsConfig.dir, id);
+}
+
+function metaPath(id: string): string {
+  return path.join(sessionDir(id), "session.json");
+}
+
+/**
+ * Path of the spooled data for a session
+ */
+export function getSessionDataPath(id: string): string {
+  return path.join(sessionDir(id), "data.part");
+}
+
+function writeMeta(session: UploadSession): void {
+  const file = metaPath(session.id);
+  const { offset: _offset, ...meta } = session;
+  const tmpPath = `${file}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(meta, null, 2), "utf-8");
+  fs.renameSync(tmpPath, file);
+}
+
+function spooledBytes(id: string): number {
+  try {
+    return fs.statSync(getSessionDataPath(id)).size;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Load a session. Only its owner (or admin) may see it.
+ */
+export function getSession(id: string, owner?: string): UploadSession {
+  let meta: Omit<UploadSession, "offset">;
+  try {
+    meta = JSON.parse(fs.readFileSync(metaPath(id), "utf-8"));
+  } catch (error: any) {
+    if (error instanceof UploadSessionError) throw error;
+    throw new UploadSessionError("Upload session not found", 404);
+  }
+
+  if (owner && owner !== "admin" && meta.owner !== owner) {
+    throw new UploadSessionError("Upload session not found", 404);
+  }
+  return { ...meta, offset: spooledBytes(id) };
+}
+
+/**
+ * Start a new upload session
+ */
+export function createSession(options: {
+  fileName: string;
+  size: number;
+  mimetype?: string;
+  owner: string;
+  userAddress?: string;
+  apiKeyId?: string;
+}): UploadSession {
+  const fileName = (options.fileName || "").trim();
+  if (!fileName || /[/\\]/.test(fileName)) {
+    throw new UploadSessionError("fileName is required and must not contain slashes");
+  }
+  if (!Number.isInteger(options.size) || options.size <= 0) {
+    throw new UploadSessionError("size must be a positive integer");
+  }
+  if (options.size > uploadSessionsConfig.maxFileBytes) {
+    throw new UploadSessionError(
+      `File exceeds the maximum size of ${uploadSessionsConfig.maxFileBytes} bytes`,
+      413
+    );
+  }
+
+  const now = Date.now();
+  const session: UploadSession = {
+    id: randomBytes(16).toString("hex"),
+    fileName,
+    mimetype: options.mimetype || "application/octet-stream",
+    size: options.size,
+    offset: 0,
+    owner: options.owner,
+    userAddress: options.userAddress,
+    apiKeyId: options.apiKeyId,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: now + uploadSessionsConfig.ttlMs,
+  };
+
+  fs.mkdirSync(sessionDir(session.id), { recursive: true });
+  fs.writeFileSync(getSessionDataPath(session.id), "");
+  writeMeta(session);
+
+  log.info({ sessionId: session.id, size: session.size }, "📦 Upload session created");
+  return session;
+}
+
+/**
+ * Append a chunk at `offset`. The offset must match the bytes already
+ * received; a chunk may not run past the declared size or the chunk limit.
+ * If the stream breaks mid-chunk, the bytes written so far are kept and the
+ * client resumes from the offset reported by getSession().
+ */
+export async function appendChunk(
+  id: string,
+  owner: string,
+  offset: number,
+  chunk: Readable
+): Promise<UploadSession> {
+  const session = getSession(id, owner);
+
+  if (activeWrites.has(id)) {
+    throw new UploadSessionError("Another chunk is being written", 409, session.offset);
+  }
+  if (!Number.isInteger(offset) || offset !== session.offset) {
+    throw new UploadSessionError(
+      `Offset mismatch: expected ${session.offset}`,
+      409,
+      session.offset
+    );
+  }
+
+  const maxBytes = Math.min(uploadSessionsConfig.maxChunkBytes, session.size - offset);
+  let received = 0;
+  const limiter = new Transform({
+    transform(data: Buffer, _encoding, callback) {
+      received += data.length;
+      if (received > maxBytes) {
+        callback(
+          new UploadSessionError(
+            received > session.size - offset
+              ? "Chunk runs past the declared file size"
+              : `Chunk exceeds the maximum of ${uploadSessionsConfig.maxChunkBytes} bytes`,
+            413
+          )
+        );
+        return;
+      }
+      callback(null, data);
+    },
+  });
+
+  activeWrites.add(id);
+  const dataPath = getSessionDataPath(id);
+  try {
+    await pipeline(chunk, limiter, fs.createWriteStream(dataPath, { flags: "a" }));
+  } catch (error) {
+    // An oversized chunk is rejected as a whole
+    if (error instanceof UploadSessionError) {
+      fs.truncateSync(dataPath, offset);
+    }
+    throw error;
+  } finally {
+    activeWrites.delete(id);
+    const now = Date.now();
+    writeMeta({ ...session, updatedAt: now, expiresAt: now + uploadSessionsConfig.ttlMs });
+  }
+
+  return getSession(id, owner);
+}
+
+/**
+ * Delete a session and its spooled data
+ */
+export function removeSession(id: string): void {
+  fs.rmSync(sessionDir(id), { recursive: true, force: true });
+}
+
+/**
+ * Remove sessions whose TTL has passed
+ * @returns number of sessions removed
+ */
+export function cleanupExpiredSessions(now: number = Date.now()): number {
+  if (!fs.existsSync(uploadSessionsConfig.dir)) return 0;
+
+  let removed = 0;
+  for (const id of fs.readdirSync(uploadSessionsConfig.dir)) {
+    if (!SESSION_ID_PATTERN.test(id) || activeWrites.has(id)) continue;
+
+    let expiresAt = 0;
+    try {
+      expiresAt = JSON.parse(fs.readFileSync(metaPath(id), "utf-8")).expiresAt || 0;
+    } catch {
+      // Unreadable metadata: treat as abandoned
+    }
+    if (expiresAt <= now) {
+      removeSession(id);
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    log.info({ removed }, "🧹 Removed abandoned upload sessions");
+  }
+  return removed;
+}
+
+/**
+ * Start the periodic cleanup of abandoned sessions
+ */
+export function startUploadSessionCleanup(): void {
+  if (cleanupInterval) return;
+
+  try {
+    cleanupExpiredSessions();
+  } catch (error) {
+    log.error({ err: error }, "❌ Upload session cleanup failed");
+  }
+
+  cleanupInterval = setInterval(() => {
+    try {
+      cleanupExpiredSessions();
+    } catch (error) {
+      log.error({ err: error }, "❌ Upload session cleanup failed");
+    }
+  }, uploadSessionsConfig.cleanupIntervalMs);
+  cleanupInterval.unref();
+}
+
+/**
+ * Stop the periodic cleanup
+ */
+export function stopUploadSessionCleanup(): void {
+  if (cleanupInterval) {
+    clearInterval(cleanupInterval);
+    cleanupInterval = null;
+  }
+}
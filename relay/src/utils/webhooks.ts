@@ -0,0 +1,588 @@
+/**
+ * Webhooks
+ *
+ * Admin-managed subscriptions that forward relay events to HTTP endpoints.
+ * Every matching event becomes a delivery in a queue persisted to
+ * DATA_DIR/webhooks.json, so pending deliveries survive restarts. Queued
+ * events are written in batches, at most FLUSH_DELAY_MS after they arrive,
+ * and on shutdown. Failed
+ * attempts are retried with exponential backoff; finished deliveries stay
+ * in the same list as a bounded delivery log. Each webhook keeps at most
+ * WEBHOOK_MAX_PENDING pending deliveries; older ones are dropped and counted.
+ *
+ * "*" covers every event except the high-churn peer.connected and
+ * peer.disconnected, which a webhook has to name.
+ *
+ * Requests are signed with the subscription secret:
+ *   X-Shogun-Signature: sha256=HMAC_SHA256(secret, `${X-Shogun-Timestamp}.${body}`)
+ *
+ * @module utils/webhooks
+ */
+
+import { createHmac, randomBytes } from "crypto";
+import { packageConfig, webhookConfig } from "../config";
+import {
+  RELAY_EVENT_TYPES,
+  RelayEvent,
+  RelayEventType,
+  createRelayEvent,
+  onRelayEvent,
+} from "./event-bus";
+import { createJsonStore } from "./json-store";
+import { loggers } from "./logger";
+
+const log = loggers.server;
+
+export type WebhookEventFilter = RelayEventType | "*";
+export type DeliveryStatus = "pending" | "delivered" | "failed";
+
+export interface Webhook {
+  id: string;
+  url: string;
+  events: WebhookEventFilter[];
+  secret: string;
+  active: boolean;
+  description?: string;
+  createdAt: number;
+  updatedAt: number;
+}
+
+export interface WebhookDelivery {
+  id: string;
+  webhookId: string;
+  event: RelayEvent;
+  status: DeliveryStatus;
+  attempts: number;
+  maxAttempts: number;
+  createdAt: number;
+  nextAttemptAt: number | null;
+  lastAttemptAt: number | null;
+  responseStatus: number | null;
+  durationMs: number | null;
+  error: string | null;
+}
+
+interface WebhookStore {
+  webhooks: Record<string, Webhook>;
+  deliveries: WebhookDelivery[];
+}
+
+/**
+ * Invalid input or unknown subscription. Routes answer with `status`.
+ */
+export class WebhookError extends Error {
+  status: number;
+
+  constructor(message: string, status = 400) {
+    super(message);
+    this.name = "WebhookError";
+    this.status = status;
+  }
+}
+
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const WORKER_INTERVAL_MS = 5000;
+const WORKER_BATCH_SIZE = 10;
+const FLUSH_DELAY_MS = 1000;
+
+// Events "*" does not include
+const EXPLICIT_ONLY_EVENTS: RelayEventType[] = ["peer.connected", "peer.disconnected"];
+
+const storeFile = createJsonStore<WebhookStore>("webhooks.json", {
+  parse: (raw) => ({ webhooks: raw.webhooks || {}, deliveries: raw.deliveries || [] }),
+  pretty: true,
+});
+
+let workerInterval: NodeJS.Timeout | null = null;
+let unsubscribe: (() => void) | null = null;
+let processing: Promise<void> | null = null;
+let flushTimer: NodeJS.Timeout | null = null;
+// Pending deliveries dropped over WEBHOOK_MAX_PENDING, per webhook, since start
+const droppedDeliveries = new Map<string, number>();
+
+function loadStore(): WebhookStore {
+  return storeFile.load();
+}
+
+/**
+ * Save store to disk. Finished deliveries beyond the log size are dropped,
+ * oldest first; pending ones are always kept.
+ */
+function saveStore(store: WebhookStore): void {
+  const finished = store.deliveries.filter((d) => d.status !== "pending");
+  const excess = finished.length - webhookConfig.logSize;
+  if (excess > 0) {
+    const dropped = new Set(
+      [...finished]
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .slice(0, excess)
+        .map((d) => d.id)
+    );
+    store.deliveries = store.deliveries.filter((d) => !dropped.has(d.id));
+  }
+
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  storeFile.save(store);
+}
+
+/**
+ * Persist queued deliveries after a short delay (batched across events)
+ */
+function scheduleFlush(): void {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    try {
+      saveStore(loadStore());
+    } catch {
+      // Logged by the store; the queue is written again with the next change
+    }
+  }, FLUSH_DELAY_MS);
+  flushTimer.unref?.();
+}
+
+/**
+ * Write queued deliveries to disk now (e.g. on shutdown)
+ */
+export function flushWebhookStore(): void {
+  if (flushTimer) saveStore(loadStore());
+}
+
+/**
+ * Drop the in-memory cache (used by tests)
+ */
+export function resetWebhookStoreCache(): void {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  droppedDeliveries.clear();
+  storeFile.reset();
+}
+
+/**
+ * Pending deliveries dropped per webhook because its queue was full
+ */
+export function getDroppedDeliveries(): Record<string, number> {
+  return Object.fromEntries(droppedDeliveries);
+}
+
+/**
+ * HMAC signature sent in X-Shogun-Signature. Receivers recompute it over the
+ * raw body and compare in constant time.
+ */
+export function signPayload(secret: string, timestamp: string, body: string): string {
+  return `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * Webhook with its secret masked, for listings
+ */
+export function toPublicWebhook(webhook: Webhook): Webhook {
+  return { ...webhook, secret: `${webhook.secret.slice(0, 6)}…` };
+}
+
+function validateUrl(url: unknown): string {
+  if (typeof url !== "string" || !url) {
+    throw new WebhookError("url is required");
+  }
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new WebhookError("url is not a valid URL");
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw new WebhookError("url must use http or https");
+  }
+  return parsed.toString();
+}
+
+function validateEvents(events: unknown): WebhookEventFilter[] {
+  if (events === undefined) return ["*"];
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new WebhookError("events must be a non-empty array");
+  }
+  const unknown = events.filter(
+    (e) => e !== "*" && !RELAY_EVENT_TYPES.includes(e as RelayEventType)
+  );
+  if (unknown.length > 0) {
+    throw new WebhookError(
+      `Unknown event type(s): ${unknown.join(", ")}. Expected ${RELAY_EVENT_TYPES.join(", ")} or *`
+    );
+  }
+  return Array.from(new Set(events as WebhookEventFilter[]));
+}
+
+function generateSecret(): string {
+  return `whsec_${randomBytes(24).toString("base64url")}`;
+}
+
+export function listWebhooks(): Webhook[] {
+  return Object.values(loadStore().webhooks).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export function getWebhook(id: string): Webhook {
+  const webhook = loadStore().webhooks[id];
+  if (!webhook) {
+    throw new WebhookError("Webhook not found", 404);
+  }
+  return webhook;
+}
+
+/**
+ * Create a subscription. The secret is only returned here and on rotation.
+ */
+export function createWebhook(input: {
+  url: unknown;
+  events?: unknown;
+  description?: unknown;
+  active?: unknown;
+}): Webhook {
+  const store = loadStore();
+  const now = Date.now();
+  const webhook: Webhook = {
+    id: `wh_${randomBytes(8).toString("hex")}`,
+    url: validateUrl(input.url),
+    events: validateEvents(input.events),
+    secret: generateSecret(),
+    active: input.active !== false,
+    description: typeof input.description === "string" ? input.description : undefined,
+    createdAt: now,
+    updatedAt: now,
+  };
+  store.webhooks[webhook.id] = webhook;
+  saveStore(store);
+  log.info({ id: webhook.id, url: webhook.url, events: webhook.events }, "🪝 Webhook created");
+  return webhook;
+}
+
+export function updateWebhook(
+  id: string,
+  input: {
+    url?: unknown;
+    events?: unknown;
+    description?: unknown;
+    active?: unknown;
+    rotateSecret?: unknown;
+  }
+): Webhook {
+  const store = loadStore();
+  const webhook = getWebhook(id);
+
+  // Validate everything before touching the cached record
+  const url = input.url !== undefined ? validateUrl(input.url) : webhook.url;
+  const events = input.events !== undefined ? validateEvents(input.events) : webhook.events;
+
+  webhook.url = url;
+  webhook.events = events;
+  if (typeof input.description === "string") webhook.description = input.description;
+  if (typeof input.active === "boolean") webhook.active = input.active;
+  if (input.rotateSecret === true) webhook.secret = generateSecret();
+  webhook.updatedAt = Date.now();
+
+  saveStore(store);
+  return webhook;
+}
+
+/**
+ * Delete a subscription and drop its pending deliveries
+ */
+export function deleteWebhook(id: string): void {
+  const store = loadStore();
+  getWebhook(id);
+  delete store.webhooks[id];
+  store.deliveries = store.deliveries.filter(
+    (d) => !(d.webhookId === id && d.status === "pending")
+  );
+  saveStore(store);
+  log.info({ id }, "🪝 Webhook deleted");
+}
+
+function matches(webhook: Webhook, event: RelayEvent): boolean {
+  const type = event.type as RelayEventType;
+  if (!webhook.active) return false;
+  if (webhook.events.includes(type)) return true;
+  return webhook.events.includes("*") && !EXPLICIT_ONLY_EVENTS.includes(type);
+}
+
+function newDelivery(webhookId: string, event: RelayEvent, maxAttempts: number): WebhookDelivery {
+  const now = Date.now();
+  return {
+    id: `dlv_${randomBytes(12).toString("hex")}`,
+    webhookId,
+    event,
+    status: "pending",
+    attempts: 0,
+    maxAttempts,
+    createdAt: now,
+    nextAttemptAt: now,
+    lastAttemptAt: null,
+    responseStatus: null,
+    durationMs: null,
+    error: null,
+  };
+}
+
+/**
+ * Queue an event for every subscription that wants it
+ */
+export function enqueueEvent(event: RelayEvent): WebhookDelivery[] {
+  const store = loadStore();
+  const targets = Object.values(store.webhooks).filter((webhook) => matches(webhook, event));
+  if (targets.length === 0) return [];
+
+  const deliveries = targets.map((webhook) =>
+    newDelivery(webhook.id, event, webhookConfig.maxAttempts)
+  );
+  store.deliveries.push(...deliveries);
+  for (const webhook of targets) dropOverflow(store, webhook.id);
+  scheduleFlush();
+  scheduleProcessing();
+  return deliveries;
+}
+
+/**
+ * Drop a webhook's oldest pending deliveries beyond WEBHOOK_MAX_PENDING, so
+ * an endpoint that is down cannot grow the queue without bound
+ */
+function dropOverflow(store: WebhookStore, webhookId: string): void {
+  const pending = store.deliveries.filter(
+    (d) => d.webhookId === webhookId && d.status === "pending"
+  );
+  const excess = pending.length - webhookConfig.maxPending;
+  if (excess <= 0) return;
+
+  const dropped = new Set(
+    pending
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, excess)
+      .map((d) => d.id)
+  );
+  store.deliveries = store.deliveries.filter((d) => !dropped.has(d.id));
+
+  const total = droppedDeliveries.get(webhookId) || 0;
+  if (total === 0) {
+    log.warn(
+      { webhookId, maxPending: webhookConfig.maxPending },
+      "⚠️ Webhook queue full, dropping the oldest pending deliveries"
+    );
+  }
+  droppedDeliveries.set(webhookId, total + excess);
+}
+
+/**
+ * Delay before the next attempt: base, 2x base, 4x base... capped at an hour
+ */
+export function getRetryDelay(attempts: number): number {
+  return Math.min(webhookConfig.retryBaseMs * 2 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Make one HTTP attempt and record its outcome on the delivery
+ */
+async function attemptDelivery(delivery: WebhookDelivery, webhook: Webhook): Promise<void> {
+  const body = JSON.stringify(delivery.event);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const startedAt = Date.now();
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), webhookConfig.timeoutMs);
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = startedAt;
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": `shogun-relay-webhooks/${packageConfig.version || "unknown"}`,
+        "X-Shogun-Event": delivery.event.type,
+        "X-Shogun-Delivery": delivery.id,
+        "X-Shogun-Timestamp": timestamp,
+        "X-Shogun-Signature": signPayload(webhook.secret, timestamp, body),
+      },
+      body,
+      signal: controller.signal,
+      redirect: "manual",
+    });
+    delivery.responseStatus = response.status;
+    delivery.error = response.ok ? null : `HTTP ${response.status}`;
+    // Drain the body so the connection can be reused
+    await response.text().catch(() => undefined);
+  } catch (error: any) {
+    delivery.responseStatus = null;
+    delivery.error =
+      error?.name === "AbortError" ? `Timed out after ${webhookConfig.timeoutMs}ms` : error.message;
+  } finally {
+    clearTimeout(timeout);
+    delivery.durationMs = Date.now() - startedAt;
+  }
+
+  if (!delivery.error) {
+    delivery.status = "delivered";
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts >= delivery.maxAttempts) {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = null;
+    log.warn(
+      {
+        id: delivery.id,
+        webhookId: webhook.id,
+        attempts: delivery.attempts,
+        error: delivery.error,
+      },
+      "⚠️ Webhook delivery failed permanently"
+    );
+  } else {
+    delivery.nextAttemptAt = Date.now() + getRetryDelay(delivery.attempts);
+    log.debug(
+      {
+        id: delivery.id,
+        webhookId: webhook.id,
+        attempts: delivery.attempts,
+        error: delivery.error,
+      },
+      "Webhook delivery failed, will retry"
+    );
+  }
+}
+
+async function runQueue(): Promise<void> {
+  const store = loadStore();
+  const now = Date.now();
+  const due = store.deliveries
+    .filter((d) => d.status === "pending" && (d.nextAttemptAt ?? 0) <= now)
+    .sort((a, b) => (a.nextAttemptAt ?? 0) - (b.nextAttemptAt ?? 0))
+    .slice(0, WORKER_BATCH_SIZE);
+  if (due.length === 0) return;
+
+  await Promise.all(
+    due.map(async (delivery) => {
+      const webhook = store.webhooks[delivery.webhookId];
+      if (!webhook) {
+        delivery.status = "failed";
+        delivery.nextAttemptAt = null;
+        delivery.error = "Webhook was deleted";
+        return;
+      }
+      await attemptDelivery(delivery, webhook);
+    })
+  );
+  saveStore(store);
+}
+
+/**
+ * Send every delivery that is due. Concurrent calls share one run.
+ */
+export function processQueue(): Promise<void> {
+  if (!processing) {
+    processing = runQueue()
+      .catch((error) => {
+        log.error({ err: error }, "❌ Webhook queue processing failed");
+      })
+      .finally(() => {
+        processing = null;
+      });
+  }
+  return processing;
+}
+
+function scheduleProcessing(): void {
+  if (workerInterval) setImmediate(() => void processQueue());
+}
+
+/**
+ * Deliver a synthetic `webhook.test` event right away (single attempt, no retries)
+ */
+export async function sendTestEvent(id: string): Promise<WebhookDelivery> {
+  const webhook = getWebhook(id);
+  const event = createRelayEvent("webhook.test", {
+    webhookId: webhook.id,
+    message: "Test event from shogun-relay",
+  });
+  const delivery = newDelivery(webhook.id, event, 1);
+
+  await attemptDelivery(delivery, webhook);
+
+  const store = loadStore();
+  store.deliveries.push(delivery);
+  saveStore(store);
+  return delivery;
+}
+
+/**
+ * Delivery log, newest first
+ */
+export function listDeliveries(
+  filter: { webhookId?: string; status?: DeliveryStatus; limit?: number } = {}
+): WebhookDelivery[] {
+  const limit = Math.min(Math.max(filter.limit || 50, 1), 500);
+  return loadStore()
+    .deliveries.filter(
+      (d) =>
+        (!filter.webhookId || d.webhookId === filter.webhookId) &&
+        (!filter.status || d.status === filter.status)
+    )
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit);
+}
+
+/**
+ * Put a failed delivery back in the queue with a fresh set of attempts
+ */
+export function retryDelivery(deliveryId: string): WebhookDelivery {
+  const store = loadStore();
+  const delivery = store.deliveries.find((d) => d.id === deliveryId);
+  if (!delivery) {
+    throw new WebhookError("Delivery not found", 404);
+  }
+  if (delivery.status !== "failed") {
+    throw new WebhookError(`Delivery is ${delivery.status}, only failed deliveries can be retried`);
+  }
+  getWebhook(delivery.webhookId);
+
+  delivery.status = "pending";
+  delivery.maxAttempts = delivery.attempts + webhookConfig.maxAttempts;
+  delivery.nextAttemptAt = Date.now();
+  saveStore(store);
+  scheduleProcessing();
+  return delivery;
+}
+
+/**
+ * Subscribe to the event bus and start the retry worker
+ */
+export function startWebhookWorker(): void {
+  if (workerInterval) return;
+
+  unsubscribe = onRelayEvent((event) => {
+    enqueueEvent(event);
+  });
+  workerInterval = setInterval(() => void processQueue(), WORKER_INTERVAL_MS);
+  workerInterval.unref();
+
+  const pending = loadStore().deliveries.filter((d) => d.status === "pending").length;
+  log.info({ webhooks: listWebhooks().length, pending }, "🪝 Webhook worker started");
+  if (pending > 0) scheduleProcessing();
+}
+
+export function stopWebhookWorker(): void {
+  try {
+    flushWebhookStore();
+  } catch {
+    // Logged by the store; shutdown carries on
+  }
+  if (workerInterval) {
+    clearInterval(workerInterval);
+    workerInterval = null;
+  }
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+}
@@ -1,185 +1,122 @@
 /**
- * Wormhole Cleanup Service
+ * Wormhole Cleanup
  *
- * Automatically cleans up orphaned wormhole file transfers from IPFS.
- * Transfers older than the configured maxAge that haven't been completed
- * will be unpinned from IPFS to free up storage.
+ * Finds orphaned wormhole file transfers: older than the configured max
+ * age and never completed. The retention engine runs this as its built-in
+ * "wormhole" policy, unpins the files and then drops the transfer records
+ * with removeWormholeTransfer().
  */
 
 import type { IGunInstance } from "gun";
 import { loggers } from "./logger";
-import { wormholeConfig, ipfsConfig, authConfig } from "../config/env-config";
 import { GUN_PATHS, getGunNode } from "./gun-paths";
+import { emitRelayEvent } from "./event-bus";
 
 const log = loggers.server || console;
 
-let cleanupInterval: NodeJS.Timeout | null = null;
-let isProcessing = false;
-
 interface WormholeTransfer {
   createdAt?: number;
   ipfsHash?: string;
   completed?: boolean;
 }
 
+export interface OrphanedTransfer {
+  code: string;
+  ipfsHash: string | null;
+  createdAt: number;
+}
+
 /**
- * Start the wormhole cleanup scheduler
+ * Transfers older than `maxAgeSecs` that were never received, from Gun and
+ * (if running) ZEN
  * @param gun - GunDB instance
  */
-export function startWormholeCleanup(gun: IGunInstance): void {
-  if (!wormholeConfig.cleanupEnabled) {
-    log.debug({}, "🔄 Wormhole cleanup scheduler disabled by configuration");
-    return;
-  }
-
-  if (cleanupInterval) {
-    log.warn({}, "🔄 Wormhole cleanup scheduler already running");
-    return;
-  }
+export async function findOrphanedTransfers(
+  gun: IGunInstance,
+  maxAgeSecs: number
+): Promise<OrphanedTransfer[]> {
+  const zen = (global as any).zenInstance;
+  const cutoffTime = Date.now() - maxAgeSecs * 1000;
 
-  log.info(
-    {
-      intervalMs: wormholeConfig.cleanupIntervalMs,
-      maxAgeSecs: wormholeConfig.maxAgeSecs,
-    },
-    "🔄 Starting wormhole cleanup scheduler"
+  log.debug(
+    { cutoffTime: new Date(cutoffTime).toISOString() },
+    "🔄 Scanning for orphaned wormhole transfers"
   );
 
-  // Run after initial delay to let GunDB initialize
-  setTimeout(() => {
-    runWormholeCleanup(gun);
-  }, 10000);
+  // Read all transfers from Gun and ZEN
+  const gunTransfers = await getWormholeTransfers(gun);
+  const zenTransfers = zen ? await getWormholeTransfers(zen) : [];
+
+  // Combine and deduplicate by code
+  const allTransfers = [...gunTransfers];
+  const seenCodes = new Set(gunTransfers.map((t) => t.code));
+  for (const t of zenTransfers) {
+    if (!seenCodes.has(t.code)) {
+      allTransfers.push(t);
+      seenCodes.add(t.code);
+    }
+  }
 
-  // Set interval for periodic cleanup
-  cleanupInterval = setInterval(() => {
-    runWormholeCleanup(gun);
-  }, wormholeConfig.cleanupIntervalMs);
-}
+  const orphaned: OrphanedTransfer[] = [];
+  for (const { code, data } of allTransfers) {
+    // Skip if no createdAt timestamp or not old enough
+    if (!data.createdAt || data.createdAt > cutoffTime) {
+      continue;
+    }
 
-/**
- * Stop the wormhole cleanup scheduler
- */
-export function stopWormholeCleanup(): void {
-  if (cleanupInterval) {
-    clearInterval(cleanupInterval);
-    cleanupInterval = null;
-    log.debug({}, "🔄 Wormhole cleanup scheduler stopped");
+    // Skip if already completed (check both)
+    const gunCompleted = await checkTransferCompleted(gun, code);
+    const zenCompleted = zen ? await checkTransferCompleted(zen, code) : false;
+    if (gunCompleted || zenCompleted) {
+      continue;
+    }
+
+    orphaned.push({ code, ipfsHash: data.ipfsHash || null, createdAt: data.createdAt });
   }
+  return orphaned;
 }
 
 /**
- * Run a single cleanup iteration
+ * Remove a transfer from the Gun (and ZEN) index once its file is unpinned
  * @param gun - GunDB instance
  */
-async function runWormholeCleanup(gun: IGunInstance): Promise<void> {
-  if (isProcessing) {
-    log.debug({}, "🔄 Wormhole cleanup already in progress, skipping");
-    return;
-  }
-
-  isProcessing = true;
+export function removeWormholeTransfer(gun: IGunInstance, transfer: OrphanedTransfer): void {
+  const { code } = transfer;
   const zen = (global as any).zenInstance;
 
-  try {
-    const now = Date.now();
-    const maxAgeMs = wormholeConfig.maxAgeSecs * 1000;
-    const cutoffTime = now - maxAgeMs;
-
-    log.debug(
-      { cutoffTime: new Date(cutoffTime).toISOString() },
-      "🔄 Scanning for orphaned wormhole transfers"
-    );
-
-    // Read all transfers from Gun
-    const gunTransfers = await getWormholeTransfers(gun);
-    const zenTransfers = zen ? await getWormholeTransfers(zen) : [];
-    
-    // Combine and deduplicate by code
-    const allTransfers = [...gunTransfers];
-    const seenCodes = new Set(gunTransfers.map(t => t.code));
-    for (const t of zenTransfers) {
-      if (!seenCodes.has(t.code)) {
-        allTransfers.push(t);
-        seenCodes.add(t.code);
-      }
-    }
-
-    if (allTransfers.length === 0) {
-      log.debug({}, "🔄 No wormhole transfers found");
-      return;
-    }
-
-    let cleaned = 0;
-    let errors = 0;
-
-    for (const { code, data } of allTransfers) {
-      try {
-        // Skip if no createdAt timestamp
-        if (!data.createdAt) {
-          continue;
-        }
-
-        // Skip if not old enough
-        if (data.createdAt > cutoffTime) {
-          continue;
-        }
-
-        // Skip if already completed (check both)
-        const gunCompleted = await checkTransferCompleted(gun, code);
-        const zenCompleted = zen ? await checkTransferCompleted(zen, code) : false;
-        
-        if (gunCompleted || zenCompleted) {
-          continue;
-        }
-
-        log.info(
-          {
-            code,
-            ipfsHash: data.ipfsHash,
-            createdAt: new Date(data.createdAt).toISOString(),
-            ageHours: Math.round((now - data.createdAt) / (1000 * 60 * 60)),
-          },
-          "🧹 Cleaning up orphaned wormhole transfer"
-        );
-
-        // Unpin from IPFS
-        if (data.ipfsHash) {
-          await unpinFromIPFS(data.ipfsHash);
-        }
+  log.info(
+    {
+      code,
+      ipfsHash: transfer.ipfsHash,
+      createdAt: new Date(transfer.createdAt).toISOString(),
+      ageHours: Math.round((Date.now() - transfer.createdAt) / (1000 * 60 * 60)),
+    },
+    "🧹 Cleaning up orphaned wormhole transfer"
+  );
 
-        // Remove from Gun index
-        getGunNode(gun, GUN_PATHS.SHOGUN_WORMHOLE)
-          .get(GUN_PATHS.WORMHOLE_TRANSFERS)
-          .get(code)
-          .put(null as any);
+  // Remove from Gun index
+  getGunNode(gun, GUN_PATHS.SHOGUN_WORMHOLE)
+    .get(GUN_PATHS.WORMHOLE_TRANSFERS)
+    .get(code)
+    .put(null as any);
 
-        // Remove transfer metadata
-        gun.get(code).put(null as any);
-        
-        // Remove from ZEN too if present
-        if (zen) {
-          getGunNode(zen, GUN_PATHS.SHOGUN_WORMHOLE)
-            .get(GUN_PATHS.WORMHOLE_TRANSFERS)
-            .get(code)
-            .put(null as any);
-          zen.get(code).put(null as any);
-        }
+  // Remove transfer metadata
+  gun.get(code).put(null as any);
 
-        cleaned++;
-      } catch (err) {
-        log.error({ err, code }, "❌ Failed to clean up wormhole transfer");
-        errors++;
-      }
-    }
-
-    if (cleaned > 0 || errors > 0) {
-      log.info({ cleaned, errors }, "🔄 Wormhole cleanup completed");
-    }
-  } catch (err) {
-    log.error({ err }, "❌ Unexpected error in wormhole cleanup");
-  } finally {
-    isProcessing = false;
+  // Remove from ZEN too if present
+  if (zen) {
+    getGunNode(zen, GUN_PATHS.SHOGUN_WORMHOLE)
+      .get(GUN_PATHS.WORMHOLE_TRANSFERS)
+      .get(code)
+      .put(null as any);
+    zen.get(code).put(null as any);
   }
+
+  emitRelayEvent("wormhole.cleaned", {
+    code,
+    cid: transfer.ipfsHash,
+    createdAt: transfer.createdAt,
+  });
 }
 
 /**
@@ -191,7 +128,6 @@ async function getWormholeTransfers(
   return new Promise((resolve) => {
     const transfers: Array<{ code: string; data: WormholeTransfer }> = [];
     const seen = new Set<string>();
-    let timeout: NodeJS.Timeout;
 
     const handler = (data: any, key: string) => {
       if (key === "_" || !data || seen.has(key)) return;
@@ -218,7 +154,7 @@ async function getWormholeTransfers(
       .once(handler);
 
     // Wait a bit for all data to come in
-    timeout = setTimeout(() => {
+    setTimeout(() => {
       resolve(transfers);
     }, 5000);
   });
@@ -237,28 +173,3 @@ async function checkTransferCompleted(gun: IGunInstance, code: string): Promise<
     setTimeout(() => resolve(false), 2000);
   });
 }
-
-/**
- * Unpin a CID from IPFS
- */
-async function unpinFromIPFS(cid: string): Promise<void> {
-  try {
-    const response = await fetch(`${ipfsConfig.apiUrl}/api/v0/pin/rm?arg=${cid}`, {
-      method: "POST",
-      headers: {
-        ...(ipfsConfig.apiToken ? { Authorization: `Bearer ${ipfsConfig.apiToken}` } : {}),
-      },
-    });
-
-    if (!response.ok) {
-      // 404 or similar means pin doesn't exist - that's fine
-      if (response.status !== 500) {
-        log.debug({ cid, status: response.status }, "⚠️ IPFS unpin returned non-OK status");
-      }
-    } else {
-      log.debug({ cid }, "📌 Successfully unpinned from IPFS");
-    }
-  } catch (err) {
-    log.warn({ err, cid }, "⚠️ Failed to unpin from IPFS (node may be unavailable)");
-  }
-}
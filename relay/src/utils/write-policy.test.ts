@@ -0,0 +1,201 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from "vitest";
+import fs from "fs";
+
+const { dir, relayConfig } = vi.hoisted(() => ({
+  dir: `${process.env.TMPDIR || "/tmp"}/write-policy-test-${process.pid}`,
+  relayConfig: { protected: true },
+}));
+
+vi.mock("./logger", () => ({
+  loggers: {
+    server: {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn(),
+      debug: vi.fn(),
+    },
+  },
+}));
+
+vi.mock("../config", () => ({
+  authConfig: { adminPassword: "admin-secret" },
+  relayConfig,
+}));
+
+vi.mock("./api-keys-store", () => ({
+  API_KEY_SCOPES: ["ipfs:upload", "gun:write"],
+  checkApiKey: vi.fn((token: string) =>
+    token === "shogun-api-writer"
+      ? { ok: true, key: { scopes: ["gun:write"] } }
+      : token === "shogun-api-reader"
+        ? { ok: true, key: { scopes: ["ipfs:upload"] } }
+        : { ok: false, reason: "invalid" }
+  ),
+  hasScopes: (key: any, scopes: string[]) => scopes.every((s) => key.scopes.includes(s)),
+}));
+
+// Deterministic stand-in for SEA: a signature is "sig(<pub>)"
+vi.mock("./sea", () => ({
+  loadSEA: async () => ({
+    verify: async (data: any, pub: string) => (data.s === `sig(${pub})` ? data.m : undefined),
+  }),
+}));
+
+import { checkApiKey } from "./api-keys-store";
+import { loggers } from "./logger";
+import { clearRuntimeValue, setRuntimeValue } from "./runtime-config";
+import { isWriteAllowed, matchRule, parseWritePolicy, resetWritePolicyCache } from "./write-policy";
+
+const fromPeer = (put: Record<string, any>, token?: string) => ({
+  "#": "msg",
+  put,
+  headers: token ? { token } : undefined,
+  _: { via: {} },
+});
+
+const signed = (value: any, pub: string) => JSON.stringify({ ":": value, "~": `sig(${pub})` });
+
+const usePolicy = (policy: object) => {
+  const file = `${dir}/policy.json`;
+  fs.writeFileSync(file, JSON.stringify(policy));
+  setRuntimeValue("WRITE_POLICY_FILE", file);
+};
+
+describe("write policy", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    relayConfig.protected = true;
+    clearRuntimeValue("WRITE_POLICY_FILE");
+    resetWritePolicyCache();
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+  });
+
+  afterAll(() => {
+    clearRuntimeValue("WRITE_POLICY_FILE");
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("always allows writes made by the relay itself", async () => {
+    expect(await isWriteAllowed({ put: { "shogun/logs": { a: 1 } } })).toBe(true);
+  });
+
+  it("keeps the RELAY_PROTECTED behaviour when no policy file is set", async () => {
+    const pins = { "shogun/network/pins/relay.pub": { cids: "[]" } };
+
+    const anonymous = await isWriteAllowed(fromPeer(pins));
+    expect((anonymous as Error).message).toMatch(/admin token required/);
+    expect(await isWriteAllowed(fromPeer(pins, "admin-secret"))).toBe(true);
+
+    relayConfig.protected = false;
+    resetWritePolicyCache();
+    expect(await isWriteAllowed(fromPeer(pins))).toBe(true);
+    expect(await isWriteAllowed(fromPeer({ "shogun/wormhole/abc": { status: "sent" } }))).toBe(
+      true
+    );
+  });
+
+  it("requires valid SEA signatures in user space", async () => {
+    usePolicy({ rules: [{ prefix: "~", allow: "signed" }] });
+    const ok = await isWriteAllowed(
+      fromPeer({ "~alice.pub/profile": { name: signed("Alice", "alice.pub") } })
+    );
+    expect(ok).toBe(true);
+
+    const forged = await isWriteAllowed(
+      fromPeer({ "~alice.pub/profile": { name: signed("Mallory", "mallory.pub") } })
+    );
+    expect(forged).toBeInstanceOf(Error);
+    expect((forged as Error).message).toMatch(/invalid signature for "name"/);
+
+    const unsigned = await isWriteAllowed(fromPeer({ "~alice.pub": { name: "plain" } }));
+    expect((unsigned as Error).message).toMatch(/unsigned value/);
+  });
+
+  it("limits shogun/* to admin or API keys with gun:write", async () => {
+    usePolicy({ rules: [{ prefix: "shogun/", allow: "auth", scopes: ["gun:write"] }] });
+    const put = { "shogun/uploads/0xabc": { hash: "Qm" } };
+
+    expect(await isWriteAllowed(fromPeer(put, "admin-secret"))).toBe(true);
+    expect(await isWriteAllowed(fromPeer(put, "shogun-api-writer"))).toBe(true);
+
+    const missingScope = await isWriteAllowed(fromPeer(put, "shogun-api-reader"));
+    expect((missingScope as Error).message).toMatch(/gun:write/);
+
+    const anonymous = await isWriteAllowed(fromPeer(put));
+    expect((anonymous as Error).message).toMatch(/authentication required/);
+    expect(loggers.server.warn).toHaveBeenCalledWith(
+      expect.objectContaining({ soul: "shogun/uploads/0xabc", reason: "authentication required" }),
+      expect.any(String)
+    );
+  });
+
+  it("charges an API key once for a put touching many souls", async () => {
+    usePolicy({ rules: [{ prefix: "shogun/", allow: "auth", scopes: ["gun:write"] }] });
+    const put = {
+      "shogun/uploads/0xabc": { hash: "Qm1" },
+      "shogun/uploads/0xabc/a": { size: 1 },
+      "shogun/uploads/0xabc/b": { size: 2 },
+    };
+
+    expect(await isWriteAllowed(fromPeer(put, "shogun-api-writer"))).toBe(true);
+    expect(checkApiKey).toHaveBeenCalledTimes(1);
+    expect(checkApiKey).toHaveBeenCalledWith("shogun-api-writer", {
+      bytes: Buffer.byteLength(JSON.stringify(put)),
+    });
+  });
+
+  it("loads rules from WRITE_POLICY_FILE and enforces node size limits", async () => {
+    const file = `${dir}/policy.json`;
+    fs.writeFileSync(
+      file,
+      JSON.stringify({
+        maxNodeBytes: 1000,
+        rules: [
+          { prefix: "", allow: "any" },
+          { prefix: "public/", allow: "any", maxNodeBytes: 20 },
+        ],
+      })
+    );
+    setRuntimeValue("WRITE_POLICY_FILE", file);
+
+    expect(await isWriteAllowed(fromPeer({ "shogun/x": { a: 1 } }))).toBe(true);
+    const tooBig = await isWriteAllowed(fromPeer({ "public/x": { text: "x".repeat(50) } }));
+    expect((tooBig as Error).message).toMatch(/limit is 20/);
+  });
+
+  it("keeps the previous rules when the policy file is invalid", async () => {
+    const file = `${dir}/policy.json`;
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ prefix: "", allow: "none" }] }));
+    setRuntimeValue("WRITE_POLICY_FILE", file);
+    expect(await isWriteAllowed(fromPeer({ a: { b: 1 } }))).toBeInstanceOf(Error);
+
+    fs.writeFileSync(file, "{ not json");
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 10_000));
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(Date.now() + 60_000);
+    try {
+      expect(await isWriteAllowed(fromPeer({ a: { b: 1 } }))).toBeInstanceOf(Error);
+      expect(loggers.server.error).toHaveBeenCalled();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("validates policy files and matches the longest prefix", () => {
+    expect(() => parseWritePolicy({ rules: [{ prefix: "", allow: "maybe" }] })).toThrow(/allow/);
+    expect(() =>
+      parseWritePolicy({ rules: [{ prefix: "", allow: "auth", scopes: ["root"] }] })
+    ).toThrow(/unknown scope/);
+
+    const policy = parseWritePolicy({
+      rules: [
+        { prefix: "~", allow: "signed" },
+        { prefix: "~@", allow: "any" },
+      ],
+    });
+    expect(matchRule(policy, "~@alice")?.allow).toBe("any");
+    expect(matchRule(policy, "~alice.pub")?.allow).toBe("signed");
+    expect(matchRule(policy, "shogun/x")).toBeNull();
+  });
+});
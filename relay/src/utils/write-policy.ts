@@ -0,0 +1,321 @@
+/**
+ * Write Policy Engine
+ *
+ * Decides, per soul prefix, who may write to the Gun/ZEN graph. Plugged into
+ * the bullet-catcher `isValid` hook for both instances.
+ *
+ * Rules are matched by longest prefix. Each rule says who may write:
+ * - "any":    everyone
+ * - "signed": every value must carry a valid SEA signature from the `~pub` owner
+ * - "auth":   admin token, or an API key holding all of the rule's `scopes`
+ * - "admin":  admin token only
+ * - "none":   nobody
+ * and optionally caps the serialized size of each node (`maxNodeBytes`).
+ *
+ * Rules come from the JSON file named by WRITE_POLICY_FILE (hot-reloadable).
+ * The file is re-read when the setting or the file's mtime changes; an
+ * invalid file keeps the previous policy in place.
+ *
+ * @module utils/write-policy
+ */
+
+import fs from "fs";
+import { authConfig, relayConfig } from "../config";
+import { ApiKeyData, ApiKeyScope, API_KEY_SCOPES, checkApiKey, hasScopes } from "./api-keys-store";
+import { getConfigValue } from "./runtime-config";
+import { hashToken, secureCompare } from "./security";
+import { loadSEA } from "./sea";
+import { loggers } from "./logger";
+
+const log = loggers.server;
+
+export const WRITE_POLICY_ACCESS = ["any", "signed", "auth", "admin", "none"] as const;
+export type WritePolicyAccess = (typeof WRITE_POLICY_ACCESS)[number];
+
+export interface WritePolicyRule {
+  prefix: string;
+  allow: WritePolicyAccess;
+  scopes?: ApiKeyScope[];
+  maxNodeBytes?: number;
+}
+
+export interface WritePolicy {
+  maxNodeBytes: number;
+  rules: WritePolicyRule[];
+}
+
+export type WriteDecision = { ok: true } | { ok: false; soul: string; reason: string };
+
+const DEFAULT_MAX_NODE_BYTES = 1024 * 1024;
+
+// How often the policy file's mtime is checked for changes
+const RELOAD_CHECK_MS = 5000;
+
+/**
+ * Policy used when no WRITE_POLICY_FILE is configured: the RELAY_PROTECTED
+ * behaviour (admin token for every peer write, or open). Relays and apps
+ * replicate shogun/* between peers, so tighter per-path rules are opt-in.
+ */
+export function getDefaultWritePolicy(): WritePolicy {
+  return {
+    maxNodeBytes: DEFAULT_MAX_NODE_BYTES,
+    rules: [{ prefix: "", allow: relayConfig.protected ? "admin" : "any" }],
+  };
+}
+
+/**
+ * Validate a parsed policy file, throwing on the first problem
+ */
+export function parseWritePolicy(raw: any): WritePolicy {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.rules)) {
+    throw new Error("Write policy must be an object with a rules array");
+  }
+
+  const maxNodeBytes = raw.maxNodeBytes ?? DEFAULT_MAX_NODE_BYTES;
+  if (!Number.isInteger(maxNodeBytes) || maxNodeBytes <= 0) {
+    throw new Error("maxNodeBytes must be a positive integer");
+  }
+
+  const rules = raw.rules.map((rule: any, index: number): WritePolicyRule => {
+    if (!rule || typeof rule.prefix !== "string") {
+      throw new Error(`Rule ${index}: prefix must be a string`);
+    }
+    if (!WRITE_POLICY_ACCESS.includes(rule.allow)) {
+      throw new Error(`Rule ${index}: allow must be one of ${WRITE_POLICY_ACCESS.join(", ")}`);
+    }
+    if (rule.scopes !== undefined) {
+      if (!Array.isArray(rule.scopes)) {
+        throw new Error(`Rule ${index}: scopes must be an array`);
+      }
+      const unknown = rule.scopes.filter((s: any) => !API_KEY_SCOPES.includes(s));
+      if (unknown.length > 0) {
+        throw new Error(`Rule ${index}: unknown scope ${unknown.join(", ")}`);
+      }
+    }
+    if (
+      rule.maxNodeBytes !== undefined &&
+      (!Number.isInteger(rule.maxNodeBytes) || rule.maxNodeBytes <= 0)
+    ) {
+      throw new Error(`Rule ${index}: maxNodeBytes must be a positive integer`);
+    }
+    return {
+      prefix: rule.prefix,
+      allow: rule.allow,
+      scopes: rule.scopes,
+      maxNodeBytes: rule.maxNodeBytes,
+    };
+  });
+
+  return { maxNodeBytes, rules };
+}
+
+let cached: { file: string; mtimeMs: number; policy: WritePolicy } | null = null;
+let lastCheck = 0;
+
+/**
+ * Get the active policy, reloading it if the configured file changed
+ */
+export function getWritePolicy(): WritePolicy {
+  const file = getConfigValue("WRITE_POLICY_FILE") || "";
+  const now = Date.now();
+
+  if (cached && cached.file === file && (!file || now - lastCheck < RELOAD_CHECK_MS)) {
+    return cached.policy;
+  }
+  lastCheck = now;
+
+  if (!file) {
+    cached = { file, mtimeMs: 0, policy: getDefaultWritePolicy() };
+    return cached.policy;
+  }
+
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    if (cached && cached.file === file && cached.mtimeMs === mtimeMs) {
+      return cached.policy;
+    }
+    const policy = parseWritePolicy(JSON.parse(fs.readFileSync(file, "utf8")));
+    cached = { file, mtimeMs, policy };
+    log.info({ file, rules: policy.rules.length }, "🛡️ Write policy loaded");
+  } catch (error: any) {
+    log.error({ err: error, file }, "❌ Failed to load write policy, keeping previous rules");
+    if (!cached) {
+      cached = { file, mtimeMs: 0, policy: getDefaultWritePolicy() };
+    } else {
+      // Retry on the next check instead of falling back to defaults
+      cached = { ...cached, file, mtimeMs: 0 };
+    }
+  }
+  return cached.policy;
+}
+
+/**
+ * Drop the cached policy so the next write re-reads it (used by tests)
+ */
+export function resetWritePolicyCache(): void {
+  cached = null;
+  lastCheck = 0;
+}
+
+/**
+ * Find the rule with the longest prefix matching a soul
+ */
+export function matchRule(policy: WritePolicy, soul: string): WritePolicyRule | null {
+  let best: WritePolicyRule | null = null;
+  for (const rule of policy.rules) {
+    if (soul.startsWith(rule.prefix) && (!best || rule.prefix.length > best.prefix.length)) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+function isAdminToken(token: string | undefined): boolean {
+  if (!token || !authConfig.adminPassword) return false;
+  return secureCompare(hashToken(token), hashToken(authConfig.adminPassword));
+}
+
+interface TokenIdentity {
+  admin: boolean;
+  key: ApiKeyData | null;
+  reason: string | null;
+}
+
+/**
+ * Resolve the token of a put message once. An API key is checked (and its
+ * quota charged) here, so a message touching many souls is charged once.
+ */
+function resolveToken(token: string | undefined, bytes: number): TokenIdentity {
+  if (isAdminToken(token)) return { admin: true, key: null, reason: null };
+  if (!token) return { admin: false, key: null, reason: "authentication required" };
+  if (!token.startsWith("shogun-api-")) {
+    return { admin: false, key: null, reason: "invalid token" };
+  }
+
+  const result = checkApiKey(token, { bytes });
+  if (!result.ok) return { admin: false, key: null, reason: `API key rejected: ${result.reason}` };
+  return { admin: false, key: result.key, reason: null };
+}
+
+/**
+ * Check a resolved token against an "auth" rule. Returns a rejection reason or null.
+ */
+function checkToken(identity: TokenIdentity, scopes: ApiKeyScope[]): string | null {
+  if (identity.admin) return null;
+  if (!identity.key) return identity.reason;
+  if (!hasScopes(identity.key, scopes)) return `API key requires scope: ${scopes.join(", ")}`;
+  return null;
+}
+
+/**
+ * Verify that every value of a user-space node is signed by its owner.
+ * Returns a rejection reason or null.
+ */
+async function checkSignatures(soul: string, node: Record<string, any>): Promise<string | null> {
+  const pub = soul.substring(1).split("/")[0];
+  if (!pub) return "missing public key in soul";
+
+  const SEA = await loadSEA();
+  const states = node._?.[">"] || {};
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === "_") continue;
+    // A user's own pub is written unsigned when the account is created
+    if (key === "pub" && soul === `~${pub}` && value === pub) continue;
+    if (typeof value !== "string") return `unsigned value for "${key}"`;
+
+    let envelope: any;
+    try {
+      envelope = JSON.parse(value.startsWith("SEA{") ? value.substring(3) : value);
+    } catch {
+      return `unsigned value for "${key}"`;
+    }
+    if (!envelope || typeof envelope !== "object") return `unsigned value for "${key}"`;
+
+    // Current SEA signs the soul, key, value and state together
+    const signed =
+      envelope["~"] !== undefined
+        ? { m: { "#": soul, ".": key, ":": envelope[":"], ">": states[key] }, s: envelope["~"] }
+        : envelope;
+    if (signed.m === undefined || !signed.s) return `unsigned value for "${key}"`;
+
+    const verified = await SEA.verify(signed, pub);
+    if (verified === undefined || verified === false) {
+      return `invalid signature for "${key}"`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Evaluate a put message against the active policy
+ */
+export async function evaluateWrite(msg: Record<string, any>): Promise<WriteDecision> {
+  const policy = getWritePolicy();
+  const graph = msg.put || {};
+  const token = msg.headers?.token;
+  const bytes = Buffer.byteLength(JSON.stringify(graph));
+  let identity: TokenIdentity | null = null;
+
+  for (const [soul, node] of Object.entries<any>(graph)) {
+    const rule = matchRule(policy, soul);
+    if (!rule) {
+      return { ok: false, soul, reason: "no matching rule" };
+    }
+
+    const maxNodeBytes = rule.maxNodeBytes ?? policy.maxNodeBytes;
+    const size = Buffer.byteLength(JSON.stringify(node ?? null));
+    if (size > maxNodeBytes) {
+      return { ok: false, soul, reason: `node is ${size} bytes, limit is ${maxNodeBytes}` };
+    }
+
+    let reason: string | null = null;
+    switch (rule.allow) {
+      case "any":
+        break;
+      case "none":
+        reason = "writes are disabled for this path";
+        break;
+      case "admin":
+        reason = isAdminToken(token) ? null : "admin token required";
+        break;
+      case "auth":
+        identity ??= resolveToken(token, bytes);
+        reason = checkToken(identity, rule.scopes || []);
+        break;
+      case "signed":
+        reason =
+          node && typeof node === "object" ? await checkSignatures(soul, node) : "empty node";
+        break;
+    }
+    if (reason) {
+      return { ok: false, soul, reason };
+    }
+  }
+  return { ok: true };
+}
+
+/**
+ * bullet-catcher `isValid` hook. Writes made by this process are not
+ * received from a peer and always pass.
+ */
+export async function isWriteAllowed(msg: Record<string, any>): Promise<boolean | Error> {
+  if (!msg._?.via) {
+    return true;
+  }
+
+  try {
+    const decision = await evaluateWrite(msg);
+    if (decision.ok) {
+      return true;
+    }
+    log.warn(
+      { soul: decision.soul, reason: decision.reason, souls: Object.keys(msg.put || {}).length },
+      "🚫 Gun write rejected by policy"
+    );
+    return new Error(`Write rejected for ${decision.soul}: ${decision.reason}`);
+  } catch (error: any) {
+    log.error({ err: error }, "❌ Write policy evaluation failed");
+    return new Error("Write rejected: policy evaluation failed");
+  }
+}
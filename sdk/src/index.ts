@@ -8,12 +8,15 @@ import { ApiKeysModule } from "./modules/api-keys";
 import { AuthModule } from "./modules/auth";
 import { ChatModule } from "./modules/chat";
 import { VisualGraphModule } from "./modules/visualGraph";
+import { NetworkModule } from "./modules/network";
 
+export * from "./modules/uploads";
 export * from "./modules/drive";
 export * from "./modules/api-keys";
 export * from "./modules/auth";
 export * from "./modules/chat";
 export * from "./modules/visualGraph";
+export * from "./modules/network";
 
 
 export class DelaySDK {
@@ -28,6 +31,7 @@ export class DelaySDK {
   public auth: AuthModule;
   public chat: ChatModule;
   public visualGraph: VisualGraphModule;
+  public network: NetworkModule;
 
   constructor(config: ApiClientConfig) {
     this.client = new ApiClient(config);
@@ -41,6 +45,7 @@ export class DelaySDK {
     this.auth = new AuthModule(this.client);
     this.chat = new ChatModule(this.client);
     this.visualGraph = new VisualGraphModule(this.client);
+    this.network = new NetworkModule(this.client);
   }
 
   public setToken(token: string) {
@@ -1,11 +1,43 @@
 import { ApiClient } from "../client";
 
+export type ApiKeyScope =
+  | "ipfs:upload"
+  | "ipfs:pin"
+  | "ipfs:gc"
+  | "ipfs:read"
+  | "uploads:write"
+  | "drive:manage"
+  | "gun:write";
+
 export interface ApiKey {
   keyId: string;
   name: string;
+  keyPrefix: string;
+  scopes: ApiKeyScope[];
   createdAt: number;
-  lastUsedAt: number | null;
+  lastUsed?: number;
   expiresAt: number | null;
+  allowedCidrs: string[];
+  /** User the key uploads for; storage is charged to this address */
+  userAddress?: string | null;
+  quota: {
+    maxRequestsPerDay: number | null;
+    maxBytesPerDay: number | null;
+  };
+  usage: {
+    day: string;
+    requests: number;
+    bytes: number;
+  };
+}
+
+export interface ApiKeyCreateOptions {
+  scopes: ApiKeyScope[];
+  expiresInDays?: number;
+  allowedCidrs?: string[];
+  userAddress?: string;
+  maxRequestsPerDay?: number;
+  maxBytesPerDay?: number;
 }
 
 export interface ApiKeyCreateResponse {
@@ -13,6 +45,7 @@ export interface ApiKeyCreateResponse {
   keyId: string;
   token: string; // Only shown once!
   name: string;
+  scopes: ApiKeyScope[];
   createdAt: number;
   expiresAt: number | null;
   message: string;
@@ -38,12 +71,19 @@ export class ApiKeysModule {
   }
 
   /**
-   * Create a new API key
+   * List the scopes a key can be granted
+   */
+  public async listScopes(): Promise<{ success: boolean; scopes: ApiKeyScope[] }> {
+    return this.client.get("/api/v1/api-keys/scopes");
+  }
+
+  /**
+   * Create a new API key with the given scopes and optional expiry, CIDR list and daily quotas
    */
-  public async create(name: string, expiresInDays?: number): Promise<ApiKeyCreateResponse> {
+  public async create(name: string, options: ApiKeyCreateOptions): Promise<ApiKeyCreateResponse> {
     return this.client.post<ApiKeyCreateResponse>("/api/v1/api-keys", {
       name,
-      expiresInDays,
+      ...options,
     });
   }
 
@@ -113,12 +113,148 @@ export class IpfsModule {
     });
   }
 
+  /**
+   * Start a resumable upload session
+   * @param fileName Name of the file
+   * @param size Total size in bytes
+   * @param options Content type and user address the upload is charged to
+   * @returns Promise with the session (sessionId, offset, size, expiresAt)
+   */
+  public async createUploadSession(
+    fileName: string,
+    size: number,
+    options?: { mimetype?: string; userAddress?: string }
+  ): Promise<any> {
+    const headers: any = {};
+    if (options?.userAddress) {
+      headers["x-user-address"] = options.userAddress;
+    }
+    return this.client.post(
+      "/api/v1/ipfs/upload/sessions",
+      { fileName, size, mimetype: options?.mimetype },
+      { headers }
+    );
+  }
+
+  /**
+   * Get the status of an upload session (use `session.offset` to resume)
+   */
+  public async getUploadSession(sessionId: string): Promise<any> {
+    return this.client.get(`/api/v1/ipfs/upload/sessions/${sessionId}`);
+  }
+
+  /**
+   * Send one chunk of a resumable upload
+   * @param sessionId Session to append to
+   * @param offset Byte offset of the chunk; must equal the session's current offset
+   * @param chunk Chunk data (Buffer in Node.js, Blob in browsers)
+   */
+  public async uploadChunk(sessionId: string, offset: number, chunk: Buffer | Blob): Promise<any> {
+    return this.client.patch(`/api/v1/ipfs/upload/sessions/${sessionId}`, chunk, {
+      headers: {
+        "Content-Type": "application/offset+octet-stream",
+        "Upload-Offset": String(offset),
+      },
+    });
+  }
+
+  /**
+   * Add a completed upload session to IPFS
+   * @returns Promise with the same `file` result as uploadFile()
+   */
+  public async finalizeUploadSession(sessionId: string): Promise<any> {
+    return this.client.post(`/api/v1/ipfs/upload/sessions/${sessionId}/finalize`);
+  }
+
+  /**
+   * Abort an upload session and discard the data received so far
+   */
+  public async abortUploadSession(sessionId: string): Promise<any> {
+    return this.client.delete(`/api/v1/ipfs/upload/sessions/${sessionId}`);
+  }
+
+  /**
+   * Upload a file in chunks, resuming after failures.
+   * Pass `sessionId` to continue a session started earlier (e.g. before a page reload).
+   *
+   * @param data File content (Buffer in Node.js, Blob/File in browsers)
+   * @param fileName Name of the file
+   * @param options Chunk size (default 8MB), retries per chunk, progress callback
+   * @returns Promise with the finalize result
+   */
+  public async uploadFileResumable(
+    data: Buffer | Blob,
+    fileName: string,
+    options?: {
+      mimetype?: string;
+      userAddress?: string;
+      sessionId?: string;
+      chunkSize?: number;
+      maxRetries?: number;
+      onSession?: (sessionId: string) => void;
+      onProgress?: (uploaded: number, total: number) => void;
+    }
+  ): Promise<any> {
+    const total = Buffer.isBuffer(data) ? data.length : (data as Blob).size;
+    const chunkSize = options?.chunkSize || 8 * 1024 * 1024;
+    const maxRetries = options?.maxRetries ?? 3;
+
+    let sessionId = options?.sessionId;
+    let offset = 0;
+    if (sessionId) {
+      const status = await this.getUploadSession(sessionId);
+      offset = status.session.offset;
+    } else {
+      const created = await this.createUploadSession(fileName, total, {
+        mimetype: options?.mimetype,
+        userAddress: options?.userAddress,
+      });
+      sessionId = created.session.sessionId as string;
+    }
+    options?.onSession?.(sessionId);
+
+    let failures = 0;
+    while (offset < total) {
+      const end = Math.min(offset + chunkSize, total);
+      const chunk = data.slice(offset, end);
+      try {
+        const result = await this.uploadChunk(sessionId, offset, chunk);
+        offset = result.session.offset;
+        failures = 0;
+        options?.onProgress?.(offset, total);
+      } catch (error) {
+        if (++failures > maxRetries) {
+          throw error;
+        }
+        // Resume from whatever the relay actually stored
+        const status = await this.getUploadSession(sessionId);
+        offset = status.session.offset;
+      }
+    }
+
+    return this.finalizeUploadSession(sessionId);
+  }
+
   public async cat(cid: string): Promise<Buffer> {
     return this.client.get(`/api/v1/ipfs/cat/${cid}`, {
       responseType: "arraybuffer",
     });
   }
 
+  /**
+   * Read part of a file (HTTP Range), e.g. to preview a clip without
+   * downloading all of it
+   * @param cid File CID, or CID/path/inside/directory
+   * @param start First byte (inclusive)
+   * @param end Last byte (inclusive); omit to read to the end
+   */
+  public async catRange(cid: string, start: number, end?: number): Promise<Buffer> {
+    return this.client.get(`/api/v1/ipfs/cat/${cid}`, {
+      responseType: "arraybuffer",
+      headers: { Range: `bytes=${start}-${end ?? ""}` },
+    });
+  }
+
   /**
    * Cat a file from an IPFS directory using a relative path
    * @param directoryCid The CID of the directory
@@ -152,8 +288,15 @@ export class IpfsModule {
     );
   }
 
-  public async pinAdd(cid: string): Promise<any> {
-    return this.client.post("/api/v1/ipfs/pin/add", { cid });
+  /**
+   * Pin a CID. `ttl` (seconds) or `expiresAt` and `labels` are used by the
+   * relay's retention policies.
+   */
+  public async pinAdd(
+    cid: string,
+    retention: { ttl?: number; expiresAt?: number; labels?: string[] } = {}
+  ): Promise<any> {
+    return this.client.post("/api/v1/ipfs/pin/add", { cid, ...retention });
   }
 
   public async pinRm(cid: string): Promise<any> {
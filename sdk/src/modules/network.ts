@@ -0,0 +1,82 @@
+import { ApiClient } from "../client";
+
+export type RelayCapability = "ipfs" | "tpre" | "drive";
+
+export interface RelayProbe {
+  reachable: boolean;
+  latencyMs: number | null;
+  status: string | null;
+  uptime: number | null;
+  pub: string | null;
+  checkedAt: number;
+  error?: string;
+}
+
+export interface NetworkRelay {
+  pub: string;
+  host: string;
+  endpoint: string;
+  name: string;
+  version: string;
+  capabilities: Record<RelayCapability, boolean>;
+  load: {
+    activeConnections: number;
+    totalConnections: number;
+    heapUsedMB: number;
+    rssMB: number;
+    loadAvg: number;
+  };
+  uptime: number;
+  lastSeen: number;
+  connections: { active: number; total: number };
+  source: "registry";
+  verified: true;
+  probe: RelayProbe | null;
+  score: number;
+}
+
+export interface NetworkRelaysOptions {
+  /** Only relays offering this capability */
+  capability?: RelayCapability;
+  /** Skip the /health probes (ranked by uptime only) */
+  probe?: boolean;
+  /** Also return unsigned entries, unranked */
+  unverified?: boolean;
+}
+
+export interface NetworkRelaysResponse {
+  success: boolean;
+  /** Best first */
+  relays: NetworkRelay[];
+  count: number;
+  rejected: Record<"malformed" | "forged" | "stale" | "key-mismatch", number>;
+  unverified?: any[];
+  timestamp: number;
+}
+
+export class NetworkModule {
+  private client: ApiClient;
+
+  constructor(client: ApiClient) {
+    this.client = client;
+  }
+
+  public async getRelays(options: NetworkRelaysOptions = {}): Promise<NetworkRelaysResponse> {
+    return this.client.get<NetworkRelaysResponse>("/api/v1/network/relays", {
+      params: {
+        capability: options.capability,
+        probe: options.probe === false ? "false" : undefined,
+        unverified: options.unverified ? "true" : undefined,
+      },
+    });
+  }
+
+  /**
+   * Highest ranked reachable relay, optionally with a given capability
+   * @returns The relay, or null if none is reachable
+   */
+  public async pickRelay(capability?: RelayCapability): Promise<NetworkRelay | null> {
+    const { relays } = await this.getRelays({ capability });
+    return relays.find((relay) => relay.probe?.reachable) || null;
+  }
+}
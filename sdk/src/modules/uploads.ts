@@ -1,5 +1,56 @@
 import { ApiClient } from "../client";
 
+export type UploadSearchSort = "newest" | "oldest" | "largest" | "smallest" | "name";
+
+export interface UploadSearchOptions {
+  /** Words to find in file names and directory paths (prefix match, all words) */
+  q?: string;
+  userAddress?: string;
+  /** Content type ("image/png"), top-level type ("image") or "directory" */
+  type?: string;
+  minSize?: number;
+  maxSize?: number;
+  /** Uploaded at or after / before (ms timestamp or ISO date) */
+  from?: number | string;
+  to?: number | string;
+  isDirectory?: boolean;
+  /** Retention label */
+  label?: string;
+  sort?: UploadSearchSort;
+  limit?: number;
+  /** `nextCursor` of the previous page */
+  cursor?: string;
+  /** Skip the facet counts */
+  facets?: boolean;
+}
+
+export interface UploadSearchHit {
+  hash: string;
+  name: string;
+  userAddress: string;
+  contentType: string | null;
+  fileSize: number;
+  isDirectory: boolean;
+  fileCount: number;
+  isEncrypted: boolean;
+  labels: string[];
+  uploadedAt: number;
+  /** Files inside a directory that matched `q` (first few) */
+  matchedFiles: Array<{ path: string; size: number | null }>;
+}
+
+export interface UploadSearchResponse {
+  success: boolean;
+  results: UploadSearchHit[];
+  total: number;
+  nextCursor: string | null;
+  facets: {
+    types: Record<string, number>;
+    users: Array<{ userAddress: string; count: number; bytes: number }>;
+    sizes: Record<string, number>;
+  } | null;
+}
+
 export class UploadsModule {
   private client: ApiClient;
 
@@ -27,6 +78,31 @@ export class UploadsModule {
     return this.client.get("/api/v1/user-uploads/system-hashes-map");
   }
 
+  /**
+   * Search the relay's index of upload metadata
+   * @param options Text query, filters, sort and the cursor of the previous page
+   * @returns Promise with one page of results and facet counts
+   */
+  public async search(options: UploadSearchOptions = {}): Promise<UploadSearchResponse> {
+    const { userAddress, isDirectory, facets, ...rest } = options;
+    return this.client.get<UploadSearchResponse>("/api/v1/user-uploads/search", {
+      params: {
+        ...rest,
+        user: userAddress,
+        isDirectory: isDirectory === undefined ? undefined : String(isDirectory),
+        facets: facets === false ? "false" : undefined,
+      },
+    });
+  }
+
+  /**
+   * Rebuild the search index from the systemhash node (admin)
+   * @returns Promise with the number of records indexed and removed
+   */
+  public async reindexSearch(): Promise<any> {
+    return this.client.post("/api/v1/user-uploads/search/reindex");
+  }
+
   /**
    * Save file metadata to system hash map
    * @param metadata Metadata object containing hash, userAddress, fileName, etc.
@@ -54,6 +130,10 @@ export class UploadsModule {
     relayUrl?: string;
     uploadedAt?: number;
     timestamp?: number;
+    /** Retention: seconds until the relay may unpin it (or an absolute expiresAt) */
+    ttl?: number;
+    expiresAt?: number;
+    labels?: string[];
     [key: string]: any;
   }): Promise<any> {
     return this.client.post("/api/v1/user-uploads/save-system-hash", metadata);
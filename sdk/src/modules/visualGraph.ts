@@ -1,5 +1,52 @@
 import { ApiClient } from "../client";
 
+export type GraphEngine = "gun" | "zen";
+export type GraphValue = string | number | boolean | null | { "#": string };
+
+export interface GraphQueryOptions {
+  /** Soul to start from, e.g. "shogun/relays" */
+  soul: string;
+  /** Levels of references to follow (0 = the start node only) */
+  depth?: number;
+  /** Keys to keep at every node; an entry ending in `*` matches by prefix */
+  keys?: string[];
+  limit?: number;
+  cursor?: string;
+  /** Node budget for the whole walk */
+  maxNodes?: number;
+  engine?: GraphEngine;
+}
+
+export interface GraphQueryNode {
+  soul: string;
+  depth: number;
+  data: Record<string, GraphValue> | null;
+  refs: string[];
+  /** HAM state of each key in `data` */
+  state?: Record<string, number>;
+}
+
+export interface GraphQueryResponse {
+  success: boolean;
+  soul: string;
+  depth: number;
+  nodes: GraphQueryNode[];
+  count: number;
+  nextCursor: string | null;
+  truncated: boolean;
+}
+
+export interface GraphImportResponse {
+  success: boolean;
+  nodes: number;
+  imported: number;
+  skipped: string[];
+  /** Values left alone because the relay holds them at a newer state */
+  stale: number;
+  failed: Array<{ soul: string; error: string }>;
+  dryRun: boolean;
+}
+
 export class VisualGraphModule {
   private client: ApiClient;
 
@@ -13,4 +60,53 @@ export class VisualGraphModule {
       responseType: "text",
     });
   }
+
+  /**
+   * Walk the graph from a soul, one page at a time (admin)
+   * @param options Start soul, depth, key filter, node budget and the cursor of the previous page
+   * @returns Promise with one page of nodes
+   */
+  public async query(options: GraphQueryOptions): Promise<GraphQueryResponse> {
+    const { keys, ...rest } = options;
+    return this.client.get<GraphQueryResponse>("/api/v1/graph", {
+      params: { ...rest, keys: keys?.length ? keys.join(",") : undefined },
+    });
+  }
+
+  /**
+   * Export the walk as NDJSON or JSON-LD (admin)
+   * @returns Promise with the export as text
+   */
+  public async export(
+    options: Omit<GraphQueryOptions, "limit" | "cursor"> & { format?: "ndjson" | "jsonld" }
+  ): Promise<string> {
+    const { keys, ...rest } = options;
+    return this.client.get<string>("/api/v1/graph/export", {
+      params: { ...rest, keys: keys?.length ? keys.join(",") : undefined },
+      responseType: "text",
+    });
+  }
+
+  /**
+   * Apply an export to the relay (admin). NDJSON is sent as text, anything
+   * else (a JSON-LD document or a query page) as JSON-LD.
+   * @param data An export from export() or a query() page
+   * @param options dryRun validates and counts without writing
+   */
+  public async import(
+    data: string | object,
+    options: { dryRun?: boolean; engine?: GraphEngine } = {}
+  ): Promise<GraphImportResponse> {
+    const isText = typeof data === "string";
+    return this.client.post<GraphImportResponse>(
+      "/api/v1/graph/import",
+      isText ? data : JSON.stringify(data),
+      {
+        params: { dryRun: options.dryRun ? "true" : undefined, engine: options.engine },
+        headers: {
+          "Content-Type": isText ? "application/x-ndjson" : "application/ld+json",
+        },
+      }
+    );
+  }
 }